@@ -0,0 +1,164 @@
+/**
+ * action-reconciliation.test.js
+ * 議事録のアクションと決定事項の抽出で見つかったタスクを1つにまとめる処理のテスト
+ */
+
+const mockGenerateText = jest.fn();
+
+jest.mock('ai', () => ({
+  generateText: (...args) => mockGenerateText(...args)
+}));
+
+jest.mock('@ai-sdk/anthropic', () => ({
+  anthropic: () => 'mock-model'
+}));
+
+jest.mock('../proposal-context-store', () => {
+  const contexts = new Map();
+  return {
+    contexts,
+    ProposalContextStore: class {
+      async getContext(messageTs) { return contexts.get(messageTs) || null; }
+      async saveContext(messageTs, context) { contexts.set(messageTs, context); return context; }
+      async deleteContext(messageTs) { contexts.delete(messageTs); }
+    }
+  };
+});
+
+const { getTaskSimilarity, reconcileActions, ACTION_SIMILARITY_THRESHOLD } = require('../action-reconciliation');
+const { sendProposalMessage } = require('../meeting-flow-integration');
+const { contexts: proposalContextStore } = require('../proposal-context-store');
+
+describe('getTaskSimilarity', () => {
+  it('表現が少し違うだけの同じタスクは高く、別のタスクは低い', () => {
+    expect(getTaskSimilarity('LPを作成する', 'LP を作成')).toBe(1);
+    expect(getTaskSimilarity('A社に見積もりを送付する', 'A社へ見積もりを送付')).toBeGreaterThanOrEqual(0.6);
+    expect(getTaskSimilarity('A社に見積もりを送付する', 'リリースノートを書く')).toBeLessThan(0.6);
+  });
+
+  it('言い換えは表現の近さでは拾えない（モデルの判定に任せる）', () => {
+    expect(getTaskSimilarity('見積書をA社に出す', 'A社へ価格の提案を送付')).toBeLessThan(ACTION_SIMILARITY_THRESHOLD);
+    expect(getTaskSimilarity('デザインを確定する', 'UIの最終案を決める')).toBeLessThan(ACTION_SIMILARITY_THRESHOLD);
+  });
+});
+
+const judgeResponse = matches => ({ text: '```json\n' + JSON.stringify({ matches }) + '\n```' });
+
+describe('reconcileActions', () => {
+  it('同じアクションは1件にし、担当者と期限はそれぞれ確かな方を残す', async () => {
+    const minutesActions = [
+      { task: 'A社に見積もりを送付する', assignee: '山本 力弥', deadline: '来週', assignee_slack_id: 'U001' },
+      { task: 'リリースノートを書く', assignee: '担当未定', deadline: '12/20', assignee_slack_id: null, unresolved_assignee: 'さとう' }
+    ];
+    const extractedActions = [
+      { task: 'リリースノート', assignee: '佐藤 圭吾', deadline: '', assignee_slack_id: 'U002' },
+      { task: 'A社へ見積もりを送付', assignee: '山本 力弥', deadline: '12/5', assignee_slack_id: 'U001' },
+      { task: 'デモ環境を用意する', assignee: '田中 花子', deadline: '', assignee_slack_id: 'U003' }
+    ];
+
+    expect(await reconcileActions(minutesActions, extractedActions)).toEqual([
+      { task: 'A社に見積もりを送付する', assignee: '山本 力弥', deadline: '12/5', assignee_slack_id: 'U001' },
+      { task: 'リリースノートを書く', assignee: '佐藤 圭吾', deadline: '12/20', assignee_slack_id: 'U002' },
+      { task: 'デモ環境を用意する', assignee: '田中 花子', deadline: '', assignee_slack_id: 'U003' }
+    ]);
+    // 表現の近さですべて対応がついたらモデルには聞かない
+    expect(mockGenerateText).not.toHaveBeenCalled();
+  });
+
+  it('内容が似ていても担当者が違えば別のアクションとして残す', async () => {
+    mockGenerateText.mockResolvedValue(judgeResponse([{ a: 0, b: 0 }]));
+
+    const actions = await reconcileActions(
+      [{ task: '資料をレビューする', assignee: '山本 力弥', deadline: '', assignee_slack_id: 'U001' }],
+      [{ task: '資料をレビューする', assignee: '田中 花子', deadline: '', assignee_slack_id: 'U003' }]
+    );
+
+    expect(actions.map(action => action.assignee)).toEqual(['山本 力弥', '田中 花子']);
+  });
+
+  it('抽出したタスクの中の重複もまとめる', async () => {
+    const actions = await reconcileActions([], [
+      { task: 'デモ環境を用意する', assignee: '田中 花子', deadline: '' },
+      { task: 'デモ環境を用意', assignee: '', deadline: '金曜' }
+    ]);
+
+    expect(actions).toEqual([{ task: 'デモ環境を用意する', assignee: '田中 花子', deadline: '金曜' }]);
+  });
+
+  it('表現の違う言い換えはモデルの判定で同じアクションにまとめる', async () => {
+    mockGenerateText.mockResolvedValue(judgeResponse([{ a: 0, b: 1 }]));
+
+    const actions = await reconcileActions(
+      [
+        { task: '見積書をA社に出す', assignee: '山本 力弥', deadline: '来週' },
+        { task: 'デザインを確定する', assignee: '田中 花子', deadline: '' }
+      ],
+      [
+        { task: 'デモ環境を用意する', assignee: '田中 花子', deadline: '' },
+        { task: 'A社へ価格の提案を送付', assignee: '山本 力弥', deadline: '12/5' }
+      ]
+    );
+
+    expect(actions).toEqual([
+      { task: 'A社へ価格の提案を送付', assignee: '山本 力弥', deadline: '12/5' },
+      { task: 'デザインを確定する', assignee: '田中 花子', deadline: '' },
+      { task: 'デモ環境を用意する', assignee: '田中 花子', deadline: '' }
+    ]);
+    const { prompt } = mockGenerateText.mock.calls[0][0];
+    expect(prompt).toContain('0. 見積書をA社に出す（担当: 山本 力弥）');
+    expect(prompt).toContain('1. A社へ価格の提案を送付（担当: 山本 力弥）');
+  });
+
+  it('モデルの判定に失敗したら、表現の近さでまとめた結果を使う', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    mockGenerateText.mockRejectedValue(new Error('overloaded'));
+
+    const actions = await reconcileActions(
+      [{ task: '見積書をA社に出す', assignee: '山本 力弥', deadline: '来週' }],
+      [{ task: 'A社へ価格の提案を送付', assignee: '山本 力弥', deadline: '12/5' }]
+    );
+
+    expect(actions.map(action => action.task)).toEqual(['見積書をA社に出す', 'A社へ価格の提案を送付']);
+  });
+});
+
+describe('sendProposalMessage', () => {
+  const client = { chat: { postMessage: jest.fn() } };
+
+  beforeEach(() => {
+    proposalContextStore.clear();
+    client.chat.postMessage.mockResolvedValue({ ts: '1700000000.000200' });
+  });
+
+  it('抽出したタスクを議事録のアクションとまとめて提案し、まとめた一覧だけを登録対象にする', async () => {
+    mockGenerateText.mockResolvedValue({
+      text: JSON.stringify({
+        decisions: [{ content: '価格は月額5万円', context: '' }],
+        actions: [
+          { task: 'A社へ見積もりを送付', assignee: '山本 力弥', deadline: '12/5' },
+          { task: 'デモ環境を用意する', assignee: '田中 花子', deadline: '' }
+        ]
+      })
+    });
+
+    const result = await sendProposalMessage(client, 'C999', '文字起こし', 'proj_1', 'mana', '2024-12-09', [
+      { task: 'A社に見積もりを送付する', assignee: '山本 力弥', deadline: '来週' }
+    ]);
+
+    expect(result).toMatchObject({ success: true, decisions: 1, actions: 2 });
+    expect(proposalContextStore.get('1700000000.000200').actions).toEqual([
+      { task: 'A社に見積もりを送付する', assignee: '山本 力弥', deadline: '12/5' },
+      { task: 'デモ環境を用意する', assignee: '田中 花子', deadline: '' }
+    ]);
+  });
+
+  it('議事録の生成時に照合済みなら抽出し直さない', async () => {
+    const actions = [{ task: 'A社に見積もりを送付する', assignee: '山本 力弥', deadline: '12/5' }];
+
+    const result = await sendProposalMessage(client, 'C999', '文字起こし', 'proj_1', 'mana', '2024-12-09', actions, null, []);
+
+    expect(mockGenerateText).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ success: true, decisions: 0, actions: 1 });
+    expect(proposalContextStore.get('1700000000.000200').actions).toEqual(actions);
+  });
+});
@@ -394,4 +394,57 @@ describe('AirtableIntegration', () => {
       );
     });
   });
-});
\ No newline at end of file
+
+  describe('prepareMeetingMinutes', () => {
+    const minutesData = { minutes: 'A社の議事録', actions: [] };
+    const mockLogger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    let generateMeetingMinutes;
+    let uploadSessionStore;
+
+    const prepare = (fileData, projectId) => airtableIntegration.prepareMeetingMinutes({
+      project: { owner: 'unson', repo: 'minutes' },
+      projectId,
+      projectName: projectId,
+      fileId: 'F1',
+      fileData: { content: '佐藤: 始めます', roster: { participants: [] }, ...fileData },
+      baseName: 'weekly',
+      dateStr: '2024-12-09'
+    }, mockLogger, uploadSessionStore);
+
+    beforeEach(() => {
+      generateMeetingMinutes = jest.fn().mockResolvedValue({ minutes: 'B社の議事録', actions: [] });
+      jest.doMock('../llm-integration', () => ({ generateMeetingMinutes }));
+      jest.doMock('../meeting-series', () => ({
+        MeetingSeriesLoader: jest.fn().mockImplementation(() => ({ loadPreviousMeeting: jest.fn().mockResolvedValue(null) }))
+      }));
+      jest.spyOn(airtableIntegration, 'reconcileMinutesActions').mockImplementation(async data => data);
+      uploadSessionStore = {
+        updateSession: jest.fn().mockResolvedValue({}),
+        markStep: jest.fn().mockResolvedValue({})
+      };
+    });
+
+    it('生成したときのプロジェクトと同じなら議事録を再利用する', async () => {
+      const result = await prepare({
+        projectId: 'proj_a',
+        minutesData,
+        steps: { minutes_generated: { status: 'done', projectId: 'proj_a' } }
+      }, 'proj_a');
+
+      expect(result).toBe(minutesData);
+      expect(generateMeetingMinutes).not.toHaveBeenCalled();
+    });
+
+    it('プロジェクトを選び直したら（セッションの projectId が書き換わっていても）作り直し、生成したプロジェクトを記録する', async () => {
+      const result = await prepare({
+        projectId: 'proj_b',
+        minutesData,
+        steps: { minutes_generated: { status: 'done', projectId: 'proj_a' } }
+      }, 'proj_b');
+
+      expect(result).toEqual({ minutes: 'B社の議事録', actions: [] });
+      expect(generateMeetingMinutes).toHaveBeenCalledTimes(1);
+      expect(uploadSessionStore.markStep).toHaveBeenCalledWith('F1', 'minutes_generated', 'done', { projectId: 'proj_b' });
+    });
+  });
+});
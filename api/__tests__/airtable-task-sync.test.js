@@ -125,6 +125,21 @@ describe('AirtableTaskSync', () => {
       });
     });
 
+    it('blocked_by / blocks を dependencies / blockers に改行区切りで同期する', async () => {
+      const airtableRecord = await sync.mapGitHubTaskToAirtable({
+        task_id: 'T-2412-002',
+        title: 'テストタスク',
+        owner: 'k.sato',
+        status: 'todo',
+        blocked_by: ['T-2412-001', 'T-2412-003'],
+        blocks: ['T-2412-005'],
+        links: []
+      });
+
+      expect(airtableRecord.dependencies).toBe('T-2412-001\nT-2412-003');
+      expect(airtableRecord.blockers).toBe('T-2412-005');
+    });
+
     it('owner を assignee にマッピングする（brainbase_name形式）', async () => {
       const testCases = [
         { owner: 'k.sato', expected: '佐藤' },
@@ -310,6 +325,7 @@ describe('AirtableTaskSync', () => {
       expect(mapping['in-progress']).toBe('in_progress');
       expect(mapping['done']).toBe('completed');
       expect(mapping['completed']).toBe('completed');
+      expect(mapping['cancelled']).toBe('cancelled');
     });
   });
 
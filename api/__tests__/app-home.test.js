@@ -0,0 +1,157 @@
+/**
+ * app-home.test.js
+ * App Home タブのダッシュボードのテスト
+ */
+
+const { AppHomeService, buildAppHomeView, groupOwnedTasks } = require('../app-home');
+
+describe('app-home', () => {
+  const now = new Date('2024-12-10T03:00:00Z');
+
+  const overdueTask = { task_id: 'T-1', title: '見積もり', project_id: 'zeims', status: 'todo', due: '2024-12-08', owner_slack_id: 'U1' };
+  const dueSoonTask = { task_id: 'T-2', title: '請求書', project_id: 'zeims', status: 'todo', due: '2024-12-12', owner_slack_id: 'U1' };
+  const laterTask = { task_id: 'T-3', title: '契約書', project_id: 'salestailor', status: 'todo', due: '2025-01-20', owner_slack_id: 'U1' };
+  const requestedTask = { task_id: 'T-4', title: '資料作成', project_id: 'salestailor', status: 'todo', due: null, owner_slack_id: 'U2', requester_slack_id: 'U1' };
+
+  const sectionTexts = view => view.blocks
+    .filter(b => b.type === 'section')
+    .map(b => b.text.text);
+
+  describe('groupOwnedTasks', () => {
+    it('期限切れ・期限間近・その他に分ける', () => {
+      const groups = groupOwnedTasks([laterTask, dueSoonTask, overdueTask], now);
+
+      expect(groups.overdue.map(t => t.task_id)).toEqual(['T-1']);
+      expect(groups.dueSoon.map(t => t.task_id)).toEqual(['T-2']);
+      expect(groups.others.map(t => t.task_id)).toEqual(['T-3']);
+    });
+  });
+
+  describe('buildAppHomeView', () => {
+    it('期限切れ・期限間近・依頼中のグループを件数付きで表示する', () => {
+      const view = buildAppHomeView({
+        ownedTasks: [overdueTask, dueSoonTask, laterTask],
+        requestedTasks: [requestedTask],
+        now
+      });
+
+      expect(view.type).toBe('home');
+      const texts = sectionTexts(view);
+      expect(texts).toContain('*⚠️ 期限切れ* (1件)');
+      expect(texts).toContain('*⏰ 期限間近（3日以内）* (1件)');
+      expect(texts).toContain('*📤 依頼中* (1件)');
+      expect(JSON.stringify(view.blocks)).toContain('期限に余裕のある担当タスクが 1 件');
+    });
+
+    it('タスク行は既存のタスクアクションのaction_idを使う', () => {
+      const view = buildAppHomeView({ ownedTasks: [overdueTask], now });
+
+      const actionIds = view.blocks
+        .filter(b => b.type === 'actions')
+        .flatMap(b => b.elements.map(e => e.action_id));
+
+      expect(actionIds).toEqual(['task_complete_T-1', 'task_snooze_T-1', 'task_set_due_T-1', 'task_edit_T-1']);
+    });
+
+    it('自分が担当かつ依頼者のタスクは依頼中に重複表示しない', () => {
+      const selfRequested = { ...overdueTask, requester_slack_id: 'U1' };
+      const view = buildAppHomeView({ ownedTasks: [selfRequested], requestedTasks: [selfRequested], now });
+
+      expect(sectionTexts(view).some(text => text.startsWith('*📤 依頼中*'))).toBe(false);
+    });
+
+    it('確認が必要なタスクがなければその旨を表示する', () => {
+      const view = buildAppHomeView({ ownedTasks: [laterTask], now });
+
+      expect(sectionTexts(view)).toContain('✨ 確認が必要なタスクはありません');
+    });
+
+    it('プロジェクトの現在のスプリントとinboxを表示する', () => {
+      const view = buildAppHomeView({
+        projects: [
+          { project: { project_id: 'zeims', name: 'Zeims' }, sprint: { period: '12/09〜12/15', goal: 'β版リリース', url: 'https://airtable.com/x' } },
+          { project: { project_id: 'salestailor', name: 'SalesTailor' }, sprint: null }
+        ],
+        inboxItems: [{ id: 'INBOX-1', channel: 'general', sender: '田中', text: '確認お願いします', slackLink: 'https://slack.com/x' }],
+        now
+      });
+
+      const text = sectionTexts(view).join('\n');
+      expect(text).toContain('*Zeims*  スプリント: 12/09〜12/15 <https://airtable.com/x|Airtable>');
+      expect(text).toContain('🎯 β版リリース');
+      expect(text).toContain('*SalesTailor*\n_現在のスプリントなし_');
+      expect(text).toContain('*📥 未対応のinbox* (1件)');
+      expect(text).toContain('確認お願いします');
+    });
+  });
+
+  describe('AppHomeService', () => {
+    let slackClient;
+    let taskStore;
+    let projectRepository;
+    let getCurrentSprint;
+    let github;
+
+    beforeEach(() => {
+      slackClient = { views: { publish: jest.fn().mockResolvedValue({ ok: true }) } };
+      taskStore = {
+        getTasksByOwnerSlackId: jest.fn().mockResolvedValue([overdueTask]),
+        getTasksByRequesterSlackId: jest.fn().mockResolvedValue([requestedTask])
+      };
+      projectRepository = {
+        getAllProjects: jest.fn().mockResolvedValue([
+          { project_id: 'zeims', name: 'Zeims' },
+          { project_id: 'salestailor', name: 'SalesTailor' },
+          { project_id: 'aitle', name: 'Aitle' }
+        ])
+      };
+      getCurrentSprint = jest.fn().mockResolvedValue({ period: '12/09〜12/15', goal: 'β版リリース' });
+      github = { getPendingInboxItems: jest.fn().mockResolvedValue([]) };
+    });
+
+    const createService = (options = {}) => new AppHomeService(slackClient, {
+      taskStore,
+      projectRepository,
+      createMilestoneClient: () => ({ getCurrentSprint }),
+      github,
+      inboxUserId: 'U1',
+      ...options
+    });
+
+    it('ユーザーのHomeタブを公開する', async () => {
+      await createService().publish('U1', now);
+
+      expect(taskStore.getTasksByOwnerSlackId).toHaveBeenCalledWith('U1');
+      expect(taskStore.getTasksByRequesterSlackId).toHaveBeenCalledWith('U1');
+      expect(slackClient.views.publish).toHaveBeenCalledWith({
+        user_id: 'U1',
+        view: expect.objectContaining({ type: 'home' })
+      });
+    });
+
+    it('タスクに登場するプロジェクトだけをスプリント付きで表示する', async () => {
+      const view = await createService().buildHomeView('U1', now);
+
+      const text = sectionTexts(view).join('\n');
+      expect(text).toContain('*🗂 アクティブなプロジェクト* (2件)');
+      expect(text).not.toContain('Aitle');
+      expect(getCurrentSprint).toHaveBeenCalledTimes(2);
+    });
+
+    it('スプリントの取得に失敗してもHomeタブは表示する', async () => {
+      getCurrentSprint.mockRejectedValue(new Error('Airtable down'));
+
+      const view = await createService().buildHomeView('U1', now);
+
+      expect(sectionTexts(view).join('\n')).toContain('_現在のスプリントなし_');
+    });
+
+    it('inboxは対象ユーザーのときだけ取得する', async () => {
+      await createService().buildHomeView('U2', now);
+      expect(github.getPendingInboxItems).not.toHaveBeenCalled();
+
+      await createService().buildHomeView('U1', now);
+      expect(github.getPendingInboxItems).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,237 @@
+/**
+ * context-retrieval.test.js
+ * brainbaseのプロジェクトコンテキストの検索（チャンク分割・索引・出典）のテスト
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { mockClient } = require('aws-sdk-client-mock');
+const { BedrockRuntimeClient, InvokeModelCommand } = require('@aws-sdk/client-bedrock-runtime');
+const { S3Client, GetObjectCommand, HeadObjectCommand } = require('@aws-sdk/client-s3');
+const {
+  chunkContextText,
+  splitIntoChunks,
+  buildContextIndex,
+  retrieveProjectContext,
+  formatRetrievedContext,
+  appendCitations,
+  clearIndexCache,
+  getIndexKey,
+  loadContextIndex
+} = require('../context-retrieval');
+
+const bedrockMock = mockClient(BedrockRuntimeClient);
+const s3Mock = mockClient(S3Client);
+
+// 話題ごとの語の出現数をベクトルにする（埋め込みモデルの代わり）
+const TOPICS = ['料金', '採用', '障害'];
+function fakeEmbedding(text) {
+  return [...TOPICS.map(topic => text.split(topic).length - 1), 0.01];
+}
+
+const CONTEXT_TEXT = [
+  '# プロジェクトコンテキスト: zeims',
+  '',
+  'エクスポート日時: 2026-10-01T00:00:00.000Z',
+  '',
+  '## 用語集（固有名詞の正しい表記）',
+  '',
+  '| 正しい表記 | 誤認識パターン |',
+  '| Zeims | 場面 |',
+  '',
+  '---',
+  '',
+  '## プロジェクトドキュメント',
+  '',
+  '### projects/zeims/pricing.md',
+  '',
+  '# 料金',
+  '',
+  '料金は月額5万円。料金の見直しは四半期ごと。',
+  '',
+  '---',
+  '',
+  '### projects/zeims/hiring.md',
+  '',
+  '# 採用',
+  '',
+  '### 採用方針',
+  '',
+  '採用は紹介経由を優先する。',
+  '',
+  '---',
+  '',
+  '## 関連人物情報',
+  '',
+  '### common/meta/people/yamada.md',
+  '',
+  '山田: 障害対応の窓口',
+  '',
+  '---',
+  ''
+].join('\n');
+
+describe('chunkContextText', () => {
+  it('ファイル単位にチャンクを作り、用語集は検索対象から外して別に持つ', () => {
+    const { glossary, chunks } = chunkContextText(CONTEXT_TEXT);
+
+    expect(glossary).toBe('| 正しい表記 | 誤認識パターン |\n| Zeims | 場面 |');
+    expect(chunks.map(chunk => [chunk.id, chunk.section])).toEqual([
+      ['projects/zeims/pricing.md#1', 'プロジェクトドキュメント'],
+      ['projects/zeims/hiring.md#1', 'プロジェクトドキュメント'],
+      ['common/meta/people/yamada.md#1', '関連人物情報']
+    ]);
+    // ファイル名ではない ### 見出しはドキュメントの一部として残す
+    expect(chunks[1].text).toBe('# 採用\n\n### 採用方針\n\n採用は紹介経由を優先する。');
+  });
+
+  it('長いドキュメントは段落の切れ目で分け、前のチャンクの末尾を重ねる', () => {
+    const chunks = splitIntoChunks(['a'.repeat(60), 'b'.repeat(60), 'c'.repeat(60)].join('\n\n'), {
+      maxChars: 100,
+      overlapChars: 10
+    });
+
+    expect(chunks).toEqual([
+      'a'.repeat(60),
+      `${'a'.repeat(10)}\n\n${'b'.repeat(60)}`,
+      `${'b'.repeat(10)}\n\n${'c'.repeat(60)}`
+    ]);
+  });
+});
+
+describe('retrieveProjectContext', () => {
+  let indexDir;
+
+  beforeEach(() => {
+    bedrockMock.reset();
+    clearIndexCache();
+    bedrockMock.on(InvokeModelCommand).callsFake(input => ({
+      body: new TextEncoder().encode(JSON.stringify({
+        embedding: fakeEmbedding(JSON.parse(input.body).inputText)
+      }))
+    }));
+    indexDir = fs.mkdtempSync(path.join(os.tmpdir(), 'context-index-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(indexDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  it('作った索引から質問に近い資料を出典番号付きで返す', async () => {
+    const index = await buildContextIndex('zeims', CONTEXT_TEXT);
+    fs.writeFileSync(path.join(indexDir, getIndexKey('zeims')), JSON.stringify(index));
+
+    const retrieved = await retrieveProjectContext('zeims', '料金はいくら？', { topK: 1, indexDir });
+
+    expect(retrieved.passages).toEqual([expect.objectContaining({
+      number: 1,
+      id: 'projects/zeims/pricing.md#1',
+      source: 'projects/zeims/pricing.md',
+      text: '# 料金\n\n料金は月額5万円。料金の見直しは四半期ごと。'
+    })]);
+    expect(formatRetrievedContext(retrieved, { includeGlossary: true })).toContain('| Zeims | 場面 |');
+    expect(formatRetrievedContext(retrieved)).not.toContain('用語集');
+  });
+
+  it('複数の検索文では、どれかに近い資料を拾う', async () => {
+    const index = await buildContextIndex('zeims', CONTEXT_TEXT);
+    fs.writeFileSync(path.join(indexDir, getIndexKey('zeims')), JSON.stringify(index));
+
+    const retrieved = await retrieveProjectContext('zeims', ['採用の話', '障害が起きた'], { topK: 2, indexDir });
+
+    expect(retrieved.passages.map(passage => passage.source).sort()).toEqual([
+      'common/meta/people/yamada.md',
+      'projects/zeims/hiring.md'
+    ]);
+  });
+
+  it('索引がなければ埋め込みを呼ばずに null を返す', async () => {
+    await expect(retrieveProjectContext('zeims', '料金はいくら？', { indexDir })).resolves.toBeNull();
+    expect(bedrockMock.commandCalls(InvokeModelCommand)).toHaveLength(0);
+  });
+
+  it('埋め込みに失敗したら null を返す', async () => {
+    const index = await buildContextIndex('zeims', CONTEXT_TEXT);
+    fs.writeFileSync(path.join(indexDir, getIndexKey('zeims')), JSON.stringify(index));
+    bedrockMock.on(InvokeModelCommand).rejects(new Error('ThrottlingException'));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await expect(retrieveProjectContext('zeims', '料金はいくら？', { indexDir })).resolves.toBeNull();
+  });
+
+  it('索引を作った後に {project}.txt が変わっていたら索引を使わない', async () => {
+    const index = await buildContextIndex('zeims', CONTEXT_TEXT);
+    fs.writeFileSync(path.join(indexDir, getIndexKey('zeims')), JSON.stringify(index));
+    fs.writeFileSync(path.join(indexDir, 'zeims.txt'), CONTEXT_TEXT);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await expect(loadContextIndex('zeims', { indexDir })).resolves.toMatchObject({ project: 'zeims' });
+
+    clearIndexCache();
+    fs.writeFileSync(path.join(indexDir, 'zeims.txt'), `${CONTEXT_TEXT}\n追記`);
+    await expect(retrieveProjectContext('zeims', '料金はいくら？', { indexDir })).resolves.toBeNull();
+  });
+});
+
+describe('loadContextIndex (S3)', () => {
+  beforeEach(() => {
+    s3Mock.reset();
+    clearIndexCache();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const mockIndex = index => {
+    s3Mock.on(GetObjectCommand, { Key: 'zeims.index.json' }).resolves({
+      Body: { transformToString: async () => JSON.stringify(index) }
+    });
+  };
+
+  it('{project}.txt の ETag が索引を作ったときの MD5 と違えば索引を使わない', async () => {
+    const index = { version: 1, project: 'zeims', source_md5: 'abc123', chunks: [] };
+    mockIndex(index);
+    s3Mock.on(HeadObjectCommand, { Key: 'zeims.txt' }).resolves({ ETag: '"abc123"' });
+
+    await expect(loadContextIndex('zeims', { s3Client: new S3Client({}) })).resolves.toEqual(index);
+
+    clearIndexCache();
+    s3Mock.on(HeadObjectCommand, { Key: 'zeims.txt' }).resolves({ ETag: '"def456"' });
+    await expect(loadContextIndex('zeims', { s3Client: new S3Client({}) })).resolves.toBeNull();
+  });
+
+  it('分割アップロードの ETag では本文の MD5 で比べ、MD5 のない古い索引は使わない', async () => {
+    const sourceMd5 = crypto.createHash('md5').update(CONTEXT_TEXT).digest('hex');
+    mockIndex({ version: 1, project: 'zeims', source_md5: sourceMd5, chunks: [] });
+    s3Mock.on(HeadObjectCommand, { Key: 'zeims.txt' }).resolves({ ETag: '"abc-2"' });
+    s3Mock.on(GetObjectCommand, { Key: 'zeims.txt' }).resolves({ Body: { transformToString: async () => CONTEXT_TEXT } });
+
+    await expect(loadContextIndex('zeims', { s3Client: new S3Client({}) })).resolves.toMatchObject({ project: 'zeims' });
+
+    clearIndexCache();
+    mockIndex({ version: 1, project: 'zeims', chunks: [] });
+    await expect(loadContextIndex('zeims', { s3Client: new S3Client({}) })).resolves.toBeNull();
+  });
+});
+
+describe('appendCitations', () => {
+  const passages = [
+    { number: 1, source: 'projects/zeims/pricing.md' },
+    { number: 2, source: 'projects/zeims/hiring.md' }
+  ];
+
+  it('回答で使われた番号の資料だけを末尾に並べる', () => {
+    expect(appendCitations('料金は月額5万円です [1]', passages))
+      .toBe('料金は月額5万円です [1]\n\n📚 *参照*\n• [1] `projects/zeims/pricing.md`');
+  });
+
+  it('番号が使われていなければそのまま返す', () => {
+    expect(appendCitations('わかりません', passages)).toBe('わかりません');
+  });
+});
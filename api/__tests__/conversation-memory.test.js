@@ -312,3 +312,135 @@ describe('ConversationMemory', () => {
     });
   });
 });
+
+describe('ConversationMemory（要約）', () => {
+  let ConversationMemory;
+
+  beforeEach(() => {
+    jest.resetModules();
+    ConversationMemory = require('../conversation-memory');
+  });
+
+  it('トークン予算を超えたら古い発言を要約にまとめ、直近の発言だけ残す', async () => {
+    // Arrange: 発言1件10文字、予算35文字、直近2件を残す
+    const summarizer = jest.fn().mockResolvedValue('- 料金について質問した');
+    const memory = new ConversationMemory({ tokenBudget: 35, keepRecentMessages: 2, summarizer });
+
+    // Act
+    for (let i = 1; i <= 4; i++) {
+      await memory.saveMessage('zeims', 'U001', { role: i % 2 ? 'user' : 'assistant', content: `メッセージ${i}です。。。` });
+    }
+
+    // Assert
+    expect(summarizer).toHaveBeenCalledWith(null, [
+      expect.objectContaining({ content: 'メッセージ1です。。。' }),
+      expect.objectContaining({ content: 'メッセージ2です。。。' })
+    ]);
+    expect((await memory.getHistory('zeims', 'U001')).map(m => m.content)).toEqual(['メッセージ3です。。。', 'メッセージ4です。。。']);
+    expect(await memory.formatForLLM('zeims', 'U001')).toEqual([
+      { role: 'system', content: 'これまでの会話の要約:\n- 料金について質問した' },
+      { role: 'user', content: 'メッセージ3です。。。' },
+      { role: 'assistant', content: 'メッセージ4です。。。' }
+    ]);
+  });
+
+  it('要約に失敗したら発言をそのまま残す', async () => {
+    // Arrange
+    const summarizer = jest.fn().mockRejectedValue(new Error('rate limited'));
+    const memory = new ConversationMemory({ tokenBudget: 5, keepRecentMessages: 1, summarizer });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    // Act
+    await memory.saveMessage('zeims', 'U001', { role: 'user', content: '質問1' });
+    await memory.saveMessage('zeims', 'U001', { role: 'user', content: '質問2' });
+
+    // Assert
+    expect(await memory.getHistory('zeims', 'U001')).toHaveLength(2);
+    expect(await memory.getSummary('zeims', 'U001')).toBeNull();
+  });
+});
+
+describe('ConversationMemory（DynamoDB）', () => {
+  let ConversationMemory;
+  let ConversationMemoryRepository;
+  let items;
+  let docClient;
+
+  beforeEach(() => {
+    jest.resetModules();
+    ConversationMemory = require('../conversation-memory');
+    ({ ConversationMemoryRepository } = ConversationMemory);
+
+    // user_id × project_id をキーにしたテーブルの代わり
+    items = new Map();
+    docClient = {
+      send: jest.fn(async command => {
+        const { input } = command;
+        const key = item => `${item.user_id}|${item.project_id}`;
+        switch (command.constructor.name) {
+          case 'GetCommand':
+            return { Item: items.get(key(input.Key)) };
+          case 'PutCommand':
+            items.set(key(input.Item), input.Item);
+            return {};
+          case 'DeleteCommand':
+            items.delete(key(input.Key));
+            return {};
+          case 'QueryCommand':
+            return { Items: [...items.values()].filter(item => item.user_id === input.ExpressionAttributeValues[':userId']) };
+          default:
+            throw new Error(`unexpected command ${command.constructor.name}`);
+        }
+      })
+    };
+  });
+
+  it('別のインスタンス（別のコンテナ）からも同じ履歴を読める', async () => {
+    // Arrange
+    const repository = new ConversationMemoryRepository({ docClient });
+    const memoryA = new ConversationMemory({ repository, ttlMs: 60 * 60 * 1000 });
+    const memoryB = new ConversationMemory({ repository, ttlMs: 60 * 60 * 1000 });
+
+    // Act
+    await memoryA.saveMessage('proj_zeims', 'U001', { role: 'user', content: 'KPIを教えて' });
+    await memoryB.saveMessage('proj_zeims', 'U001', { role: 'assistant', content: '月間100件です' });
+
+    // Assert
+    expect(await memoryA.formatForLLM('proj_zeims', 'U001')).toEqual([
+      { role: 'user', content: 'KPIを教えて' },
+      { role: 'assistant', content: '月間100件です' }
+    ]);
+    const item = items.get('U001|proj_zeims');
+    expect(item.ttl).toBeGreaterThan(Date.now() / 1000);
+  });
+
+  it('会話のリセットで本人の全プロジェクトの履歴だけを消す', async () => {
+    // Arrange
+    const memory = new ConversationMemory({ repository: new ConversationMemoryRepository({ docClient }) });
+    await memory.saveMessage('proj_zeims', 'U001', { role: 'user', content: 'Zeims' });
+    await memory.saveMessage('proj_baao', 'U001', { role: 'user', content: 'BAAO' });
+    await memory.saveMessage('proj_zeims', 'U002', { role: 'user', content: '別の人' });
+
+    // Act
+    const cleared = await memory.clearUserHistory('U001');
+
+    // Assert
+    expect(cleared).toBe(2);
+    expect(await memory.getHistory('proj_zeims', 'U001')).toEqual([]);
+    expect(await memory.getHistory('proj_baao', 'U001')).toEqual([]);
+    expect(await memory.getHistory('proj_zeims', 'U002')).toHaveLength(1);
+  });
+
+  it('DynamoDBに書けないときはコンテナ内に残す', async () => {
+    // Arrange
+    docClient.send.mockRejectedValue(new Error('ResourceNotFoundException'));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const memory = new ConversationMemory({ repository: new ConversationMemoryRepository({ docClient }) });
+
+    // Act
+    await memory.saveMessage('proj_zeims', 'U001', { role: 'user', content: 'KPIを教えて' });
+
+    // Assert
+    expect(await memory.getHistory('proj_zeims', 'U001')).toHaveLength(1);
+  });
+});
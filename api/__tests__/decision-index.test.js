@@ -0,0 +1,97 @@
+/**
+ * decision-index.test.js
+ * 決定事項の一覧（_codex/decisions/index.md）と置き換えの判定のテスト
+ */
+
+const mockGenerateText = jest.fn();
+
+jest.mock('ai', () => ({
+  generateText: (...args) => mockGenerateText(...args)
+}));
+
+jest.mock('@ai-sdk/anthropic', () => ({
+  anthropic: () => 'mock-model'
+}));
+
+const {
+  DECISION_STATUS,
+  parseDecisionIndex,
+  renderDecisionIndex,
+  upsertDecisionEntry,
+  markEntrySuperseded,
+  parseSupersessionResult,
+  detectSupersessions,
+  markDecisionMarkdownSuperseded
+} = require('../decision-index');
+
+const EARLIER = {
+  date: '2025-12-14',
+  title: '価格は月額5万円に決定',
+  file: '2025-12-14_pricing.md',
+  meeting: '2025-12-14 会議'
+};
+
+describe('決定事項の一覧', () => {
+  it('生成した一覧を読み戻すと、置き換えのリンクも含めて同じ内容になる', () => {
+    let entries = upsertDecisionEntry([], EARLIER);
+    entries = upsertDecisionEntry(entries, {
+      date: '2026-01-10',
+      title: '価格は月額6万円に改定',
+      file: '2026-01-10_pricing.md',
+      meeting: '2026-01-10 会議',
+      supersedes: [EARLIER.file]
+    });
+    entries = markEntrySuperseded(entries, EARLIER.file, '2026-01-10_pricing.md');
+
+    const markdown = renderDecisionIndex(entries);
+
+    expect(markdown.split('\n').slice(4, 6)).toEqual([
+      '| 2026-01-10 | [価格は月額6万円に改定](2026-01-10_pricing.md) | 2026-01-10 会議 | 決定（[2025-12-14_pricing](2025-12-14_pricing.md) を置き換え） |',
+      '| 2025-12-14 | [価格は月額5万円に決定](2025-12-14_pricing.md) | 2025-12-14 会議 | 置き換え済み → [2026-01-10_pricing](2026-01-10_pricing.md) |'
+    ]);
+    expect(parseDecisionIndex(markdown)).toEqual([entries[1], entries[0]]);
+    expect(parseDecisionIndex(markdown)[1].status).toBe(DECISION_STATUS.SUPERSEDED);
+  });
+
+  it('表やリンクを壊す文字は全角にする', () => {
+    const markdown = renderDecisionIndex(upsertDecisionEntry([], { ...EARLIER, title: 'A|B [案] に決定' }));
+
+    expect(parseDecisionIndex(markdown)[0].title).toBe('A｜B ［案］ に決定');
+  });
+});
+
+describe('置き換えの判定', () => {
+  beforeEach(() => {
+    mockGenerateText.mockReset();
+  });
+
+  it('範囲外の番号や壊れた出力は無視する', () => {
+    expect(parseSupersessionResult('{"supersessions": [{"new": 1, "old": 1}, {"new": 3, "old": 1}]}', 2, 1))
+      .toEqual([{ newIndex: 0, earlierIndex: 0, reason: '' }]);
+    expect(parseSupersessionResult('置き換えはありません', 2, 1)).toEqual([]);
+  });
+
+  it('有効な以前の決定だけを候補にし、なければLLMを呼ばない', async () => {
+    const superseded = markEntrySuperseded(upsertDecisionEntry([], EARLIER), EARLIER.file, 'x.md');
+
+    await expect(detectSupersessions([{ content: '価格は月額6万円に改定' }], superseded)).resolves.toEqual([]);
+    expect(mockGenerateText).not.toHaveBeenCalled();
+  });
+
+  it('判定に失敗したら置き換えなしとする', async () => {
+    mockGenerateText.mockRejectedValue(new Error('rate limited'));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await expect(detectSupersessions([{ content: '価格は月額6万円に改定' }], upsertDecisionEntry([], EARLIER)))
+      .resolves.toEqual([]);
+  });
+});
+
+describe('markDecisionMarkdownSuperseded', () => {
+  it('ステータス行を置き換え済みにし、なければタイトルの下に入れる', () => {
+    expect(markDecisionMarkdownSuperseded('# 決定\n\n- ステータス: 決定\n', 'new.md'))
+      .toBe('# 決定\n\n- ステータス: 置き換え済み（→ [new](new.md)）\n');
+    expect(markDecisionMarkdownSuperseded('# 決定\n\n本文\n', 'new.md'))
+      .toBe('# 決定\n\n- ステータス: 置き換え済み（→ [new](new.md)）\n\n本文\n');
+  });
+});
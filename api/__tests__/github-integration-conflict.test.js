@@ -0,0 +1,234 @@
+/**
+ * github-integration-conflict.test.js
+ * 同時コミット競合時のリトライ・再適用のテスト
+ */
+
+const GitHubIntegration = require('../github-integration');
+
+jest.mock('axios');
+const axios = require('axios');
+
+const fileResponse = (content, sha) => ({
+  data: {
+    content: Buffer.from(content).toString('base64'),
+    sha
+  }
+});
+
+const putResponse = {
+  data: {
+    commit: { sha: 'commit-sha', html_url: 'https://github.com/commit' },
+    content: { sha: 'new-sha', html_url: 'https://github.com/file' }
+  }
+};
+
+const conflictError = (status = 409) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status }
+});
+
+const decodePut = (index) => Buffer.from(axios.put.mock.calls[index][1].content, 'base64').toString('utf-8');
+
+describe('GitHubIntegration - 同時コミットの競合処理', () => {
+  let github;
+
+  beforeEach(() => {
+    github = new GitHubIntegration('test-token', {
+      taskIdGenerator: { generateNextId: jest.fn().mockResolvedValue('T-2412-005') },
+      disableAirtableSync: true,
+      commitRetryBaseDelayMs: 0
+    });
+  });
+
+  describe('createOrUpdateFile', () => {
+    it('競合しなければ1回でコミットしattempts=1を返す', async () => {
+      axios.get.mockResolvedValue(fileResponse('A\n', 'sha-1'));
+      axios.put.mockResolvedValue(putResponse);
+
+      const result = await github.createOrUpdateFile({
+        owner: 'o', repo: 'r', branch: 'main', path: 'f.md',
+        transform: content => content + 'B\n',
+        message: 'test'
+      });
+
+      expect(result.attempts).toBe(1);
+      expect(axios.put.mock.calls[0][1].sha).toBe('sha-1');
+      expect(decodePut(0)).toBe('A\nB\n');
+    });
+
+    it('409の場合は最新の内容を再取得してtransformを適用し直す', async () => {
+      axios.get
+        .mockResolvedValueOnce(fileResponse('A\n', 'sha-1'))
+        .mockResolvedValueOnce(fileResponse('X\nA\n', 'sha-2'));
+      axios.put
+        .mockRejectedValueOnce(conflictError(409))
+        .mockResolvedValueOnce(putResponse);
+
+      const result = await github.createOrUpdateFile({
+        owner: 'o', repo: 'r', branch: 'main', path: 'f.md',
+        transform: content => 'NEW\n' + content,
+        message: 'test'
+      });
+
+      expect(result.attempts).toBe(2);
+      expect(axios.put.mock.calls[1][1].sha).toBe('sha-2');
+      // 他の書き込み（X）を失わずに追加される
+      expect(decodePut(1)).toBe('NEW\nX\nA\n');
+    });
+
+    it('新規作成がすれ違った場合（SHAなしで422）もリトライする', async () => {
+      axios.get
+        .mockRejectedValueOnce({ response: { status: 404 } })
+        .mockResolvedValueOnce(fileResponse('X\n', 'sha-2'));
+      axios.put
+        .mockRejectedValueOnce(conflictError(422))
+        .mockResolvedValueOnce(putResponse);
+
+      const result = await github.createOrUpdateFile({
+        owner: 'o', repo: 'r', branch: 'main', path: 'f.md',
+        transform: content => content + 'NEW\n',
+        message: 'test'
+      });
+
+      expect(result.attempts).toBe(2);
+      expect(decodePut(1)).toBe('X\nNEW\n');
+    });
+
+    it('contentを渡した場合はSHAを取り直して同じ内容で再送する', async () => {
+      axios.get
+        .mockResolvedValueOnce({ data: { sha: 'sha-1' } })
+        .mockResolvedValueOnce({ data: { sha: 'sha-2' } });
+      axios.put
+        .mockRejectedValueOnce(conflictError(409))
+        .mockResolvedValueOnce(putResponse);
+
+      const result = await github.createOrUpdateFile({
+        owner: 'o', repo: 'r', branch: 'main', path: 'f.md',
+        content: 'FULL\n',
+        message: 'test'
+      });
+
+      expect(result.attempts).toBe(2);
+      expect(axios.put.mock.calls[1][1].sha).toBe('sha-2');
+      expect(decodePut(1)).toBe('FULL\n');
+    });
+
+    it('最大試行回数を超えたらattempts付きでエラーを投げる', async () => {
+      axios.get.mockResolvedValue(fileResponse('A\n', 'sha-1'));
+      axios.put.mockRejectedValue(conflictError(409));
+
+      await expect(github.createOrUpdateFile({
+        owner: 'o', repo: 'r', branch: 'main', path: 'f.md',
+        transform: content => content + 'B\n',
+        message: 'test',
+        maxAttempts: 3
+      })).rejects.toMatchObject({ attempts: 3 });
+
+      expect(axios.put).toHaveBeenCalledTimes(3);
+    });
+
+    it('競合以外のエラーはリトライしない', async () => {
+      axios.get.mockResolvedValue(fileResponse('A\n', 'sha-1'));
+      axios.put.mockRejectedValue(conflictError(500));
+
+      await expect(github.createOrUpdateFile({
+        owner: 'o', repo: 'r', branch: 'main', path: 'f.md',
+        transform: content => content + 'B\n',
+        message: 'test'
+      })).rejects.toThrow('500');
+
+      expect(axios.put).toHaveBeenCalledTimes(1);
+    });
+
+    it('transformの結果が変わらなければコミットしない', async () => {
+      axios.get.mockResolvedValue(fileResponse('A\n', 'sha-1'));
+
+      const result = await github.createOrUpdateFile({
+        owner: 'o', repo: 'r', branch: 'main', path: 'f.md',
+        transform: content => content,
+        message: 'test'
+      });
+
+      expect(result.unchanged).toBe(true);
+      expect(axios.put).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('appendTask', () => {
+    it('競合時は同時に追加された別タスクを残したまま先頭に追加する', async () => {
+      const otherTask = '---\ntask_id: T-2412-004\ntitle: 別のタスク\n---\n\n';
+      axios.get
+        .mockResolvedValueOnce(fileResponse('', 'sha-1'))
+        .mockResolvedValueOnce(fileResponse(otherTask, 'sha-2'));
+      axios.put
+        .mockRejectedValueOnce(conflictError(409))
+        .mockResolvedValueOnce(putResponse);
+
+      const result = await github.appendTask({ title: '請求書を送る', requester: '田中' });
+
+      expect(result.success).toBe(true);
+      expect(result.taskId).toBe('T-2412-005');
+      expect(result.attempts).toBe(2);
+      const content = decodePut(1);
+      expect(content.indexOf('task_id: T-2412-005')).toBeLessThan(content.indexOf('task_id: T-2412-004'));
+      // リトライしてもタスクIDは採番し直さない
+      expect(github.taskIdGenerator.generateNextId).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('appendToInbox', () => {
+    it('競合時は最新のpending.mdに追記し直す', async () => {
+      const header = '# Pending Inbox Items\n\n<!-- AI PMが自動更新。Claude Code起動時に確認・対応を提案 -->\n\n';
+      const otherMention = '---\nid: INBOX-OTHER\nstatus: pending\n---\n\nother\n\n';
+      axios.get
+        .mockResolvedValueOnce(fileResponse(header, 'sha-1'))
+        .mockResolvedValueOnce(fileResponse(header + otherMention, 'sha-2'));
+      axios.put
+        .mockRejectedValueOnce(conflictError(409))
+        .mockResolvedValueOnce(putResponse);
+
+      const result = await github.appendToInbox({
+        channelName: 'general',
+        senderName: '田中',
+        text: '確認お願いします',
+        timestamp: '1733644800.123456',
+        slackLink: 'https://slack.com/archives/C1/p1'
+      });
+
+      expect(result.attempts).toBe(2);
+      const content = decodePut(1);
+      expect(content).toContain('id: INBOX-OTHER');
+      expect(content).toContain(`id: ${result.mentionId}`);
+    });
+  });
+
+  describe('archiveInboxItem', () => {
+    it('アーカイブ後、最新のpending.mdから該当ブロックだけを削除する', async () => {
+      const target = '---\nid: INBOX-TARGET\nstatus: pending\n---\n\ntarget\n\n';
+      const added = '---\nid: INBOX-NEW\nstatus: pending\n---\n\nnew\n\n';
+      const pending = '# Pending Inbox Items\n\n' + target;
+
+      axios.get
+        // 対象ブロックの確認
+        .mockResolvedValueOnce(fileResponse(pending, 'p-1'))
+        // archive.md
+        .mockResolvedValueOnce(fileResponse('# Archived Inbox Items\n\n', 'a-1'))
+        // pending.md（1回目: 競合する）
+        .mockResolvedValueOnce(fileResponse(pending, 'p-1'))
+        // pending.md（2回目: 別のメンションが追加されている）
+        .mockResolvedValueOnce(fileResponse('# Pending Inbox Items\n\n' + added + target, 'p-2'));
+      axios.put
+        .mockResolvedValueOnce(putResponse)
+        .mockRejectedValueOnce(conflictError(409))
+        .mockResolvedValueOnce(putResponse);
+
+      const result = await github.archiveInboxItem('INBOX-TARGET');
+
+      expect(result.success).toBe(true);
+      expect(result.attempts).toBe(3);
+      expect(decodePut(0)).toContain('id: INBOX-TARGET');
+      const newPending = decodePut(2);
+      expect(newPending).toContain('id: INBOX-NEW');
+      expect(newPending).not.toContain('id: INBOX-TARGET');
+    });
+  });
+});
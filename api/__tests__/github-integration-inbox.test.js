@@ -0,0 +1,74 @@
+/**
+ * github-integration-inbox.test.js
+ * _inbox/pending.md の読み取りテスト
+ */
+
+const GitHubIntegration = require('../github-integration');
+
+jest.mock('axios');
+const axios = require('axios');
+
+describe('GitHubIntegration.getPendingInboxItems', () => {
+  let github;
+
+  beforeEach(() => {
+    github = new GitHubIntegration('test-token', { disableAirtableSync: true });
+  });
+
+  it('pending.mdの未対応メンションをパースする', async () => {
+    const content = `# Pending Inbox Items
+
+<!-- AI PMが自動更新。Claude Code起動時に確認・対応を提案 -->
+
+---
+id: INBOX-2024-12-10-ABC
+channel: general
+sender: 田中
+timestamp: 1733644800.123456
+status: pending
+---
+
+### 10:00 | #general | 田中
+
+見積もりの確認お願いします
+
+[Slack](https://slack.com/archives/C1/p1733644800123456)
+
+---
+id: INBOX-2024-12-09-DEF
+channel: zeims
+sender: 鈴木
+timestamp: 1733558400.000000
+status: done
+---
+
+### 09:00 | #zeims | 鈴木
+
+対応済み
+
+[Slack](https://slack.com/archives/C2/p1733558400000000)
+
+`;
+    axios.get.mockResolvedValue({
+      data: { content: Buffer.from(content).toString('base64'), sha: 'sha-1' }
+    });
+
+    const items = await github.getPendingInboxItems();
+
+    expect(items).toEqual([{
+      id: 'INBOX-2024-12-10-ABC',
+      channel: 'general',
+      sender: '田中',
+      timestamp: '1733644800.123456',
+      status: 'pending',
+      text: '見積もりの確認お願いします',
+      slackLink: 'https://slack.com/archives/C1/p1733644800123456'
+    }]);
+  });
+
+  it('pending.mdがなければ空配列を返す', async () => {
+    axios.get.mockRejectedValue({ response: { status: 404 } });
+
+    await expect(github.getPendingInboxItems()).resolves.toEqual([]);
+  });
+});
@@ -7,7 +7,7 @@ describe('GitHubIntegration.appendTask - 新フィールド対応', () => {
   let github;
 
   beforeEach(() => {
-    github = new GitHubIntegration();
+    github = new GitHubIntegration('test-token');
 
     axios.get.mockResolvedValue({
       data: {
@@ -121,4 +121,22 @@ describe('GitHubIntegration.appendTask - 新フィールド対応', () => {
 
     expect(content).toContain('owner_slack_id: U123456789');
   });
+
+  it('slackContextがなくてもowner_slack_idが保存される（定期タスクなど）', async () => {
+    const task = {
+      title: '週次レポート',
+      project_id: 'test-project',
+      assignee: 'taro-tanaka',
+      assignee_slack_id: 'U123456789'
+    };
+
+    await github.appendTask(task, '');
+
+    const putCall = axios.put.mock.calls[0];
+    const payload = putCall[1];
+    const content = Buffer.from(payload.content, 'base64').toString('utf-8');
+
+    expect(content).toContain('owner_slack_id: U123456789');
+    expect(content).not.toContain('channel_id:');
+  });
 });
@@ -1,6 +1,11 @@
 const { mockClient } = require('aws-sdk-client-mock');
 const { BedrockRuntimeClient, InvokeModelCommand } = require('@aws-sdk/client-bedrock-runtime');
-const { summarizeText } = require('../llm-integration');
+const {
+  summarizeText,
+  generateMeetingMinutes,
+  splitTranscriptIntoSegments,
+  dedupeActions
+} = require('../llm-integration');
 
 // Create mock
 const bedrockMock = mockClient(BedrockRuntimeClient);
@@ -162,4 +167,142 @@ describe('llm-integration', () => {
       expect(payload.messages[0].content[0].text).toContain('ネクストアクション');
     });
   });
+
+  describe('generateMeetingMinutes - 長い文字起こしの分割', () => {
+    const respond = (payload) => ({
+      body: new TextEncoder().encode(JSON.stringify({ content: [{ text: '```json\n' + JSON.stringify(payload) + '\n```' }] }))
+    });
+    const promptOf = (input) => JSON.parse(input.body).messages[0].content[0].text;
+
+    // 1発言1,000文字弱 × 250発言 ≒ 25万文字
+    const longTranscript = Array.from({ length: 250 }, (_, i) => (
+      `[${String(i).padStart(5, '0')}] ${i % 2 === 0 ? '田中' : '佐藤'}: ${'議論'.repeat(480)}`
+    )).join('\n');
+
+    it('発言の切れ目で分け、前のセグメントの末尾を重ねる', () => {
+      const segments = splitTranscriptIntoSegments(longTranscript, { segmentChars: 60000, overlapChars: 2000 });
+
+      expect(segments.length).toBe(5);
+      for (const segment of segments) {
+        expect(segment.length).toBeLessThanOrEqual(62000);
+        expect(segment.split('\n').every(line => /^\[\d{5}\] /.test(line))).toBe(true);
+      }
+      // 1発言は約1,000文字なので、末尾の2発言が重なる
+      const tailOfFirst = segments[0].split('\n').slice(-2).join('\n');
+      expect(segments[1].startsWith(`${tailOfFirst}\n`)).toBe(true);
+      expect(segments[segments.length - 1]).toContain('[00249]');
+    });
+
+    it('改行のない長い発言は文の切れ目で分ける', () => {
+      const segments = splitTranscriptIntoSegments('あいうえお。'.repeat(30), { segmentChars: 50, overlapChars: 0 });
+
+      expect(segments.length).toBe(4);
+      expect(segments.every(segment => segment.endsWith('。'))).toBe(true);
+    });
+
+    it('同じ担当者の重複アクションは詳しい方と期限を残して1件にする', () => {
+      expect(dedupeActions([
+        { task: '見積もりを送る', assignee: '佐藤 圭吾', deadline: '' },
+        { task: '見積もりを送る。', assignee: '佐藤圭吾', deadline: '12/5' },
+        { task: 'A社に見積もりを送る', assignee: '佐藤 圭吾', deadline: '' },
+        { task: '見積もりを送る', assignee: '田中 太郎', deadline: '来週' }
+      ])).toEqual([
+        { task: 'A社に見積もりを送る', assignee: '佐藤 圭吾', deadline: '12/5' },
+        { task: '見積もりを送る', assignee: '田中 太郎', deadline: '来週' }
+      ]);
+    });
+
+    it('セグメントごとに要約してから統合し、分割したことを議事録に残す', async () => {
+      bedrockMock.on(InvokeModelCommand).callsFake((input) => {
+        const prompt = promptOf(input);
+        if (prompt.includes('部分議事録を、1つの議事録に統合')) {
+          return respond({
+            minutes: '12-20 定例: 全体',
+            actions: [{ task: '見積もりを送る', assignee: '佐藤 圭吾', deadline: '12/5' }]
+          });
+        }
+        const part = /第(\d+)部を渡す/.exec(prompt)[1];
+        return respond({
+          minutes: `*第${part}部の議題について*`,
+          actions: [{ task: '見積もりを送る', assignee: '佐藤 圭吾', deadline: part === '1' ? '' : '12/5' }]
+        });
+      });
+
+      const result = await generateMeetingMinutes(longTranscript);
+
+      const prompts = bedrockMock.commandCalls(InvokeModelCommand).map(call => promptOf(call.args[0].input));
+      expect(prompts).toHaveLength(6);
+      expect(prompts.every(prompt => prompt.length < 70000)).toBe(true);
+      expect(prompts[5]).toContain('*第5部の議題について*');
+      expect(result.minutes).toBe('12-20 定例: 全体\n\n_※ 文字起こしが長いため5分割して要約し、統合しました_');
+      expect(result.actions).toEqual([{ task: '見積もりを送る', assignee: '佐藤 圭吾', deadline: '12/5' }]);
+      expect(result.chunked).toEqual({ segments: 5, failedSegments: [] });
+    });
+
+    it('統合に失敗したら部分議事録をつなげ、要約できなかった部を明記する', async () => {
+      bedrockMock.on(InvokeModelCommand).callsFake((input) => {
+        const prompt = promptOf(input);
+        if (prompt.includes('部分議事録を、1つの議事録に統合')) {
+          throw new Error('ThrottlingException');
+        }
+        const part = /第(\d+)部を渡す/.exec(prompt)[1];
+        if (part === '3') {
+          throw new Error('ThrottlingException');
+        }
+        return respond({ minutes: `第${part}部`, actions: [] });
+      });
+
+      const result = await generateMeetingMinutes(longTranscript);
+
+      expect(result.minutes).toBe([
+        '第1部\n\n第2部\n\n第4部\n\n第5部',
+        '',
+        '_※ 文字起こしが長いため5分割して要約し、統合しました_',
+        '_※ 第3部は要約に失敗したため含まれていません_'
+      ].join('\n'));
+      expect(result.chunked.failedSegments).toEqual([3]);
+    });
+
+    it('前回の会議を渡すと、部分議事録の進捗をまとめて統合に渡し、結果の progress に入れる', async () => {
+      const previousMeeting = {
+        date: '2024-12-02',
+        minutes: '# 2024-12-02 weekly standup',
+        openActions: [
+          { task: '見積もりを送る', assignee: '山本 力弥', deadline: '12/5' },
+          { task: 'デザインを確定する', assignee: '田中 花子', deadline: '12/6' }
+        ]
+      };
+      bedrockMock.on(InvokeModelCommand).callsFake((input) => {
+        const prompt = promptOf(input);
+        if (prompt.includes('部分議事録を、1つの議事録に統合')) {
+          return respond({ minutes: '12-09 定例: 全体', actions: [] });
+        }
+        const part = /第(\d+)部を渡す/.exec(prompt)[1];
+        const progress = {
+          2: [{ task: '見積もりを送る', status: 'done', note: '12/4に送付済み' }],
+          4: [{ task: '見積もりを送る', status: 'open', note: '' }, { task: 'デザインを確定する', status: 'dropped', note: '' }]
+        }[part] || [];
+        return respond({ minutes: `第${part}部`, actions: [], progress });
+      });
+
+      const result = await generateMeetingMinutes(longTranscript, null, { previousMeeting });
+
+      const prompts = bedrockMock.commandCalls(InvokeModelCommand).map(call => promptOf(call.args[0].input));
+      expect(prompts[5]).toContain('# 部分議事録から抽出した前回からの進捗');
+      expect(prompts[5]).toContain('12/4に送付済み');
+      expect(result.progress).toEqual([
+        { task: '見積もりを送る', assignee: '山本 力弥', deadline: '12/5', status: 'done', note: '12/4に送付済み' },
+        { task: 'デザインを確定する', assignee: '田中 花子', deadline: '12/6', status: 'dropped', note: '' }
+      ]);
+    });
+
+    it('短い文字起こしは分割せず1回で生成する', async () => {
+      bedrockMock.on(InvokeModelCommand).resolves(respond({ minutes: '議事録', actions: [] }));
+
+      const result = await generateMeetingMinutes('田中: 始めます');
+
+      expect(bedrockMock.commandCalls(InvokeModelCommand)).toHaveLength(1);
+      expect(result).toEqual({ raw: expect.any(String), minutes: '議事録', actions: [] });
+    });
+  });
 });
@@ -18,6 +18,17 @@ const mockAxios = {
 
 jest.mock('axios', () => mockAxios);
 
+// 置き換えの判定（LLM）のモック
+const mockGenerateText = jest.fn();
+
+jest.mock('ai', () => ({
+  generateText: (...args) => mockGenerateText(...args)
+}));
+
+jest.mock('@ai-sdk/anthropic', () => ({
+  anthropic: () => 'mock-model'
+}));
+
 // config.yml のモック
 const mockConfig = {
   projects: [
@@ -49,6 +60,14 @@ jest.mock('js-yaml', () => ({
   load: jest.fn().mockImplementation((content) => JSON.parse(content))
 }));
 
+// GitHub の contents API の PUT のレスポンス
+const putResponse = (sha = 'file-sha') => ({
+  data: {
+    content: { sha, html_url: 'https://github.com/...' },
+    commit: { sha: 'abc123', html_url: 'https://github.com/...' }
+  }
+});
+
 describe('MeetingDecisionCommit', () => {
   let commitDecisions;
   let generateDecisionMarkdown;
@@ -191,8 +210,8 @@ describe('MeetingDecisionCommit', () => {
       // When
       const result = await commitDecisions(decisions, projectId, meetingDate);
 
-      // Then
-      expect(mockAxios.put).toHaveBeenCalledTimes(2);
+      // Then（決定事項2件 + 一覧）
+      expect(mockAxios.put).toHaveBeenCalledTimes(3);
       expect(result.success).toBe(true);
       expect(result.committed).toBe(2);
     });
@@ -274,13 +293,10 @@ describe('MeetingDecisionCommit', () => {
 
       mockAxios.get.mockRejectedValue({ response: { status: 404 } });
       mockAxios.put
-        .mockResolvedValueOnce({
-          data: { content: { sha: 's1' }, commit: { sha: 'c1' } }
-        })
+        .mockResolvedValueOnce(putResponse('s1'))
         .mockRejectedValueOnce(new Error('API Error'))
-        .mockResolvedValueOnce({
-          data: { content: { sha: 's3' }, commit: { sha: 'c3' } }
-        });
+        .mockResolvedValueOnce(putResponse('s3'))
+        .mockResolvedValueOnce(putResponse('index'));
 
       const result = await commitDecisions(decisions, 'salestailor', '2025-12-14');
 
@@ -313,5 +329,105 @@ describe('MeetingDecisionCommit', () => {
         expect.any(Object)
       );
     });
+
+    it('コミットした決定事項を一覧に追加する', async () => {
+      mockAxios.get.mockRejectedValue({ response: { status: 404 } });
+      mockAxios.put.mockResolvedValue(putResponse());
+
+      const result = await commitDecisions(
+        [{ content: '価格は月額5万円に決定', context: '', date: '2025-12-14' }],
+        'salestailor',
+        '2025-12-14'
+      );
+
+      const indexCall = mockAxios.put.mock.calls.find(([url]) => url.endsWith('/_codex/decisions/index.md'));
+      const index = Buffer.from(indexCall[1].content, 'base64').toString('utf8');
+      expect(index).toContain('| 2025-12-14 | [価格は月額5万円に決定](2025-12-14_pricing-monthly50k.md) | 2025-12-14 会議 | 決定 |');
+      expect(result.indexUpdated).toBe(true);
+      expect(mockGenerateText).not.toHaveBeenCalled();
+    });
+
+    it('以前の決定を覆す決定は、以前の決定を置き換え済みにして双方向にリンクする', async () => {
+      const earlierFile = '2025-12-14_pricing-monthly-50k.md';
+      const files = {
+        'index.md': [
+          '# 決定事項の履歴',
+          '',
+          '| 決定日 | 決定事項 | 会議 | ステータス |',
+          '| --- | --- | --- | --- |',
+          `| 2025-12-14 | [価格は月額5万円に決定](${earlierFile}) | 2025-12-14 会議 | 決定 |`,
+          ''
+        ].join('\n'),
+        [earlierFile]: '# 価格は月額5万円に決定\n\n- 決定日: 2025-12-14\n- ステータス: 決定\n- ソース: 2025-12-14 会議\n'
+      };
+      mockAxios.get.mockImplementation(async (url) => {
+        const name = url.split('/').pop().split('?')[0];
+        if (!files[name]) {
+          throw { response: { status: 404 } };
+        }
+        return { data: { sha: `sha-${name}`, content: Buffer.from(files[name]).toString('base64') } };
+      });
+      mockAxios.put.mockResolvedValue(putResponse());
+      mockGenerateText.mockResolvedValue({
+        text: '```json\n{"supersessions": [{"new": 1, "old": 1, "reason": "価格を変更"}]}\n```'
+      });
+
+      const result = await commitDecisions(
+        [{ content: '価格は月額6万円に改定', context: '原価の上昇', date: '2026-01-10' }],
+        'salestailor',
+        '2026-01-10'
+      );
+
+      const written = Object.fromEntries(mockAxios.put.mock.calls.map(([url, payload]) => [
+        url.split('/').pop(),
+        { ...payload, text: Buffer.from(payload.content, 'base64').toString('utf8') }
+      ]));
+      const newFile = Object.keys(written).find(name => name.startsWith('2026-01-10_'));
+
+      expect(written[newFile].text).toContain(`- 置き換え元: [価格は月額5万円に決定](${earlierFile})`);
+      expect(written[earlierFile].text).toContain(`- ステータス: 置き換え済み（→ [${newFile.replace(/\.md$/, '')}](${newFile})）`);
+      expect(written[earlierFile].sha).toBe(`sha-${earlierFile}`);
+      expect(written['index.md'].sha).toBe('sha-index.md');
+      expect(written['index.md'].text).toContain(`| 2025-12-14 | [価格は月額5万円に決定](${earlierFile}) | 2025-12-14 会議 | 置き換え済み → [${newFile.replace(/\.md$/, '')}](${newFile}) |`);
+      expect(written['index.md'].text).toContain(`決定（[2025-12-14_pricing-monthly-50k](${earlierFile}) を置き換え）`);
+      expect(result.superseded).toEqual([{ file: earlierFile, supersededBy: newFile, reason: '価格を変更' }]);
+    });
+
+    it('一覧の更新がほかの会議のコミットとすれ違ったら、最新の一覧を読み直して今回の分を足す', async () => {
+      const GitHubIntegration = require('../github-integration');
+      const github = new GitHubIntegration('test-token', { disableAirtableSync: true, commitRetryBaseDelayMs: 0 });
+      const header = '# 決定事項の履歴\n\n| 決定日 | 決定事項 | 会議 | ステータス |\n| --- | --- | --- | --- |\n';
+      const otherRow = '| 2026-01-09 | [採用は2名に決定](2026-01-09_hiring.md) | 2026-01-09 会議 | 決定 |\n';
+      // 最初の読み込みと1回目のコミットの間に、ほかの会議が一覧を更新した
+      const indexVersions = [header, header + otherRow];
+      let indexReads = 0;
+      mockAxios.get.mockImplementation(async (url) => {
+        if (!url.includes('/index.md')) {
+          throw { response: { status: 404 } };
+        }
+        const version = indexReads++ < 2 ? 0 : 1;
+        return { data: { sha: `index-sha-${version}`, content: Buffer.from(indexVersions[version]).toString('base64') } };
+      });
+      mockAxios.put.mockImplementation(async (url, payload) => {
+        if (url.endsWith('/index.md') && payload.sha !== `index-sha-${indexVersions.length - 1}`) {
+          throw { response: { status: 409 } };
+        }
+        return putResponse();
+      });
+
+      const result = await commitDecisions(
+        [{ content: '価格は月額5万円に決定', context: '', date: '2026-01-10' }],
+        'salestailor',
+        '2026-01-10',
+        { github }
+      );
+
+      const indexPuts = mockAxios.put.mock.calls.filter(([url]) => url.endsWith('/index.md'));
+      expect(indexPuts).toHaveLength(2);
+      const index = Buffer.from(indexPuts[1][1].content, 'base64').toString('utf8');
+      expect(index).toContain('[採用は2名に決定](2026-01-09_hiring.md)');
+      expect(index).toContain('[価格は月額5万円に決定](2026-01-10_pricing-monthly50k.md)');
+      expect(result.indexUpdated).toBe(true);
+    });
   });
 });
@@ -0,0 +1,140 @@
+/**
+ * meeting-proposal-edit.test.js
+ * 提案UIで決定事項・タスクを編集してから承認する流れのテスト
+ */
+
+const mockRegisterMeetingTasks = jest.fn();
+const mockCommitDecisions = jest.fn();
+
+jest.mock('../meeting-task-registration', () => ({
+  ...jest.requireActual('../meeting-task-registration'),
+  registerMeetingTasks: (...args) => mockRegisterMeetingTasks(...args)
+}));
+
+jest.mock('../meeting-decision-commit', () => ({
+  commitDecisions: (...args) => mockCommitDecisions(...args)
+}));
+
+jest.mock('../slack-name-resolver', () => ({
+  getSlackIdToBrainbaseName: async () => new Map([['U003', '田中 花子']])
+}));
+
+jest.mock('../proposal-context-store', () => {
+  const contexts = new Map();
+  return {
+    contexts,
+    ProposalContextStore: class {
+      async getContext(messageTs) { return contexts.get(messageTs) || null; }
+      async saveContext(messageTs, context) { contexts.set(messageTs, context); return context; }
+      async deleteContext(messageTs) { contexts.delete(messageTs); }
+    }
+  };
+});
+
+const {
+  applyProposalEdit,
+  handleProposalEdit,
+  handleMeetingApprovalAction
+} = require('../meeting-flow-integration');
+const { contexts: proposalContextStore } = require('../proposal-context-store');
+
+const MESSAGE_TS = '1700000000.000300';
+
+function createContext() {
+  return {
+    projectId: 'salestailor',
+    projectName: 'SalesTailor',
+    meetingDate: '2025-12-14',
+    channelId: 'C999',
+    createdAt: Date.now(),
+    decisions: [{ content: '価格は月額5万円', context: '', date: '2025-12-14' }],
+    actions: [
+      { task: 'LP作成', assignee: '担当未定', deadline: '来週', assignee_slack_id: null, unresolved_assignee: 'たなか' },
+      { task: '価格表更新', assignee: '山田', deadline: '12/18' }
+    ]
+  };
+}
+
+describe('applyProposalEdit', () => {
+  it('編集前の値を original に残し、同じ日付の期限は書き換えない', async () => {
+    const item = { task: '価格表更新', assignee: '山田', deadline: '2025/12/18' };
+
+    const edited = await applyProposalEdit(item, 'action', { task: '価格表更新', assigneeSlackId: null, dueDate: '2025-12-18', priority: 'high' }, jest.fn());
+
+    expect(edited).toEqual({ ...item, priority: 'high', original: item });
+
+    const editedTwice = await applyProposalEdit(edited, 'action', { task: '価格表を更新する' }, jest.fn());
+    expect(editedTwice.original).toEqual(item);
+  });
+});
+
+describe('handleProposalEdit', () => {
+  const client = {
+    chat: { update: jest.fn() },
+    users: { info: jest.fn() }
+  };
+
+  beforeEach(() => {
+    proposalContextStore.clear();
+    proposalContextStore.set(MESSAGE_TS, createContext());
+    client.chat.update.mockResolvedValue({ ok: true });
+    mockRegisterMeetingTasks.mockResolvedValue({ success: true, registered: 2 });
+    mockCommitDecisions.mockResolvedValue({ success: true, committed: 1 });
+  });
+
+  it('編集した値で提案メッセージを更新し、一括承認では編集後の値を登録する', async () => {
+    const result = await handleProposalEdit({
+      type: 'action',
+      index: 0,
+      channelId: 'C999',
+      messageTs: MESSAGE_TS,
+      values: { task: 'LP作成', assigneeSlackId: 'U003', dueDate: '2025-12-19', priority: 'high' }
+    }, client);
+
+    expect(result.success).toBe(true);
+    const { blocks } = client.chat.update.mock.calls[0][0];
+    expect(blocks.some(b => b.type === 'context' && b.elements[0].text.includes('担当: 担当未定 → 田中 花子'))).toBe(true);
+
+    await handleMeetingApprovalAction({
+      action: { action_id: 'approve_all', value: '{}' },
+      message: { ts: MESSAGE_TS },
+      channel: { id: 'C999' }
+    }, client);
+
+    const [registered] = mockRegisterMeetingTasks.mock.calls[0];
+    expect(registered[0]).toMatchObject({
+      task: 'LP作成',
+      assignee: '田中 花子',
+      assignee_slack_id: 'U003',
+      deadline: '2025/12/19',
+      priority: 'high'
+    });
+    expect(registered[0]).not.toHaveProperty('unresolved_assignee');
+    expect(registered[1]).toEqual({ task: '価格表更新', assignee: '山田', deadline: '12/18' });
+  });
+
+  it('決定事項の内容と背景を編集できる', async () => {
+    await handleProposalEdit({
+      type: 'decision',
+      index: 0,
+      channelId: 'C999',
+      messageTs: MESSAGE_TS,
+      values: { content: '価格は月額5万円（税別）', context: '競合比較の結果' }
+    }, client);
+
+    expect(proposalContextStore.get(MESSAGE_TS).decisions[0]).toMatchObject({
+      content: '価格は月額5万円（税別）',
+      context: '競合比較の結果',
+      original: { content: '価格は月額5万円', context: '' }
+    });
+  });
+
+  it('コンテキストがなければエラーを返す', async () => {
+    proposalContextStore.clear();
+
+    const result = await handleProposalEdit({ type: 'action', index: 0, messageTs: MESSAGE_TS, values: {} }, client);
+
+    expect(result.success).toBe(false);
+    expect(client.chat.update).not.toHaveBeenCalled();
+  });
+});
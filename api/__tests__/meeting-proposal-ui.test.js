@@ -57,9 +57,10 @@ describe('MeetingProposalUI', () => {
 
       const actionBlock = result.find(b => b.type === 'actions');
       expect(actionBlock).toBeDefined();
-      expect(actionBlock.elements).toHaveLength(2); // 承認と却下
+      expect(actionBlock.elements).toHaveLength(3); // 承認と却下と編集
       expect(actionBlock.elements[0].text.text).toContain('承認');
       expect(actionBlock.elements[1].text.text).toContain('却下');
+      expect(actionBlock.elements[2].action_id).toBe('edit_decision_0');
     });
 
     it('ボタンのaction_idにインデックスを含める', () => {
@@ -96,7 +97,8 @@ describe('MeetingProposalUI', () => {
 
       const actionBlock = result.find(b => b.type === 'actions');
       expect(actionBlock).toBeDefined();
-      expect(actionBlock.elements).toHaveLength(2);
+      expect(actionBlock.elements).toHaveLength(3);
+      expect(actionBlock.elements[2].action_id).toBe('edit_action_0');
     });
 
     it('ボタンのaction_idにaction_とインデックスを含める', () => {
@@ -109,6 +111,56 @@ describe('MeetingProposalUI', () => {
     });
   });
 
+  describe('編集', () => {
+    it('編集したタスクは優先度と変更点を表示する', () => {
+      const action = {
+        task: 'LP作成',
+        assignee: '田中 花子',
+        deadline: '2025/12/19',
+        priority: 'high',
+        original: { task: 'LP作成', assignee: '佐藤', deadline: '来週' }
+      };
+
+      const result = buildActionBlock(action, 0);
+
+      expect(result[0].text.text).toContain('⚡ 優先度: 高');
+      const contextBlock = result.find(b => b.type === 'context');
+      expect(contextBlock.elements[0].text).toBe('✏️ 編集済み — 担当: 佐藤 → 田中 花子 / 期限: 来週 → 2025/12/19 / 優先度: （なし） → 高');
+    });
+
+    it('タスクの編集モーダルは担当者と期限の初期値を入れる', () => {
+      const { buildProposalEditModal, getProposalEditValues } = require('../meeting-proposal-ui');
+      const item = { task: 'LP作成', assignee: '佐藤 圭吾', assignee_slack_id: 'U001', deadline: '2025/12/20' };
+
+      const view = buildProposalEditModal({ type: 'action', index: 1, item, channelId: 'C1', messageTs: '111.222' });
+
+      const blockById = id => view.blocks.find(b => b.block_id === id);
+      expect(view.callback_id).toBe('meeting_proposal_edit');
+      expect(blockById('assignee').element.initial_user).toBe('U001');
+      expect(blockById('deadline').element.initial_date).toBe('2025-12-20');
+      expect(blockById('priority').element.initial_option).toBeUndefined();
+
+      const values = getProposalEditValues({
+        ...view,
+        state: {
+          values: {
+            task: { value: { value: ' LP作成（A/Bテスト込み） ' } },
+            assignee: { value: { selected_user: 'U003' } },
+            deadline: { value: { selected_date: '2025-12-19' } },
+            priority: { value: { selected_option: { value: 'low' } } }
+          }
+        }
+      });
+      expect(values).toEqual({
+        type: 'action',
+        index: 1,
+        channelId: 'C1',
+        messageTs: '111.222',
+        values: { task: 'LP作成（A/Bテスト込み）', assigneeSlackId: 'U003', dueDate: '2025-12-19', priority: 'low' }
+      });
+    });
+  });
+
   describe('buildSummaryBlock', () => {
     it('サマリーブロックを生成する', () => {
       const projectId = 'salestailor';
@@ -0,0 +1,171 @@
+/**
+ * meeting-series.test.js
+ * 定例会議のシリーズ判定と、前回の会議からの進捗のテスト
+ */
+
+const { mockClient } = require('aws-sdk-client-mock');
+const { BedrockRuntimeClient, InvokeModelCommand } = require('@aws-sdk/client-bedrock-runtime');
+const {
+  MeetingSeriesLoader,
+  findPreviousMeeting,
+  extractOpenActions,
+  reconcileProgress
+} = require('../meeting-series');
+const { generateMeetingMinutes, formatMinutesForGitHub } = require('../llm-integration');
+
+const bedrockMock = mockClient(BedrockRuntimeClient);
+
+// 2024-12-09 は月曜日
+const FILES = [
+  { name: '2024-11-25_weekly-team-standup.md', path: 'meetings/minutes/2024-11-25_weekly-team-standup.md', type: 'file' },
+  { name: '2024-12-02_weekly-standup.md', path: 'meetings/minutes/2024-12-02_weekly-standup.md', type: 'file' },
+  { name: '2024-12-03_weekly-standup-review.md', path: 'meetings/minutes/2024-12-03_weekly-standup-review.md', type: 'file' },
+  { name: '2024-12-06_client-meeting-abc-corp.md', path: 'meetings/minutes/2024-12-06_client-meeting-abc-corp.md', type: 'file' },
+  { name: '2024-12-09_weekly-standup.md', path: 'meetings/minutes/2024-12-09_weekly-standup.md', type: 'file' },
+  { name: 'README.md', path: 'meetings/minutes/README.md', type: 'file' }
+];
+
+const PREVIOUS_MINUTES = `---
+transcript_ref: ../transcripts/2024-12-02_weekly-standup.txt
+date: 2024-12-02
+---
+
+# 2024-12-02 weekly standup
+
+## 要約
+
+進捗確認
+
+---
+
+12-02 定例: 見積もり・リリース
+
+*🔁 前回からの進捗*
+- ✅ 完了: 議事録テンプレートを作る（佐藤 圭吾）
+- ⏳ 継続: デザインを確定する（田中 花子、12/6） — レビュー待ち
+
+*📅 次の手配・アクション*
+- 見積もりを送る（山本 力弥、12/5）
+- リリースノートを書く（佐藤 圭吾、来週）
+
+---
+
+*この議事録はAIにより自動生成されました*
+`;
+
+describe('findPreviousMeeting', () => {
+  it('ファイル名が似ていて同じ曜日の、いちばん新しい過去の議事録を前回とする', () => {
+    expect(findPreviousMeeting(FILES, { baseName: 'weekly-team-standup', dateStr: '2024-12-09' }))
+      .toMatchObject({ date: '2024-12-02', baseName: 'weekly-standup' });
+  });
+
+  it('曜日が違っても名前が完全に一致すれば同じシリーズ、似ていなければ前回なし', () => {
+    expect(findPreviousMeeting(FILES, { baseName: 'client-meeting-abc-corp', dateStr: '2024-12-10' }))
+      .toMatchObject({ date: '2024-12-06' });
+    expect(findPreviousMeeting(FILES, { baseName: 'product-roadmap-review', dateStr: '2024-12-09' })).toBeNull();
+  });
+});
+
+describe('extractOpenActions', () => {
+  it('前回のアクションと、前回の進捗で継続になったものを取り出す', () => {
+    expect(extractOpenActions(PREVIOUS_MINUTES)).toEqual([
+      { task: 'デザインを確定する', assignee: '田中 花子', deadline: '12/6' },
+      { task: '見積もりを送る', assignee: '山本 力弥', deadline: '12/5' },
+      { task: 'リリースノートを書く', assignee: '佐藤 圭吾', deadline: '来週' }
+    ]);
+  });
+
+  it('formatMinutesForGitHub の出力を読み戻せる', () => {
+    const markdown = formatMinutesForGitHub({
+      minutes: '議事録',
+      progress: reconcileProgress([
+        { task: 'A', assignee: '佐藤 圭吾', deadline: '' },
+        { task: 'B', assignee: '', deadline: '' },
+        { task: 'D', assignee: '', deadline: '' }
+      ], [
+        { task: 'A', status: 'open', note: '' },
+        { task: 'B', status: 'dropped', note: '不要になった' },
+        { task: 'D', status: 'open', note: '来週に延期' }
+      ]),
+      actions: [{ task: 'C', assignee: '田中 花子', deadline: '12/20' }]
+    });
+
+    expect(markdown).toContain('- ❌ 取りやめ: B — 不要になった');
+    expect(extractOpenActions(markdown)).toEqual([
+      { task: 'A', assignee: '佐藤 圭吾', deadline: '' },
+      { task: 'D', assignee: '', deadline: '' },
+      { task: 'C', assignee: '田中 花子', deadline: '12/20' }
+    ]);
+  });
+});
+
+describe('前回の会議を踏まえた議事録', () => {
+  beforeEach(() => {
+    bedrockMock.reset();
+  });
+
+  it('前回の未完了アクションをプロンプトに入れ、進捗を議事録につける', async () => {
+    const github = {
+      listDirectory: jest.fn().mockResolvedValue(FILES),
+      getFileContent: jest.fn().mockResolvedValue({ content: PREVIOUS_MINUTES, sha: 'abc' })
+    };
+    const previousMeeting = await new MeetingSeriesLoader({ github }).loadPreviousMeeting({
+      owner: 'Unson-LLC',
+      repo: 'mana',
+      pathPrefix: 'meetings/',
+      baseName: 'weekly-standup',
+      dateStr: '2024-12-09'
+    });
+
+    expect(github.listDirectory).toHaveBeenCalledWith({ owner: 'Unson-LLC', repo: 'mana', branch: 'main', path: 'meetings/minutes' });
+    expect(github.getFileContent).toHaveBeenCalledWith(expect.objectContaining({ path: 'meetings/minutes/2024-12-02_weekly-standup.md' }));
+    expect(previousMeeting.minutes.startsWith('# 2024-12-02 weekly standup')).toBe(true);
+
+    bedrockMock.on(InvokeModelCommand).resolves({
+      body: new TextEncoder().encode(JSON.stringify({
+        content: [{
+          text: JSON.stringify({
+            minutes: '12-09 定例',
+            actions: [],
+            progress: [
+              { task: '見積もりを送る', status: 'done', note: '12/4に送付済み' },
+              { task: 'デザインを確定する', status: 'dropped', note: '' },
+              { task: '関係ないタスク', status: 'done', note: '' }
+            ]
+          })
+        }]
+      }))
+    });
+
+    const result = await generateMeetingMinutes('[00:00:01] 佐藤: 始めます', null, { previousMeeting });
+
+    const prompt = JSON.parse(bedrockMock.commandCalls(InvokeModelCommand)[0].args[0].input.body).messages[0].content[0].text;
+    expect(prompt).toContain('# 前回の会議（同じ定例の 2024-12-02 開催分）');
+    expect(prompt).toContain('3. リリースノートを書く（佐藤 圭吾、来週）');
+    expect(result.progress).toEqual([
+      { task: 'デザインを確定する', assignee: '田中 花子', deadline: '12/6', status: 'dropped', note: '' },
+      { task: '見積もりを送る', assignee: '山本 力弥', deadline: '12/5', status: 'done', note: '12/4に送付済み' },
+      { task: 'リリースノートを書く', assignee: '佐藤 圭吾', deadline: '来週', status: 'open', note: '' }
+    ]);
+    expect(formatMinutesForGitHub(result)).toBe([
+      '12-09 定例',
+      '',
+      '*🔁 前回からの進捗*',
+      '- ❌ 取りやめ: デザインを確定する（田中 花子、12/6）',
+      '- ✅ 完了: 見積もりを送る（山本 力弥、12/5） — 12/4に送付済み',
+      '- ⏳ 継続: リリースノートを書く（佐藤 圭吾、来週）'
+    ].join('\n'));
+  });
+
+  it('GitHub から読めなければ前回なしで続ける', async () => {
+    const github = { listDirectory: jest.fn().mockRejectedValue(new Error('Bad credentials')) };
+    const logger = { warn: jest.fn() };
+
+    const previousMeeting = await new MeetingSeriesLoader({ github, logger }).loadPreviousMeeting({
+      owner: 'Unson-LLC', repo: 'mana', pathPrefix: 'meetings/', baseName: 'weekly-standup', dateStr: '2024-12-09'
+    });
+
+    expect(previousMeeting).toBeNull();
+    expect(logger.warn).toHaveBeenCalledWith('Failed to load previous meeting for weekly-standup:', 'Bad credentials');
+  });
+});
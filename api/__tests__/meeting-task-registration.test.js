@@ -189,6 +189,20 @@ describe('MeetingTaskRegistration', () => {
       );
     });
 
+    it('提案UIで編集した優先度と期限を登録する', async () => {
+      mockAirtableMethods.createRecord.mockResolvedValue({ id: 'rec123' });
+
+      await registerMeetingTasks([
+        { task: 'LP作成', assignee: '佐藤 圭吾', deadline: '2025/12/19', priority: 'high' }
+      ], 'salestailor', '2025-12-14');
+
+      expect(mockAirtableMethods.createRecord).toHaveBeenCalledWith(
+        'app8uhkD8PcnxPvVx',
+        'タスク',
+        expect.objectContaining({ priority: 'high', due_date: expect.stringMatching(/^2025-12-1[89]$/) })
+      );
+    });
+
     it('空のactions配列の場合は何もしない', async () => {
       const result = await registerMeetingTasks([], 'salestailor', '2025-12-14');
 
@@ -0,0 +1,268 @@
+/**
+ * minutes-review.test.js
+ * 議事録のレビュー（コミット・投稿前の確認と編集）のテスト
+ */
+
+const { mockClient } = require('aws-sdk-client-mock');
+const { DynamoDBDocumentClient, PutCommand } = require('@aws-sdk/lib-dynamodb');
+const { BedrockRuntimeClient, InvokeModelCommand } = require('@aws-sdk/client-bedrock-runtime');
+const {
+  splitMinutesIntoSections,
+  joinMinutesSections,
+  formatActionsForEditing,
+  parseEditedActions,
+  buildMinutesDiff,
+  MinutesReviewRepository
+} = require('../minutes-review');
+const {
+  buildReviewRequestBlocks,
+  buildMinutesReviewView,
+  getReviewValuesFromView
+} = require('../minutes-review-ui');
+const { regenerateMinutesSection } = require('../llm-integration');
+
+const bedrockMock = mockClient(BedrockRuntimeClient);
+
+const MINUTES = [
+  '12-09 定例: 見積もり・リリース',
+  '見積もりとリリース日程を確認した。',
+  '',
+  '*見積もりについて*',
+  '- A社向けの見積もりは今週中に送る',
+  '',
+  '*リリースについて*',
+  '_日程_',
+  '- 12/20 にリリースする'
+].join('\n');
+
+const ACTIONS = [
+  { task: '見積もりを送る', assignee: '山本 力弥', deadline: '12/5', assignee_slack_id: 'U001' },
+  { task: 'リリースノートを書く', assignee: '佐藤 圭吾', deadline: '来週', assignee_slack_id: 'U002' }
+];
+
+const CONTEXT = {
+  fileId: 'F123',
+  fileName: 'standup.vtt',
+  projectId: 'proj_1',
+  projectName: 'mana',
+  channelId: 'C999',
+  channelName: 'mana-dev',
+  workspace: 'unson',
+  sourceChannelId: 'C111',
+  messageTs: '1700000000.000100'
+};
+
+/**
+ * モーダルの入力内容（view.state）を組み立てる
+ */
+function buildSubmittedView(view, edits = {}) {
+  const values = {};
+  for (const block of view.blocks.filter(b => b.type === 'input')) {
+    values[block.block_id] = {
+      value: { type: 'plain_text_input', value: block.block_id in edits ? edits[block.block_id] : (block.element.initial_value || null) }
+    };
+  }
+  return { ...view, state: { values } };
+}
+
+describe('議事録のセクション分割', () => {
+  it('トピックの見出しごとに分け、つなげると元に戻る', () => {
+    const sections = splitMinutesIntoSections(MINUTES);
+
+    expect(sections).toHaveLength(3);
+    expect(sections[0]).toBe('12-09 定例: 見積もり・リリース\n見積もりとリリース日程を確認した。');
+    expect(sections[2].startsWith('*リリースについて*')).toBe(true);
+    expect(joinMinutesSections(sections)).toBe(MINUTES);
+  });
+
+  it('入力欄に入らない長さのセクションは段落の切れ目で分け、内容を落とさない', () => {
+    const paragraph = 'あ'.repeat(40);
+    const minutes = `*長い話題について*\n${Array.from({ length: 5 }, () => paragraph).join('\n\n')}`;
+
+    const sections = splitMinutesIntoSections(minutes, { maxChars: 100 });
+
+    expect(sections.length).toBeGreaterThan(1);
+    expect(sections.every(section => section.length <= 100)).toBe(true);
+    expect(joinMinutesSections(sections)).toBe(minutes);
+  });
+});
+
+describe('アクションの編集', () => {
+  it('編集欄のテキストとアクションを行き来でき、担当者が同じなら Slack ID を引き継ぐ', () => {
+    const text = formatActionsForEditing(ACTIONS);
+    expect(text).toBe('見積もりを送る / 山本 力弥 / 12/5\nリリースノートを書く / 佐藤 圭吾 / 来週');
+
+    const edited = parseEditedActions(
+      '見積もりを送る / 山本 力弥 / 12/6\n- リリースノートを書く / 田中 花子 / 来週\n議事録を共有する\n',
+      ACTIONS
+    );
+    expect(edited).toEqual([
+      { task: '見積もりを送る', assignee: '山本 力弥', deadline: '12/6', assignee_slack_id: 'U001' },
+      { task: 'リリースノートを書く', assignee: '田中 花子', deadline: '来週' },
+      { task: '議事録を共有する', assignee: '', deadline: '' }
+    ]);
+  });
+});
+
+describe('buildMinutesDiff', () => {
+  it('本文の変更行と、追加・削除されたアクションを返す', () => {
+    const generated = { minutes: MINUTES, actions: ACTIONS };
+    const approved = {
+      minutes: MINUTES.replace('- 12/20 にリリースする', '- 12/23 にリリースする'),
+      actions: [ACTIONS[0], { task: '議事録を共有する', assignee: '', deadline: '' }]
+    };
+
+    expect(buildMinutesDiff(generated, approved)).toEqual({
+      changed: true,
+      minutes: [
+        { type: 'removed', line: '- 12/20 にリリースする' },
+        { type: 'added', line: '- 12/23 にリリースする' }
+      ],
+      actions: {
+        added: ['議事録を共有する /  / '],
+        removed: ['リリースノートを書く / 佐藤 圭吾 / 来週']
+      }
+    });
+    expect(buildMinutesDiff(generated, generated).changed).toBe(false);
+  });
+});
+
+describe('MinutesReviewRepository', () => {
+  const ddbMock = mockClient(DynamoDBDocumentClient);
+
+  beforeEach(() => {
+    ddbMock.reset();
+  });
+
+  it('生成版・承認版・差分・再生成の記録を保存する', async () => {
+    ddbMock.on(PutCommand).resolves({});
+    const repository = new MinutesReviewRepository({ tableName: 'reviews' });
+
+    await repository.saveReview({
+      fileId: 'F123',
+      projectId: 'proj_1',
+      projectName: 'mana',
+      reviewerId: 'U777',
+      generated: { minutes: 'a\nb', actions: [] },
+      approved: { minutes: 'a\nc', actions: [] },
+      regenerations: [{ section: 0, instruction: 'もっと詳しく' }]
+    }, new Date('2024-12-09T01:00:00Z'));
+
+    expect(ddbMock.commandCalls(PutCommand)[0].args[0].input).toEqual({
+      TableName: 'reviews',
+      Item: expect.objectContaining({
+        file_id: 'F123',
+        reviewed_at: '2024-12-09T01:00:00.000Z',
+        reviewer_slack_id: 'U777',
+        generated_minutes: 'a\nb',
+        approved_minutes: 'a\nc',
+        diff: expect.objectContaining({
+          changed: true,
+          minutes: [{ type: 'removed', line: 'b' }, { type: 'added', line: 'c' }]
+        }),
+        regenerations: [{ section: 0, instruction: 'もっと詳しく' }]
+      })
+    });
+  });
+});
+
+describe('レビューの UI', () => {
+  it('処理メッセージに確認ボタンを出し、承認まで投稿しないことを伝える', () => {
+    const blocks = buildReviewRequestBlocks(CONTEXT, { minutes: MINUTES, actions: ACTIONS });
+
+    const button = blocks.find(block => block.type === 'actions').elements[0];
+    expect(button.action_id).toBe('minutes_review_open');
+    expect(JSON.parse(button.value)).toEqual(CONTEXT);
+    expect(blocks[0].text.text).toContain('#mana-dev');
+  });
+
+  it('モーダルの編集内容と対象を読み戻せる', () => {
+    const view = buildMinutesReviewView({
+      context: CONTEXT,
+      sections: splitMinutesIntoSections(MINUTES),
+      actionsText: formatActionsForEditing(ACTIONS),
+      revision: 2
+    });
+
+    expect(view.callback_id).toBe('minutes_review_submit');
+    expect(view.submit.text).toBe('承認して投稿');
+    expect(view.blocks.filter(block => block.type === 'actions')).toHaveLength(3);
+
+    const submitted = buildSubmittedView(view, {
+      minutes_review_section_1_r2: '*見積もりについて*\n- A社向けの見積もりは来週送る',
+      minutes_review_instruction_r2: ' 日付を明記して '
+    });
+    const values = getReviewValuesFromView(submitted);
+
+    expect(values.context).toEqual({ ...CONTEXT, revision: 2 });
+    expect(values.sections[1]).toBe('*見積もりについて*\n- A社向けの見積もりは来週送る');
+    expect(values.sections).toHaveLength(3);
+    expect(values.actionsText).toBe(formatActionsForEditing(ACTIONS));
+    expect(values.instruction).toBe('日付を明記して');
+  });
+
+  it('入力欄に入らない数のアクションは行の切れ目で複数の入力欄に分け、読み戻すと元に戻る', () => {
+    const manyActions = Array.from({ length: 120 }, (_, i) => ({
+      task: `見積もり${i + 1}を${'確認して'.repeat(5)}送る`,
+      assignee: '山本 力弥',
+      deadline: '12/5'
+    }));
+    const actionsText = formatActionsForEditing(manyActions);
+    expect(actionsText.length).toBeGreaterThan(3000);
+
+    const view = buildMinutesReviewView({ context: CONTEXT, sections: ['本文'], actionsText });
+
+    const actionInputs = view.blocks.filter(block => block.block_id?.startsWith('minutes_review_actions_'));
+    expect(actionInputs.length).toBeGreaterThan(1);
+    for (const input of actionInputs) {
+      expect(input.element.initial_value.length).toBeLessThanOrEqual(input.element.max_length);
+      expect(input.element.initial_value.split('\n').every(line => line.endsWith(' / 山本 力弥 / 12/5'))).toBe(true);
+    }
+    expect(getReviewValuesFromView(buildSubmittedView(view)).actionsText).toBe(actionsText);
+  });
+
+  it('GitHub のみのときはコミットの承認にする', () => {
+    const view = buildMinutesReviewView({
+      context: { ...CONTEXT, channelId: null, githubOnly: true },
+      sections: ['本文'],
+      actionsText: ''
+    });
+
+    expect(view.submit.text).toBe('承認してコミット');
+    expect(view.blocks[0].text.text).toContain('GitHubのみ');
+  });
+});
+
+describe('regenerateMinutesSection', () => {
+  beforeEach(() => {
+    bedrockMock.reset();
+  });
+
+  it('指示と書き直すセクションをプロンプトに入れ、書き直した本文を返す', async () => {
+    bedrockMock.on(InvokeModelCommand).resolves({
+      body: new TextEncoder().encode(JSON.stringify({
+        content: [{ text: '```\n*見積もりについて*\n- A社向けの見積もりは12/6までに送る\n```' }]
+      }))
+    });
+
+    const sections = splitMinutesIntoSections(MINUTES);
+    const rewritten = await regenerateMinutesSection({
+      section: sections[1],
+      instruction: '期限を明記して',
+      minutes: MINUTES,
+      transcript: '[00:00:01] 山本: 見積もりは12/6までに送ります'
+    });
+
+    expect(rewritten).toBe('*見積もりについて*\n- A社向けの見積もりは12/6までに送る');
+    const prompt = JSON.parse(bedrockMock.commandCalls(InvokeModelCommand)[0].args[0].input.body).messages[0].content[0].text;
+    expect(prompt).toContain('# 指示\n期限を明記して');
+    expect(prompt).toContain('# 書き直すセクション\n*見積もりについて*');
+  });
+
+  it('モデルの呼び出しに失敗したら null', async () => {
+    bedrockMock.on(InvokeModelCommand).rejects(new Error('throttled'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(regenerateMinutesSection({ section: '本文', instruction: '短く', minutes: '本文' })).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * participant-roster.test.js
+ * 文字起こしの話者をメンバーに対応づける参加者名簿のテスト
+ */
+
+jest.mock('../slack-name-resolver', () => ({
+  ...jest.requireActual('../slack-name-resolver'),
+  getMembersMapping: jest.fn()
+}));
+
+const { mockClient } = require('aws-sdk-client-mock');
+const { BedrockRuntimeClient, InvokeModelCommand } = require('@aws-sdk/client-bedrock-runtime');
+const {
+  UNASSIGNED_LABEL,
+  extractSpeakerLabels,
+  buildMemberDirectory,
+  resolveSpeaker,
+  buildParticipantRoster,
+  applySpeakerSelections,
+  formatRosterForPrompt,
+  resolveActionAssignees
+} = require('../participant-roster');
+const {
+  buildRosterConfirmationBlocks,
+  getSpeakerSelectionsFromState
+} = require('../participant-roster-ui');
+const { generateMeetingMinutes } = require('../llm-integration');
+const { getMembersMapping } = require('../slack-name-resolver');
+
+const bedrockMock = mockClient(BedrockRuntimeClient);
+
+// getMembersMapping() と同じく、フルネームと苗字の両方をキーにする
+const MAPPING = new Map([
+  ['佐藤 圭吾', 'U_SATO'], ['佐藤', 'U_SATO'],
+  ['田中 太郎', 'U_TANAKA_T'], ['田中', 'U_TANAKA_T'],
+  ['田中 花子', 'U_TANAKA_H'],
+  ['山本 力弥', 'U_YAMAMOTO'], ['山本', 'U_YAMAMOTO']
+]);
+const MEMBERS = buildMemberDirectory(MAPPING);
+
+const TRANSCRIPT = [
+  '[00:00:01] 佐藤さん: では始めます',
+  '[00:00:05] 田中: 見積もりの件です',
+  '[00:00:09] 佐藤敬吾: 来週までに出します',
+  '[00:00:15] Keigo: Thanks',
+  '[00:00:20] 田中: 了解です'
+].join('\n');
+
+describe('extractSpeakerLabels', () => {
+  it('タイムスタンプ付きの行と、2回以上出てくる「話者: 発言」の行から話者を取り出す', () => {
+    const text = [
+      '[00:00:01] 田中 太郎: では始めます',
+      '[00:00:03] 田中 太郎: 次です',
+      '山本：補足します',
+      '山本：以上です',
+      '決定: 価格は5万円',
+      '決定: 来月リリース',
+      '佐藤: 一度だけの発言',
+      '山田 次郎',
+      '00:12:30',
+      '議事録に入っている本文'
+    ].join('\n');
+
+    expect(extractSpeakerLabels(text)).toEqual([
+      { label: '田中 太郎', count: 2 },
+      { label: '山本', count: 2 },
+      { label: '山田 次郎', count: 1 }
+    ]);
+  });
+});
+
+describe('resolveSpeaker', () => {
+  it('フルネームか、1人だけに当たる苗字なら確度 high', () => {
+    expect(resolveSpeaker('佐藤 圭吾', MEMBERS)).toMatchObject({ name: '佐藤 圭吾', slack_id: 'U_SATO', confidence: 'high' });
+    expect(resolveSpeaker('佐藤さん', MEMBERS)).toMatchObject({ name: '佐藤 圭吾', confidence: 'high' });
+    expect(resolveSpeaker('山本PM', MEMBERS)).toMatchObject({ name: '山本 力弥', confidence: 'high' });
+  });
+
+  it('苗字が複数人に当たる・聞き間違いらしい話者は候補つきで確度 low', () => {
+    expect(resolveSpeaker('田中', MEMBERS)).toMatchObject({
+      name: null,
+      confidence: 'low',
+      candidates: [{ name: '田中 太郎', slack_id: 'U_TANAKA_T' }, { name: '田中 花子', slack_id: 'U_TANAKA_H' }]
+    });
+    expect(resolveSpeaker('佐藤敬吾', MEMBERS)).toMatchObject({
+      confidence: 'low',
+      candidates: [{ name: '佐藤 圭吾', slack_id: 'U_SATO' }]
+    });
+  });
+
+  it('候補がなければ none', () => {
+    expect(resolveSpeaker('Keigo', MEMBERS)).toMatchObject({ confidence: 'none', candidates: [] });
+  });
+});
+
+describe('話者の確認', () => {
+  it('確度の低い話者だけ選択肢を出し、選んだ内容で名簿を確定する', async () => {
+    const roster = await buildParticipantRoster(TRANSCRIPT, { mapping: MAPPING });
+    const blocks = buildRosterConfirmationBlocks(roster, { fileId: 'F1', channelId: 'C1', members: MEMBERS });
+
+    const selectBlocks = blocks.filter(block => block.accessory);
+    expect(selectBlocks.map(block => block.text.text)).toEqual([
+      '*「田中」*（発言 2回）',
+      '*「佐藤敬吾」*（発言 1回）',
+      '*「Keigo」*（発言 1回）'
+    ]);
+    expect(selectBlocks[0].accessory.initial_option.value).toBe('U_TANAKA_T');
+    expect(selectBlocks[2].accessory.initial_option.value).toBe('guest');
+
+    // 「田中」を花子に変え、ほかは初期値のまま確定
+    const values = {};
+    for (const block of selectBlocks) {
+      const selected = block.block_id === selectBlocks[0].block_id
+        ? { value: 'U_TANAKA_H' }
+        : block.accessory.initial_option;
+      values[block.block_id] = { [block.accessory.action_id]: { selected_option: selected } };
+    }
+    const confirmed = applySpeakerSelections(roster, getSpeakerSelectionsFromState(values, roster), MEMBERS);
+
+    expect(confirmed.confirmed).toBe(true);
+    expect(confirmed.speakers.map(({ label, name, confidence }) => ({ label, name, confidence }))).toEqual([
+      { label: '田中', name: '田中 花子', confidence: 'confirmed' },
+      { label: '佐藤さん', name: '佐藤 圭吾', confidence: 'high' },
+      { label: '佐藤敬吾', name: '佐藤 圭吾', confidence: 'confirmed' },
+      { label: 'Keigo', name: null, confidence: 'confirmed' }
+    ]);
+    expect(buildRosterConfirmationBlocks(confirmed, { fileId: 'F1', channelId: 'C1', members: MEMBERS })).toBeNull();
+    expect(formatRosterForPrompt(confirmed)).toContain('- 「Keigo」→ 社外の参加者（メンバーではない）');
+  });
+});
+
+describe('resolveActionAssignees', () => {
+  it('担当者を名簿 → メンバー全体の順にそろえ、対応づかない担当者は担当未定にする', async () => {
+    const roster = applySpeakerSelections(
+      await buildParticipantRoster(TRANSCRIPT, { mapping: MAPPING }),
+      { '田中': 'U_TANAKA_H', 'Keigo': null },
+      MEMBERS
+    );
+
+    const actions = await resolveActionAssignees([
+      { task: '見積もり', assignee: '田中', deadline: '12/5' },
+      { task: '資料', assignee: '山本 力弥', deadline: '' },
+      { task: '請求', assignee: 'Keigo', deadline: '' },
+      { task: '調整', assignee: UNASSIGNED_LABEL, deadline: '' }
+    ], roster, { mapping: MAPPING });
+
+    expect(actions).toEqual([
+      { task: '見積もり', assignee: '田中 花子', assignee_slack_id: 'U_TANAKA_H', deadline: '12/5' },
+      { task: '資料', assignee: '山本 力弥', assignee_slack_id: 'U_YAMAMOTO', deadline: '' },
+      { task: '請求', assignee: UNASSIGNED_LABEL, assignee_slack_id: null, unresolved_assignee: 'Keigo', deadline: '' },
+      { task: '調整', assignee: UNASSIGNED_LABEL, assignee_slack_id: null, deadline: '' }
+    ]);
+  });
+});
+
+describe('generateMeetingMinutes - 参加者名簿', () => {
+  beforeEach(() => {
+    bedrockMock.reset();
+    getMembersMapping.mockResolvedValue(MAPPING);
+  });
+
+  it('名簿をプロンプトに入れ、アクションの担当者をメンバーにそろえる', async () => {
+    bedrockMock.on(InvokeModelCommand).resolves({
+      body: new TextEncoder().encode(JSON.stringify({
+        content: [{ text: JSON.stringify({ minutes: '議事録', actions: [{ task: '見積もり', assignee: '佐藤', deadline: '来週' }] }) }]
+      }))
+    });
+    const roster = await buildParticipantRoster(TRANSCRIPT, { mapping: MAPPING });
+
+    const result = await generateMeetingMinutes(TRANSCRIPT, null, { roster });
+
+    const prompt = JSON.parse(bedrockMock.commandCalls(InvokeModelCommand)[0].args[0].input.body).messages[0].content[0].text;
+    expect(prompt).toContain('# 参加者（話者の対応表）');
+    expect(prompt).toContain('- 「田中」→ 田中 太郎');
+    expect(result.actions).toEqual([{ task: '見積もり', assignee: '佐藤 圭吾', assignee_slack_id: 'U_SATO', deadline: '来週' }]);
+  });
+});
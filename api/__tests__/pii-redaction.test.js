@@ -0,0 +1,180 @@
+/**
+ * pii-redaction.test.js
+ * 文字起こし・議事録の個人情報の伏せ字のテスト
+ */
+
+const {
+  getRedactionSettings,
+  redactText,
+  redactFileTexts,
+  canViewRedactedOriginals,
+  formatRedactionMapping
+} = require('../pii-redaction');
+const GitHubIntegration = require('../github-integration');
+
+jest.mock('axios');
+const axios = require('axios');
+
+/**
+ * 対応表の保存先（DynamoDB の代わり）
+ */
+function createMappingRepository(initial = {}) {
+  const stored = { ...initial };
+  return {
+    stored,
+    getMapping: jest.fn(async fileId => stored[fileId] || {}),
+    saveMapping: jest.fn(async (fileId, mapping) => {
+      stored[fileId] = mapping;
+    })
+  };
+}
+
+describe('redactText', () => {
+  it('日本語・英語の書き方の個人情報をプレースホルダーにし、同じ値は同じプレースホルダーにする', () => {
+    const text = [
+      '[00:00:01] 山本: 連絡先は 03-1234-5678 か yamamoto@example.co.jp です',
+      '[00:00:09] 山本: 携帯は090 1234 5678、念のため 03(1234)5678 も',
+      '[00:00:15] Smith: Call me at +1 (415) 555-0100 or email YAMAMOTO@example.co.jp',
+      '[00:00:21] 佐藤: 振込先は普通口座 1234567、カードは 4111 1111 1111 1111 です',
+      '[00:00:30] 佐藤: 送付先は〒150-0001、マイナンバーは 1234 5678 9012'
+    ].join('\n');
+
+    const { text: redacted, mapping, count } = redactText(text);
+
+    expect(redacted).toBe([
+      '[00:00:01] 山本: 連絡先は [電話番号1] か [メールアドレス1] です',
+      '[00:00:09] 山本: 携帯は[電話番号2]、念のため [電話番号1] も',
+      '[00:00:15] Smith: Call me at [電話番号3] or email [メールアドレス1]',
+      '[00:00:21] 佐藤: 振込先は普通口座 [口座番号1]、カードは [カード番号1] です',
+      '[00:00:30] 佐藤: 送付先は[郵便番号1]、マイナンバーは [個人番号1]'
+    ].join('\n'));
+    expect(count).toBe(10);
+    expect(mapping['[電話番号1]']).toEqual({ type: 'phone', original: '03-1234-5678' });
+    expect(mapping['[カード番号1]']).toEqual({ type: 'credit_card', original: '4111 1111 1111 1111' });
+  });
+
+  it('日付・時刻・金額などは伏せない', () => {
+    const text = '2024-12-09 10:00 から。見積もりは 1,200,000 円、チケット番号 1234 5678 9012 3456、00:00:01.000 --> 00:00:04.000';
+
+    expect(redactText(text)).toMatchObject({ text, count: 0 });
+  });
+
+  it('伏せ字リストの語（顧客名など）を伏せ、これまでの対応表の番号を引き継ぐ', () => {
+    const first = redactText('株式会社アクメの山田様から 03-1234-5678 に電話', {
+      denyList: ['株式会社アクメ', { term: '山田', label: '顧客名' }]
+    });
+    const second = redactText('acme corp と株式会社アクメ、06-1111-2222', {
+      mapping: first.mapping,
+      denyList: ['株式会社アクメ', 'Acme Corp']
+    });
+
+    expect(first.text).toBe('[固有名1]の[顧客名1]様から [電話番号1] に電話');
+    expect(second.text).toBe('[固有名2] と[固有名1]、[電話番号2]');
+  });
+
+  it('検出する種類を絞れる', () => {
+    const { text } = redactText('yamamoto@example.com / 03-1234-5678', { types: ['email'] });
+
+    expect(text).toBe('[メールアドレス1] / 03-1234-5678');
+  });
+});
+
+describe('設定と原文の確認', () => {
+  it('環境変数から設定を読み、原文は許可したユーザーだけが確認できる', () => {
+    const settings = getRedactionSettings({
+      PII_REDACTION_ENABLED: 'true',
+      PII_REDACTION_TYPES: 'email, phone, unknown',
+      PII_REDACTION_DENY_LIST: '株式会社アクメ,\n山田',
+      PII_REDACTION_VIEWER_IDS: 'U001,U002'
+    });
+
+    expect(settings).toEqual({
+      enabled: true,
+      types: ['email', 'phone'],
+      denyList: ['株式会社アクメ', '山田'],
+      viewerIds: ['U001', 'U002']
+    });
+    expect(getRedactionSettings({}).enabled).toBe(false);
+    expect(canViewRedactedOriginals('U002', settings)).toBe(true);
+    expect(canViewRedactedOriginals('U999', settings)).toBe(false);
+    expect(formatRedactionMapping({ '[電話番号1]': { type: 'phone', original: '03-1234-5678' } }))
+      .toBe('• `[電話番号1]` → 03-1234-5678');
+  });
+});
+
+describe('redactFileTexts', () => {
+  const settings = getRedactionSettings({ PII_REDACTION_ENABLED: 'true', PII_REDACTION_DENY_LIST: '株式会社アクメ' });
+
+  it('ファイルの対応表を引き継いで伏せ字にし、増えた対応表を保存する', async () => {
+    const repository = createMappingRepository({
+      F123: { '[電話番号1]': { type: 'phone', original: '03-1234-5678' } }
+    });
+
+    const result = await redactFileTexts('F123', {
+      transcript: '株式会社アクメ 03-1234-5678',
+      summary: null
+    }, { repository, settings, projectId: 'proj_1' });
+
+    expect(result).toEqual({
+      texts: { transcript: '[固有名1] [電話番号1]', summary: null },
+      count: 2,
+      placeholders: 2
+    });
+    expect(repository.saveMapping).toHaveBeenCalledWith('F123', expect.objectContaining({
+      '[固有名1]': { type: 'deny_list', original: '株式会社アクメ' }
+    }), { projectId: 'proj_1' });
+  });
+
+  it('無効なら何もしない', async () => {
+    const repository = createMappingRepository();
+
+    const result = await redactFileTexts('F123', { transcript: '03-1234-5678' }, {
+      repository,
+      settings: { ...settings, enabled: false }
+    });
+
+    expect(result.texts.transcript).toBe('03-1234-5678');
+    expect(repository.getMapping).not.toHaveBeenCalled();
+  });
+});
+
+describe('GitHubIntegration.commitMeetingRecords', () => {
+  beforeEach(() => {
+    process.env.PII_REDACTION_ENABLED = 'true';
+    axios.get.mockReset();
+    axios.put.mockReset();
+    axios.get.mockRejectedValue({ response: { status: 404 } });
+    axios.put.mockResolvedValue({ data: { content: { sha: 's', html_url: 'u' }, commit: { sha: 'c', html_url: 'u' } } });
+  });
+
+  afterEach(() => {
+    delete process.env.PII_REDACTION_ENABLED;
+  });
+
+  it('プロジェクトの伏せ字リストで文字起こし・議事録・要約を伏せてからコミットする', async () => {
+    const repository = createMappingRepository();
+    const github = new GitHubIntegration('test-token', { disableAirtableSync: true, redactionRepository: repository });
+
+    const result = await github.commitMeetingRecords({
+      owner: 'Unson-LLC',
+      repo: 'mana',
+      pathPrefix: '',
+      dateStr: '2024-12-09',
+      baseName: 'standup',
+      transcript: '山本: アクメ社の件、03-1234-5678 に連絡',
+      minutes: '- アクメ社に連絡する',
+      summary: 'アクメ社との調整',
+      fileId: 'F123',
+      projectId: 'proj_1',
+      redactionDenyList: ['アクメ社']
+    });
+
+    const committed = axios.put.mock.calls.map(([, payload]) => Buffer.from(payload.content, 'base64').toString('utf8'));
+    expect(committed[0]).toBe('山本: [固有名1]の件、[電話番号1] に連絡');
+    expect(committed[1]).toContain('- [固有名1]に連絡する');
+    expect(committed[1]).toContain('[固有名1]との調整');
+    expect(committed.join('\n')).not.toContain('アクメ社');
+    expect(result.redactedCount).toBe(4);
+    expect(repository.stored.F123['[固有名1]'].original).toBe('アクメ社');
+  });
+});
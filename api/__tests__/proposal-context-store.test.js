@@ -0,0 +1,61 @@
+/**
+ * proposal-context-store.test.js
+ * 提案メッセージのコンテキストを DynamoDB に保存するストアのテスト
+ */
+
+const { ProposalContextStore } = require('../proposal-context-store');
+
+const NOW = new Date('2025-12-14T00:30:00Z');
+const MESSAGE_TS = '1700000000.000300';
+const logger = { warn: jest.fn() };
+
+function createStore() {
+  const docClient = { send: jest.fn().mockResolvedValue({}) };
+  const store = new ProposalContextStore({
+    docClient,
+    tableName: 'test-proposals',
+    localContexts: new Map(),
+    logger
+  });
+  return { store, docClient };
+}
+
+describe('ProposalContextStore', () => {
+  it('提案メッセージの ts をキーに TTL 付きで保存し、別のコンテナからも読み戻せる', async () => {
+    const { store, docClient } = createStore();
+    const context = { projectId: 'salestailor', decisions: [], actions: [{ task: 'LP作成' }] };
+
+    await store.saveContext(MESSAGE_TS, context, NOW);
+
+    const { input } = docClient.send.mock.calls[0][0];
+    expect(input).toEqual({
+      TableName: 'test-proposals',
+      Item: {
+        message_ts: MESSAGE_TS,
+        context,
+        updated_at: NOW.toISOString(),
+        ttl: Math.floor(NOW.getTime() / 1000) + 7 * 24 * 60 * 60
+      }
+    });
+
+    // 別のコンテナ（キャッシュが空）では DynamoDB から読む
+    const other = new ProposalContextStore({ docClient, tableName: 'test-proposals', localContexts: new Map(), logger });
+    docClient.send.mockResolvedValueOnce({ Item: input.Item });
+    await expect(other.getContext(MESSAGE_TS)).resolves.toEqual(context);
+    expect(docClient.send.mock.calls[1][0].input).toEqual({ TableName: 'test-proposals', Key: { message_ts: MESSAGE_TS } });
+  });
+
+  it('DynamoDB に書けなくてもコンテナ内のキャッシュで動く', async () => {
+    const { store, docClient } = createStore();
+    docClient.send.mockRejectedValue(new Error('ResourceNotFoundException'));
+    const context = { projectId: 'salestailor', decisions: [], actions: [] };
+
+    await store.saveContext(MESSAGE_TS, context, NOW);
+
+    await expect(store.getContext(MESSAGE_TS)).resolves.toEqual(context);
+    expect(logger.warn).toHaveBeenCalled();
+
+    await store.deleteContext(MESSAGE_TS);
+    await expect(store.getContext(MESSAGE_TS)).resolves.toBeNull();
+  });
+});
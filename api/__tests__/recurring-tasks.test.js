@@ -0,0 +1,313 @@
+/**
+ * recurring-tasks.test.js
+ * 定期タスクのスケジュール計算・生成・モーダル入力のテスト
+ */
+
+const {
+  RecurringTaskRepository,
+  RecurringTaskService,
+  parseRRule,
+  getNextOccurrence,
+  renderTitleTemplate,
+  describeRRule,
+  getJstDate
+} = require('../recurring-tasks');
+const { buildRecurringListView, getDefinitionFromSubmission } = require('../recurring-task-ui');
+
+describe('parseRRule', () => {
+  it('FREQ・INTERVAL・BYDAY・BYMONTHDAY・UNTILをパースする', () => {
+    expect(parseRRule('RRULE:FREQ=MONTHLY;INTERVAL=2;BYDAY=1MO,-1FR;BYMONTHDAY=-1;UNTIL=20251231')).toEqual({
+      freq: 'MONTHLY',
+      interval: 2,
+      byDay: [{ weekday: 1, ordinal: 1 }, { weekday: 5, ordinal: -1 }],
+      byMonthDay: [-1],
+      until: '2025-12-31'
+    });
+  });
+
+  it.each([
+    ['FREQ=YEARLY'],
+    ['FREQ=DAILY;INTERVAL=0'],
+    ['FREQ=WEEKLY;BYDAY=XX'],
+    ['FREQ=WEEKLY;BYDAY=1MO'],
+    ['FREQ=MONTHLY;BYMONTHDAY=32'],
+    ['BYDAY=MO']
+  ])('不正なルール %s はエラー', rrule => {
+    expect(() => parseRRule(rrule)).toThrow();
+  });
+});
+
+describe('getNextOccurrence', () => {
+  // 2024-12-11 は水曜
+  it.each([
+    ['FREQ=DAILY', '2024-12-11', '2024-12-01', '2024-12-12'],
+    ['FREQ=DAILY;INTERVAL=3', '2024-12-11', '2024-12-01', '2024-12-13'],
+    ['FREQ=WEEKLY;BYDAY=MO', '2024-12-11', '2024-12-01', '2024-12-16'],
+    ['FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR', '2024-12-13', '2024-12-01', '2024-12-16'],
+    ['FREQ=WEEKLY;INTERVAL=2;BYDAY=MO', '2024-12-09', '2024-12-09', '2024-12-23'],
+    ['FREQ=WEEKLY', '2024-12-11', '2024-12-04', '2024-12-18'],
+    ['FREQ=MONTHLY;BYMONTHDAY=1', '2024-12-11', '2024-12-01', '2025-01-01'],
+    ['FREQ=MONTHLY;BYMONTHDAY=-1', '2025-01-31', '2024-12-01', '2025-02-28'],
+    ['FREQ=MONTHLY;BYDAY=1MO', '2024-12-11', '2024-12-01', '2025-01-06'],
+    ['FREQ=MONTHLY;BYDAY=-1FR', '2024-12-11', '2024-12-01', '2024-12-27'],
+    ['FREQ=MONTHLY', '2025-01-31', '2025-01-31', '2025-02-28']
+  ])('%s: %s の次（開始日 %s）は %s', (rrule, after, dtstart, expected) => {
+    expect(getNextOccurrence(rrule, after, dtstart)).toBe(expected);
+  });
+
+  it('開始日より前は開始日以降から探す', () => {
+    expect(getNextOccurrence('FREQ=DAILY', '2024-12-01', '2024-12-20')).toBe('2024-12-20');
+  });
+
+  it('UNTILを過ぎたらnull', () => {
+    expect(getNextOccurrence('FREQ=WEEKLY;BYDAY=MO;UNTIL=20241220', '2024-12-16', '2024-12-01')).toBeNull();
+  });
+});
+
+describe('renderTitleTemplate / describeRRule', () => {
+  it('生成日をタイトルに埋め込む', () => {
+    expect(renderTitleTemplate('週次レポート {{m}}/{{d}}({{weekday}})', '2024-12-09')).toBe('週次レポート 12/9(月)');
+    expect(renderTitleTemplate('{{yyyy}}{{mm}}{{dd}} 請求 {{unknown}}', '2025-01-05')).toBe('20250105 請求 {{unknown}}');
+  });
+
+  it('RRULEを読める形にする', () => {
+    expect(describeRRule('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO')).toBe('2週ごと 月曜');
+    expect(describeRRule('FREQ=MONTHLY;BYDAY=-1FR')).toBe('毎月 最終金曜');
+    expect(describeRRule('FREQ=MONTHLY;BYMONTHDAY=-1')).toBe('毎月 月末');
+  });
+
+  it('JSTで今日を判定する', () => {
+    expect(getJstDate(new Date('2024-12-10T15:30:00Z'))).toBe('2024-12-11');
+  });
+});
+
+describe('RecurringTaskRepository', () => {
+  let docClient;
+  let repository;
+
+  beforeEach(() => {
+    docClient = { send: jest.fn().mockResolvedValue({}) };
+    repository = new RecurringTaskRepository({ docClient, tableName: 'test-recurring' });
+  });
+
+  it('作成時に最初の生成日を計算して条件付きで保存する', async () => {
+    const created = await repository.createDefinition({
+      title_template: '週次レポート',
+      rrule: 'freq=weekly;byday=fr',
+      owner_slack_id: 'U1',
+      skip_if_open: true
+    }, new Date('2024-12-11T01:00:00Z'));
+
+    expect(created).toEqual(expect.objectContaining({
+      rrule: 'FREQ=WEEKLY;BYDAY=FR',
+      dtstart: '2024-12-11',
+      next_run_date: '2024-12-13',
+      status: 'active',
+      project_id: 'general',
+      skip_if_open: true
+    }));
+    const command = docClient.send.mock.calls[0][0];
+    expect(command.input.ConditionExpression).toBe('attribute_not_exists(recurring_id)');
+  });
+
+  it('条件不一致の更新はnullを返す', async () => {
+    docClient.send.mockRejectedValue(Object.assign(new Error('failed'), { name: 'ConditionalCheckFailedException' }));
+
+    await expect(repository.updateDefinition('REC-1', { next_run_date: '2024-12-20' }, { next_run_date: '2024-12-13' }))
+      .resolves.toBeNull();
+  });
+
+  it('再開時は停止中に過ぎた生成日を飛ばす', async () => {
+    docClient.send
+      .mockResolvedValueOnce({ Item: { recurring_id: 'REC-1', rrule: 'FREQ=WEEKLY;BYDAY=MO', dtstart: '2024-11-01', next_run_date: '2024-11-25', status: 'paused' } })
+      .mockResolvedValueOnce({ Attributes: { recurring_id: 'REC-1' } });
+
+    await repository.resumeDefinition('REC-1', new Date('2024-12-11T01:00:00Z'));
+
+    const update = docClient.send.mock.calls[1][0].input;
+    expect(Object.values(update.ExpressionAttributeValues)).toEqual(expect.arrayContaining(['active', '2024-12-16']));
+  });
+});
+
+describe('RecurringTaskService.runDueDefinitions', () => {
+  // 2024-12-16(月) 09:00 JST
+  const now = new Date('2024-12-16T00:00:00Z');
+  const definition = {
+    recurring_id: 'REC-1',
+    title_template: '週次レポート {{m}}/{{d}}',
+    rrule: 'FREQ=WEEKLY;BYDAY=MO',
+    dtstart: '2024-12-01',
+    owner: 'taro-tanaka',
+    owner_slack_id: 'U1',
+    requester_slack_id: 'U9',
+    project_id: 'zeims',
+    priority: 'high',
+    due_offset_days: 2,
+    skip_if_open: true,
+    status: 'active',
+    next_run_date: '2024-12-16',
+    last_task_id: 'T-2412-001'
+  };
+
+  let repository;
+  let taskStore;
+  let slackClient;
+  let getSlackIdToName;
+  let service;
+
+  beforeEach(() => {
+    repository = {
+      listDefinitions: jest.fn().mockResolvedValue([
+        definition,
+        { ...definition, recurring_id: 'REC-2', status: 'paused' },
+        { ...definition, recurring_id: 'REC-3', next_run_date: '2024-12-23' }
+      ]),
+      updateDefinition: jest.fn().mockResolvedValue({ recurring_id: 'REC-1' })
+    };
+    taskStore = {
+      getTask: jest.fn().mockResolvedValue({ task_id: 'T-2412-001', status: 'done' }),
+      createTask: jest.fn().mockResolvedValue({ success: true, taskId: 'T-2412-010' })
+    };
+    slackClient = {
+      chat: { postMessage: jest.fn().mockResolvedValue({ ok: true }) },
+      users: { info: jest.fn().mockResolvedValue({ user: { real_name: 'Hanako Suzuki' } }) }
+    };
+    getSlackIdToName = jest.fn().mockResolvedValue(new Map([['U2', 'jiro-sato']]));
+    service = new RecurringTaskService(slackClient, { repository, taskStore, getSlackIdToName });
+  });
+
+  it('生成日が来た有効な定義だけタスクを生成し、次回日を進める', async () => {
+    const results = await service.runDueDefinitions(now);
+
+    expect(results).toEqual([expect.objectContaining({ recurringId: 'REC-1', taskId: 'T-2412-010', nextRunDate: '2024-12-23' })]);
+    expect(repository.updateDefinition).toHaveBeenCalledWith(
+      'REC-1',
+      { next_run_date: '2024-12-23' },
+      { next_run_date: '2024-12-16', status: 'active' }
+    );
+    expect(taskStore.createTask).toHaveBeenCalledWith(expect.objectContaining({
+      title: '週次レポート 12/16',
+      project_id: 'zeims',
+      priority: 'high',
+      due: '2024-12-18',
+      assignee: 'taro-tanaka',
+      assignee_slack_id: 'U1',
+      requester_slack_id: 'U9'
+    }));
+    expect(repository.updateDefinition).toHaveBeenCalledWith('REC-1', { last_task_id: 'T-2412-010', last_run_date: '2024-12-16' });
+    expect(slackClient.chat.postMessage).toHaveBeenCalledWith(expect.objectContaining({ channel: 'U1' }));
+  });
+
+  it('モーダルで作った定義（担当者名なし）は Slack ID から担当者名を引き、owner_slack_id も渡す', async () => {
+    const { owner, ...fromModal } = definition;
+    repository.listDefinitions.mockResolvedValue([
+      { ...fromModal, owner_slack_id: 'U2' },
+      { ...fromModal, recurring_id: 'REC-4', owner_slack_id: 'U3' }
+    ]);
+
+    await service.runDueDefinitions(now);
+
+    expect(taskStore.createTask).toHaveBeenCalledWith(expect.objectContaining({ assignee: 'jiro-sato', assignee_slack_id: 'U2' }));
+    expect(taskStore.createTask).toHaveBeenCalledWith(expect.objectContaining({ assignee: 'Hanako Suzuki', assignee_slack_id: 'U3' }));
+    expect(slackClient.users.info).toHaveBeenCalledWith({ user: 'U3' });
+  });
+
+  it('担当者名を引けなければ Slack ID を担当者名にしない', async () => {
+    const { owner, ...fromModal } = definition;
+    repository.listDefinitions.mockResolvedValue([{ ...fromModal, owner_slack_id: 'U4' }]);
+    slackClient.users.info.mockRejectedValue(new Error('user_not_found'));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await service.runDueDefinitions(now);
+
+    const [task] = taskStore.createTask.mock.calls[0];
+    expect(task.assignee).toBeUndefined();
+    expect(task.assignee_slack_id).toBe('U4');
+  });
+
+  it('前回のタスクが未完了ならスキップして次回日だけ進める', async () => {
+    taskStore.getTask.mockResolvedValue({ task_id: 'T-2412-001', status: 'todo' });
+
+    const results = await service.runDueDefinitions(now);
+
+    expect(results[0]).toEqual(expect.objectContaining({ skipped: true, reason: 'previous_open' }));
+    expect(taskStore.createTask).not.toHaveBeenCalled();
+    expect(repository.updateDefinition).toHaveBeenCalledTimes(1);
+  });
+
+  it('他の実行が先に次回日を進めていたら生成しない', async () => {
+    repository.updateDefinition.mockResolvedValueOnce(null);
+
+    const results = await service.runDueDefinitions(now);
+
+    expect(results[0]).toEqual(expect.objectContaining({ skipped: true, reason: 'already_processed' }));
+    expect(taskStore.createTask).not.toHaveBeenCalled();
+  });
+
+  it('タスク作成に失敗したら次回日を戻して次の実行で作り直す', async () => {
+    taskStore.createTask.mockRejectedValue(new Error('GitHub down'));
+
+    const results = await service.runDueDefinitions(now);
+
+    expect(results[0]).toEqual({ recurringId: 'REC-1', success: false, error: 'GitHub down' });
+    expect(repository.updateDefinition).toHaveBeenLastCalledWith(
+      'REC-1',
+      { next_run_date: '2024-12-16' },
+      { next_run_date: '2024-12-23' }
+    );
+  });
+});
+
+describe('recurring-task-ui', () => {
+  it('一覧は状態に応じて一時停止/再開ボタンを出す', () => {
+    const view = buildRecurringListView([
+      { recurring_id: 'REC-1', title_template: 'A', rrule: 'FREQ=DAILY', status: 'active', owner_slack_id: 'U1' },
+      { recurring_id: 'REC-2', title_template: 'B', rrule: 'FREQ=DAILY', status: 'paused', owner_slack_id: 'U1' }
+    ]);
+
+    const actionIds = view.blocks
+      .filter(b => b.type === 'actions')
+      .flatMap(b => b.elements.map(e => e.action_id));
+    expect(actionIds).toEqual(['recurring_pause_REC-1', 'recurring_delete_REC-1', 'recurring_resume_REC-2', 'recurring_delete_REC-2']);
+  });
+
+  const submission = values => ({
+    state: {
+      values: {
+        title_template: { value: { value: '週次レポート' } },
+        schedule_preset: { value: { selected_option: { value: 'FREQ=WEEKLY;BYDAY=MO' } } },
+        rrule: { value: { value: '' } },
+        dtstart: { value: { selected_date: null } },
+        owner: { owner: { selected_user: 'U1' } },
+        project_id: { value: { value: '' } },
+        priority: { value: { selected_option: { value: 'low' } } },
+        due_offset_days: { value: { value: '3' } },
+        options: { value: { selected_options: [{ value: 'skip_if_open' }] } },
+        ...values
+      }
+    }
+  });
+
+  it('作成モーダルの入力から定義を組み立てる', () => {
+    const { definition, errors } = getDefinitionFromSubmission(submission());
+
+    expect(errors).toBeNull();
+    expect(definition).toEqual({
+      title_template: '週次レポート',
+      rrule: 'FREQ=WEEKLY;BYDAY=MO',
+      dtstart: undefined,
+      owner_slack_id: 'U1',
+      project_id: 'general',
+      priority: 'low',
+      due_offset_days: 3,
+      skip_if_open: true
+    });
+  });
+
+  it('RRULEの入力はプリセットより優先し、不正ならエラーを返す', () => {
+    expect(getDefinitionFromSubmission(submission({ rrule: { value: { value: 'FREQ=DAILY;INTERVAL=2' } } })).definition.rrule)
+      .toBe('FREQ=DAILY;INTERVAL=2');
+    expect(getDefinitionFromSubmission(submission({ rrule: { value: { value: 'FREQ=HOURLY' } } })).errors)
+      .toEqual({ rrule: expect.any(String) });
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * reminder-preferences.test.js
+ * /mana-settings のリマインド設定と、日次サマリー・スレッドリマインドでの反映のテスト
+ */
+
+jest.mock('../slack-name-resolver');
+jest.mock('../memory-helper.cjs', () => ({
+  getUserReminderTiming: jest.fn()
+}));
+
+const {
+  ReminderPreferencesRepository,
+  DEFAULT_PREFERENCES,
+  normalizePreferences,
+  getLocalDateTime,
+  isQuietDay,
+  isSummaryTime
+} = require('../reminder-preferences');
+const { buildReminderSettingsView, getPreferencesFromSubmission } = require('../reminder-settings-ui');
+const ReminderService = require('../reminder');
+const SlackThreadReminderService = require('../slack-thread-reminder');
+const { getMembersMapping } = require('../slack-name-resolver');
+const { getUserReminderTiming } = require('../memory-helper.cjs');
+
+// 2024-12-07(土) 09:30 JST / 2024-12-06(金) 19:30 America/New_York
+const NOW = new Date('2024-12-07T00:30:00Z');
+
+describe('タイムゾーンと曜日の判定', () => {
+  it('設定したタイムゾーンでの日付・時・曜日を返す', () => {
+    expect(getLocalDateTime(NOW, 'Asia/Tokyo')).toEqual({ date: '2024-12-07', hour: '09', weekday: 6 });
+    expect(getLocalDateTime(NOW, 'America/New_York')).toEqual({ date: '2024-12-06', hour: '19', weekday: 5 });
+  });
+
+  it('お休みの曜日と送信時刻はユーザーのタイムゾーンで判定する', () => {
+    const weekendOff = normalizePreferences({ quiet_days: [0, 6], timezone: 'Asia/Tokyo' });
+    const newYork = normalizePreferences({ quiet_days: [0, 6], timezone: 'America/New_York', summary_time: '19:00' });
+
+    expect(isQuietDay(weekendOff, NOW)).toBe(true);
+    expect(isQuietDay(newYork, NOW)).toBe(false);
+    expect(isSummaryTime(newYork, NOW)).toBe(true);
+    expect(isSummaryTime(weekendOff, NOW)).toBe(true);
+  });
+
+  it('不正な値はデフォルトに戻す', () => {
+    expect(normalizePreferences({ summary_time: '25:00', timezone: 'Mars/Base', quiet_days: [7, '1'], summary_sections: ['owned', 'x'] }))
+      .toEqual({ ...DEFAULT_PREFERENCES, quiet_days: [1], summary_sections: ['owned'] });
+  });
+});
+
+describe('ReminderPreferencesRepository', () => {
+  it('未設定ならnull、設定があればデフォルトで補完して返す', async () => {
+    const docClient = {
+      send: jest.fn()
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ Item: { slack_id: 'U1', summary_time: '08:00' } })
+    };
+    const repository = new ReminderPreferencesRepository({ docClient, tableName: 'test-preferences' });
+
+    expect(await repository.getPreferences('U1')).toBeNull();
+    expect(await repository.getPreferences('U1')).toEqual({ ...DEFAULT_PREFERENCES, slack_id: 'U1', summary_time: '08:00' });
+  });
+
+  it('不明なタイムゾーンは保存しない', async () => {
+    const docClient = { send: jest.fn() };
+    const repository = new ReminderPreferencesRepository({ docClient, tableName: 'test-preferences' });
+
+    await expect(repository.savePreferences('U1', { timezone: 'Mars/Base' })).rejects.toThrow('不明なタイムゾーンです');
+    expect(docClient.send).not.toHaveBeenCalled();
+  });
+});
+
+describe('設定モーダル', () => {
+  const toSubmission = view => {
+    const values = {};
+    for (const block of view.blocks) {
+      const element = block.element;
+      values[block.block_id] = {
+        value: element.type === 'checkboxes'
+          ? { selected_options: element.initial_options || [] }
+          : { selected_option: element.initial_option }
+      };
+    }
+    return { state: { values } };
+  };
+
+  it('表示した設定をそのまま送信すると同じ設定になる', () => {
+    const preferences = normalizePreferences({
+      summary_time: '07:00',
+      timezone: 'Europe/London',
+      quiet_days: [0, 6],
+      summary_sections: ['owned'],
+      overdue_only: true,
+      thread_reminders: false
+    });
+
+    const { preferences: submitted, errors } = getPreferencesFromSubmission(toSubmission(buildReminderSettingsView(preferences)));
+
+    expect(errors).toBeNull();
+    expect(submitted).toEqual({ ...preferences, quiet_days: [6, 0] });
+  });
+
+  it('期限切れのみだけでは載せるタスクがないのでエラーにする', () => {
+    const view = toSubmission(buildReminderSettingsView());
+    view.state.values.summary_sections.value.selected_options = [{ value: 'overdue_only' }];
+
+    expect(getPreferencesFromSubmission(view).errors).toEqual({ summary_sections: '担当中・依頼中のどちらかを選んでください' });
+  });
+});
+
+describe('ReminderService - リマインド設定の反映', () => {
+  let slackClient;
+  let taskStore;
+  let preferencesRepository;
+  let reminder;
+
+  beforeEach(() => {
+    slackClient = { chat: { postMessage: jest.fn().mockResolvedValue({ ts: '1' }) } };
+    taskStore = {
+      getTasksByOwnerSlackId: jest.fn().mockResolvedValue([
+        { id: 'T-1', title: '期限切れ', due: '2024-12-06' },
+        { id: 'T-2', title: '来週', due: '2024-12-10' }
+      ]),
+      getTasksByRequesterSlackId: jest.fn().mockResolvedValue([{ id: 'T-3', title: '依頼', due: '2024-12-01' }])
+    };
+    preferencesRepository = { getAllPreferences: jest.fn() };
+    reminder = new ReminderService(slackClient, { taskStore, preferencesRepository });
+    getMembersMapping.mockResolvedValue(new Map([['keigo', 'U1'], ['taro', 'U2'], ['hanako', 'U3']]));
+    getUserReminderTiming.mockResolvedValue(null);
+  });
+
+  it('設定のあるユーザーは設定の時刻・お休みの曜日で、ないユーザーは従来どおり判定する', async () => {
+    preferencesRepository.getAllPreferences.mockResolvedValue(new Map([
+      ['U1', normalizePreferences({ quiet_days: [6] })],
+      ['U2', normalizePreferences({ summary_time: '19:00', timezone: 'America/New_York' })]
+    ]));
+
+    const { results } = await reminder.runDailySummaries('09', NOW);
+
+    expect(results).toEqual([
+      { name: 'keigo', slackId: 'U1', skipped: true, reason: 'quiet_day' },
+      { name: 'taro', slackId: 'U2', success: true },
+      { name: 'hanako', slackId: 'U3', success: true }
+    ]);
+    expect(getUserReminderTiming).toHaveBeenCalledTimes(1);
+    expect(getUserReminderTiming).toHaveBeenCalledWith('U3');
+  });
+
+  it('設定の取得に失敗しても従来の判定で送る', async () => {
+    preferencesRepository.getAllPreferences.mockRejectedValue(new Error('ResourceNotFoundException'));
+
+    const { summary } = await reminder.runDailySummaries('09', NOW);
+
+    expect(summary).toEqual({ sent: 3, skipped: 0, total: 3 });
+  });
+
+  it('載せる内容と期限切れのみの設定に従う', async () => {
+    const preferences = normalizePreferences({ summary_sections: ['owned'], overdue_only: true });
+
+    await reminder.sendDailySummary('U1', NOW, preferences);
+
+    expect(taskStore.getTasksByRequesterSlackId).not.toHaveBeenCalled();
+    const { text, blocks } = slackClient.chat.postMessage.mock.calls[0][0];
+    expect(text).toContain('1件');
+    expect(JSON.stringify(blocks)).toContain('期限切れ');
+    expect(JSON.stringify(blocks)).not.toContain('来週');
+  });
+});
+
+describe('SlackThreadReminderService - リマインド設定の反映', () => {
+  const task = (id, ownerSlackId) => ({
+    id,
+    title: id,
+    source: 'slack',
+    status: 'todo',
+    channel_id: 'C1',
+    thread_ts: '1.1',
+    created_at: '2024-12-01T00:00:00Z',
+    owner_slack_id: ownerSlackId
+  });
+
+  it('スレッドリマインドをオフにした人とお休みの曜日の人には送らない', async () => {
+    const slackClient = { chat: { postMessage: jest.fn().mockResolvedValue({ ts: '1' }) } };
+    const taskStore = {
+      getTasks: jest.fn().mockResolvedValue([task('T-1', 'U1'), task('T-2', 'U2'), task('T-3', 'U3'), task('T-4')])
+    };
+    const preferencesRepository = {
+      getAllPreferences: jest.fn().mockResolvedValue(new Map([
+        ['U1', normalizePreferences({ thread_reminders: false })],
+        ['U2', normalizePreferences({ quiet_days: [6] })],
+        ['U3', normalizePreferences({})]
+      ]))
+    };
+    const service = new SlackThreadReminderService(slackClient, { taskStore, preferencesRepository });
+
+    const result = await service.runSlackReminders(NOW);
+
+    expect(result.results.map(r => r.task)).toEqual(['T-3', 'T-4']);
+    expect(result.skipped).toBe(2);
+  });
+});
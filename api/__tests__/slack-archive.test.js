@@ -0,0 +1,169 @@
+/**
+ * slack-archive.test.js
+ * アーカイブしたSlackメッセージの検索（期間・キーワード・ワークスペースとプロジェクトのスコープ）のテスト
+ */
+
+const SlackArchive = require('../slack-archive');
+const { resolveSearchableChannels, buildSlackPermalink } = SlackArchive;
+
+// JST の日時 → Slack の ts
+const tsAt = (isoJst) => `${Date.parse(`${isoJst}+09:00`) / 1000}.000100`;
+
+function createS3Client(files) {
+  return {
+    send: jest.fn().mockImplementation(async (command) => {
+      const body = files[command.input.Key];
+      if (!body) {
+        throw Object.assign(new Error('NoSuchKey'), { name: 'NoSuchKey' });
+      }
+      return { Body: { transformToString: async () => JSON.stringify({ messages: body }) } };
+    })
+  };
+}
+
+const message = (channel, isoJst, text, extra = {}) => ({
+  ts: tsAt(isoJst),
+  channel,
+  channel_name: channel === 'C1' ? '0010-zeims-biz' : '0011-zeims-dev',
+  user: 'U1',
+  user_name: '山田',
+  text,
+  thread_ts: null,
+  ...extra
+});
+
+describe('resolveSearchableChannels', () => {
+  const mapping = new Map([
+    ['C1', { channel_name: '0010-zeims-biz', project_id: 'proj_zeims', workspace: 'unson' }],
+    ['C2', { channel_name: '0110-baao', project_id: 'proj_baao', workspace: 'unson' }],
+    ['C3', { channel_name: 'eng', project_id: 'proj_salestailor', workspace: 'salestailor' }],
+    ['C4', { channel_name: 'random', project_id: null, workspace: 'unson' }]
+  ]);
+
+  it('他のワークスペース・アクセス権限のないプロジェクト・プロジェクトのないチャンネルは含めない', () => {
+    const channels = resolveSearchableChannels(mapping, {
+      workspaceId: 'unson',
+      canAccessProject: projectId => projectId === 'proj_zeims'
+    });
+
+    expect(channels).toEqual([{ channelId: 'C1', channelName: '0010-zeims-biz', projectId: 'proj_zeims' }]);
+  });
+
+  it('SalesTailor のワークスペースからは UNSON のチャンネルを指定しても返さない', () => {
+    expect(resolveSearchableChannels(mapping, {
+      workspaceId: 'salestailor',
+      canAccessProject: () => true,
+      channel: '0010-zeims-biz'
+    })).toEqual([]);
+  });
+
+  it('プロジェクトとチャンネル名で絞り込む', () => {
+    const scope = { workspaceId: 'unson', canAccessProject: () => true };
+
+    expect(resolveSearchableChannels(mapping, { ...scope, projectId: 'baao' }).map(c => c.channelId)).toEqual(['C2']);
+    expect(resolveSearchableChannels(mapping, { ...scope, channel: '#0010-zeims-biz' }).map(c => c.channelId)).toEqual(['C1']);
+  });
+});
+
+describe('SlackArchive の検索', () => {
+  const files = {
+    // 2026-10-12 の朝（JST）は UTC では前日のファイルに入っている
+    'slack/unson/messages/C1/2026-10/2026-10-11.json': [
+      message('C1', '2026-10-12T08:00:00', 'ZEIMS定例: 料金は月額5万円に決定')
+    ],
+    'slack/unson/messages/C1/2026-10/2026-10-14.json': [
+      message('C1', '2026-10-14T15:00:00', '採用の進め方を相談'),
+      message('C1', '2026-10-14T16:00:00', '料金ページは来週更新します', { thread_ts: tsAt('2026-10-12T08:00:00') })
+    ],
+    'slack/unson/messages/C2/2026-10/2026-10-13.json': [
+      message('C2', '2026-10-13T10:00:00', '料金の相談')
+    ]
+  };
+
+  let archive;
+
+  beforeEach(() => {
+    archive = new SlackArchive('unson', { s3Client: createS3Client(files) });
+  });
+
+  it('期間（JST）内のメッセージからキーワードをすべて含むものを新しい順に返す', async () => {
+    const result = await archive.searchMessages({
+      channels: [{ channelId: 'C1' }],
+      query: '料金 ZEIMS',
+      fromDate: '2026-10-12',
+      toDate: '2026-10-18'
+    });
+
+    expect(result.messages.map(m => m.text)).toEqual(['ZEIMS定例: 料金は月額5万円に決定']);
+    expect(result.total).toBe(1);
+  });
+
+  it('指定したチャンネルだけを読む', async () => {
+    const result = await archive.searchMessages({
+      channels: [{ channelId: 'C1' }],
+      query: '料金',
+      fromDate: '2026-10-12',
+      toDate: '2026-10-18'
+    });
+
+    expect(result.messages.map(m => m.channel)).toEqual(['C1', 'C1']);
+  });
+
+  it('期間を省略すると直近7日、長すぎる期間は31日（maxDays を渡せばその日数）に縮める', async () => {
+    const now = new Date('2026-10-18T12:00:00+09:00');
+
+    await expect(archive.searchMessages({ channels: [], now })).resolves.toEqual(expect.objectContaining({
+      fromDate: '2026-10-12',
+      toDate: '2026-10-18'
+    }));
+    await expect(archive.searchMessages({ channels: [], fromDate: '2026-01-01', toDate: '2026-10-18' }))
+      .resolves.toEqual(expect.objectContaining({ fromDate: '2026-09-18' }));
+    await expect(archive.searchMessages({ channels: [], fromDate: '2026-01-01', toDate: '2026-10-18', maxDays: 7 }))
+      .resolves.toEqual(expect.objectContaining({ fromDate: '2026-10-12' }));
+  });
+
+  it('チャンネルと日のファイルは同時に読む数を抑えて並行に読む', async () => {
+    let reading = 0;
+    let maxReading = 0;
+    const s3Client = {
+      send: jest.fn().mockImplementation(async () => {
+        reading++;
+        maxReading = Math.max(maxReading, reading);
+        await new Promise(resolve => setImmediate(resolve));
+        reading--;
+        throw Object.assign(new Error('NoSuchKey'), { name: 'NoSuchKey' });
+      })
+    };
+    archive = new SlackArchive('unson', { s3Client });
+
+    await archive.searchMessages({
+      channels: Array.from({ length: 10 }, (_, i) => ({ channelId: `C${i}` })),
+      fromDate: '2026-10-12',
+      toDate: '2026-10-18'
+    });
+
+    expect(s3Client.send).toHaveBeenCalledTimes(80);
+    expect(maxReading).toBeGreaterThan(1);
+    expect(maxReading).toBeLessThanOrEqual(16);
+  });
+
+  it('スレッドの親メッセージと返信を古い順に返す', async () => {
+    const messages = await archive.getThreadMessages('C1', tsAt('2026-10-12T08:00:00'), {
+      now: new Date('2026-10-18T12:00:00+09:00')
+    });
+
+    expect(messages.map(m => m.text)).toEqual([
+      'ZEIMS定例: 料金は月額5万円に決定',
+      '料金ページは来週更新します'
+    ]);
+  });
+});
+
+describe('buildSlackPermalink', () => {
+  it('メッセージのリンクを作り、スレッドの返信はスレッドを開くリンクにする', () => {
+    expect(buildSlackPermalink({ channel: 'C1', ts: '1760223600.000100' }))
+      .toBe('https://slack.com/archives/C1/p1760223600000100');
+    expect(buildSlackPermalink({ channel: 'C1', ts: '1760425200.000100', thread_ts: '1760223600.000100' }))
+      .toBe('https://slack.com/archives/C1/p1760425200000100?thread_ts=1760223600.000100&cid=C1');
+  });
+});
@@ -76,7 +76,7 @@ describe('Slack Events Integration Tests', () => {
       await messageHandler({ message, client, logger });
 
       expect(logger.info).toHaveBeenCalledWith('Processing file upload for file: F12345');
-      expect(processFileUpload).toHaveBeenCalledWith(message, client, logger, expect.any(Map));
+      expect(processFileUpload).toHaveBeenCalledWith(message, client, logger, expect.objectContaining({ getSession: expect.any(Function) }));
     });
 
     it('should ignore file uploads from bots', async () => {
@@ -172,7 +172,7 @@ describe('Slack Events Integration Tests', () => {
         body,
         client,
         logger,
-        expect.any(Map)
+        expect.objectContaining({ getSession: expect.any(Function) })
       );
     });
 
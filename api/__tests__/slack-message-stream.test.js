@@ -0,0 +1,153 @@
+/**
+ * slack-message-stream.test.js
+ * 生成中の回答の表示（間引いた chat.update・続きのメッセージへの分割・出典のブロック）のテスト
+ */
+
+const { SlackMessageStream, splitMessageText } = require('../slack-message-stream');
+
+function createClient() {
+  let posted = 0;
+  return {
+    chat: {
+      update: jest.fn().mockResolvedValue({ ok: true }),
+      postMessage: jest.fn().mockImplementation(async () => ({ ok: true, ts: `200.${++posted}` })),
+      delete: jest.fn().mockResolvedValue({ ok: true })
+    }
+  };
+}
+
+// 表示中の chat.update（待たずに始めたもの）が終わるまで進める
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('splitMessageText', () => {
+  it('できるだけ改行で区切って上限以内に分ける', () => {
+    expect(splitMessageText('aaaaaa\nbbbbbb\ncc', 10)).toEqual(['aaaaaa', 'bbbbbb\ncc']);
+    expect(splitMessageText('a'.repeat(25), 10)).toEqual(['a'.repeat(10), 'a'.repeat(10), 'a'.repeat(5)]);
+  });
+});
+
+describe('SlackMessageStream', () => {
+  let client;
+  let now;
+
+  const createStream = (options = {}) => new SlackMessageStream(client, {
+    channel: 'C1',
+    ts: '100.1',
+    threadTs: '99.1',
+    now: () => now,
+    ...options
+  });
+
+  beforeEach(() => {
+    client = createClient();
+    now = 10000;
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('生成中の更新は throttleMs に1回までにし、最後に全文を表示する', async () => {
+    const stream = createStream({ throttleMs: 1500 });
+
+    stream.update('料金は');
+    await flush();
+    now += 500;
+    stream.update('料金は月額');
+    await flush();
+    now += 1000;
+    stream.update('料金は月額5万円');
+    await flush();
+    await stream.finish('料金は月額5万円です。');
+
+    expect(client.chat.update.mock.calls.map(([args]) => args.text)).toEqual([
+      '料金は\n\n_✍️ 回答中..._',
+      '料金は月額5万円\n\n_✍️ 回答中..._',
+      '料金は月額5万円です。'
+    ]);
+    expect(client.chat.update).toHaveBeenCalledWith(expect.objectContaining({ channel: 'C1', ts: '100.1' }));
+    expect(client.chat.postMessage).not.toHaveBeenCalled();
+  });
+
+  it('ツールの実行中は状態を表示する', async () => {
+    const stream = createStream();
+
+    stream.setStatus('🔍 コードを検索: "invoice"...');
+    await flush();
+
+    expect(client.chat.update).toHaveBeenCalledWith(expect.objectContaining({
+      text: '_🔍 コードを検索: "invoice"..._'
+    }));
+  });
+
+  it('上限を超えた分は続きのメッセージに送り、最後に余ったメッセージは消す', async () => {
+    const stream = createStream({ messageLimit: 10, throttleMs: 0 });
+
+    stream.update('aaaaaa\nbbbbbb\ncccccc');
+    await flush();
+    expect(client.chat.postMessage.mock.calls.map(([args]) => [args.thread_ts, args.text])).toEqual([
+      ['99.1', '_(続き 2/3)_\n\nbbbbbb'],
+      ['99.1', '_(続き 3/3)_\n\ncccccc\n\n_✍️ 回答中..._']
+    ]);
+
+    await stream.finish('aaaaaa\nbbbbbb');
+
+    expect(client.chat.update.mock.calls.map(([args]) => [args.ts, args.text])).toEqual([
+      ['100.1', 'aaaaaa\n\n_(続き...)_'],
+      ['200.1', '_(続き 2/2)_\n\nbbbbbb']
+    ]);
+    expect(client.chat.delete).toHaveBeenCalledWith({ channel: 'C1', ts: '200.2' });
+  });
+
+  it('生成中の表示は待たずに戻り、表示中は次の更新を間引いて、最後の表示は表示中の更新を待つ', async () => {
+    const stream = createStream({ throttleMs: 0 });
+    let resolveUpdate;
+    client.chat.update.mockImplementationOnce(() => new Promise(resolve => { resolveUpdate = resolve; }));
+
+    stream.update('料金は');
+    stream.update('料金は月額');
+    expect(client.chat.update).toHaveBeenCalledTimes(1);
+
+    const finished = stream.finish('料金は月額5万円です。');
+    await flush();
+    expect(client.chat.update).toHaveBeenCalledTimes(1);
+
+    resolveUpdate({ ok: true });
+    await finished;
+    expect(client.chat.update.mock.calls.map(([args]) => args.text)).toEqual([
+      '料金は\n\n_✍️ 回答中..._',
+      '料金は月額5万円です。'
+    ]);
+  });
+
+  it('出典は最後のメッセージに context ブロックで付ける', async () => {
+    const stream = createStream();
+    const citations = [{ number: 1, type: 'web', id: 'https://example.com', title: 'Example', url: 'https://example.com' }];
+
+    await stream.finish('答えです [1]', { citations });
+
+    expect(client.chat.update).toHaveBeenCalledWith({
+      channel: 'C1',
+      ts: '100.1',
+      text: '答えです [1]',
+      blocks: [
+        { type: 'section', text: { type: 'mrkdwn', text: '答えです [1]' } },
+        { type: 'context', elements: [{ type: 'mrkdwn', text: '[1] Web: <https://example.com|Example>' }] }
+      ]
+    });
+  });
+
+  it('生成中の chat.update の失敗は無視し、最後の表示で失敗したら送り直す', async () => {
+    const stream = createStream();
+    client.chat.update.mockRejectedValue(Object.assign(new Error('rate limited'), { data: { error: 'ratelimited' } }));
+
+    stream.update('途中');
+    await flush();
+    expect(client.chat.postMessage).not.toHaveBeenCalled();
+
+    await stream.finish('全文');
+    expect(client.chat.delete).toHaveBeenCalledWith({ channel: 'C1', ts: '100.1' });
+    expect(client.chat.postMessage).toHaveBeenCalledWith(expect.objectContaining({ thread_ts: '99.1', text: '全文' }));
+  });
+});
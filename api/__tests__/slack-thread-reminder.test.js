@@ -83,6 +83,19 @@ describe('SlackThreadReminderService', () => {
       const filtered = reminderService.filterSlackTasks(tasksWithMissingFields);
       expect(filtered).toHaveLength(0);
     });
+
+    it('未完了のタスクを待っているタスクは除外する', () => {
+      const base = { source: 'slack', channel_id: 'C123', thread_ts: '123.456', status: 'todo' };
+      const tasks = [
+        { ...base, id: 'SLACK-001', blocks: ['SLACK-002'] },
+        { ...base, id: 'SLACK-002', blocked_by: ['SLACK-001'] },
+        { ...base, id: 'SLACK-003', blocked_by: ['SLACK-004'] },
+        { ...base, id: 'SLACK-004', status: 'done' }
+      ];
+
+      const filtered = reminderService.filterSlackTasks(tasks);
+      expect(filtered.map(t => t.id)).toEqual(['SLACK-001', 'SLACK-003']);
+    });
   });
 
   describe('getTasksToRemind', () => {
@@ -212,7 +225,7 @@ describe('SlackThreadReminderService', () => {
 
   describe('runSlackReminders', () => {
     it('Slackタスクのみにリマインドを送信する', async () => {
-      const mockTaskParser = {
+      const mockTaskStore = {
         getTasks: jest.fn().mockResolvedValue([
           {
             id: 'SLACK-001',
@@ -234,7 +247,7 @@ describe('SlackThreadReminderService', () => {
         ])
       };
 
-      reminderService.taskParser = mockTaskParser;
+      reminderService.taskStore = mockTaskStore;
 
       const now = new Date('2025-12-08T10:00:00Z');
       const results = await reminderService.runSlackReminders(now);
@@ -243,5 +256,37 @@ describe('SlackThreadReminderService', () => {
       expect(results.sent).toBe(1);
       expect(results.skipped).toBe(1);
     });
+
+    it('期限切れのタスクは、エスカレーションを設定したプロジェクトのものだけリマインドしない', async () => {
+      const slackTask = (id, projectId) => ({
+        id,
+        title: id,
+        source: 'slack',
+        channel_id: 'C123',
+        thread_ts: '123.456',
+        created_at: '2025-12-01T10:00:00Z',
+        due: '2025-12-05',
+        status: 'todo',
+        project_id: projectId,
+        owner_slack_id: 'U123'
+      });
+      reminderService.taskStore = {
+        getTasks: jest.fn().mockResolvedValue([
+          slackTask('SLACK-001', 'proj-escalation'),
+          slackTask('SLACK-002', 'proj-plain'),
+          slackTask('SLACK-003', 'proj-escalation')
+        ])
+      };
+      reminderService.projectRepository = {
+        getProjectById: jest.fn().mockImplementation(async projectId => (
+          projectId === 'proj-escalation' ? { project_id: projectId, escalation_policy: {} } : { project_id: projectId }
+        ))
+      };
+
+      const results = await reminderService.runSlackReminders(new Date('2025-12-08T10:00:00Z'));
+
+      expect(results.results.map(r => r.task)).toEqual(['SLACK-002']);
+      expect(reminderService.projectRepository.getProjectById).toHaveBeenCalledTimes(2);
+    });
   });
 });
@@ -0,0 +1,121 @@
+/**
+ * source-citations.test.js
+ * AI PM の回答の出典（通し番号・リンク・Slack の context ブロック）のテスト
+ */
+
+const {
+  startCitationSession,
+  endCitationSession,
+  citeSource,
+  citeAirtableRecord,
+  buildGitHubBlobUrl,
+  buildBrainbaseUrl,
+  selectCitedSources,
+  buildCitationBlocks,
+  formatCitationsText
+} = require('../source-citations');
+
+describe('citeSource', () => {
+  afterEach(() => {
+    endCitationSession();
+  });
+
+  it('出典に通し番号を振り、同じ出典には同じ番号を返す', () => {
+    startCitationSession();
+
+    expect(citeSource({ type: 'brainbase', id: 'projects/zeims/pricing.md#1', title: 'projects/zeims/pricing.md' })).toBe('[1]');
+    expect(citeSource({ type: 'web', id: 'https://example.com', url: 'https://example.com' })).toBe('[2]');
+    expect(citeSource({ type: 'brainbase', id: 'projects/zeims/pricing.md#1' })).toBe('[1]');
+
+    expect(endCitationSession()).toEqual([
+      { number: 1, type: 'brainbase', id: 'projects/zeims/pricing.md#1', title: 'projects/zeims/pricing.md', url: null },
+      { number: 2, type: 'web', id: 'https://example.com', title: 'https://example.com', url: 'https://example.com' }
+    ]);
+  });
+
+  it('記録中でなければ番号を振らない', () => {
+    expect(citeSource({ type: 'web', id: 'https://example.com' })).toBeNull();
+    expect(endCitationSession()).toEqual([]);
+  });
+
+  it('Airtable のレコードはレコードの URL とレコード名を出典にする', () => {
+    startCitationSession();
+
+    expect(citeAirtableRecord({
+      baseId: 'appXXXX',
+      tableId: 'tblYYYY',
+      record: { id: 'recZZZZ', fields: { Name: '請求書の一括発行' } }
+    })).toBe('[1]');
+
+    expect(endCitationSession()[0]).toEqual({
+      number: 1,
+      type: 'airtable',
+      id: 'recZZZZ',
+      title: '請求書の一括発行',
+      url: 'https://airtable.com/appXXXX/tblYYYY/recZZZZ'
+    });
+  });
+});
+
+describe('出典のURL', () => {
+  const originalBase = process.env.BRAINBASE_SOURCE_URL_BASE;
+
+  afterEach(() => {
+    if (originalBase === undefined) {
+      delete process.env.BRAINBASE_SOURCE_URL_BASE;
+    } else {
+      process.env.BRAINBASE_SOURCE_URL_BASE = originalBase;
+    }
+  });
+
+  it('GitHub のファイルは blob URL（行番号付き）にする', () => {
+    expect(buildGitHubBlobUrl({ owner: 'unson', repo: 'zeims', branch: 'develop', path: '/src/請求.ts', line: 12 }))
+      .toBe('https://github.com/unson/zeims/blob/develop/src/%E8%AB%8B%E6%B1%82.ts#L12');
+    expect(buildGitHubBlobUrl({ owner: 'unson', repo: 'zeims', path: '_codex/decisions/index.md' }))
+      .toBe('https://github.com/unson/zeims/blob/main/_codex/decisions/index.md');
+  });
+
+  it('brainbase の資料は BRAINBASE_SOURCE_URL_BASE があるときだけリンクにする', () => {
+    delete process.env.BRAINBASE_SOURCE_URL_BASE;
+    expect(buildBrainbaseUrl('projects/zeims/project.md')).toBeNull();
+
+    process.env.BRAINBASE_SOURCE_URL_BASE = 'https://github.com/unson/brainbase/blob/main/_codex/';
+    expect(buildBrainbaseUrl('projects/zeims/project.md'))
+      .toBe('https://github.com/unson/brainbase/blob/main/_codex/projects/zeims/project.md');
+  });
+});
+
+describe('回答の出典の表示', () => {
+  const citations = [
+    { number: 1, type: 'github', id: 'src/index.ts', title: 'src/index.ts', url: 'https://github.com/unson/zeims/blob/main/src/index.ts' },
+    { number: 2, type: 'brainbase', id: 'projects/zeims/pricing.md#1', title: 'projects/zeims/pricing.md', url: null },
+    { number: 3, type: 'web', id: 'https://example.com', title: 'A <B> & C', url: 'https://example.com' }
+  ];
+
+  it('回答で使われた番号の出典だけを選ぶ', () => {
+    expect(selectCitedSources('実装は src/index.ts にあります [1][3]', citations).map(c => c.number)).toEqual([1, 3]);
+    expect(selectCitedSources('わかりません', citations)).toEqual([]);
+  });
+
+  it('出典を context ブロックのリンクにする', () => {
+    expect(buildCitationBlocks(citations)).toEqual([{
+      type: 'context',
+      elements: [
+        { type: 'mrkdwn', text: '[1] GitHub: <https://github.com/unson/zeims/blob/main/src/index.ts|src/index.ts>' },
+        { type: 'mrkdwn', text: '[2] brainbase: projects/zeims/pricing.md' },
+        { type: 'mrkdwn', text: '[3] Web: <https://example.com|A &lt;B&gt; &amp; C>' }
+      ]
+    }]);
+  });
+
+  it('context ブロックは10件ごとに分ける', () => {
+    const many = Array.from({ length: 12 }, (_, i) => ({ number: i + 1, type: 'web', id: `u${i}`, title: `u${i}`, url: null }));
+
+    expect(buildCitationBlocks(many).map(block => block.elements.length)).toEqual([10, 2]);
+  });
+
+  it('ブロックを使えないときはテキストの一覧にする', () => {
+    expect(formatCitationsText(citations.slice(1, 2))).toBe('📚 *出典*\n• [2] brainbase: projects/zeims/pricing.md');
+    expect(formatCitationsText([])).toBe('');
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * task-escalation.test.js
+ * 期限切れタスクのエスカレーションのテスト
+ */
+
+jest.mock('../slack-name-resolver');
+
+const {
+  TaskEscalationService,
+  DEFAULT_ESCALATION_POLICY,
+  normalizeEscalationPolicy,
+  getOverdueDays,
+  getNextStep,
+  isEscalationPaused
+} = require('../task-escalation');
+const { getMembersMapping } = require('../slack-name-resolver');
+
+// 2024-12-20 10:00 JST
+const NOW = new Date('2024-12-20T01:00:00Z');
+
+const overdueTask = (overrides = {}) => ({
+  id: 'T-2412-001',
+  title: '見積もりを送る',
+  status: 'todo',
+  project_id: 'proj-a',
+  due: '2024-12-13',
+  owner: 'keigo',
+  owner_slack_id: 'U_OWNER',
+  requester_slack_id: 'U_REQ',
+  ...overrides
+});
+
+describe('normalizeEscalationPolicy', () => {
+  it('ポリシーがなければデフォルト', () => {
+    expect(normalizeEscalationPolicy(undefined)).toBe(DEFAULT_ESCALATION_POLICY);
+  });
+
+  it('不明な段階は捨てて期限切れ日数の順に並べる', () => {
+    const policy = normalizeEscalationPolicy({
+      ack_pause_days: '5',
+      steps: [
+        { action: 'project_channel', after_days: 10 },
+        { action: 'email', after_days: 2 },
+        { action: 'dm_owner', after_days: '2' }
+      ]
+    });
+
+    expect(policy).toEqual({
+      enabled: true,
+      ack_pause_days: 5,
+      channel_id: null,
+      steps: [
+        { action: 'dm_owner', after_days: 2 },
+        { action: 'project_channel', after_days: 10 }
+      ]
+    });
+  });
+});
+
+describe('段階の判定', () => {
+  it('期限切れ日数はJSTの日付で数える', () => {
+    expect(getOverdueDays(overdueTask(), NOW)).toBe(7);
+    expect(getOverdueDays(overdueTask({ due: '2024-12-20' }), NOW)).toBe(0);
+    expect(getOverdueDays(overdueTask({ due: null }), NOW)).toBe(0);
+  });
+
+  it('実行済みの段階の次から、届いている段階だけ返す', () => {
+    const policy = DEFAULT_ESCALATION_POLICY;
+
+    expect(getNextStep(overdueTask(), policy, NOW)).toEqual({ index: 0, step: { action: 'thread', after_days: 1 } });
+    expect(getNextStep(overdueTask({ escalation_step: 1, escalation_due: '2024-12-13' }), policy, NOW))
+      .toEqual({ index: 2, step: { action: 'notify_requester', after_days: 7 } });
+    expect(getNextStep(overdueTask({ escalation_step: 2, escalation_due: '2024-12-13' }), policy, NOW)).toBeNull();
+  });
+
+  it('期限が変わったら最初の段階からやり直す', () => {
+    const task = overdueTask({ due: '2024-12-18', escalation_step: 2, escalation_due: '2024-12-13' });
+
+    expect(getNextStep(task, DEFAULT_ESCALATION_POLICY, NOW)).toEqual({ index: 0, step: { action: 'thread', after_days: 1 } });
+  });
+
+  it('確認から ack_pause_days の間は止める', () => {
+    const policy = DEFAULT_ESCALATION_POLICY;
+
+    expect(isEscalationPaused(overdueTask({ escalation_acknowledged_at: '2024-12-18T01:00:00Z' }), policy, NOW)).toBe(true);
+    expect(isEscalationPaused(overdueTask({ escalation_acknowledged_at: '2024-12-16T01:00:00Z' }), policy, NOW)).toBe(false);
+  });
+});
+
+describe('TaskEscalationService.runEscalations', () => {
+  let slackClient;
+  let taskStore;
+  let projectRepository;
+  let service;
+
+  beforeEach(() => {
+    slackClient = { chat: { postMessage: jest.fn().mockResolvedValue({ ok: true, ts: '1' }) } };
+    taskStore = {
+      getTasks: jest.fn(),
+      getTask: jest.fn(),
+      updateTask: jest.fn().mockResolvedValue({ success: true })
+    };
+    projectRepository = {
+      getProjectById: jest.fn().mockResolvedValue({
+        project_id: 'proj-a',
+        slack_channels: [{ channel_id: 'C_MAIN', channel_name: 'proj-a' }, 'C_SUB'],
+        escalation_policy: {
+          steps: [
+            { action: 'thread', after_days: 1 },
+            { action: 'dm_owner', after_days: 3 },
+            { action: 'notify_requester', after_days: 5 },
+            { action: 'project_channel', after_days: 7 }
+          ]
+        }
+      })
+    };
+    service = new TaskEscalationService(slackClient, { taskStore, projectRepository });
+  });
+
+  it('次の段階を1つだけ実行して到達した段階を記録する', async () => {
+    taskStore.getTasks.mockResolvedValue([
+      overdueTask({ channel_id: 'C_THREAD', thread_ts: '111.222' }),
+      overdueTask({ id: 'T-2412-002', escalation_step: 2, escalation_due: '2024-12-13' })
+    ]);
+
+    const result = await service.runEscalations(NOW);
+
+    expect(slackClient.chat.postMessage).toHaveBeenCalledTimes(2);
+    expect(slackClient.chat.postMessage).toHaveBeenCalledWith(expect.objectContaining({ channel: 'C_THREAD', thread_ts: '111.222' }));
+    expect(slackClient.chat.postMessage).toHaveBeenCalledWith(expect.objectContaining({ channel: 'C_MAIN' }));
+    expect(taskStore.updateTask).toHaveBeenCalledWith('T-2412-001', { escalation_step: 0, escalation_due: '2024-12-13' });
+    expect(taskStore.updateTask).toHaveBeenCalledWith('T-2412-002', { escalation_step: 3, escalation_due: '2024-12-13' });
+    expect(result.escalated).toBe(2);
+    expect(projectRepository.getProjectById).toHaveBeenCalledTimes(1);
+  });
+
+  it('完了・スヌーズ中・待ち・確認済みのタスクと、ポリシーを止めた・設定していないプロジェクトは対象外', async () => {
+    projectRepository.getProjectById.mockImplementation(async projectId => ({
+      'proj-a': { project_id: projectId, escalation_policy: {} },
+      'proj-off': { project_id: projectId, escalation_policy: { enabled: false } },
+      'proj-none': { project_id: projectId }
+    }[projectId] || null));
+    taskStore.getTasks.mockResolvedValue([
+      overdueTask({ id: 'T-1', status: 'done' }),
+      overdueTask({ id: 'T-2', snoozed_until: '2024-12-21' }),
+      overdueTask({ id: 'T-3', blocked_by: ['T-9'] }),
+      overdueTask({ id: 'T-9', escalation_acknowledged_at: '2024-12-19T00:00:00Z' }),
+      overdueTask({ id: 'T-4', project_id: 'proj-off' }),
+      overdueTask({ id: 'T-5', project_id: 'proj-none' }),
+      overdueTask({ id: 'T-6', project_id: 'proj-unknown' })
+    ]);
+
+    const result = await service.runEscalations(NOW);
+
+    expect(slackClient.chat.postMessage).not.toHaveBeenCalled();
+    expect(taskStore.updateTask).not.toHaveBeenCalled();
+    expect(result.paused).toBe(1);
+  });
+
+  it('依頼者がいない段階は送らずに次へ進め、送信に失敗した段階は記録しない', async () => {
+    taskStore.getTasks.mockResolvedValue([
+      overdueTask({ id: 'T-1', requester_slack_id: 'U_OWNER', escalation_step: 1, escalation_due: '2024-12-13' }),
+      overdueTask({ id: 'T-2', escalation_step: 0, escalation_due: '2024-12-13' })
+    ]);
+    slackClient.chat.postMessage.mockRejectedValue(new Error('channel_not_found'));
+
+    const result = await service.runEscalations(NOW);
+
+    expect(result.results).toEqual([
+      expect.objectContaining({ task: 'T-1', action: 'notify_requester', skipped: true, reason: 'no_destination' }),
+      expect.objectContaining({ task: 'T-2', action: 'dm_owner', success: false, error: 'channel_not_found' })
+    ]);
+    expect(taskStore.updateTask).toHaveBeenCalledTimes(1);
+    expect(taskStore.updateTask).toHaveBeenCalledWith('T-1', { escalation_step: 2, escalation_due: '2024-12-13' });
+  });
+
+  it('Slack IDのない担当者は名前から引いてDMする', async () => {
+    getMembersMapping.mockResolvedValue(new Map([['keigo', 'U_FROM_NAME']]));
+    taskStore.getTasks.mockResolvedValue([overdueTask({ owner_slack_id: undefined })]);
+
+    await service.runEscalations(NOW);
+
+    expect(slackClient.chat.postMessage).toHaveBeenCalledWith(expect.objectContaining({ channel: 'U_FROM_NAME' }));
+  });
+
+  it('完了ボタンには完了後の表示に使うタイトルと担当者・依頼者を渡す', async () => {
+    taskStore.getTasks.mockResolvedValue([overdueTask({ channel_id: 'C_THREAD', thread_ts: '111.222' })]);
+
+    await service.runEscalations(NOW);
+
+    const [{ blocks }] = slackClient.chat.postMessage.mock.calls[0];
+    const completeButton = blocks[1].elements.find(element => element.action_id === 'task_complete_T-2412-001');
+    expect(JSON.parse(completeButton.value)).toEqual({
+      taskId: 'T-2412-001',
+      title: '見積もりを送る',
+      requesterSlackId: 'U_REQ',
+      assigneeSlackId: 'U_OWNER'
+    });
+  });
+});
+
+describe('TaskEscalationService.acknowledge', () => {
+  it('担当者の確認だけを記録する', async () => {
+    const taskStore = {
+      getTask: jest.fn().mockResolvedValue(overdueTask()),
+      updateTask: jest.fn().mockResolvedValue({ success: true })
+    };
+    const projectRepository = { getProjectById: jest.fn().mockResolvedValue(null) };
+    const service = new TaskEscalationService({}, { taskStore, projectRepository });
+
+    expect(await service.acknowledge('T-2412-001', 'U_OTHER', NOW)).toEqual({ success: false, reason: 'not_owner' });
+    expect(await service.acknowledge('T-2412-001', 'U_OWNER', NOW)).toEqual({ success: true, pauseDays: 3 });
+    expect(taskStore.updateTask).toHaveBeenCalledTimes(1);
+    expect(taskStore.updateTask).toHaveBeenCalledWith('T-2412-001', { escalation_acknowledged_at: NOW.toISOString() });
+  });
+});
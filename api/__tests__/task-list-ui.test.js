@@ -0,0 +1,103 @@
+const {
+  TASK_LIST_CALLBACK_ID,
+  MAX_TASKS_PER_SECTION,
+  filterTasks,
+  buildTaskListView,
+  getFiltersFromView
+} = require('../task-list-ui');
+
+describe('task-list-ui', () => {
+  const now = new Date('2024-12-10T03:00:00Z');
+
+  const tasks = [
+    { task_id: 'T-1', title: '見積もり', project_id: 'zeims', status: 'todo', priority: 'high', due: '2024-12-09', owner_slack_id: 'U1' },
+    { task_id: 'T-2', title: '請求書', project_id: 'zeims', status: 'in-progress', priority: 'low', due: '2024-12-12', owner_slack_id: 'U1' },
+    { task_id: 'T-3', title: '契約書', project_id: 'salestailor', status: 'todo', priority: 'medium', due: null, owner_slack_id: 'U1' },
+    { task_id: 'T-4', title: '議事録', project_id: 'salestailor', status: 'todo', priority: 'high', due: '2024-12-30', owner_slack_id: 'U1', snoozed_until: '2024-12-11' }
+  ];
+
+  describe('filterTasks', () => {
+    it('フィルタなしでは期限の近い順（期限なしは最後）に並べる', () => {
+      const result = filterTasks(tasks, {}, now);
+      expect(result.map(t => t.task_id)).toEqual(['T-1', 'T-2', 'T-4', 'T-3']);
+    });
+
+    it('プロジェクトで絞り込む', () => {
+      const result = filterTasks(tasks, { project: 'salestailor' }, now);
+      expect(result.map(t => t.task_id)).toEqual(['T-4', 'T-3']);
+    });
+
+    it('ステータスで絞り込む', () => {
+      expect(filterTasks(tasks, { status: 'in-progress' }, now).map(t => t.task_id)).toEqual(['T-2']);
+      expect(filterTasks(tasks, { status: 'snoozed' }, now).map(t => t.task_id)).toEqual(['T-4']);
+    });
+
+    it('期限で絞り込む', () => {
+      expect(filterTasks(tasks, { due: 'overdue' }, now).map(t => t.task_id)).toEqual(['T-1']);
+      expect(filterTasks(tasks, { due: 'week' }, now).map(t => t.task_id)).toEqual(['T-1', 'T-2']);
+      expect(filterTasks(tasks, { due: 'none' }, now).map(t => t.task_id)).toEqual(['T-3']);
+    });
+
+    it('優先度で絞り込む', () => {
+      expect(filterTasks(tasks, { priority: 'high' }, now).map(t => t.task_id)).toEqual(['T-1', 'T-4']);
+    });
+  });
+
+  describe('buildTaskListView', () => {
+    it('既存のタスクカードと同じaction_idで各行の操作ボタンを出す', () => {
+      const view = buildTaskListView({ ownedTasks: [tasks[0]], requestedTasks: [], now });
+
+      const actionIds = view.blocks
+        .filter(b => b.type === 'actions' && b.block_id !== 'task_list_filters')
+        .flatMap(b => b.elements.map(e => e.action_id));
+
+      expect(view.callback_id).toBe(TASK_LIST_CALLBACK_ID);
+      expect(actionIds).toEqual(['task_complete_T-1', 'task_snooze_T-1', 'task_set_due_T-1', 'task_edit_T-1']);
+    });
+
+    it('完了ボタンの値はtask_complete_ハンドラの形式に合わせる', () => {
+      const view = buildTaskListView({ ownedTasks: [{ ...tasks[0], requester_slack_id: 'U2' }], now });
+      const complete = view.blocks
+        .flatMap(b => b.elements || [])
+        .find(e => e.action_id === 'task_complete_T-1');
+
+      expect(JSON.parse(complete.value)).toEqual({
+        taskId: 'T-1',
+        title: '見積もり',
+        requesterSlackId: 'U2',
+        assigneeSlackId: 'U1'
+      });
+    });
+
+    it('担当かつ依頼者のタスクは担当側にだけ表示する', () => {
+      const view = buildTaskListView({ ownedTasks: [tasks[0]], requestedTasks: [tasks[0], tasks[1]], now });
+
+      const completeIds = view.blocks
+        .flatMap(b => b.elements || [])
+        .filter(e => e.action_id?.startsWith('task_complete_'))
+        .map(e => e.action_id);
+
+      expect(completeIds).toEqual(['task_complete_T-1', 'task_complete_T-2']);
+    });
+
+    it('フィルタの選択状態をprivate_metadataとinitial_optionに保持する', () => {
+      const view = buildTaskListView({ ownedTasks: tasks, filters: { project: 'zeims', due: 'week' }, now });
+
+      expect(getFiltersFromView(view)).toEqual({ project: 'zeims', status: 'all', due: 'week', priority: 'all' });
+      const filterBlock = view.blocks.find(b => b.block_id === 'task_list_filters');
+      const projectSelect = filterBlock.elements.find(e => e.action_id === 'task_list_filter_project');
+      expect(projectSelect.initial_option.value).toBe('zeims');
+      expect(projectSelect.options.map(o => o.value)).toEqual(['all', 'salestailor', 'zeims']);
+    });
+
+    it('件数が多い場合は上限で切り詰めて残り件数を表示する', () => {
+      const many = Array.from({ length: MAX_TASKS_PER_SECTION + 5 }, (_, i) => ({
+        task_id: `T-${i}`, title: `タスク${i}`, status: 'todo', owner_slack_id: 'U1'
+      }));
+      const view = buildTaskListView({ ownedTasks: many, now });
+
+      expect(view.blocks.length).toBeLessThanOrEqual(100);
+      expect(JSON.stringify(view.blocks)).toContain('他 5 件');
+    });
+  });
+});
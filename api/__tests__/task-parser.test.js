@@ -0,0 +1,47 @@
+/**
+ * task-parser.test.js
+ * _tasks/index.md の front matter パースのテスト
+ */
+
+const TaskParser = require('../task-parser');
+
+describe('TaskParser.parseFrontMatter', () => {
+  const parser = new TaskParser('test-token');
+
+  it('blocked_by / blocks を配列としてパースする', () => {
+    const task = parser.parseFrontMatter(`
+task_id: T-2412-002
+title: 実装する
+tags: [slack, auto-import]
+links: []
+blocked_by: [T-2412-001, T-2412-003]
+blocks: T-2412-005
+`);
+
+    expect(task.tags).toEqual(['slack', 'auto-import']);
+    expect(task.blocked_by).toEqual(['T-2412-001', 'T-2412-003']);
+    expect(task.blocks).toEqual(['T-2412-005']);
+  });
+
+  it('空のIDを除くのは blocked_by / blocks だけで、ほかの配列はこれまでどおりパースする', () => {
+    const task = parser.parseFrontMatter(`
+task_id: T-2412-002
+tags: [slack, ]
+links: []
+blocked_by: []
+blocks: [T-2412-005, ]
+`);
+
+    expect(task.tags).toEqual(['slack', '']);
+    expect(task.links).toEqual(['']);
+    expect(task.blocked_by).toEqual([]);
+    expect(task.blocks).toEqual(['T-2412-005']);
+  });
+
+  it('blocked_by: null は空配列にする', () => {
+    const task = parser.parseFrontMatter('task_id: T-2412-002\nblocked_by: null\n');
+
+    expect(task.blocked_by).toEqual([]);
+    expect(task).not.toHaveProperty('blocks');
+  });
+});
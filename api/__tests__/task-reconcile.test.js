@@ -0,0 +1,334 @@
+/**
+ * task-reconcile.test.js
+ * Airtable ⇔ タスクストアの双方向同期のテスト
+ */
+
+const { TaskReconcileService, TaskSyncStateRepository, diffTask, getConflictKey, buildConflictSummary } = require('../task-reconcile');
+
+const statusMapper = status => ({ todo: 'pending', 'in-progress': 'in_progress', done: 'completed', cancelled: 'cancelled' }[status] || 'pending');
+
+const baseTask = {
+  task_id: 'T-2412-001',
+  title: '見積もりを作る',
+  status: 'todo',
+  priority: 'medium',
+  due: '2024-12-20',
+  updated_at: '2024-12-10T01:00:00.000Z'
+};
+
+const baseRecord = {
+  id: 'rec1',
+  fields: {
+    task_id: 'T-2412-001',
+    title: '見積もりを作る',
+    status: 'pending',
+    priority: 'medium',
+    due_date: '2024-12-20'
+  }
+};
+
+const syncedBase = { title: '見積もりを作る', status: 'pending', priority: 'medium', due: '2024-12-20' };
+
+describe('diffTask', () => {
+  it('一致していれば何もしない', () => {
+    const result = diffTask({ task: baseTask, record: baseRecord, baseFields: syncedBase, statusMapper });
+
+    expect(result.toAirtable).toEqual({});
+    expect(result.toTask).toEqual({});
+    expect(result.conflicts).toEqual([]);
+  });
+
+  it('Airtableだけで変わったフィールドはタスクに反映する', () => {
+    const record = { ...baseRecord, fields: { ...baseRecord.fields, status: 'completed', due_date: '2024-12-24' } };
+
+    const result = diffTask({ task: baseTask, record, baseFields: syncedBase, statusMapper });
+
+    expect(result.toTask).toEqual({ status: 'done', due: '2024-12-24' });
+    expect(result.toAirtable).toEqual({});
+    expect(result.syncedFields).toEqual({ ...syncedBase, status: 'completed', due: '2024-12-24' });
+  });
+
+  it('タスクだけで変わったフィールドはAirtableに反映する', () => {
+    const task = { ...baseTask, priority: 'high', due: '2024-12-18T18:00:00+09:00' };
+
+    const result = diffTask({ task, record: baseRecord, baseFields: syncedBase, statusMapper });
+
+    expect(result.toAirtable).toEqual({ priority: 'high', due_date: '2024-12-18' });
+    expect(result.toTask).toEqual({});
+  });
+
+  it('両側で変わったらフィールドの更新日時で後勝ちにする', () => {
+    const task = { ...baseTask, due: '2024-12-22', status: 'in-progress', updated_at: '2024-12-11T00:00:00Z' };
+    const record = {
+      ...baseRecord,
+      fields: {
+        ...baseRecord.fields,
+        due_date: '2024-12-25',
+        due_date_modified_at: '2024-12-12T00:00:00Z',
+        status: 'completed',
+        status_modified_at: '2024-12-10T12:00:00Z'
+      }
+    };
+
+    const result = diffTask({ task, record, baseFields: syncedBase, statusMapper });
+
+    expect(result.toTask).toEqual({ due: '2024-12-25' });
+    expect(result.toAirtable).toEqual({ status: 'in_progress' });
+    expect(result.conflicts).toEqual([]);
+  });
+
+  it('片側ずつ別のフィールドを編集したら、タスク全体ではなくフィールドの更新日時で比べる', () => {
+    const { withUpdateTimestamps } = require('../task-store');
+    // タスクストアで期限を 12/11 に変え、12/13 にスヌーズした（タスク全体の updated_at は 12/13）
+    const task = {
+      ...baseTask,
+      ...withUpdateTimestamps({ due: '2024-12-22' }, new Date('2024-12-11T00:00:00Z')),
+      status_updated_at: '2024-12-01T00:00:00Z',
+      snoozed_until: '2024-12-14',
+      updated_at: '2024-12-13T00:00:00Z'
+    };
+    // Airtable では期限を 12/10 に、ステータスを 12/12 に変えた
+    const record = {
+      ...baseRecord,
+      fields: {
+        ...baseRecord.fields,
+        due_date: '2024-12-25',
+        due_date_modified_at: '2024-12-10T00:00:00Z',
+        status: 'completed',
+        status_modified_at: '2024-12-12T00:00:00Z'
+      }
+    };
+
+    const result = diffTask({ task, record, baseFields: syncedBase, statusMapper });
+
+    expect(task.due_updated_at).toBe('2024-12-11T00:00:00.000Z');
+    expect(result.toAirtable).toEqual({ due_date: '2024-12-22' });
+    expect(result.toTask).toEqual({ status: 'done' });
+    expect(result.conflicts).toEqual([]);
+  });
+
+  it('更新日時で決められなければ衝突として残し、同期状態は前回のまま', () => {
+    const task = { ...baseTask, title: '見積もりを作る（改）', updated_at: undefined, created_at: undefined };
+    const record = { ...baseRecord, fields: { ...baseRecord.fields, title: '見積書を作る' } };
+
+    const result = diffTask({ task, record, baseFields: syncedBase, statusMapper });
+
+    expect(result.conflicts).toEqual([{
+      taskId: 'T-2412-001',
+      title: '見積もりを作る（改）',
+      field: 'title',
+      taskValue: '見積もりを作る（改）',
+      airtableValue: '見積書を作る',
+      baseValue: '見積もりを作る'
+    }]);
+    expect(result.syncedFields.title).toBe('見積もりを作る');
+  });
+
+  it('cancelledはAirtableのcancelledと双方向に対応させる', () => {
+    const toAirtable = diffTask({ task: { ...baseTask, status: 'cancelled' }, record: baseRecord, baseFields: syncedBase, statusMapper });
+    const cancelledRecord = { ...baseRecord, fields: { ...baseRecord.fields, status: 'cancelled' } };
+    const toTask = diffTask({ task: baseTask, record: cancelledRecord, baseFields: syncedBase, statusMapper });
+
+    expect(toAirtable.toAirtable).toEqual({ status: 'cancelled' });
+    expect(toTask.toTask).toEqual({ status: 'cancelled' });
+  });
+
+  it('初回（前回同期時の値がない）で更新日時がなければ衝突にせずタスクストアに合わせる', () => {
+    const task = { ...baseTask, title: '見積もりを作る（改）', updated_at: undefined, created_at: undefined };
+    const record = { ...baseRecord, fields: { ...baseRecord.fields, title: '見積書を作る' } };
+
+    const result = diffTask({ task, record, baseFields: null, statusMapper });
+
+    expect(result.toAirtable).toEqual({ title: '見積もりを作る（改）' });
+    expect(result.conflicts).toEqual([]);
+  });
+});
+
+describe('buildConflictSummary', () => {
+  it('衝突の一覧を投稿用に整形する', () => {
+    const { text, blocks } = buildConflictSummary([
+      { taskId: 'T-1', title: 'A', field: 'due', taskValue: '2024-12-20', airtableValue: null }
+    ]);
+
+    expect(text).toContain('1 件');
+    expect(blocks[1].text.text).toBe('• *A* `T-1` due: GitHub `2024-12-20` / Airtable `(なし)`');
+  });
+});
+
+describe('TaskReconcileService.reconcile', () => {
+  let taskStore;
+  let mcpClient;
+  let airtableSync;
+  let stateRepository;
+  let slackClient;
+
+  beforeEach(() => {
+    taskStore = {
+      getTasks: jest.fn().mockResolvedValue([
+        { ...baseTask, priority: 'high' },
+        { ...baseTask, task_id: 'T-2412-002', title: '請求書' },
+        { ...baseTask, task_id: 'T-2412-003', title: '新規タスク' }
+      ]),
+      updateTasks: jest.fn().mockImplementation(async updates => ({ updated: updates.map(u => u.taskId), failed: [] }))
+    };
+    mcpClient = {
+      listRecords: jest.fn().mockResolvedValue({
+        records: [
+          baseRecord,
+          { id: 'rec2', fields: { ...baseRecord.fields, task_id: 'T-2412-002', title: '請求書', status: 'completed' } },
+          { id: 'rec9', fields: { title: 'task_idのないレコード' } }
+        ]
+      }),
+      updateRecords: jest.fn().mockResolvedValue({ records: [] })
+    };
+    airtableSync = {
+      mcpClient,
+      mapStatus: statusMapper,
+      syncTaskToAirtable: jest.fn().mockResolvedValue({ success: true, operation: 'create' })
+    };
+    stateRepository = {
+      getAllStates: jest.fn().mockResolvedValue(new Map([
+        ['T-2412-001', { fields: syncedBase, reportedConflicts: [] }],
+        ['T-2412-002', { fields: { ...syncedBase, title: '請求書' }, reportedConflicts: [] }]
+      ])),
+      saveState: jest.fn().mockResolvedValue()
+    };
+    slackClient = { chat: { postMessage: jest.fn().mockResolvedValue({ ok: true }) } };
+  });
+
+  const createService = () => new TaskReconcileService({
+    taskStore,
+    airtableSync,
+    stateRepository,
+    slackClient,
+    conflictChannelId: 'C-SYNC'
+  });
+
+  it('両側に変更を反映し、Airtableにないタスクは作成する', async () => {
+    const now = new Date('2024-12-12T00:00:00Z');
+    const summary = await createService().reconcile(now);
+
+    expect(mcpClient.updateRecords).toHaveBeenCalledWith([{ id: 'rec1', fields: { priority: 'high' } }]);
+    expect(taskStore.updateTasks).toHaveBeenCalledWith([{ taskId: 'T-2412-002', fields: { status: 'done' } }]);
+    expect(airtableSync.syncTaskToAirtable).toHaveBeenCalledWith(expect.objectContaining({ task_id: 'T-2412-003' }));
+    expect(stateRepository.saveState).toHaveBeenCalledWith('T-2412-001', {
+      fields: { ...syncedBase, priority: 'high' },
+      reportedConflicts: []
+    }, now);
+    expect(summary).toEqual(expect.objectContaining({ checked: 3, created: ['T-2412-003'], conflicts: [], errors: [] }));
+    expect(slackClient.chat.postMessage).not.toHaveBeenCalled();
+  });
+
+  it('Airtableへの反映に失敗したタスクは同期状態を進めない', async () => {
+    mcpClient.updateRecords.mockRejectedValue(new Error('rate limited'));
+
+    const summary = await createService().reconcile();
+
+    expect(stateRepository.saveState).not.toHaveBeenCalledWith('T-2412-001', expect.anything(), expect.anything());
+    expect(stateRepository.saveState).toHaveBeenCalledWith('T-2412-002', expect.anything(), expect.anything());
+    expect(summary.errors).toEqual([{ airtableRecordIds: ['rec1'], error: 'rate limited' }]);
+  });
+
+  it('タスクストアへの反映は1回にまとめ、反映できなかったタスクは同期状態を進めない', async () => {
+    mcpClient.listRecords.mockResolvedValue({
+      records: [
+        { ...baseRecord, fields: { ...baseRecord.fields, status: 'completed' } },
+        { id: 'rec2', fields: { ...baseRecord.fields, task_id: 'T-2412-002', title: '請求書', status: 'completed' } }
+      ]
+    });
+    taskStore.getTasks.mockResolvedValue([baseTask, { ...baseTask, task_id: 'T-2412-002', title: '請求書' }]);
+    taskStore.updateTasks.mockResolvedValue({ updated: ['T-2412-001'], failed: [{ taskId: 'T-2412-002', error: 'Task not found: T-2412-002' }] });
+
+    const summary = await createService().reconcile();
+
+    expect(taskStore.updateTasks).toHaveBeenCalledTimes(1);
+    expect(summary.toTask).toEqual([{ taskId: 'T-2412-001', fields: { status: 'done' } }]);
+    expect(summary.errors).toEqual([{ taskId: 'T-2412-002', error: 'Task not found: T-2412-002' }]);
+    expect(stateRepository.saveState).toHaveBeenCalledTimes(1);
+    expect(stateRepository.saveState).toHaveBeenCalledWith('T-2412-001', expect.anything(), expect.anything());
+  });
+
+  it('完了・取り消し済みのタスクは Airtable に作らず、変わっていなければ同期状態も書き直さない', async () => {
+    taskStore.getTasks.mockResolvedValue([
+      { ...baseTask, task_id: 'T-2412-002', title: '請求書', status: 'done' },
+      { ...baseTask, task_id: 'T-2412-003', status: 'cancelled' }
+    ]);
+    stateRepository.getAllStates.mockResolvedValue(new Map([
+      ['T-2412-002', { fields: { ...syncedBase, title: '請求書', status: 'completed' }, reportedConflicts: [] }]
+    ]));
+
+    await createService().reconcile();
+
+    expect(airtableSync.syncTaskToAirtable).not.toHaveBeenCalled();
+    expect(taskStore.updateTasks).not.toHaveBeenCalled();
+    expect(mcpClient.updateRecords).not.toHaveBeenCalled();
+    expect(stateRepository.saveState).not.toHaveBeenCalled();
+  });
+
+  describe('解決できない衝突', () => {
+    const conflictTask = { ...baseTask, title: '見積もり（GitHub）', updated_at: undefined };
+    const conflictRecord = { ...baseRecord, fields: { ...baseRecord.fields, title: '見積もり（Airtable）' } };
+    const conflict = {
+      taskId: 'T-2412-001',
+      title: '見積もり（GitHub）',
+      field: 'title',
+      taskValue: '見積もり（GitHub）',
+      airtableValue: '見積もり（Airtable）',
+      baseValue: '見積もりを作る'
+    };
+
+    beforeEach(() => {
+      taskStore.getTasks.mockResolvedValue([conflictTask]);
+      mcpClient.listRecords.mockResolvedValue({ records: [conflictRecord] });
+    });
+
+    it('設定したチャンネルに投稿し、投稿した衝突を同期状態に記録する', async () => {
+      const summary = await createService().reconcile();
+
+      expect(summary.conflicts).toHaveLength(1);
+      expect(slackClient.chat.postMessage).toHaveBeenCalledWith(expect.objectContaining({ channel: 'C-SYNC' }));
+      expect(stateRepository.saveState).toHaveBeenCalledWith('T-2412-001', {
+        fields: syncedBase,
+        reportedConflicts: [getConflictKey(conflict)]
+      }, expect.anything());
+    });
+
+    it('投稿済みの衝突は繰り返し投稿しない', async () => {
+      stateRepository.getAllStates.mockResolvedValue(new Map([
+        ['T-2412-001', { fields: syncedBase, reportedConflicts: [getConflictKey(conflict)] }]
+      ]));
+
+      const summary = await createService().reconcile();
+
+      expect(summary.conflicts).toHaveLength(1);
+      expect(summary.newConflicts).toEqual([]);
+      expect(slackClient.chat.postMessage).not.toHaveBeenCalled();
+      expect(stateRepository.saveState).not.toHaveBeenCalled();
+    });
+
+    it('投稿できなかった衝突は記録せず次回また投稿する', async () => {
+      slackClient.chat.postMessage.mockRejectedValue(new Error('channel_not_found'));
+
+      await createService().reconcile();
+
+      expect(stateRepository.saveState).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('TaskSyncStateRepository', () => {
+  it('全件をtask_id → 前回同期時の値と投稿済みの衝突のMapで返す', async () => {
+    const docClient = {
+      send: jest.fn()
+        .mockResolvedValueOnce({ Items: [{ task_id: 'T-1', fields: { status: 'pending' }, reported_conflicts: ['["title","a","b"]'] }], LastEvaluatedKey: { task_id: 'T-1' } })
+        .mockResolvedValueOnce({ Items: [{ task_id: 'T-2', fields: { status: 'completed' } }] })
+    };
+    const repository = new TaskSyncStateRepository({ docClient, tableName: 'test-sync-state' });
+
+    const states = await repository.getAllStates();
+
+    expect(states.get('T-1')).toEqual({ fields: { status: 'pending' }, reportedConflicts: ['["title","a","b"]'] });
+    expect(states.get('T-2')).toEqual({ fields: { status: 'completed' }, reportedConflicts: [] });
+    expect(docClient.send).toHaveBeenCalledTimes(2);
+  });
+});
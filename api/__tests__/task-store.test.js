@@ -0,0 +1,354 @@
+/**
+ * task-store.test.js
+ * タスクストア（GitHub markdown / DynamoDB バックエンド）のテスト
+ */
+
+const {
+  GitHubTaskStore,
+  DynamoTaskStore,
+  createTaskStore,
+  TaskStore,
+  updateTaskInContent,
+  isSnoozed,
+  getDependencyIds,
+  indexTasksById,
+  isBlocked,
+  findUnblockedTasks
+} = require('../task-store');
+
+const TASKS_CONTENT = `---
+task_id: T-2412-002
+source_id: SLACK-2024-12-10-B
+title: 請求書を送る
+project_id: zeims
+status: todo
+owner: keigo
+priority: high
+due: 2024-12-20
+tags: [slack, auto-import]
+links: []
+created_at: "2024-12-10T01:00:00.000Z"
+owner_slack_id: U123
+---
+
+- 2024-12-10 Slackから自動取り込み
+
+---
+task_id: T-2412-001
+source_id: SLACK-2024-12-09-A
+title: 見積もりを作る
+project_id: zeims
+status: todo
+owner: keigo
+priority: medium
+due: null
+tags: [slack, auto-import]
+links: []
+created_at: "2024-12-09T01:00:00.000Z"
+---
+
+- 2024-12-09 Slackから自動取り込み
+
+`;
+
+describe('updateTaskInContent', () => {
+  it('指定したタスクのフィールドだけを書き換える', () => {
+    const { content, found } = updateTaskInContent(TASKS_CONTENT, 'T-2412-001', { status: 'done' });
+
+    expect(found).toBe(true);
+    const [second] = content.split('task_id: T-2412-001').slice(1);
+    expect(second).toContain('status: done');
+    expect(content.split('task_id: T-2412-001')[0]).toContain('status: todo');
+  });
+
+  it('存在しないフィールドはブロック末尾に追加する', () => {
+    const { content } = updateTaskInContent(TASKS_CONTENT, 'T-2412-002', { snoozed_until: '2024-12-11' });
+
+    expect(content).toMatch(/owner_slack_id: U123\nsnoozed_until: 2024-12-11\n---/);
+  });
+
+  it('nullは"null"として、日時はクォートして書き込む', () => {
+    const { content } = updateTaskInContent(TASKS_CONTENT, 'T-2412-002', {
+      due: null,
+      completed_at: '2024-12-12T03:00:00.000Z'
+    });
+
+    expect(content).toContain('due: null');
+    expect(content).toContain('completed_at: "2024-12-12T03:00:00.000Z"');
+  });
+
+  it('タスクが見つからない場合はfound=falseを返す', () => {
+    const { content, found } = updateTaskInContent(TASKS_CONTENT, 'T-9999-999', { status: 'done' });
+
+    expect(found).toBe(false);
+    expect(content).toBe(TASKS_CONTENT);
+  });
+});
+
+describe('isSnoozed', () => {
+  it('snoozed_untilが未来ならtrue', () => {
+    const now = new Date('2024-12-10T00:00:00Z');
+    expect(isSnoozed({ snoozed_until: '2024-12-11' }, now)).toBe(true);
+  });
+
+  it('snoozed_untilが過去または未設定ならfalse', () => {
+    const now = new Date('2024-12-12T00:00:00Z');
+    expect(isSnoozed({ snoozed_until: '2024-12-11' }, now)).toBe(false);
+    expect(isSnoozed({}, now)).toBe(false);
+  });
+});
+
+describe('タスクの依存関係', () => {
+  const tasks = [
+    { task_id: 'T-1', title: '仕様を決める', status: 'todo', blocks: ['T-2', 'T-3'] },
+    { task_id: 'T-2', title: '実装する', status: 'todo', blocked_by: ['T-1'] },
+    { task_id: 'T-3', title: 'リリースする', status: 'todo', blocked_by: ['T-1', 'T-4'] },
+    { task_id: 'T-4', title: 'レビュー', status: 'todo' },
+    { task_id: 'T-5', title: '中止した作業', status: 'cancelled', blocked_by: ['T-1'] }
+  ];
+
+  it('getDependencyIdsは配列・単一値・未設定をそろえる', () => {
+    expect(getDependencyIds({ blocked_by: ['T-1', ''] }, 'blocked_by')).toEqual(['T-1']);
+    expect(getDependencyIds({ blocked_by: 'T-1, T-2' }, 'blocked_by')).toEqual(['T-1', 'T-2']);
+    expect(getDependencyIds({ blocked_by: 'null' }, 'blocked_by')).toEqual([]);
+    expect(getDependencyIds({}, 'blocks')).toEqual([]);
+  });
+
+  it('未完了のタスクを待っていればブロック中', () => {
+    const tasksById = indexTasksById(tasks);
+    expect(isBlocked(tasks[1], tasksById)).toBe(true);
+    expect(isBlocked(tasks[3], tasksById)).toBe(false);
+    expect(isBlocked(tasks[1], indexTasksById([{ ...tasks[0], status: 'done' }]))).toBe(false);
+    // 見つからないタスクはブロックしていない扱い
+    expect(isBlocked({ task_id: 'T-9', blocked_by: ['T-404'] }, tasksById)).toBe(false);
+  });
+
+  it('完了で他の待ちがなくなった未完了タスクだけを返す', () => {
+    expect(findUnblockedTasks(tasks, 'T-1').map(t => t.task_id)).toEqual(['T-2']);
+  });
+
+  describe('setBlockedBy', () => {
+    let store;
+
+    beforeEach(() => {
+      store = new TaskStore();
+      store.getTasks = jest.fn().mockResolvedValue(tasks);
+      store.updateTask = jest.fn().mockResolvedValue({ success: true });
+    });
+
+    it('blocked_byを更新し、相手側のblocksを追加・削除する', async () => {
+      const result = await store.setBlockedBy('T-3', ['T-4', 'T-2']);
+
+      expect(result).toEqual({ success: true, taskId: 'T-3', blocked_by: ['T-4', 'T-2'], added: ['T-2'], removed: ['T-1'] });
+      expect(store.updateTask).toHaveBeenCalledWith('T-3', { blocked_by: ['T-4', 'T-2'] });
+      expect(store.updateTask).toHaveBeenCalledWith('T-2', { blocks: ['T-3'] });
+      expect(store.updateTask).toHaveBeenCalledWith('T-1', { blocks: ['T-2'] });
+    });
+
+    it('存在しないタスクや循環する依存関係はエラー', async () => {
+      await expect(store.setBlockedBy('T-4', ['T-404'])).rejects.toThrow('Task not found: T-404');
+      await expect(store.setBlockedBy('T-1', ['T-2'])).rejects.toThrow('循環');
+      expect(store.updateTask).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('GitHubTaskStore', () => {
+  let mockGitHub;
+  let store;
+
+  beforeEach(() => {
+    // createOrUpdateFileは最新の内容にtransformを適用してコミットする
+    mockGitHub = {
+      appendTask: jest.fn(),
+      createOrUpdateFile: jest.fn().mockImplementation(async ({ transform }) => ({
+        content: transform(TASKS_CONTENT, { sha: 'sha-1', attempt: 1 }),
+        commitSha: 'commit-1',
+        attempts: 1
+      }))
+    };
+    store = new GitHubTaskStore({
+      github: mockGitHub,
+      taskParser: { getTasks: jest.fn().mockResolvedValue([]) }
+    });
+  });
+
+  it('createTaskはappendTaskに委譲し、URLを正規化する', async () => {
+    mockGitHub.appendTask.mockResolvedValue({
+      success: true,
+      taskId: 'T-2412-003',
+      airtableRecordUrl: null,
+      fileUrl: 'https://github.com/sintariran/brainbase/blob/main/_tasks/index.md'
+    });
+
+    const result = await store.createTask({ title: 'テスト' }, { slackLink: 'https://slack', slackContext: { channel_id: 'C1', thread_ts: '1.2' } });
+
+    expect(mockGitHub.appendTask).toHaveBeenCalledWith({ title: 'テスト' }, 'https://slack', { channel_id: 'C1', thread_ts: '1.2' });
+    expect(result.url).toBe('https://github.com/sintariran/brainbase/blob/main/_tasks/index.md');
+  });
+
+  it('updateStatusはtransformでタスクブロックを書き換える', async () => {
+    const result = await store.updateStatus('T-2412-001', 'done');
+
+    expect(result.success).toBe(true);
+    expect(result.attempts).toBe(1);
+    const call = mockGitHub.createOrUpdateFile.mock.calls[0][0];
+    expect(call.path).toBe('_tasks/index.md');
+    expect(call.content).toBeUndefined();
+    const { content } = await mockGitHub.createOrUpdateFile.mock.results[0].value;
+    expect(content).toMatch(/task_id: T-2412-001[\s\S]*status: done[\s\S]*completed_at: "/);
+  });
+
+  it('競合リトライの試行回数を返す', async () => {
+    mockGitHub.createOrUpdateFile.mockResolvedValueOnce({ commitSha: 'commit-2', attempts: 3 });
+
+    const result = await store.setDue('T-2412-002', '2024-12-24');
+
+    expect(result.attempts).toBe(3);
+  });
+
+  it('タスクが存在しない場合はエラーを投げる', async () => {
+    await expect(store.snoozeTask('T-9999-999', '2024-12-11')).rejects.toThrow('Task not found: T-9999-999');
+  });
+
+  it('updateTasksは複数タスクを1回のコミットで更新し、見つからないタスクは failed で返す', async () => {
+    const result = await store.updateTasks([
+      { taskId: 'T-2412-001', fields: { status: 'done' } },
+      { taskId: 'T-2412-002', fields: { due: '2024-12-24' } },
+      { taskId: 'T-9999-999', fields: { status: 'done' } }
+    ]);
+
+    expect(mockGitHub.createOrUpdateFile).toHaveBeenCalledTimes(1);
+    const { content } = await mockGitHub.createOrUpdateFile.mock.results[0].value;
+    expect(content).toMatch(/task_id: T-2412-002[\s\S]*due: 2024-12-24[\s\S]*task_id: T-2412-001[\s\S]*status: done/);
+    expect(result).toEqual({
+      updated: ['T-2412-001', 'T-2412-002'],
+      failed: [{ taskId: 'T-9999-999', error: 'Task not found: T-9999-999' }]
+    });
+  });
+
+  it('updateTasksのコミットに失敗したら全件を failed で返す', async () => {
+    mockGitHub.createOrUpdateFile.mockRejectedValueOnce(new Error('conflict'));
+
+    const result = await store.updateTasks([{ taskId: 'T-2412-001', fields: { status: 'done' } }]);
+
+    expect(result).toEqual({ updated: [], failed: [{ taskId: 'T-2412-001', error: 'conflict' }] });
+  });
+});
+
+describe('DynamoTaskStore', () => {
+  let mockSend;
+  let store;
+
+  beforeEach(() => {
+    mockSend = jest.fn();
+    store = new DynamoTaskStore({
+      docClient: { send: mockSend },
+      tableName: 'mana-tasks-test',
+      taskIdGenerator: { generateNextId: jest.fn().mockResolvedValue('T-2412-010') },
+      disableAirtableSync: true
+    });
+  });
+
+  it('createTaskは重複しない条件付きでPutする', async () => {
+    mockSend.mockResolvedValue({});
+
+    const result = await store.createTask(
+      { title: '議事録をまとめる', assignee: 'keigo', assignee_slack_id: 'U123', requester: '田中', requester_slack_id: 'U456' },
+      { slackContext: { channel_id: 'C1', thread_ts: '1733644800.123456' } }
+    );
+
+    expect(result.taskId).toBe('T-2412-010');
+    const command = mockSend.mock.calls[0][0];
+    expect(command.input.ConditionExpression).toBe('attribute_not_exists(task_id)');
+    expect(command.input.Item).toMatchObject({
+      task_id: 'T-2412-010',
+      status: 'todo',
+      owner_slack_id: 'U123',
+      requester_slack_id: 'U456',
+      source: 'slack',
+      thread_ts: '1733644800.123456'
+    });
+  });
+
+  it('updateTaskは存在チェック付きでSETしversionを加算する', async () => {
+    mockSend.mockResolvedValue({ Attributes: { task_id: 'T-2412-010', status: 'done' } });
+
+    await store.updateStatus('T-2412-010', 'done');
+
+    const { input } = mockSend.mock.calls[0][0];
+    expect(input.ConditionExpression).toBe('attribute_exists(task_id)');
+    expect(input.UpdateExpression).toContain('ADD #version :one');
+    expect(Object.values(input.ExpressionAttributeValues)).toContain('done');
+  });
+
+  it('同期するフィールドを更新したらフィールドごとの更新日時も記録する', async () => {
+    mockSend.mockResolvedValue({ Attributes: { task_id: 'T-2412-010' } });
+
+    await store.setDue('T-2412-010', '2024-12-20');
+
+    const { input } = mockSend.mock.calls[0][0];
+    const updatedKeys = Object.values(input.ExpressionAttributeNames);
+    expect(updatedKeys).toEqual(expect.arrayContaining(['due', 'updated_at', 'due_updated_at']));
+    expect(updatedKeys).not.toContain('status_updated_at');
+  });
+
+  it('存在しないタスクの更新はTask not foundになる', async () => {
+    mockSend.mockRejectedValue(Object.assign(new Error('failed'), { name: 'ConditionalCheckFailedException' }));
+
+    await expect(store.setDue('T-9999-999', null)).rejects.toThrow('Task not found: T-9999-999');
+  });
+
+  it('担当者検索はGSIを使い、完了済みを除外する', async () => {
+    mockSend.mockResolvedValue({
+      Items: [
+        { task_id: 'T-1', status: 'todo', owner_slack_id: 'U123' },
+        { task_id: 'T-2', status: 'done', owner_slack_id: 'U123' }
+      ]
+    });
+
+    const tasks = await store.getTasksByOwnerSlackId('U123');
+
+    expect(mockSend.mock.calls[0][0].input.IndexName).toBe('owner_slack_id-index');
+    expect(tasks.map(t => t.task_id)).toEqual(['T-1']);
+  });
+
+  it('担当者検索は LastEvaluatedKey がなくなるまでページを読む', async () => {
+    mockSend
+      .mockResolvedValueOnce({
+        Items: [{ task_id: 'T-1', status: 'todo', owner_slack_id: 'U123' }],
+        LastEvaluatedKey: { task_id: 'T-1', owner_slack_id: 'U123' }
+      })
+      .mockResolvedValueOnce({
+        Items: [{ task_id: 'T-2', status: 'todo', owner_slack_id: 'U123' }]
+      });
+
+    const tasks = await store.getTasksByOwnerSlackId('U123');
+
+    expect(mockSend).toHaveBeenCalledTimes(2);
+    expect(mockSend.mock.calls[1][0].input.ExclusiveStartKey).toEqual({ task_id: 'T-1', owner_slack_id: 'U123' });
+    expect(tasks.map(t => t.task_id)).toEqual(['T-1', 'T-2']);
+  });
+});
+
+describe('createTaskStore', () => {
+  const originalBackend = process.env.TASK_STORE_BACKEND;
+
+  afterEach(() => {
+    if (originalBackend === undefined) {
+      delete process.env.TASK_STORE_BACKEND;
+    } else {
+      process.env.TASK_STORE_BACKEND = originalBackend;
+    }
+  });
+
+  it('デフォルトはGitHubバックエンド', () => {
+    delete process.env.TASK_STORE_BACKEND;
+    expect(createTaskStore()).toBeInstanceOf(GitHubTaskStore);
+  });
+
+  it('TASK_STORE_BACKEND=dynamodbでDynamoDBバックエンド', () => {
+    process.env.TASK_STORE_BACKEND = 'dynamodb';
+    expect(createTaskStore({ disableAirtableSync: true })).toBeInstanceOf(DynamoTaskStore);
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * task-thread-command.test.js
+ * スレッド内のタスク操作コマンドのテスト
+ */
+
+const {
+  parseTaskCommand,
+  parseNaturalDate,
+  findThreadTasks,
+  selectTargetTask,
+  applyTaskCommand,
+  buildCommandReply
+} = require('../task-thread-command');
+
+// 2024-12-11(水) 10:00 JST
+const now = new Date('2024-12-11T01:00:00Z');
+
+describe('parseNaturalDate', () => {
+  it.each([
+    ['今日まで', '2024-12-11'],
+    ['明日', '2024-12-12'],
+    ['明後日', '2024-12-13'],
+    ['3日後', '2024-12-14'],
+    ['2週間後', '2024-12-25'],
+    ['金曜', '2024-12-13'],
+    ['水曜', '2024-12-18'],
+    ['今週金曜', '2024-12-13'],
+    ['来週金曜', '2024-12-20'],
+    ['来週月曜日', '2024-12-16'],
+    ['再来週火曜', '2024-12-24'],
+    ['来週', '2024-12-16'],
+    ['月末', '2024-12-31'],
+    ['来月末', '2025-01-31'],
+    ['12月20日', '2024-12-20'],
+    ['1/10', '2025-01-10'],
+    ['2025-02-03', '2025-02-03']
+  ])('「%s」を %s に変換する', (text, expected) => {
+    expect(parseNaturalDate(text, now)).toBe(expected);
+  });
+
+  it('JSTで日付を判定する（UTCでは前日の深夜）', () => {
+    // 2024-12-11 00:30 JST
+    expect(parseNaturalDate('明日', new Date('2024-12-10T15:30:00Z'))).toBe('2024-12-12');
+  });
+
+  it('日付がなければnull', () => {
+    expect(parseNaturalDate('そのうち', now)).toBeNull();
+  });
+});
+
+describe('parseTaskCommand', () => {
+  it('完了', () => {
+    expect(parseTaskCommand('完了', { now })).toEqual({ type: 'complete' });
+    expect(parseTaskCommand('終わりました！', { now })).toEqual({ type: 'complete' });
+  });
+
+  it('再開', () => {
+    expect(parseTaskCommand('再開', { now })).toEqual({ type: 'reopen' });
+    expect(parseTaskCommand('未完了に戻して', { now })).toEqual({ type: 'reopen' });
+  });
+
+  it('自然言語の日付で延期', () => {
+    expect(parseTaskCommand('来週金曜に延期', { now })).toEqual({ type: 'reschedule', due: '2024-12-20' });
+    expect(parseTaskCommand('期限を12/24に変更', { now })).toEqual({ type: 'reschedule', due: '2024-12-24' });
+    expect(parseTaskCommand('金曜までにお願いします', { now })).toEqual({ type: 'reschedule', due: '2024-12-13' });
+  });
+
+  it('メンションしたメンバーへの担当変更', () => {
+    expect(parseTaskCommand('に担当変更', { mentionedUserIds: ['U2'], now }))
+      .toEqual({ type: 'reassign', assigneeSlackId: 'U2' });
+  });
+
+  it('優先度の変更', () => {
+    expect(parseTaskCommand('優先度を高に', { now })).toEqual({ type: 'priority', priority: 'high' });
+    expect(parseTaskCommand('優先度を下げて', { now })).toEqual({ type: 'priority', priority: 'low' });
+    expect(parseTaskCommand('至急で', { now })).toEqual({ type: 'priority', priority: 'high' });
+  });
+
+  it('タスクIDを指定できる', () => {
+    expect(parseTaskCommand('T-2412-003 完了', { now })).toEqual({ type: 'complete', taskId: 'T-2412-003' });
+  });
+
+  it('質問・依頼・長文はコマンドとして扱わない', () => {
+    expect(parseTaskCommand('完了したタスクを教えて？', { now })).toBeNull();
+    expect(parseTaskCommand('この件の進め方について相談させてください。来週までに方針を決めたいです', { now })).toBeNull();
+    expect(parseTaskCommand('資料作成をお願い', { mentionedUserIds: ['U2'], now })).toBeNull();
+    expect(parseTaskCommand('延期', { now })).toBeNull();
+    expect(parseTaskCommand('明日までにレビューして', { now })).toBeNull();
+  });
+});
+
+describe('findThreadTasks / selectTargetTask', () => {
+  const tasks = [
+    { task_id: 'T-1', title: 'A', channel_id: 'C1', thread_ts: '100.1' },
+    { task_id: 'T-2', title: 'B', channel_id: 'C1', thread_ts: '200.1' },
+    { task_id: 'T-3', title: 'C', channel_id: 'C1', thread_ts: '200.1' },
+    { task_id: 'T-4', title: 'D', channel_id: 'C2', thread_ts: '100.1' }
+  ];
+
+  it('channel_idとthread_tsが一致するタスクを返す', () => {
+    expect(findThreadTasks(tasks, 'C1', '100.1').map(t => t.task_id)).toEqual(['T-1']);
+  });
+
+  it('スレッド内の返信から登録したタスクはスレッド内のtsで照合する', () => {
+    expect(findThreadTasks(tasks, 'C1', '050.1', ['050.1', '100.1']).map(t => t.task_id)).toEqual(['T-1']);
+  });
+
+  it('1件なら対象に、複数ならタスクIDが必要', () => {
+    expect(selectTargetTask([tasks[0]], { type: 'complete' }).task.task_id).toBe('T-1');
+
+    const multiple = findThreadTasks(tasks, 'C1', '200.1');
+    expect(selectTargetTask(multiple, { type: 'complete' })).toEqual({ task: null, ambiguous: true });
+    expect(selectTargetTask(multiple, { type: 'complete', taskId: 'T-3' }).task.task_id).toBe('T-3');
+  });
+});
+
+describe('applyTaskCommand', () => {
+  let taskStore;
+  const task = { task_id: 'T-1', title: '見積もり', status: 'todo', owner_slack_id: 'U1', requester_slack_id: 'U9', priority: 'medium', due: null };
+
+  beforeEach(() => {
+    taskStore = {
+      updateStatus: jest.fn().mockResolvedValue({ success: true }),
+      updateTask: jest.fn().mockResolvedValue({ success: true }),
+      setDue: jest.fn().mockResolvedValue({ success: true })
+    };
+  });
+
+  it('完了', async () => {
+    const updated = await applyTaskCommand(taskStore, task, { type: 'complete' });
+    expect(taskStore.updateStatus).toHaveBeenCalledWith('T-1', 'done');
+    expect(updated.status).toBe('done');
+  });
+
+  it('再開はcompleted_atも消す', async () => {
+    await applyTaskCommand(taskStore, { ...task, status: 'done' }, { type: 'reopen' });
+    expect(taskStore.updateTask).toHaveBeenCalledWith('T-1', { status: 'todo', completed_at: null });
+  });
+
+  it('延期', async () => {
+    const updated = await applyTaskCommand(taskStore, task, { type: 'reschedule', due: '2024-12-20' });
+    expect(taskStore.setDue).toHaveBeenCalledWith('T-1', '2024-12-20');
+    expect(updated.due).toBe('2024-12-20');
+  });
+
+  it('担当変更はowner名も更新する', async () => {
+    const slackIdToName = new Map([['U2', 'Taro Tanaka']]);
+    await applyTaskCommand(taskStore, task, { type: 'reassign', assigneeSlackId: 'U2' }, { slackIdToName });
+    expect(taskStore.updateTask).toHaveBeenCalledWith('T-1', { owner_slack_id: 'U2', owner: 'taro-tanaka' });
+  });
+
+  it('優先度変更', async () => {
+    await applyTaskCommand(taskStore, task, { type: 'priority', priority: 'high' });
+    expect(taskStore.updateTask).toHaveBeenCalledWith('T-1', { priority: 'high' });
+  });
+});
+
+describe('buildCommandReply', () => {
+  const task = { task_id: 'T-1', title: '見積もり', owner_slack_id: 'U1', requester_slack_id: 'U9', due: '2024-12-20' };
+
+  it('更新内容とタスクカードを返す', () => {
+    const { blocks, text } = buildCommandReply(task, { type: 'reschedule', due: '2024-12-20' }, 'U1');
+
+    expect(text).toContain('期限を 2024-12-20 に変更しました');
+    expect(blocks[0].type).toBe('context');
+    expect(blocks.some(b => b.text?.text === '🎯 *見積もり*')).toBe(true);
+    const actionIds = blocks.filter(b => b.type === 'actions').flatMap(b => b.elements.map(e => e.action_id));
+    expect(actionIds).toContain('task_complete_T-1');
+  });
+
+  it('完了時は完了カードを返す', () => {
+    const { blocks } = buildCommandReply({ ...task, status: 'done', completed_at: '2024-12-11T01:00:00Z' }, { type: 'complete' }, 'U1');
+
+    const actionIds = blocks.filter(b => b.type === 'actions').flatMap(b => b.elements.map(e => e.action_id));
+    expect(actionIds).toEqual(['task_uncomplete_T-1']);
+  });
+});
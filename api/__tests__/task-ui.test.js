@@ -1,4 +1,4 @@
-const { createTaskMessageBlocks } = require('../task-ui');
+const { createTaskMessageBlocks, createEditModalBlocks, parseTaskIdList } = require('../task-ui');
 
 describe('task-ui', () => {
   describe('createTaskMessageBlocks', () => {
@@ -116,5 +116,42 @@ describe('task-ui', () => {
 
       expect(allActionIds.some(id => id.includes('SLACK-2025-12-03-TEST123'))).toBe(true);
     });
+
+    it('待っているタスクと後続タスクを表示し、編集ボタンに引き継ぐ', () => {
+      const blocks = createTaskMessageBlocks({ ...baseTask, blockedBy: ['T-2412-001'], blocks: ['T-2412-005'] });
+
+      const contextBlock = blocks.find(b => b.type === 'context');
+      expect(contextBlock.elements[0].text).toBe('⛔ 待ち: T-2412-001  |  🔗 後続: T-2412-005');
+
+      const editButton = blocks.find(b => b.type === 'actions').elements.find(e => e.action_id.startsWith('task_edit_'));
+      expect(JSON.parse(editButton.value).blockedBy).toEqual(['T-2412-001']);
+    });
+
+    it('依存関係がなければ表示しない', () => {
+      const blocks = createTaskMessageBlocks(baseTask);
+
+      expect(blocks.some(b => b.type === 'context')).toBe(false);
+    });
+  });
+
+  describe('createEditModalBlocks', () => {
+    it('待っているタスクの入力欄に現在の値を入れる', () => {
+      const blocks = createEditModalBlocks({ title: 'テスト', blockedBy: ['T-2412-001', 'T-2412-002'] });
+
+      const input = blocks.find(b => b.block_id === 'blocked_by_block');
+      expect(input.optional).toBe(true);
+      expect(input.element.initial_value).toBe('T-2412-001, T-2412-002');
+    });
+  });
+
+  describe('parseTaskIdList', () => {
+    it('カンマ・空白区切りのタスクIDをパースし、形式違いを返す', () => {
+      expect(parseTaskIdList('T-2412-001, T-2412-002、SLACK-2024-12-10-ABC T-2412-001')).toEqual({
+        ids: ['T-2412-001', 'T-2412-002', 'SLACK-2024-12-10-ABC'],
+        invalid: []
+      });
+      expect(parseTaskIdList('T-2412-001, 見積もり').invalid).toEqual(['見積もり']);
+      expect(parseTaskIdList('')).toEqual({ ids: [], invalid: [] });
+    });
   });
 });
@@ -0,0 +1,153 @@
+/**
+ * transcript-parser.test.js
+ * 文字起こしファイル（VTT / SRT / DOCX / PDF / Markdown）の読み込みのテスト
+ */
+
+jest.mock('axios');
+jest.mock('mammoth', () => ({ extractRawText: jest.fn() }), { virtual: true });
+jest.mock('pdf-parse/lib/pdf-parse.js', () => jest.fn(), { virtual: true });
+
+const axios = require('axios');
+const mammoth = require('mammoth');
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const {
+  getTranscriptFormat,
+  isUnsupportedDocument,
+  extractTranscriptText,
+  downloadTranscript
+} = require('../transcript-parser');
+
+describe('getTranscriptFormat', () => {
+  it.each([
+    ['meeting.txt', undefined, 'text'],
+    ['zoom_0.VTT', undefined, 'vtt'],
+    ['recorder.srt', undefined, 'srt'],
+    ['Google Meet 文字起こし.docx', undefined, 'docx'],
+    ['minutes.pdf', undefined, 'pdf'],
+    ['notes.md', undefined, 'markdown'],
+    ['無題', 'text', 'text'],
+    ['photo.png', 'png', null]
+  ])('%s (%s) → %s', (fileName, filetype, expected) => {
+    expect(getTranscriptFormat(fileName, filetype)).toBe(expected);
+  });
+
+  it('議事録らしいが読めない形式を見分ける', () => {
+    expect(isUnsupportedDocument('meeting.doc')).toBe(true);
+    expect(isUnsupportedDocument('定例 文字起こし.json')).toBe(true);
+    expect(isUnsupportedDocument('captions.sbv')).toBe(true);
+    expect(isUnsupportedDocument('photo.png')).toBe(false);
+  });
+
+  it('議事録らしくない名前の .json や .doc は知らせない', () => {
+    expect(isUnsupportedDocument('package.json')).toBe(false);
+    expect(isUnsupportedDocument('API仕様書.doc')).toBe(false);
+  });
+});
+
+describe('extractTranscriptText', () => {
+  it('Teams の VTT は話者を残し、連続する同じ話者の発言をまとめる', async () => {
+    const vtt = [
+      'WEBVTT',
+      '',
+      'NOTE 会議の文字起こし',
+      '',
+      'a1b2c3/12-0',
+      '00:00:01.000 --> 00:00:04.000',
+      '<v 田中 太郎>では始めます。</v>',
+      '',
+      'a1b2c3/13-0',
+      '00:00:04.500 --> 00:00:06.000',
+      '<v 田中 太郎>まず進捗から。</v>',
+      '',
+      'a1b2c3/14-0',
+      '00:01:10.000 --> 00:01:12.000',
+      '<v 佐藤 花子>デザインは<b>完了</b>しました。</v>'
+    ].join('\r\n');
+
+    const { format, text } = await extractTranscriptText({ content: vtt, fileName: 'teams.vtt' });
+
+    expect(format).toBe('vtt');
+    expect(text).toBe([
+      '[00:00:01] 田中 太郎: では始めます。 まず進捗から。',
+      '[00:01:10] 佐藤 花子: デザインは完了しました。'
+    ].join('\n'));
+  });
+
+  it('Zoom の VTT とレコーダーの SRT は「話者: 発言」から話者を取り出す', async () => {
+    const vtt = 'WEBVTT\n\n1\n00:02.000 --> 00:05.000\nKeigo Sato: Let us start\n\n2\n00:05.000 --> 00:07.000\n10:30に集合です';
+    const srt = '1\n00:00:01,000 --> 00:00:03,000\n山田：お疲れさまです\n\n2\n01:00:00,000 --> 01:00:02,000\n以上です\n';
+
+    expect((await extractTranscriptText({ content: vtt, fileName: 'zoom.vtt' })).text).toBe([
+      '[00:00:02] Keigo Sato: Let us start',
+      '[00:00:05] 10:30に集合です'
+    ].join('\n'));
+    expect((await extractTranscriptText({ content: Buffer.from(srt), fileName: 'rec.srt' })).text).toBe([
+      '[00:00:01] 山田: お疲れさまです',
+      '[01:00:00] 以上です'
+    ].join('\n'));
+  });
+
+  it('Markdown は記号を外す', async () => {
+    const markdown = '# 定例会議\n\n- **決定**: [仕様書](https://example.com) を確定\n\n---\n\n`TODO` 見積もり';
+
+    const { text } = await extractTranscriptText({ content: markdown, fileName: 'notes.md' });
+
+    expect(text).toBe('定例会議\n\n- 決定: 仕様書 を確定\n\nTODO 見積もり');
+  });
+
+  it('DOCX と PDF はライブラリで本文を取り出す', async () => {
+    mammoth.extractRawText.mockResolvedValue({ value: '田中 太郎\n00:01:05\n来週までに見積もりを出します\n\n\n\n' });
+    pdfParse.mockResolvedValue({ text: '議事録\n決定事項' });
+
+    const docx = await extractTranscriptText({ content: Buffer.from('docx'), fileName: 'meet.docx' });
+    const pdf = await extractTranscriptText({ content: Buffer.from('pdf'), fileName: 'minutes.pdf' });
+
+    expect(docx).toEqual({ format: 'docx', text: '田中 太郎\n00:01:05\n来週までに見積もりを出します' });
+    expect(pdf).toEqual({ format: 'pdf', text: '議事録\n決定事項' });
+  });
+
+  it('読めないファイルは理由のわかるエラーにする', async () => {
+    mammoth.extractRawText.mockRejectedValue(new Error("Can't find end of central directory"));
+    pdfParse.mockResolvedValue({ text: '  \n' });
+
+    await expect(extractTranscriptText({ content: Buffer.from('x'), fileName: 'broken.docx' }))
+      .rejects.toThrow("broken.docx を読み込めませんでした（DOCX として解析できません: Can't find end of central directory）");
+    await expect(extractTranscriptText({ content: Buffer.from('x'), fileName: 'scan.pdf' }))
+      .rejects.toThrow('画像だけのPDFは読み取れない');
+    await expect(extractTranscriptText({ content: 'WEBVTT\n', fileName: 'empty.vtt' }))
+      .rejects.toThrow('empty.vtt から文字起こしのテキストを取り出せませんでした');
+    await expect(extractTranscriptText({ content: 'x', fileName: 'photo.png' }))
+      .rejects.toThrow('photo.png は読み込めない形式です');
+  });
+});
+
+describe('downloadTranscript', () => {
+  it('バイナリ形式は arraybuffer で取得して本文を取り出す', async () => {
+    const client = {
+      files: {
+        info: jest.fn().mockResolvedValue({
+          file: { name: 'meet.docx', filetype: 'docx', url_private_download: 'https://files.slack.com/meet.docx' }
+        })
+      }
+    };
+    axios.get.mockResolvedValue({ data: new Uint8Array([1, 2, 3]).buffer });
+    mammoth.extractRawText.mockResolvedValue({ value: '本文' });
+
+    const result = await downloadTranscript(client, 'F123');
+
+    expect(axios.get).toHaveBeenCalledWith('https://files.slack.com/meet.docx', expect.objectContaining({ responseType: 'arraybuffer' }));
+    expect(mammoth.extractRawText).toHaveBeenCalledWith({ buffer: Buffer.from([1, 2, 3]) });
+    expect(result).toEqual({ format: 'docx', text: '本文', fileName: 'meet.docx' });
+  });
+
+  it('テキスト形式で files.info に中身があればダウンロードしない', async () => {
+    const client = {
+      files: { info: jest.fn().mockResolvedValue({ file: { name: 'memo.txt', filetype: 'text', content: '\uFEFFこんにちは\r\n' } }) }
+    };
+
+    const result = await downloadTranscript(client, 'F123');
+
+    expect(axios.get).not.toHaveBeenCalled();
+    expect(result.text).toBe('こんにちは');
+  });
+});
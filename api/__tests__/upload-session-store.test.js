@@ -0,0 +1,98 @@
+/**
+ * upload-session-store.test.js
+ * ファイル処理の状態（アップロードセッション）を DynamoDB / S3 に保存するストアのテスト
+ */
+
+const { UploadSessionStore, isStepDone } = require('../upload-session-store');
+
+const NOW = new Date('2024-12-07T00:30:00Z');
+const logger = { warn: jest.fn() };
+
+function createStore(overrides = {}) {
+  const docClient = { send: jest.fn().mockResolvedValue({}) };
+  const s3Client = { send: jest.fn().mockResolvedValue({}) };
+  const store = new UploadSessionStore({
+    docClient,
+    s3Client,
+    tableName: 'test-sessions',
+    bucket: 'test-bucket',
+    inlineTranscriptMaxBytes: 20,
+    localSessions: new Map(),
+    logger,
+    ...overrides
+  });
+  return { store, docClient, s3Client };
+}
+
+describe('UploadSessionStore', () => {
+  it('短い文字起こしはアイテムに、長い文字起こしは S3 に保存して読み戻す', async () => {
+    const { store, docClient, s3Client } = createStore();
+
+    await store.saveSession({ fileId: 'F1', fileName: 'a.txt', content: '短い', channelId: 'C1', summary: null }, NOW);
+    await store.saveSession({ fileId: 'F2', fileName: 'b.txt', content: 'x'.repeat(30) }, NOW);
+
+    const inlineItem = docClient.send.mock.calls[0][0].input.Item;
+    expect(inlineItem).toEqual({
+      file_id: 'F1',
+      file_name: 'a.txt',
+      channel_id: 'C1',
+      transcript: '短い',
+      transcript_s3_key: null,
+      steps: {},
+      created_at: NOW.toISOString(),
+      updated_at: NOW.toISOString(),
+      ttl: Math.floor(NOW.getTime() / 1000) + 7 * 24 * 60 * 60
+    });
+    expect(s3Client.send.mock.calls[0][0].input).toMatchObject({ Bucket: 'test-bucket', Key: 'upload-sessions/F2.txt', Body: 'x'.repeat(30) });
+    expect(docClient.send.mock.calls[1][0].input.Item).toMatchObject({ transcript: null, transcript_s3_key: 'upload-sessions/F2.txt' });
+
+    // 別のコンテナ（キャッシュなし）から読む
+    const other = createStore({ docClient, s3Client });
+    docClient.send.mockResolvedValueOnce({ Item: docClient.send.mock.calls[1][0].input.Item });
+    s3Client.send.mockResolvedValueOnce({ Body: { transformToString: jest.fn().mockResolvedValue('x'.repeat(30)) } });
+
+    const session = await other.store.getSession('F2');
+
+    expect(session).toMatchObject({ fileId: 'F2', fileName: 'b.txt', content: 'x'.repeat(30), steps: {} });
+  });
+
+  it('updateSession は指定した項目だけ SET し、null の項目は REMOVE する', async () => {
+    const { store, docClient } = createStore();
+
+    await store.updateSession('F1', { projectId: 'P1', minutesData: null, roster: { speakers: [] } }, NOW);
+
+    const input = docClient.send.mock.calls[0][0].input;
+    expect(input.Key).toEqual({ file_id: 'F1' });
+    expect(input.UpdateExpression).toBe(
+      'SET #updated_at = :updated_at, #ttl = :ttl, #created_at = if_not_exists(#created_at, :updated_at), #roster = :roster, #project_id = :project_id REMOVE #minutes_data'
+    );
+    expect(input.ExpressionAttributeValues).toMatchObject({ ':project_id': 'P1', ':roster': { speakers: [] } });
+    expect(input.ExpressionAttributeValues).not.toHaveProperty(':minutes_data');
+  });
+
+  it('markStep は steps がまだなければ steps ごと作る', async () => {
+    const { store, docClient } = createStore();
+    const conditionFailed = Object.assign(new Error('conditional'), { name: 'ConditionalCheckFailedException' });
+    docClient.send.mockRejectedValueOnce(conditionFailed);
+
+    const record = await store.markStep('F1', 'minutes_generated', 'done', {}, NOW);
+
+    expect(record).toEqual({ status: 'done', at: NOW.toISOString() });
+    expect(docClient.send).toHaveBeenCalledTimes(2);
+    expect(docClient.send.mock.calls[1][0].input.ExpressionAttributeValues[':steps']).toEqual({ minutes_generated: record });
+  });
+
+  it('DynamoDB に書けないときはコンテナ内のキャッシュで続ける', async () => {
+    const { store, docClient } = createStore();
+    docClient.send.mockRejectedValue(new Error('ResourceNotFoundException'));
+
+    await store.saveSession({ fileId: 'F1', fileName: 'a.txt', content: '本文' }, NOW);
+    await store.updateSession('F1', { summary: '要約' }, NOW);
+    await store.markStep('F1', 'summarized', 'done', {}, NOW);
+
+    const session = await store.getSession('F1');
+    expect(session).toMatchObject({ fileId: 'F1', content: '本文', summary: '要約' });
+    expect(isStepDone(session, 'summarized')).toBe(true);
+    expect(logger.warn).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,243 @@
+/**
+ * action-reconciliation.js
+ * 議事録（generateMeetingMinutes）のアクションと、決定事項の抽出（extractDecisionsAndActions）のタスクを1つにまとめる
+ *
+ * 2つのパイプラインは同じ会議から別々にアクションを取り出すので、表現の違う同じタスクが両方に入る。
+ * 担当者が食い違わず、内容が同じアクションを1件にまとめ、担当者と期限はそれぞれ確かな方を残す。
+ * まとめた一覧を議事録の投稿・提案UI・タスク登録で共通に使う。
+ *
+ * 同じ内容かどうかは2段階で判定する:
+ * 1. 表現の近さ（文字の2-gramの Dice 係数）… 「LPを作成する」と「LP を作成」のような言い回しの違い
+ * 2. 1で対応がつかずに残ったものは、モデル（haiku）に同じタスクかを判定させる … 「見積書をA社に出す」と
+ *    「A社へ価格の提案を送付」のような言い換え。呼び出しに失敗したら1の結果だけを使う
+ */
+
+const { generateText } = require('ai');
+const { anthropic } = require('@ai-sdk/anthropic');
+const { UNASSIGNED_LABEL } = require('./participant-roster');
+const { normalizeActionText } = require('./llm-integration');
+
+// 内容の類似度（文字の2-gramの Dice 係数）がこれ以上なら、モデルに聞かずに同じアクションとみなす
+const ACTION_SIMILARITY_THRESHOLD = 0.6;
+
+function toBigrams(text) {
+  if (text.length < 2) {
+    return [text];
+  }
+  const bigrams = [];
+  for (let i = 0; i < text.length - 1; i++) {
+    bigrams.push(text.slice(i, i + 2));
+  }
+  return bigrams;
+}
+
+/**
+ * アクションの内容の類似度（0〜1）
+ * 一方がもう一方を含む場合は 1
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function getTaskSimilarity(a, b) {
+  const textA = normalizeActionText(a);
+  const textB = normalizeActionText(b);
+  if (!textA || !textB) {
+    return 0;
+  }
+  if (textA.includes(textB) || textB.includes(textA)) {
+    return 1;
+  }
+
+  const bigramsA = toBigrams(textA);
+  const remaining = toBigrams(textB);
+  const total = bigramsA.length + remaining.length;
+  let shared = 0;
+  for (const bigram of bigramsA) {
+    const index = remaining.indexOf(bigram);
+    if (index !== -1) {
+      shared++;
+      remaining.splice(index, 1);
+    }
+  }
+  return (2 * shared) / total;
+}
+
+function hasAssignee(action) {
+  const assignee = String(action.assignee || '').trim();
+  return Boolean(assignee) && assignee !== UNASSIGNED_LABEL;
+}
+
+/**
+ * 担当者が食い違っていないか（どちらかが未定なら食い違いとはしない）
+ */
+function isSameAssignee(a, b) {
+  if (!hasAssignee(a) || !hasAssignee(b)) {
+    return true;
+  }
+  if (a.assignee_slack_id && b.assignee_slack_id) {
+    return a.assignee_slack_id === b.assignee_slack_id;
+  }
+  return normalizeActionText(a.assignee) === normalizeActionText(b.assignee);
+}
+
+/**
+ * 担当者の確かさ（メンバーに対応づいている > 名前だけ > 未定）
+ */
+function rankAssignee(action) {
+  if (action.assignee_slack_id) return 2;
+  return hasAssignee(action) ? 1 : 0;
+}
+
+/**
+ * 期限の確かさ（日付 > 「来週」などの表現 > なし）
+ */
+function rankDeadline(action) {
+  const deadline = String(action.deadline || '').trim();
+  if (!deadline) return 0;
+  return /\d{1,2}\s*[/月-]\s*\d{1,2}/.test(deadline) ? 2 : 1;
+}
+
+/**
+ * 同じアクションの2件を1件にする（同じ確かさなら first を優先）
+ */
+function mergeAction(first, second) {
+  const taskSource = normalizeActionText(second.task).length > normalizeActionText(first.task).length ? second : first;
+  const assigneeSource = rankAssignee(second) > rankAssignee(first) ? second : first;
+  const deadlineSource = rankDeadline(second) > rankDeadline(first) ? second : first;
+
+  const merged = {
+    ...second,
+    ...first,
+    task: taskSource.task,
+    assignee: assigneeSource.assignee || '',
+    deadline: deadlineSource.deadline || ''
+  };
+  for (const key of ['assignee_slack_id', 'unresolved_assignee']) {
+    if (key in assigneeSource) {
+      merged[key] = assigneeSource[key];
+    } else {
+      delete merged[key];
+    }
+  }
+  return merged;
+}
+
+/**
+ * 議事録のアクションと抽出したタスクの一覧から、同じタスクの組をモデルに判定させる
+ * @param {Array<{task: string, assignee: string}>} minutesActions
+ * @param {Array<{task: string, assignee: string}>} extractedActions
+ * @returns {Promise<Array<{minutes: number, extracted: number}>>} - それぞれの一覧の添字の組
+ */
+async function judgeSameActions(minutesActions, extractedActions) {
+  const formatList = actions => actions
+    .map((action, index) => `${index}. ${action.task}（担当: ${hasAssignee(action) ? action.assignee : '未定'}）`)
+    .join('\n');
+
+  const prompt = `同じ会議の議事録から、2つの方法でアクションアイテムを取り出しました。
+一覧Aと一覧Bで同じタスクを指しているものの組を見つけてください。
+
+## 一覧A
+${formatList(minutesActions)}
+
+## 一覧B
+${formatList(extractedActions)}
+
+## ルール
+- 言い回しが違っても、やることと対象が同じなら同じタスクとする（例: 「見積書をA社に出す」と「A社へ価格の提案を送付」）
+- 対象や作業が違うもの、一方が他方の一部にすぎないものは別のタスクとする
+- 一覧Aの1件に対応する一覧Bは1件まで
+
+## 出力形式
+JSONのみを出力してください。同じタスクがなければ空配列にしてください。
+\`\`\`json
+{ "matches": [{ "a": 0, "b": 1 }] }
+\`\`\``;
+
+  const response = await generateText({
+    model: anthropic('claude-3-5-haiku-20241022'),
+    prompt,
+    maxTokens: 500
+  });
+
+  const jsonBlockMatch = response.text.match(/```json\s*([\s\S]*?)```/);
+  const parsed = JSON.parse(jsonBlockMatch ? jsonBlockMatch[1].trim() : response.text.trim());
+  return (Array.isArray(parsed.matches) ? parsed.matches : [])
+    .map(match => ({ minutes: Number(match.a), extracted: Number(match.b) }));
+}
+
+/**
+ * 議事録のアクションと抽出したタスクを1つの一覧にまとめる
+ * 順番は議事録のアクションのあとに、議事録になかったタスクを続ける
+ * @param {Array<{task: string, assignee: string, deadline: string}>} minutesActions - generateMeetingMinutes() の actions
+ * @param {Array<{task: string, assignee: string, deadline: string}>} extractedActions - extractDecisionsAndActions() の actions
+ * @param {Object} [options]
+ * @param {number} [options.threshold] - モデルに聞かずに同じアクションとみなす類似度
+ * @param {Function} [options.judge] - 同じタスクの組を判定する（既定は judgeSameActions）
+ * @returns {Promise<Array<{task: string, assignee: string, deadline: string}>>}
+ */
+async function reconcileActions(minutesActions, extractedActions, { threshold = ACTION_SIMILARITY_THRESHOLD, judge = judgeSameActions } = {}) {
+  const merged = (minutesActions || []).filter(action => action && action.task).map(action => ({ ...action }));
+  const minutesCount = merged.length;
+  const matched = new Set();
+
+  for (const action of (extractedActions || []).filter(item => item && item.task)) {
+    let bestIndex = -1;
+    let bestScore = 0;
+    merged.forEach((candidate, index) => {
+      if (matched.has(index) || !isSameAssignee(candidate, action)) {
+        return;
+      }
+      const score = getTaskSimilarity(candidate.task, action.task);
+      if (score >= threshold && score > bestScore) {
+        bestIndex = index;
+        bestScore = score;
+      }
+    });
+
+    if (bestIndex === -1) {
+      // 議事録になかったタスク（抽出側で重複していれば、あとの方がこれにまとまる）
+      merged.push({ ...action });
+      continue;
+    }
+    merged[bestIndex] = mergeAction(merged[bestIndex], action);
+    matched.add(bestIndex);
+  }
+
+  // 表現が違って対応がつかなかった議事録のアクションと、議事録になかったタスクを、内容でつき合わせる
+  const remainingMinutes = merged.slice(0, minutesCount).map((_, index) => index).filter(index => !matched.has(index));
+  const added = merged.slice(minutesCount).map((_, offset) => minutesCount + offset);
+  if (remainingMinutes.length === 0 || added.length === 0) {
+    return merged;
+  }
+
+  let pairs = [];
+  try {
+    pairs = await judge(remainingMinutes.map(index => merged[index]), added.map(index => merged[index]));
+  } catch (error) {
+    console.warn('[action-reconciliation] Failed to judge paraphrased actions, keeping them separate:', error.message);
+  }
+
+  const absorbed = new Set();
+  for (const pair of pairs) {
+    const minutesIndex = remainingMinutes[pair.minutes];
+    const addedIndex = added[pair.extracted];
+    if (minutesIndex === undefined || addedIndex === undefined || matched.has(minutesIndex) || absorbed.has(addedIndex)) {
+      continue;
+    }
+    if (!isSameAssignee(merged[minutesIndex], merged[addedIndex])) {
+      continue;
+    }
+    merged[minutesIndex] = mergeAction(merged[minutesIndex], merged[addedIndex]);
+    matched.add(minutesIndex);
+    absorbed.add(addedIndex);
+  }
+
+  return merged.filter((_, index) => !absorbed.has(index));
+}
+
+module.exports = {
+  ACTION_SIMILARITY_THRESHOLD,
+  getTaskSimilarity,
+  judgeSameActions,
+  reconcileActions
+};
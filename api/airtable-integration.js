@@ -2,6 +2,7 @@ const axios = require('axios');
 const Airtable = require('airtable');
 const ProjectRepository = require('./project-repository');
 const GitHubIntegration = require('./github-integration');
+const { getTranscriptFormat } = require('./transcript-parser');
 
 class AirtableIntegration {
   constructor() {
@@ -679,12 +680,12 @@ class AirtableIntegration {
    * @returns {boolean} - Whether file is supported
    */
   isSupportedFile(file) {
-    if (!file || !file.filetype) {
+    if (!file || (!file.filetype && !file.name)) {
       return false;
     }
     
-    // Support only .txt files for now
-    return file.filetype === 'txt';
+    // Transcripts: .txt / .md / .vtt / .srt / .docx / .pdf (see transcript-parser.js)
+    return getTranscriptFormat(file.name, file.filetype) !== null;
   }
 
   /**
@@ -695,8 +696,8 @@ class AirtableIntegration {
   extractProjectId(filename) {
     if (!filename) return '';
     
-    // Remove .txt extension
-    let projectId = filename.replace(/\.txt$/i, '');
+    // Remove transcript extension
+    let projectId = filename.replace(/\.(txt|md|markdown|vtt|srt|docx|pdf)$/i, '');
     
     // Clean up the project ID
     projectId = projectId.trim();
@@ -832,8 +833,170 @@ class AirtableIntegration {
     }
   }
 
+  /**
+   * 議事録ファイルの名前（拡張子なし）を決める
+   * 文字起こしからAIで生成し、できなければ元のファイル名を使う
+   * @param {string|null} fileContent
+   * @param {string} fileName
+   * @param {Object} logger
+   * @returns {Promise<string>}
+   */
+  async generateMinutesBaseName(fileContent, fileName, logger) {
+    // Get a meaningful filename from AI based on transcript content
+    if (fileContent) {
+      try {
+        const { generateFilename } = require('./llm-integration');
+        const aiGeneratedName = await generateFilename(fileContent);
+        if (aiGeneratedName) {
+          logger.info(`AI generated filename: ${aiGeneratedName}`);
+          return aiGeneratedName;
+        }
+      } catch (error) {
+        logger.error('Failed to generate filename with AI:', error);
+      }
+    }
+
+    // If AI couldn't generate a good name, use original filename
+    return (fileName || 'meeting').replace(/\.[^/.]+$/, '').replace(/[^a-zA-Z0-9-_]/g, '_');
+  }
+
+  /**
+   * プロジェクトの議事録を用意する（同じ定例の前回の会議があれば進捗もつける）
+   * 同じプロジェクトで生成済みの議事録があれば再利用する
+   * @param {Object} params
+   * @param {Object} params.project - DynamoDB のプロジェクト
+   * @param {string} params.projectId
+   * @param {string} params.projectName
+   * @param {string} params.fileId
+   * @param {Object} params.fileData - アップロードセッション（content 必須）
+   * @param {string} params.baseName - 議事録ファイルの名前
+   * @param {string} params.dateStr - YYYY-MM-DD
+   * @param {boolean} [params.regenerate] - 生成済みでも作り直す
+   * @param {Object} logger
+   * @param {UploadSessionStore} uploadSessionStore
+   * @returns {Promise<Object|null>} minutesData（生成できなければ null）
+   */
+  async prepareMeetingMinutes({ project, projectId, projectName, fileId, fileData, baseName, dateStr, regenerate = false }, logger, uploadSessionStore) {
+    const { generateMeetingMinutes } = require('./llm-integration');
+    const { buildParticipantRoster } = require('./participant-roster');
+    const { isStepDone } = require('./upload-session-store');
+    const { MeetingSeriesLoader } = require('./meeting-series');
+
+    // 同じ定例（プロジェクト・ファイル名・曜日）の前回の議事録と未完了アクションを読み込む
+    const previousMeeting = await new MeetingSeriesLoader({ logger }).loadPreviousMeeting({
+      owner: project.owner,
+      repo: project.repo,
+      branch: project.branch || 'main',
+      pathPrefix: project.path_prefix,
+      baseName,
+      dateStr
+    });
+    if (previousMeeting) {
+      logger.info(`Previous meeting in series: ${previousMeeting.path} (${previousMeeting.openActions.length} open actions)`);
+    }
+
+    // 同じプロジェクトの議事録を生成済みなら再利用する
+    // （セッションの projectId はプロジェクトを選び直した時点で書き換わるので、生成時に記録したプロジェクトと比べる。
+    //   前回の会議があるのに進捗を含まない議事録は作り直す）
+    const canReuseMinutes = !regenerate &&
+      isStepDone(fileData, 'minutes_generated') &&
+      fileData.minutesData &&
+      fileData.steps.minutes_generated.projectId === projectId &&
+      (!previousMeeting || Array.isArray(fileData.minutesData.progress));
+    if (canReuseMinutes) {
+      logger.info('Reusing meeting minutes from the upload session');
+      return fileData.minutesData;
+    }
+
+    const roster = fileData.roster || await buildParticipantRoster(fileData.content);
+    let minutesData = await generateMeetingMinutes(fileData.content, projectName, { roster, previousMeeting });
+    if (minutesData) {
+      minutesData = await this.reconcileMinutesActions(minutesData, { transcript: fileData.content, projectName, dateStr, roster }, logger);
+
+      // 作り直した議事録はレビューし直す
+      await uploadSessionStore.updateSession(fileId, {
+        minutesData,
+        projectId,
+        projectName,
+        minutesReview: null,
+        reviewRegenerations: null
+      });
+      await uploadSessionStore.markStep(fileId, 'minutes_generated', 'done', { projectId });
+    } else {
+      await uploadSessionStore.markStep(fileId, 'minutes_generated', 'failed');
+    }
+    return minutesData;
+  }
+
+  /**
+   * 議事録のアクションと、決定事項の抽出で見つかったタスクを1つの一覧にまとめる
+   * まとめた一覧を議事録の投稿・提案UI・タスク登録で使うので、抽出した決定事項も minutesData.decisions に持たせる
+   * （抽出に失敗したときは議事録のアクションのまま。decisions は持たせず、提案UIを送るときに抽出し直す）
+   * @param {Object} minutesData - generateMeetingMinutes() の結果
+   * @param {Object} params
+   * @param {string} params.transcript
+   * @param {string} params.projectName
+   * @param {string} params.dateStr - YYYY-MM-DD
+   * @param {Object} [params.roster]
+   * @param {Object} logger
+   * @returns {Promise<Object>} minutesData
+   */
+  async reconcileMinutesActions(minutesData, { transcript, projectName, dateStr, roster = null }, logger) {
+    const { extractDecisionsAndActions } = require('./meeting-decision-extractor');
+    const { reconcileActions } = require('./action-reconciliation');
+
+    const extraction = await extractDecisionsAndActions(transcript, projectName, dateStr, roster);
+    if (extraction.error) {
+      logger.warn('Failed to extract decisions and actions, using minutes actions only:', extraction.error);
+      return minutesData;
+    }
+
+    const actions = await reconcileActions(minutesData.actions, extraction.actions);
+    logger.info(`Reconciled actions: minutes=${(minutesData.actions || []).length}, extracted=${extraction.actions.length}, merged=${actions.length}`);
+    return { ...minutesData, actions, decisions: extraction.decisions };
+  }
+
+  /**
+   * レビューに出す議事録を生成する（チャンネル投稿・GitHub コミットの前）
+   * コミット時と同じ名前・同じ前回の会議で生成し、名前はセッションに残してコミットで使う
+   * @param {Object} fileData - アップロードセッション（content 必須）
+   * @param {Object} params
+   * @param {string} params.projectId
+   * @param {string} params.projectName
+   * @param {boolean} [params.regenerate]
+   * @param {Object} logger
+   * @param {UploadSessionStore} uploadSessionStore
+   * @returns {Promise<Object|null>} minutesData
+   */
+  async generateMinutesForReview(fileData, { projectId, projectName, regenerate = false }, logger, uploadSessionStore) {
+    let project = await this.projectRepository.getProjectById(projectId);
+    if (!project && projectName) {
+      project = await this.projectRepository.getProjectByName(projectName);
+    }
+    if (!project) {
+      throw new Error(`Project with ID ${projectId} not found`);
+    }
+
+    const baseName = fileData.minutesBaseName ||
+      await this.generateMinutesBaseName(fileData.content, fileData.fileName, logger);
+    if (baseName !== fileData.minutesBaseName) {
+      await uploadSessionStore.updateSession(fileData.fileId, { minutesBaseName: baseName });
+    }
+
+    return this.prepareMeetingMinutes({
+      project,
+      projectId,
+      projectName,
+      fileId: fileData.fileId,
+      fileData,
+      baseName,
+      dateStr: new Date().toISOString().split('T')[0],
+      regenerate
+    }, logger, uploadSessionStore);
+  }
+
   // Method to process the file with the selected project
-  async processFileWithProject(action, body, client, logger, fileDataStore) {
+  async processFileWithProject(action, body, client, logger, uploadSessionStore) {
     logger.info('processFileWithProject called with action.value:', action.value);
 
     const actionData = JSON.parse(action.value);
@@ -863,33 +1026,26 @@ class AirtableIntegration {
 
       logger.info('Retrieved project from DynamoDB:', project);
       
-      // Try to get file content from fileDataStore or re-download it
+      // Try to get file content from the upload session or re-download it
       let fileContent = null;
       let summary = null;
+      let roster = null;
+      let fileData = null;
       try {
-        // First try fileDataStore
-        const fileData = fileDataStore.get(fileId) || fileDataStore.get(`${fileId}_${channelId}`);
+        // First try the upload session
+        fileData = await uploadSessionStore.getSession(fileId);
         if (fileData && fileData.content) {
           fileContent = fileData.content;
           summary = fileData.summary; // Get stored summary if available
+          roster = fileData.roster || null; // アップロード時に確認した参加者名簿
           logger.info('File content retrieved from store');
         } else {
           // If not in store, re-download the file
           logger.info('File not in store, re-downloading from Slack');
-          const fileInfo = await client.files.info({ file: fileId });
-
-          if (fileInfo.file.content) {
-            fileContent = fileInfo.file.content;
-          } else if (fileInfo.file.url_private_download) {
-            const axios = require('axios');
-            const response = await axios.get(fileInfo.file.url_private_download, {
-              headers: {
-                'Authorization': `Bearer ${process.env.SLACK_BOT_TOKEN}`
-              },
-              responseType: 'text'
-            });
-            fileContent = response.data;
-          }
+          const { downloadRedactedTranscript } = require('./pii-redaction');
+          const { text } = await downloadRedactedTranscript(client, fileId);
+          fileContent = text;
+          fileData = await uploadSessionStore.updateSession(fileId, { content: fileContent, fileName });
           logger.info('File content re-downloaded successfully');
         }
 
@@ -906,36 +1062,34 @@ class AirtableIntegration {
       const now = new Date();
       const dateStr = now.toISOString().split('T')[0]; // YYYY-MM-DD
       
-      // Get a meaningful filename from AI based on transcript content
-      let aiGeneratedName = '';
-      if (fileContent) {
-        try {
-          const { generateFilename } = require('./llm-integration');
-          aiGeneratedName = await generateFilename(fileContent);
-          if (aiGeneratedName) {
-            logger.info(`AI generated filename: ${aiGeneratedName}`);
-          }
-        } catch (error) {
-          logger.error('Failed to generate filename with AI:', error);
-        }
-      }
-      
-      // If AI couldn't generate a good name, use original filename
-      if (!aiGeneratedName) {
-        const baseFileName = fileName.replace(/\.[^/.]+$/, '').replace(/[^a-zA-Z0-9-_]/g, '_');
-        aiGeneratedName = baseFileName;
-      }
-      
       // Create formatted filename base (without extension)
-      const formattedBaseName = aiGeneratedName;
+      // レビューのために議事録を生成したときの名前があればそれを使う
+      const formattedBaseName = fileData?.minutesBaseName ||
+        await this.generateMinutesBaseName(fileContent, fileName, logger);
 
       // Generate detailed meeting minutes using AI
       let minutesData = null;
       let detailedMinutes = null;
       if (fileContent) {
         try {
-          const { generateMeetingMinutes, formatMinutesForGitHub } = require('./llm-integration');
-          minutesData = await generateMeetingMinutes(fileContent, projectName);
+          const { formatMinutesForGitHub } = require('./llm-integration');
+          const { isStepDone } = require('./upload-session-store');
+
+          // レビューで承認された議事録はそのままコミットする
+          if (isStepDone(fileData, 'reviewed') && fileData.minutesData && fileData.minutesReview?.projectId === projectId) {
+            logger.info('Using the reviewed meeting minutes from the upload session');
+            minutesData = fileData.minutesData;
+          } else {
+            minutesData = await this.prepareMeetingMinutes({
+              project,
+              projectId,
+              projectName,
+              fileId,
+              fileData: { ...fileData, content: fileContent, roster },
+              baseName: formattedBaseName,
+              dateStr
+            }, logger, uploadSessionStore);
+          }
           // Format for GitHub (no Slack mentions, human-readable names)
           detailedMinutes = formatMinutesForGitHub(minutesData);
           logger.info('AI generated detailed meeting minutes (formatted for GitHub)');
@@ -960,7 +1114,10 @@ class AirtableIntegration {
           baseName: formattedBaseName,
           transcript: fileContent,
           minutes: detailedMinutes,
-          summary: summary
+          summary: summary,
+          fileId,
+          projectId,
+          redactionDenyList: project.redaction_deny_list || []
         });
 
         logger.info('GitHub commit response:', githubResponse);
@@ -978,6 +1135,10 @@ class AirtableIntegration {
 
       // Update the original Slack message to show confirmation
       const isSuccess = githubResponse && githubResponse.success;
+      await uploadSessionStore.markStep(fileId, 'committed', isSuccess ? 'done' : 'failed', {
+        projectId,
+        ...(isSuccess ? {} : { error: githubResponse ? githubResponse.errors.map(e => e.error).join(', ') : 'commit failed' })
+      });
       const statusEmoji = isSuccess ? '✅' : '⚠️';
       let statusText = '';
       let additionalInfo = '';
@@ -1036,12 +1197,12 @@ class AirtableIntegration {
         type: "divider"
       });
 
-      // Get thread timestamp from file data store or body (needed for buttons)
+      // Get thread timestamp from the upload session or body (needed for buttons)
       let threadTs = null;
-      const storedFileData = fileDataStore.get(fileId) || fileDataStore.get(`${fileId}_${channelId}`);
+      const storedFileData = await uploadSessionStore.getSession(fileId);
       if (storedFileData && storedFileData.threadTs) {
         threadTs = storedFileData.threadTs;
-        logger.info(`Using thread timestamp from fileDataStore: ${threadTs}`);
+        logger.info(`Using thread timestamp from upload session: ${threadTs}`);
       } else if (body.message && body.message.thread_ts) {
         threadTs = body.message.thread_ts;
         logger.info(`Using thread timestamp from body.message: ${threadTs}`);
@@ -1156,9 +1317,6 @@ class AirtableIntegration {
       } catch (ephemeralError) {
         logger.error('Failed to send ephemeral error message:', ephemeralError);
       }
-    } finally {
-      // Clean up the in-memory store (not needed anymore since we don't use it)
-      // fileDataStore.delete(originalMessageTs);
     }
   }
 }
@@ -2,7 +2,7 @@
  * airtable-task-sync.js
  * GitHub タスクを Airtable に同期するモジュール
  *
- * 同期方向: GitHub → Airtable（単方向）
+ * 同期方向: GitHub → Airtable（単方向。Airtable 側の変更の取り込みは task-reconcile.js）
  *
  * フィールドマッピング:
  * - task_id: T-YYMM-NNN 形式
@@ -12,6 +12,8 @@
  * - status: todo → pending, in-progress → in_progress, done → completed
  * - priority: そのまま
  * - due → due_date: そのまま
+ * - blocked_by → dependencies: このタスクより先に完了が必要なタスクID（改行区切り）
+ * - blocks → blockers: このタスクの完了を待っているタスクID（改行区切り）
  */
 
 const { AirtableMCPClient } = require('./airtable-mcp-client');
@@ -85,9 +87,23 @@ const STATUS_MAPPING = {
   'pending': 'pending',
   'in-progress': 'in_progress',
   'done': 'completed',
-  'completed': 'completed'
+  'completed': 'completed',
+  'cancelled': 'cancelled'
 };
 
+/**
+ * blocked_by / blocks を Airtable の multilineText 用に改行区切りにする
+ * @param {Array<string>|string|null} ids - タスクID
+ * @returns {string|null} 空ならnull
+ */
+function formatDependencyIds(ids) {
+  const values = (Array.isArray(ids) ? ids : [ids])
+    .flatMap(id => String(id || '').split(','))
+    .map(id => id.trim())
+    .filter(id => id && id !== 'null');
+  return values.length > 0 ? values.join('\n') : null;
+}
+
 class AirtableTaskSync {
   constructor(options = {}) {
     this.mcpClient = options.mcpClient || new AirtableMCPClient(options);
@@ -148,8 +164,8 @@ class AirtableTaskSync {
       status: this.mapStatus(githubTask.status),
       priority: githubTask.priority || null,
       due_date: githubTask.due || null,
-      dependencies: githubTask.dependencies || null,
-      blockers: githubTask.blockers || null
+      dependencies: formatDependencyIds(githubTask.blocked_by) || githubTask.dependencies || null,
+      blockers: formatDependencyIds(githubTask.blocks) || githubTask.blockers || null
     };
   }
 
@@ -0,0 +1,308 @@
+/**
+ * app-home.js
+ * Slack App Home タブのダッシュボード
+ *
+ * - 担当タスクの期限切れ / 期限間近、依頼したタスク（ReminderService.formatDailySummaryBlocks と同じまとめ方）
+ * - タスクに関係するアクティブなプロジェクトと、その現在のスプリント（Airtable）
+ * - 未対応のinbox（_inbox/pending.md、INBOX_TARGET_USER_ID のユーザーのみ）
+ *
+ * タスク行の操作ボタンは task-list-ui.js の buildTaskRow を使い、既存のタスクアクションハンドラで処理する
+ */
+
+const { getTaskStore } = require('./task-store');
+const { buildTaskRow } = require('./task-list-ui');
+const { AirtableMilestoneClient, PROJECT_BASE_MAPPING } = require('./airtable-milestone-client');
+
+// 1グループあたりの表示件数（デイリーサマリーと同じ）
+const MAX_TASKS_PER_GROUP = 5;
+const MAX_INBOX_ITEMS = 5;
+const DUE_SOON_DAYS = 3;
+
+function hasDue(task) {
+  return Boolean(task.due) && task.due !== 'null';
+}
+
+function taskKey(task) {
+  return task.task_id || task.id;
+}
+
+/**
+ * 担当タスクを期限切れ / 期限間近 / その他に分ける
+ * @param {Array<Object>} ownedTasks - 担当タスク（未完了）
+ * @param {Date} now - 基準日時
+ */
+function groupOwnedTasks(ownedTasks, now = new Date()) {
+  const today = now.toISOString().split('T')[0];
+  const soon = new Date(now);
+  soon.setDate(soon.getDate() + DUE_SOON_DAYS);
+  const soonStr = soon.toISOString().split('T')[0];
+
+  const byDue = (a, b) => String(a.due).localeCompare(String(b.due));
+
+  const overdue = [];
+  const dueSoon = [];
+  const others = [];
+
+  for (const task of ownedTasks) {
+    const due = hasDue(task) ? String(task.due).slice(0, 10) : null;
+    if (due && due < today) {
+      overdue.push(task);
+    } else if (due && due <= soonStr) {
+      dueSoon.push(task);
+    } else {
+      others.push(task);
+    }
+  }
+
+  return { overdue: overdue.sort(byDue), dueSoon: dueSoon.sort(byDue), others };
+}
+
+function buildTaskGroup(heading, tasks, now, moreLabel) {
+  if (tasks.length === 0) {
+    return [];
+  }
+
+  const blocks = [
+    { type: 'divider' },
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: `*${heading}* (${tasks.length}件)` }
+    }
+  ];
+
+  for (const task of tasks.slice(0, MAX_TASKS_PER_GROUP)) {
+    blocks.push(...buildTaskRow(task, now));
+  }
+
+  if (tasks.length > MAX_TASKS_PER_GROUP) {
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: `他 ${tasks.length - MAX_TASKS_PER_GROUP} 件の${moreLabel}があります（\`/mana-tasks\` で一覧）` }]
+    });
+  }
+
+  return blocks;
+}
+
+function buildProjectBlocks(projects) {
+  if (projects.length === 0) {
+    return [];
+  }
+
+  const lines = projects.map(({ project, sprint }) => {
+    const name = `*${project.name || project.project_id}*`;
+    if (!sprint) {
+      return `${name}\n_現在のスプリントなし_`;
+    }
+    const period = sprint.period || `${sprint.startDate} 〜 ${sprint.endDate}`;
+    const goal = sprint.goal ? `\n🎯 ${sprint.goal}` : '';
+    const link = sprint.url ? ` <${sprint.url}|Airtable>` : '';
+    return `${name}  スプリント: ${period}${link}${goal}`;
+  });
+
+  return [
+    { type: 'divider' },
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: `*🗂 アクティブなプロジェクト* (${projects.length}件)` }
+    },
+    ...lines.map(text => ({ type: 'section', text: { type: 'mrkdwn', text } }))
+  ];
+}
+
+function buildInboxBlocks(inboxItems) {
+  if (!inboxItems || inboxItems.length === 0) {
+    return [];
+  }
+
+  const blocks = [
+    { type: 'divider' },
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: `*📥 未対応のinbox* (${inboxItems.length}件)` }
+    }
+  ];
+
+  for (const item of inboxItems.slice(0, MAX_INBOX_ITEMS)) {
+    const text = item.text.length > 150 ? `${item.text.slice(0, 150)}…` : item.text;
+    const link = item.slackLink ? ` <${item.slackLink}|Slackで開く>` : '';
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: `*#${item.channel}* | ${item.sender}${link}\n${text}` }
+    });
+  }
+
+  if (inboxItems.length > MAX_INBOX_ITEMS) {
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: `他 ${inboxItems.length - MAX_INBOX_ITEMS} 件` }]
+    });
+  }
+
+  return blocks;
+}
+
+/**
+ * Homeタブのviewを生成
+ * 自分が担当かつ依頼者でもあるタスクは担当側にだけ表示する（action_id の重複を避けるため）
+ * @param {Object} params
+ * @param {Array<Object>} params.ownedTasks - 担当タスク（未完了）
+ * @param {Array<Object>} params.requestedTasks - 依頼したタスク（未完了）
+ * @param {Array<{project: Object, sprint: Object|null}>} [params.projects] - アクティブなプロジェクトと現在のスプリント
+ * @param {Array<Object>|null} [params.inboxItems] - 未対応のinbox（対象ユーザー以外はnull）
+ * @param {Date} [params.now] - 基準日時
+ * @returns {Object} Slack view（type: home）
+ */
+function buildAppHomeView({ ownedTasks = [], requestedTasks = [], projects = [], inboxItems = null, now = new Date() }) {
+  const { overdue, dueSoon, others } = groupOwnedTasks(ownedTasks, now);
+
+  const ownedKeys = new Set(ownedTasks.map(taskKey));
+  const requestedOnly = requestedTasks.filter(task => !ownedKeys.has(taskKey(task)));
+
+  const blocks = [
+    {
+      type: 'header',
+      text: { type: 'plain_text', text: '🏠 mana ダッシュボード' }
+    },
+    {
+      type: 'context',
+      elements: [{
+        type: 'mrkdwn',
+        text: `担当 ${ownedTasks.length}件（期限切れ ${overdue.length} / 期限間近 ${dueSoon.length}） | 依頼 ${requestedOnly.length}件 | 最終更新: <!date^${Math.floor(now.getTime() / 1000)}^{date_short_pretty} {time}|${now.toISOString()}>`
+      }]
+    }
+  ];
+
+  blocks.push(...buildTaskGroup('⚠️ 期限切れ', overdue, now, '期限切れタスク'));
+  blocks.push(...buildTaskGroup(`⏰ 期限間近（${DUE_SOON_DAYS}日以内）`, dueSoon, now, 'タスク'));
+  blocks.push(...buildTaskGroup('📤 依頼中', requestedOnly, now, '依頼'));
+
+  if (overdue.length === 0 && dueSoon.length === 0 && requestedOnly.length === 0) {
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: '✨ 確認が必要なタスクはありません' }
+    });
+  }
+
+  if (others.length > 0) {
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: `期限に余裕のある担当タスクが ${others.length} 件あります（\`/mana-tasks\` で一覧）` }]
+    });
+  }
+
+  blocks.push(...buildProjectBlocks(projects));
+  blocks.push(...buildInboxBlocks(inboxItems));
+
+  return { type: 'home', blocks };
+}
+
+class AppHomeService {
+  /**
+   * @param {Object} slackClient - Slack WebClient
+   * @param {Object} options
+   * @param {Object} [options.taskStore] - タスクストア
+   * @param {Object} [options.projectRepository] - ProjectRepository
+   * @param {Function} [options.createMilestoneClient] - (projectId) => AirtableMilestoneClient
+   * @param {Object} [options.github] - GitHubIntegration（inbox取得用）
+   * @param {string} [options.inboxUserId] - inboxを表示するユーザーのSlack ID
+   */
+  constructor(slackClient, options = {}) {
+    this.slackClient = slackClient;
+    this.taskStore = options.taskStore || getTaskStore();
+    this._projectRepository = options.projectRepository || null;
+    this.createMilestoneClient = options.createMilestoneClient || (projectId => new AirtableMilestoneClient(projectId));
+    this._github = options.github || null;
+    this.inboxUserId = options.inboxUserId || null;
+  }
+
+  get projectRepository() {
+    if (!this._projectRepository) {
+      const ProjectRepository = require('./project-repository');
+      this._projectRepository = new ProjectRepository();
+    }
+    return this._projectRepository;
+  }
+
+  get github() {
+    if (!this._github) {
+      const GitHubIntegration = require('./github-integration');
+      this._github = new GitHubIntegration();
+    }
+    return this._github;
+  }
+
+  /**
+   * ユーザーのタスクに登場するアクティブなプロジェクトと、その現在のスプリントを取得
+   * Airtable の取得に失敗したプロジェクトはスプリントなしとして扱う
+   */
+  async getActiveProjects(tasks) {
+    const projectIds = new Set(tasks.map(task => task.project_id).filter(Boolean));
+    if (projectIds.size === 0) {
+      return [];
+    }
+
+    const allProjects = await this.projectRepository.getAllProjects();
+    const projects = allProjects.filter(project => projectIds.has(project.project_id));
+
+    return Promise.all(projects.map(async project => {
+      if (!PROJECT_BASE_MAPPING[project.project_id]) {
+        return { project, sprint: null };
+      }
+      try {
+        const sprint = await this.createMilestoneClient(project.project_id).getCurrentSprint();
+        return { project, sprint };
+      } catch (error) {
+        console.warn(`Failed to get current sprint for ${project.project_id}:`, error.message);
+        return { project, sprint: null };
+      }
+    }));
+  }
+
+  async getInboxItems(userId) {
+    if (!this.inboxUserId || userId !== this.inboxUserId) {
+      return null;
+    }
+    return this.github.getPendingInboxItems();
+  }
+
+  /**
+   * Homeタブのviewを組み立てる
+   * プロジェクト・inboxは取得に失敗しても表示を省略するだけにする
+   */
+  async buildHomeView(userId, now = new Date()) {
+    const [ownedTasks, requestedTasks] = await Promise.all([
+      this.taskStore.getTasksByOwnerSlackId(userId),
+      this.taskStore.getTasksByRequesterSlackId(userId)
+    ]);
+
+    const [projects, inboxItems] = await Promise.all([
+      this.getActiveProjects([...ownedTasks, ...requestedTasks]).catch(error => {
+        console.warn('Failed to load projects for App Home:', error.message);
+        return [];
+      }),
+      this.getInboxItems(userId).catch(error => {
+        console.warn('Failed to load inbox for App Home:', error.message);
+        return null;
+      })
+    ]);
+
+    return buildAppHomeView({ ownedTasks, requestedTasks, projects, inboxItems, now });
+  }
+
+  /**
+   * Homeタブを公開（更新）する
+   * @param {string} userId - Slack User ID
+   */
+  async publish(userId, now = new Date()) {
+    const view = await this.buildHomeView(userId, now);
+    await this.slackClient.views.publish({ user_id: userId, view });
+    return view;
+  }
+}
+
+module.exports = {
+  AppHomeService,
+  buildAppHomeView,
+  groupOwnedTasks
+};
@@ -0,0 +1,30 @@
+/**
+ * concurrency.js
+ * 同時実行数を絞った並列処理（LLM・埋め込み・S3 の呼び出しで共通に使う）
+ */
+
+/**
+ * 件数の多い処理を同時実行数を絞って順に実行する
+ * @param {Array} items
+ * @param {number} limit - 同時に実行する数
+ * @param {Function} fn - (item, index) => Promise
+ * @returns {Promise<Array>} items と同じ順の結果
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency
+};
@@ -0,0 +1,472 @@
+/**
+ * context-retrieval.js
+ * brainbaseのプロジェクトコンテキストの検索（RAG）
+ *
+ * scripts/export-brainbase-context.js が出力する {project}.txt をファイル単位・段落単位のチャンクに分け、
+ * Bedrockの埋め込みモデルでベクトル化した索引（{project}.index.json）を事前に作っておく。
+ * 質問ごとに関連するチャンクだけを取り出し、番号付きの出典としてプロンプトに渡す。
+ *
+ * 索引は CONTEXT_INDEX_DIR があればそのディレクトリから、なければコンテキストと同じS3バケットから読む。
+ * 索引がないプロジェクトでは null を返すので、呼び出し側は従来どおり全文を渡す。
+ * 索引には元の {project}.txt の MD5 を記録し、{project}.txt を出力し直したのに索引を作り直していなければ
+ * 古い索引とみなして使わない（同じく全文を渡す）。
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { BedrockRuntimeClient, InvokeModelCommand } = require('@aws-sdk/client-bedrock-runtime');
+const { S3Client, GetObjectCommand, HeadObjectCommand } = require('@aws-sdk/client-s3');
+const { mapWithConcurrency } = require('./concurrency');
+
+const BEDROCK_REGION = 'us-east-1';
+const BRAINBASE_CONTEXT_BUCKET = 'brainbase-context-593793022993';
+
+const INDEX_FORMAT_VERSION = 1;
+const DEFAULT_EMBEDDING_MODEL_ID = 'amazon.titan-embed-text-v2:0';
+const EMBEDDING_DIMENSIONS = 512;
+// 1チャンクの長さと、前のチャンクから重ねる長さ（文字数）
+const CHUNK_MAX_CHARS = 1200;
+const CHUNK_OVERLAP_CHARS = 200;
+// 埋め込みに渡す検索文の上限（議事録などでは文字起こしの一部を検索文にする）
+const QUERY_MAX_CHARS = 2000;
+const DEFAULT_TOP_K = 6;
+// 索引を作るときに埋め込みを同時に投げる数
+const EMBEDDING_CONCURRENCY = 4;
+// Lambdaのウォームスタート中に索引を使い回す時間
+const INDEX_CACHE_TTL_MS = 10 * 60 * 1000;
+
+// {project}.txt の見出し（scripts/export-brainbase-context.js の formatContextAsText と対応）
+const SECTION_HEADING_PATTERN = /^## (用語集.*|プロジェクトドキュメント|関連顧客情報|関連人物情報|関連組織情報)\s*$/;
+const DOCUMENT_HEADING_PATTERN = /^### (\S+\.md)\s*$/;
+const CONTEXT_TITLE_PATTERN = /^# (複合)?プロジェクトコンテキスト: /;
+
+const CITATION_INSTRUCTION = '参照資料を使った箇所には、文末に [1] のように資料の番号を付けてください。参照資料にないことは推測で補わないでください。';
+
+const indexCache = new Map();
+
+const resolveEmbeddingModelId = () => process.env.CONTEXT_EMBEDDING_MODEL_ID || DEFAULT_EMBEDDING_MODEL_ID;
+
+/**
+ * ドキュメントの末尾の区切り（---、複合プロジェクトの ====）と空行を取り除く
+ */
+function trimDocument(lines) {
+  return lines.join('\n').replace(/(\s*\n(---|=+)\s*)+$/, '').trim();
+}
+
+/**
+ * {project}.txt を用語集とドキュメントに分ける
+ * 複合プロジェクト（unson-board など）のように同じ用語集が何度も出てくる場合は1つにまとめる
+ * @param {string} text - {project}.txt の内容
+ * @returns {{glossary: string, documents: Array<{source: string, section: string, content: string}>}}
+ */
+function parseContextDocuments(text) {
+  const glossaryBlocks = [];
+  const documents = [];
+  let section = null;
+  let current = null;
+  let glossaryLines = null;
+
+  const flushDocument = () => {
+    if (current) {
+      const content = trimDocument(current.lines);
+      if (content) {
+        documents.push({ source: current.source, section: current.section, content });
+      }
+      current = null;
+    }
+  };
+  const flushGlossary = () => {
+    if (glossaryLines) {
+      for (const block of glossaryLines.join('\n').split(/\n---\s*\n/)) {
+        const trimmed = block.trim();
+        if (trimmed && !glossaryBlocks.includes(trimmed)) {
+          glossaryBlocks.push(trimmed);
+        }
+      }
+      glossaryLines = null;
+    }
+  };
+
+  for (const line of String(text || '').split('\n')) {
+    const sectionMatch = line.match(SECTION_HEADING_PATTERN);
+    if (sectionMatch || CONTEXT_TITLE_PATTERN.test(line)) {
+      flushDocument();
+      flushGlossary();
+      section = sectionMatch ? sectionMatch[1] : null;
+      if (section && section.startsWith('用語集')) {
+        glossaryLines = [];
+      }
+      continue;
+    }
+
+    if (glossaryLines) {
+      glossaryLines.push(line);
+      continue;
+    }
+
+    const documentMatch = section && line.match(DOCUMENT_HEADING_PATTERN);
+    if (documentMatch) {
+      flushDocument();
+      current = { source: documentMatch[1], section, lines: [] };
+      continue;
+    }
+
+    if (current) {
+      current.lines.push(line);
+    }
+  }
+  flushDocument();
+  flushGlossary();
+
+  return {
+    glossary: glossaryBlocks.join('\n\n---\n\n'),
+    documents
+  };
+}
+
+/**
+ * ドキュメントを段落の切れ目でチャンクに分ける（長すぎる段落は文字数で切る）
+ * @param {string} content
+ * @param {{maxChars?: number, overlapChars?: number}} options
+ * @returns {string[]}
+ */
+function splitIntoChunks(content, { maxChars = CHUNK_MAX_CHARS, overlapChars = CHUNK_OVERLAP_CHARS } = {}) {
+  const paragraphs = [];
+  for (const paragraph of String(content || '').split(/\n{2,}/)) {
+    const trimmed = paragraph.trim();
+    for (let start = 0; start < trimmed.length; start += maxChars) {
+      paragraphs.push(trimmed.slice(start, start + maxChars));
+    }
+  }
+
+  const chunks = [];
+  let current = '';
+  for (const paragraph of paragraphs) {
+    if (current && current.length + paragraph.length + 2 > maxChars) {
+      chunks.push(current);
+      // 前のチャンクの末尾を重ねて、段落をまたぐ文脈が切れないようにする
+      const overlap = overlapChars > 0 ? current.slice(-overlapChars) : '';
+      current = overlap && overlap.length + paragraph.length + 2 <= maxChars
+        ? `${overlap}\n\n${paragraph}`
+        : paragraph;
+    } else {
+      current = current ? `${current}\n\n${paragraph}` : paragraph;
+    }
+  }
+  if (current) {
+    chunks.push(current);
+  }
+  return chunks;
+}
+
+/**
+ * {project}.txt を検索用のチャンクにする
+ * @param {string} text - {project}.txt の内容
+ * @param {{maxChars?: number, overlapChars?: number}} options
+ * @returns {{glossary: string, chunks: Array<{id: string, source: string, section: string, text: string}>}}
+ */
+function chunkContextText(text, options = {}) {
+  const { glossary, documents } = parseContextDocuments(text);
+  const chunks = [];
+  const seen = new Set();
+
+  for (const document of documents) {
+    // 複合プロジェクトでは同じファイルが複数のプロジェクトから出てくるので1回だけにする
+    if (seen.has(document.source)) {
+      continue;
+    }
+    seen.add(document.source);
+    splitIntoChunks(document.content, options).forEach((chunkText, i) => {
+      chunks.push({
+        id: `${document.source}#${i + 1}`,
+        source: document.source,
+        section: document.section,
+        text: chunkText
+      });
+    });
+  }
+
+  return { glossary, chunks };
+}
+
+/**
+ * テキストを埋め込みベクトルにする（Amazon Titan Text Embeddings）
+ * @param {string} text
+ * @param {{client?: BedrockRuntimeClient, modelId?: string, dimensions?: number}} options
+ * @returns {Promise<number[]>}
+ */
+async function embedText(text, { client, modelId = resolveEmbeddingModelId(), dimensions = EMBEDDING_DIMENSIONS } = {}) {
+  const bedrockClient = client || new BedrockRuntimeClient({ region: BEDROCK_REGION });
+  const response = await bedrockClient.send(new InvokeModelCommand({
+    modelId,
+    contentType: 'application/json',
+    accept: 'application/json',
+    body: JSON.stringify({ inputText: text, dimensions, normalize: true })
+  }));
+  const parsed = JSON.parse(new TextDecoder().decode(response.body));
+  if (!Array.isArray(parsed.embedding)) {
+    throw new Error(`Embedding model ${modelId} returned no embedding`);
+  }
+  return parsed.embedding;
+}
+
+/**
+ * {project}.txt から検索用の索引を作る
+ * @param {string} project - プロジェクト名（例: "zeims"）
+ * @param {string} text - {project}.txt の内容
+ * @param {{client?: BedrockRuntimeClient, concurrency?: number, maxChars?: number, overlapChars?: number}} options
+ * @returns {Promise<Object>} 索引（{project}.index.json の内容）
+ */
+async function buildContextIndex(project, text, { client, concurrency = EMBEDDING_CONCURRENCY, ...chunkOptions } = {}) {
+  const bedrockClient = client || new BedrockRuntimeClient({ region: BEDROCK_REGION });
+  const modelId = resolveEmbeddingModelId();
+  const { glossary, chunks } = chunkContextText(text, chunkOptions);
+
+  // ファイル名も埋め込みに含めて、ファイル名でしか表れない話題（顧客名など）でも引けるようにする
+  const vectors = await mapWithConcurrency(chunks, concurrency, chunk =>
+    embedText(`${chunk.source}\n${chunk.text}`, { client: bedrockClient, modelId }));
+
+  return {
+    version: INDEX_FORMAT_VERSION,
+    project,
+    model: modelId,
+    dimensions: EMBEDDING_DIMENSIONS,
+    built_at: new Date().toISOString(),
+    source_md5: getSourceMd5(text),
+    glossary,
+    chunks: chunks.map((chunk, i) => ({ ...chunk, vector: vectors[i] }))
+  };
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * 索引から検索文に近いチャンクを取り出す（複数の検索文では各チャンクの最も高いスコアを使う）
+ * @param {Object} index - buildContextIndex() の形
+ * @param {number[][]} queryVectors
+ * @param {number} topK
+ * @returns {Array<{number: number, id: string, source: string, text: string, score: number}>} number は出典番号（1始まり）
+ */
+function searchContextIndex(index, queryVectors, topK = DEFAULT_TOP_K) {
+  return (index.chunks || [])
+    .map(chunk => ({
+      chunk,
+      score: Math.max(...queryVectors.map(vector => cosineSimilarity(vector, chunk.vector)))
+    }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK)
+    .map(({ chunk, score }, i) => ({
+      number: i + 1,
+      id: chunk.id,
+      source: chunk.source,
+      text: chunk.text,
+      score
+    }));
+}
+
+function getIndexKey(project) {
+  return `${project}.index.json`;
+}
+
+function getSourceMd5(text) {
+  return crypto.createHash('md5').update(text, 'utf8').digest('hex');
+}
+
+/**
+ * 索引を作った後に {project}.txt が出力し直されたか
+ * S3 の ETag は1回でアップロードしたファイルなら MD5 と同じなので、ETag で比べる（分割アップロードのときは本文を読んで比べる）
+ * {project}.txt が見つからなければ比べようがないので、古いとはみなさない
+ * @param {string} project
+ * @param {Object} index
+ * @param {{s3Client?: S3Client, indexDir?: string}} options
+ * @returns {Promise<boolean>}
+ */
+async function isIndexStale(project, index, { s3Client, indexDir } = {}) {
+  if (!index.source_md5) {
+    return true;
+  }
+
+  const sourceKey = `${project}.txt`;
+  if (indexDir) {
+    const sourceFile = path.join(indexDir, sourceKey);
+    return fs.existsSync(sourceFile) && getSourceMd5(fs.readFileSync(sourceFile, 'utf8')) !== index.source_md5;
+  }
+
+  const client = s3Client || new S3Client({ region: BEDROCK_REGION });
+  try {
+    const head = await client.send(new HeadObjectCommand({ Bucket: BRAINBASE_CONTEXT_BUCKET, Key: sourceKey }));
+    const etag = String(head.ETag || '').replace(/"/g, '');
+    if (!etag.includes('-')) {
+      return etag !== index.source_md5;
+    }
+    const response = await client.send(new GetObjectCommand({ Bucket: BRAINBASE_CONTEXT_BUCKET, Key: sourceKey }));
+    return getSourceMd5(await response.Body.transformToString()) !== index.source_md5;
+  } catch (error) {
+    if (error.name === 'NotFound' || error.name === 'NoSuchKey') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * プロジェクトの索引を読み込む（CONTEXT_INDEX_DIR があればローカル、なければS3から。しばらくはメモリに保持する）
+ * @param {string} project
+ * @param {{s3Client?: S3Client, indexDir?: string}} options
+ * @returns {Promise<Object|null>} 索引がなければ null
+ */
+async function loadContextIndex(project, { s3Client, indexDir = process.env.CONTEXT_INDEX_DIR } = {}) {
+  const cached = indexCache.get(project);
+  if (cached && Date.now() - cached.loadedAt < INDEX_CACHE_TTL_MS) {
+    return cached.index;
+  }
+
+  let index = null;
+  if (indexDir) {
+    const filePath = path.join(indexDir, getIndexKey(project));
+    if (fs.existsSync(filePath)) {
+      index = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+  } else {
+    try {
+      const client = s3Client || new S3Client({ region: BEDROCK_REGION });
+      const response = await client.send(new GetObjectCommand({
+        Bucket: BRAINBASE_CONTEXT_BUCKET,
+        Key: getIndexKey(project)
+      }));
+      index = JSON.parse(await response.Body.transformToString());
+    } catch (error) {
+      if (error.name !== 'NoSuchKey') {
+        throw error;
+      }
+    }
+  }
+
+  if (index && index.version !== INDEX_FORMAT_VERSION) {
+    console.warn(`[context-retrieval] Ignoring index for ${project}: unsupported version ${index.version}`);
+    index = null;
+  }
+  if (index && await isIndexStale(project, index, { s3Client, indexDir })) {
+    console.warn(`[context-retrieval] Ignoring stale index for ${project}: ${project}.txt changed after the index was built (run scripts/build-context-index.js)`);
+    index = null;
+  }
+  indexCache.set(project, { index, loadedAt: Date.now() });
+  return index;
+}
+
+/**
+ * 質問に関連するプロジェクトコンテキストを取り出す
+ * 索引がない・検索に失敗した場合は null を返す（呼び出し側で全文にフォールバックする）
+ * @param {string} project - プロジェクト名（例: "zeims"）
+ * @param {string|string[]} queries - 検索文（議事録では文字起こしの冒頭・中盤・終盤など複数を渡す）
+ * @param {{topK?: number, client?: BedrockRuntimeClient, s3Client?: S3Client, indexDir?: string}} options
+ * @returns {Promise<{glossary: string, passages: Array}|null>}
+ */
+async function retrieveProjectContext(project, queries, { topK = DEFAULT_TOP_K, client, ...loadOptions } = {}) {
+  const queryTexts = (Array.isArray(queries) ? queries : [queries])
+    .map(query => String(query || '').trim().slice(0, QUERY_MAX_CHARS))
+    .filter(Boolean);
+  if (!project || queryTexts.length === 0) {
+    return null;
+  }
+
+  try {
+    const index = await loadContextIndex(project, loadOptions);
+    if (!index) {
+      console.log(`[context-retrieval] No context index for project: ${project}`);
+      return null;
+    }
+
+    const bedrockClient = client || new BedrockRuntimeClient({ region: BEDROCK_REGION });
+    const queryVectors = await Promise.all(queryTexts.map(query =>
+      embedText(query, { client: bedrockClient, modelId: index.model, dimensions: index.dimensions })));
+    const passages = searchContextIndex(index, queryVectors, topK);
+
+    console.log(`[context-retrieval] Retrieved ${passages.length} passages for ${project}: ${passages.map(p => p.id).join(', ')}`);
+    return { glossary: index.glossary || '', passages };
+  } catch (error) {
+    console.warn(`[context-retrieval] Retrieval failed for ${project}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * 取り出した資料を番号付きでプロンプトに入れる形にする
+ * @param {Array} passages - retrieveProjectContext() の passages
+ * @returns {string}
+ */
+function formatPassagesForPrompt(passages) {
+  return passages
+    .map(passage => `[${passage.number}] ${passage.source}\n${passage.text}`)
+    .join('\n\n---\n\n');
+}
+
+/**
+ * retrieveProjectContext() の結果をプロンプトのコンテキストにする
+ * @param {{glossary: string, passages: Array}} retrieved
+ * @param {{includeGlossary?: boolean}} options - 議事録・タスク抽出では固有名詞の修正のために用語集も入れる
+ * @returns {string}
+ */
+function formatRetrievedContext(retrieved, { includeGlossary = false } = {}) {
+  const sections = [];
+  if (includeGlossary && retrieved.glossary) {
+    sections.push(`## 用語集（固有名詞の正しい表記）\n\n${retrieved.glossary}`);
+  }
+  if (retrieved.passages.length > 0) {
+    sections.push(`## 参照資料（質問に関連する部分）\n\n${formatPassagesForPrompt(retrieved.passages)}`);
+  }
+  return sections.join('\n\n');
+}
+
+/**
+ * 回答で使われた出典番号の資料を末尾に並べる（番号が使われていなければそのまま返す）
+ * @param {string} answer
+ * @param {Array} passages - retrieveProjectContext() の passages
+ * @returns {string}
+ */
+function appendCitations(answer, passages) {
+  if (!answer || !passages || passages.length === 0) {
+    return answer;
+  }
+  const cited = passages.filter(passage => answer.includes(`[${passage.number}]`));
+  if (cited.length === 0) {
+    return answer;
+  }
+  const lines = cited.map(passage => `• [${passage.number}] \`${passage.source}\``);
+  return `${answer}\n\n📚 *参照*\n${lines.join('\n')}`;
+}
+
+/**
+ * 索引のキャッシュをクリア（テスト用）
+ */
+function clearIndexCache() {
+  indexCache.clear();
+}
+
+module.exports = {
+  CITATION_INSTRUCTION,
+  parseContextDocuments,
+  splitIntoChunks,
+  chunkContextText,
+  embedText,
+  buildContextIndex,
+  searchContextIndex,
+  loadContextIndex,
+  retrieveProjectContext,
+  formatPassagesForPrompt,
+  formatRetrievedContext,
+  appendCitations,
+  clearIndexCache,
+  getIndexKey
+};
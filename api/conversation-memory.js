@@ -2,19 +2,170 @@
  * 会話メモリ - プロジェクト×ユーザー単位の会話履歴管理
  *
  * Phase 1: インメモリ実装
- * 将来的にDynamoDB/S3に移行可能な設計
+ * Phase 2: DynamoDB（CONVERSATION_MEMORY_TABLE_NAME、デフォルト mana-conversations）に保存し、
+ *          Lambda コンテナが入れ替わっても・別のコンテナでも同じ履歴を使う
+ *
+ * 履歴がトークン予算（tokenBudget）を超えたら、古い発言を要約にまとめて直近の発言だけを残す。
+ * 要約は formatForLLM() の先頭に role: 'system' のメッセージとして入る。
+ */
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, GetCommand, PutCommand, DeleteCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
+
+// 要約しても残す直近の発言数
+const DEFAULT_KEEP_RECENT_MESSAGES = 6;
+const SUMMARY_MAX_TOKENS = 800;
+
+/**
+ * トークン数の見積もり（日本語は1文字≒1トークンなので、文字数で多めに見積もる）
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  return String(text || '').length;
+}
+
+/**
+ * 古い発言を要約にまとめる（これまでの要約があれば、それに今回の発言を加えた要約にする）
+ * @param {string|null} previousSummary
+ * @param {Array<{role: string, content: string}>} messages
+ * @returns {Promise<string>}
  */
+async function summarizeConversation(previousSummary, messages) {
+  const { generateText } = require('ai');
+  const { anthropic } = require('@ai-sdk/anthropic');
+
+  const transcript = messages
+    .map(message => `${message.role === 'user' ? '質問者' : 'Mana'}: ${message.content}`)
+    .join('\n');
+
+  const response = await generateText({
+    model: anthropic('claude-3-5-haiku-20241022'),
+    prompt: `あなたはSlackでの質問者とアシスタント（Mana）の会話を要約するアシスタントです。
+以降の会話で文脈として使うので、質問者が知りたがっていたこと・Manaが答えた事実や数値・決まったこと・未解決の質問を残してください。
+挨拶や言い回しは省き、箇条書きで簡潔にまとめてください。要約だけを出力してください。
+
+## これまでの要約
+${previousSummary || '（なし）'}
+
+## 要約に加える会話
+${transcript}`,
+    maxTokens: SUMMARY_MAX_TOKENS
+  });
+
+  return response.text.trim();
+}
+
+/**
+ * 会話履歴の DynamoDB リポジトリ
+ * キー: user_id（パーティション）× project_id（ソート）。ユーザーの全履歴を Query で消せるようにする
+ */
+class ConversationMemoryRepository {
+  constructor(options = {}) {
+    const client = new DynamoDBClient({
+      region: options.region || process.env.AWS_REGION || 'us-east-1'
+    });
+    this.docClient = options.docClient || DynamoDBDocumentClient.from(client, {
+      marshallOptions: { removeUndefinedValues: true }
+    });
+    this.tableName = options.tableName || process.env.CONVERSATION_MEMORY_TABLE_NAME || 'mana-conversations';
+  }
+
+  /**
+   * 会話を取得（なければ null）
+   * @returns {Promise<{messages: Array, summary: string|null}|null>}
+   */
+  async getConversation(projectId, userId) {
+    const result = await this.docClient.send(new GetCommand({
+      TableName: this.tableName,
+      Key: { user_id: userId, project_id: projectId }
+    }));
+    if (!result.Item) {
+      return null;
+    }
+    return {
+      messages: result.Item.messages || [],
+      summary: result.Item.summary || null
+    };
+  }
+
+  /**
+   * 会話を保存
+   * @param {string} projectId
+   * @param {string} userId
+   * @param {{messages: Array, summary: string|null}} conversation
+   * @param {Object} [options]
+   * @param {number|null} [options.ttlMs] - 最後の発言からこの時間が過ぎたら DynamoDB の TTL で削除する
+   * @param {Date} [now]
+   */
+  async saveConversation(projectId, userId, conversation, { ttlMs = null } = {}, now = new Date()) {
+    await this.docClient.send(new PutCommand({
+      TableName: this.tableName,
+      Item: {
+        user_id: userId,
+        project_id: projectId,
+        messages: conversation.messages,
+        summary: conversation.summary || undefined,
+        updated_at: now.toISOString(),
+        ttl: ttlMs ? Math.floor((now.getTime() + ttlMs) / 1000) : undefined
+      }
+    }));
+  }
+
+  /**
+   * 会話を削除
+   */
+  async deleteConversation(projectId, userId) {
+    await this.docClient.send(new DeleteCommand({
+      TableName: this.tableName,
+      Key: { user_id: userId, project_id: projectId }
+    }));
+  }
+
+  /**
+   * ユーザーの全プロジェクトの会話を削除
+   * @param {string} userId
+   * @returns {Promise<number>} 削除した会話の数
+   */
+  async deleteUserConversations(userId) {
+    let deleted = 0;
+    let exclusiveStartKey;
+    do {
+      const result = await this.docClient.send(new QueryCommand({
+        TableName: this.tableName,
+        KeyConditionExpression: 'user_id = :userId',
+        ExpressionAttributeValues: { ':userId': userId },
+        ProjectionExpression: 'project_id',
+        ExclusiveStartKey: exclusiveStartKey
+      }));
+      for (const item of result.Items || []) {
+        await this.deleteConversation(item.project_id, userId);
+        deleted++;
+      }
+      exclusiveStartKey = result.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+    return deleted;
+  }
+}
 
 class ConversationMemory {
   /**
    * @param {Object} options - 設定オプション
    * @param {number} [options.maxMessages=100] - 最大保持メッセージ数
    * @param {number} [options.ttlMs] - TTL（ミリ秒）。未設定の場合は期限なし
+   * @param {ConversationMemoryRepository} [options.repository] - 永続化先。未設定の場合はインメモリ
+   * @param {number} [options.tokenBudget] - 要約と発言の合計がこれを超えたら古い発言を要約する。未設定の場合は要約しない
+   * @param {number} [options.keepRecentMessages=6] - 要約するときに残す直近の発言数
+   * @param {Function} [options.summarizer] - (previousSummary, messages) => Promise<string>
    */
   constructor(options = {}) {
     this.maxMessages = options.maxMessages ?? 100;
     this.ttlMs = options.ttlMs ?? null;
-    // キー: `${projectId}:${userId}`
+    this.repository = options.repository || null;
+    this.tokenBudget = options.tokenBudget ?? null;
+    this.keepRecentMessages = options.keepRecentMessages ?? DEFAULT_KEEP_RECENT_MESSAGES;
+    this.summarizer = options.summarizer || summarizeConversation;
+    // インメモリの場合の保存先（DynamoDB に書けないときの退避先も兼ねる）。キー: `${projectId}:${userId}`
     this.store = new Map();
   }
 
@@ -26,6 +177,94 @@ class ConversationMemory {
     return `${projectId}:${userId}`;
   }
 
+  /**
+   * 会話（要約と発言）を読み込む
+   * @private
+   */
+  async _load(projectId, userId) {
+    let conversation = null;
+    if (this.repository) {
+      try {
+        conversation = await this.repository.getConversation(projectId, userId);
+      } catch (error) {
+        console.warn('[conversation-memory] Failed to load conversation, using container cache:', error.message);
+        conversation = this.store.get(this._key(projectId, userId));
+      }
+    } else {
+      conversation = this.store.get(this._key(projectId, userId));
+    }
+    return conversation || { messages: [], summary: null };
+  }
+
+  /**
+   * 会話を保存する（空なら削除する）
+   * @private
+   */
+  async _save(projectId, userId, conversation) {
+    if (conversation.messages.length === 0 && !conversation.summary) {
+      await this._delete(projectId, userId);
+      return;
+    }
+    if (this.repository) {
+      try {
+        await this.repository.saveConversation(projectId, userId, conversation, { ttlMs: this.ttlMs });
+        return;
+      } catch (error) {
+        // DynamoDB に書けないときはコンテナ内にだけ残す（従来のインメモリと同じ挙動）
+        console.warn('[conversation-memory] Failed to save conversation, keeping it in container cache:', error.message);
+      }
+    }
+    this.store.set(this._key(projectId, userId), conversation);
+  }
+
+  /**
+   * @private
+   */
+  async _delete(projectId, userId) {
+    this.store.delete(this._key(projectId, userId));
+    if (this.repository) {
+      await this.repository.deleteConversation(projectId, userId);
+    }
+  }
+
+  /**
+   * TTLを超えた発言を除く
+   * @private
+   */
+  _filterExpired(messages) {
+    if (!this.ttlMs) {
+      return messages;
+    }
+    const now = Date.now();
+    return messages.filter(msg => now - new Date(msg.timestamp).getTime() < this.ttlMs);
+  }
+
+  /**
+   * トークン予算を超えていたら、直近の発言を残して古い発言を要約にまとめる
+   * 要約に失敗した場合は発言をそのまま残す（maxMessages で古いものから落ちる）
+   * @private
+   */
+  async _summarizeIfOverBudget(conversation) {
+    if (!this.tokenBudget || conversation.messages.length <= this.keepRecentMessages) {
+      return conversation;
+    }
+    const totalTokens = estimateTokens(conversation.summary) +
+      conversation.messages.reduce((sum, msg) => sum + estimateTokens(msg.content), 0);
+    if (totalTokens <= this.tokenBudget) {
+      return conversation;
+    }
+
+    const older = conversation.messages.slice(0, -this.keepRecentMessages);
+    const recent = conversation.messages.slice(-this.keepRecentMessages);
+    try {
+      const summary = await this.summarizer(conversation.summary, older);
+      return { messages: recent, summary };
+    } catch (error) {
+      console.warn('[conversation-memory] Failed to summarize conversation:', error.message);
+      return conversation;
+    }
+  }
+
   /**
    * メッセージを保存
    * @param {string} projectId - プロジェクトID
@@ -35,20 +274,19 @@ class ConversationMemory {
    * @param {string} message.content - メッセージ内容
    */
   async saveMessage(projectId, userId, message) {
-    const key = this._key(projectId, userId);
-    let history = this.store.get(key) || [];
-
-    history.push({
-      ...message,
-      timestamp: new Date().toISOString()
-    });
+    let conversation = await this._load(projectId, userId);
+    let messages = [
+      ...this._filterExpired(conversation.messages),
+      { ...message, timestamp: new Date().toISOString() }
+    ];
 
     // maxMessages制限: 超過分を削除
-    if (history.length > this.maxMessages) {
-      history = history.slice(-this.maxMessages);
+    if (messages.length > this.maxMessages) {
+      messages = messages.slice(-this.maxMessages);
     }
 
-    this.store.set(key, history);
+    conversation = await this._summarizeIfOverBudget({ messages, summary: conversation.summary });
+    await this._save(projectId, userId, conversation);
   }
 
   /**
@@ -59,22 +297,12 @@ class ConversationMemory {
    * @returns {Array} メッセージ履歴
    */
   async getHistory(projectId, userId, limit) {
-    const key = this._key(projectId, userId);
-    let history = this.store.get(key) || [];
-
-    // TTLフィルタリング
-    if (this.ttlMs) {
-      const now = Date.now();
-      history = history.filter(msg => {
-        const msgTime = new Date(msg.timestamp).getTime();
-        return now - msgTime < this.ttlMs;
-      });
-      // フィルタ後の履歴を保存（クリーンアップ）
-      if (history.length > 0) {
-        this.store.set(key, history);
-      } else {
-        this.store.delete(key);
-      }
+    const conversation = await this._load(projectId, userId);
+    const history = this._filterExpired(conversation.messages);
+
+    // フィルタ後の履歴を保存（インメモリのみ。DynamoDB は TTL で消える）
+    if (!this.repository && this.ttlMs && history.length !== conversation.messages.length) {
+      await this._save(projectId, userId, { ...conversation, messages: history });
     }
 
     if (limit && history.length > limit) {
@@ -84,41 +312,76 @@ class ConversationMemory {
     return history;
   }
 
+  /**
+   * これまでの会話の要約を取得（まだ要約していなければ null）
+   * @param {string} projectId - プロジェクトID
+   * @param {string} userId - ユーザーID
+   * @returns {Promise<string|null>}
+   */
+  async getSummary(projectId, userId) {
+    const conversation = await this._load(projectId, userId);
+    return conversation.summary || null;
+  }
+
   /**
    * 履歴をクリア
    * @param {string} projectId - プロジェクトID
    * @param {string} userId - ユーザーID
    */
   async clearHistory(projectId, userId) {
-    const key = this._key(projectId, userId);
-    this.store.delete(key);
+    await this._delete(projectId, userId);
+  }
+
+  /**
+   * ユーザーの全プロジェクトの履歴をクリア（@mana 会話をリセット）
+   * @param {string} userId - ユーザーID
+   * @returns {Promise<number>} クリアした会話の数
+   */
+  async clearUserHistory(userId) {
+    let cleared = 0;
+    for (const key of [...this.store.keys()]) {
+      if (key.endsWith(`:${userId}`)) {
+        this.store.delete(key);
+        cleared++;
+      }
+    }
+    if (this.repository) {
+      cleared = await this.repository.deleteUserConversations(userId);
+    }
+    return cleared;
   }
 
   /**
    * LLM用のメッセージ形式に変換
+   * 古い発言を要約済みの場合は、先頭に要約（role: 'system'）を入れる
    * @param {string} projectId - プロジェクトID
    * @param {string} userId - ユーザーID
-   * @param {number} [limit] - 取得件数
+   * @param {number} [limit] - 取得件数（要約は件数に含めない）
    * @returns {Array} LLM用メッセージ配列
    */
   async formatForLLM(projectId, userId, limit) {
-    const history = await this.getHistory(projectId, userId, limit);
+    const { messages: stored, summary } = await this._load(projectId, userId);
+    const history = this._filterExpired(stored);
 
-    return history.map(({ role, content }) => ({
+    const messages = (limit ? history.slice(-limit) : history).map(({ role, content }) => ({
       role,
       content
     }));
+
+    return summary
+      ? [{ role: 'system', content: `これまでの会話の要約:\n${summary}` }, ...messages]
+      : messages;
   }
 
   /**
-   * メモリの統計情報を取得
+   * メモリの統計情報を取得（コンテナ内に保持している分のみ）
    * @returns {Object} 統計情報
    */
   getStats() {
     let totalMessages = 0;
 
-    for (const history of this.store.values()) {
-      totalMessages += history.length;
+    for (const conversation of this.store.values()) {
+      totalMessages += conversation.messages.length;
     }
 
     return {
@@ -133,6 +396,7 @@ let instance = null;
 
 /**
  * グローバルなConversationMemoryインスタンスを取得
+ * CONVERSATION_MEMORY_BACKEND=memory の場合はインメモリ（ローカル開発用）、それ以外は DynamoDB に保存する
  * @param {Object} [options] - 初回のみ適用される設定
  * @returns {ConversationMemory}
  */
@@ -140,7 +404,9 @@ function getInstance(options) {
   if (!instance) {
     instance = new ConversationMemory(options || {
       maxMessages: 50,
-      ttlMs: 24 * 60 * 60 * 1000  // 24時間
+      ttlMs: 24 * 60 * 60 * 1000,  // 24時間
+      tokenBudget: Number(process.env.CONVERSATION_MEMORY_TOKEN_BUDGET) || 8000,
+      repository: process.env.CONVERSATION_MEMORY_BACKEND === 'memory' ? null : new ConversationMemoryRepository()
     });
   }
   return instance;
@@ -156,3 +422,5 @@ function resetInstance() {
 module.exports = ConversationMemory;
 module.exports.getInstance = getInstance;
 module.exports.resetInstance = resetInstance;
+module.exports.ConversationMemoryRepository = ConversationMemoryRepository;
+module.exports.estimateTokens = estimateTokens;
@@ -0,0 +1,270 @@
+/**
+ * decision-index.js
+ * プロジェクトの決定事項の一覧（_codex/decisions/index.md）と、決定事項の置き換えの判定
+ *
+ * 一覧は決定日・決定事項・会議・ステータスの表で、人が読んでもそのまま編集してもよい形にしている。
+ * 新しい決定事項が以前の決定を覆す・変更する場合は、以前の決定を「置き換え済み」にし、
+ * 一覧と各決定事項のファイルに双方向のリンクを残す。
+ */
+
+const { generateText } = require('ai');
+const { anthropic } = require('@ai-sdk/anthropic');
+
+const DECISION_INDEX_FILE = 'index.md';
+const DECISION_STATUS = {
+  ACTIVE: 'active',
+  SUPERSEDED: 'superseded'
+};
+// 置き換えの判定でLLMに渡す以前の決定事項の上限（新しい順）
+const MAX_SUPERSESSION_CANDIDATES = 50;
+
+const INDEX_HEADER = [
+  '# 決定事項の履歴',
+  '',
+  '| 決定日 | 決定事項 | 会議 | ステータス |',
+  '| --- | --- | --- | --- |'
+];
+const INDEX_ROW_PATTERN = /^\|\s*([^|]*?)\s*\|\s*\[([^\]]*)\]\(([^)]+)\)\s*\|\s*([^|]*?)\s*\|\s*(.*?)\s*\|\s*$/;
+const LINK_PATTERN = /\[[^\]]*\]\(([^)]+)\)/g;
+
+/**
+ * 表のセルに入れられる文字にする（| と [] はリンク・表の区切りになるので全角にする）
+ */
+function escapeCell(value) {
+  return String(value || '')
+    .replace(/\s*\n\s*/g, ' ')
+    .replace(/\|/g, '｜')
+    .replace(/\[/g, '［')
+    .replace(/\]/g, '］')
+    .trim();
+}
+
+function formatFileLink(file) {
+  return `[${file.replace(/\.md$/, '')}](${file})`;
+}
+
+function extractLinks(text) {
+  return Array.from(String(text || '').matchAll(LINK_PATTERN), match => match[1]);
+}
+
+/**
+ * 一覧のMarkdownを読み取る
+ * @param {string} markdown - index.md の内容
+ * @returns {Array<{date: string, title: string, file: string, meeting: string, status: string, supersededBy: string|null, supersedes: string[]}>}
+ */
+function parseDecisionIndex(markdown) {
+  const entries = [];
+
+  for (const line of String(markdown || '').split('\n')) {
+    const match = line.match(INDEX_ROW_PATTERN);
+    if (!match) {
+      continue;
+    }
+    const [, date, title, file, meeting, statusCell] = match;
+    const supersedesPart = statusCell.match(/（(.*) を置き換え）/);
+    const supersededByPart = statusCell.match(/→\s*\[[^\]]*\]\(([^)]+)\)/);
+
+    entries.push({
+      date,
+      title,
+      file,
+      meeting,
+      status: statusCell.startsWith('置き換え済み') ? DECISION_STATUS.SUPERSEDED : DECISION_STATUS.ACTIVE,
+      supersededBy: supersededByPart ? supersededByPart[1] : null,
+      supersedes: supersedesPart ? extractLinks(supersedesPart[1]) : []
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * ステータスのセル（例: 「置き換え済み → [新しい決定](...)」「決定（[以前の決定](...) を置き換え）」）
+ */
+function formatStatusCell(entry) {
+  const status = entry.status === DECISION_STATUS.SUPERSEDED && entry.supersededBy
+    ? `置き換え済み → ${formatFileLink(entry.supersededBy)}`
+    : '決定';
+  const supersedes = (entry.supersedes || []).length > 0
+    ? `（${entry.supersedes.map(formatFileLink).join('、')} を置き換え）`
+    : '';
+  return `${status}${supersedes}`;
+}
+
+/**
+ * 一覧のMarkdownを生成する（決定日の新しい順）
+ * @param {Array} entries - parseDecisionIndex() の形
+ * @returns {string}
+ */
+function renderDecisionIndex(entries) {
+  const rows = [...entries]
+    .sort((a, b) => b.date.localeCompare(a.date))
+    .map(entry => `| ${escapeCell(entry.date)} | [${escapeCell(entry.title)}](${entry.file}) | ${escapeCell(entry.meeting)} | ${formatStatusCell(entry)} |`);
+
+  return [...INDEX_HEADER, ...rows, ''].join('\n');
+}
+
+/**
+ * 一覧に決定事項を追加する（同じファイルの行があれば置き換える）
+ * @param {Array} entries
+ * @param {{date: string, title: string, file: string, meeting: string, supersedes?: string[]}} entry
+ * @returns {Array}
+ */
+function upsertDecisionEntry(entries, entry) {
+  const existing = entries.find(candidate => candidate.file === entry.file);
+  const next = {
+    status: DECISION_STATUS.ACTIVE,
+    supersededBy: null,
+    ...existing,
+    ...entry,
+    supersedes: entry.supersedes || existing?.supersedes || []
+  };
+  return existing
+    ? entries.map(candidate => (candidate === existing ? next : candidate))
+    : [...entries, next];
+}
+
+/**
+ * 以前の決定事項を置き換え済みにする
+ * @param {Array} entries
+ * @param {string} file - 置き換えられる決定事項のファイル名
+ * @param {string} supersededBy - 置き換える決定事項のファイル名
+ * @returns {Array}
+ */
+function markEntrySuperseded(entries, file, supersededBy) {
+  return entries.map(entry => (entry.file === file
+    ? { ...entry, status: DECISION_STATUS.SUPERSEDED, supersededBy }
+    : entry));
+}
+
+/**
+ * 置き換えの判定用プロンプトを生成
+ * @param {Array<{content: string, context?: string}>} newDecisions
+ * @param {Array} earlierEntries - 一覧の有効な決定事項
+ * @returns {string}
+ */
+function buildSupersessionPrompt(newDecisions, earlierEntries) {
+  const earlier = earlierEntries
+    .map((entry, i) => `E${i + 1}. [${entry.date}] ${entry.title}`)
+    .join('\n');
+  const incoming = newDecisions
+    .map((decision, i) => `N${i + 1}. ${decision.content}${decision.context ? `（背景: ${decision.context}）` : ''}`)
+    .join('\n');
+
+  return `あなたはプロジェクトの決定事項の履歴を管理するアシスタントです。
+
+## 以前の決定事項（有効なもの）
+${earlier}
+
+## 今回の会議の決定事項
+${incoming}
+
+## 指示
+今回の決定事項のうち、以前の決定事項を覆す・変更する・置き換えるものを探してください。
+同じ話題について補足しているだけのもの、関連はあるが両立するものは含めないでください。
+
+## 出力形式
+\`\`\`json
+{
+  "supersessions": [
+    { "new": 1, "old": 2, "reason": "価格を月額5万円から6万円に変更" }
+  ]
+}
+\`\`\`
+
+new は N の番号、old は E の番号です。該当がなければ空配列を返してください。`;
+}
+
+/**
+ * 置き換えの判定結果をパース
+ * @param {string} llmOutput
+ * @param {number} newCount - 今回の決定事項の件数
+ * @param {number} earlierCount - 以前の決定事項の件数
+ * @returns {Array<{newIndex: number, earlierIndex: number, reason: string}>} 0始まりの番号
+ */
+function parseSupersessionResult(llmOutput, newCount, earlierCount) {
+  try {
+    const jsonBlockMatch = String(llmOutput || '').match(/```json\s*([\s\S]*?)```/);
+    const parsed = JSON.parse(jsonBlockMatch ? jsonBlockMatch[1].trim() : String(llmOutput || '').trim());
+    const items = Array.isArray(parsed.supersessions) ? parsed.supersessions : [];
+
+    return items
+      .map(item => ({
+        newIndex: Number(item.new) - 1,
+        earlierIndex: Number(item.old) - 1,
+        reason: item.reason || ''
+      }))
+      .filter(item => Number.isInteger(item.newIndex) && item.newIndex >= 0 && item.newIndex < newCount
+        && Number.isInteger(item.earlierIndex) && item.earlierIndex >= 0 && item.earlierIndex < earlierCount);
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * 今回の決定事項が置き換える以前の決定事項を判定する
+ * 以前の決定事項がない場合はLLMを呼ばない。判定に失敗した場合は置き換えなしとする
+ * @param {Array<{content: string, context?: string}>} newDecisions
+ * @param {Array} entries - 一覧（parseDecisionIndex() の形）
+ * @returns {Promise<Array<{newIndex: number, file: string, reason: string}>>}
+ */
+async function detectSupersessions(newDecisions, entries) {
+  const earlierEntries = entries
+    .filter(entry => entry.status === DECISION_STATUS.ACTIVE)
+    .sort((a, b) => b.date.localeCompare(a.date))
+    .slice(0, MAX_SUPERSESSION_CANDIDATES);
+
+  if (earlierEntries.length === 0 || newDecisions.length === 0) {
+    return [];
+  }
+
+  try {
+    const response = await generateText({
+      model: anthropic('claude-3-5-haiku-20241022'),
+      prompt: buildSupersessionPrompt(newDecisions, earlierEntries),
+      maxTokens: 1000
+    });
+
+    return parseSupersessionResult(response.text, newDecisions.length, earlierEntries.length)
+      .map(item => ({
+        newIndex: item.newIndex,
+        file: earlierEntries[item.earlierIndex].file,
+        reason: item.reason
+      }));
+  } catch (error) {
+    console.warn('[decision-index] Supersession check failed:', error.message);
+    return [];
+  }
+}
+
+/**
+ * 決定事項のMarkdownのステータス行を「置き換え済み」にする
+ * @param {string} markdown - 置き換えられる決定事項のファイルの内容
+ * @param {string} supersededBy - 置き換える決定事項のファイル名
+ * @returns {string}
+ */
+function markDecisionMarkdownSuperseded(markdown, supersededBy) {
+  const statusLine = `- ステータス: 置き換え済み（→ ${formatFileLink(supersededBy)}）`;
+  if (/^- ステータス: .*$/m.test(markdown)) {
+    return markdown.replace(/^- ステータス: .*$/m, statusLine);
+  }
+  // ステータス行がない（手で書いた）ファイルはタイトルの下に入れる
+  const lines = markdown.split('\n');
+  const titleIndex = lines.findIndex(line => line.startsWith('# '));
+  lines.splice(titleIndex + 1, 0, '', statusLine);
+  return lines.join('\n');
+}
+
+module.exports = {
+  DECISION_INDEX_FILE,
+  DECISION_STATUS,
+  parseDecisionIndex,
+  renderDecisionIndex,
+  upsertDecisionEntry,
+  markEntrySuperseded,
+  buildSupersessionPrompt,
+  parseSupersessionResult,
+  detectSupersessions,
+  markDecisionMarkdownSuperseded,
+  formatFileLink
+};
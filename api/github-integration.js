@@ -1,6 +1,86 @@
 const axios = require('axios');
 const { TaskIdGenerator } = require('./task-id-generator');
 const { AirtableTaskSync } = require('./airtable-task-sync');
+const { redactFileTexts } = require('./pii-redaction');
+
+const DEFAULT_MAX_COMMIT_ATTEMPTS = 4;
+const DEFAULT_COMMIT_RETRY_BASE_DELAY_MS = 300;
+
+/**
+ * 同時コミットによる競合かどうか
+ * 409: 渡したSHAが最新でない / 422: SHAなしで作成しようとしたが既に作成されていた
+ */
+function isCommitConflict(error, sha) {
+  const status = error.response?.status;
+  return status === 409 || (status === 422 && !sha);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * pending.mdの内容からメンションIDに該当するブロック（front matter + 本文）を取り出す
+ * @returns {{archivedBlock: string|null, remainingContent: string}}
+ */
+function extractInboxBlock(content, mentionId) {
+  const blocks = (content || '').split(/^---$/m);
+  let archivedBlock = null;
+  const remainingBlocks = [];
+
+  for (let i = 0; i < blocks.length; i++) {
+    const block = blocks[i];
+    if (block.includes(`id: ${mentionId}`)) {
+      archivedBlock = '---' + block + '---';
+      // 次のブロック（本文）も含める
+      if (blocks[i + 1]) {
+        archivedBlock += blocks[i + 1];
+        i++; // 次のブロックをスキップ
+      }
+    } else {
+      remainingBlocks.push(block);
+    }
+  }
+
+  return { archivedBlock, remainingContent: remainingBlocks.join('---') };
+}
+
+/**
+ * pending.mdの内容をメンション単位に分解する
+ * front matter（id / channel / sender / timestamp / status）と本文（見出し・本文・Slackリンク）の組で1件
+ */
+function parseInboxItems(content) {
+  const blocks = (content || '').split(/^---$/m);
+  const items = [];
+
+  for (let i = 0; i < blocks.length; i++) {
+    const frontMatter = blocks[i];
+    if (!/^id: INBOX-/m.test(frontMatter)) {
+      continue;
+    }
+
+    const item = {};
+    frontMatter.split('\n').forEach(line => {
+      const match = line.match(/^(\w+):\s*(.*)$/);
+      if (match) {
+        item[match[1]] = match[2].trim();
+      }
+    });
+
+    const body = blocks[i + 1] || '';
+    const linkMatch = body.match(/\[Slack\]\(([^)]+)\)/);
+    item.text = body
+      .replace(/^###.*$/m, '')
+      .replace(/\[Slack\]\([^)]+\)/, '')
+      .trim();
+    item.slackLink = linkMatch ? linkMatch[1] : null;
+
+    items.push(item);
+    i++; // 本文ブロックをスキップ
+  }
+
+  return items;
+}
 
 class GitHubIntegration {
   constructor(token = process.env.GITHUB_TOKEN, options = {}) {
@@ -15,6 +95,13 @@ class GitHubIntegration {
 
     // Airtable Sync（オプション: 無効化可能）
     this.airtableSync = options.disableAirtableSync ? null : (options.airtableSync || new AirtableTaskSync());
+
+    // 議事録の伏せ字の対応表の保存先（省略時は pii-redaction の既定）
+    this.redactionRepository = options.redactionRepository || null;
+
+    // 同時コミット競合時のリトライ設定
+    this.maxCommitAttempts = options.maxCommitAttempts || DEFAULT_MAX_COMMIT_ATTEMPTS;
+    this.commitRetryBaseDelayMs = options.commitRetryBaseDelayMs ?? DEFAULT_COMMIT_RETRY_BASE_DELAY_MS;
   }
 
   /**
@@ -32,6 +119,9 @@ class GitHubIntegration {
    * @param {string} params.transcript - トランスクリプト（原文）
    * @param {string} params.minutes - 議事録（AI生成）
    * @param {string} params.summary - 要約
+   * @param {string} [params.fileId] - Slack ファイルID。渡すと個人情報を伏せ字にしてからコミットする（pii-redaction.js）
+   * @param {string} [params.projectId]
+   * @param {Array} [params.redactionDenyList] - プロジェクトの伏せ字リスト（顧客名など）
    * @returns {Promise<Object>} - コミット結果
    */
   async commitMeetingRecords({
@@ -43,8 +133,24 @@ class GitHubIntegration {
     baseName,
     transcript,
     minutes,
-    summary
+    summary,
+    fileId,
+    projectId,
+    redactionDenyList = []
   }) {
+    // アップロード時に伏せ字にした文字起こしに加え、プロジェクトの伏せ字リストと
+    // 生成・レビューで入った議事録・要約の個人情報もここで伏せる（対応表を保存できなければコミットしない）
+    let redactedCount = 0;
+    if (fileId) {
+      const redaction = await redactFileTexts(fileId, { transcript, minutes, summary }, {
+        denyList: redactionDenyList,
+        projectId,
+        repository: this.redactionRepository || undefined
+      });
+      ({ transcript, minutes, summary } = redaction.texts);
+      redactedCount = redaction.count;
+    }
+
     const transcriptPath = `${pathPrefix}transcripts/${dateStr}_${baseName}.txt`;
     const minutesPath = `${pathPrefix}minutes/${dateStr}_${baseName}.md`;
 
@@ -74,7 +180,7 @@ class GitHubIntegration {
         message: `Add transcript: ${dateStr}_${baseName}`
       });
     } catch (error) {
-      results.errors.push({ type: 'transcript', error: error.message });
+      results.errors.push({ type: 'transcript', error: error.message, attempts: error.attempts });
     }
 
     try {
@@ -87,7 +193,7 @@ class GitHubIntegration {
         message: `Add meeting minutes: ${dateStr}_${baseName}`
       });
     } catch (error) {
-      results.errors.push({ type: 'minutes', error: error.message });
+      results.errors.push({ type: 'minutes', error: error.message, attempts: error.attempts });
     }
 
     return {
@@ -98,6 +204,7 @@ class GitHubIntegration {
         transcript: transcriptPath,
         minutes: minutesPath
       },
+      redactedCount,
       errors: results.errors
     };
   }
@@ -129,51 +236,88 @@ ${minutes || '詳細議事録なし'}
 
   /**
    * GitHub APIでファイルを作成または更新
+   *
+   * 競合（409: SHA不一致 / 422: 新規作成がすれ違った）時はファイルを再取得してバックオフ後にリトライする。
+   * - transform を渡した場合: 最新の内容に transform を適用し直してからPUTする（追記・編集向け）
+   * - content を渡した場合: 最新SHAを取り直して同じ内容でPUTする（ファイル丸ごと書き込み向け）
+   *
+   * @param {Object} params
+   * @param {Function} [params.transform] - (currentContent, { sha, attempt }) => newContent
+   * @param {number} [params.maxAttempts] - 最大試行回数
+   * @returns {Promise<Object>} - コミット結果（attempts: 試行回数）
    */
-  async createOrUpdateFile({ owner, repo, branch, path, content, message }) {
+  async createOrUpdateFile({ owner, repo, branch, path, content, transform, message, maxAttempts = this.maxCommitAttempts }) {
     const headers = {
       'Authorization': `Bearer ${this.token}`,
       'Accept': 'application/vnd.github+json',
       'X-GitHub-Api-Version': '2022-11-28'
     };
 
-    let sha = null;
+    for (let attempt = 1; ; attempt++) {
+      let sha = null;
+      let newContent = content;
 
-    try {
-      const getResponse = await axios.get(
-        `${this.baseUrl}/repos/${owner}/${repo}/contents/${path}?ref=${branch}`,
-        { headers }
-      );
-      sha = getResponse.data.sha;
-    } catch (error) {
-      if (error.response?.status !== 404) {
-        throw error;
+      if (transform) {
+        const current = await this.getFileContent({ owner, repo, branch, path });
+        sha = current.sha;
+        newContent = transform(current.content, { sha, attempt });
+
+        // 変更がなければコミットしない（並行処理が同じ変更を先に反映した場合など）
+        if (sha && newContent === current.content) {
+          return { path, sha, commitSha: null, commitUrl: null, fileUrl: null, unchanged: true, attempts: attempt };
+        }
+      } else {
+        try {
+          const getResponse = await axios.get(
+            `${this.baseUrl}/repos/${owner}/${repo}/contents/${path}?ref=${branch}`,
+            { headers }
+          );
+          sha = getResponse.data.sha;
+        } catch (error) {
+          if (error.response?.status !== 404) {
+            throw error;
+          }
+        }
       }
-    }
 
-    const payload = {
-      message,
-      content: Buffer.from(content).toString('base64'),
-      branch
-    };
+      const payload = {
+        message,
+        content: Buffer.from(newContent).toString('base64'),
+        branch
+      };
 
-    if (sha) {
-      payload.sha = sha;
-    }
+      if (sha) {
+        payload.sha = sha;
+      }
 
-    const response = await axios.put(
-      `${this.baseUrl}/repos/${owner}/${repo}/contents/${path}`,
-      payload,
-      { headers }
-    );
+      try {
+        const response = await axios.put(
+          `${this.baseUrl}/repos/${owner}/${repo}/contents/${path}`,
+          payload,
+          { headers }
+        );
+
+        return {
+          path,
+          sha: response.data.content.sha,
+          commitSha: response.data.commit.sha,
+          commitUrl: response.data.commit.html_url,
+          fileUrl: response.data.content.html_url,
+          attempts: attempt
+        };
+      } catch (error) {
+        if (!isCommitConflict(error, sha) || attempt >= maxAttempts) {
+          if (isCommitConflict(error, sha)) {
+            error.attempts = attempt;
+          }
+          throw error;
+        }
 
-    return {
-      path,
-      sha: response.data.content.sha,
-      commitSha: response.data.commit.sha,
-      commitUrl: response.data.commit.html_url,
-      fileUrl: response.data.content.html_url
-    };
+        const delay = this.commitRetryBaseDelayMs * Math.pow(2, attempt - 1) + Math.floor(Math.random() * this.commitRetryBaseDelayMs);
+        console.warn(`GitHub commit conflict on ${path} (attempt ${attempt}/${maxAttempts}), retrying in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
   }
 
   /**
@@ -210,6 +354,34 @@ ${minutes || '詳細議事録なし'}
     }
   }
 
+  /**
+   * ディレクトリ直下のファイル一覧を取得（ディレクトリがなければ空配列）
+   * @returns {Promise<Array<{name: string, path: string, type: string}>>}
+   */
+  async listDirectory({ owner, repo, branch, path }) {
+    const headers = {
+      'Authorization': `Bearer ${this.token}`,
+      'Accept': 'application/vnd.github+json',
+      'X-GitHub-Api-Version': '2022-11-28'
+    };
+
+    try {
+      const response = await axios.get(
+        `${this.baseUrl}/repos/${owner}/${repo}/contents/${path.replace(/\/$/, '')}?ref=${branch}`,
+        { headers }
+      );
+      if (!Array.isArray(response.data)) {
+        return [];
+      }
+      return response.data.map(({ name, path: entryPath, type }) => ({ name, path: entryPath, type }));
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return [];
+      }
+      throw error;
+    }
+  }
+
   /**
    * タスクを_tasks/index.mdに追加
    * @param {Object} task - タスク情報
@@ -220,6 +392,7 @@ ${minutes || '詳細議事録なし'}
    * @param {string} task.context - コンテキスト/背景
    * @param {string} task.requester - 依頼者
    * @param {string} task.assignee_slack_id - 担当者のSlack ID
+   * @param {string} [task.requester_slack_id] - 依頼者のSlack ID
    * @param {string} slackLink - Slackメッセージへのリンク
    * @param {Object} slackContext - Slackコンテキスト情報（スレッドリマインド用）
    * @param {string} slackContext.channel_id - SlackチャンネルID
@@ -232,9 +405,6 @@ ${minutes || '詳細議事録なし'}
     const branch = 'main';
     const path = '_tasks/index.md';
 
-    // 現在のファイル内容を取得
-    const { content: currentContent, sha } = await this.getFileContent({ owner, repo, branch, path });
-
     const now = new Date();
     const dateStr = now.toISOString().split('T')[0];
 
@@ -257,15 +427,18 @@ ${minutes || '詳細議事録なし'}
     const ownerFormatted = taskOwner.replace(' ', '-').toLowerCase();
 
     // Slackコンテキストがある場合のみSlack関連フィールドを追加
+    // owner_slack_id は担当者のタスク検索に使うので、Slackコンテキストがなくても（定期タスクなど）保存する
     const hasSlackContext = slackContext && slackContext.channel_id && slackContext.thread_ts;
+    const ownerSlackIdField = task.assignee_slack_id ? `owner_slack_id: ${task.assignee_slack_id}\n` : '';
     const requesterField = task.requester ? `requester: ${task.requester.replace(/\s+/g, '-').toLowerCase()}\n` : '';
+    const requesterSlackIdField = task.requester_slack_id ? `requester_slack_id: ${task.requester_slack_id}\n` : '';
     const slackFields = hasSlackContext ? `source: slack
 channel_id: ${slackContext.channel_id}
 thread_ts: "${slackContext.thread_ts}"
 created_at: "${now.toISOString()}"
 owner_slack_id: ${task.assignee_slack_id || ''}
-${requesterField}` : `created_at: "${now.toISOString()}"
-${requesterField}`;
+${requesterField}${requesterSlackIdField}` : `created_at: "${now.toISOString()}"
+${ownerSlackIdField}${requesterField}${requesterSlackIdField}`;
 
     // タスクをYAML形式でフォーマット（新フィールド追加）
     const taskEntry = `---
@@ -289,15 +462,13 @@ ${slackLink ? `- Slack: ${slackLink}` : ''}
 `;
 
     // ファイルの先頭に追加（新しいタスクが上に来る）
-    const newContent = taskEntry + currentContent;
-
-    // コミット
+    // 競合時は最新の内容に対して追加し直す
     const result = await this.createOrUpdateFile({
       owner,
       repo,
       branch,
       path,
-      content: newContent,
+      transform: currentContent => taskEntry + currentContent,
       message: `feat: タスク追加 - ${task.title}`
     });
 
@@ -354,9 +525,6 @@ ${slackLink ? `- Slack: ${slackLink}` : ''}
     const branch = 'main';
     const path = '_inbox/pending.md';
 
-    // 現在のファイル内容を取得（存在しない場合は空）
-    const { content: currentContent, sha } = await this.getFileContent({ owner, repo, branch, path });
-
     // 日付と時刻をフォーマット
     const now = new Date();
     const dateStr = now.toISOString().split('T')[0];
@@ -383,27 +551,28 @@ ${mention.text}
 `;
 
     // ファイルの先頭に追加（新しいメンションが上に来る）
-    let newContent;
-    if (!currentContent || currentContent.trim() === '') {
-      // ファイルが空の場合はヘッダーを追加
-      newContent = `# Pending Inbox Items
+    const insertMention = (currentContent) => {
+      if (!currentContent || currentContent.trim() === '') {
+        // ファイルが空の場合はヘッダーを追加
+        return `# Pending Inbox Items
 
 <!-- AI PMが自動更新。Claude Code起動時に確認・対応を提案 -->
 
 ${mentionEntry}`;
-    } else {
+      }
+
       // 既存のヘッダーの後に追加
       const headerEnd = currentContent.indexOf('\n\n---');
       if (headerEnd > 0) {
         // ヘッダーがある場合はその後に挿入
         const header = currentContent.substring(0, headerEnd + 2);
         const rest = currentContent.substring(headerEnd + 2);
-        newContent = header + mentionEntry + rest;
-      } else {
-        // ヘッダーがない場合は先頭に追加
-        newContent = mentionEntry + currentContent;
+        return header + mentionEntry + rest;
       }
-    }
+
+      // ヘッダーがない場合は先頭に追加
+      return mentionEntry + currentContent;
+    };
 
     // コミット
     const result = await this.createOrUpdateFile({
@@ -411,7 +580,7 @@ ${mentionEntry}`;
       repo,
       branch,
       path,
-      content: newContent,
+      transform: insertMention,
       message: `inbox: @k.sato mention from #${mention.channelName}`
     });
 
@@ -422,6 +591,21 @@ ${mentionEntry}`;
     };
   }
 
+  /**
+   * _inbox/pending.md から未対応のメンションを取得
+   * @returns {Promise<Array<Object>>} - [{ id, channel, sender, timestamp, status, text, slackLink }]
+   */
+  async getPendingInboxItems() {
+    const { content } = await this.getFileContent({
+      owner: 'sintariran',
+      repo: 'brainbase',
+      branch: 'main',
+      path: '_inbox/pending.md'
+    });
+
+    return parseInboxItems(content).filter(item => item.status === 'pending');
+  }
+
   // --- Personal Tasks Methods ---
 
   /**
@@ -467,9 +651,6 @@ ${mentionEntry}`;
     const branch = 'main';
     const path = this.getPersonalTasksPath(userId);
 
-    // 現在のファイル内容を取得
-    const { content: currentContent, sha } = await this.getFileContent({ owner, repo, branch, path });
-
     // タスクIDを生成
     const now = new Date();
     const dateStr = now.toISOString().split('T')[0];
@@ -494,10 +675,10 @@ ${task.context ? `- 背景: ${task.context}` : ''}
 
 `;
 
-    let newContent;
-    if (!currentContent || currentContent.trim() === '') {
-      // ファイルが存在しない場合はテンプレートから作成
-      newContent = `# ${userId} 個人タスク
+    const insertTask = (currentContent) => {
+      if (!currentContent || currentContent.trim() === '') {
+        // ファイルが存在しない場合はテンプレートから作成
+        return `# ${userId} 個人タスク
 
 > このファイルは個人タスク専用です。Airtableには同期されません。
 > チームと共有が必要なタスクは \`_tasks/index.md\` に追加してください。
@@ -511,7 +692,8 @@ ${taskEntry}---
 ## 完了済みタスク
 
 `;
-    } else {
+      }
+
       // 「## アクティブタスク」セクションの後に追加
       const activeTasksMarker = '## アクティブタスク';
       const activeTasksIndex = currentContent.indexOf(activeTasksMarker);
@@ -523,12 +705,12 @@ ${taskEntry}---
         const nextNewline = currentContent.indexOf('\n', insertPosition);
         const finalPosition = nextNewline >= 0 ? nextNewline + 1 : insertPosition;
 
-        newContent = currentContent.slice(0, finalPosition) + '\n' + taskEntry + currentContent.slice(finalPosition);
-      } else {
-        // マーカーがない場合は先頭に追加
-        newContent = taskEntry + currentContent;
+        return currentContent.slice(0, finalPosition) + '\n' + taskEntry + currentContent.slice(finalPosition);
       }
-    }
+
+      // マーカーがない場合は先頭に追加
+      return taskEntry + currentContent;
+    };
 
     // コミット
     const result = await this.createOrUpdateFile({
@@ -536,7 +718,7 @@ ${taskEntry}---
       repo,
       branch,
       path,
-      content: newContent,
+      transform: insertTask,
       message: `personal: タスク追加 - ${task.title}`
     });
 
@@ -566,56 +748,45 @@ ${taskEntry}---
       return { success: false, error: 'Pending file not found' };
     }
 
-    // メンションIDに該当するブロックを抽出
-    const blocks = pendingContent.split(/^---$/m);
-    let archivedBlock = null;
-    const remainingBlocks = [];
-
-    for (let i = 0; i < blocks.length; i++) {
-      const block = blocks[i];
-      if (block.includes(`id: ${mentionId}`)) {
-        archivedBlock = '---' + block + '---';
-        // 次のブロック（本文）も含める
-        if (blocks[i + 1]) {
-          archivedBlock += blocks[i + 1];
-          i++; // 次のブロックをスキップ
-        }
-      } else {
-        remainingBlocks.push(block);
-      }
-    }
+    const { archivedBlock } = extractInboxBlock(pendingContent, mentionId);
 
     if (!archivedBlock) {
       return { success: false, error: 'Mention ID not found' };
     }
 
-    // archive.mdに追加
-    const { content: archiveContent } = await this.getFileContent({ owner, repo, branch, path: archivePath });
-    const newArchiveContent = (archiveContent || '# Archived Inbox Items\n\n') + archivedBlock + '\n';
-
-    // pending.mdを更新
-    const newPendingContent = remainingBlocks.join('---');
-
     // 両方のファイルを更新（順番に）
-    await this.createOrUpdateFile({
+    // 競合時はそれぞれ最新の内容に対して追加・削除をやり直す。既に反映済みならコミットしない
+    const archiveResult = await this.createOrUpdateFile({
       owner,
       repo,
       branch,
       path: archivePath,
-      content: newArchiveContent,
+      transform: (archiveContent) => {
+        if (archiveContent && archiveContent.includes(`id: ${mentionId}\n`)) {
+          return archiveContent;
+        }
+        return (archiveContent || '# Archived Inbox Items\n\n') + archivedBlock + '\n';
+      },
       message: `inbox: archive ${mentionId}`
     });
 
-    await this.createOrUpdateFile({
+    const pendingResult = await this.createOrUpdateFile({
       owner,
       repo,
       branch,
       path: pendingPath,
-      content: newPendingContent,
+      transform: (currentPending) => {
+        const { archivedBlock: block, remainingContent } = extractInboxBlock(currentPending, mentionId);
+        return block ? remainingContent : currentPending;
+      },
       message: `inbox: remove archived ${mentionId}`
     });
 
-    return { success: true, mentionId };
+    return {
+      success: true,
+      mentionId,
+      attempts: archiveResult.attempts + pendingResult.attempts
+    };
   }
 }
 
@@ -7,12 +7,15 @@ const path = require('path');
 const { processFileUpload } = require('./processFileUpload');
 const AirtableIntegration = require('./airtable-integration');
 const { HybridDeduplicationService } = require('./dynamodb-deduplication');
+const { UploadSessionStore, isStepDone } = require('./upload-session-store');
 const SlackArchive = require('./slack-archive');
 const { generateFollowupMessage, formatMinutesForSlack } = require('./llm-integration');
 const { getInstance: getConversationMemory } = require('./conversation-memory');
 const { getProjectIdByChannel } = require('./channel-project-resolver');
 const { isImageFile, downloadAndEncodeImage, analyzeImage } = require('./image-recognition');
 const { sendProposalMessage, getSlackActionHandlers } = require('./meeting-flow-integration');
+const { getTaskStore } = require('./task-store');
+const { SLACK_MESSAGE_LIMIT, SlackMessageStream } = require('./slack-message-stream');
 
 // Lambda client for async self-invocation
 const lambdaClient = new LambdaClient({ region: process.env.AWS_REGION || 'us-east-1' });
@@ -21,8 +24,8 @@ const lambdaClient = new LambdaClient({ region: process.env.AWS_REGION || 'us-ea
 const slackArchive = new SlackArchive();
 const ARCHIVE_ENABLED = process.env.SLACK_ARCHIVE_ENABLED !== 'false';
 
-// In-memory store for file data
-const fileDataStore = new Map();
+// アップロードされた議事録ファイルの処理状態（ボタン操作が別のコンテナに届いても再開できるよう DynamoDB に保存）
+const uploadSessionStore = new UploadSessionStore();
 
 // Initialize deduplication service
 const deduplicationService = new HybridDeduplicationService(console);
@@ -88,7 +91,6 @@ process.on('SIGTERM', () => {
 });
 
 // --- Slack Message Helpers ---
-const SLACK_MESSAGE_LIMIT = 35000; // Slackの上限は40000、余裕を持たせる
 
 /**
  * Slackメッセージのblocksからテキストを再帰的に抽出する
@@ -181,80 +183,20 @@ function extractTextFromBlocks(blocks) {
 
 /**
  * 長いメッセージを分割して送信する
+ * 出典があれば、最後のメッセージの下に context ブロック（リンク付き）で表示する
  * @param {Object} client - Slack client
  * @param {string} channel - チャンネルID
  * @param {string} ts - メッセージのタイムスタンプ（最初のメッセージを更新）
  * @param {string} text - 送信するテキスト
  * @param {string} threadTs - スレッドのタイムスタンプ（オプション）
+ * @param {Object} [options]
+ * @param {Array} [options.citations] - 回答で使われた出典（source-citations の selectCitedSources() の戻り値）
+ * @param {SlackMessageStream} [options.stream] - 回答を表示中のストリーム（生成中に送った続きのメッセージも書き換える）
  */
-async function sendLongMessage(client, channel, ts, text, threadTs = null) {
+async function sendLongMessage(client, channel, ts, text, threadTs = null, { citations = [], stream = null } = {}) {
   console.log(`[sendLongMessage] Text length: ${text.length}, limit: ${SLACK_MESSAGE_LIMIT}`);
-
-  // Helper: chat.updateが失敗したらpostMessageにフォールバック
-  async function safeUpdate(updateText, isFirst = true) {
-    try {
-      await client.chat.update({
-        channel,
-        ts,
-        text: updateText
-      });
-    } catch (updateErr) {
-      console.warn(`[sendLongMessage] chat.update failed (${updateErr.data?.error || updateErr.message}), falling back to postMessage`);
-      // フォールバック: 新しいメッセージとして送信
-      if (isFirst) {
-        // 最初のメッセージはプレースホルダを削除して新規投稿
-        try {
-          await client.chat.delete({ channel, ts });
-        } catch (delErr) {
-          console.warn('[sendLongMessage] Failed to delete placeholder:', delErr.message);
-        }
-      }
-      await client.chat.postMessage({
-        channel,
-        thread_ts: threadTs || ts,
-        text: updateText
-      });
-    }
-  }
-
-  // 短いメッセージはそのまま送信
-  if (text.length <= SLACK_MESSAGE_LIMIT) {
-    await safeUpdate(text);
-    return;
-  }
-
-  // 長いメッセージは分割
-  const chunks = [];
-  let remaining = text;
-
-  while (remaining.length > 0) {
-    if (remaining.length <= SLACK_MESSAGE_LIMIT) {
-      chunks.push(remaining);
-      break;
-    }
-
-    // 改行で区切れる場所を探す
-    let splitIndex = remaining.lastIndexOf('\n', SLACK_MESSAGE_LIMIT);
-    if (splitIndex === -1 || splitIndex < SLACK_MESSAGE_LIMIT * 0.5) {
-      // 改行が見つからないか遠すぎる場合は強制分割
-      splitIndex = SLACK_MESSAGE_LIMIT;
-    }
-
-    chunks.push(remaining.substring(0, splitIndex));
-    remaining = remaining.substring(splitIndex).trimStart();
-  }
-
-  // 最初のチャンクで元のメッセージを更新
-  await safeUpdate(chunks[0] + (chunks.length > 1 ? '\n\n_(続き...)_' : ''), true);
-
-  // 残りのチャンクは新しいメッセージとして送信
-  for (let i = 1; i < chunks.length; i++) {
-    await client.chat.postMessage({
-      channel,
-      thread_ts: threadTs || ts,
-      text: `_(続き ${i + 1}/${chunks.length})_\n\n${chunks[i]}`
-    });
-  }
+  const messageStream = stream || new SlackMessageStream(client, { channel, ts, threadTs });
+  await messageStream.finish(text, { citations });
 }
 
 // --- Version Logging ---
@@ -368,7 +310,7 @@ app.message(async ({ message, client, logger, event }) => {
       }
       
       logger.info(`Processing new file upload event (key: ${eventKey})`);
-      await processFileUpload(message, client, logger, fileDataStore);
+      await processFileUpload(message, client, logger, uploadSessionStore);
     } catch (error) {
       logger.error('Error in file upload processing:', error);
       
@@ -383,7 +325,7 @@ app.message(async ({ message, client, logger, event }) => {
         logger.info(`Processing new file upload event via fallback (key: ${eventKey})`);
         
         try {
-          await processFileUpload(message, client, logger, fileDataStore);
+          await processFileUpload(message, client, logger, uploadSessionStore);
         } catch (processError) {
           logger.error('Error in processFileUpload:', processError);
         }
@@ -407,6 +349,9 @@ app.action(/select_project_.*/, async ({ ack, action, body, client, logger }) =>
     // Parse action data to get project and file information
     const actionData = JSON.parse(action.value);
     const { projectId, fileId, fileName, projectName, summary } = actionData;
+
+    await uploadSessionStore.updateSession(fileId, { projectId, projectName });
+    await uploadSessionStore.markStep(fileId, 'project_selected', 'done', { projectId });
     
     // Get Slack channels for the selected project (with names from DynamoDB)
     const channelInfos = await airtableIntegration.getSlackChannelsForProject(projectId, projectName, true);
@@ -437,6 +382,263 @@ app.action(/select_project_.*/, async ({ ack, action, body, client, logger }) =>
   }
 });
 
+/**
+ * 投稿先ワークスペースの Slack クライアント（トークンがなければ null）
+ */
+function getWorkspaceClient(client, workspace) {
+  if (!workspace || workspace === 'unson') {
+    return client;
+  }
+
+  let targetToken;
+  switch (workspace) {
+    case 'techknight':
+      targetToken = process.env.SLACK_BOT_TOKEN_TECHKNIGHT;
+      break;
+    case 'salestailor':
+      targetToken = process.env.SLACK_BOT_TOKEN_SALESTAILOR;
+      break;
+    default:
+      targetToken = null;
+  }
+
+  if (!targetToken) {
+    return null;
+  }
+  const { WebClient } = require('@slack/web-api');
+  return new WebClient(targetToken);
+}
+
+/**
+ * 承認された議事録をチャンネルに投稿し、GitHub にコミットする
+ * minutes_review_submit から Lambda の非同期呼び出し（minutes_review_publish_async）で実行する
+ * @param {Object} params
+ * @param {Object} params.client - 処理メッセージのワークスペースの Slack クライアント
+ * @param {Object} params.logger
+ * @param {Object} params.context - レビューの対象（buildReviewRequestBlocks() に渡したもの）
+ * @param {string} params.reviewerId - 承認した人の Slack ID
+ */
+async function publishReviewedMinutes({ client, logger, context, reviewerId }) {
+  const { buildParticipantRoster } = require('./participant-roster');
+  const { projectId, projectName, fileId, fileName, channelId, sourceChannelId, messageTs, classificationResult, githubOnly } = context;
+  const channelName = context.channelName || channelId;
+  const airtableIntegration = new AirtableIntegration();
+
+  // processFileWithProject はボタン操作の action / body を受け取る
+  const fileData = await uploadSessionStore.getSession(fileId);
+  const action = {
+    value: JSON.stringify({
+      projectId,
+      projectName,
+      fileId,
+      fileName,
+      channelId: sourceChannelId,
+      classificationResult,
+      summary: fileData?.summary
+    })
+  };
+  const body = {
+    message: { ts: messageTs },
+    channel: { id: sourceChannelId },
+    user: { id: reviewerId }
+  };
+
+  if (githubOnly) {
+    await client.chat.update({
+      channel: sourceChannelId,
+      ts: messageTs,
+      blocks: [
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: `📦 *GitHubのみモード*\n📄 ファイル: \`${fileName}\`\n📂 プロジェクト: *${projectName}*`
+          }
+        },
+        {
+          type: "divider"
+        },
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: "🔄 *GitHubコミット処理を開始中...*\n\n⏳ 承認された議事録をGitHubリポジトリにコミットしています。"
+          }
+        }
+      ],
+      text: 'GitHubコミット処理中...'
+    });
+    await airtableIntegration.processFileWithProject(action, body, client, logger, uploadSessionStore);
+    return;
+  }
+
+  const minutesData = fileData?.minutesData;
+  const targetClient = getWorkspaceClient(client, context.workspace);
+  const meetingMinutes = minutesData ? await formatMinutesForSlack(minutesData) : null;
+  let postResult;
+  if (!targetClient) {
+    postResult = { success: false, error: `ワークスペース ${context.workspace} のトークンが設定されていません` };
+  } else if (!meetingMinutes) {
+    postResult = { success: false, error: '承認された議事録が見つかりません' };
+  } else {
+    // Post meeting minutes to selected channel (summary first, then detailed minutes in thread)
+    postResult = await airtableIntegration.postMinutesToChannel(
+      targetClient,
+      channelId,
+      meetingMinutes,
+      fileName,
+      fileData.summary
+    );
+  }
+  await uploadSessionStore.markStep(fileId, 'posted', postResult.success ? 'done' : 'failed', {
+    channelId,
+    ...(postResult.success ? {} : { error: postResult.error })
+  });
+
+  if (!postResult.success) {
+    logger.error('Failed to post minutes to channel:', postResult.error);
+    await client.chat.update({
+      channel: sourceChannelId,
+      ts: messageTs,
+      blocks: [
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: `❌ *議事録投稿に失敗しました*\n\n📢 投稿先: #${channelName}\n📄 ファイル: \`${fileName}\`\n\n⚠️ エラー: ${postResult.error}`
+          }
+        },
+        {
+          type: "actions",
+          elements: [
+            {
+              type: "button",
+              text: {
+                type: "plain_text",
+                text: "← チャンネル選択に戻る"
+              },
+              action_id: "back_to_channel_selection",
+              value: JSON.stringify({
+                projectId,
+                projectName,
+                fileId,
+                fileName,
+                classificationResult,
+                summary: fileData?.summary,
+                sourceChannelId
+              })
+            }
+          ]
+        }
+      ],
+      text: '議事録投稿に失敗しました'
+    });
+    return;
+  }
+
+  // Create completion blocks with full information preserved
+  const completionBlocks = [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `📝 *アップロードされたファイル*\n📄 ファイル名: \`${fileName}\`\n📅 処理日時: ${new Date().toLocaleString('ja-JP', { timeZone: 'Asia/Tokyo' })}`
+      }
+    },
+    {
+      type: "divider"
+    }
+  ];
+
+  // Add summary if available
+  if (fileData.summary) {
+    completionBlocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `📋 *要約*\n${fileData.summary}`
+      }
+    });
+    completionBlocks.push({
+      type: "divider"
+    });
+  }
+
+  completionBlocks.push(
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `🎉 *処理完了*\n\n✅ 会議要約を #${channelName} に投稿しました\n💬 詳細議事録をスレッドに投稿しました\n⏰ 投稿時刻: ${new Date().toLocaleString('ja-JP', { timeZone: 'Asia/Tokyo' })}`
+      }
+    },
+    {
+      type: "divider"
+    },
+    {
+      type: "actions",
+      elements: [
+        {
+          type: "button",
+          style: "primary",
+          text: { type: "plain_text", text: "お礼メッセージを作成" },
+          action_id: "open_followup_modal",
+          value: JSON.stringify({
+            summary: fileData.summary || '',
+            actions: minutesData.actions || [],
+            minutes: minutesData.minutes || meetingMinutes || '',
+            projectName,
+            channelId: sourceChannelId,
+            messageTs,
+            threadTs: messageTs
+          }).slice(0, 1900) // Slack value length guard
+        }
+      ]
+    },
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: "🔄 *GitHubコミット処理を開始中...*\n\n⏳ ファイルをGitHubリポジトリにコミットしています。"
+      }
+    }
+  );
+
+  // Update original message with success confirmation
+  await client.chat.update({
+    channel: sourceChannelId,
+    ts: messageTs,
+    blocks: completionBlocks,
+    text: '議事録を投稿しました。GitHubコミット処理中...'
+  });
+
+  // Also proceed with the original GitHub workflow
+  await airtableIntegration.processFileWithProject(action, body, client, logger, uploadSessionStore);
+
+  // Send AI proposal UI for task/decision approval (Phase 4: 会議理解)
+  try {
+    const roster = fileData.roster || await buildParticipantRoster(fileData.content);
+    const today = new Date().toISOString().split('T')[0];
+    const proposalResult = await sendProposalMessage(
+      client,
+      channelId,
+      fileData.content, // 文字起こしテキスト
+      projectId,
+      projectName,
+      today,
+      minutesData.actions, // 承認されたactions（抽出したタスクと照合済み）
+      roster,
+      minutesData.decisions
+    );
+    if (proposalResult.success && !proposalResult.skipped) {
+      logger.info(`[meeting-flow] Proposal UI sent: decisions=${proposalResult.decisions}, actions=${proposalResult.actions}`);
+    }
+  } catch (proposalError) {
+    // 提案UI送信失敗は議事録投稿の成功に影響させない
+    logger.error('[meeting-flow] Failed to send proposal UI:', proposalError);
+  }
+}
+
 // Channel Selection Button Click
 app.action(/select_channel_.*/, async ({ ack, action, body, client, logger }) => {
   logger.info('=== CHANNEL SELECTION ACTION HANDLER ===');
@@ -447,9 +649,6 @@ app.action(/select_channel_.*/, async ({ ack, action, body, client, logger }) =>
   logger.info('--- Channel Selection Button Clicked ---');
   
   try {
-    const airtableIntegration = new AirtableIntegration();
-    const { generateMeetingMinutes, formatMinutesForSlack } = require('./llm-integration');
-
     // Parse action data
     const actionData = JSON.parse(action.value);
     const { projectId, channelId, fileId, fileName, summary, projectName, workspace, channelName: actionChannelName } = actionData;
@@ -458,39 +657,19 @@ app.action(/select_channel_.*/, async ({ ack, action, body, client, logger }) =>
     let channelName = actionChannelName || channelId;
     const targetWorkspace = workspace || 'unson';
 
-    // Get workspace-specific client for crosspost
-    const { WebClient } = require('@slack/web-api');
-    let targetClient = client;
-
-    if (targetWorkspace !== 'unson') {
-      let targetToken;
-      switch (targetWorkspace) {
-        case 'techknight':
-          targetToken = process.env.SLACK_BOT_TOKEN_TECHKNIGHT;
-          break;
-        case 'salestailor':
-          targetToken = process.env.SLACK_BOT_TOKEN_SALESTAILOR;
-          break;
-        default:
-          targetToken = null;
-      }
-
-      if (!targetToken) {
-        logger.error(`No token found for workspace: ${targetWorkspace}`);
-        await client.chat.update({
-          channel: body.channel.id,
-          ts: body.message.ts,
-          text: `❌ ワークスペース *${targetWorkspace}* のトークンが設定されていません。`,
-          blocks: [{
-            type: "section",
-            text: { type: "mrkdwn", text: `❌ ワークスペース *${targetWorkspace}* のトークンが設定されていません。環境変数を確認してください。` }
-          }]
-        });
-        return;
-      }
-
-      targetClient = new WebClient(targetToken);
-      logger.info(`Using ${targetWorkspace} token for crosspost to #${channelName}`);
+    // 投稿は承認後だが、ワークスペースのトークンがなければ先に知らせる
+    if (!getWorkspaceClient(client, targetWorkspace)) {
+      logger.error(`No token found for workspace: ${targetWorkspace}`);
+      await client.chat.update({
+        channel: body.channel.id,
+        ts: body.message.ts,
+        text: `❌ ワークスペース *${targetWorkspace}* のトークンが設定されていません。`,
+        blocks: [{
+          type: "section",
+          text: { type: "mrkdwn", text: `❌ ワークスペース *${targetWorkspace}* のトークンが設定されていません。環境変数を確認してください。` }
+        }]
+      });
+      return;
     }
 
     // If no channel name from action, try to get from API (only works for same workspace)
@@ -551,8 +730,8 @@ app.action(/select_channel_.*/, async ({ ack, action, body, client, logger }) =>
       text: '議事録を生成中...'
     });
     
-    // Get file content from store
-    let fileData = fileDataStore.get(fileId) || fileDataStore.get(`${fileId}_${body.channel.id}`);
+    // Get file content from the upload session
+    let fileData = await uploadSessionStore.getSession(fileId);
     
     if (!fileData || !fileData.content) {
       logger.info('File content not found in store, attempting to re-download from Slack');
@@ -584,35 +763,15 @@ app.action(/select_channel_.*/, async ({ ack, action, body, client, logger }) =>
           text: 'ファイルを取得中...'
         });
 
-        // Re-download file from Slack
-        const fileInfo = await client.files.info({ file: fileId });
-        let fileContent = null;
-        
-        if (fileInfo.file.content) {
-          fileContent = fileInfo.file.content;
-        } else if (fileInfo.file.url_private_download) {
-          const axios = require('axios');
-          const response = await axios.get(fileInfo.file.url_private_download, {
-            headers: {
-              'Authorization': `Bearer ${process.env.SLACK_BOT_TOKEN}`
-            },
-            responseType: 'text',
-            timeout: 30000
-          });
-          fileContent = response.data;
-        }
-        
-        if (!fileContent) {
-          throw new Error('ファイルコンテンツの取得に失敗しました');
-        }
+        // Re-download file from Slack (VTT / DOCX / PDF などもプレーンテキストにそろえ、個人情報は伏せ字にする)
+        const { downloadRedactedTranscript } = require('./pii-redaction');
+        const { text: fileContent } = await downloadRedactedTranscript(client, fileId);
         
         // Store the retrieved file data
-        fileData = {
+        fileData = await uploadSessionStore.updateSession(fileId, {
           content: fileContent,
           fileName: fileName
-        };
-        fileDataStore.set(fileId, fileData);
-        fileDataStore.set(`${fileId}_${body.channel.id}`, fileData);
+        });
         
         logger.info('Successfully re-downloaded file content from Slack');
         
@@ -636,12 +795,15 @@ app.action(/select_channel_.*/, async ({ ack, action, body, client, logger }) =>
       }
     }
     
-    // Generate meeting minutes with brainbase context
-    const minutesData = await generateMeetingMinutes(fileData.content, projectName);
-    // Format for Slack with mentions
-    const meetingMinutes = await formatMinutesForSlack(minutesData);
+    // 同じプロジェクトで生成済みの議事録があれば再利用する（チャンネルを選び直したときなど）
+    const minutesData = await new AirtableIntegration().generateMinutesForReview(
+      fileData,
+      { projectId, projectName },
+      logger,
+      uploadSessionStore
+    );
 
-    if (!meetingMinutes) {
+    if (!minutesData) {
       logger.error('Failed to generate meeting minutes');
       await client.chat.update({
         channel: body.channel.id,
@@ -668,12 +830,15 @@ app.action(/select_channel_.*/, async ({ ack, action, body, client, logger }) =>
                 value: JSON.stringify({
                   projectId,
                   channelId,
+                  channelName,
+                  workspace: targetWorkspace,
                   fileId,
                   fileName,
                   summary,
                   projectName,
                   messageTs: body.message.ts,
-                  sourceChannelId: body.channel.id
+                  sourceChannelId: body.channel.id,
+                  classificationResult: actionData.classificationResult
                 })
               }
             ]
@@ -683,201 +848,30 @@ app.action(/select_channel_.*/, async ({ ack, action, body, client, logger }) =>
       });
       return;
     }
-    
-    // Show that minutes are being posted
+
+    // 承認されるまで投稿・コミットはしない（minutes_review_open → minutes_review_submit）
+    const { buildReviewRequestBlocks } = require('./minutes-review-ui');
     await client.chat.update({
       channel: body.channel.id,
       ts: body.message.ts,
-      blocks: [
-        {
-          type: "section",
-          text: {
-            type: "mrkdwn",
-            text: `✅ *議事録生成完了*\n📢 投稿先: #${channelName}\n📄 ファイル: \`${fileName}\``
-          }
-        },
-        {
-          type: "divider"
-        },
-        {
-          type: "section",
-          text: {
-            type: "mrkdwn",
-            text: "📤 *議事録を投稿中...*\n\n⏳ 指定されたチャネルに議事録を投稿しています。"
-          }
-        }
-      ],
-      text: '議事録を投稿中...'
+      blocks: buildReviewRequestBlocks({
+        fileId,
+        fileName,
+        projectId,
+        projectName,
+        channelId,
+        channelName,
+        workspace: targetWorkspace,
+        sourceChannelId: body.channel.id,
+        messageTs: body.message.ts,
+        classificationResult: actionData.classificationResult
+      }, minutesData),
+      text: '議事録を生成しました。確認して承認してください。'
     });
-    
-    // Post meeting minutes to selected channel (summary first, then detailed minutes in thread)
-    // Use targetClient for crosspost to different workspace
-    const postResult = await airtableIntegration.postMinutesToChannel(
-      targetClient,
-      channelId,
-      meetingMinutes,
-      fileName,
-      summary || fileData.summary // Use summary from action data first, then fallback to fileData
-    );
-    
-    if (postResult.success) {
-      // Create completion blocks with full information preserved
-      const completionBlocks = [
-        {
-          type: "section",
-          text: {
-            type: "mrkdwn",
-            text: `📝 *アップロードされたファイル*\n📄 ファイル名: \`${fileName}\`\n📅 処理日時: ${new Date().toLocaleString('ja-JP', { timeZone: 'Asia/Tokyo' })}`
-          }
-        },
-        {
-          type: "divider"
-        }
-      ];
-
-      // Add summary if available
-      const useSummary = summary || fileData.summary;
-      if (useSummary) {
-        completionBlocks.push({
-          type: "section",
-          text: {
-            type: "mrkdwn",
-            text: `📋 *要約*\n${useSummary}`
-          }
-        });
-        completionBlocks.push({
-          type: "divider"
-        });
-      }
-
-      completionBlocks.push(
-        {
-          type: "section",
-          text: {
-            type: "mrkdwn",
-            text: `🎉 *処理完了*\n\n✅ 会議要約を #${channelName} に投稿しました\n💬 詳細議事録をスレッドに投稿しました\n⏰ 投稿時刻: ${new Date().toLocaleString('ja-JP', { timeZone: 'Asia/Tokyo' })}`
-          }
-        },
-        {
-          type: "divider"
-        },
-        {
-          type: "actions",
-          elements: [
-            {
-              type: "button",
-              style: "primary",
-              text: { type: "plain_text", text: "お礼メッセージを作成" },
-              action_id: "open_followup_modal",
-              value: JSON.stringify({
-                summary: summary || fileData.summary || '',
-                actions: minutesData?.actions || [],
-                minutes: minutesData?.minutes || meetingMinutes || '',
-                projectName,
-                channelId: body.channel.id,
-                messageTs: body.message.ts,
-                threadTs: body.message.thread_ts || body.message.ts
-              }).slice(0, 1900) // Slack value length guard
-            }
-          ]
-        },
-        {
-          type: "section",
-          text: {
-            type: "mrkdwn",
-            text: "🔄 *GitHubコミット処理を開始中...*\n\n⏳ ファイルをGitHubリポジトリにコミットしています。"
-          }
-        }
-      );
-
-      // Update original message with success confirmation
-      await client.chat.update({
-        channel: body.channel.id,
-        ts: body.message.ts,
-        blocks: completionBlocks,
-        text: '議事録を投稿しました。GitHubコミット処理中...'
-      });
-      
-      // Also proceed with the original GitHub workflow
-      await airtableIntegration.processFileWithProject(
-        {
-          ...action,
-          value: JSON.stringify({
-            projectId,
-            projectName,
-            fileId,
-            fileName,
-            channelId: body.channel.id,
-            classificationResult: actionData.classificationResult
-          })
-        },
-        body,
-        client,
-        logger,
-        fileDataStore
-      );
-
-      // Send AI proposal UI for task/decision approval (Phase 4: 会議理解)
-      try {
-        const today = new Date().toISOString().split('T')[0];
-        const proposalResult = await sendProposalMessage(
-          client,
-          channelId,
-          fileData.content, // 文字起こしテキスト
-          projectId,
-          projectName,
-          today,
-          minutesData?.actions // 既存の抽出済みactions
-        );
-        if (proposalResult.success && !proposalResult.skipped) {
-          logger.info(`[meeting-flow] Proposal UI sent: decisions=${proposalResult.decisions}, actions=${proposalResult.actions}`);
-        }
-      } catch (proposalError) {
-        // 提案UI送信失敗は議事録投稿の成功に影響させない
-        logger.error('[meeting-flow] Failed to send proposal UI:', proposalError);
-      }
-    } else {
-      logger.error('Failed to post minutes to channel:', postResult.error);
-      await client.chat.update({
-        channel: body.channel.id,
-        ts: body.message.ts,
-        blocks: [
-          {
-            type: "section",
-            text: {
-              type: "mrkdwn",
-              text: `❌ *議事録投稿に失敗しました*\n\n📢 投稿先: #${channelName}\n📄 ファイル: \`${fileName}\`\n\n⚠️ エラー: ${postResult.error}`
-            }
-          },
-          {
-            type: "actions",
-            elements: [
-              {
-                type: "button",
-                text: {
-                  type: "plain_text",
-                  text: "← チャンネル選択に戻る"
-                },
-                action_id: "back_to_channel_selection",
-                value: JSON.stringify({
-                  projectId,
-                  projectName,
-                  fileId,
-                  fileName,
-                  classificationResult: actionData.classificationResult,
-                  summary,
-                  sourceChannelId: body.channel.id
-                })
-              }
-            ]
-          }
-        ],
-        text: '議事録投稿に失敗しました'
-      });
-    }
   } catch (error) {
     logger.error('Error processing channel selection:', error);
 
+
     // Try to parse action data for back button
     let backButtonBlock = [];
     try {
@@ -938,20 +932,259 @@ app.action('skip_channel_github_only', async ({ ack, action, body, client, logge
   try {
     const airtableIntegration = new AirtableIntegration();
 
-    // Parse action data
-    const actionData = JSON.parse(action.value);
-    const { projectId, projectName, fileId, fileName, summary } = actionData;
+    // Parse action data
+    const actionData = JSON.parse(action.value);
+    const { projectId, projectName, fileId, fileName } = actionData;
+
+    // Show processing message
+    await client.chat.update({
+      channel: body.channel.id,
+      ts: body.message.ts,
+      blocks: [
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: `📦 *GitHubのみモード*\n📄 ファイル: \`${fileName}\`\n📂 プロジェクト: *${projectName}*`
+          }
+        },
+        {
+          type: "divider"
+        },
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: "🤖 *議事録を生成中...*\n\n⏳ Slackへの投稿はスキップします。確認後にGitHubリポジトリにコミットします。"
+          }
+        }
+      ],
+      text: '議事録を生成中...'
+    });
+
+    let fileData = await uploadSessionStore.getSession(fileId);
+    if (!fileData || !fileData.content) {
+      logger.info('File content not found in store, attempting to re-download from Slack');
+      const { downloadRedactedTranscript } = require('./pii-redaction');
+      const { text: fileContent } = await downloadRedactedTranscript(client, fileId);
+      fileData = await uploadSessionStore.updateSession(fileId, { content: fileContent, fileName });
+    }
+
+    const minutesData = await airtableIntegration.generateMinutesForReview(
+      fileData,
+      { projectId, projectName },
+      logger,
+      uploadSessionStore
+    );
+    if (!minutesData) {
+      throw new Error('議事録の生成に失敗しました');
+    }
+
+    // 承認されるまでコミットはしない
+    const { buildReviewRequestBlocks } = require('./minutes-review-ui');
+    await client.chat.update({
+      channel: body.channel.id,
+      ts: body.message.ts,
+      blocks: buildReviewRequestBlocks({
+        fileId,
+        fileName,
+        projectId,
+        projectName,
+        sourceChannelId: body.channel.id,
+        messageTs: body.message.ts,
+        classificationResult: actionData.classificationResult,
+        githubOnly: true
+      }, minutesData),
+      text: '議事録を生成しました。確認して承認してください。'
+    });
+  } catch (error) {
+    logger.error('Error processing GitHub-only action:', error);
+    await client.chat.update({
+      channel: body.channel.id,
+      ts: body.message.ts,
+      blocks: [
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: "❌ *処理中にエラーが発生しました*\n\n議事録の生成でエラーが発生しました。しばらく待ってから再度お試しください。"
+          }
+        }
+      ],
+      text: '処理中にエラーが発生しました'
+    });
+  }
+});
+
+// 議事録のレビュー: モーダルを開く
+app.action('minutes_review_open', async ({ ack, action, body, client, logger }) => {
+  await ack();
+  logger.info('=== MINUTES REVIEW OPEN ===');
+
+  try {
+    const { splitMinutesIntoSections, formatActionsForEditing } = require('./minutes-review');
+    const { buildMinutesReviewView } = require('./minutes-review-ui');
+
+    const context = JSON.parse(action.value);
+    const fileData = await uploadSessionStore.getSession(context.fileId);
+    if (!fileData || !fileData.minutesData) {
+      await client.chat.postEphemeral({
+        channel: body.channel.id,
+        user: body.user.id,
+        text: '❌ 議事録が見つかりませんでした。チャンネル選択からやり直してください。'
+      });
+      return;
+    }
+
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: buildMinutesReviewView({
+        context,
+        sections: splitMinutesIntoSections(fileData.minutesData.minutes),
+        actionsText: formatActionsForEditing(fileData.minutesData.actions)
+      })
+    });
+  } catch (error) {
+    logger.error('Error opening minutes review:', error);
+    await client.chat.postEphemeral({
+      channel: body.channel.id,
+      user: body.user.id,
+      text: `❌ 議事録の確認画面を開けませんでした: ${error.message}`
+    });
+  }
+});
+
+// 議事録のレビュー: セクションを指示に沿って再生成する
+app.action(/^minutes_review_regenerate_\d+$/, async ({ ack, action, body, client, logger }) => {
+  await ack();
+
+  const { splitMinutesIntoSections, joinMinutesSections } = require('./minutes-review');
+  const { buildMinutesReviewView, getReviewValuesFromView, MINUTES_REVIEW_REGENERATE_PREFIX } = require('./minutes-review-ui');
+  const { regenerateMinutesSection } = require('./llm-integration');
+
+  const index = Number(action.action_id.slice(MINUTES_REVIEW_REGENERATE_PREFIX.length));
+  const { context: metadata, sections, actionsText, instruction } = getReviewValuesFromView(body.view);
+  const { revision = 0, ...context } = metadata;
+  const updateView = (view) => client.views.update({ view_id: body.view.id, view });
+
+  try {
+    if (!instruction) {
+      await updateView(buildMinutesReviewView({
+        context, sections, actionsText, revision,
+        notice: '⚠️ 再生成の指示を入力してから「再生成」を押してください。'
+      }));
+      return;
+    }
+
+    await updateView(buildMinutesReviewView({
+      context, sections, actionsText, revision,
+      notice: `🔄 セクション ${index + 1} を再生成しています...`
+    }));
+
+    const fileData = await uploadSessionStore.getSession(context.fileId);
+    const rewritten = await regenerateMinutesSection({
+      section: sections[index],
+      instruction,
+      minutes: joinMinutesSections(sections),
+      transcript: fileData?.content,
+      projectName: context.projectName
+    });
+
+    if (!rewritten) {
+      await updateView(buildMinutesReviewView({
+        context, sections, actionsText, revision,
+        notice: `❌ セクション ${index + 1} の再生成に失敗しました。もう一度お試しください。`
+      }));
+      return;
+    }
+
+    // 再生成の指示と結果はレビュー結果と一緒に保存する（プロンプト改善用）
+    await uploadSessionStore.updateSession(context.fileId, {
+      reviewRegenerations: [
+        ...(fileData?.reviewRegenerations || []),
+        { section: index, instruction, before: sections[index], after: rewritten, at: new Date().toISOString() }
+      ]
+    });
+
+    const regenerated = [
+      ...sections.slice(0, index),
+      ...splitMinutesIntoSections(rewritten),
+      ...sections.slice(index + 1)
+    ];
+    await updateView(buildMinutesReviewView({
+      context,
+      sections: regenerated,
+      actionsText,
+      revision: revision + 1,
+      notice: `✅ セクション ${index + 1} を再生成しました。内容を確認してください。`
+    }));
+  } catch (error) {
+    logger.error('Error regenerating minutes section:', error);
+  }
+});
+
+// 議事録のレビュー: 承認した版を保存して投稿・コミットする
+app.view('minutes_review_submit', async ({ ack, body, view, client, logger }) => {
+  logger.info('=== MINUTES REVIEW SUBMIT ===');
+  const { joinMinutesSections, parseEditedActions, buildMinutesDiff, MinutesReviewRepository } = require('./minutes-review');
+  const { getReviewValuesFromView, getSectionBlockId } = require('./minutes-review-ui');
+
+  const { context: metadata, sections, actionsText } = getReviewValuesFromView(view);
+  const { revision = 0, ...context } = metadata;
+  const minutes = joinMinutesSections(sections);
+
+  if (!minutes) {
+    await ack({
+      response_action: 'errors',
+      errors: { [getSectionBlockId(0, revision)]: '議事録が空です。' }
+    });
+    return;
+  }
+  await ack();
+
+  const { fileId, fileName, projectId, projectName, sourceChannelId, messageTs } = context;
+  const reviewerId = body.user.id;
+
+  try {
+    const fileData = await uploadSessionStore.getSession(fileId);
+    const generated = fileData?.minutesData || { minutes: '', actions: [] };
+    const approved = {
+      ...generated,
+      minutes,
+      actions: parseEditedActions(actionsText, generated.actions)
+    };
+    const diff = buildMinutesDiff(generated, approved);
+
+    try {
+      await new MinutesReviewRepository().saveReview({
+        fileId,
+        projectId,
+        projectName,
+        reviewerId,
+        generated,
+        approved,
+        regenerations: fileData?.reviewRegenerations || []
+      });
+    } catch (error) {
+      // 差分が残せなくても投稿・コミットは止めない
+      logger.warn('Failed to save minutes review:', error.message);
+    }
+
+    await uploadSessionStore.updateSession(fileId, {
+      minutesData: approved,
+      minutesReview: { projectId, reviewerId, reviewedAt: new Date().toISOString(), changed: diff.changed }
+    });
+    await uploadSessionStore.markStep(fileId, 'reviewed', 'done', { reviewerId, changed: diff.changed });
 
-    // Show processing message
     await client.chat.update({
-      channel: body.channel.id,
-      ts: body.message.ts,
+      channel: sourceChannelId,
+      ts: messageTs,
       blocks: [
         {
           type: "section",
           text: {
             type: "mrkdwn",
-            text: `📦 *GitHubのみモード*\n📄 ファイル: \`${fileName}\`\n📂 プロジェクト: *${projectName}*`
+            text: `✅ *議事録を承認しました*（<@${reviewerId}>${diff.changed ? '・編集あり' : ''}）\n📄 ファイル: \`${fileName}\``
           }
         },
         {
@@ -961,48 +1194,33 @@ app.action('skip_channel_github_only', async ({ ack, action, body, client, logge
           type: "section",
           text: {
             type: "mrkdwn",
-            text: "🔄 *GitHubコミット処理を開始中...*\n\n⏳ Slackへの投稿をスキップし、GitHubリポジトリに直接コミットしています。"
+            text: context.githubOnly
+              ? "🔄 *GitHubコミット処理を開始中...*"
+              : "📤 *議事録を投稿中...*\n\n⏳ 指定されたチャネルに議事録を投稿しています。"
           }
         }
       ],
-      text: 'GitHubコミット処理中...'
+      text: '議事録を承認しました'
     });
 
-    // Proceed directly with GitHub workflow (skip channel posting)
-    await airtableIntegration.processFileWithProject(
-      {
-        ...action,
-        value: JSON.stringify({
-          projectId,
-          projectName,
-          fileId,
-          fileName,
-          channelId: body.channel.id,
-          classificationResult: actionData.classificationResult,
-          summary: summary
-        })
-      },
-      body,
-      client,
-      logger,
-      fileDataStore
-    );
-
+    // 投稿・コミットは時間がかかるので Lambda を非同期で呼び出して続ける
+    try {
+      await lambdaClient.send(new InvokeCommand({
+        FunctionName: process.env.AWS_LAMBDA_FUNCTION_NAME,
+        InvocationType: 'Event', // async - don't wait
+        Payload: JSON.stringify({ type: 'minutes_review_publish_async', context, reviewerId })
+      }));
+      logger.info('Minutes review publish async Lambda invoked');
+    } catch (invokeError) {
+      logger.warn('Failed to invoke async Lambda, publishing inline:', invokeError.message);
+      await publishReviewedMinutes({ client, logger, context, reviewerId });
+    }
   } catch (error) {
-    logger.error('Error processing GitHub-only action:', error);
-    await client.chat.update({
-      channel: body.channel.id,
-      ts: body.message.ts,
-      blocks: [
-        {
-          type: "section",
-          text: {
-            type: "mrkdwn",
-            text: "❌ *処理中にエラーが発生しました*\n\nGitHubへのコミット処理でエラーが発生しました。しばらく待ってから再度お試しください。"
-          }
-        }
-      ],
-      text: '処理中にエラーが発生しました'
+    logger.error('Error submitting minutes review:', error);
+    await client.chat.postEphemeral({
+      channel: sourceChannelId,
+      user: reviewerId,
+      text: `❌ 議事録の承認処理でエラーが発生しました: ${error.message}`
     });
   }
 });
@@ -1382,16 +1600,64 @@ app.view('followup_modal_result', async ({ ack, body, view, client, logger }) =>
   }
 });
 
+// 話者の確認（アップロードした人へのエフェメラルメッセージ）
+app.action(/^roster_speaker_\d+$/, async ({ ack }) => {
+  // 選択状態は確定ボタンを押したときにまとめて読む
+  await ack();
+});
+
+app.action('roster_confirm', async ({ ack, action, body, client, respond, logger }) => {
+  await ack();
+
+  try {
+    const { getMembersMapping } = require('./slack-name-resolver');
+    const { buildParticipantRoster, buildMemberDirectory, applySpeakerSelections } = require('./participant-roster');
+    const { getSpeakerSelectionsFromState, buildRosterSummaryBlocks } = require('./participant-roster-ui');
+
+    const { fileId, channelId } = JSON.parse(action.value);
+    let fileData = await uploadSessionStore.getSession(fileId);
+
+    if (!fileData || !fileData.content) {
+      logger.info('File content not found in store during roster confirmation, attempting to re-download from Slack');
+      const { downloadRedactedTranscript } = require('./pii-redaction');
+      const { text, fileName } = await downloadRedactedTranscript(client, fileId);
+      fileData = await uploadSessionStore.updateSession(fileId, { fileName, channelId, content: text });
+    }
+
+    const mapping = await getMembersMapping();
+    const currentRoster = fileData.roster || await buildParticipantRoster(fileData.content, { mapping });
+    const roster = applySpeakerSelections(
+      currentRoster,
+      getSpeakerSelectionsFromState(body.state?.values, currentRoster),
+      buildMemberDirectory(mapping)
+    );
+    // 名簿が変わったので、生成済みの議事録は使わずに作り直す
+    await uploadSessionStore.updateSession(fileId, { roster, minutesData: null });
+    logger.info(`Participant roster confirmed for file ${fileId}`);
+
+    await respond({
+      replace_original: true,
+      blocks: buildRosterSummaryBlocks(roster),
+      text: '話者を確定しました'
+    });
+  } catch (error) {
+    logger.error('Error confirming participant roster:', error);
+    await respond({
+      replace_original: false,
+      text: `❌ 話者の確定に失敗しました: ${error.message}`
+    });
+  }
+});
+
 // Retry meeting minutes generation
 app.action('retry_generate_minutes', async ({ ack, action, body, client, logger }) => {
   await ack();
 
   try {
     const airtableIntegration = new AirtableIntegration();
-    const { generateMeetingMinutes, formatMinutesForSlack } = require('./llm-integration');
 
     const actionData = JSON.parse(action.value || '{}');
-    const { projectId, channelId, fileId, fileName, summary, projectName, messageTs, sourceChannelId } = actionData;
+    const { projectId, channelId, channelName, workspace, fileId, fileName, projectName, messageTs, sourceChannelId } = actionData;
 
     // Fallbacks
     const updateChannel = sourceChannelId || body.channel.id;
@@ -1414,82 +1680,46 @@ app.action('retry_generate_minutes', async ({ ack, action, body, client, logger
     });
 
     // Ensure file data is available
-    let fileData = fileDataStore.get(fileId) || fileDataStore.get(`${fileId}_${updateChannel}`);
+    let fileData = await uploadSessionStore.getSession(fileId);
 
     if (!fileData || !fileData.content) {
       logger.info('File content not found in store during retry, attempting to re-download from Slack');
 
-      const fileInfo = await client.files.info({ file: fileId });
-      let fileContent = null;
-
-      if (fileInfo.file.content) {
-        fileContent = fileInfo.file.content;
-      } else if (fileInfo.file.url_private_download) {
-        const axios = require('axios');
-        const response = await axios.get(fileInfo.file.url_private_download, {
-          headers: { 'Authorization': `Bearer ${process.env.SLACK_BOT_TOKEN}` },
-          responseType: 'text',
-          timeout: 30000
-        });
-        fileContent = response.data;
-      }
-
-      if (!fileContent) {
-        throw new Error('ファイルコンテンツの再取得に失敗しました');
-      }
-
-      fileData = { content: fileContent, fileName: fileName };
-      fileDataStore.set(fileId, fileData);
-      fileDataStore.set(`${fileId}_${updateChannel}`, fileData);
-    }
-
-    const minutesData = await generateMeetingMinutes(fileData.content, projectName);
-    const meetingMinutes = await formatMinutesForSlack(minutesData);
+      const { downloadRedactedTranscript } = require('./pii-redaction');
+      const { text: fileContent } = await downloadRedactedTranscript(client, fileId);
 
-    if (!meetingMinutes) {
-      throw new Error('再試行でも議事録生成に失敗しました');
+      fileData = await uploadSessionStore.updateSession(fileId, { content: fileContent, fileName: fileName });
     }
 
-    // Post minutes to selected channel
-    const postResult = await airtableIntegration.postMinutesToChannel(
-      client,
-      channelId,
-      meetingMinutes,
-      fileName,
-      summary || fileData.summary
+    const minutesData = await airtableIntegration.generateMinutesForReview(
+      fileData,
+      { projectId, projectName, regenerate: true },
+      logger,
+      uploadSessionStore
     );
-
-    if (!postResult.success) {
-      throw new Error('議事録の投稿に失敗しました');
+    if (!minutesData) {
+      throw new Error('再試行でも議事録生成に失敗しました');
     }
 
-    // Update status with success
-    const channelName = channelId;
+    // 承認されるまで投稿・コミットはしない
+    const { buildReviewRequestBlocks } = require('./minutes-review-ui');
     await client.chat.update({
       channel: updateChannel,
       ts: updateTs,
-      blocks: [
-        {
-          type: "section",
-          text: {
-            type: "mrkdwn",
-            text: `✅ *議事録生成完了*\n📢 投稿先: <#${channelId}>\n📄 ファイル: \`${fileName}\``
-          }
-        },
-        {
-          type: "divider"
-        },
-        {
-          type: "section",
-          text: {
-            type: "mrkdwn",
-            text: "📤 *議事録を投稿しました。*"
-          }
-        }
-      ],
-      text: '議事録生成完了'
+      blocks: buildReviewRequestBlocks({
+        fileId,
+        fileName,
+        projectId,
+        projectName,
+        channelId,
+        channelName: channelName || channelId,
+        workspace: workspace || 'unson',
+        sourceChannelId: updateChannel,
+        messageTs: updateTs,
+        classificationResult: actionData.classificationResult
+      }, minutesData),
+      text: '議事録を生成しました。確認して承認してください。'
     });
-
   } catch (error) {
     logger.error('Retry generate minutes failed:', error);
 
@@ -1559,15 +1789,13 @@ app.action('change_project_selection', async ({ ack, action, body, client, logge
     // プロジェクト一覧を取得
     const projects = await airtableIntegration.getProjects();
     
-    // ファイルデータを復元してfileDataStoreに保存
-    const fileData = {
+    // ファイルデータを復元してセッションに保存（文字起こしなど保存済みの項目は残す）
+    const fileData = await uploadSessionStore.updateSession(fileId, {
       fileName: fileName,
       channelId: channelId,
       classificationResult: classificationResult,
       summary: summary
-    };
-    fileDataStore.set(fileId, fileData);
-    fileDataStore.set(`${fileId}_${channelId}`, fileData);
+    });
     
     // プロジェクト選択画面を表示
     const newBlocks = airtableIntegration.createProjectSelectionBlocks(
@@ -1614,8 +1842,8 @@ app.action('retry_file_processing', async ({ ack, action, body, client, logger }
 
     logger.info(`Retrying file processing for: ${fileName} (${fileId})`);
 
-    // Get file data from store
-    const fileData = fileDataStore.get(fileId);
+    // Get file data from the upload session
+    const fileData = await uploadSessionStore.getSession(fileId);
     if (!fileData || !fileData.content) {
       logger.error(`File data or content not found for file ID: ${fileId}`);
       await client.chat.postMessage({
@@ -1646,7 +1874,7 @@ app.action('retry_file_processing', async ({ ack, action, body, client, logger }
     };
 
     // Re-run processFileUpload
-    await processFileUpload(reconstructedMessage, client, logger, fileDataStore);
+    await processFileUpload(reconstructedMessage, client, logger, uploadSessionStore);
 
   } catch (error) {
     logger.error('Error retrying file processing:', error);
@@ -1684,17 +1912,13 @@ app.action('reselect_project_for_recommit', async ({ ack, action, body, client,
       return;
     }
 
-    // Create file data object
-    const fileData = {
+    // Store file data (for later retrieval). 文字起こしなど保存済みの項目は残す
+    const fileData = await uploadSessionStore.updateSession(fileId, {
       fileName: fileName,
       summary: summary,
       channelId: body.channel.id,
       classificationResult: {}
-    };
-
-    // Store file data (for later retrieval)
-    fileDataStore.set(fileId, fileData);
-    fileDataStore.set(`${fileId}_${body.channel.id}`, fileData);
+    });
 
     // Create project selection blocks with previous commits info
     const blocks = [];
@@ -2182,7 +2406,6 @@ app.event('app_mention', async ({ event, client, logger, context }) => {
 
   try {
     const { extractTasksFromMessage } = require('./llm-integration');
-    const GitHubIntegration = require('./github-integration');
     const { getSlackIdToBrainbaseName } = require('./slack-name-resolver');
 
     // メンションを抽出
@@ -2200,11 +2423,17 @@ app.event('app_mention', async ({ event, client, logger, context }) => {
     // メンションを除去したテキスト
     const cleanedText = event.text.replace(/<@[A-Z0-9]+>/g, '').trim();
 
+    // --- タスクのスレッド内コマンド（@mana 完了 / @mana 来週金曜に延期 など） ---
+    // タスクに紐づくスレッドでなければ通常の質問・タスク登録として処理を続ける
+    if (event.thread_ts && await handleTaskThreadCommand({ event, client, logger, cleanedText, mentionedUserIds: assigneeMentions })) {
+      return;
+    }
+
     if (!cleanedText || cleanedText.length < 3) {
       await client.chat.postMessage({
         channel: event.channel,
         thread_ts: event.ts,
-        text: '💭 何かお手伝いできることはありますか？\n\n• 質問: `@mana 〇〇について教えて`\n• タスク登録: `@mana @担当者 〇〇をお願い`'
+        text: '💭 何かお手伝いできることはありますか？\n\n• 質問: `@mana 〇〇について教えて`\n• タスク登録: `@mana @担当者 〇〇をお願い`\n• タスク操作（タスクのスレッド内）: `@mana 完了` / `@mana 来週金曜に延期` / `@mana @担当者 に担当変更` / `@mana 優先度を高に`\n• 会話履歴のリセット: `@mana 会話をリセット`'
       });
       return;
     }
@@ -2217,6 +2446,28 @@ app.event('app_mention', async ({ event, client, logger, context }) => {
     if (isQuestion) {
       logger.info('Question detected, routing to Project AI PM');
 
+      // --- 会話のリセット（@mana 会話をリセット） ---
+      // 本人の会話履歴（全プロジェクト分の発言と要約）を消す
+      if (/^会話(履歴)?を?リセット/.test(cleanedText)) {
+        try {
+          const cleared = await getConversationMemory().clearUserHistory(event.user);
+          logger.info(`Conversation history cleared for ${event.user}: ${cleared} conversations`);
+          await client.chat.postMessage({
+            channel: event.channel,
+            thread_ts: event.ts,
+            text: '🧹 会話履歴をリセットしました。これまでのやり取りは次の質問に引き継ぎません。'
+          });
+        } catch (resetError) {
+          logger.error('Failed to clear conversation history:', resetError);
+          await client.chat.postMessage({
+            channel: event.channel,
+            thread_ts: event.ts,
+            text: '会話履歴をリセットできませんでした。しばらくしてからもう一度お試しください。'
+          });
+        }
+        return;
+      }
+
       // --- 画像認識処理 ---
       // 画像ファイルが添付されている場合は画像認識モードに
       if (event.files && event.files.length > 0) {
@@ -2362,7 +2613,7 @@ app.event('app_mention', async ({ event, client, logger, context }) => {
         }
       }
 
-      // --- 会話メモリ統合（Phase 1） ---
+      // --- 会話メモリ統合（DynamoDBに保存。長くなったら古い発言は要約にまとめる） ---
       const conversationMemory = getConversationMemory();
       const userId = event.user;
 
@@ -2379,6 +2630,13 @@ app.event('app_mention', async ({ event, client, logger, context }) => {
       // AI PMに質問（Mastraまたは既存Bedrockを使用）
       try {
         let response = null;
+        let citations = [];
+        // 生成中の回答を「考え中...」のメッセージに少しずつ表示する
+        const answerStream = new SlackMessageStream(client, {
+          channel: event.channel,
+          ts: processingMsg.ts,
+          threadTs: event.ts
+        });
 
         // Mastraブリッジを試す（ESM dynamic import）
         try {
@@ -2392,17 +2650,17 @@ app.event('app_mention', async ({ event, client, logger, context }) => {
             teamId: context.teamId || event.team,
             conversationHistory,  // 会話履歴を渡す
             projectId: projectId.replace('proj_', ''),  // チャンネルから解決したプロジェクトID
-            // 進捗表示コールバック（ツール実行時にメッセージを更新）
+            // 進捗表示コールバック（ツール実行時に、生成中の回答の下に表示）
             onProgress: async (progressText) => {
-              try {
-                await client.chat.update({
-                  channel: event.channel,
-                  ts: processingMsg.ts,
-                  text: progressText
-                });
-              } catch (updateErr) {
-                logger.warn('Progress update failed:', updateErr.message);
-              }
+              answerStream.setStatus(progressText);
+            },
+            // 生成中の回答（間引いて chat.update する。表示は待たない）
+            onText: async (text) => {
+              answerStream.update(text);
+            },
+            // 回答で使われた出典（回答の下に context ブロックで表示する）
+            onCitations: (citedSources) => {
+              citations = citedSources;
             }
           });
         } catch (e) {
@@ -2411,25 +2669,79 @@ app.event('app_mention', async ({ event, client, logger, context }) => {
           logger.error('Stack:', e.stack);
           logger.info('Falling back to Bedrock directly');
           const { getProjectContext } = require('./llm-integration');
+          const { retrieveProjectContext, formatPassagesForPrompt } = require('./context-retrieval');
+          const {
+            CITATION_INSTRUCTION,
+            startCitationSession,
+            endCitationSession,
+            citeSource,
+            buildBrainbaseUrl,
+            selectCitedSources
+          } = require('./source-citations');
           const { BedrockRuntimeClient, InvokeModelCommand } = require('@aws-sdk/client-bedrock-runtime');
 
           // projectIdは既に検出済み（上で検出）
+          const projectName = projectId.replace('proj_', '');
+
+          // 質問に関連する部分だけを出典番号付きで渡す（索引がなければ全文の先頭を渡す）
+          startCitationSession();
+          const retrieved = await retrieveProjectContext(projectName, cleanedText);
+          const citedPassages = (retrieved?.passages || []).map(passage => {
+            const citation = citeSource({
+              type: 'brainbase',
+              id: passage.id,
+              title: passage.source,
+              url: buildBrainbaseUrl(passage.source)
+            });
+            return { ...passage, number: Number(citation.slice(1, -1)) };
+          });
+          let contextSection = '';
+          if (citedPassages.length > 0) {
+            contextSection = `\n# 参照資料\n${formatPassagesForPrompt(citedPassages)}\n---\n`;
+          } else if (!retrieved) {
+            const projectContext = await getProjectContext(projectName);
+            contextSection = projectContext
+              ? `\n# プロジェクトコンテキスト\n${projectContext.substring(0, 20000)}\n---\n`
+              : '';
+          }
 
-          const projectContext = await getProjectContext(projectId);
-          const contextSection = projectContext
-            ? `\n# プロジェクトコンテキスト\n${projectContext.substring(0, 20000)}\n---\n`
-            : '';
+          // 決定事項についての質問には、決定事項の一覧（_codex/decisions/index.md）を渡す
+          let decisionSection = '';
+          if (/決定/.test(cleanedText)) {
+            try {
+              const { getDecisionIndex } = require('./meeting-decision-commit');
+              const decisionIndex = await getDecisionIndex(projectId.replace('proj_', ''));
+              if (decisionIndex?.entries.length > 0) {
+                const citation = citeSource({
+                  type: 'github',
+                  id: `${projectName}:decisions`,
+                  title: `${projectName} 決定事項の一覧`,
+                  url: decisionIndex.htmlUrl
+                });
+                decisionSection = `\n# 決定事項の履歴 ${citation}（置き換え済みの決定は → の先が現在の決定）\n${decisionIndex.markdown.substring(0, 10000)}\n---\n`;
+              }
+            } catch (decisionError) {
+              logger.warn('Failed to load decision index:', decisionError.message);
+            }
+          }
 
-          // 会話履歴をプロンプトに追加（最新の質問は除く）
+          // 会話履歴をプロンプトに追加（最新の質問は除く。古い発言の要約は role: 'system' で先頭に入っている）
           const historyForPrompt = conversationHistory.slice(0, -1);  // 現在の質問を除く
+          const summaryMessages = historyForPrompt.filter(m => m.role === 'system');
+          const turnMessages = historyForPrompt.filter(m => m.role !== 'system');
           const historySection = historyForPrompt.length > 0
-            ? `\n## 過去の会話\n${historyForPrompt.map(m => `${m.role === 'user' ? '質問者' : 'あなた'}: ${m.content}`).join('\n')}\n---\n`
+            ? `\n## 過去の会話\n${[
+              ...summaryMessages.map(m => m.content),
+              ...turnMessages.map(m => `${m.role === 'user' ? '質問者' : 'あなた'}: ${m.content}`)
+            ].join('\n')}\n---\n`
             : '';
 
-          const prompt = `${contextSection}${historySection}
+          const prompt = `${contextSection}${decisionSection}${historySection}
 あなたは${projectId}プロジェクトのAIアシスタントです。以下の質問に簡潔に回答してください。
 過去の会話がある場合は、その文脈を踏まえて回答してください。
 
+${CITATION_INSTRUCTION}
+
 ## 出力フォーマット（Slack mrkdwn）
 Slackで表示されるため、必ずSlack mrkdwn形式で回答すること：
 - 太字: *テキスト*（アスタリスク1つ）
@@ -2455,6 +2767,7 @@ Slackで表示されるため、必ずSlack mrkdwn形式で回答すること：
           const decoded = new TextDecoder().decode(bedrockResponse.body);
           const parsed = JSON.parse(decoded);
           response = parsed.content?.[0]?.text || '回答を生成できませんでした。';
+          citations = selectCitedSources(response, endCitationSession());
         }
 
         // 回答をMemoryに保存
@@ -2465,7 +2778,7 @@ Slackで表示されるため、必ずSlack mrkdwn形式で回答すること：
         logger.info(`Conversation saved: ${projectId}:${userId} (assistant response)`);
 
         // 長いメッセージは分割して送信
-        await sendLongMessage(client, event.channel, processingMsg.ts, response, event.ts);
+        await sendLongMessage(client, event.channel, processingMsg.ts, response, event.ts, { citations, stream: answerStream });
         return;
       } catch (pmError) {
         logger.error('AI PM error:', pmError);
@@ -2560,7 +2873,8 @@ Slackで表示されるため、必ずSlack mrkdwn形式で回答すること：
       // 最初の1000文字をログに出力（デバッグ用）
       logger.info(`[DEBUG] Thread context preview: ${threadContext.substring(0, 1000)}...`);
     }
-    const taskResult = await extractTasksFromMessage(messageWithContext, channelName, senderName, assigneeName);
+    const taskProjectId = await getProjectIdByChannel(event.channel);
+    const taskResult = await extractTasksFromMessage(messageWithContext, channelName, senderName, assigneeName, { projectId: taskProjectId });
     logger.info(`[DEBUG] Task extraction result: ${JSON.stringify(taskResult)}`);
 
     // extractTasksFromMessageは配列を返す
@@ -2597,8 +2911,8 @@ Slackで表示されるため、必ずSlack mrkdwn形式で回答すること：
       thread_ts: event.ts
     };
 
-    // GitHub APIで各タスクを追記
-    const github = new GitHubIntegration();
+    // タスクストア経由で各タスクを登録
+    const taskStore = getTaskStore();
     const results = [];
 
     for (const task of validTasks) {
@@ -2606,17 +2920,18 @@ Slackで表示されるため、必ずSlack mrkdwn形式で回答すること：
       task.assignee = assigneeName;
       task.assignee_slack_id = assigneeSlackId;
       task.requester = senderName;
+      task.requester_slack_id = event.user;
 
-      logger.info('Appending task:', task.title);
-      const result = await github.appendTask(task, slackLink, slackContext);
+      logger.info('Creating task:', task.title);
+      const result = await taskStore.createTask(task, { slackLink, slackContext });
       if (result.success) {
         results.push({ task, result });
-        logger.info('Task appended:', result.taskId);
+        logger.info('Task created:', result.taskId, result.attempts > 1 ? `(after ${result.attempts} attempts)` : '');
       }
     }
 
     if (results.length === 0) {
-      throw new Error('Failed to append any tasks to GitHub');
+      throw new Error('Failed to create any tasks');
     }
 
     // 複数タスク用のブロック生成
@@ -2632,13 +2947,13 @@ Slackで表示されるため、必ずSlack mrkdwn形式で回答すること：
     ];
 
     for (const { task, result } of results) {
-      // AirtableのURLを優先、なければGitHubのURL
-      const taskUrl = result.airtableRecordUrl || result.fileUrl;
+      // AirtableのURLを優先、なければGitHubのURL（DynamoDBバックエンドではAirtableのみ）
+      const taskLabel = `【${task.project_id || 'TASK'}】${task.title}`;
       blocks.push({
         type: "section",
         text: {
           type: "mrkdwn",
-          text: `*<${taskUrl}|【${task.project_id || 'TASK'}】${task.title}>*\n期限: ${task.due || '未設定'}　担当: <@${task.assignee_slack_id}>`
+          text: `*${result.url ? `<${result.url}|${taskLabel}>` : taskLabel}*\n期限: ${task.due || '未設定'}　担当: <@${task.assignee_slack_id}>`
         },
         accessory: {
           type: "overflow",
@@ -2665,7 +2980,9 @@ Slackで表示されるため、必ずSlack mrkdwn形式で回答すること：
           type: "mrkdwn",
           text: airtableTableUrl
             ? `📋 <${airtableTableUrl}|Airtable タスクテーブル> に追記完了`
-            : `📋 <${lastResult.commitUrl}|_tasks/index.md に追記完了>`
+            : lastResult.commitUrl
+              ? `📋 <${lastResult.commitUrl}|_tasks/index.md に追記完了>`
+              : '📋 タスクストアに登録完了'
         }]
       }
     );
@@ -2784,6 +3101,19 @@ app.message(async ({ message, client, logger }) => {
     return;
   }
 
+  // タスクのスレッド内の担当変更コマンド（@mana @member 担当変更）は app_mention 側で処理する
+  if (message.thread_ts) {
+    const { parseTaskCommand } = require('./task-thread-command');
+    const commandText = message.text.replace(/<@[A-Z0-9]+>/g, '').trim();
+    if (parseTaskCommand(commandText, { mentionedUserIds: mentionedMemberIds })) {
+      const threadTasks = await getThreadTasks(client, message.channel, message.thread_ts, logger);
+      if (threadTasks.length > 0) {
+        logger.info('Task thread command detected, skipping task intake');
+        return;
+      }
+    }
+  }
+
   logger.info('=== TASK INTAKE HANDLER (@bot + @member) ===');
   logger.info('Mentioned members:', mentionedMemberIds);
 
@@ -2806,7 +3136,6 @@ app.message(async ({ message, client, logger }) => {
 
   try {
     const { extractTasksFromMessage } = require('./llm-integration');
-    const GitHubIntegration = require('./github-integration');
 
     // チャンネル名を取得
     let channelName = message.channel;
@@ -2879,7 +3208,8 @@ app.message(async ({ message, client, logger }) => {
 
     // LLMでタスク抽出（スレッドコンテキスト付き、複数タスク対応）
     const messageWithContext = cleanedText + threadContext;
-    const taskResult = await extractTasksFromMessage(messageWithContext, channelName, senderName, assigneeName);
+    const taskProjectId = await getProjectIdByChannel(message.channel);
+    const taskResult = await extractTasksFromMessage(messageWithContext, channelName, senderName, assigneeName, { projectId: taskProjectId });
 
     // extractTasksFromMessageは配列を返す
     const validTasks = (taskResult || []).filter(t => t && t.title);
@@ -2916,8 +3246,8 @@ app.message(async ({ message, client, logger }) => {
       thread_ts: message.ts
     };
 
-    // GitHub APIで各タスクを追記
-    const github = new GitHubIntegration();
+    // タスクストア経由で各タスクを登録
+    const taskStore = getTaskStore();
     const results = [];
 
     for (const task of validTasks) {
@@ -2925,17 +3255,18 @@ app.message(async ({ message, client, logger }) => {
       task.assignee = assigneeName;
       task.assignee_slack_id = mentionedMemberIds[0];
       task.requester = senderName;
+      task.requester_slack_id = message.user;
 
-      logger.info('Appending task:', task.title);
-      const result = await github.appendTask(task, slackLink, slackContext);
+      logger.info('Creating task:', task.title);
+      const result = await taskStore.createTask(task, { slackLink, slackContext });
       if (result.success) {
         results.push({ task, result });
-        logger.info('Task appended:', result.taskId);
+        logger.info('Task created:', result.taskId, result.attempts > 1 ? `(after ${result.attempts} attempts)` : '');
       }
     }
 
     if (results.length === 0) {
-      throw new Error('Failed to append any tasks to GitHub');
+      throw new Error('Failed to create any tasks');
     }
 
     // 複数タスク用のブロック生成
@@ -2951,13 +3282,13 @@ app.message(async ({ message, client, logger }) => {
     ];
 
     for (const { task, result } of results) {
-      // AirtableのURLを優先、なければGitHubのURL
-      const taskUrl = result.airtableRecordUrl || result.fileUrl;
+      // AirtableのURLを優先、なければGitHubのURL（DynamoDBバックエンドではAirtableのみ）
+      const taskLabel = `【${task.project_id || 'TASK'}】${task.title}`;
       blocks.push({
         type: "section",
         text: {
           type: "mrkdwn",
-          text: `*<${taskUrl}|【${task.project_id || 'TASK'}】${task.title}>*\n期限: ${task.due || '未設定'}　担当: <@${task.assignee_slack_id}>`
+          text: `*${result.url ? `<${result.url}|${taskLabel}>` : taskLabel}*\n期限: ${task.due || '未設定'}　担当: <@${task.assignee_slack_id}>`
         },
         accessory: {
           type: "overflow",
@@ -2984,7 +3315,9 @@ app.message(async ({ message, client, logger }) => {
           type: "mrkdwn",
           text: airtableTableUrl
             ? `📋 <${airtableTableUrl}|Airtable タスクテーブル> に追記完了`
-            : `📋 <${lastResult.commitUrl}|_tasks/index.md に追記完了>`
+            : lastResult.commitUrl
+              ? `📋 <${lastResult.commitUrl}|_tasks/index.md に追記完了>`
+              : '📋 タスクストアに登録完了'
         }]
       }
     );
@@ -3171,6 +3504,256 @@ app.message(async ({ message, client, logger }) => {
 
 // --- Task Reminder Actions (Phase 3) ---
 
+/**
+ * タスクストアへの更新を実行する
+ * 失敗したら操作したユーザーに知らせて null を返す（呼び出し側は Slack 上の表示を変えずに終える）
+ * @param {Object} client - Slack WebClient
+ * @param {Object} body - アクション・ビューの body
+ * @param {Object} logger - Bolt logger
+ * @param {string} taskId - タスクID
+ * @param {Function} operation - (store) => Promise
+ * @returns {Promise<Object|null>} 更新結果（失敗時はnull）
+ */
+async function updateTaskInStore(client, body, logger, taskId, operation) {
+  try {
+    return await operation(getTaskStore());
+  } catch (error) {
+    logger.error(`Failed to update task ${taskId} in task store:`, error);
+    const text = `❌ タスク (ID: ${taskId}) を更新できませんでした: ${error.message}`;
+    if (body.channel?.id) {
+      await client.chat.postEphemeral({ channel: body.channel.id, user: body.user.id, text });
+    } else {
+      await client.chat.postMessage({ channel: body.user.id, text });
+    }
+    return null;
+  }
+}
+
+/**
+ * アクションが /mana-tasks のタスク一覧モーダルから来たかどうか
+ * （タスクカードのメッセージではなくモーダルを更新する必要がある）
+ */
+function isFromTaskListView(body) {
+  const { TASK_LIST_CALLBACK_ID } = require('./task-list-ui');
+  return body.view?.callback_id === TASK_LIST_CALLBACK_ID;
+}
+
+/**
+ * タスク一覧モーダルを最新のタスクで描画し直す
+ * @param {Object} client - Slack WebClient
+ * @param {Object} params
+ * @param {string} params.viewId - 更新するモーダルのID
+ * @param {string} params.userId - 表示対象ユーザーのSlack ID
+ * @param {Object} [params.filters] - フィルタ
+ */
+async function refreshTaskListView(client, { viewId, userId, filters }) {
+  const { buildTaskListView } = require('./task-list-ui');
+  const taskStore = getTaskStore();
+
+  const [ownedTasks, requestedTasks] = await Promise.all([
+    taskStore.getTasksByOwnerSlackId(userId),
+    taskStore.getTasksByRequesterSlackId(userId)
+  ]);
+
+  await client.views.update({
+    view_id: viewId,
+    view: buildTaskListView({ ownedTasks, requestedTasks, filters })
+  });
+}
+
+/**
+ * タスク一覧モーダル内のボタン操作後に、現在のフィルタのまま一覧を更新する
+ */
+async function refreshTaskListFromAction(client, body) {
+  const { getFiltersFromView } = require('./task-list-ui');
+  await refreshTaskListView(client, {
+    viewId: body.view.id,
+    userId: body.user.id,
+    filters: getFiltersFromView(body.view)
+  });
+}
+
+/**
+ * ユーザーのHomeタブを最新のタスクで公開し直す（失敗してもログのみ）
+ * @param {Object} client - Slack WebClient
+ * @param {string} userId - Slack User ID
+ * @param {Object} logger - Bolt logger
+ */
+async function publishAppHome(client, userId, logger) {
+  try {
+    const { AppHomeService } = require('./app-home');
+    const homeService = new AppHomeService(client, { inboxUserId: INBOX_TARGET_USER_ID });
+    await homeService.publish(userId);
+  } catch (error) {
+    logger.error(`Failed to publish App Home for ${userId}:`, error);
+  }
+}
+
+/**
+ * タスク変更後に、操作したユーザーのHomeタブと操作元のタスク一覧モーダルを更新する
+ * 担当者・依頼者など他のユーザーのHomeタブは、開いたとき（app_home_opened）に最新になる
+ * @param {Object} client - Slack WebClient
+ * @param {Object} body - アクションのpayload
+ * @param {Object} logger - Bolt logger
+ * @returns {Promise<boolean>} 操作元がメッセージではなくview（モーダル/Homeタブ）ならtrue（chat.updateは不要）
+ */
+async function refreshTaskViews(client, body, logger) {
+  if (isFromTaskListView(body)) {
+    try {
+      await refreshTaskListFromAction(client, body);
+    } catch (error) {
+      logger.error('Failed to refresh task list view:', error);
+    }
+  }
+
+  await publishAppHome(client, body.user.id, logger);
+
+  return body.container?.type === 'view';
+}
+
+/**
+ * タスクの完了で着手できるようになったタスクの担当者に、元のスレッド（なければDM）で知らせる
+ * 失敗してもログのみ（完了処理自体は成功しているため）
+ * @param {Object} client - Slack WebClient
+ * @param {string} taskId - 完了したタスクID
+ * @param {Object} logger - Bolt logger
+ * @returns {Promise<Array<string>>} 通知したタスクID
+ */
+async function notifyUnblockedTasks(client, taskId, logger) {
+  try {
+    const { findUnblockedTasks } = require('./task-store');
+    const tasks = await getTaskStore().getTasks();
+    const completed = tasks.find(task => (task.task_id || task.id) === taskId);
+    const unblocked = findUnblockedTasks(tasks, taskId);
+
+    const notified = [];
+    for (const task of unblocked) {
+      const unblockedId = task.task_id || task.id;
+      const owner = task.owner_slack_id ? `<@${task.owner_slack_id}> ` : '';
+      const text = `🔓 ${owner}待っていたタスク「${completed?.title || taskId}」(${taskId}) が完了しました。「${task.title}」(${unblockedId}) に着手できます`;
+
+      if (task.channel_id && task.thread_ts) {
+        await client.chat.postMessage({ channel: task.channel_id, thread_ts: task.thread_ts, text });
+      } else if (task.owner_slack_id) {
+        await client.chat.postMessage({ channel: task.owner_slack_id, text });
+      } else {
+        continue;
+      }
+      notified.push(unblockedId);
+    }
+
+    if (notified.length > 0) {
+      logger.info(`Task ${taskId} unblocked: ${notified.join(', ')}`);
+    }
+    return notified;
+  } catch (error) {
+    logger.error(`Failed to notify tasks unblocked by ${taskId}:`, error);
+    return [];
+  }
+}
+
+/**
+ * スレッドに対応するタスクを返す（スレッド内の返信から登録したタスクも含める）
+ * @param {Object} client - Slack WebClient
+ * @param {string} channelId - チャンネルID
+ * @param {string} threadTs - スレッドの親ts
+ * @param {Object} logger - Bolt logger
+ * @returns {Promise<Array<Object>>}
+ */
+async function getThreadTasks(client, channelId, threadTs, logger) {
+  const { findThreadTasks } = require('./task-thread-command');
+  const tasks = await getTaskStore().getTasks();
+
+  let threadTasks = findThreadTasks(tasks, channelId, threadTs);
+  if (threadTasks.length === 0 && tasks.some(task => task.channel_id === channelId)) {
+    // スレッド内の返信から登録したタスクは thread_ts が返信のtsになっている
+    try {
+      const replies = await client.conversations.replies({ channel: channelId, ts: threadTs, limit: 200 });
+      const threadMessageTs = (replies.messages || []).map(msg => msg.ts);
+      threadTasks = findThreadTasks(tasks, channelId, threadTs, threadMessageTs);
+    } catch (e) {
+      logger.warn('Failed to get thread replies for task command:', e.message);
+    }
+  }
+  return threadTasks;
+}
+
+/**
+ * タスクのスレッド内での @mana メンションをタスク操作コマンドとして処理する
+ * @param {Object} params
+ * @param {Object} params.event - app_mention イベント（スレッド内）
+ * @param {Object} params.client - Slack WebClient
+ * @param {Object} params.logger - Bolt logger
+ * @param {string} params.cleanedText - メンションを除去したテキスト
+ * @param {Array<string>} params.mentionedUserIds - Bot以外にメンションされたユーザー
+ * @returns {Promise<boolean>} コマンドとして処理した場合true
+ */
+async function handleTaskThreadCommand({ event, client, logger, cleanedText, mentionedUserIds }) {
+  const {
+    parseTaskCommand,
+    selectTargetTask,
+    applyTaskCommand,
+    buildCommandReply
+  } = require('./task-thread-command');
+
+  const command = parseTaskCommand(cleanedText, { mentionedUserIds });
+  if (!command) {
+    return false;
+  }
+
+  const taskStore = getTaskStore();
+  const threadTasks = await getThreadTasks(client, event.channel, event.thread_ts, logger);
+  if (threadTasks.length === 0) {
+    return false;
+  }
+
+  logger.info(`Task thread command: ${JSON.stringify(command)}`);
+
+  const { task, ambiguous } = selectTargetTask(threadTasks, command);
+  if (!task) {
+    const taskList = threadTasks.map(t => `• \`${t.task_id || t.id}\` ${t.title}`).join('\n');
+    await client.chat.postMessage({
+      channel: event.channel,
+      thread_ts: event.thread_ts,
+      text: ambiguous
+        ? `🤔 このスレッドには複数のタスクがあります。タスクIDを付けて指示してください（例: \`@mana ${threadTasks[0].task_id || threadTasks[0].id} 完了\`）\n${taskList}`
+        : `🤔 タスク \`${command.taskId}\` はこのスレッドにありません\n${taskList}`
+    });
+    return true;
+  }
+
+  try {
+    const { getSlackIdToBrainbaseName } = require('./slack-name-resolver');
+    const slackIdToName = command.type === 'reassign' ? await getSlackIdToBrainbaseName() : new Map();
+    const updatedTask = await applyTaskCommand(taskStore, task, command, { slackIdToName });
+    const { blocks, text } = buildCommandReply(updatedTask, command, event.user);
+
+    await client.chat.postMessage({
+      channel: event.channel,
+      thread_ts: event.thread_ts,
+      blocks,
+      text
+    });
+
+    if (command.type === 'complete') {
+      await notifyUnblockedTasks(client, task.task_id || task.id, logger);
+    }
+
+    await publishAppHome(client, event.user, logger);
+
+    logger.info(`Task ${task.task_id || task.id} updated by thread command (${command.type}) from ${event.user}`);
+  } catch (error) {
+    logger.error('Error applying task thread command:', error);
+    await client.chat.postMessage({
+      channel: event.channel,
+      thread_ts: event.thread_ts,
+      text: `❌ タスクの更新に失敗しました: ${error.message}`
+    });
+  }
+
+  return true;
+}
+
 // Task Complete Action (サポット風)
 app.action(/^task_complete_/, async ({ ack, action, body, client, logger }) => {
   await ack();
@@ -3181,6 +3764,17 @@ app.action(/^task_complete_/, async ({ ack, action, body, client, logger }) => {
     const actionData = JSON.parse(action.value);
     const { taskId, title, requesterSlackId, assigneeSlackId } = actionData;
 
+    const updated = await updateTaskInStore(client, body, logger, taskId, store => store.updateStatus(taskId, 'done'));
+    if (!updated) {
+      return;
+    }
+    await notifyUnblockedTasks(client, taskId, logger);
+
+    if (await refreshTaskViews(client, body, logger)) {
+      logger.info(`Task ${taskId} marked as complete from ${body.view.type} by ${body.user.id}`);
+      return;
+    }
+
     const completedAt = new Date().toISOString();
     const blocks = createCompletedTaskBlocks({
       taskId,
@@ -3219,6 +3813,11 @@ app.action(/^task_uncomplete_/, async ({ ack, action, body, client, logger }) =>
     const actionData = JSON.parse(action.value);
     const { taskId, title, requesterSlackId, assigneeSlackId } = actionData;
 
+    if (!await updateTaskInStore(client, body, logger, taskId, store => store.updateStatus(taskId, 'todo'))) {
+      return;
+    }
+    await refreshTaskViews(client, body, logger);
+
     const blocks = createTaskMessageBlocks({
       taskId,
       title,
@@ -3259,6 +3858,15 @@ app.action(/^task_snooze_/, async ({ ack, action, body, client, logger }) => {
     tomorrow.setDate(tomorrow.getDate() + 1);
     const tomorrowStr = tomorrow.toISOString().split('T')[0];
 
+    if (!await updateTaskInStore(client, body, logger, taskId, store => store.snoozeTask(taskId, tomorrowStr))) {
+      return;
+    }
+
+    if (await refreshTaskViews(client, body, logger)) {
+      logger.info(`Task ${taskId} snoozed to ${tomorrowStr} from ${body.view.type} by ${body.user.id}`);
+      return;
+    }
+
     await client.chat.update({
       channel: body.channel.id,
       ts: body.message.ts,
@@ -3274,9 +3882,49 @@ app.action(/^task_snooze_/, async ({ ack, action, body, client, logger }) => {
       text: `⏰ タスク ${taskId} のリマインダーを明日に設定`
     });
 
-    logger.info(`Task ${taskId} snoozed to ${tomorrowStr} by ${body.user.id}`);
+    logger.info(`Task ${taskId} snoozed to ${tomorrowStr} by ${body.user.id}`);
+  } catch (error) {
+    logger.error('Error handling task snooze:', error);
+  }
+});
+
+// エスカレーション通知の「確認しました」（担当者のみ。しばらくエスカレーションを止める）
+app.action(/^task_escalation_ack_/, async ({ ack, action, body, client, logger }) => {
+  await ack();
+  logger.info('=== TASK ESCALATION ACK ===');
+
+  try {
+    const { taskId } = JSON.parse(action.value);
+    const { TaskEscalationService } = require('./task-escalation');
+    const result = await new TaskEscalationService(client).acknowledge(taskId, body.user.id);
+
+    if (!result.success) {
+      const text = result.reason === 'not_owner'
+        ? '確認できるのはタスクの担当者だけです'
+        : `タスク \`${taskId}\` が見つかりませんでした`;
+      if (body.channel?.id) {
+        await client.chat.postEphemeral({ channel: body.channel.id, user: body.user.id, text });
+      }
+      return;
+    }
+
+    // 確認ボタンを消して、誰がいつまで止めたかを残す
+    const blocks = body.message.blocks
+      .filter(block => block.type !== 'actions' && block.type !== 'context')
+      .concat({
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: `👀 <@${body.user.id}> が確認しました（${result.pauseDays}日間エスカレーションを止めます）` }]
+      });
+    await client.chat.update({
+      channel: body.channel.id,
+      ts: body.message.ts,
+      blocks,
+      text: body.message.text
+    });
+
+    logger.info(`Escalation for task ${taskId} acknowledged by ${body.user.id}`);
   } catch (error) {
-    logger.error('Error handling task snooze:', error);
+    logger.error('Error handling escalation acknowledge:', error);
   }
 });
 
@@ -3287,6 +3935,7 @@ app.action(/^task_set_due_/, async ({ ack, action, body, client, logger }) => {
   logger.info('Selected value:', action.selected_option?.value);
 
   try {
+    const { calculateDueDate } = require('./task-ui');
     const taskId = action.action_id.replace('task_set_due_', '');
     const selectedValue = action.selected_option?.value;
 
@@ -3329,11 +3978,28 @@ app.action(/^task_set_due_/, async ({ ack, action, body, client, logger }) => {
           }
         });
         return;
-      default:
-        dueDate = null;
+      case 'no_due':
+        if (await updateTaskInStore(client, body, logger, taskId, store => store.setDue(taskId, null))) {
+          await refreshTaskViews(client, body, logger);
+        }
+        return;
+      default: {
+        // createTaskMessageBlocks の選択肢（2hours, today_end など）
+        const calculated = calculateDueDate(selectedValue);
+        dueDate = calculated ? calculated.toISOString().split('T')[0] : null;
+      }
     }
 
     if (dueDate) {
+      if (!await updateTaskInStore(client, body, logger, taskId, store => store.setDue(taskId, dueDate))) {
+        return;
+      }
+
+      if (await refreshTaskViews(client, body, logger)) {
+        logger.info(`Task ${taskId} due date set to ${dueDate} from ${body.view.type}`);
+        return;
+      }
+
       const currentBlocks = body.message.blocks;
       const updatedBlocks = currentBlocks.map(block => {
         if (block.type === 'section' && block.text?.text?.includes('期限')) {
@@ -3367,22 +4033,47 @@ app.action(/^task_edit_/, async ({ ack, action, body, client, logger }) => {
   try {
     const { createEditModalBlocks } = require('./task-ui');
     const actionData = JSON.parse(action.value);
-    const { taskId, title, requesterSlackId, assigneeSlackId, due } = actionData;
+    const { taskId, title, requesterSlackId, assigneeSlackId, due, blockedBy = [] } = actionData;
 
-    const blocks = createEditModalBlocks({ title, requesterSlackId, assigneeSlackId, due });
+    const blocks = createEditModalBlocks({ title, requesterSlackId, assigneeSlackId, due, blockedBy });
 
-    await client.views.open({
-      trigger_id: body.trigger_id,
-      view: {
-        type: 'modal',
-        callback_id: `task_edit_submit_${taskId}`,
-        title: { type: 'plain_text', text: 'タスクを編集する' },
-        submit: { type: 'plain_text', text: 'OK！' },
-        close: { type: 'plain_text', text: 'やめとく' },
-        blocks: blocks,
-        private_metadata: JSON.stringify({ taskId, channelId: body.channel.id, messageTs: body.message.ts })
-      }
-    });
+    const editView = {
+      type: 'modal',
+      callback_id: `task_edit_submit_${taskId}`,
+      title: { type: 'plain_text', text: 'タスクを編集する' },
+      submit: { type: 'plain_text', text: 'OK！' },
+      close: { type: 'plain_text', text: 'やめとく' },
+      blocks: blocks
+    };
+
+    if (isFromTaskListView(body)) {
+      // タスク一覧モーダルの上に重ねて開き、保存後に一覧を更新する
+      const { getFiltersFromView } = require('./task-list-ui');
+      await client.views.push({
+        trigger_id: body.trigger_id,
+        view: {
+          ...editView,
+          private_metadata: JSON.stringify({ taskId, assigneeSlackId, blockedBy, listViewId: body.view.id, filters: getFiltersFromView(body.view) })
+        }
+      });
+    } else if (body.view?.type === 'home') {
+      // Homeタブから: 保存後はHomeタブを更新する
+      await client.views.open({
+        trigger_id: body.trigger_id,
+        view: {
+          ...editView,
+          private_metadata: JSON.stringify({ taskId, assigneeSlackId, blockedBy, fromHome: true })
+        }
+      });
+    } else {
+      await client.views.open({
+        trigger_id: body.trigger_id,
+        view: {
+          ...editView,
+          private_metadata: JSON.stringify({ taskId, assigneeSlackId, channelId: body.channel.id, messageTs: body.message.ts })
+        }
+      });
+    }
 
     logger.info(`Edit modal opened for task ${taskId}`);
   } catch (error) {
@@ -3392,15 +4083,25 @@ app.action(/^task_edit_/, async ({ ack, action, body, client, logger }) => {
 
 // Task Edit Modal Submit Handler (サポット風)
 app.view(/^task_edit_submit_/, async ({ ack, view, body, client, logger }) => {
+  const { createTaskMessageBlocks, formatDueDate, parseTaskIdList } = require('./task-ui');
+  const values = view.state.values;
+
+  const blockedByInput = parseTaskIdList(values.blocked_by_block?.blocked_by_input?.value);
+  if (blockedByInput.invalid.length > 0) {
+    await ack({
+      response_action: 'errors',
+      errors: { blocked_by_block: `タスクIDの形式ではありません: ${blockedByInput.invalid.join(', ')}` }
+    });
+    return;
+  }
+
   await ack();
   logger.info('=== TASK EDIT SUBMIT ===');
 
   try {
-    const { createTaskMessageBlocks, formatDueDate } = require('./task-ui');
     const metadata = JSON.parse(view.private_metadata);
-    const { taskId, channelId, messageTs } = metadata;
-
-    const values = view.state.values;
+    const { taskId, channelId, messageTs, listViewId, filters, fromHome, blockedBy: previousBlockedBy = [] } = metadata;
+    const previousAssigneeSlackId = metadata.assigneeSlackId || null;
 
     const newTitle = values.title_block?.title_input?.value || '';
     const newRequesterSlackId = values.requester_block?.requester_input?.selected_user || null;
@@ -3432,12 +4133,60 @@ app.view(/^task_edit_submit_/, async ({ ack, view, body, client, logger }) => {
 
     logger.info(`Edit submit - title: ${newTitle}, requester: ${newRequesterSlackId}, assignee: ${newAssigneeSlackId}, due: ${newDue}`);
 
+    const fields = {
+      title: newTitle,
+      requester_slack_id: newRequesterSlackId,
+      owner_slack_id: newAssigneeSlackId,
+      due: dueDate || null
+    };
+    // 担当者を変えたら owner（brainbase の名前）も合わせる（引けなければ古い名前を残さず空にする）
+    if (newAssigneeSlackId !== previousAssigneeSlackId) {
+      const { getSlackIdToBrainbaseName } = require('./slack-name-resolver');
+      const ownerName = newAssigneeSlackId ? (await getSlackIdToBrainbaseName()).get(newAssigneeSlackId) : null;
+      fields.owner = ownerName ? ownerName.replace(/\s+/g, '-').toLowerCase() : null;
+    }
+
+    if (!await updateTaskInStore(client, body, logger, taskId, store => store.updateTask(taskId, fields))) {
+      return;
+    }
+
+    let blockedBy = previousBlockedBy;
+    const blockedByChanged = blockedByInput.ids.length !== previousBlockedBy.length ||
+      blockedByInput.ids.some(id => !previousBlockedBy.includes(id));
+    if (blockedByChanged) {
+      try {
+        const result = await getTaskStore().setBlockedBy(taskId, blockedByInput.ids);
+        blockedBy = result.blocked_by;
+        logger.info(`Task ${taskId} blocked_by updated: [${blockedBy.join(', ')}]`);
+      } catch (error) {
+        logger.error(`Failed to update blocked_by of ${taskId}:`, error);
+        await client.chat.postMessage({
+          channel: body.user.id,
+          text: `⚠️ タスク (ID: ${taskId}) の「待っているタスク」を更新できませんでした: ${error.message}`
+        });
+      }
+    }
+
+    await publishAppHome(client, body.user.id, logger);
+
+    if (listViewId) {
+      await refreshTaskListView(client, { viewId: listViewId, userId: body.user.id, filters });
+      logger.info(`Task ${taskId} updated from task list`);
+      return;
+    }
+
+    if (fromHome) {
+      logger.info(`Task ${taskId} updated from App Home`);
+      return;
+    }
+
     const blocks = createTaskMessageBlocks({
       taskId,
       title: newTitle,
       requesterSlackId: newRequesterSlackId,
       assigneeSlackId: newAssigneeSlackId,
-      due: newDue ? newDue.toISOString() : null
+      due: newDue ? newDue.toISOString() : null,
+      blockedBy
     });
 
     await client.chat.update({
@@ -3453,6 +4202,280 @@ app.view(/^task_edit_submit_/, async ({ ack, view, body, client, logger }) => {
   }
 });
 
+// --- /mana-tasks Slash Command ---
+// 自分が担当・依頼したタスクをモーダルで一覧し、その場で完了・スヌーズ・期限変更・編集する
+app.command('/mana-tasks', async ({ ack, body, client, logger }) => {
+  await ack();
+  logger.info('=== /mana-tasks COMMAND ===', { user: body.user_id });
+
+  const { buildTaskListLoadingView } = require('./task-list-ui');
+
+  // タスクの読み込みは数秒かかるため、trigger_id が有効なうちに先にモーダルを開く
+  const opened = await client.views.open({
+    trigger_id: body.trigger_id,
+    view: buildTaskListLoadingView()
+  });
+
+  try {
+    await refreshTaskListView(client, { viewId: opened.view.id, userId: body.user_id });
+  } catch (error) {
+    logger.error('Error loading task list:', error);
+    await client.views.update({
+      view_id: opened.view.id,
+      view: {
+        type: 'modal',
+        title: { type: 'plain_text', text: 'マイタスク' },
+        close: { type: 'plain_text', text: '閉じる' },
+        blocks: [
+          {
+            type: 'section',
+            text: { type: 'mrkdwn', text: `❌ タスクの取得に失敗しました: ${error.message}` }
+          }
+        ]
+      }
+    });
+  }
+});
+
+// タスク一覧モーダルのフィルタ変更
+app.action(/^task_list_filter_/, async ({ ack, action, body, client, logger }) => {
+  await ack();
+
+  try {
+    const { getFiltersFromView } = require('./task-list-ui');
+    const filterKey = action.action_id.replace('task_list_filter_', '');
+    const filters = {
+      ...getFiltersFromView(body.view),
+      [filterKey]: action.selected_option?.value || 'all'
+    };
+
+    await refreshTaskListView(client, { viewId: body.view.id, userId: body.user.id, filters });
+    logger.info(`Task list filter updated by ${body.user.id}:`, filters);
+  } catch (error) {
+    logger.error('Error updating task list filter:', error);
+  }
+});
+
+// --- App Home Tab ---
+// Homeタブを開いたときに期限切れ・期限間近・依頼中タスク、プロジェクトのスプリント、inboxを表示する
+app.event('app_home_opened', async ({ event, client, logger }) => {
+  if (event.tab !== 'home') {
+    return;
+  }
+
+  logger.info(`=== APP HOME OPENED === user: ${event.user}`);
+  await publishAppHome(client, event.user, logger);
+});
+
+// --- /mana-recurring Slash Command ---
+// 定期タスク（スケジュールに従って自動生成するタスク）の一覧・追加・一時停止・削除
+// 生成自体は run_reminders（EventBridge）で行う
+
+/**
+ * 定期タスク一覧モーダルを最新の定義で更新する
+ * @param {Object} client - Slack WebClient
+ * @param {string} viewId - 一覧モーダルのview ID
+ * @param {string} userId - Slack User ID
+ */
+async function refreshRecurringListView(client, viewId, userId) {
+  const { RecurringTaskRepository } = require('./recurring-tasks');
+  const { buildRecurringListView } = require('./recurring-task-ui');
+
+  const definitions = await new RecurringTaskRepository().listDefinitionsForUser(userId);
+  await client.views.update({
+    view_id: viewId,
+    view: buildRecurringListView(definitions)
+  });
+}
+
+app.command('/mana-recurring', async ({ ack, body, client, logger }) => {
+  await ack();
+  logger.info('=== /mana-recurring COMMAND ===', { user: body.user_id, text: body.text });
+
+  const { RecurringTaskRepository } = require('./recurring-tasks');
+  const { buildRecurringListView, buildRecurringCreateView } = require('./recurring-task-ui');
+
+  if (/^(add|new|追加)$/i.test((body.text || '').trim())) {
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: buildRecurringCreateView({ userId: body.user_id })
+    });
+    return;
+  }
+
+  try {
+    const definitions = await new RecurringTaskRepository().listDefinitionsForUser(body.user_id);
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: buildRecurringListView(definitions)
+    });
+  } catch (error) {
+    logger.error('Error loading recurring tasks:', error);
+    await client.chat.postEphemeral({
+      channel: body.channel_id,
+      user: body.user_id,
+      text: `❌ 定期タスクの取得に失敗しました: ${error.message}`
+    });
+  }
+});
+
+// 一覧モーダルから作成モーダルを重ねて開く
+app.action('recurring_create_open', async ({ ack, body, client, logger }) => {
+  await ack();
+
+  try {
+    const { buildRecurringCreateView } = require('./recurring-task-ui');
+    await client.views.push({
+      trigger_id: body.trigger_id,
+      view: buildRecurringCreateView({ userId: body.user.id, listViewId: body.view.id })
+    });
+  } catch (error) {
+    logger.error('Error opening recurring task create modal:', error);
+  }
+});
+
+app.view('mana_recurring_create', async ({ ack, view, body, client, logger }) => {
+  const { getDefinitionFromSubmission } = require('./recurring-task-ui');
+  const { definition, errors } = getDefinitionFromSubmission(view);
+  if (errors) {
+    await ack({ response_action: 'errors', errors });
+    return;
+  }
+
+  await ack();
+
+  try {
+    const { RecurringTaskRepository, describeRRule } = require('./recurring-tasks');
+    const slackIdToName = await getSlackIdToBrainbaseName();
+
+    const created = await new RecurringTaskRepository().createDefinition({
+      ...definition,
+      owner: slackIdToName.get(definition.owner_slack_id) || null,
+      requester: slackIdToName.get(body.user.id) || null,
+      requester_slack_id: body.user.id,
+      created_by: body.user.id
+    });
+    logger.info(`Recurring task created by ${body.user.id}:`, created.recurring_id);
+
+    const { listViewId } = JSON.parse(view.private_metadata || '{}');
+    if (listViewId) {
+      await refreshRecurringListView(client, listViewId, body.user.id);
+    } else {
+      await client.chat.postMessage({
+        channel: body.user.id,
+        text: `🔁 定期タスク「${created.title_template}」を追加しました（${describeRRule(created.rrule)}、初回: ${created.next_run_date}）`
+      });
+    }
+  } catch (error) {
+    logger.error('Error creating recurring task:', error);
+    await client.chat.postMessage({
+      channel: body.user.id,
+      text: `❌ 定期タスクの追加に失敗しました: ${error.message}`
+    });
+  }
+});
+
+app.action(/^recurring_(pause|resume|delete)_/, async ({ ack, action, body, client, logger }) => {
+  await ack();
+
+  const [, operation, recurringId] = action.action_id.match(/^recurring_(pause|resume|delete)_(.+)$/);
+  logger.info(`=== RECURRING TASK ${operation.toUpperCase()} === ${recurringId} by ${body.user.id}`);
+
+  try {
+    const { RecurringTaskRepository } = require('./recurring-tasks');
+    const repository = new RecurringTaskRepository();
+
+    if (operation === 'pause') {
+      await repository.pauseDefinition(recurringId);
+    } else if (operation === 'resume') {
+      await repository.resumeDefinition(recurringId);
+    } else {
+      await repository.deleteDefinition(recurringId);
+    }
+
+    await refreshRecurringListView(client, body.view.id, body.user.id);
+  } catch (error) {
+    logger.error(`Error on recurring task ${operation}:`, error);
+  }
+});
+
+// --- /mana-settings Slash Command ---
+// リマインド設定（日次サマリーの時刻・タイムゾーン・お休みの曜日・載せる内容・スレッドリマインド）
+app.command('/mana-settings', async ({ ack, body, client, logger }) => {
+  await ack();
+  logger.info('=== /mana-settings COMMAND ===', { user: body.user_id });
+
+  const { ReminderPreferencesRepository, DEFAULT_PREFERENCES } = require('./reminder-preferences');
+  const { buildReminderSettingsView } = require('./reminder-settings-ui');
+
+  try {
+    const preferences = await new ReminderPreferencesRepository().getPreferences(body.user_id);
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: buildReminderSettingsView(preferences || DEFAULT_PREFERENCES)
+    });
+  } catch (error) {
+    logger.error('Error loading reminder preferences:', error);
+    await client.chat.postEphemeral({
+      channel: body.channel_id,
+      user: body.user_id,
+      text: `❌ リマインド設定の取得に失敗しました: ${error.message}`
+    });
+  }
+});
+
+// 伏せ字にした個人情報の原文を確認する（PII_REDACTION_VIEWER_IDS のユーザーだけ）
+app.command('/mana-unredact', async ({ ack, body, client, logger }) => {
+  await ack();
+  const fileId = (body.text || '').trim();
+  logger.info('=== /mana-unredact COMMAND ===', { user: body.user_id, fileId });
+
+  const { canViewRedactedOriginals, RedactionMappingRepository, formatRedactionMapping } = require('./pii-redaction');
+  const reply = text => client.chat.postEphemeral({ channel: body.channel_id, user: body.user_id, text });
+
+  if (!canViewRedactedOriginals(body.user_id)) {
+    logger.warn(`Unauthorized unredact request by ${body.user_id}`);
+    await reply('🔒 伏せ字の原文を確認する権限がありません。');
+    return;
+  }
+  if (!fileId) {
+    await reply('使い方: `/mana-unredact <ファイルID>`（ファイルIDは議事録の処理メッセージに表示されます）');
+    return;
+  }
+
+  try {
+    const mapping = await new RedactionMappingRepository().getMapping(fileId);
+    const lines = formatRedactionMapping(mapping);
+    await reply(lines ? `🔓 *${fileId} の伏せ字*\n${lines}` : `${fileId} に伏せ字はありません。`);
+  } catch (error) {
+    logger.error('Error loading redaction mapping:', error);
+    await reply(`❌ 伏せ字の対応表の取得に失敗しました: ${error.message}`);
+  }
+});
+
+app.view('mana_reminder_settings', async ({ ack, view, body, client, logger }) => {
+  const { getPreferencesFromSubmission } = require('./reminder-settings-ui');
+  const { preferences, errors } = getPreferencesFromSubmission(view);
+  if (errors) {
+    await ack({ response_action: 'errors', errors });
+    return;
+  }
+
+  await ack();
+
+  try {
+    const { ReminderPreferencesRepository } = require('./reminder-preferences');
+    await new ReminderPreferencesRepository().savePreferences(body.user.id, preferences);
+    logger.info(`Reminder preferences saved for ${body.user.id}`);
+  } catch (error) {
+    logger.error('Error saving reminder preferences:', error);
+    await client.chat.postMessage({
+      channel: body.user.id,
+      text: `❌ リマインド設定の保存に失敗しました: ${error.message}`
+    });
+  }
+});
+
 // --- Task Overflow Menu Action Handler ---
 // オーバーフローメニュー（...ボタン）からの完了/編集/キャンセル操作
 app.action(/^task_action_/, async ({ ack, action, body, client, logger }) => {
@@ -3478,12 +4501,16 @@ app.action(/^task_action_/, async ({ ack, action, body, client, logger }) => {
 
     if (actionType === 'complete') {
       // タスク完了処理
-      // TODO: GitHub上のタスクステータスを更新する実装
+      if (!await updateTaskInStore(client, body, logger, taskId, store => store.updateStatus(taskId, 'done'))) {
+        return;
+      }
+      await refreshTaskViews(client, body, logger);
       await client.chat.postMessage({
         channel: channel,
         thread_ts: messageTs,
         text: `✅ タスク (ID: ${taskId}) を完了しました`
       });
+      await notifyUnblockedTasks(client, taskId, logger);
       logger.info(`Task ${taskId} marked as complete`);
     } else if (actionType === 'edit') {
       // 編集モーダルを開く
@@ -3496,7 +4523,10 @@ app.action(/^task_action_/, async ({ ack, action, body, client, logger }) => {
       logger.info(`Task ${taskId} edit requested`);
     } else if (actionType === 'cancel') {
       // タスクキャンセル処理
-      // TODO: GitHub上のタスクを削除/キャンセル状態にする実装
+      if (!await updateTaskInStore(client, body, logger, taskId, store => store.updateStatus(taskId, 'cancelled'))) {
+        return;
+      }
+      await refreshTaskViews(client, body, logger);
       await client.chat.postMessage({
         channel: channel,
         thread_ts: messageTs,
@@ -3528,8 +4558,60 @@ app.action(/^(approve_all|reject_all|approve_decision_\d+|reject_decision_\d+|ap
   }
 });
 
+// 提案の決定事項・タスクを編集するモーダル
+app.action(/^edit_(decision|action)_\d+$/, async ({ ack, action, body, client, logger }) => {
+  await ack();
+  logger.info(`[meeting-approval] Edit requested: ${action.action_id}`);
+  try {
+    const { getProposalContext } = require('./meeting-flow-integration');
+    const { buildProposalEditModal } = require('./meeting-proposal-ui');
+
+    const { type, index } = JSON.parse(action.value);
+    const context = await getProposalContext(body.message.ts);
+    const item = context && (type === 'decision' ? context.decisions : context.actions)[index];
+    if (!item) {
+      await client.chat.postEphemeral({
+        channel: body.channel.id,
+        user: body.user.id,
+        text: '❌ コンテキストが見つかりません。再度議事録を処理してください。'
+      });
+      return;
+    }
+
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: buildProposalEditModal({ type, index, item, channelId: body.channel.id, messageTs: body.message.ts })
+    });
+  } catch (error) {
+    logger.error('[meeting-approval] Failed to open edit modal:', error);
+  }
+});
+
+app.view('meeting_proposal_edit', async ({ ack, body, view, client, logger }) => {
+  const { getProposalEditValues } = require('./meeting-proposal-ui');
+  const { handleProposalEdit } = require('./meeting-flow-integration');
+
+  const editValues = getProposalEditValues(view);
+  const required = editValues.type === 'decision' ? 'content' : 'task';
+  if (!editValues.values[required]) {
+    await ack({ response_action: 'errors', errors: { [required]: '入力してください。' } });
+    return;
+  }
+  await ack();
+
+  const result = await handleProposalEdit(editValues, client);
+  if (!result.success) {
+    logger.error(`[meeting-approval] Edit failed: ${result.error}`);
+    await client.chat.postEphemeral({
+      channel: editValues.channelId,
+      user: body.user.id,
+      text: `❌ 編集を保存できませんでした: ${result.error}`
+    });
+  }
+});
+
 // Catch-all action handler for debugging (excluding already handled actions)
-app.action(/^(?!select_project_|select_channel_|update_airtable_record|change_project_selection|retry_file_processing|reselect_project_for_recommit|skip_channel_github_only|retry_generate_minutes|back_to_channel_selection|cancel_|task_complete_|task_uncomplete_|task_snooze_|task_set_due_|task_edit_|task_action_|open_followup_modal|open_crosspost_selection|crosspost_to_channel_|approve_all|reject_all|approve_decision_|reject_decision_|approve_action_|reject_action_).*/, async ({ ack, action, logger }) => {
+app.action(/^(?!select_project_|select_channel_|roster_|minutes_review_|update_airtable_record|change_project_selection|retry_file_processing|reselect_project_for_recommit|skip_channel_github_only|retry_generate_minutes|back_to_channel_selection|cancel_|task_complete_|task_uncomplete_|task_snooze_|task_escalation_ack_|task_set_due_|task_edit_|task_action_|task_list_filter_|recurring_|open_followup_modal|open_crosspost_selection|crosspost_to_channel_|approve_all|reject_all|approve_decision_|reject_decision_|approve_action_|reject_action_|edit_decision_|edit_action_).*/, async ({ ack, action, logger }) => {
   logger.info('=== CATCH-ALL ACTION HANDLER ===');
   logger.info('Unhandled action:', action.action_id);
   logger.info('Action type:', action.type);
@@ -3549,6 +4631,25 @@ module.exports.handler = async (event, context, callback) => {
 
     try {
       const results = await reminderService.runDailyReminders();
+
+      // 定期タスクの生成（失敗してもリマインドの結果は返す）
+      try {
+        const { RecurringTaskService } = require('./recurring-tasks');
+        results.recurring = await new RecurringTaskService(slackClient).runDueDefinitions();
+      } catch (error) {
+        console.error('Failed to run recurring tasks:', error);
+        results.recurring = { error: error.message };
+      }
+
+      // 期限切れタスクのエスカレーション（失敗してもリマインドの結果は返す）
+      try {
+        const { TaskEscalationService } = require('./task-escalation');
+        results.escalation = await new TaskEscalationService(slackClient).runEscalations();
+      } catch (error) {
+        console.error('Failed to run task escalations:', error);
+        results.escalation = { error: error.message };
+      }
+
       console.log('Daily reminders completed:', JSON.stringify(results, null, 2));
       return {
         statusCode: 200,
@@ -3587,7 +4688,7 @@ module.exports.handler = async (event, context, callback) => {
     }
   }
 
-  // Run daily summaries with Working Memory consideration
+  // Run daily summaries with /mana-settings preferences (falls back to Working Memory)
   // Triggered by EventBridge, checks each user's preferred reminder time
   if (event.action === 'run_daily_summaries') {
     const { WebClient } = require('@slack/web-api');
@@ -3605,7 +4706,7 @@ module.exports.handler = async (event, context, callback) => {
     }).padStart(2, '0');
 
     try {
-      const results = await reminderService.runDailySummaries(jstHour);
+      const results = await reminderService.runDailySummaries(jstHour, now);
       console.log('Daily summaries completed:', JSON.stringify(results, null, 2));
       return {
         statusCode: 200,
@@ -3644,6 +4745,34 @@ module.exports.handler = async (event, context, callback) => {
     }
   }
 
+  // Two-way reconcile between Airtable Tasks and _tasks/index.md (scheduled by EventBridge)
+  // 解決できなかった衝突は TASK_SYNC_CONFLICT_CHANNEL_ID（event.conflictChannelId で上書き可）に投稿する
+  if (event.action === 'reconcile_tasks') {
+    const { WebClient } = require('@slack/web-api');
+    const { TaskReconcileService } = require('./task-reconcile');
+
+    const slackClient = new WebClient(process.env.SLACK_BOT_TOKEN);
+    const reconcileService = new TaskReconcileService({
+      slackClient,
+      conflictChannelId: event.conflictChannelId
+    });
+
+    try {
+      const results = await reconcileService.reconcile();
+      console.log('Task reconcile completed:', JSON.stringify(results, null, 2));
+      return {
+        statusCode: 200,
+        body: JSON.stringify(results)
+      };
+    } catch (error) {
+      console.error('Failed to reconcile tasks:', error);
+      return {
+        statusCode: 500,
+        body: JSON.stringify({ error: error.message })
+      };
+    }
+  }
+
   // Handle scheduled Slack history sync
   if (event.action === 'sync_slack_history') {
     const { syncAllWorkspaces } = require('./sync-slack-history');
@@ -3918,6 +5047,21 @@ module.exports.handler = async (event, context, callback) => {
     };
   }
 
+  // Handle publishing reviewed minutes (invoked from minutes_review_submit)
+  if (event.type === 'minutes_review_publish_async') {
+    const { WebClient } = require('@slack/web-api');
+    const slackClient = new WebClient(process.env.SLACK_BOT_TOKEN);
+
+    console.log('=== MINUTES REVIEW PUBLISH ASYNC HANDLER ===');
+    try {
+      await publishReviewedMinutes({ client: slackClient, logger: console, context: event.context || {}, reviewerId: event.reviewerId });
+      return { statusCode: 200, body: 'OK' };
+    } catch (e) {
+      console.error('Failed to publish reviewed minutes:', e);
+      return { statusCode: 500, body: e.message };
+    }
+  }
+
   // Handle async followup generation (invoked from followup_modal_config)
   if (event.type === 'followup_async') {
     const { WebClient } = require('@slack/web-api');
@@ -1,5 +1,6 @@
 const { BedrockRuntimeClient, InvokeModelCommand } = require("@aws-sdk/client-bedrock-runtime");
 const { S3Client, GetObjectCommand } = require("@aws-sdk/client-s3");
+const { mapWithConcurrency } = require('./concurrency');
 
 // Mastra切り替えフラグ（環境変数で制御）
 const USE_MASTRA = process.env.USE_MASTRA === 'true';
@@ -145,6 +146,46 @@ async function getProjectContext(projectName) {
   }
 }
 
+// 議事録のコンテキスト検索に使う文字起こしの抜粋（冒頭・中盤・終盤）の長さ
+const MINUTES_RETRIEVAL_SAMPLE_CHARS = 2000;
+const MINUTES_RETRIEVAL_TOP_K = 10;
+
+/**
+ * 質問・文字起こしに関連する部分だけのプロジェクトコンテキストを取得します。
+ * 検索用の索引（context-retrieval.js）がないプロジェクトでは、従来どおり全文を返します。
+ * @param {string} projectName - プロジェクト名（例: "ncom", "baao"）
+ * @param {string|string[]} queries - 検索文
+ * @param {{topK?: number, includeGlossary?: boolean}} options - includeGlossary: 固有名詞の修正用に用語集も入れる
+ * @returns {Promise<string|null>} - コンテキストテキスト、または取得失敗時にnull
+ */
+async function getRelevantProjectContext(projectName, queries, { topK, includeGlossary = false } = {}) {
+  if (!projectName) {
+    return null;
+  }
+
+  const { retrieveProjectContext, formatRetrievedContext } = require('./context-retrieval');
+  const retrieved = await retrieveProjectContext(projectName, queries, { topK });
+  if (retrieved) {
+    return formatRetrievedContext(retrieved, { includeGlossary });
+  }
+  return getProjectContext(projectName);
+}
+
+/**
+ * 文字起こしから検索文を作る（冒頭・中盤・終盤の抜粋。話題が途中で変わっても拾えるようにする）
+ */
+function sampleTranscriptForRetrieval(text, sampleChars = MINUTES_RETRIEVAL_SAMPLE_CHARS) {
+  if (text.length <= sampleChars * 3) {
+    return [text];
+  }
+  const middle = Math.floor((text.length - sampleChars) / 2);
+  return [
+    text.slice(0, sampleChars),
+    text.slice(middle, middle + sampleChars),
+    text.slice(-sampleChars)
+  ];
+}
+
 /**
  * テキストを要約し、ネクストアクションを抽出します。
  * @param {string} text - 要約するテキスト
@@ -301,37 +342,19 @@ ${truncatedText}
   }
 }
 
+// 1回のリクエストで渡せる文字起こしの上限（これを超えたら分割して要約してから統合する）
+const MINUTES_MAX_CHARS = 180000;
+// 分割するときの1セグメントの長さと、前のセグメントから重ねて渡す長さ
+const MINUTES_SEGMENT_CHARS = 60000;
+const MINUTES_SEGMENT_OVERLAP_CHARS = 2000;
+// セグメントの要約を同時に投げる数
+const MINUTES_SEGMENT_CONCURRENCY = 2;
+
 /**
- * 文字起こしデータから詳細な議事録を生成します。
- * @param {string} text - 文字起こしデータ
- * @param {string} projectName - プロジェクト名（コンテキスト取得用、オプショナル）
- * @returns {Promise<string|null>} - 議事録、またはエラー時にnull
+ * 議事録プロンプトのプロジェクトコンテキスト部分を組み立てる
  */
-async function generateMeetingMinutes(text, projectName = null) {
-  if (!text || text.trim() === "") {
-    return null;
-  }
-
-  // Mastraブリッジが有効な場合は委譲
-  const bridge = getMastraBridge();
-  if (bridge) {
-    console.log('Using Mastra bridge for generateMeetingMinutes');
-    return bridge.generateMeetingMinutes(text, projectName);
-  }
-
-  // brainbaseコンテキストを取得
-  const projectContext = await getProjectContext(projectName);
-
-  // モデルの最大トークン数を超えないようにテキストを切り詰める（安全策）
-  // コンテキストがある場合は、その分を考慮して切り詰め
-  const contextLength = projectContext ? projectContext.length : 0;
-  const maxChars = 180000 - Math.min(contextLength, 50000);
-  const truncatedText = text.length > maxChars ? text.substring(0, maxChars) : text;
-
-  const modelId = resolveModelId();
-
-  // コンテキストセクションを構築
-  const contextSection = projectContext ? `
+function buildMinutesContextSection(projectContext) {
+  return projectContext ? `
 # プロジェクトコンテキスト
 
 ## 固有名詞の修正ルール（最重要）
@@ -350,6 +373,405 @@ ${projectContext}
 ---
 
 ` : '';
+}
+
+/**
+ * 1発言（行）がセグメントより長い場合は文の切れ目で分ける
+ */
+function splitLongTurn(turn, segmentChars) {
+  const pieces = [];
+  let rest = turn;
+  while (rest.length > segmentChars) {
+    const sentenceEnd = Math.max(rest.lastIndexOf('。', segmentChars - 1), rest.lastIndexOf('. ', segmentChars - 1));
+    const cut = sentenceEnd >= segmentChars / 2 ? sentenceEnd + 1 : segmentChars;
+    pieces.push(rest.substring(0, cut));
+    rest = rest.substring(cut).replace(/^\s+/, '');
+  }
+  if (rest) {
+    pieces.push(rest);
+  }
+  return pieces;
+}
+
+/**
+ * 文字起こしを発言の切れ目（行）でセグメントに分ける
+ * 前のセグメント末尾の発言を次のセグメントの先頭に重ねて、切れ目の文脈が失われないようにする
+ * @param {string} text - 文字起こしデータ
+ * @param {Object} [options]
+ * @param {number} [options.segmentChars] - 1セグメントの目安の長さ
+ * @param {number} [options.overlapChars] - 重ねる長さの上限
+ * @returns {string[]}
+ */
+function splitTranscriptIntoSegments(text, { segmentChars = MINUTES_SEGMENT_CHARS, overlapChars = MINUTES_SEGMENT_OVERLAP_CHARS } = {}) {
+  const turns = text.split('\n').flatMap(line => splitLongTurn(line, segmentChars));
+
+  const segments = [];
+  let current = [];
+  let currentLength = 0;
+  let hasNewTurn = false;
+
+  for (const turn of turns) {
+    if (hasNewTurn && currentLength + turn.length + 1 > segmentChars) {
+      segments.push(current.join('\n'));
+
+      const overlap = [];
+      let overlapLength = 0;
+      for (let i = current.length - 1; i >= 0 && overlapLength + current[i].length + 1 <= overlapChars; i--) {
+        overlap.unshift(current[i]);
+        overlapLength += current[i].length + 1;
+      }
+      current = overlap;
+      currentLength = overlapLength;
+      hasNewTurn = false;
+    }
+
+    current.push(turn);
+    currentLength += turn.length + 1;
+    if (turn.trim()) {
+      hasNewTurn = true;
+    }
+  }
+
+  if (hasNewTurn) {
+    segments.push(current.join('\n'));
+  }
+
+  return segments;
+}
+
+/**
+ * アクションの内容・担当者を比較用にそろえる（小文字にし、空白と句読点・括弧を外す）
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeActionText(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[\s、。，．,.・「」『』（）()【】!！?？:：]/g, '');
+}
+
+/**
+ * 重複するアクションをまとめる
+ * 同じ担当者で、内容が同じか一方がもう一方を含むものは1件にし、内容の詳しい方と期限のある方を残す
+ * @param {Array<{task: string, assignee: string, deadline: string}>} actions
+ * @returns {Array<{task: string, assignee: string, deadline: string}>}
+ */
+function dedupeActions(actions) {
+  const merged = [];
+
+  for (const action of actions || []) {
+    if (!action || !action.task) continue;
+
+    const assignee = normalizeActionText(action.assignee);
+    const task = normalizeActionText(action.task);
+    const existing = merged.find(entry => (
+      entry.assignee === assignee && (entry.task.includes(task) || task.includes(entry.task))
+    ));
+
+    if (!existing) {
+      merged.push({ assignee, task, action });
+      continue;
+    }
+
+    if (task.length > existing.task.length) {
+      existing.task = task;
+      existing.action = { ...action, deadline: action.deadline || existing.action.deadline };
+    } else if (!existing.action.deadline && action.deadline) {
+      existing.action = { ...existing.action, deadline: action.deadline };
+    }
+  }
+
+  return merged.map(entry => entry.action);
+}
+
+/**
+ * 議事録プロンプトを投げて {raw, minutes, actions, progress} を返す（JSONとして読めなければ null）
+ * progress は前回の会議を渡したときだけモデルが返す（なければ空配列）
+ */
+async function invokeMinutesPrompt(prompt, modelId) {
+  const payload = {
+    anthropic_version: "bedrock-2023-05-31",
+    max_tokens: 8192,
+    messages: [{
+      role: "user",
+      content: [{
+        type: "text",
+        text: prompt
+      }]
+    }]
+  };
+
+  const responseBody = await invokeBedrock(payload, modelId);
+  if (!responseBody.content || responseBody.content.length === 0) {
+    throw new Error("Bedrockからのレスポンス形式が不正です。");
+  }
+
+  const rawResponse = responseBody.content[0].text;
+  const parsed = parseMinutesJson(rawResponse);
+  if (!parsed) {
+    return null;
+  }
+
+  return {
+    raw: rawResponse,
+    minutes: parsed.minutes || '',
+    actions: parsed.actions || [],
+    progress: Array.isArray(parsed.progress) ? parsed.progress : []
+  };
+}
+
+/**
+ * 部分議事録ごとの前回からの進捗を1つにまとめる
+ * 同じアクションは後の部を優先する（ただし後の部で言及がない open は、前の部でわかった状況を上書きしない）
+ * @param {Array<Array<{task: string, status: string, note: string}>>} progressLists
+ * @returns {Array<{task: string, status: string, note: string}>}
+ */
+function mergePartialProgress(progressLists) {
+  const merged = new Map();
+
+  for (const item of progressLists.flat()) {
+    if (!item || !item.task) continue;
+
+    const key = normalizeActionText(item.task);
+    if (!merged.has(key) || item.status !== 'open' || item.note) {
+      merged.set(key, item);
+    }
+  }
+
+  return [...merged.values()];
+}
+
+/**
+ * 長い文字起こしの1セグメントを部分議事録にする
+ */
+async function generatePartialMinutes(segment, index, total, contextSection, modelId) {
+  const prompt = `あなたは優秀な議事録作成者です。長い会議の文字起こしを${total}分割したうちの第${index + 1}部を渡すので、この部分の議事録を作成してください。
+あとで全体の議事録に統合するので、この部分で議論された内容を漏らさず記録してください。
+${contextSection}
+# ルール
+- この部分で議論されたすべてのトピックについて、背景・議論の内容・結論・理由を複数の文で記述する
+- 具体的な数字、日付、人名、システム名は漏らさず記載する
+- 冒頭の数行は前の部分と重なっている場合がある。重なりの内容も、この部分の話の続きとして扱ってよい
+- 会議のタイトル行や導入文は不要（統合時に作成する）
+
+# 出力形式：JSON
+
+以下のJSON形式で出力してください。JSONのみを出力し、前後に説明文を付けないでください。
+
+\`\`\`json
+{
+  "minutes": "この部分の議事録本文（Slack mrkdwn記法。トピックは *[トピック名]について*、サブトピックは _[サブトピック]_ で書く）",
+  "actions": [
+    {
+      "task": "具体的なアクション内容",
+      "assignee": "担当者の「苗字 名前」形式のフルネーム（役職は含めない）",
+      "deadline": "期限"
+    }
+  ]
+}
+\`\`\`
+
+# 文字起こしデータ（第${index + 1}部 / 全${total}部）
+${segment}
+`;
+
+  return invokeMinutesPrompt(prompt, modelId);
+}
+
+/**
+ * 部分議事録を1つの議事録に統合する
+ */
+async function mergePartialMinutes(partials, actions, progress, contextSection, modelId) {
+  const partialSections = partials
+    .map((partial, index) => `## 第${index + 1}部\n${partial.minutes}`)
+    .join('\n\n');
+  const progressSection = progress.length > 0
+    ? `
+# 部分議事録から抽出した前回からの進捗
+部の間で食い違う場合は、後の部の状況を優先して "progress" にまとめてください。
+${JSON.stringify(progress, null, 2)}
+`
+    : '';
+
+  const prompt = `あなたは優秀な議事録作成者です。長い会議の文字起こしを分割して作成した部分議事録を、1つの議事録に統合してください。
+${contextSection}
+# ルール
+- 部分議事録の情報を削らずに統合する（同じトピックが複数の部に出てくる場合は1つのセクションにまとめ、経緯がわかる順に並べる）
+- 部の切れ目の重なりで同じ内容が2回出てくる場合は1回にする
+- アクションアイテムは同じ内容のものを1件にまとめ、期限がわかるものは期限を残す
+
+# 出力形式：JSON
+
+以下のJSON形式で出力してください。JSONのみを出力し、前後に説明文を付けないでください。
+
+\`\`\`json
+{
+  "minutes": "議事録本文（Slack mrkdwn記法）",
+  "actions": [
+    {
+      "task": "具体的なアクション内容",
+      "assignee": "担当者のフルネーム",
+      "deadline": "期限"
+    }
+  ]
+}
+\`\`\`
+
+## minutesフィールドの構成
+1. タイトル行: \`MM-DD 会議名: トピック1・トピック2・トピック3\`
+2. 導入文（1〜2文）: 会議の目的と主要な成果
+3. トピック別セクション: *[トピック名]について* / _[サブトピック]_ で、部分議事録の詳細をそのまま残す
+
+# 部分議事録
+${partialSections}
+
+# 部分議事録から抽出したアクションアイテム
+${JSON.stringify(actions, null, 2)}
+${progressSection}`;
+
+  return invokeMinutesPrompt(prompt, modelId);
+}
+
+/**
+ * 長い文字起こしを分割して要約し（map）、1つの議事録に統合する（reduce）
+ * 統合に失敗した場合は部分議事録をつなげたものを返す
+ * 前回の会議を渡したときの progress は、部分議事録の進捗をまとめて統合にも渡す（統合で返らなければまとめたものを使う）
+ * @returns {Promise<{raw: string, minutes: string, actions: Array, progress: Array, chunked: {segments: number, failedSegments: number[]}}|null>}
+ */
+async function generateChunkedMeetingMinutes(text, contextSection, modelId) {
+  const segments = splitTranscriptIntoSegments(text);
+  console.log(`Transcript is too long (${text.length} chars), generating minutes in ${segments.length} segments`);
+
+  const partials = await mapWithConcurrency(segments, MINUTES_SEGMENT_CONCURRENCY, async (segment, index) => {
+    try {
+      return await generatePartialMinutes(segment, index, segments.length, contextSection, modelId);
+    } catch (error) {
+      console.error(`第${index + 1}部の議事録生成中にエラーが発生しました:`, error);
+      return null;
+    }
+  });
+
+  const succeeded = partials.filter(Boolean);
+  const failedSegments = partials
+    .map((partial, index) => (partial ? null : index + 1))
+    .filter(index => index !== null);
+
+  if (succeeded.length === 0) {
+    console.error("Bedrockでの議事録生成中にエラーが発生しました: すべてのセグメントの要約に失敗しました");
+    return null;
+  }
+
+  const partialActions = dedupeActions(succeeded.flatMap(partial => partial.actions));
+  const partialProgress = mergePartialProgress(succeeded.map(partial => partial.progress));
+
+  let merged = null;
+  try {
+    merged = await mergePartialMinutes(succeeded, partialActions, partialProgress, contextSection, modelId);
+  } catch (error) {
+    console.error("部分議事録の統合中にエラーが発生しました:", error);
+  }
+
+  if (!merged) {
+    console.warn('Failed to merge partial minutes, concatenating them as fallback');
+  }
+
+  const minutes = merged
+    ? merged.minutes
+    : succeeded.map(partial => partial.minutes).join('\n\n');
+  const actions = dedupeActions(merged ? [...merged.actions, ...partialActions] : partialActions);
+  const progress = merged && merged.progress.length > 0 ? merged.progress : partialProgress;
+
+  const notes = [`_※ 文字起こしが長いため${segments.length}分割して要約し、統合しました_`];
+  if (failedSegments.length > 0) {
+    notes.push(`_※ 第${failedSegments.join('・')}部は要約に失敗したため含まれていません_`);
+  }
+
+  return {
+    raw: merged ? merged.raw : succeeded.map(partial => partial.raw).join('\n\n'),
+    minutes: `${minutes}\n\n${notes.join('\n')}`,
+    actions,
+    progress,
+    chunked: {
+      segments: segments.length,
+      failedSegments
+    }
+  };
+}
+
+/**
+ * 文字起こしデータから詳細な議事録を生成します。
+ * 1回で渡せない長さの文字起こしは、分割して要約してから統合します（結果の chunked に分割数が入ります）。
+ * 参加者名簿（participant-roster.js）を渡すと、話者名を名簿の氏名で記載し、アクションの担当者をメンバーにそろえます。
+ * 定例会議の前回分（meeting-series.js）を渡すと、前回のアクションの状況を結果の progress に入れます。
+ * @param {string} text - 文字起こしデータ
+ * @param {string} projectName - プロジェクト名（コンテキスト取得用、オプショナル）
+ * @param {Object} [options]
+ * @param {Object} [options.roster] - buildParticipantRoster() の結果（確認済みのものを渡す）
+ * @param {Object} [options.previousMeeting] - MeetingSeriesLoader#loadPreviousMeeting() の結果
+ * @returns {Promise<string|null>} - 議事録、またはエラー時にnull
+ */
+async function generateMeetingMinutes(text, projectName = null, { roster = null, previousMeeting = null } = {}) {
+  if (!text || text.trim() === "") {
+    return null;
+  }
+
+  let minutesData = await draftMeetingMinutes(text, projectName, roster, previousMeeting);
+  if (!minutesData) {
+    return minutesData;
+  }
+
+  if (previousMeeting) {
+    // 分割して生成したときは部分議事録の進捗をまとめたものが入っている（raw は統合結果か部分議事録をつなげたもの）
+    const { reconcileProgress } = require('./meeting-series');
+    const parsed = minutesData.progress ? null : parseMinutesJson(minutesData.raw || '');
+    minutesData = {
+      ...minutesData,
+      progress: reconcileProgress(previousMeeting.openActions, minutesData.progress || (parsed && parsed.progress))
+    };
+  }
+
+  if (!roster) {
+    return minutesData;
+  }
+
+  const { resolveActionAssignees } = require('./participant-roster');
+  return {
+    ...minutesData,
+    actions: await resolveActionAssignees(minutesData.actions, roster)
+  };
+}
+
+async function draftMeetingMinutes(text, projectName, roster, previousMeeting) {
+  // Mastraブリッジが有効な場合は委譲（ブリッジは長い文字起こしを切り詰めるので、分割が必要な長さならこちらで処理する）
+  // 前回の会議の進捗はブリッジでは扱えないので、前回分があるときもこちらで処理する
+  const bridge = getMastraBridge();
+  if (bridge && text.length <= MINUTES_MAX_CHARS && !previousMeeting) {
+    console.log('Using Mastra bridge for generateMeetingMinutes');
+    return bridge.generateMeetingMinutes(text, projectName);
+  }
+
+  const { formatRosterForPrompt } = require('./participant-roster');
+  const { formatPreviousMeetingForPrompt } = require('./meeting-series');
+
+  // brainbaseコンテキストのうち、会議の話題に関連する部分と用語集を取得
+  const projectContext = await getRelevantProjectContext(projectName, sampleTranscriptForRetrieval(text), {
+    topK: MINUTES_RETRIEVAL_TOP_K,
+    includeGlossary: true
+  });
+
+  // モデルの最大トークン数を超える場合は、分割して要約してから統合する
+  // コンテキストがある場合は、その分を考慮する
+  const contextLength = projectContext ? projectContext.length : 0;
+  const maxChars = MINUTES_MAX_CHARS - Math.min(contextLength, 50000);
+
+  const modelId = resolveModelId();
+  const contextSection = buildMinutesContextSection(projectContext) +
+    formatRosterForPrompt(roster) +
+    formatPreviousMeetingForPrompt(previousMeeting);
+
+  if (text.length > maxChars) {
+    return generateChunkedMeetingMinutes(text, contextSection, modelId);
+  }
 
   const prompt = `あなたは優秀な議事録作成者です。以下の会議の文字起こしデータから、読み手がすぐに状況を理解し行動できる議事録を作成してください。
 ${contextSection}
@@ -419,7 +841,7 @@ _[サブトピック1]_
 - 90分以上の会議 → 約3000〜5000文字の議事録
 
 # 文字起こしデータ
-${truncatedText}
+${text}
 `;
 
   const payload = {
@@ -463,6 +885,74 @@ ${truncatedText}
   }
 }
 
+/**
+ * 議事録の1セクションを、レビューする人の指示に沿って書き直す
+ * @param {Object} params
+ * @param {string} params.section - 書き直すセクション
+ * @param {string} params.instruction - 指示（例: もっと詳しく / 固有名詞を修正）
+ * @param {string} params.minutes - 議事録全体（前後の文脈として渡す）
+ * @param {string} params.transcript - 文字起こしデータ
+ * @param {string} [params.projectName] - プロジェクト名（コンテキスト取得用）
+ * @returns {Promise<string|null>} - 書き直したセクション、またはエラー時にnull
+ */
+async function regenerateMinutesSection({ section, instruction, minutes, transcript, projectName = null }) {
+  if (!section || !instruction) {
+    return null;
+  }
+
+  const projectContext = await getProjectContext(projectName);
+  const contextSection = buildMinutesContextSection(projectContext);
+  const truncatedTranscript = (transcript || '').slice(0, MINUTES_MAX_CHARS - Math.min(projectContext ? projectContext.length : 0, 50000));
+
+  const prompt = `あなたは優秀な議事録作成者です。作成済みの議事録のうち1つのセクションを、指示に沿って書き直してください。
+${contextSection}
+# 指示
+${instruction}
+
+# ルール
+- 書き直すのは「書き直すセクション」だけ。ほかのセクションの内容を持ち込まない
+- 文字起こしに書かれていない内容を付け足さない
+- 見出し（*[トピック名]について*、_[サブトピック]_）の形式と Slack mrkdwn 記法は保つ
+- 書き直したセクションの本文だけを出力する（前後に説明文やコードブロックを付けない）
+
+# 議事録全体（文脈）
+${minutes || section}
+
+# 書き直すセクション
+${section}
+
+# 文字起こしデータ
+${truncatedTranscript}
+`;
+
+  const payload = {
+    anthropic_version: "bedrock-2023-05-31",
+    max_tokens: 4096,
+    messages: [{
+      role: "user",
+      content: [{
+        type: "text",
+        text: prompt
+      }]
+    }]
+  };
+
+  try {
+    const responseBody = await invokeBedrock(payload, resolveModelId());
+    if (!responseBody.content || responseBody.content.length === 0) {
+      throw new Error("Bedrockからのレスポンス形式が不正です。");
+    }
+    const rewritten = responseBody.content[0].text
+      .trim()
+      .replace(/^```(?:\w+)?\n([\s\S]*?)\n```$/, '$1')
+      .trim();
+    return rewritten || null;
+  } catch (error) {
+    console.error("議事録セクションの再生成中にエラーが発生しました:", error);
+    return null;
+  }
+}
+
 /**
  * JSONレスポンスをパースする
  */
@@ -494,10 +984,12 @@ function formatMinutesForGitHub(minutesData) {
   if (!minutesData) return '';
   if (typeof minutesData === 'string') return minutesData;
 
-  const { minutes, actions } = minutesData;
+  const { minutes, actions, progress } = minutesData;
+  const { formatProgressSection } = require('./meeting-series');
+  const body = (minutes || '') + formatProgressSection(progress);
 
   if (!actions || actions.length === 0) {
-    return minutes || '';
+    return body;
   }
 
   const actionLines = actions.map(action => {
@@ -506,7 +998,7 @@ function formatMinutesForGitHub(minutesData) {
 
   const actionsSection = `\n\n*📅 次の手配・アクション*\n${actionLines.join('\n')}`;
 
-  return (minutes || '') + actionsSection;
+  return body + actionsSection;
 }
 
 /**
@@ -516,10 +1008,12 @@ async function formatMinutesForSlack(minutesData) {
   if (!minutesData) return '';
   if (typeof minutesData === 'string') return minutesData;
 
-  const { minutes, actions } = minutesData;
+  const { minutes, actions, progress } = minutesData;
+  const { formatProgressSection } = require('./meeting-series');
+  const body = (minutes || '') + formatProgressSection(progress);
 
   if (!actions || actions.length === 0) {
-    return minutes || '';
+    return body;
   }
 
   // Import mention resolver
@@ -542,7 +1036,7 @@ async function formatMinutesForSlack(minutesData) {
 
   const actionsSection = `\n\n*📅 次の手配・アクション*\n${actionLines.join('\n')}`;
 
-  return (minutes || '') + actionsSection;
+  return body + actionsSection;
 }
 
 /**
@@ -664,9 +1158,11 @@ ${projectContext ? `# 参照用プロジェクトコンテキスト\n${projectCo
  * @param {string} channelName - チャンネル名（プロジェクト推定用）
  * @param {string} senderName - 送信者名
  * @param {string} assigneeName - 担当者名（フィルタリング用、オプション）
+ * @param {Object} options
+ * @param {string} [options.projectId] - チャンネルのプロジェクトID（指定するとメッセージに関連するプロジェクトコンテキストを参照する）
  * @returns {Promise<Array>} - 抽出されたタスク情報の配列
  */
-async function extractTasksFromMessage(message, channelName = '', senderName = '', assigneeName = '') {
+async function extractTasksFromMessage(message, channelName = '', senderName = '', assigneeName = '', { projectId = null } = {}) {
   if (!message || message.trim() === '') {
     return [];
   }
@@ -700,6 +1196,18 @@ async function extractTasksFromMessage(message, channelName = '', senderName = '
 
   const weekDates = dayNames.map(day => `${day}曜→${getDateForDay(day)}`).join(', ');
 
+  // プロジェクトが分かっている場合は、メッセージに関連するコンテキスト（用語集・担当者など）を渡す
+  const projectName = projectId ? projectId.replace(/^proj_/, '') : null;
+  const projectContext = projectName && projectName !== 'general'
+    ? await getRelevantProjectContext(projectName, message, { includeGlossary: true })
+    : null;
+  const contextSection = projectContext ? `
+# プロジェクトコンテキスト（${projectName}）
+タイトルの固有名詞の表記、担当者・期限の判断の参考にしてください。
+
+${projectContext.substring(0, 20000)}
+` : '';
+
   const prompt = `あなたはタスク抽出AIです。以下のSlackメッセージからタスク情報を抽出してJSON形式で出力してください。
 
 # 現在日時
@@ -711,7 +1219,7 @@ async function extractTasksFromMessage(message, channelName = '', senderName = '
 - 送信者: ${senderName || '不明'}
 - 担当者: ${assigneeName || '不明'}
 - メッセージ: ${message}
-
+${contextSection}
 # 出力形式
 タスクの**配列**をJSON形式で出力してください。タスクが1件でも配列で出力。
 
@@ -851,7 +1359,13 @@ module.exports = {
   summarizeText,
   generateFilename,
   generateMeetingMinutes,
+  regenerateMinutesSection,
+  splitTranscriptIntoSegments,
+  sampleTranscriptForRetrieval,
+  normalizeActionText,
+  dedupeActions,
   getProjectContext,
+  getRelevantProjectContext,
   formatMinutesForGitHub,
   formatMinutesForSlack,
   generateFollowupMessage,
@@ -5,7 +5,7 @@ import { Agent } from '@mastra/core/agent';
 import { defaultModel } from '../../config/llm-provider.js';
 import { memory } from '../../config/memory.js';
 import { ProjectConfig } from '../../config/projects.js';
-import { githubAppendTaskTool, githubCommitMinutesTool } from '../../tools/github.js';
+import { githubAppendTaskTool, githubCommitMinutesTool, githubGetDecisionHistoryTool } from '../../tools/github.js';
 import { slackPostMessageTool, slackAddReactionTool } from '../../tools/slack.js';
 
 /**
@@ -55,8 +55,13 @@ Slackで表示されるため、必ずSlack mrkdwn形式で回答すること：
 ## ツール使用
 - タスク追加時は github_append_task を使用
 - 議事録コミット時は github_commit_minutes を使用
+- 「決定事項の履歴」「以前の決定は？」など過去の決定を聞かれた時は github_get_decision_history を使用（置き換え済みの決定は、置き換えた決定とあわせて説明する）
 - Slack通知時は slack_post_message を使用
 
+## 出典
+- ツールの結果の citation（例: [3]）やコンテキストの資料の番号は、その情報を使った文の末尾に付ける
+- 出典の一覧（リンク）は回答の下に自動で付くので、回答の中には書かない
+
 ## Working Memory（ユーザー学習）
 対話を通じてユーザーの嗜好やコンテキストを学習し、次回以降の対話に活かす。
 
@@ -84,6 +89,7 @@ Slackで表示されるため、必ずSlack mrkdwn形式で回答すること：
     tools: {
       github_append_task: githubAppendTaskTool,
       github_commit_minutes: githubCommitMinutesTool,
+      github_get_decision_history: githubGetDecisionHistoryTool,
       slack_post_message: slackPostMessageTool,
       slack_add_reaction: slackAddReactionTool,
     },
@@ -8,8 +8,9 @@ import { Agent } from '@mastra/core/agent';
 import { defaultModel } from '../config/llm-provider.js';
 import { memory } from '../config/memory.js';
 import { WorkspaceConfig } from '../config/workspaces.js';
-import { githubAppendTaskTool, githubCommitMinutesTool } from '../tools/github.js';
+import { githubAppendTaskTool, githubCommitMinutesTool, githubGetDecisionHistoryTool } from '../tools/github.js';
 import { slackPostMessageTool, slackAddReactionTool } from '../tools/slack.js';
+import { slackSearchMessagesTool, slackGetThreadTool } from '../tools/slack-archive.js';
 import { webSearchTool, webExtractTool } from '../tools/tavily.js';
 import {
   airtableListBasesTool,
@@ -157,6 +158,18 @@ Slackで表示されるため、必ずSlack mrkdwn形式で回答すること：
 - 「○○の実装を見せて」→ search_source_code + read_source_file
 - 「プロンプトの内容を確認して」→ search_source_code で "prompt" を検索
 
+### Slackの過去のやり取り → slack_search_messages, slack_get_thread を使用
+「先週のzeims定例で何が決まった？」「○○の件、Slackで誰が何て言ってた？」など、Slackでのやり取りを聞かれた時に使用。
+**検索できるのは、このワークスペースのアクセス可能なプロジェクト（${config.projects.join(', ')}）のチャンネルだけです。**
+
+利用可能な操作：
+- メッセージ検索: slack_search_messages（キーワード・期間・プロジェクト・チャンネルで検索。最長31日分）
+- スレッド取得: slack_get_thread（見つけたメッセージのスレッドの前後のやり取り）
+
+使用例：
+- 「先週の定例で何が決まった？」→ slack_search_messages（fromDate/toDate に先週の月〜日、query に "定例" や "決定"）→ 必要なら slack_get_thread
+- 「他のプロジェクトも含めて探して」→ slack_search_messages（projectId: "all"）
+
 ### Google Calendar操作 → calendar_* を使用
 スケジュール確認・日程調整に使用。
 
@@ -181,9 +194,14 @@ Slackで表示されるため、必ずSlack mrkdwn形式で回答すること：
 
 ### その他ツール
 - 議事録コミット時は github_commit_minutes を使用
+- 「決定事項の履歴」「以前の決定は？」など過去の決定を聞かれた時は github_get_decision_history を使用（置き換え済みの決定は、置き換えた決定とあわせて説明する）
 - Slack通知時は slack_post_message を使用
 - 検索結果のURLの詳細を見たい時は web_extract を使用
 
+## 出典
+- ツールの結果の citation（例: [3]）やコンテキストの資料の番号は、その情報を使った文の末尾に付ける
+- 出典の一覧（リンク）は回答の下に自動で付くので、回答の中には書かない
+
 ## Working Memory（ユーザー学習）
 対話を通じてユーザーの嗜好やコンテキストを学習し、次回以降の対話に活かす。
 
@@ -211,8 +229,11 @@ Slackで表示されるため、必ずSlack mrkdwn形式で回答すること：
     tools: {
       // github_append_task は別システム（Task Intake）が処理するため除外
       github_commit_minutes: githubCommitMinutesTool,
+      github_get_decision_history: githubGetDecisionHistoryTool,
       slack_post_message: slackPostMessageTool,
       slack_add_reaction: slackAddReactionTool,
+      slack_search_messages: slackSearchMessagesTool,
+      slack_get_thread: slackGetThreadTool,
       web_search: webSearchTool,
       web_extract: webExtractTool,
       // Airtable MCPツール
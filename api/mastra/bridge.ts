@@ -9,6 +9,10 @@ import { S3Client, GetObjectCommand } from '@aws-sdk/client-s3';
 import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
 import { DynamoDBDocumentClient, GetCommand, ScanCommand } from '@aws-sdk/lib-dynamodb';
 import { setCurrentProjectId } from './tools/source-code.js';
+import { setCurrentSlackScope } from './tools/slack-archive.js';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
 
 // DynamoDB クライアント（プロジェクト設定取得用）
 const dynamoClient = new DynamoDBClient({ region: process.env.AWS_REGION || 'us-east-1' });
@@ -166,6 +170,27 @@ export async function getProjectContext(
   }
 }
 
+/**
+ * 質問に関連するプロジェクトコンテキストを検索する（context-retrieval.js）
+ * ワークスペースのスコープ外、または索引がない場合は null
+ */
+export async function retrieveRelevantContext(
+  projectName: string,
+  queries: string | string[],
+  workspace?: WorkspaceConfig,
+  options: { topK?: number } = {}
+): Promise<{ glossary: string; passages: any[] } | null> {
+  if (!projectName) return null;
+
+  if (workspace && !canAccessProject(workspace, `proj_${projectName}`)) {
+    console.warn(`[越権] Workspace ${workspace.id} attempted to access project ${projectName}`);
+    return null;
+  }
+
+  const { retrieveProjectContext } = require(process.cwd() + '/context-retrieval.js');
+  return retrieveProjectContext(projectName, queries, options);
+}
+
 /**
  * S3から共通用語集を取得
  */
@@ -355,6 +380,8 @@ const TOOL_DISPLAY_NAMES: Record<string, string> = {
   'airtable_search_records': '🔎 Airtableを検索',
   'gmail_search_messages': '📧 メールを検索',
   'gmail_get_message': '📧 メールを取得',
+  'slack_search_messages': '💬 Slackの履歴を検索',
+  'slack_get_thread': '💬 Slackのスレッドを取得',
 };
 
 export async function askMana(
@@ -368,6 +395,8 @@ export async function askMana(
     includeContext?: boolean;
     projectId?: string;        // チャンネルから解決したプロジェクトID
     onProgress?: (message: string) => Promise<void>;  // 進捗コールバック
+    onText?: (text: string) => Promise<void>;  // 生成中の回答（ここまでの全文）。指定するとストリーミングで生成する
+    onCitations?: (citations: any[]) => void;  // 回答で使われた出典（指定しなければ回答の末尾にテキストで付ける）
   }
 ): Promise<string> {
   // 1. Team IDからワークスペースとManaを特定
@@ -410,13 +439,48 @@ export async function askMana(
   }
 
   // 5. brainbaseコンテキストを取得（スコープチェック付き）
+  // 検索用の索引があれば質問に関連する部分だけを出典番号付きで渡し、なければ全文の先頭を渡す
+  // 出典番号はツールの結果（Airtable・GitHub・Gmail・Web）と通し番号にする
+  const {
+    CITATION_INSTRUCTION,
+    startCitationSession,
+    endCitationSession,
+    citeSource,
+    buildBrainbaseUrl,
+    selectCitedSources,
+    formatCitationsText,
+  } = require(process.cwd() + '/source-citations.js');
+  startCitationSession();
+
   let contextSection = '';
   if (options.includeContext !== false) {
     if (projectId) {
-      const projectContext = await getProjectContext(projectId, workspace);
-      if (projectContext) {
+      const retrieved = await retrieveRelevantContext(projectId, question, workspace);
+      if (retrieved && retrieved.passages.length > 0) {
+        const { formatPassagesForPrompt } = require(process.cwd() + '/context-retrieval.js');
+        const citedPassages = retrieved.passages.map((passage: any) => {
+          const citation = citeSource({
+            type: 'brainbase',
+            id: passage.id,
+            title: passage.source,
+            url: buildBrainbaseUrl(passage.source),
+          });
+          return { ...passage, number: Number(citation.slice(1, -1)) };
+        });
         contextSection = `
 # プロジェクトコンテキスト（brainbase）
+以下は${projectId}プロジェクトの資料のうち、質問に関連する部分です。回答時に参照してください。
+
+${formatPassagesForPrompt(citedPassages)}
+
+---
+
+`;
+      } else if (!retrieved) {
+        const projectContext = await getProjectContext(projectId, workspace);
+        if (projectContext) {
+          contextSection = `
+# プロジェクトコンテキスト（brainbase）
 以下は${projectId}プロジェクトの最新情報です。回答時に参照してください。
 
 ${projectContext.substring(0, 30000)}
@@ -424,6 +488,7 @@ ${projectContext.substring(0, 30000)}
 ---
 
 `;
+        }
       }
     } else {
       // プロジェクト不明の場合は共通用語集のみ
@@ -511,59 +576,99 @@ Airtableツール使用時は必ずこのBase IDを使用してください。
     }
   }
 
-  const prompt = `${formatInstruction}${scopeRestriction}${airtableContext}${contextSection}${senderInfo}${question}`;
+  const prompt = `${formatInstruction}${CITATION_INSTRUCTION}\n\n${scopeRestriction}${airtableContext}${contextSection}${senderInfo}${question}`;
 
   try {
     // ソースコードツールにプロジェクトIDを設定
     if (projectId) {
       setCurrentProjectId(`proj_${projectId}`);
     }
+    // Slack履歴ツールはワークスペース・プロジェクトのスコープ内だけを検索する
+    if (workspace) {
+      setCurrentSlackScope(workspace, projectId || null);
+    }
 
     // 進捗表示用のスロットリング（2秒に1回まで）
     let lastProgressUpdate = 0;
     const PROGRESS_THROTTLE_MS = 2000;
 
+    // ストリーミング中の回答（ツールを呼ぶステップの前置きは、次のステップで捨てる）
+    let streamedText = '';
+
+    const onStepFinish = async (step: any) => {
+      if (step.toolCalls && step.toolCalls.length > 0) {
+        streamedText = '';
+      }
+      if (!options.onProgress) {
+        return;
+      }
+      const now = Date.now();
+      if (now - lastProgressUpdate < PROGRESS_THROTTLE_MS) {
+        return; // スロットリング
+      }
+
+      // ツール呼び出しがあれば進捗を表示
+      if (step.toolCalls && step.toolCalls.length > 0) {
+        const toolCall = step.toolCalls[0];
+        // Mastraのtool call構造: { type, runId, from, payload: { toolCallId, toolName, args } }
+        const payload = toolCall.payload || toolCall;
+        const toolName = payload.toolName || payload.name || toolCall.toolName || toolCall.name;
+        console.log('[onStepFinish] toolName:', toolName, 'from payload:', payload.toolName);
+        const displayName = TOOL_DISPLAY_NAMES[toolName] || `🔧 ${toolName}`;
+
+        // ツールの引数から追加情報を取得
+        const args = payload.args || toolCall.args || {};
+        let detail = '';
+        if (args.filePath) {
+          detail = `: \`${args.filePath}\``;
+        } else if (args.path) {
+          detail = `: \`${args.path}\``;
+        } else if (args.query) {
+          detail = `: "${args.query}"`;
+        }
+
+        try {
+          await options.onProgress!(`${displayName}${detail}...`);
+          lastProgressUpdate = now;
+        } catch (e) {
+          console.warn('Progress update failed:', e);
+        }
+      }
+    };
+
     // ツール呼び出しを有効化（auto = LLMが必要に応じてツールを使う）
-    const result = await (agent as any).generateLegacy(prompt, {
+    const generateOptions = {
       toolChoice: 'auto',
       maxSteps: 50, // ツール呼び出しの最大ステップ数（ソースコード調査には複数ステップ必要）
-      onStepFinish: options.onProgress ? async (step: any) => {
-        const now = Date.now();
-        if (now - lastProgressUpdate < PROGRESS_THROTTLE_MS) {
-          return; // スロットリング
-        }
+      onStepFinish,
+    };
+
+    let resultText: string;
+    if (options.onText) {
+      // 生成中の回答を少しずつ返す（Slack 側で間引いて chat.update する）
+      const stream = await (agent as any).streamLegacy(prompt, generateOptions);
+      for await (const delta of stream.textStream) {
+        streamedText += delta;
+        // 表示は待たずに次のトークンを読む（表示中の更新は呼び出し側が最後に待つ）
+        options.onText(streamedText).catch((e) => {
+          console.warn('Streaming update failed:', e);
+        });
+      }
+      resultText = await stream.text;
+    } else {
+      const result = await (agent as any).generateLegacy(prompt, generateOptions);
+      resultText = result.text;
+    }
 
-        // ツール呼び出しがあれば進捗を表示
-        if (step.toolCalls && step.toolCalls.length > 0) {
-          const toolCall = step.toolCalls[0];
-          // Mastraのtool call構造: { type, runId, from, payload: { toolCallId, toolName, args } }
-          const payload = toolCall.payload || toolCall;
-          const toolName = payload.toolName || payload.name || toolCall.toolName || toolCall.name;
-          console.log('[onStepFinish] toolName:', toolName, 'from payload:', payload.toolName);
-          const displayName = TOOL_DISPLAY_NAMES[toolName] || `🔧 ${toolName}`;
-
-          // ツールの引数から追加情報を取得
-          const args = payload.args || toolCall.args || {};
-          let detail = '';
-          if (args.filePath) {
-            detail = `: \`${args.filePath}\``;
-          } else if (args.path) {
-            detail = `: \`${args.path}\``;
-          } else if (args.query) {
-            detail = `: "${args.query}"`;
-          }
-
-          try {
-            await options.onProgress!(`${displayName}${detail}...`);
-            lastProgressUpdate = now;
-          } catch (e) {
-            console.warn('Progress update failed:', e);
-          }
-        }
-      } : undefined,
-    });
-    return result.text;
+    // 回答で使われた番号の出典だけを返す
+    const citedSources = selectCitedSources(resultText, endCitationSession());
+    if (options.onCitations) {
+      options.onCitations(citedSources);
+      return resultText;
+    }
+    return citedSources.length > 0 ? `${resultText}\n\n${formatCitationsText(citedSources)}` : resultText;
   } catch (error) {
+    endCitationSession();
     console.error('askMana error:', error);
     return 'すみません、回答の生成中にエラーが発生しました。';
   }
@@ -581,6 +686,8 @@ export async function askProjectPM(
     includeContext?: boolean;
     teamId?: string;
     onProgress?: (message: string) => Promise<void>;  // 進捗コールバック
+    onText?: (text: string) => Promise<void>;  // 生成中の回答（ストリーミング）
+    onCitations?: (citations: any[]) => void;  // 回答で使われた出典
   }
 ): Promise<string> {
   // teamIdがあればaskManaを使用、なければデフォルトで動作
@@ -593,6 +700,8 @@ export async function askProjectPM(
     includeContext: options.includeContext,
     projectId: options.projectId,  // チャンネルから解決したプロジェクトID
     onProgress: options.onProgress,  // 進捗コールバック
+    onText: options.onText,
+    onCitations: options.onCitations,
   });
 }
 
@@ -621,7 +730,19 @@ export async function generateMeetingMinutes(
   }
 
   // brainbaseコンテキストを取得（スコープチェックなし、会議エージェントは共通）
-  const projectContext = projectName ? await getProjectContext(projectName) : null;
+  // 索引があれば会議の話題（冒頭・中盤・終盤）に関連する部分と用語集だけを渡す
+  let projectContext: string | null = null;
+  if (projectName) {
+    const { sampleTranscriptForRetrieval } = require(process.cwd() + '/llm-integration.js');
+    const samples: string[] = sampleTranscriptForRetrieval(text);
+    const retrieved = await retrieveRelevantContext(projectName, samples, undefined, { topK: 10 });
+    if (retrieved) {
+      const { formatRetrievedContext } = require(process.cwd() + '/context-retrieval.js');
+      projectContext = formatRetrievedContext(retrieved, { includeGlossary: true });
+    } else {
+      projectContext = await getProjectContext(projectName);
+    }
+  }
 
   const contextSection = projectContext
     ? `
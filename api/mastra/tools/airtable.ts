@@ -3,6 +3,7 @@
 
 import { createTool } from '@mastra/core/tools';
 import { z } from 'zod';
+import { citeAirtableRecord, citationSchemaDescription } from './citations.js';
 import Airtable from 'airtable';
 import axios from 'axios';
 
@@ -120,6 +121,7 @@ export const airtableListRecordsTool = createTool({
       id: z.string(),
       fields: z.record(z.string(), z.unknown()),
       createdTime: z.string().optional(),
+      citation: z.string().nullable().optional().describe(citationSchemaDescription),
     })),
     total: z.number(),
   }),
@@ -148,6 +150,7 @@ export const airtableListRecordsTool = createTool({
             id: record.id,
             fields: record.fields,
             createdTime: record._rawJson?.createdTime,
+            citation: citeAirtableRecord({ baseId, tableId, record }),
           });
         });
         fetchNextPage();
@@ -179,6 +182,7 @@ export const airtableSearchRecordsTool = createTool({
     records: z.array(z.object({
       id: z.string(),
       fields: z.record(z.string(), z.unknown()),
+      citation: z.string().nullable().optional().describe(citationSchemaDescription),
     })),
     total: z.number(),
   }),
@@ -210,6 +214,7 @@ export const airtableSearchRecordsTool = createTool({
           records.push({
             id: record.id,
             fields: record.fields,
+            citation: citeAirtableRecord({ baseId, tableId, record }),
           });
         });
         fetchNextPage();
@@ -239,6 +244,7 @@ export const airtableGetRecordTool = createTool({
     id: z.string(),
     fields: z.record(z.string(), z.unknown()),
     createdTime: z.string().optional(),
+    citation: z.string().nullable().optional().describe(citationSchemaDescription),
   }),
   execute: async (input) => {
     const { baseId, tableId, recordId } = input;
@@ -254,6 +260,7 @@ export const airtableGetRecordTool = createTool({
         id: record.id,
         fields: record.fields,
         createdTime: record._rawJson?.createdTime,
+        citation: citeAirtableRecord({ baseId, tableId, record }),
       };
     } catch (error: any) {
       console.error('[Airtable] Get record error:', error.message);
@@ -0,0 +1,39 @@
+// mastra/tools/citations.ts
+// ツールの結果に出典番号を付ける（source-citations.js のラッパー）
+
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+export type CitationSourceType = 'brainbase' | 'airtable' | 'github' | 'gmail' | 'web' | 'slack';
+
+export interface CitationSource {
+  type: CitationSourceType;
+  id: string;
+  title?: string;
+  url?: string | null;
+}
+
+// 出典番号（"[n]"）。askMana の外（出典を記録していないとき）は null
+export const citationSchemaDescription = '出典番号。回答でこの結果を使った文の末尾に付ける';
+
+function getSourceCitations() {
+  // eslint-disable-next-line @typescript-eslint/no-var-requires
+  return require(process.cwd() + '/source-citations.js');
+}
+
+export function citeSource(source: CitationSource): string | null {
+  return getSourceCitations().citeSource(source);
+}
+
+export function citeAirtableRecord(params: { baseId: string; tableId: string; record: { id: string; fields?: Record<string, unknown> } }): string | null {
+  return getSourceCitations().citeAirtableRecord(params);
+}
+
+export function buildGitHubBlobUrl(params: { owner: string; repo: string; branch?: string; path: string; line?: number }): string {
+  return getSourceCitations().buildGitHubBlobUrl(params);
+}
+
+export function buildGmailUrl(id: string): string {
+  return getSourceCitations().buildGmailUrl(id);
+}
@@ -3,6 +3,15 @@
 
 import { createTool } from '@mastra/core/tools';
 import { z } from 'zod';
+import { createRequire } from 'module';
+import { citeSource } from './citations.js';
+
+const require = createRequire(import.meta.url);
+
+function getMeetingDecisionCommit() {
+  // eslint-disable-next-line @typescript-eslint/no-var-requires
+  return require(process.cwd() + '/meeting-decision-commit.js');
+}
 
 // タスク追加ツール
 export const githubAppendTaskTool = createTool({
@@ -21,7 +30,7 @@ export const githubAppendTaskTool = createTool({
 
     // 既存のgithub-integration.jsのappendTask関数を呼び出し
     // 将来的にはここで直接GitHub APIを呼び出す
-    const GitHubIntegration = require('../../github-integration');
+    const GitHubIntegration = require(process.cwd() + '/github-integration.js');
     const github = new GitHubIntegration();
 
     try {
@@ -61,7 +70,7 @@ export const githubCommitMinutesTool = createTool({
   execute: async (input) => {
     const { projectId, date, topic, content } = input;
 
-    const GitHubIntegration = require('../../github-integration');
+    const GitHubIntegration = require(process.cwd() + '/github-integration.js');
     const github = new GitHubIntegration();
 
     try {
@@ -85,3 +94,44 @@ export const githubCommitMinutesTool = createTool({
     }
   },
 });
+
+// 決定事項の履歴取得ツール
+export const githubGetDecisionHistoryTool = createTool({
+  id: 'github_get_decision_history',
+  description: 'プロジェクトの決定事項の一覧（_codex/decisions/index.md）を取得する。決定日・決定事項・会議・ステータス（置き換え済みの場合は置き換えた決定）を含む',
+  inputSchema: z.object({
+    projectId: z.string().describe('プロジェクトID（例: salestailor, zeims）'),
+  }),
+  execute: async (input) => {
+    const { projectId } = input;
+
+    try {
+      const index = await getMeetingDecisionCommit().getDecisionIndex(projectId);
+      if (!index) {
+        return {
+          success: false,
+          error: `GitHub設定がプロジェクト ${projectId} に存在しません`,
+        };
+      }
+
+      return {
+        success: true,
+        decisions: index.entries,
+        citation: citeSource({
+          type: 'github',
+          id: `${projectId}:decisions`,
+          title: `${projectId} 決定事項の一覧`,
+          url: index.htmlUrl,
+        }),
+        message: index.entries.length > 0
+          ? `決定事項 ${index.entries.length}件`
+          : '決定事項はまだ記録されていません',
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error',
+      };
+    }
+  },
+});
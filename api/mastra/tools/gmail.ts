@@ -5,6 +5,7 @@ import { createTool } from '@mastra/core/tools';
 import { z } from 'zod';
 import { gmail_v1, gmail } from '@googleapis/gmail';
 import { OAuth2Client } from 'google-auth-library';
+import { citeSource, buildGmailUrl, citationSchemaDescription } from './citations.js';
 
 // OAuth2クライアント（シングルトン）
 let oauth2Client: OAuth2Client | null = null;
@@ -85,6 +86,18 @@ function extractBody(payload: gmail_v1.Schema$MessagePart | undefined): string {
   return '';
 }
 
+/**
+ * メールの出典番号（リンクはスレッドを開く）
+ */
+function citeGmailMessage(messageId: string, threadId: string, subject: string): string | null {
+  return citeSource({
+    type: 'gmail',
+    id: threadId || messageId,
+    title: subject || '(件名なし)',
+    url: buildGmailUrl(threadId || messageId),
+  });
+}
+
 /**
  * Gmail メール一覧取得ツール
  */
@@ -104,6 +117,7 @@ export const gmailListMessagesTool = createTool({
       from: z.string(),
       subject: z.string(),
       date: z.string(),
+      citation: z.string().nullable().optional().describe(citationSchemaDescription),
     })),
     total: z.number(),
   }),
@@ -142,6 +156,7 @@ export const gmailListMessagesTool = createTool({
             from: getHeader(headers, 'From'),
             subject: getHeader(headers, 'Subject'),
             date: getHeader(headers, 'Date'),
+            citation: citeGmailMessage(msg.id!, msg.threadId!, getHeader(headers, 'Subject')),
           };
         })
       );
@@ -173,6 +188,7 @@ export const gmailGetMessageTool = createTool({
     date: z.string(),
     body: z.string(),
     labels: z.array(z.string()),
+    citation: z.string().nullable().optional().describe(citationSchemaDescription),
   }),
   execute: async (input) => {
     const { messageId } = input;
@@ -199,6 +215,7 @@ export const gmailGetMessageTool = createTool({
         date: getHeader(headers, 'Date'),
         body: body.substring(0, 10000), // 本文は10000文字まで
         labels: response.data.labelIds || [],
+        citation: citeGmailMessage(response.data.id || messageId, response.data.threadId || '', getHeader(headers, 'Subject')),
       };
     } catch (error: any) {
       console.error('[Gmail] Get message error:', error.message);
@@ -232,6 +249,7 @@ export const gmailSearchMessagesTool = createTool({
       from: z.string(),
       subject: z.string(),
       date: z.string(),
+      citation: z.string().nullable().optional().describe(citationSchemaDescription),
     })),
     total: z.number(),
     query: z.string(),
@@ -281,6 +299,7 @@ export const gmailSearchMessagesTool = createTool({
             from: getHeader(headers, 'From'),
             subject: getHeader(headers, 'Subject'),
             date: getHeader(headers, 'Date'),
+            citation: citeGmailMessage(msg.id!, msg.threadId!, getHeader(headers, 'Subject')),
           };
         })
       );
@@ -419,6 +438,7 @@ export const gmailGetThreadTool = createTool({
       snippet: z.string(),
     })),
     total: z.number(),
+    citation: z.string().nullable().optional().describe(citationSchemaDescription),
   }),
   execute: async (input) => {
     const { threadId } = input;
@@ -450,6 +470,7 @@ export const gmailGetThreadTool = createTool({
         id: threadId,
         messages,
         total: messages.length,
+        citation: citeGmailMessage(threadId, threadId, messages[0]?.subject || threadId),
       };
     } catch (error: any) {
       console.error('[Gmail] Get thread error:', error.message);
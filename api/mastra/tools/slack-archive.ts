@@ -0,0 +1,182 @@
+// mastra/tools/slack-archive.ts
+// Slack履歴ツール - S3にアーカイブしたメッセージ（slack-archive.js）の検索・スレッド取得
+//
+// 検索できるのは、質問されたワークスペースのチャンネルのうち、アクセス可能なプロジェクト
+// （canAccessProject）に紐づくチャンネルだけ（channels.json に載っていないチャンネルは対象外）
+// プロジェクトもチャンネルも絞らない検索は、読むファイルが多いため期間を短くする（MAX_ALL_PROJECTS_SEARCH_DAYS）
+
+import { createTool } from '@mastra/core/tools';
+import { z } from 'zod';
+import { createRequire } from 'module';
+import { canAccessProject, type WorkspaceConfig } from '../config/workspaces.js';
+import { citeSource, citationSchemaDescription } from './citations.js';
+
+const require = createRequire(import.meta.url);
+
+const MAX_TEXT_CHARS = 1000;
+
+// グローバル変数でワークスペースとプロジェクトIDを保持（askManaから設定される）
+let currentWorkspace: WorkspaceConfig | null = null;
+let currentProjectId: string | null = null;
+
+export function setCurrentSlackScope(workspace: WorkspaceConfig, projectId: string | null) {
+  currentWorkspace = workspace;
+  currentProjectId = projectId && projectId !== 'general' ? projectId : null;
+  console.log(`[slack-archive] Scope set to: ${workspace.id} / ${currentProjectId || '(all projects)'}`);
+}
+
+function getSlackArchive() {
+  // eslint-disable-next-line @typescript-eslint/no-var-requires
+  return require(process.cwd() + '/slack-archive.js');
+}
+
+// 検索してよいチャンネル（スコープ外のプロジェクトを指定されたらエラー）
+async function resolveChannels(workspace: WorkspaceConfig, projectId: string | null, channel?: string) {
+  if (projectId && !canAccessProject(workspace, projectId)) {
+    throw new Error(`${workspace.name}ワークスペースからは ${projectId} プロジェクトにアクセス権限がありません`);
+  }
+  // eslint-disable-next-line @typescript-eslint/no-var-requires
+  const { getChannelMapping } = require(process.cwd() + '/channel-project-resolver.js');
+  const mapping = await getChannelMapping();
+  return getSlackArchive().resolveSearchableChannels(mapping, {
+    workspaceId: workspace.id,
+    canAccessProject: (id: string) => canAccessProject(workspace, id),
+    projectId,
+    channel,
+  });
+}
+
+function toResultMessage(message: any) {
+  const { buildSlackPermalink, getJstDateStr } = getSlackArchive();
+  const permalink = buildSlackPermalink(message);
+  const date = getJstDateStr(message.ts);
+  const text = message.text || '';
+  return {
+    channel: message.channel,
+    channelName: message.channel_name,
+    ts: message.ts,
+    threadTs: message.thread_ts || null,
+    date,
+    user: message.user_name || message.user,
+    text: text.length > MAX_TEXT_CHARS ? `${text.slice(0, MAX_TEXT_CHARS)}…` : text,
+    permalink,
+    citation: citeSource({
+      type: 'slack',
+      id: `${message.channel}:${message.ts}`,
+      title: `#${message.channel_name} ${message.user_name || message.user} (${date})`,
+      url: permalink,
+    }),
+  };
+}
+
+const slackMessageSchema = z.object({
+  channel: z.string(),
+  channelName: z.string(),
+  ts: z.string(),
+  threadTs: z.string().nullable(),
+  date: z.string(),
+  user: z.string(),
+  text: z.string(),
+  permalink: z.string(),
+  citation: z.string().nullable().optional().describe(citationSchemaDescription),
+});
+
+// Slack履歴検索ツール
+export const slackSearchMessagesTool = createTool({
+  id: 'slack_search_messages',
+  description: 'アーカイブしたSlackのメッセージをキーワード・期間・チャンネルで検索する。会議や議論で何が決まったか、誰が何を言ったかを調べる時に使う（新しい順。最長31日分。全プロジェクトを検索するときは最長7日分）',
+  inputSchema: z.object({
+    query: z.string().optional().describe('キーワード（空白区切りはすべてを含むメッセージ。省略時は期間内の全メッセージ）'),
+    fromDate: z.string().optional().describe('開始日（YYYY-MM-DD、JST。省略時は終了日の6日前）'),
+    toDate: z.string().optional().describe('終了日（YYYY-MM-DD、JST。省略時は今日）'),
+    projectId: z.string().optional().describe('プロジェクトID（例: zeims）。省略時は質問されたチャンネルのプロジェクト。"all" でアクセス可能な全プロジェクト'),
+    channel: z.string().optional().describe('チャンネルIDまたはチャンネル名（例: 0010-zeims-biz）'),
+    limit: z.number().optional().default(20).describe('最大取得件数'),
+  }),
+  outputSchema: z.object({
+    success: z.boolean(),
+    messages: z.array(slackMessageSchema).optional(),
+    total: z.number().optional(),
+    searchedChannels: z.array(z.string()).optional(),
+    fromDate: z.string().optional(),
+    toDate: z.string().optional(),
+    error: z.string().optional(),
+  }),
+  execute: async (input) => {
+    const { query, fromDate, toDate, channel, limit } = input;
+
+    try {
+      const workspace = currentWorkspace;
+      if (!workspace) {
+        return { success: false, error: 'ワークスペースが設定されていません' };
+      }
+      const projectId = input.projectId === 'all' ? null : (input.projectId || currentProjectId);
+      const channels = await resolveChannels(workspace, projectId, channel);
+      if (channels.length === 0) {
+        return { success: false, error: '検索できるチャンネルがありません（アクセス権限のあるプロジェクトのチャンネルのみ検索できます）' };
+      }
+
+      const SlackArchive = getSlackArchive();
+      const archive = new SlackArchive(workspace.id);
+      const maxDays = projectId || channel ? SlackArchive.MAX_SEARCH_DAYS : SlackArchive.MAX_ALL_PROJECTS_SEARCH_DAYS;
+      const result = await archive.searchMessages({ channels, query, fromDate, toDate, limit, maxDays });
+
+      return {
+        success: true,
+        messages: result.messages.map(toResultMessage),
+        total: result.total,
+        searchedChannels: channels.map((c: any) => c.channelName),
+        fromDate: result.fromDate,
+        toDate: result.toDate,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error',
+      };
+    }
+  },
+});
+
+// Slackスレッド取得ツール
+export const slackGetThreadTool = createTool({
+  id: 'slack_get_thread',
+  description: 'アーカイブしたSlackのスレッド（親メッセージと返信）を取得する。slack_search_messages で見つけたメッセージの前後のやり取りを確認する時に使う',
+  inputSchema: z.object({
+    channel: z.string().describe('チャンネルID（slack_search_messages の結果の channel）'),
+    threadTs: z.string().describe('スレッドの親メッセージの ts（結果の threadTs、なければ ts）'),
+  }),
+  outputSchema: z.object({
+    success: z.boolean(),
+    messages: z.array(slackMessageSchema).optional(),
+    error: z.string().optional(),
+  }),
+  execute: async (input) => {
+    const { channel, threadTs } = input;
+
+    try {
+      const workspace = currentWorkspace;
+      if (!workspace) {
+        return { success: false, error: 'ワークスペースが設定されていません' };
+      }
+      const channels = await resolveChannels(workspace, null, channel);
+      if (channels.length === 0) {
+        return { success: false, error: `${workspace.name}ワークスペースからはこのチャンネルにアクセス権限がありません` };
+      }
+
+      const SlackArchive = getSlackArchive();
+      const archive = new SlackArchive(workspace.id);
+      const messages = await archive.getThreadMessages(channels[0].channelId, threadTs);
+
+      return {
+        success: true,
+        messages: messages.map(toResultMessage),
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error',
+      };
+    }
+  },
+});
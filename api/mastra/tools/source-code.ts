@@ -5,6 +5,7 @@ import { createTool } from '@mastra/core/tools';
 import { z } from 'zod';
 import { LambdaClient, InvokeCommand } from '@aws-sdk/client-lambda';
 import { createRequire } from 'module';
+import { citeSource, buildGitHubBlobUrl } from './citations.js';
 
 const require = createRequire(import.meta.url);
 
@@ -166,6 +167,12 @@ export const readSourceFileTool = createTool({
         project: `${sourceConfig.owner}/${sourceConfig.repo}`,
         branch: sourceConfig.branch,
         filePath: filePath,
+        citation: citeSource({
+          type: 'github',
+          id: `${sourceConfig.owner}/${sourceConfig.repo}/${filePath}`,
+          title: filePath,
+          url: buildGitHubBlobUrl({ ...sourceConfig, path: filePath, line: startLine }),
+        }),
         content: result.content,
         size: result.size,
         truncated: result.truncated,
@@ -230,7 +237,16 @@ export const searchSourceCodeTool = createTool({
         success: true,
         project: `${sourceConfig.owner}/${sourceConfig.repo}`,
         query: query,
-        results: result.results,
+        // ヒットした行ごとに出典番号を付ける（同じファイルは同じ番号）
+        results: (result.results || []).map((hit: any) => ({
+          ...hit,
+          citation: citeSource({
+            type: 'github',
+            id: `${sourceConfig.owner}/${sourceConfig.repo}/${hit.file}`,
+            title: hit.file,
+            url: buildGitHubBlobUrl({ ...sourceConfig, path: hit.file, line: hit.line }),
+          }),
+        })),
         count: result.count,
       };
     } catch (error) {
@@ -3,6 +3,7 @@
 
 import { createTool } from '@mastra/core/tools';
 import { z } from 'zod';
+import { citeSource, citationSchemaDescription } from './citations.js';
 
 // Tavily APIクライアント（動的インポート）
 let tavilyClient: any = null;
@@ -37,6 +38,7 @@ export const webSearchTool = createTool({
       url: z.string(),
       content: z.string(),
       score: z.number().optional(),
+      citation: z.string().nullable().optional().describe(citationSchemaDescription),
     })),
     query: z.string(),
   }),
@@ -58,6 +60,7 @@ export const webSearchTool = createTool({
         url: r.url || '',
         content: r.content || '',
         score: r.score,
+        citation: citeSource({ type: 'web', id: r.url || '', title: r.title || r.url, url: r.url }),
       }));
 
       console.log(`[Tavily] Found ${results.length} results`);
@@ -88,6 +91,7 @@ export const webExtractTool = createTool({
       url: z.string(),
       content: z.string(),
       success: z.boolean(),
+      citation: z.string().nullable().optional().describe(citationSchemaDescription),
     })),
   }),
   execute: async (input) => {
@@ -105,6 +109,7 @@ export const webExtractTool = createTool({
         url: r.url || '',
         content: r.rawContent || r.content || '',
         success: true,
+        citation: citeSource({ type: 'web', id: r.url || '', title: r.url, url: r.url }),
       }));
 
       // 失敗したURLも記録
@@ -41,7 +41,7 @@ async function handleApprovalAction(actionValue, context) {
         return { success: false, error: result.error };
       }
 
-      return { success: true, committed: result.committed };
+      return { success: true, committed: result.committed, superseded: (result.superseded || []).length };
     }
 
     if (type === 'action') {
@@ -77,13 +77,14 @@ async function handleRejectAction(actionValue) {
 /**
  * 全承認アクションを処理
  * @param {{ projectId: string, meetingDate: string, decisions: Array, actions: Array }} context
- * @returns {Promise<{ success: boolean, decisionsCommitted: number, actionsRegistered: number, errors?: Array }>}
+ * @returns {Promise<{ success: boolean, decisionsCommitted: number, decisionsSuperseded: number, actionsRegistered: number, errors?: Array }>}
  */
 async function handleApproveAll(context) {
   const { projectId, meetingDate, decisions, actions } = context;
   const errors = [];
 
   let decisionsCommitted = 0;
+  let decisionsSuperseded = 0;
   let actionsRegistered = 0;
 
   // 決定事項をコミット
@@ -91,6 +92,7 @@ async function handleApproveAll(context) {
     const decisionResult = await commitDecisions(decisions, projectId, meetingDate);
     if (decisionResult.success) {
       decisionsCommitted = decisionResult.committed;
+      decisionsSuperseded = (decisionResult.superseded || []).length;
     } else {
       errors.push({ type: 'decisions', error: decisionResult.error });
     }
@@ -109,6 +111,7 @@ async function handleApproveAll(context) {
   return {
     success: errors.length === 0,
     decisionsCommitted,
+    decisionsSuperseded,
     actionsRegistered,
     errors: errors.length > 0 ? errors : undefined
   };
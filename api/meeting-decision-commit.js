@@ -6,7 +6,19 @@
 const fs = require('fs');
 const path = require('path');
 const yaml = require('js-yaml');
-const axios = require('axios');
+const GitHubIntegration = require('./github-integration');
+const {
+  DECISION_INDEX_FILE,
+  parseDecisionIndex,
+  renderDecisionIndex,
+  upsertDecisionEntry,
+  markEntrySuperseded,
+  detectSupersessions,
+  markDecisionMarkdownSuperseded
+} = require('./decision-index');
+const { buildGitHubBlobUrl } = require('./source-citations');
+
+const DECISIONS_DIR = '_codex/decisions';
 
 // config.yml の読み込み
 let configCache = null;
@@ -105,9 +117,19 @@ function generateDecisionSlug(content) {
   return slug || 'decision';
 }
 
+/**
+ * 決定事項のファイル名（YYYY-MM-DD_{slug}.md）
+ * @param {{ content: string }} decision
+ * @param {string} meetingDate
+ * @returns {string}
+ */
+function getDecisionFileName(decision, meetingDate) {
+  return `${meetingDate}_${generateDecisionSlug(decision.content)}.md`;
+}
+
 /**
  * 決定事項からMarkdownを生成
- * @param {{ content: string, context?: string, date: string }} decision
+ * @param {{ content: string, context?: string, date: string, supersedes?: Array<{ file: string, title: string }> }} decision
  * @param {string} projectName
  * @param {string} meetingDate
  * @returns {string}
@@ -119,6 +141,7 @@ function generateDecisionMarkdown(decision, projectName, meetingDate) {
     `- 決定日: ${decision.date || meetingDate}`,
     `- ステータス: 決定`,
     `- ソース: ${meetingDate} 会議`,
+    ...(decision.supersedes || []).map(earlier => `- 置き換え元: [${earlier.title}](${earlier.file})`),
     '',
     '## 背景',
     '',
@@ -129,14 +152,53 @@ function generateDecisionMarkdown(decision, projectName, meetingDate) {
   return lines.join('\n');
 }
 
+/**
+ * 決定事項のディレクトリのファイルを読み書きする GitHubIntegration の引数
+ */
+function getDecisionFileParams(repoInfo, fileName) {
+  return {
+    owner: repoInfo.owner,
+    repo: repoInfo.repo,
+    branch: repoInfo.branch,
+    path: `${DECISIONS_DIR}/${fileName}`
+  };
+}
+
+/**
+ * プロジェクトの決定事項の一覧を取得（@mana の「決定事項の履歴」などの質問用）
+ * @param {string} projectId
+ * @param {Object} [options]
+ * @param {GitHubIntegration} [options.github]
+ * @returns {Promise<{ entries: Array, markdown: string, htmlUrl: string } | null>} GitHub設定がないプロジェクトは null
+ */
+async function getDecisionIndex(projectId, { github = null } = {}) {
+  const repoInfo = getGitHubRepoForProject(projectId);
+  if (!repoInfo) {
+    return null;
+  }
+
+  const { content: markdown } = await (github || new GitHubIntegration()).getFileContent(getDecisionFileParams(repoInfo, DECISION_INDEX_FILE));
+
+  const htmlUrl = buildGitHubBlobUrl({ ...repoInfo, path: `${DECISIONS_DIR}/${DECISION_INDEX_FILE}` });
+
+  return { entries: parseDecisionIndex(markdown), markdown, htmlUrl };
+}
+
 /**
  * 決定事項をGitHubリポジトリにコミット
+ * あわせて決定事項の一覧（index.md）を更新し、今回の決定が置き換える以前の決定を「置き換え済み」にする
+ *
+ * 一覧と置き換えられた決定事項は、ほかの会議のコミットとすれ違うことがあるため、
+ * createOrUpdateFile の transform で最新の内容に今回の変更を当て直してコミットする（競合したら読み直してリトライ）。
  * @param {Array<{ content: string, context?: string, date: string }>} decisions
  * @param {string} projectId
  * @param {string} meetingDate - YYYY-MM-DD形式
- * @returns {Promise<{ success: boolean, committed: number, failed: number, errors: Array }>}
+ * @param {Object} [options]
+ * @param {GitHubIntegration} [options.github]
+ * @param {number} [options.maxAttempts] - 競合時の最大試行回数（省略時は GitHubIntegration の既定）
+ * @returns {Promise<{ success: boolean, committed: number, failed: number, errors: Array, superseded: Array, indexUpdated: boolean }>}
  */
-async function commitDecisions(decisions, projectId, meetingDate) {
+async function commitDecisions(decisions, projectId, meetingDate, { github = null, maxAttempts } = {}) {
   // 空配列チェック
   if (!decisions || decisions.length === 0) {
     return { success: true, committed: 0, failed: 0, errors: [] };
@@ -154,58 +216,69 @@ async function commitDecisions(decisions, projectId, meetingDate) {
     };
   }
 
-  const token = process.env.GITHUB_TOKEN;
-  const baseUrl = `https://api.github.com/repos/${repoInfo.owner}/${repoInfo.repo}/contents`;
-  const headers = {
-    'Authorization': `token ${token}`,
-    'Accept': 'application/vnd.github.v3+json',
-    'Content-Type': 'application/json'
-  };
+  let githubClient;
+  try {
+    githubClient = github || new GitHubIntegration();
+  } catch (error) {
+    return { success: false, committed: 0, failed: decisions.length, error: error.message, errors: [] };
+  }
+  const retryOptions = maxAttempts ? { maxAttempts } : {};
 
   const results = {
     success: true,
     committed: 0,
     failed: 0,
-    errors: []
+    errors: [],
+    superseded: [],
+    indexUpdated: false
   };
 
-  // 各決定事項をコミット
-  for (const decision of decisions) {
+  // 一覧を読み込み、今回の決定事項が置き換える以前の決定を判定
+  // 一覧が読めなくても決定事項のコミットは続ける
+  let entries = [];
+  let indexAvailable = true;
+  try {
+    const indexFile = await githubClient.getFileContent(getDecisionFileParams(repoInfo, DECISION_INDEX_FILE));
+    entries = parseDecisionIndex(indexFile.content);
+  } catch (error) {
+    indexAvailable = false;
+    results.errors.push({ content: DECISION_INDEX_FILE, error: error.message });
+  }
+
+  const fileNames = decisions.map(decision => getDecisionFileName(decision, meetingDate));
+  const earlierEntries = entries.filter(entry => !fileNames.includes(entry.file));
+  const supersessions = await detectSupersessions(decisions, earlierEntries);
+
+  // 各決定事項をコミット（一覧に足すエントリは、一覧を読み直したときに当て直せるよう残しておく）
+  const committedFiles = [];
+  const addedEntries = [];
+  for (const [index, decision] of decisions.entries()) {
     try {
-      const slug = generateDecisionSlug(decision.content);
-      const fileName = `${meetingDate}_${slug}.md`;
-      const filePath = `_codex/decisions/${fileName}`;
-      const fileUrl = `${baseUrl}/${filePath}`;
+      const fileName = fileNames[index];
+      const supersedes = supersessions
+        .filter(item => item.newIndex === index)
+        .map(item => ({ file: item.file, title: earlierEntries.find(entry => entry.file === item.file).title }));
 
       // Markdown生成
-      const markdown = generateDecisionMarkdown(decision, projectId, meetingDate);
-      const content = Buffer.from(markdown).toString('base64');
-
-      // 既存ファイルの確認
-      let existingSha = null;
-      try {
-        const existingFile = await axios.get(fileUrl, { headers });
-        existingSha = existingFile.data.sha;
-      } catch (error) {
-        // 404の場合は新規作成
-        if (error.response?.status !== 404) {
-          throw error;
-        }
-      }
+      const markdown = generateDecisionMarkdown({ ...decision, supersedes }, projectId, meetingDate);
 
-      // コミット
-      const payload = {
+      // コミット（既存ファイルは最新のshaで上書き）
+      await githubClient.createOrUpdateFile({
+        ...getDecisionFileParams(repoInfo, fileName),
+        content: markdown,
         message: `docs: 決定事項を追加 (${meetingDate} 会議)`,
-        content,
-        branch: repoInfo.branch
-      };
-
-      if (existingSha) {
-        payload.sha = existingSha;
-      }
-
-      await axios.put(fileUrl, payload, { headers });
+        ...retryOptions
+      });
       results.committed++;
+      committedFiles.push(fileName);
+
+      addedEntries.push({
+        date: decision.date || meetingDate,
+        title: decision.content,
+        file: fileName,
+        meeting: `${meetingDate} 会議`,
+        supersedes: supersedes.map(earlier => earlier.file)
+      });
     } catch (error) {
       results.failed++;
       results.errors.push({
@@ -215,11 +288,63 @@ async function commitDecisions(decisions, projectId, meetingDate) {
     }
   }
 
+  // 置き換えられた決定事項のファイルを「置き換え済み」にする（コミットできた決定事項の分だけ）
+  const supersededEntries = [];
+  for (const item of supersessions) {
+    const newFile = fileNames[item.newIndex];
+    if (!committedFiles.includes(newFile)) {
+      continue;
+    }
+    supersededEntries.push({ file: item.file, newFile });
+    results.superseded.push({ file: item.file, supersededBy: newFile, reason: item.reason });
+
+    try {
+      const params = getDecisionFileParams(repoInfo, item.file);
+      const earlierFile = await githubClient.getFileContent(params);
+      if (earlierFile.sha) {
+        await githubClient.createOrUpdateFile({
+          ...params,
+          transform: current => markDecisionMarkdownSuperseded(current, newFile),
+          message: `docs: 置き換えられた決定事項を更新 (${meetingDate} 会議)`,
+          ...retryOptions
+        });
+      }
+    } catch (error) {
+      results.errors.push({ content: item.file, error: error.message });
+    }
+  }
+
+  // 一覧を更新（最新の一覧に今回のエントリと置き換えを当て直す）
+  if (indexAvailable && committedFiles.length > 0) {
+    try {
+      await githubClient.createOrUpdateFile({
+        ...getDecisionFileParams(repoInfo, DECISION_INDEX_FILE),
+        transform: current => {
+          let latest = parseDecisionIndex(current);
+          for (const entry of addedEntries) {
+            latest = upsertDecisionEntry(latest, entry);
+          }
+          for (const { file, newFile } of supersededEntries) {
+            latest = markEntrySuperseded(latest, file, newFile);
+          }
+          return renderDecisionIndex(latest);
+        },
+        message: `docs: 決定事項の一覧を更新 (${meetingDate} 会議)`,
+        ...retryOptions
+      });
+      results.indexUpdated = true;
+    } catch (error) {
+      results.errors.push({ content: DECISION_INDEX_FILE, error: error.message });
+    }
+  }
+
   return results;
 }
 
 module.exports = {
   commitDecisions,
+  getDecisionIndex,
+  getDecisionFileName,
   generateDecisionMarkdown,
   generateDecisionSlug,
   getGitHubRepoForProject,
@@ -5,19 +5,21 @@
 
 const { generateText } = require('ai');
 const { anthropic } = require('@ai-sdk/anthropic');
+const { formatRosterForPrompt, resolveActionAssignees } = require('./participant-roster');
 
 /**
  * 抽出用プロンプトを生成
  * @param {string} transcript - 議事録テキスト
  * @param {string} projectContext - プロジェクトの説明
+ * @param {Object} [roster] - 参加者名簿（participant-roster.js）
  * @returns {string}
  */
-function buildExtractionPrompt(transcript, projectContext) {
+function buildExtractionPrompt(transcript, projectContext, roster = null) {
   return `あなたは議事録から重要な情報を抽出するアシスタントです。
 
 ## プロジェクト情報
 ${projectContext}
-
+${formatRosterForPrompt(roster)}
 ## 議事録
 ${transcript}
 
@@ -82,16 +84,17 @@ function parseExtractionResult(llmOutput) {
  * @param {string} transcript - 議事録テキスト
  * @param {string} projectContext - プロジェクトの説明
  * @param {string} meetingDate - YYYY-MM-DD形式
+ * @param {Object} [roster] - 参加者名簿。渡すとタスクの担当者をメンバーにそろえる
  * @returns {Promise<{ decisions: Array, actions: Array, error?: string }>}
  */
-async function extractDecisionsAndActions(transcript, projectContext, meetingDate) {
+async function extractDecisionsAndActions(transcript, projectContext, meetingDate, roster = null) {
   // 空の議事録チェック
   if (!transcript || transcript.trim() === '') {
     return { decisions: [], actions: [] };
   }
 
   try {
-    const prompt = buildExtractionPrompt(transcript, projectContext);
+    const prompt = buildExtractionPrompt(transcript, projectContext, roster);
 
     const response = await generateText({
       model: anthropic('claude-3-5-haiku-20241022'),
@@ -107,6 +110,10 @@ async function extractDecisionsAndActions(transcript, projectContext, meetingDat
       date: meetingDate
     }));
 
+    if (roster) {
+      result.actions = await resolveActionAssignees(result.actions, roster);
+    }
+
     return result;
   } catch (error) {
     return {
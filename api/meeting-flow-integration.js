@@ -8,7 +8,8 @@
  */
 
 const { extractDecisionsAndActions } = require('./meeting-decision-extractor');
-const { buildProposalBlocks } = require('./meeting-proposal-ui');
+const { reconcileActions } = require('./action-reconciliation');
+const { buildProposalBlocks, describeEdits } = require('./meeting-proposal-ui');
 const {
   handleApprovalAction,
   handleRejectAction,
@@ -16,9 +17,10 @@ const {
   handleRejectAll,
   parseActionValue
 } = require('./meeting-approval-handler');
+const { ProposalContextStore } = require('./proposal-context-store');
 
-// 提案メッセージの状態を一時保存（Lambda環境ではDynamoDBに移行推奨）
-const proposalContextStore = new Map();
+// 提案メッセージのコンテキスト（承認・編集は別のコンテナに届くので DynamoDB に保存する）
+const proposalContextStore = new ProposalContextStore();
 
 /**
  * 議事録から決定事項・タスクを抽出して提案UIをSlackに送信
@@ -29,16 +31,22 @@ const proposalContextStore = new Map();
  * @param {string} projectName - プロジェクト名
  * @param {string} meetingDate - YYYY-MM-DD形式
  * @param {Object} existingActions - 既存の議事録生成で抽出されたactions（あれば）
+ * @param {Object} [roster] - 参加者名簿（participant-roster.js）。タスクの担当者をメンバーにそろえる
+ * @param {Array} [existingDecisions] - 議事録の生成時に抽出済みの決定事項。渡すと existingActions は照合済みとみなし、抽出し直さない
  * @returns {Promise<{ success: boolean, messageTs?: string, error?: string }>}
  */
-async function sendProposalMessage(client, channelId, transcript, projectId, projectName, meetingDate, existingActions = null) {
+async function sendProposalMessage(client, channelId, transcript, projectId, projectName, meetingDate, existingActions = null, roster = null, existingDecisions = null) {
   try {
-    // 決定事項を抽出（タスクは既存のものを使用するか、なければ抽出）
-    const extractionResult = await extractDecisionsAndActions(transcript, projectName, meetingDate);
-
-    // 既存のactionsがあればそちらを優先
-    if (existingActions && existingActions.length > 0) {
-      extractionResult.actions = existingActions;
+    let extractionResult;
+    if (Array.isArray(existingDecisions)) {
+      // 議事録の生成時に照合済み（reconcileMinutesActions）
+      extractionResult = { decisions: existingDecisions, actions: existingActions || [] };
+    } else {
+      // 決定事項とタスクを抽出し、タスクは議事録のアクションと1つにまとめる
+      extractionResult = await extractDecisionsAndActions(transcript, projectName, meetingDate, roster);
+      if (existingActions && existingActions.length > 0) {
+        extractionResult.actions = await reconcileActions(existingActions, extractionResult.actions);
+      }
     }
 
     // 抽出結果が空なら提案UIは不要
@@ -58,8 +66,7 @@ async function sendProposalMessage(client, channelId, transcript, projectId, pro
     });
 
     // コンテキストを保存（後の承認アクションで使用）
-    const contextKey = result.ts;
-    proposalContextStore.set(contextKey, {
+    await proposalContextStore.saveContext(result.ts, {
       projectId,
       projectName,
       meetingDate,
@@ -69,14 +76,6 @@ async function sendProposalMessage(client, channelId, transcript, projectId, pro
       createdAt: Date.now()
     });
 
-    // 古いコンテキストを削除（1時間以上前のもの）
-    const oneHourAgo = Date.now() - 60 * 60 * 1000;
-    for (const [key, ctx] of proposalContextStore.entries()) {
-      if (ctx.createdAt < oneHourAgo) {
-        proposalContextStore.delete(key);
-      }
-    }
-
     console.log(`[meeting-flow] Proposal message sent: ${result.ts}, decisions: ${extractionResult.decisions.length}, actions: ${extractionResult.actions.length}`);
 
     return {
@@ -103,7 +102,7 @@ async function handleMeetingApprovalAction(payload, client) {
   const messageTs = message.ts;
 
   // コンテキストを取得
-  const context = proposalContextStore.get(messageTs);
+  const context = await proposalContextStore.getContext(messageTs);
   if (!context) {
     console.error(`[meeting-flow] Context not found for message: ${messageTs}`);
     return { success: false, error: 'コンテキストが見つかりません。再度議事録を処理してください。' };
@@ -116,7 +115,8 @@ async function handleMeetingApprovalAction(payload, client) {
     // アクション種別に応じて処理
     if (actionId === 'approve_all') {
       result = await handleApproveAll(context);
-      statusMessage = `✅ 全て承認しました\n- 決定事項: ${result.decisionsCommitted || 0}件 → GitHub\n- タスク: ${result.actionsRegistered || 0}件 → Airtable`;
+      const supersededNote = result.decisionsSuperseded > 0 ? `（以前の決定 ${result.decisionsSuperseded}件を置き換え済みに更新）` : '';
+      statusMessage = `✅ 全て承認しました\n- 決定事項: ${result.decisionsCommitted || 0}件 → GitHub${supersededNote}\n- タスク: ${result.actionsRegistered || 0}件 → Airtable`;
     } else if (actionId === 'reject_all') {
       result = await handleRejectAll(context);
       statusMessage = `❌ 全て却下しました\n- 決定事項: ${result.decisionsRejected || 0}件\n- タスク: ${result.actionsRejected || 0}件`;
@@ -151,7 +151,7 @@ async function handleMeetingApprovalAction(payload, client) {
       });
 
       // コンテキストを削除
-      proposalContextStore.delete(messageTs);
+      await proposalContextStore.deleteContext(messageTs);
     } else {
       // 個別処理の場合はボタンを無効化（簡易実装：メッセージは更新しない）
       // TODO: 該当ボタンのみ無効化する高度な実装
@@ -164,6 +164,107 @@ async function handleMeetingApprovalAction(payload, client) {
   }
 }
 
+/**
+ * 提案メッセージのコンテキスト（決定事項・タスク）を取得する
+ * @param {string} messageTs - 提案メッセージの ts
+ * @returns {Promise<Object|null>}
+ */
+async function getProposalContext(messageTs) {
+  return proposalContextStore.getContext(messageTs);
+}
+
+/**
+ * 編集モーダルの入力を決定事項・タスクに反映する
+ * 初めて編集するときは編集前の値を original に残す（提案メッセージに変更点を出すため）
+ * @param {Object} item - 決定事項またはタスク
+ * @param {'decision'|'action'} type
+ * @param {Object} values - getProposalEditValues() の values
+ * @param {Function} resolveAssigneeName - Slack ID → 担当者名
+ * @returns {Promise<Object>} 編集後の決定事項・タスク
+ */
+async function applyProposalEdit(item, type, values, resolveAssigneeName) {
+  const { original, ...current } = item;
+  const edited = { ...current, original: original || current };
+
+  if (type === 'decision') {
+    edited.content = values.content || current.content;
+    edited.context = values.context;
+    return edited;
+  }
+
+  edited.task = values.task || current.task;
+  if (values.assigneeSlackId && values.assigneeSlackId !== current.assignee_slack_id) {
+    edited.assignee = await resolveAssigneeName(values.assigneeSlackId);
+    edited.assignee_slack_id = values.assigneeSlackId;
+    delete edited.unresolved_assignee;
+  }
+  if (values.dueDate) {
+    // registerMeetingTasks の parseDeadline が読める YYYY/MM/DD にする
+    const deadline = values.dueDate.replace(/-/g, '/');
+    const { parseDeadline } = require('./meeting-task-registration');
+    const unchanged = parseDeadline(current.deadline)?.getTime() === parseDeadline(deadline).getTime();
+    if (!unchanged) {
+      edited.deadline = deadline;
+    }
+  }
+  if (values.priority) {
+    edited.priority = values.priority;
+  }
+  return edited;
+}
+
+/**
+ * 編集モーダルの送信を処理する（コンテキストを更新し、提案メッセージに変更点を出す）
+ * @param {{ type: string, index: number, channelId: string, messageTs: string, values: Object }} editValues - getProposalEditValues() の結果
+ * @param {Object} client - Slack client
+ * @returns {Promise<{ success: boolean, item?: Object, error?: string }>}
+ */
+async function handleProposalEdit(editValues, client) {
+  const { type, index, channelId, messageTs, values } = editValues;
+  const context = await proposalContextStore.getContext(messageTs);
+  if (!context) {
+    return { success: false, error: 'コンテキストが見つかりません。再度議事録を処理してください。' };
+  }
+
+  const items = type === 'decision' ? context.decisions : context.actions;
+  if (!items || !items[index]) {
+    return { success: false, error: `${type} at index ${index} not found` };
+  }
+
+  const resolveAssigneeName = async (slackId) => {
+    const { getSlackIdToBrainbaseName } = require('./slack-name-resolver');
+    const mapping = await getSlackIdToBrainbaseName();
+    if (mapping.has(slackId)) {
+      return mapping.get(slackId);
+    }
+    try {
+      const info = await client.users.info({ user: slackId });
+      return info.user?.real_name || info.user?.name || slackId;
+    } catch (error) {
+      console.warn(`[meeting-flow] Failed to resolve Slack user ${slackId}:`, error.message);
+      return slackId;
+    }
+  };
+
+  try {
+    items[index] = await applyProposalEdit(items[index], type, values, resolveAssigneeName);
+    await proposalContextStore.saveContext(messageTs, context);
+
+    await client.chat.update({
+      channel: channelId || context.channelId,
+      ts: messageTs,
+      blocks: buildProposalBlocks(context, context.projectId, context.meetingDate),
+      text: `📋 会議内容の確認 - ${context.projectId} (${context.meetingDate})`
+    });
+
+    console.log(`[meeting-flow] Proposal ${type} #${index + 1} edited: ${describeEdits(items[index]).join(' / ') || 'no changes'}`);
+    return { success: true, item: items[index] };
+  } catch (error) {
+    console.error('[meeting-flow] Error handling proposal edit:', error);
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * index.jsのSlack Boltアプリに登録するアクションハンドラを返す
  * @returns {Object} { actionIds: string[], handler: Function }
@@ -187,7 +288,8 @@ function getSlackActionHandlers() {
 module.exports = {
   sendProposalMessage,
   handleMeetingApprovalAction,
-  getSlackActionHandlers,
-  // テスト用
-  proposalContextStore
+  getProposalContext,
+  applyProposalEdit,
+  handleProposalEdit,
+  getSlackActionHandlers
 };
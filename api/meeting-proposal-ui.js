@@ -3,6 +3,81 @@
  * 抽出した決定事項・タスクを人間に確認させるSlack UIを生成する
  */
 
+const PROPOSAL_EDIT_CALLBACK_ID = 'meeting_proposal_edit';
+
+const PRIORITY_OPTIONS = [
+  { value: 'high', label: '高' },
+  { value: 'medium', label: '中' },
+  { value: 'low', label: '低' }
+];
+
+// 編集内容の表示に使う項目名
+const FIELD_LABELS = {
+  content: '内容',
+  context: '背景',
+  task: '内容',
+  assignee: '担当',
+  deadline: '期限',
+  priority: '優先度'
+};
+
+function toOption({ value, label }) {
+  return { text: { type: 'plain_text', text: label }, value };
+}
+
+function getPriorityLabel(priority) {
+  const option = PRIORITY_OPTIONS.find(o => o.value === priority);
+  return option ? option.label : '';
+}
+
+/**
+ * 編集前（original）から変わった項目を「項目: 前 → 後」で並べる
+ * @param {Object} item - 決定事項またはタスク（編集済みなら original を持つ）
+ * @returns {string[]}
+ */
+function describeEdits(item) {
+  if (!item.original) {
+    return [];
+  }
+  return Object.keys(FIELD_LABELS)
+    .filter(field => field in item || field in item.original)
+    .filter(field => (item.original[field] || '') !== (item[field] || ''))
+    .map(field => {
+      const format = field === 'priority' ? getPriorityLabel : value => value;
+      return `${FIELD_LABELS[field]}: ${format(item.original[field]) || '（なし）'} → ${format(item[field]) || '（なし）'}`;
+    });
+}
+
+/**
+ * 編集した内容を表示するブロック（編集していなければ空）
+ */
+function buildEditedContextBlocks(item) {
+  const edits = describeEdits(item);
+  if (edits.length === 0) {
+    return [];
+  }
+  return [{
+    type: 'context',
+    elements: [{ type: 'mrkdwn', text: `✏️ 編集済み — ${edits.join(' / ')}` }]
+  }];
+}
+
+/**
+ * 編集ボタン
+ */
+function buildEditButton(type, index) {
+  return {
+    type: 'button',
+    text: {
+      type: 'plain_text',
+      text: '✏️ 編集',
+      emoji: true
+    },
+    action_id: `edit_${type}_${index}`,
+    value: JSON.stringify({ type, index })
+  };
+}
+
 /**
  * 決定事項を表示するブロックを生成
  * @param {{ content: string, context?: string, date: string }} decision
@@ -18,6 +93,7 @@ function buildDecisionBlock(decision, index) {
         text: `*決定事項 #${index + 1}*\n${decision.content}${decision.context ? `\n_背景: ${decision.context}_` : ''}`
       }
     },
+    ...buildEditedContextBlocks(decision),
     {
       type: 'actions',
       elements: [
@@ -42,7 +118,8 @@ function buildDecisionBlock(decision, index) {
           style: 'danger',
           action_id: `reject_decision_${index}`,
           value: JSON.stringify({ type: 'decision', index, content: decision.content })
-        }
+        },
+        buildEditButton('decision', index)
       ]
     },
     {
@@ -65,9 +142,10 @@ function buildActionBlock(action, index) {
       type: 'section',
       text: {
         type: 'mrkdwn',
-        text: `*タスク #${index + 1}*\n📋 ${action.task}\n👤 担当: ${action.assignee}\n📅 期限: ${action.deadline}`
+        text: `*タスク #${index + 1}*\n📋 ${action.task}\n👤 担当: ${action.assignee}\n📅 期限: ${action.deadline}${action.priority ? `\n⚡ 優先度: ${getPriorityLabel(action.priority)}` : ''}`
       }
     },
+    ...buildEditedContextBlocks(action),
     {
       type: 'actions',
       elements: [
@@ -92,7 +170,8 @@ function buildActionBlock(action, index) {
           style: 'danger',
           action_id: `reject_action_${index}`,
           value: JSON.stringify({ type: 'action', index, task: action.task })
-        }
+        },
+        buildEditButton('action', index)
       ]
     },
     {
@@ -231,9 +310,155 @@ function buildProposalBlocks(extractionResult, projectId, meetingDate) {
   return blocks;
 }
 
+/**
+ * YYYY-MM-DD（datepicker の値）にする
+ */
+function toDateString(date) {
+  if (!date || isNaN(date.getTime())) {
+    return null;
+  }
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * 決定事項・タスクを編集するモーダル
+ * @param {Object} params
+ * @param {'decision'|'action'} params.type
+ * @param {number} params.index
+ * @param {Object} params.item - 編集する決定事項またはタスク
+ * @param {string} params.channelId - 提案メッセージのチャンネル
+ * @param {string} params.messageTs - 提案メッセージの ts
+ * @returns {Object} view
+ */
+function buildProposalEditModal({ type, index, item, channelId, messageTs }) {
+  const blocks = [];
+
+  if (type === 'decision') {
+    blocks.push(
+      {
+        type: 'input',
+        block_id: 'content',
+        label: { type: 'plain_text', text: '決定内容' },
+        element: {
+          type: 'plain_text_input',
+          action_id: 'value',
+          multiline: true,
+          ...(item.content ? { initial_value: item.content } : {})
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'context',
+        optional: true,
+        label: { type: 'plain_text', text: '背景' },
+        element: {
+          type: 'plain_text_input',
+          action_id: 'value',
+          multiline: true,
+          ...(item.context ? { initial_value: item.context } : {})
+        }
+      }
+    );
+  } else {
+    const { parseDeadline } = require('./meeting-task-registration');
+    const initialDate = toDateString(parseDeadline(item.deadline));
+    const initialPriority = PRIORITY_OPTIONS.find(o => o.value === item.priority);
+
+    blocks.push(
+      {
+        type: 'input',
+        block_id: 'task',
+        label: { type: 'plain_text', text: 'タスク内容' },
+        element: {
+          type: 'plain_text_input',
+          action_id: 'value',
+          ...(item.task ? { initial_value: item.task } : {})
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'assignee',
+        optional: true,
+        label: { type: 'plain_text', text: '担当者' },
+        hint: { type: 'plain_text', text: `議事録での表記: ${item.unresolved_assignee || item.assignee || '（なし）'}` },
+        element: {
+          type: 'users_select',
+          action_id: 'value',
+          placeholder: { type: 'plain_text', text: 'メンバーを選択' },
+          ...(item.assignee_slack_id ? { initial_user: item.assignee_slack_id } : {})
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'deadline',
+        optional: true,
+        label: { type: 'plain_text', text: '期限' },
+        hint: { type: 'plain_text', text: `議事録での表記: ${item.deadline || '（なし）'}` },
+        element: {
+          type: 'datepicker',
+          action_id: 'value',
+          placeholder: { type: 'plain_text', text: '日付を選択' },
+          ...(initialDate ? { initial_date: initialDate } : {})
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'priority',
+        optional: true,
+        label: { type: 'plain_text', text: '優先度' },
+        element: {
+          type: 'static_select',
+          action_id: 'value',
+          placeholder: { type: 'plain_text', text: '優先度を選択' },
+          options: PRIORITY_OPTIONS.map(toOption),
+          ...(initialPriority ? { initial_option: toOption(initialPriority) } : {})
+        }
+      }
+    );
+  }
+
+  return {
+    type: 'modal',
+    callback_id: PROPOSAL_EDIT_CALLBACK_ID,
+    title: { type: 'plain_text', text: type === 'decision' ? '決定事項を編集' : 'タスクを編集' },
+    submit: { type: 'plain_text', text: '保存' },
+    close: { type: 'plain_text', text: 'キャンセル' },
+    private_metadata: JSON.stringify({ type, index, channelId, messageTs }),
+    blocks
+  };
+}
+
+/**
+ * 編集モーダルの入力内容を取り出す
+ * @param {Object} view - body.view
+ * @returns {{ type: string, index: number, channelId: string, messageTs: string, values: Object }}
+ */
+function getProposalEditValues(view) {
+  const { type, index, channelId, messageTs } = JSON.parse(view.private_metadata || '{}');
+  const state = view.state?.values || {};
+
+  const values = type === 'decision'
+    ? {
+      content: (state.content?.value?.value || '').trim(),
+      context: (state.context?.value?.value || '').trim()
+    }
+    : {
+      task: (state.task?.value?.value || '').trim(),
+      assigneeSlackId: state.assignee?.value?.selected_user || null,
+      dueDate: state.deadline?.value?.selected_date || null,
+      priority: state.priority?.value?.selected_option?.value || null
+    };
+
+  return { type, index, channelId, messageTs, values };
+}
+
 module.exports = {
+  PROPOSAL_EDIT_CALLBACK_ID,
   buildProposalBlocks,
   buildDecisionBlock,
   buildActionBlock,
-  buildSummaryBlock
+  buildSummaryBlock,
+  buildProposalEditModal,
+  getProposalEditValues,
+  describeEdits
 };
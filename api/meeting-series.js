@@ -0,0 +1,276 @@
+/**
+ * meeting-series.js
+ * 定例会議のシリーズを判定し、前回の議事録と未完了のアクションを読み込む
+ *
+ * 議事録は commitMeetingRecords() が `${path_prefix}minutes/YYYY-MM-DD_<generateFilename の名前>.md` に保存している。
+ * 同じプロジェクトの minutes/ にある議事録のうち、ファイル名が似ていて同じ曜日に開かれたもの
+ * （ファイル名が完全に一致すれば曜日は問わない）を同じシリーズとみなし、いちばん新しいものを前回の会議とする。
+ */
+
+const MINUTES_FILE_PATTERN = /^(\d{4}-\d{2}-\d{2})_(.+)\.md$/;
+// ファイル名の単語の重なりがこれ以上なら同じシリーズの候補（weekly-team-standup と weekly-standup など）
+const SERIES_NAME_SIMILARITY = 0.5;
+// プロンプトに入れる前回の議事録の長さ
+const PREVIOUS_MINUTES_MAX_CHARS = 6000;
+
+const PROGRESS_HEADING = '*🔁 前回からの進捗*';
+const ACTIONS_HEADING = '*📅 次の手配・アクション*';
+const PROGRESS_LABELS = {
+  done: '✅ 完了',
+  open: '⏳ 継続',
+  dropped: '❌ 取りやめ'
+};
+
+/**
+ * 議事録のファイル名から日付と名前を取り出す
+ * @param {string} fileName - 例: 2024-12-02_weekly-standup.md
+ * @returns {{date: string, baseName: string}|null}
+ */
+function parseMinutesFileName(fileName) {
+  const match = (fileName || '').match(MINUTES_FILE_PATTERN);
+  return match ? { date: match[1], baseName: match[2] } : null;
+}
+
+function getWeekday(dateStr) {
+  return new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * ファイル名（ハイフン区切りの単語）の重なり具合（0〜1）
+ */
+function getNameSimilarity(a, b) {
+  const wordsA = new Set(a.split('-').filter(Boolean));
+  const wordsB = new Set(b.split('-').filter(Boolean));
+  if (wordsA.size === 0 || wordsB.size === 0) {
+    return 0;
+  }
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  return shared / new Set([...wordsA, ...wordsB]).size;
+}
+
+/**
+ * minutes/ のファイル一覧から、同じシリーズの前回の議事録を探す
+ * @param {Array<{name: string, path: string}>} files - listDirectory() の結果
+ * @param {Object} params
+ * @param {string} params.baseName - 今回の議事録の名前（generateFilename の結果）
+ * @param {string} params.dateStr - 今回の日付（YYYY-MM-DD）
+ * @returns {{name: string, path: string, date: string, baseName: string}|null}
+ */
+function findPreviousMeeting(files, { baseName, dateStr }) {
+  const weekday = getWeekday(dateStr);
+
+  const candidates = files
+    .map(file => ({ ...file, ...parseMinutesFileName(file.name) }))
+    .filter(file => file.date && file.date < dateStr)
+    .filter(file => file.baseName === baseName ||
+      (getWeekday(file.date) === weekday && getNameSimilarity(file.baseName, baseName) >= SERIES_NAME_SIMILARITY))
+    .sort((a, b) => b.date.localeCompare(a.date));
+
+  return candidates[0] || null;
+}
+
+/**
+ * 議事録の Markdown から、まだ終わっていないアクションを取り出す
+ * （前回のアクション一覧 + 前回の「前回からの進捗」で継続になったもの）
+ * @param {string} markdown - commitMeetingRecords() が保存した議事録
+ * @returns {Array<{task: string, assignee: string, deadline: string}>}
+ */
+function extractOpenActions(markdown) {
+  const actions = [];
+  let section = null;
+
+  for (const line of (markdown || '').split('\n').map(l => l.trim())) {
+    if (line === ACTIONS_HEADING || line === PROGRESS_HEADING) {
+      section = line;
+      continue;
+    }
+    if (!line.startsWith('- ')) {
+      section = null;
+      continue;
+    }
+
+    if (section === ACTIONS_HEADING) {
+      const match = line.match(/^- (.+)（([^、）]*)、([^）]*)）$/);
+      if (match) {
+        actions.push({ task: match[1].trim(), assignee: match[2].trim(), deadline: match[3].trim() });
+      }
+    } else if (section === PROGRESS_HEADING && line.startsWith(`- ${PROGRESS_LABELS.open}: `)) {
+      const match = line.slice(`- ${PROGRESS_LABELS.open}: `.length).match(/^(.+?)(?:（([^、）]*)(?:、([^）]*))?）)?(?: — .*)?$/);
+      if (match) {
+        actions.push({ task: match[1].trim(), assignee: (match[2] || '').trim(), deadline: (match[3] || '').trim() });
+      }
+    }
+  }
+
+  return actions;
+}
+
+/**
+ * 議事録ファイルから front matter を除いた本文を取り出す
+ */
+function stripFrontMatter(markdown) {
+  return (markdown || '').replace(/^---\n[\s\S]*?\n---\n/, '').trim();
+}
+
+function normalizeTask(task) {
+  return (task || '').replace(/\s+/g, '').toLowerCase();
+}
+
+/**
+ * モデルが返した進捗を前回の未完了アクションにそろえる
+ * 前回のアクションが漏れていたら「継続」として補う
+ * @param {Array} openActions - 前回の未完了アクション
+ * @param {Array} progress - モデルが返した progress
+ * @returns {Array<{task: string, assignee: string, deadline: string, status: string, note: string}>}
+ */
+function reconcileProgress(openActions, progress) {
+  const reported = (Array.isArray(progress) ? progress : [])
+    .filter(item => item && item.task)
+    .map(item => ({
+      task: item.task,
+      status: PROGRESS_LABELS[item.status] ? item.status : 'open',
+      note: item.note || ''
+    }));
+
+  return (openActions || []).map(action => {
+    const key = normalizeTask(action.task);
+    const match = reported.find(item => {
+      const reportedKey = normalizeTask(item.task);
+      return reportedKey === key || reportedKey.includes(key) || key.includes(reportedKey);
+    });
+    return {
+      task: action.task,
+      assignee: action.assignee || '',
+      deadline: action.deadline || '',
+      status: match ? match.status : 'open',
+      note: match ? match.note : ''
+    };
+  });
+}
+
+/**
+ * 「前回からの進捗」セクション（議事録本文の後ろにつける）
+ * @param {Array} progress - reconcileProgress() の結果
+ * @returns {string} 進捗がなければ空文字
+ */
+function formatProgressSection(progress) {
+  if (!Array.isArray(progress) || progress.length === 0) {
+    return '';
+  }
+
+  const lines = progress.map(item => {
+    const owner = [item.assignee, item.deadline].filter(Boolean).join('、');
+    return `- ${PROGRESS_LABELS[item.status] || PROGRESS_LABELS.open}: ${item.task}${owner ? `（${owner}）` : ''}${item.note ? ` — ${item.note}` : ''}`;
+  });
+
+  return `\n\n${PROGRESS_HEADING}\n${lines.join('\n')}`;
+}
+
+/**
+ * 前回の会議を議事録プロンプトに渡すセクション
+ * @param {Object|null} previousMeeting - MeetingSeriesLoader#loadPreviousMeeting() の結果
+ * @returns {string}
+ */
+function formatPreviousMeetingForPrompt(previousMeeting) {
+  if (!previousMeeting) {
+    return '';
+  }
+
+  const { date, minutes, openActions } = previousMeeting;
+  let section = `
+# 前回の会議（同じ定例の ${date} 開催分）
+今回の会議は前回の続きです。前回の決定事項を踏まえて議事録を作成してください。
+
+## 前回の議事録（抜粋）
+${minutes}
+`;
+
+  if (openActions.length > 0) {
+    const actionLines = openActions
+      .map((action, index) => {
+        const owner = [action.assignee, action.deadline].filter(Boolean).join('、');
+        return `${index + 1}. ${action.task}${owner ? `（${owner}）` : ''}`;
+      })
+      .join('\n');
+
+    section += `
+## 前回の未完了アクション
+${actionLines}
+
+## 前回からの進捗
+JSONに "progress" フィールドを追加し、前回の未完了アクションそれぞれについて今回の会議での状況を記録してください。
+- task: 前回のアクション内容（上の一覧の表記のまま）
+- status: done（完了した）/ open（まだ終わっていない、または言及がない）/ dropped（やらないことになった）
+- note: 今回の会議でわかった状況を1文で（言及がなければ空文字）
+- 継続する前回のアクションは actions に重ねて書かない（期限が変わった場合は note に書く）
+
+例: "progress": [{"task": "見積もりを送る", "status": "done", "note": "12/3に送付済み"}]
+`;
+  }
+
+  return `${section}
+---
+`;
+}
+
+class MeetingSeriesLoader {
+  constructor(options = {}) {
+    this.github = options.github || null;
+    this.logger = options.logger || console;
+  }
+
+  /**
+   * 同じシリーズの前回の議事録と未完了のアクションを読み込む
+   * 見つからないとき・GitHub から読めないときは null（議事録は前回の文脈なしで作る）
+   * @param {Object} params
+   * @param {string} params.owner
+   * @param {string} params.repo
+   * @param {string} params.branch
+   * @param {string} params.pathPrefix - プロジェクトの path_prefix
+   * @param {string} params.baseName - 今回の議事録の名前
+   * @param {string} params.dateStr - 今回の日付（YYYY-MM-DD）
+   * @returns {Promise<{date: string, baseName: string, path: string, minutes: string, openActions: Array}|null>}
+   */
+  async loadPreviousMeeting({ owner, repo, branch = 'main', pathPrefix = '', baseName, dateStr }) {
+    if (!owner || !repo || !baseName) {
+      return null;
+    }
+
+    try {
+      const GitHubIntegration = require('./github-integration');
+      const github = this.github || new GitHubIntegration();
+
+      const files = await github.listDirectory({ owner, repo, branch, path: `${pathPrefix || ''}minutes` });
+      const previous = findPreviousMeeting(files.filter(file => file.type === 'file'), { baseName, dateStr });
+      if (!previous) {
+        return null;
+      }
+
+      const { content } = await github.getFileContent({ owner, repo, branch, path: previous.path });
+      if (!content) {
+        return null;
+      }
+
+      return {
+        date: previous.date,
+        baseName: previous.baseName,
+        path: previous.path,
+        minutes: stripFrontMatter(content).slice(0, PREVIOUS_MINUTES_MAX_CHARS),
+        openActions: extractOpenActions(content)
+      };
+    } catch (error) {
+      this.logger.warn(`Failed to load previous meeting for ${baseName}:`, error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = {
+  MeetingSeriesLoader,
+  parseMinutesFileName,
+  findPreviousMeeting,
+  extractOpenActions,
+  reconcileProgress,
+  formatProgressSection,
+  formatPreviousMeetingForPrompt
+};
@@ -111,7 +111,7 @@ function parseDeadline(deadline) {
 
 /**
  * 議事録から抽出したタスクをAirtableに登録
- * @param {Array<{ task: string, assignee: string, deadline: string }>} actions
+ * @param {Array<{ task: string, assignee: string, deadline: string, priority?: string }>} actions
  * @param {string} projectId
  * @param {string} meetingDate - YYYY-MM-DD形式
  * @returns {Promise<{ success: boolean, registered: number, failed: number, errors: Array }>}
@@ -160,6 +160,11 @@ async function registerMeetingTasks(actions, projectId, meetingDate) {
         fields.due_date = dueDate.toISOString().split('T')[0];
       }
 
+      // 提案UIで優先度を編集した場合のみ設定
+      if (action.priority) {
+        fields.priority = action.priority;
+      }
+
       await client.createRecord(baseInfo.baseId, 'タスク', fields);
       results.registered++;
     } catch (error) {
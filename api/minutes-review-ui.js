@@ -0,0 +1,243 @@
+/**
+ * minutes-review-ui.js
+ * 議事録のレビュー（コミット・投稿前の確認と編集）の Block Kit を生成する
+ */
+
+const { MAX_SECTION_CHARS, splitActionsText } = require('./minutes-review');
+
+const MINUTES_REVIEW_OPEN_ACTION_ID = 'minutes_review_open';
+const MINUTES_REVIEW_CALLBACK_ID = 'minutes_review_submit';
+const MINUTES_REVIEW_REGENERATE_PREFIX = 'minutes_review_regenerate_';
+
+const SECTION_BLOCK_PREFIX = 'minutes_review_section_';
+const ACTIONS_BLOCK_PREFIX = 'minutes_review_actions_';
+const INSTRUCTION_BLOCK_PREFIX = 'minutes_review_instruction_';
+// モーダルは100ブロックまで
+const MAX_MODAL_BLOCKS = 100;
+
+/**
+ * 投稿先の表示（GitHub のみのときはその旨）
+ */
+function describeDestination(context) {
+  return context.githubOnly ? '📦 GitHubのみ（チャンネルには投稿しません）' : `📢 投稿先: #${context.channelName || context.channelId}`;
+}
+
+/**
+ * セクションの見出しを入力欄のラベルにする
+ */
+function getSectionLabel(section, index) {
+  const firstLine = (section || '').split('\n')[0].replace(/[*_`]/g, '').trim();
+  return `${index + 1}. ${firstLine || 'セクション'}`.slice(0, 150);
+}
+
+/**
+ * セクションの入力欄の block_id（入力エラーの表示にも使う）
+ */
+function getSectionBlockId(index, revision = 0) {
+  return `${SECTION_BLOCK_PREFIX}${index}_r${revision}`;
+}
+
+/**
+ * 処理メッセージに出す「レビュー待ち」のブロック
+ * @param {Object} context - レビューの対象（fileId / projectId / 投稿先など。ボタンの value にそのまま入れる）
+ * @param {Object} minutesData - 生成した議事録データ
+ * @returns {Array}
+ */
+function buildReviewRequestBlocks(context, minutesData) {
+  const actionCount = (minutesData?.actions || []).length;
+  const preview = (minutesData?.minutes || '').slice(0, 500);
+
+  return [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `📝 *議事録を生成しました（確認待ち）*\n${describeDestination(context)}\n📄 ファイル: \`${context.fileName}\``
+      }
+    },
+    {
+      type: 'divider'
+    },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `${preview}${(minutesData?.minutes || '').length > preview.length ? '…' : ''}\n\n📅 アクション: ${actionCount}件`
+      }
+    },
+    {
+      type: 'actions',
+      elements: [
+        {
+          type: 'button',
+          style: 'primary',
+          text: { type: 'plain_text', text: '議事録を確認・編集' },
+          action_id: MINUTES_REVIEW_OPEN_ACTION_ID,
+          value: JSON.stringify(context)
+        }
+      ]
+    },
+    {
+      type: 'context',
+      elements: [{
+        type: 'mrkdwn',
+        text: '承認するまで GitHub へのコミットとチャンネルへの投稿は行いません。'
+      }]
+    }
+  ];
+}
+
+/**
+ * レビューのモーダル
+ * @param {Object} params
+ * @param {Object} params.context - レビューの対象（private_metadata に入れる）
+ * @param {string[]} params.sections - 議事録本文のセクション
+ * @param {string} params.actionsText - アクションの編集欄（formatActionsForEditing() の結果）
+ * @param {number} [params.revision] - 再生成のたびに増やす（入力欄を新しい値で描き直すため block_id に含める）
+ * @param {string} [params.notice] - 再生成の結果などのお知らせ
+ * @returns {Object} view
+ */
+function buildMinutesReviewView({ context, sections, actionsText, revision = 0, notice = null }) {
+  const blocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `📄 \`${context.fileName}\`\n🎯 ${context.projectName}\n${describeDestination(context)}`
+      }
+    }
+  ];
+
+  if (notice) {
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: notice }]
+    });
+  }
+
+  blocks.push(
+    {
+      type: 'input',
+      block_id: `${INSTRUCTION_BLOCK_PREFIX}r${revision}`,
+      optional: true,
+      label: { type: 'plain_text', text: '再生成の指示' },
+      hint: { type: 'plain_text', text: '指示を入力してから、書き直したいセクションの「再生成」を押してください。' },
+      element: {
+        type: 'plain_text_input',
+        action_id: 'value',
+        placeholder: { type: 'plain_text', text: '例: もっと詳しく / 固有名詞を修正' }
+      }
+    },
+    {
+      type: 'divider'
+    }
+  );
+
+  // アクションが多く1つの入力欄（3000文字）に入らなければ、行の切れ目で複数の入力欄に分ける
+  const actionsPieces = actionsText ? splitActionsText(actionsText) : [''];
+
+  // 残りのブロック数の範囲で、各セクションに再生成ボタンをつける
+  const reservedBlocks = blocks.length + sections.length + 1 + actionsPieces.length;
+  const regenerateButtons = Math.max(0, Math.min(sections.length, MAX_MODAL_BLOCKS - reservedBlocks));
+
+  sections.forEach((section, index) => {
+    blocks.push({
+      type: 'input',
+      block_id: getSectionBlockId(index, revision),
+      optional: true,
+      label: { type: 'plain_text', text: getSectionLabel(section, index) },
+      element: {
+        type: 'plain_text_input',
+        action_id: 'value',
+        multiline: true,
+        max_length: MAX_SECTION_CHARS,
+        ...(section ? { initial_value: section } : {})
+      }
+    });
+    if (index < regenerateButtons) {
+      blocks.push({
+        type: 'actions',
+        elements: [{
+          type: 'button',
+          text: { type: 'plain_text', text: '🔄 このセクションを再生成' },
+          action_id: `${MINUTES_REVIEW_REGENERATE_PREFIX}${index}`
+        }]
+      });
+    }
+  });
+
+  blocks.push({
+    type: 'divider'
+  });
+
+  actionsPieces.forEach((piece, index) => {
+    blocks.push({
+      type: 'input',
+      block_id: `${ACTIONS_BLOCK_PREFIX}${index}_r${revision}`,
+      optional: true,
+      label: {
+        type: 'plain_text',
+        text: index === 0 ? 'アクション（1行1件: 内容 / 担当者 / 期限）' : `アクション（続き ${index + 1}/${actionsPieces.length}）`
+      },
+      element: {
+        type: 'plain_text_input',
+        action_id: 'value',
+        multiline: true,
+        max_length: MAX_SECTION_CHARS,
+        ...(piece ? { initial_value: piece } : {})
+      }
+    });
+  });
+
+  return {
+    type: 'modal',
+    callback_id: MINUTES_REVIEW_CALLBACK_ID,
+    title: { type: 'plain_text', text: '議事録の確認' },
+    submit: { type: 'plain_text', text: context.githubOnly ? '承認してコミット' : '承認して投稿' },
+    close: { type: 'plain_text', text: 'あとで' },
+    private_metadata: JSON.stringify({ ...context, revision }),
+    blocks
+  };
+}
+
+/**
+ * モーダルの入力内容を取り出す
+ * @param {Object} view - body.view
+ * @returns {{context: Object, sections: string[], actionsText: string, instruction: string}}
+ */
+function getReviewValuesFromView(view) {
+  const context = JSON.parse(view.private_metadata || '{}');
+  const sections = [];
+  const actionsPieces = [];
+  let instruction = '';
+
+  for (const [blockId, values] of Object.entries(view.state?.values || {})) {
+    const value = values.value?.value || '';
+    const sectionMatch = blockId.match(new RegExp(`^${SECTION_BLOCK_PREFIX}(\\d+)_r\\d+$`));
+    const actionsMatch = blockId.match(new RegExp(`^${ACTIONS_BLOCK_PREFIX}(\\d+)_r\\d+$`));
+    if (sectionMatch) {
+      sections[Number(sectionMatch[1])] = value;
+    } else if (actionsMatch) {
+      actionsPieces[Number(actionsMatch[1])] = value;
+    } else if (blockId.startsWith(INSTRUCTION_BLOCK_PREFIX)) {
+      instruction = value.trim();
+    }
+  }
+
+  return {
+    context,
+    sections: Array.from(sections, section => section || ''),
+    actionsText: Array.from(actionsPieces, piece => piece || '').filter(Boolean).join('\n'),
+    instruction
+  };
+}
+
+module.exports = {
+  MINUTES_REVIEW_OPEN_ACTION_ID,
+  MINUTES_REVIEW_CALLBACK_ID,
+  MINUTES_REVIEW_REGENERATE_PREFIX,
+  buildReviewRequestBlocks,
+  buildMinutesReviewView,
+  getReviewValuesFromView,
+  getSectionBlockId
+};
@@ -0,0 +1,285 @@
+/**
+ * minutes-review.js
+ * 生成した議事録を、GitHub へのコミットとチャンネル投稿の前にレビュー・編集する
+ *
+ * - 議事録本文はトピックごとのセクションに分けて編集する（Slack の入力欄は3000文字まで）
+ * - アクションは1行1件（内容 / 担当者 / 期限）で編集する
+ * - 承認した版と生成した版の差分を DynamoDB（MINUTES_REVIEW_TABLE_NAME、デフォルト mana-minutes-reviews）に残し、
+ *   プロンプトの改善に使う
+ */
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, PutCommand } = require('@aws-sdk/lib-dynamodb');
+
+// Slack の plain_text_input の上限
+const MAX_SECTION_CHARS = 3000;
+const ACTION_FIELD_SEPARATOR = ' / ';
+// 期限の「12/5」は分けないよう、前後に空白のある / だけを区切りにする
+const ACTION_FIELD_PATTERN = /\s+\/\s+/;
+
+// トピックの見出し（*[トピック名]について*）
+const TOPIC_HEADING_PATTERN = /^\*[^*]+について\*\s*$/;
+
+/**
+ * 長すぎるセクションを空行の位置で分ける
+ */
+function splitLongSection(section, maxChars) {
+  const pieces = [];
+  let current = '';
+
+  for (const paragraph of section.split(/\n{2,}/)) {
+    const candidate = current ? `${current}\n\n${paragraph}` : paragraph;
+    if (candidate.length <= maxChars) {
+      current = candidate;
+      continue;
+    }
+    if (current) {
+      pieces.push(current);
+    }
+    // 1段落で上限を超える場合は文字数で切る
+    let rest = paragraph;
+    while (rest.length > maxChars) {
+      pieces.push(rest.slice(0, maxChars));
+      rest = rest.slice(maxChars);
+    }
+    current = rest;
+  }
+  if (current) {
+    pieces.push(current);
+  }
+
+  return pieces;
+}
+
+/**
+ * 議事録本文を編集用のセクションに分ける（タイトル・導入文 → トピックごと）
+ * @param {string} minutes - 議事録本文（Slack mrkdwn）
+ * @param {Object} [options]
+ * @param {number} [options.maxChars] - 1セクションの上限
+ * @returns {string[]}
+ */
+function splitMinutesIntoSections(minutes, { maxChars = MAX_SECTION_CHARS } = {}) {
+  const sections = [];
+  let current = [];
+
+  for (const line of (minutes || '').split('\n')) {
+    if (TOPIC_HEADING_PATTERN.test(line.trim()) && current.some(l => l.trim())) {
+      sections.push(current.join('\n').trim());
+      current = [];
+    }
+    current.push(line);
+  }
+  if (current.some(l => l.trim())) {
+    sections.push(current.join('\n').trim());
+  }
+
+  return sections.flatMap(section => splitLongSection(section, maxChars));
+}
+
+/**
+ * 編集したセクションを議事録本文に戻す
+ * @param {string[]} sections
+ * @returns {string}
+ */
+function joinMinutesSections(sections) {
+  return sections
+    .map(section => (section || '').trim())
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+/**
+ * アクションを編集欄のテキストにする（1行1件: 内容 / 担当者 / 期限）
+ * @param {Array<{task: string, assignee: string, deadline: string}>} actions
+ * @returns {string}
+ */
+function formatActionsForEditing(actions) {
+  return (actions || [])
+    .map(action => [action.task, action.assignee || '', action.deadline || ''].join(ACTION_FIELD_SEPARATOR).trim())
+    .join('\n');
+}
+
+/**
+ * アクションの編集欄のテキストを入力欄に入る長さに分ける（行の途中では切らない。1行で上限を超える場合だけ文字数で切る）
+ * @param {string} text - formatActionsForEditing() の結果
+ * @param {Object} [options]
+ * @param {number} [options.maxChars] - 1つの入力欄の上限
+ * @returns {string[]} - 改行でつなげると元に戻る
+ */
+function splitActionsText(text, { maxChars = MAX_SECTION_CHARS } = {}) {
+  const pieces = [];
+  let current = null;
+
+  for (const line of (text || '').split('\n')) {
+    const candidate = current === null ? line : `${current}\n${line}`;
+    if (candidate.length <= maxChars) {
+      current = candidate;
+      continue;
+    }
+    if (current) {
+      pieces.push(current);
+    }
+    let rest = line;
+    while (rest.length > maxChars) {
+      pieces.push(rest.slice(0, maxChars));
+      rest = rest.slice(maxChars);
+    }
+    current = rest;
+  }
+  if (current) {
+    pieces.push(current);
+  }
+
+  return pieces;
+}
+
+/**
+ * 編集欄のテキストをアクションに戻す
+ * 担当者を変えていないアクションは、生成時に解決した Slack ID を引き継ぐ
+ * @param {string} text
+ * @param {Array} [originalActions] - 生成時のアクション
+ * @returns {Array<{task: string, assignee: string, deadline: string}>}
+ */
+function parseEditedActions(text, originalActions = []) {
+  return (text || '')
+    .split('\n')
+    .map(line => line.replace(/^\s*[-・*]\s*/, '').trim())
+    .filter(Boolean)
+    .map(line => {
+      const [task, assignee = '', deadline = ''] = line.split(ACTION_FIELD_PATTERN).map(part => part.trim());
+      const action = { task, assignee, deadline };
+
+      const original = originalActions.find(candidate => candidate.assignee === assignee && 'assignee_slack_id' in candidate);
+      if (original) {
+        action.assignee_slack_id = original.assignee_slack_id;
+      }
+      return action;
+    })
+    .filter(action => action.task);
+}
+
+/**
+ * 行単位の差分（削除行・追加行だけを返す）
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array<{type: 'removed'|'added', line: string}>}
+ */
+function diffLines(before, after) {
+  const a = (before || '').split('\n');
+  const b = (after || '').split('\n');
+
+  // 最長共通部分列の長さ表
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      changes.push({ type: 'removed', line: a[i++] });
+    } else {
+      changes.push({ type: 'added', line: b[j++] });
+    }
+  }
+  while (i < a.length) {
+    changes.push({ type: 'removed', line: a[i++] });
+  }
+  while (j < b.length) {
+    changes.push({ type: 'added', line: b[j++] });
+  }
+
+  return changes;
+}
+
+/**
+ * 生成した議事録と承認した議事録の差分
+ * @param {{minutes: string, actions: Array}} generated
+ * @param {{minutes: string, actions: Array}} approved
+ * @returns {{changed: boolean, minutes: Array, actions: {added: Array, removed: Array}}}
+ */
+function buildMinutesDiff(generated, approved) {
+  const actionKey = action => [action.task, action.assignee, action.deadline].join(ACTION_FIELD_SEPARATOR);
+  const generatedActions = (generated.actions || []).map(actionKey);
+  const approvedActions = (approved.actions || []).map(actionKey);
+
+  const minutes = diffLines(generated.minutes, approved.minutes);
+  const actions = {
+    added: approvedActions.filter(action => !generatedActions.includes(action)),
+    removed: generatedActions.filter(action => !approvedActions.includes(action))
+  };
+
+  return {
+    changed: minutes.length > 0 || actions.added.length > 0 || actions.removed.length > 0,
+    minutes,
+    actions
+  };
+}
+
+class MinutesReviewRepository {
+  constructor(options = {}) {
+    const client = new DynamoDBClient({
+      region: options.region || process.env.AWS_REGION || 'us-east-1'
+    });
+    this.docClient = options.docClient || DynamoDBDocumentClient.from(client, {
+      marshallOptions: { removeUndefinedValues: true }
+    });
+    this.tableName = options.tableName || process.env.MINUTES_REVIEW_TABLE_NAME || 'mana-minutes-reviews';
+  }
+
+  /**
+   * レビュー結果（生成版・承認版・差分・再生成の指示）を保存する
+   * @param {Object} review
+   * @param {string} review.fileId - Slack ファイルID
+   * @param {string} review.projectId
+   * @param {string} review.projectName
+   * @param {string} review.reviewerId - 承認した人の Slack ID
+   * @param {Object} review.generated - 生成した議事録データ
+   * @param {Object} review.approved - 承認した議事録データ
+   * @param {Array} [review.regenerations] - セクション再生成の記録
+   * @param {Date} [now]
+   * @returns {Promise<Object>} 保存したアイテム
+   */
+  async saveReview({ fileId, projectId, projectName, reviewerId, generated, approved, regenerations = [] }, now = new Date()) {
+    const item = {
+      file_id: fileId,
+      reviewed_at: now.toISOString(),
+      project_id: projectId,
+      project_name: projectName,
+      reviewer_slack_id: reviewerId,
+      generated_minutes: generated.minutes || '',
+      generated_actions: generated.actions || [],
+      approved_minutes: approved.minutes || '',
+      approved_actions: approved.actions || [],
+      diff: buildMinutesDiff(generated, approved),
+      regenerations
+    };
+
+    await this.docClient.send(new PutCommand({
+      TableName: this.tableName,
+      Item: item
+    }));
+    return item;
+  }
+}
+
+module.exports = {
+  MAX_SECTION_CHARS,
+  splitMinutesIntoSections,
+  joinMinutesSections,
+  formatActionsForEditing,
+  splitActionsText,
+  parseEditedActions,
+  diffLines,
+  buildMinutesDiff,
+  MinutesReviewRepository
+};
@@ -0,0 +1,163 @@
+/**
+ * participant-roster-ui.js
+ * 話者の対応づけをアップロードした人に確認してもらう Block Kit を生成する
+ */
+
+const { getUnconfirmedSpeakers } = require('./participant-roster');
+
+const ROSTER_SPEAKER_ACTION_PREFIX = 'roster_speaker_';
+const ROSTER_CONFIRM_ACTION_ID = 'roster_confirm';
+// 社外の参加者を選んだときの値
+const GUEST_VALUE = 'guest';
+
+// 一度に確認してもらう話者の上限（Slack のメッセージを長くしすぎない）
+const MAX_CONFIRM_SPEAKERS = 10;
+// static_select のオプションは100件まで
+const MAX_SELECT_OPTIONS = 100;
+
+function toOption(text, value) {
+  return { text: { type: 'plain_text', text: text.slice(0, 75) }, value };
+}
+
+/**
+ * 話者1人分の選択肢（候補 → その他のメンバー → 社外の参加者）
+ */
+function buildSpeakerSelect(speaker, index, members) {
+  const candidateIds = speaker.candidates.map(candidate => candidate.slack_id);
+  const guestOption = toOption('社外の参加者（メンバーではない）', GUEST_VALUE);
+  const candidateOptions = speaker.candidates.map(candidate => toOption(candidate.name, candidate.slack_id));
+  const otherOptions = members
+    .filter(member => !candidateIds.includes(member.slack_id))
+    .sort((a, b) => a.name.localeCompare(b.name, 'ja'))
+    .slice(0, MAX_SELECT_OPTIONS - candidateOptions.length - 1)
+    .map(member => toOption(member.name, member.slack_id));
+
+  const optionGroups = [];
+  if (candidateOptions.length > 0) {
+    optionGroups.push({ label: { type: 'plain_text', text: '候補' }, options: candidateOptions });
+  }
+  if (otherOptions.length > 0) {
+    optionGroups.push({ label: { type: 'plain_text', text: 'その他のメンバー' }, options: otherOptions });
+  }
+  optionGroups.push({ label: { type: 'plain_text', text: '社外' }, options: [guestOption] });
+
+  return {
+    type: 'static_select',
+    action_id: `${ROSTER_SPEAKER_ACTION_PREFIX}${index}`,
+    placeholder: { type: 'plain_text', text: 'メンバーを選択' },
+    option_groups: optionGroups,
+    initial_option: candidateOptions[0] || guestOption
+  };
+}
+
+/**
+ * 確度の低い話者を確認してもらうブロック
+ * @param {{speakers: Array}} roster - buildParticipantRoster() の結果
+ * @param {Object} params
+ * @param {string} params.fileId - Slack ファイルID
+ * @param {string} params.channelId - アップロードされたチャンネル
+ * @param {Array<{name: string, slack_id: string}>} params.members - buildMemberDirectory() の結果
+ * @returns {Array|null} 確認する話者がいなければ null
+ */
+function buildRosterConfirmationBlocks(roster, { fileId, channelId, members }) {
+  const unconfirmed = getUnconfirmedSpeakers(roster).slice(0, MAX_CONFIRM_SPEAKERS);
+  if (unconfirmed.length === 0) {
+    return null;
+  }
+
+  const blocks = [{
+    type: 'section',
+    text: {
+      type: 'mrkdwn',
+      text: '🗣 *話者の確認*\n議事録の担当者を正しく割り当てるため、自動で対応づけられなかった話者を選んでください。\n_確認しない場合は推定した対応で議事録を作成します。_'
+    }
+  }];
+
+  for (const speaker of unconfirmed) {
+    const index = roster.speakers.indexOf(speaker);
+    blocks.push({
+      type: 'section',
+      block_id: `${ROSTER_SPEAKER_ACTION_PREFIX}${index}`,
+      text: { type: 'mrkdwn', text: `*「${speaker.label}」*（発言 ${speaker.count}回）` },
+      accessory: buildSpeakerSelect(speaker, index, members)
+    });
+  }
+
+  const resolved = roster.speakers.filter(speaker => speaker.confidence === 'high');
+  if (resolved.length > 0) {
+    blocks.push({
+      type: 'context',
+      elements: [{
+        type: 'mrkdwn',
+        text: `自動で対応づけた話者: ${resolved.map(speaker => `${speaker.label} → ${speaker.name}`).join('、')}`.slice(0, 3000)
+      }]
+    });
+  }
+
+  blocks.push({
+    type: 'actions',
+    elements: [{
+      type: 'button',
+      style: 'primary',
+      text: { type: 'plain_text', text: 'この内容で確定' },
+      action_id: ROSTER_CONFIRM_ACTION_ID,
+      value: JSON.stringify({ fileId, channelId })
+    }]
+  });
+
+  return blocks;
+}
+
+/**
+ * 確定ボタンを押したときのメッセージの選択状態から、話者ラベル → Slack ID（社外は null）を取り出す
+ * @param {Object} stateValues - body.state.values
+ * @param {{speakers: Array}} roster
+ * @returns {Object<string, string|null>}
+ */
+function getSpeakerSelectionsFromState(stateValues, roster) {
+  const selections = {};
+  for (const [blockId, actions] of Object.entries(stateValues || {})) {
+    if (!blockId.startsWith(ROSTER_SPEAKER_ACTION_PREFIX)) continue;
+
+    const speaker = roster.speakers[Number(blockId.slice(ROSTER_SPEAKER_ACTION_PREFIX.length))];
+    const selected = actions[blockId] && actions[blockId].selected_option;
+    if (!speaker || !selected) continue;
+
+    selections[speaker.label] = selected.value === GUEST_VALUE ? null : selected.value;
+  }
+  return selections;
+}
+
+/**
+ * 確定後の名簿を表示するブロック
+ * @param {{speakers: Array}} roster
+ * @returns {Array}
+ */
+function buildRosterSummaryBlocks(roster) {
+  const lines = roster.speakers.map(speaker => {
+    if (speaker.slack_id) {
+      return `- 「${speaker.label}」→ ${speaker.name}（<@${speaker.slack_id}>）`;
+    }
+    // 確認の上限を超えて選ばれなかった話者は、推定した候補のまま
+    if (speaker.confidence === 'low' && speaker.candidates.length > 0) {
+      return `- 「${speaker.label}」→ ${speaker.candidates[0].name}（推定）`;
+    }
+    return `- 「${speaker.label}」→ 社外の参加者`;
+  });
+
+  return [{
+    type: 'section',
+    text: {
+      type: 'mrkdwn',
+      text: `✅ *話者を確定しました*\n${lines.join('\n')}`.slice(0, 3000)
+    }
+  }];
+}
+
+module.exports = {
+  ROSTER_SPEAKER_ACTION_PREFIX,
+  ROSTER_CONFIRM_ACTION_ID,
+  buildRosterConfirmationBlocks,
+  getSpeakerSelectionsFromState,
+  buildRosterSummaryBlocks
+};
@@ -0,0 +1,331 @@
+/**
+ * participant-roster.js
+ * 文字起こしの話者名を members.json のメンバー（brainbase名・Slack ID）に対応づける参加者名簿
+ *
+ * 音声認識や会議ツールの表示名は聞き間違い・表記ゆれを含むため、議事録を作る前に
+ * 1. 文字起こしから話者ラベルを取り出し
+ * 2. メンバーと突き合わせて確度（high / low / none）をつけ
+ * 3. 確度の低い話者はアップロードした人に確認してもらい（participant-roster-ui.js）
+ * 4. 確定した名簿を議事録生成・アクション抽出に渡して、担当者を必ずメンバーにそろえる
+ */
+
+const { getMembersMapping, stripRoleSuffix } = require('./slack-name-resolver');
+
+// 担当者がメンバーに対応づかなかったときの表記
+const UNASSIGNED_LABEL = '担当未定';
+
+// 名簿に載せる話者の上限（発言の多い順）
+const MAX_SPEAKERS = 20;
+const MAX_CANDIDATES = 5;
+
+// 「見出し: 内容」の形で書かれがちで、話者ではないラベル
+const NON_SPEAKER_LABELS = [
+  '議題', '決定', '決定事項', '結論', '課題', '宿題', '目的', '日時', '場所', '参加者', '出席者',
+  '備考', 'メモ', '補足', '注意', '参考', 'todo', 'q', 'a', 'note', 'agenda', 'url'
+];
+
+// [HH:MM:SS] 話者: 発言（transcript-parser.js で VTT / SRT をそろえた形）
+const CUE_LINE_PATTERN = /^\[\d{2}:\d{2}:\d{2}\]\s+([^:：\n]{1,40}?):\s/;
+// 話者: 発言 / 話者：発言
+const LABEL_LINE_PATTERN = /^([^:：\n\[\]#*\-]{1,40}?)(?::\s+|：\s*)\S/;
+// 話者 00:01:05（Notta など）
+const NAME_WITH_TIME_PATTERN = /^([^\d:：\n\[\]#*\-][^:：\n\[\]]{0,39}?)\s+\(?\d{1,2}:\d{2}(?::\d{2})?\)?$/;
+// 話者の次の行が時刻だけ（Google Meet の DOCX）
+const TIME_ONLY_PATTERN = /^\(?\d{1,2}:\d{2}(?::\d{2})?\)?$/;
+
+function normalizeName(name) {
+  return stripRoleSuffix(String(name || '')).replace(/[\s　・･]/g, '').toLowerCase();
+}
+
+function isSpeakerLabel(label) {
+  const trimmed = label.trim();
+  return Boolean(trimmed) &&
+    !/^https?$/i.test(trimmed) &&
+    !/^\d+$/.test(trimmed) &&
+    !NON_SPEAKER_LABELS.includes(trimmed.toLowerCase());
+}
+
+/**
+ * 文字起こしから話者ラベルを取り出す
+ * タイムスタンプ付きの行から取れた話者はそのまま、「話者: 発言」だけの行は2回以上出てきたものを話者とみなす
+ * @param {string} text - transcript-parser.js でそろえた文字起こし
+ * @returns {Array<{label: string, count: number}>} 発言の多い順
+ */
+function extractSpeakerLabels(text) {
+  const counts = new Map();
+  const lines = String(text || '').split('\n').map(line => line.trim());
+
+  const add = (label, timed) => {
+    const key = label.trim();
+    if (!isSpeakerLabel(key)) return;
+    const entry = counts.get(key) || { label: key, count: 0, timed: false };
+    entry.count++;
+    entry.timed = entry.timed || timed;
+    counts.set(key, entry);
+  };
+
+  lines.forEach((line, index) => {
+    let match = CUE_LINE_PATTERN.exec(line);
+    if (match) return add(match[1], true);
+
+    match = NAME_WITH_TIME_PATTERN.exec(line);
+    if (match) return add(match[1], true);
+
+    if (line && line.length <= 40 && TIME_ONLY_PATTERN.test(lines[index + 1] || '') && !TIME_ONLY_PATTERN.test(line)) {
+      return add(line, true);
+    }
+
+    match = LABEL_LINE_PATTERN.exec(line);
+    if (match) add(match[1], false);
+  });
+
+  return [...counts.values()]
+    .filter(entry => entry.timed || entry.count >= 2)
+    .sort((a, b) => b.count - a.count)
+    .slice(0, MAX_SPEAKERS)
+    .map(({ label, count }) => ({ label, count }));
+}
+
+/**
+ * getMembersMapping() の名前 → Slack ID から、メンバー1人1件の一覧を作る（苗字だけのキーはフルネームにまとめる）
+ * @param {Map<string, string>} mapping
+ * @returns {Array<{name: string, slack_id: string}>}
+ */
+function buildMemberDirectory(mapping) {
+  const bySlackId = new Map();
+  for (const [name, slackId] of mapping || []) {
+    if (!slackId) continue;
+    const existing = bySlackId.get(slackId);
+    if (!existing || name.length > existing.name.length) {
+      bySlackId.set(slackId, { name, slack_id: slackId });
+    }
+  }
+  return [...bySlackId.values()];
+}
+
+function levenshtein(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = current;
+    }
+  }
+  return previous[b.length];
+}
+
+/**
+ * 話者ラベルをメンバーに対応づける
+ * - high: フルネームが一致、または苗字（役職・敬称を除く）が1人だけに一致
+ * - low: 苗字が複数人に一致、名前だけ一致、1〜2文字違い・部分一致などの候補がある
+ * - none: 候補なし（社外の参加者など）
+ * @param {string} label - 話者ラベル
+ * @param {Array<{name: string, slack_id: string}>} members - buildMemberDirectory() の結果
+ * @returns {{label: string, name: string|null, slack_id: string|null, confidence: string, candidates: Array<{name: string, slack_id: string}>}}
+ */
+function resolveSpeaker(label, members) {
+  const normalized = normalizeName(label);
+  const result = (confidence, candidates) => ({
+    label,
+    name: confidence === 'high' ? candidates[0].name : null,
+    slack_id: confidence === 'high' ? candidates[0].slack_id : null,
+    confidence,
+    candidates: candidates.slice(0, MAX_CANDIDATES).map(({ name, slack_id }) => ({ name, slack_id }))
+  });
+
+  if (!normalized) {
+    return result('none', []);
+  }
+
+  const exact = members.filter(member => normalizeName(member.name) === normalized);
+  if (exact.length === 1) {
+    return result('high', exact);
+  }
+
+  const parts = member => member.name.trim().split(/[\s　]+/).map(normalizeName);
+  const byFamilyName = members.filter(member => parts(member).length > 1 && parts(member)[0] === normalized);
+  if (byFamilyName.length === 1 && exact.length === 0) {
+    return result('high', byFamilyName);
+  }
+
+  const byGivenName = members.filter(member => parts(member).length > 1 && parts(member).slice(-1)[0] === normalized);
+  const scored = members
+    .map(member => {
+      const full = normalizeName(member.name);
+      const distance = levenshtein(normalized, full);
+      const tolerance = Math.max(1, Math.floor(full.length / 4));
+      const contains = normalized.length >= 2 && (full.includes(normalized) || normalized.includes(full));
+      return { member, distance, similar: distance <= tolerance && full.length >= 3, contains };
+    })
+    .filter(({ similar, contains }) => similar || contains)
+    .sort((a, b) => a.distance - b.distance)
+    .map(({ member }) => member);
+
+  const candidates = [];
+  for (const member of [...exact, ...byFamilyName, ...byGivenName, ...scored]) {
+    if (!candidates.some(candidate => candidate.slack_id === member.slack_id)) {
+      candidates.push(member);
+    }
+  }
+
+  return result(candidates.length > 0 ? 'low' : 'none', candidates);
+}
+
+/**
+ * 文字起こしから参加者名簿を作る
+ * @param {string} text - 文字起こし
+ * @param {Object} [options]
+ * @param {Map<string, string>} [options.mapping] - getMembersMapping() の結果（省略時は取得する）
+ * @returns {Promise<{speakers: Array, confirmed: boolean}>}
+ */
+async function buildParticipantRoster(text, { mapping } = {}) {
+  const members = buildMemberDirectory(mapping || await getMembersMapping());
+  const speakers = extractSpeakerLabels(text).map(({ label, count }) => ({
+    ...resolveSpeaker(label, members),
+    count
+  }));
+
+  return { speakers, confirmed: false };
+}
+
+/**
+ * アップロードした人に確認してもらう話者（確度が high でなく、まだ確認されていないもの）
+ * @param {{speakers: Array, confirmed: boolean}} roster
+ * @returns {Array}
+ */
+function getUnconfirmedSpeakers(roster) {
+  if (!roster || roster.confirmed) return [];
+  return roster.speakers.filter(speaker => speaker.confidence !== 'high' && speaker.confidence !== 'confirmed');
+}
+
+/**
+ * 確認結果を名簿に反映する
+ * @param {{speakers: Array, confirmed: boolean}} roster
+ * @param {Object<string, string|null>} selections - 話者ラベル → Slack ID（社外の参加者は null）
+ * @param {Array<{name: string, slack_id: string}>} members
+ * @returns {{speakers: Array, confirmed: boolean}}
+ */
+function applySpeakerSelections(roster, selections, members) {
+  const speakers = roster.speakers.map(speaker => {
+    if (!Object.prototype.hasOwnProperty.call(selections, speaker.label)) {
+      return speaker;
+    }
+    const member = members.find(m => m.slack_id === selections[speaker.label]);
+    return {
+      ...speaker,
+      name: member ? member.name : null,
+      slack_id: member ? member.slack_id : null,
+      confidence: 'confirmed'
+    };
+  });
+
+  return { speakers, confirmed: true };
+}
+
+/**
+ * 名簿で確定しているメンバー（話者名 → メンバー）
+ * 確認されていない low の話者は、いちばん近い候補を仮に使う
+ */
+function getRosterMembers(roster) {
+  const entries = [];
+  for (const speaker of (roster && roster.speakers) || []) {
+    if (speaker.slack_id) {
+      entries.push({ label: speaker.label, name: speaker.name, slack_id: speaker.slack_id });
+    } else if (speaker.confidence === 'low' && speaker.candidates.length > 0) {
+      entries.push({ label: speaker.label, ...speaker.candidates[0] });
+    }
+  }
+  return entries;
+}
+
+/**
+ * 議事録・アクション抽出のプロンプトに入れる参加者の対応表
+ * @param {{speakers: Array}} roster
+ * @returns {string} 名簿が空なら ''
+ */
+function formatRosterForPrompt(roster) {
+  if (!roster || !roster.speakers || roster.speakers.length === 0) {
+    return '';
+  }
+
+  const members = getRosterMembers(roster);
+  const lines = roster.speakers.map(speaker => {
+    const member = members.find(entry => entry.label === speaker.label);
+    return member
+      ? `- 「${speaker.label}」→ ${member.name}`
+      : `- 「${speaker.label}」→ 社外の参加者（メンバーではない）`;
+  });
+  const memberNames = [...new Set(members.map(member => member.name))];
+
+  return `
+# 参加者（話者の対応表）
+文字起こしの話者名は聞き間違いを含むため、以下の対応表に従って正しい氏名で記載してください。
+${lines.join('\n')}
+
+アクションの assignee は${memberNames.length > 0 ? `参加メンバー（${memberNames.join('、')}）か、その他の社内メンバーの` : '社内メンバーの'}フルネームで記載し、担当者が社外の参加者または不明な場合は「${UNASSIGNED_LABEL}」としてください。
+
+`;
+}
+
+/**
+ * アクションの担当者をメンバーにそろえる
+ * 名簿 → メンバー全体の順に突き合わせ、対応づかない担当者は「担当未定」にして元の表記を unresolved_assignee に残す
+ * @param {Array<{task: string, assignee: string, deadline: string}>} actions
+ * @param {{speakers: Array}} roster
+ * @param {Object} [options]
+ * @param {Map<string, string>} [options.mapping] - getMembersMapping() の結果（省略時は取得する）
+ * @returns {Promise<Array<{task: string, assignee: string, assignee_slack_id: string|null, deadline: string}>>}
+ */
+async function resolveActionAssignees(actions, roster, { mapping } = {}) {
+  if (!Array.isArray(actions) || actions.length === 0) {
+    return actions || [];
+  }
+
+  const members = buildMemberDirectory(mapping || await getMembersMapping());
+  const rosterMembers = getRosterMembers(roster);
+
+  return actions.map(action => {
+    const assignee = String(action.assignee || '').trim();
+    const normalized = normalizeName(assignee);
+
+    let member = rosterMembers.find(entry => normalizeName(entry.label) === normalized || normalizeName(entry.name) === normalized);
+    if (!member && normalized && normalized !== normalizeName(UNASSIGNED_LABEL)) {
+      const resolved = resolveSpeaker(assignee, members);
+      if (resolved.confidence === 'high') {
+        member = resolved;
+      } else {
+        // 候補のうち参加者がいればその人にする
+        member = resolved.candidates.find(candidate => rosterMembers.some(entry => entry.slack_id === candidate.slack_id));
+      }
+    }
+
+    if (member) {
+      return { ...action, assignee: member.name, assignee_slack_id: member.slack_id };
+    }
+
+    const unresolved = { ...action, assignee: UNASSIGNED_LABEL, assignee_slack_id: null };
+    if (assignee && assignee !== UNASSIGNED_LABEL) {
+      unresolved.unresolved_assignee = assignee;
+    }
+    return unresolved;
+  });
+}
+
+module.exports = {
+  UNASSIGNED_LABEL,
+  extractSpeakerLabels,
+  buildMemberDirectory,
+  resolveSpeaker,
+  buildParticipantRoster,
+  getUnconfirmedSpeakers,
+  applySpeakerSelections,
+  formatRosterForPrompt,
+  resolveActionAssignees
+};
@@ -0,0 +1,356 @@
+/**
+ * pii-redaction.js
+ * 文字起こし・議事録の個人情報を伏せ字（プレースホルダー）に置き換える
+ *
+ * - 電話番号・メールアドレス・口座番号・カード番号などを日本語・英語の書き方で検出する
+ * - 顧客名などはプロジェクトごとの伏せ字リスト（mana-projects の redaction_deny_list）と
+ *   環境変数 PII_REDACTION_DENY_LIST で指定する
+ * - 同じ値は同じプレースホルダー（例: [電話番号1]）にし、Bedrock や GitHub には伏せ字にした内容だけを渡す
+ * - プレースホルダーと原文の対応はファイルごとに DynamoDB（REDACTION_MAPPING_TABLE_NAME、デフォルト mana-redaction-mappings）に保存し、
+ *   PII_REDACTION_VIEWER_IDS に含まれるユーザーだけが /mana-unredact で確認できる
+ *
+ * PII_REDACTION_ENABLED=true で有効（対応表のテーブルを作ってから有効にする）、PII_REDACTION_TYPES（カンマ区切り）で検出する種類を絞れる。
+ */
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, GetCommand, PutCommand } = require('@aws-sdk/lib-dynamodb');
+
+const DENY_LIST_TYPE = 'deny_list';
+const DEFAULT_DENY_LIST_LABEL = '固有名';
+
+/**
+ * Luhn チェック（カード番号の誤検出を減らす）
+ */
+function isValidCardNumber(value) {
+  const digits = value.replace(/\D/g, '');
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function countDigits(value) {
+  return value.replace(/\D/g, '').length;
+}
+
+// 検出する種類（上から順に置き換える。group があればその部分だけを伏せる）
+const PII_DETECTORS = [
+  {
+    type: 'email',
+    label: 'メールアドレス',
+    patterns: [/[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g]
+  },
+  {
+    type: 'credit_card',
+    label: 'カード番号',
+    patterns: [/(?<!\d)(?:\d{4}[-\s]?){3}\d{4}(?!\d)/g],
+    validate: isValidCardNumber
+  },
+  {
+    type: 'my_number',
+    label: '個人番号',
+    patterns: [/(?:マイナンバー|個人番号)\s*(?:は|[:：])?\s*(\d{4}[-\s]?\d{4}[-\s]?\d{4})(?!\d)/g],
+    group: 1
+  },
+  {
+    type: 'bank_account',
+    label: '口座番号',
+    patterns: [
+      /口座(?:番号)?\s*(?:は|[:：])?\s*(?:(?:普通|当座)(?:預金)?\s*)?(\d{6,8})(?!\d)/g,
+      /(?:普通|当座)(?:預金)?\s*(?:口座)?\s*[:：]?\s*(\d{7})(?!\d)/g,
+      /\b(?:bank\s+)?(?:account|acct)\.?\s*(?:number|no\.?|#)?\s*[:#]?\s*(\d{6,12})\b/gi,
+      /\b([A-Z]{2}\d{2}(?:\s?[A-Z0-9]{4}){3,7}(?:\s?[A-Z0-9]{1,3})?)\b/g
+    ],
+    group: 1
+  },
+  {
+    type: 'ssn',
+    label: 'SSN',
+    patterns: [/(?<!\d)\d{3}-\d{2}-\d{4}(?!\d)/g]
+  },
+  {
+    type: 'phone',
+    label: '電話番号',
+    patterns: [
+      // 国内: 03-1234-5678 / 090 1234 5678 / 09012345678 / 0120-123-456
+      /(?<![\d-])0\d{1,4}[-\s(（]?\d{1,4}[-\s)）]?\d{3,4}(?![\d-])/g,
+      // 国際: +81-90-1234-5678 / +1 (415) 555-0100
+      /\+\d{1,3}[-\s]?\(?\d{1,4}\)?[-\s]?\d{1,4}[-\s]?\d{3,4}(?![\d-])/g,
+      // 米国: (415) 555-0100
+      /\(\d{3}\)\s?\d{3}-\d{4}(?!\d)/g
+    ],
+    validate: value => countDigits(value) >= 10 && countDigits(value) <= 15
+  },
+  {
+    type: 'postal_code',
+    label: '郵便番号',
+    patterns: [/〒\s?\d{3}-?\d{4}(?!\d)/g]
+  }
+];
+
+const PII_TYPES = PII_DETECTORS.map(detector => detector.type);
+
+function splitList(value) {
+  return String(value || '')
+    .split(/[,\n]/)
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * 環境変数から伏せ字の設定を読む
+ * @param {Object} [env]
+ * @returns {{enabled: boolean, types: string[], denyList: string[], viewerIds: string[]}}
+ */
+function getRedactionSettings(env = process.env) {
+  const types = splitList(env.PII_REDACTION_TYPES).filter(type => PII_TYPES.includes(type));
+  return {
+    enabled: env.PII_REDACTION_ENABLED === 'true',
+    types: types.length > 0 ? types : PII_TYPES,
+    denyList: splitList(env.PII_REDACTION_DENY_LIST),
+    viewerIds: splitList(env.PII_REDACTION_VIEWER_IDS)
+  };
+}
+
+/**
+ * 伏せ字リストを {term, label} にそろえる（長い語から置き換えるよう並べる）
+ * @param {Array<string|{term: string, label?: string}>} denyList
+ * @returns {Array<{term: string, label: string}>}
+ */
+function normalizeDenyList(denyList) {
+  const seen = new Set();
+  return (denyList || [])
+    .map(entry => (typeof entry === 'string' ? { term: entry } : entry || {}))
+    .map(entry => ({ term: String(entry.term || '').trim(), label: entry.label || DEFAULT_DENY_LIST_LABEL }))
+    .filter(entry => entry.term && !seen.has(entry.term) && seen.add(entry.term))
+    .sort((a, b) => b.term.length - a.term.length);
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 同じ値かどうかを比べるためのキー（書式の揺れは無視する）
+ */
+function getValueKey(type, value) {
+  if (type === DENY_LIST_TYPE) {
+    return value.toLowerCase();
+  }
+  if (type === 'email') {
+    return value.toLowerCase();
+  }
+  return value.replace(/[\s\-()（）]/g, '').toUpperCase();
+}
+
+/**
+ * 値のプレースホルダーを返す（対応表になければ追加する）
+ */
+function getPlaceholder(mapping, type, label, original) {
+  const key = getValueKey(type, original);
+  const existing = Object.entries(mapping).find(([, entry]) => entry.type === type && getValueKey(type, entry.original) === key);
+  if (existing) {
+    return existing[0];
+  }
+
+  const sameLabel = Object.keys(mapping).filter(placeholder => placeholder.startsWith(`[${label}`)).length;
+  const placeholder = `[${label}${sameLabel + 1}]`;
+  mapping[placeholder] = { type, original };
+  return placeholder;
+}
+
+/**
+ * テキストの個人情報をプレースホルダーに置き換える
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {Object} [options.mapping] - これまでの対応表（{ '[電話番号1]': { type, original } }）。同じ値は同じプレースホルダーにする
+ * @param {Array} [options.denyList] - 伏せ字リスト（顧客名など）
+ * @param {string[]} [options.types] - 検出する種類（デフォルトは全て）
+ * @returns {{text: string, mapping: Object, count: number}} count は置き換えた箇所の数
+ */
+function redactText(text, { mapping = {}, denyList = [], types = PII_TYPES } = {}) {
+  const nextMapping = { ...mapping };
+  let count = 0;
+  let result = String(text || '');
+
+  for (const { term, label } of normalizeDenyList(denyList)) {
+    const flags = /^[\x00-\x7F]+$/.test(term) ? 'gi' : 'g';
+    result = result.replace(new RegExp(escapeRegExp(term), flags), match => {
+      count++;
+      return getPlaceholder(nextMapping, DENY_LIST_TYPE, label, match);
+    });
+  }
+
+  for (const detector of PII_DETECTORS.filter(item => types.includes(item.type))) {
+    for (const pattern of detector.patterns) {
+      result = result.replace(pattern, (match, ...groups) => {
+        const value = detector.group ? groups[detector.group - 1] : match;
+        if (!value || (detector.validate && !detector.validate(value))) {
+          return match;
+        }
+        count++;
+        return match.replace(value, getPlaceholder(nextMapping, detector.type, detector.label, value));
+      });
+    }
+  }
+
+  return { text: result, mapping: nextMapping, count };
+}
+
+class RedactionMappingRepository {
+  constructor(options = {}) {
+    const client = new DynamoDBClient({
+      region: options.region || process.env.AWS_REGION || 'us-east-1'
+    });
+    this.docClient = options.docClient || DynamoDBDocumentClient.from(client, {
+      marshallOptions: { removeUndefinedValues: true }
+    });
+    this.tableName = options.tableName || process.env.REDACTION_MAPPING_TABLE_NAME || 'mana-redaction-mappings';
+  }
+
+  /**
+   * ファイルの対応表を取得（なければ空）
+   * @param {string} fileId - Slack ファイルID
+   * @returns {Promise<Object>}
+   */
+  async getMapping(fileId) {
+    const result = await this.docClient.send(new GetCommand({
+      TableName: this.tableName,
+      Key: { file_id: fileId }
+    }));
+    return result.Item?.mapping || {};
+  }
+
+  /**
+   * ファイルの対応表を保存
+   * @param {string} fileId
+   * @param {Object} mapping
+   * @param {Object} [metadata]
+   * @param {string} [metadata.projectId]
+   * @param {Date} [now]
+   */
+  async saveMapping(fileId, mapping, { projectId } = {}, now = new Date()) {
+    await this.docClient.send(new PutCommand({
+      TableName: this.tableName,
+      Item: {
+        file_id: fileId,
+        mapping,
+        project_id: projectId,
+        updated_at: now.toISOString()
+      }
+    }));
+  }
+}
+
+/**
+ * アップロード時の伏せ字リスト（プロジェクトが決まる前なので、全プロジェクトの分をあわせて使う）
+ * @param {Object} [options]
+ * @param {Object} [options.projectRepository]
+ * @returns {Promise<Array>}
+ */
+async function getUploadDenyList({ projectRepository } = {}) {
+  try {
+    const ProjectRepository = require('./project-repository');
+    const projects = await (projectRepository || new ProjectRepository()).getAllProjects();
+    return projects.flatMap(project => project.redaction_deny_list || []);
+  } catch (error) {
+    console.warn('[pii-redaction] Failed to load project deny lists:', error.message);
+    return [];
+  }
+}
+
+/**
+ * ファイルの複数のテキストを同じ対応表で伏せ字にし、対応表を保存する
+ * 対応表を読めない・保存できないときはエラーにする（原文を確認できない伏せ字を残さないため）
+ * @param {string} fileId - Slack ファイルID
+ * @param {Object<string, string>} texts - 例: { transcript, minutes, summary }
+ * @param {Object} [options]
+ * @param {Array} [options.denyList] - プロジェクトの伏せ字リスト（環境変数の分は自動で加える）
+ * @param {string} [options.projectId]
+ * @param {RedactionMappingRepository} [options.repository]
+ * @param {Object} [options.settings] - getRedactionSettings() の結果
+ * @returns {Promise<{texts: Object<string, string>, count: number, placeholders: number}>}
+ */
+async function redactFileTexts(fileId, texts, { denyList = [], projectId, repository, settings = getRedactionSettings() } = {}) {
+  if (!settings.enabled) {
+    return { texts, count: 0, placeholders: 0 };
+  }
+
+  const mappingRepository = repository || new RedactionMappingRepository();
+  let mapping = await mappingRepository.getMapping(fileId);
+  const redacted = {};
+  let count = 0;
+
+  for (const [name, text] of Object.entries(texts)) {
+    if (typeof text !== 'string' || !text) {
+      redacted[name] = text;
+      continue;
+    }
+    const result = redactText(text, { mapping, denyList: [...settings.denyList, ...denyList], types: settings.types });
+    redacted[name] = result.text;
+    mapping = result.mapping;
+    count += result.count;
+  }
+
+  if (count > 0) {
+    await mappingRepository.saveMapping(fileId, mapping, { projectId });
+  }
+
+  return { texts: redacted, count, placeholders: Object.keys(mapping).length };
+}
+
+/**
+ * Slack のファイルを取得し、伏せ字にした文字起こしを返す（transcript-parser の downloadTranscript と同じ形）
+ * @param {Object} client - Slack WebClient
+ * @param {string} fileId
+ * @returns {Promise<{format: string, text: string, fileName: string, redactedCount: number}>}
+ */
+async function downloadRedactedTranscript(client, fileId) {
+  const { downloadTranscript } = require('./transcript-parser');
+  const download = await downloadTranscript(client, fileId);
+  const { texts, placeholders } = await redactFileTexts(fileId, { transcript: download.text }, {
+    denyList: await getUploadDenyList()
+  });
+
+  return { ...download, text: texts.transcript, redactedCount: placeholders };
+}
+
+/**
+ * 原文を確認できるユーザーか
+ * @param {string} userId - Slack ユーザーID
+ * @param {Object} [settings]
+ * @returns {boolean}
+ */
+function canViewRedactedOriginals(userId, settings = getRedactionSettings()) {
+  return Boolean(userId) && settings.viewerIds.includes(userId);
+}
+
+/**
+ * 対応表を表示用のテキストにする
+ * @param {Object} mapping
+ * @returns {string}
+ */
+function formatRedactionMapping(mapping) {
+  return Object.entries(mapping || {})
+    .map(([placeholder, entry]) => `• \`${placeholder}\` → ${entry.original}`)
+    .join('\n');
+}
+
+module.exports = {
+  PII_TYPES,
+  getRedactionSettings,
+  normalizeDenyList,
+  redactText,
+  RedactionMappingRepository,
+  getUploadDenyList,
+  redactFileTexts,
+  downloadRedactedTranscript,
+  canViewRedactedOriginals,
+  formatRedactionMapping
+};
@@ -1,15 +1,19 @@
 const AirtableIntegration = require('./airtable-integration');
-const axios = require('axios');
 const { summarizeText } = require('./llm-integration');
+const { getTranscriptFormat, isUnsupportedDocument } = require('./transcript-parser');
+const { downloadRedactedTranscript } = require('./pii-redaction');
+const { getMembersMapping } = require('./slack-name-resolver');
+const { buildParticipantRoster, buildMemberDirectory } = require('./participant-roster');
+const { buildRosterConfirmationBlocks } = require('./participant-roster-ui');
 
 /**
  * Process file upload event from Slack
  * @param {Object} message - Slack message event
  * @param {Object} client - Slack Web API client
  * @param {Object} logger - Logger instance
- * @param {Map} fileDataStore - In-memory store for file data
+ * @param {UploadSessionStore} uploadSessionStore - アップロードセッションの保存先（upload-session-store.js）
  */
-async function processFileUpload(message, client, logger, fileDataStore) {
+async function processFileUpload(message, client, logger, uploadSessionStore) {
   logger.info('=== Processing file upload ===');
   logger.info(`Message timestamp: ${message.ts}`);
   logger.info(`Thread timestamp: ${message.thread_ts || 'none'}`);
@@ -24,47 +28,47 @@ async function processFileUpload(message, client, logger, fileDataStore) {
   const userId = message.user;
   const threadTs = message.thread_ts || message.ts;
   
-  // Check if file is a text file
-  if (!fileName.toLowerCase().endsWith('.txt')) {
-    logger.info(`Skipping non-text file: ${fileName}`);
+  // Check if file is a transcript (.txt / .md / .vtt / .srt / .docx / .pdf)
+  const format = getTranscriptFormat(fileName, file.filetype);
+  if (!format) {
+    if (isUnsupportedDocument(fileName)) {
+      logger.info(`Unsupported transcript format: ${fileName}`);
+      await client.chat.postMessage({
+        channel: channelId,
+        thread_ts: threadTs,
+        text: `⚠️ ${fileName} は読み込めない形式です。.txt .md .vtt .srt .docx .pdf のいずれかで上げ直してください。`
+      });
+    } else {
+      logger.info(`Skipping non-transcript file: ${fileName}`);
+    }
     return;
   }
   
   try {
-    // Get file content
-    logger.info(`Downloading file: ${fileName} (${fileId})`);
-    const fileInfo = await client.files.info({ file: fileId });
-    
-    let content = '';
-    if (fileInfo.file.content) {
-      content = fileInfo.file.content;
-    } else if (fileInfo.file.url_private_download) {
-      // Download file content using axios with Slack token
-      logger.info(`Downloading file content from: ${fileInfo.file.url_private_download}`);
-      const response = await axios.get(fileInfo.file.url_private_download, {
-        headers: {
-          'Authorization': `Bearer ${process.env.SLACK_BOT_TOKEN}`
-        },
-        responseType: 'text'
-      });
-      content = response.data;
+    // Get file content and normalize it to plain text (speaker labels and timestamps are kept)
+    // 個人情報は伏せ字にしてから保存する（以降の Bedrock・GitHub には伏せ字にした内容だけを渡す）
+    logger.info(`Downloading file: ${fileName} (${fileId}, ${format})`);
+    const { text: content, redactedCount } = await downloadRedactedTranscript(client, fileId);
+    if (redactedCount > 0) {
+      logger.info(`Redacted ${redactedCount} personal data values in: ${fileId}`);
     }
     
     // Store file data
     const fileData = {
       fileId,
       fileName,
+      format,
       content,
       channelId,
       userId,
       threadTs,
       uploadedAt: new Date().toISOString(),
+      redactedCount,
       classificationResult: {}
     };
     
-    // Store with multiple keys for better retrieval
-    fileDataStore.set(fileId, fileData);
-    fileDataStore.set(`${fileId}_${channelId}`, fileData);
+    // 後続のボタン操作は別のコンテナに届くことがあるので、セッションとして保存する
+    await uploadSessionStore.saveSession(fileData);
     
     logger.info(`File data stored for: ${fileId}`);
     
@@ -91,9 +95,8 @@ async function processFileUpload(message, client, logger, fileDataStore) {
       summary = await summarizeText(content);
       fileData.summary = summary;
       
-      // Update fileDataStore with summary
-      fileDataStore.set(fileId, fileData);
-      fileDataStore.set(`${fileId}_${channelId}`, fileData);
+      await uploadSessionStore.updateSession(fileId, { summary });
+      await uploadSessionStore.markStep(fileId, 'summarized');
       
       logger.info('Summary extraction completed and stored');
     } catch (error) {
@@ -101,9 +104,8 @@ async function processFileUpload(message, client, logger, fileDataStore) {
       summaryError = error.message;
       fileData.summaryError = summaryError;
       
-      // Update fileDataStore even with error
-      fileDataStore.set(fileId, fileData);
-      fileDataStore.set(`${fileId}_${channelId}`, fileData);
+      await uploadSessionStore.updateSession(fileId, { summaryError });
+      await uploadSessionStore.markStep(fileId, 'summarized', 'failed', { error: summaryError });
     }
     
     // Get project list from Airtable with error handling
@@ -157,10 +159,11 @@ async function processFileUpload(message, client, logger, fileDataStore) {
     
     // Store message timestamp for later reference
     fileData.selectionMessageTs = response.ts;
-    fileDataStore.set(fileId, fileData);
-    fileDataStore.set(`${fileId}_${channelId}`, fileData);
+    await uploadSessionStore.updateSession(fileId, { selectionMessageTs: response.ts });
     
     logger.info(`Project selection message posted for file: ${fileId}`);
+
+    await requestRosterConfirmation(client, fileData, uploadSessionStore, logger);
     
   } catch (error) {
     logger.error('Error processing file upload:', error);
@@ -207,6 +210,43 @@ async function processFileUpload(message, client, logger, fileDataStore) {
   }
 }
 
+/**
+ * 話者をメンバーに対応づけた参加者名簿を作り、確度の低い話者があればアップロードした人に確認してもらう
+ * 名簿はセッションの roster に保存し、議事録生成時に使う（失敗してもファイル処理は止めない）
+ * @param {Object} client - Slack Web API client
+ * @param {Object} fileData - File data object
+ * @param {UploadSessionStore} uploadSessionStore - アップロードセッションの保存先
+ * @param {Object} logger - Logger instance
+ */
+async function requestRosterConfirmation(client, fileData, uploadSessionStore, logger) {
+  try {
+    const mapping = await getMembersMapping();
+    const roster = await buildParticipantRoster(fileData.content, { mapping });
+    fileData.roster = roster;
+    await uploadSessionStore.updateSession(fileData.fileId, { roster });
+
+    const blocks = buildRosterConfirmationBlocks(roster, {
+      fileId: fileData.fileId,
+      channelId: fileData.channelId,
+      members: buildMemberDirectory(mapping)
+    });
+    if (!blocks || !fileData.userId) {
+      return;
+    }
+
+    await client.chat.postEphemeral({
+      channel: fileData.channelId,
+      user: fileData.userId,
+      thread_ts: fileData.threadTs,
+      blocks,
+      text: '🗣 議事録の話者を確認してください'
+    });
+    logger.info(`Roster confirmation requested for file: ${fileData.fileId} (${roster.speakers.length} speakers)`);
+  } catch (error) {
+    logger.warn('Failed to prepare participant roster:', error.message);
+  }
+}
+
 /**
  * Create Slack blocks with summary and project selection
  * @param {Array} projects - List of projects from Airtable
@@ -238,6 +278,16 @@ function createBlocksWithSummary(projects, fileId, fileData, summary, summaryErr
     }
   });
   
+  if (fileData.redactedCount > 0) {
+    blocks.push({
+      type: "context",
+      elements: [{
+        type: "mrkdwn",
+        text: `🔒 個人情報 ${fileData.redactedCount}件を伏せ字にしました（原文の確認: \`/mana-unredact ${fileId}\`）`
+      }]
+    });
+  }
+  
   blocks.push({ type: "divider" });
   
   // Summary section
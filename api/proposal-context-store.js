@@ -0,0 +1,110 @@
+/**
+ * proposal-context-store.js
+ * 会議内容の提案メッセージ（決定事項・タスクの承認UI）のコンテキストを保存する
+ *
+ * 承認・却下・編集のボタン操作は提案を送ったのとは別の Lambda コンテナに届くことが多いので、
+ * コンテナ内の Map ではなく DynamoDB（PROPOSAL_CONTEXT_TABLE_NAME、デフォルト mana-meeting-proposals）に
+ * 提案メッセージの ts をキーに保存する（TTL 7日）。
+ *
+ * DynamoDB に書けないときはコンテナ内のキャッシュだけで動く（upload-session-store.js と同じ挙動）。
+ */
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, GetCommand, PutCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+
+const DEFAULT_TTL_DAYS = 7;
+
+// コンテナ内のキャッシュ（DynamoDB に書けないときの退避先も兼ねる）
+const localContexts = new Map();
+
+class ProposalContextStore {
+  constructor(options = {}) {
+    const region = options.region || process.env.AWS_REGION || 'us-east-1';
+    this.docClient = options.docClient || DynamoDBDocumentClient.from(new DynamoDBClient({ region }), {
+      marshallOptions: { removeUndefinedValues: true }
+    });
+    this.tableName = options.tableName || process.env.PROPOSAL_CONTEXT_TABLE_NAME || 'mana-meeting-proposals';
+    this.ttlDays = options.ttlDays || DEFAULT_TTL_DAYS;
+    this.localContexts = options.localContexts || localContexts;
+    this.logger = options.logger || console;
+  }
+
+  getTtl(now) {
+    return Math.floor(now.getTime() / 1000) + this.ttlDays * 24 * 60 * 60;
+  }
+
+  /**
+   * コンテキストを取得する（なければ null）
+   * @param {string} messageTs - 提案メッセージの ts
+   * @returns {Promise<Object|null>} sendProposalMessage が保存したコンテキスト
+   */
+  async getContext(messageTs) {
+    if (!messageTs) {
+      return null;
+    }
+
+    try {
+      const response = await this.docClient.send(new GetCommand({
+        TableName: this.tableName,
+        Key: { message_ts: messageTs }
+      }));
+      if (response.Item) {
+        this.localContexts.set(messageTs, response.Item.context);
+        return response.Item.context;
+      }
+    } catch (error) {
+      this.logger.warn(`Failed to load proposal context ${messageTs}, using local cache:`, error.message);
+    }
+
+    return this.localContexts.get(messageTs) || null;
+  }
+
+  /**
+   * コンテキストを丸ごと保存する（提案の送信時と、編集で決定事項・タスクが変わったとき）
+   * @param {string} messageTs - 提案メッセージの ts
+   * @param {Object} context
+   * @param {Date} [now]
+   * @returns {Promise<Object>} 保存したコンテキスト
+   */
+  async saveContext(messageTs, context, now = new Date()) {
+    this.localContexts.set(messageTs, context);
+
+    try {
+      await this.docClient.send(new PutCommand({
+        TableName: this.tableName,
+        Item: {
+          message_ts: messageTs,
+          context,
+          updated_at: now.toISOString(),
+          ttl: this.getTtl(now)
+        }
+      }));
+    } catch (error) {
+      this.logger.warn(`Failed to save proposal context ${messageTs}, keeping it in local cache only:`, error.message);
+    }
+
+    return context;
+  }
+
+  /**
+   * コンテキストを削除する（一括承認・一括却下で提案が片付いたとき）
+   * @param {string} messageTs - 提案メッセージの ts
+   */
+  async deleteContext(messageTs) {
+    this.localContexts.delete(messageTs);
+
+    try {
+      await this.docClient.send(new DeleteCommand({
+        TableName: this.tableName,
+        Key: { message_ts: messageTs }
+      }));
+    } catch (error) {
+      // 残っても TTL で消える
+      this.logger.warn(`Failed to delete proposal context ${messageTs}:`, error.message);
+    }
+  }
+}
+
+module.exports = {
+  ProposalContextStore
+};
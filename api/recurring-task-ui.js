@@ -0,0 +1,302 @@
+/**
+ * recurring-task-ui.js
+ * /mana-recurring の定期タスク一覧・作成モーダルを生成する
+ */
+
+const { parseRRule, describeRRule } = require('./recurring-tasks');
+
+const RECURRING_LIST_CALLBACK_ID = 'mana_recurring_list';
+const RECURRING_CREATE_CALLBACK_ID = 'mana_recurring_create';
+
+// モーダルは100ブロックまで（1定義あたり2ブロック）
+const MAX_DEFINITIONS = 40;
+
+const SCHEDULE_PRESETS = [
+  { value: 'FREQ=DAILY', label: '毎日' },
+  { value: 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR', label: '平日毎日' },
+  { value: 'FREQ=WEEKLY;BYDAY=MO', label: '毎週月曜' },
+  { value: 'FREQ=WEEKLY;BYDAY=FR', label: '毎週金曜' },
+  { value: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO', label: '隔週月曜' },
+  { value: 'FREQ=MONTHLY;BYMONTHDAY=1', label: '毎月1日' },
+  { value: 'FREQ=MONTHLY;BYMONTHDAY=-1', label: '毎月末' },
+  { value: 'FREQ=MONTHLY;BYDAY=1MO', label: '毎月第1月曜' }
+];
+
+const PRIORITY_OPTIONS = [
+  { value: 'high', label: '高' },
+  { value: 'medium', label: '中' },
+  { value: 'low', label: '低' }
+];
+
+function toOption({ value, label }) {
+  return { text: { type: 'plain_text', text: label }, value };
+}
+
+function buildDefinitionRow(definition) {
+  const id = definition.recurring_id;
+  const paused = definition.status === 'paused';
+  const statusText = paused ? '⏸ 停止中' : `▶️ 次回: ${definition.next_run_date || '-'}`;
+  const details = [
+    `🔁 ${describeRRule(definition.rrule)}`,
+    statusText,
+    `担当: <@${definition.owner_slack_id}>`,
+    `📂 ${definition.project_id || 'general'}`
+  ];
+  if (definition.skip_if_open) {
+    details.push('前回未完了ならスキップ');
+  }
+  if (definition.last_task_id) {
+    details.push(`前回: ${definition.last_task_id}`);
+  }
+
+  return [
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: `*${definition.title_template}*\n${details.join(' | ')}` }
+    },
+    {
+      type: 'actions',
+      block_id: `recurring_actions_${id}`,
+      elements: [
+        paused
+          ? {
+            type: 'button',
+            text: { type: 'plain_text', text: '▶️ 再開' },
+            action_id: `recurring_resume_${id}`,
+            value: id
+          }
+          : {
+            type: 'button',
+            text: { type: 'plain_text', text: '⏸ 一時停止' },
+            action_id: `recurring_pause_${id}`,
+            value: id
+          },
+        {
+          type: 'button',
+          text: { type: 'plain_text', text: '🗑 削除' },
+          style: 'danger',
+          action_id: `recurring_delete_${id}`,
+          value: id,
+          confirm: {
+            title: { type: 'plain_text', text: '定期タスクを削除' },
+            text: { type: 'mrkdwn', text: `「${definition.title_template}」を削除します。作成済みのタスクは残ります。` },
+            confirm: { type: 'plain_text', text: '削除' },
+            deny: { type: 'plain_text', text: 'キャンセル' }
+          }
+        }
+      ]
+    }
+  ];
+}
+
+/**
+ * 定期タスク一覧モーダル
+ * @param {Array<Object>} definitions - 定期タスク定義
+ * @returns {Object} Slack view
+ */
+function buildRecurringListView(definitions = []) {
+  const blocks = [
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: `*🔁 定期タスク* (${definitions.length}件)` },
+      accessory: {
+        type: 'button',
+        text: { type: 'plain_text', text: '＋ 追加' },
+        style: 'primary',
+        action_id: 'recurring_create_open'
+      }
+    },
+    { type: 'divider' }
+  ];
+
+  if (definitions.length === 0) {
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: '_定期タスクはまだありません_' }
+    });
+  }
+
+  for (const definition of definitions.slice(0, MAX_DEFINITIONS)) {
+    blocks.push(...buildDefinitionRow(definition));
+  }
+
+  if (definitions.length > MAX_DEFINITIONS) {
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: `他 ${definitions.length - MAX_DEFINITIONS} 件` }]
+    });
+  }
+
+  return {
+    type: 'modal',
+    callback_id: RECURRING_LIST_CALLBACK_ID,
+    title: { type: 'plain_text', text: '定期タスク' },
+    close: { type: 'plain_text', text: '閉じる' },
+    blocks
+  };
+}
+
+/**
+ * 定期タスク作成モーダル
+ * @param {Object} [options]
+ * @param {string} [options.userId] - 担当者の初期値
+ * @param {string} [options.listViewId] - 一覧モーダルから開いた場合のview ID（作成後に一覧を更新する）
+ * @returns {Object} Slack view
+ */
+function buildRecurringCreateView({ userId = null, listViewId = null } = {}) {
+  const ownerSelect = {
+    type: 'users_select',
+    action_id: 'owner',
+    placeholder: { type: 'plain_text', text: '担当者を選択' }
+  };
+  if (userId) {
+    ownerSelect.initial_user = userId;
+  }
+
+  return {
+    type: 'modal',
+    callback_id: RECURRING_CREATE_CALLBACK_ID,
+    title: { type: 'plain_text', text: '定期タスクを追加' },
+    submit: { type: 'plain_text', text: '追加' },
+    close: { type: 'plain_text', text: 'キャンセル' },
+    private_metadata: JSON.stringify({ listViewId }),
+    blocks: [
+      {
+        type: 'input',
+        block_id: 'title_template',
+        label: { type: 'plain_text', text: 'タイトル' },
+        hint: { type: 'plain_text', text: '{{date}} {{m}} {{d}} {{weekday}} などで生成日を埋め込めます（例: 週次レポート {{m}}/{{d}}）' },
+        element: { type: 'plain_text_input', action_id: 'value' }
+      },
+      {
+        type: 'input',
+        block_id: 'schedule_preset',
+        label: { type: 'plain_text', text: 'スケジュール' },
+        optional: true,
+        element: {
+          type: 'static_select',
+          action_id: 'value',
+          placeholder: { type: 'plain_text', text: 'よく使うスケジュール' },
+          options: SCHEDULE_PRESETS.map(toOption)
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'rrule',
+        label: { type: 'plain_text', text: 'スケジュール（RRULE）' },
+        optional: true,
+        hint: { type: 'plain_text', text: '指定するとプリセットより優先します（例: FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH）' },
+        element: { type: 'plain_text_input', action_id: 'value' }
+      },
+      {
+        type: 'input',
+        block_id: 'dtstart',
+        label: { type: 'plain_text', text: '開始日' },
+        optional: true,
+        element: { type: 'datepicker', action_id: 'value' }
+      },
+      {
+        type: 'input',
+        block_id: 'owner',
+        label: { type: 'plain_text', text: '担当者' },
+        element: ownerSelect
+      },
+      {
+        type: 'input',
+        block_id: 'project_id',
+        label: { type: 'plain_text', text: 'プロジェクト' },
+        optional: true,
+        element: { type: 'plain_text_input', action_id: 'value', placeholder: { type: 'plain_text', text: 'general' } }
+      },
+      {
+        type: 'input',
+        block_id: 'priority',
+        label: { type: 'plain_text', text: '優先度' },
+        element: {
+          type: 'static_select',
+          action_id: 'value',
+          initial_option: toOption(PRIORITY_OPTIONS[1]),
+          options: PRIORITY_OPTIONS.map(toOption)
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'due_offset_days',
+        label: { type: 'plain_text', text: '期限（生成日から何日後）' },
+        optional: true,
+        element: { type: 'number_input', action_id: 'value', is_decimal_allowed: false, min_value: '0' }
+      },
+      {
+        type: 'input',
+        block_id: 'options',
+        label: { type: 'plain_text', text: 'オプション' },
+        optional: true,
+        element: {
+          type: 'checkboxes',
+          action_id: 'value',
+          initial_options: [toOption({ value: 'skip_if_open', label: '前回のタスクが未完了なら生成しない' })],
+          options: [toOption({ value: 'skip_if_open', label: '前回のタスクが未完了なら生成しない' })]
+        }
+      }
+    ]
+  };
+}
+
+/**
+ * 作成モーダルの入力から定義を組み立てる
+ * @param {Object} view - 送信されたview
+ * @returns {{ definition: Object|null, errors: Object|null }} errors は block_id → メッセージ（response_action: errors 用）
+ */
+function getDefinitionFromSubmission(view) {
+  const values = view.state.values;
+  const errors = {};
+
+  const titleTemplate = (values.title_template?.value?.value || '').trim();
+  if (!titleTemplate) {
+    errors.title_template = 'タイトルを入力してください';
+  }
+
+  const customRule = (values.rrule?.value?.value || '').trim();
+  const rrule = customRule || values.schedule_preset?.value?.selected_option?.value || '';
+  if (!rrule) {
+    errors.schedule_preset = 'スケジュールを選択するかRRULEを入力してください';
+  } else {
+    try {
+      parseRRule(rrule);
+    } catch (error) {
+      errors[customRule ? 'rrule' : 'schedule_preset'] = error.message;
+    }
+  }
+
+  const offsetValue = values.due_offset_days?.value?.value;
+  const dueOffsetDays = offsetValue === undefined || offsetValue === null || offsetValue === ''
+    ? null
+    : Number(offsetValue);
+
+  if (Object.keys(errors).length > 0) {
+    return { definition: null, errors };
+  }
+
+  return {
+    definition: {
+      title_template: titleTemplate,
+      rrule,
+      dtstart: values.dtstart?.value?.selected_date || undefined,
+      owner_slack_id: values.owner.owner.selected_user,
+      project_id: (values.project_id?.value?.value || '').trim() || 'general',
+      priority: values.priority?.value?.selected_option?.value || 'medium',
+      due_offset_days: dueOffsetDays,
+      skip_if_open: (values.options?.value?.selected_options || []).some(o => o.value === 'skip_if_open')
+    },
+    errors: null
+  };
+}
+
+module.exports = {
+  RECURRING_LIST_CALLBACK_ID,
+  RECURRING_CREATE_CALLBACK_ID,
+  SCHEDULE_PRESETS,
+  buildRecurringListView,
+  buildRecurringCreateView,
+  getDefinitionFromSubmission
+};
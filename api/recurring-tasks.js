@@ -0,0 +1,602 @@
+/**
+ * recurring-tasks.js
+ * 定期タスク（繰り返しタスクの定義と、スケジュールに従ったタスクの自動生成）
+ *
+ * - 定義は DynamoDB（RECURRING_TASKS_TABLE_NAME、デフォルト mana-recurring-tasks）に1定義1アイテムで保存する
+ * - スケジュールは RRULE のサブセット（FREQ=DAILY/WEEKLY/MONTHLY, INTERVAL, BYDAY, BYMONTHDAY, UNTIL）で表す
+ * - EventBridge の run_reminders 実行時に runDueDefinitions が期日の来た定義からタスクを生成する
+ *
+ * 日付はすべて JST の YYYY-MM-DD で扱う。
+ */
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const {
+  DynamoDBDocumentClient,
+  PutCommand,
+  GetCommand,
+  UpdateCommand,
+  DeleteCommand,
+  ScanCommand
+} = require('@aws-sdk/lib-dynamodb');
+const { getTaskStore, isClosedTask } = require('./task-store');
+const { createTaskMessageBlocks } = require('./task-ui');
+const { getSlackIdToBrainbaseName } = require('./slack-name-resolver');
+
+const JST_OFFSET_MS = 9 * 60 * 60 * 1000;
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const RRULE_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAY_LABELS = ['日', '月', '火', '水', '木', '金', '土'];
+
+// 次回日を探す上限（INTERVAL が大きい月次でも収まる日数）
+const MAX_SEARCH_DAYS = 366 * 5;
+
+function parseDate(dateStr) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+function formatDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function addDays(dateStr, days) {
+  const date = parseDate(dateStr);
+  date.setUTCDate(date.getUTCDate() + days);
+  return formatDate(date);
+}
+
+/**
+ * JSTの今日（YYYY-MM-DD）
+ */
+function getJstDate(now = new Date()) {
+  return formatDate(new Date(now.getTime() + JST_OFFSET_MS));
+}
+
+/**
+ * RRULE文字列をパースする
+ * 例: "FREQ=WEEKLY;BYDAY=MO,WE", "FREQ=MONTHLY;BYMONTHDAY=-1", "FREQ=MONTHLY;BYDAY=1MO"
+ * @param {string} rrule - RRULE（"RRULE:" は省略可）
+ * @returns {{freq: string, interval: number, byDay: Array<{weekday: number, ordinal: number|null}>, byMonthDay: Array<number>, until: string|null}}
+ * @throws {Error} 未対応・不正なルールの場合
+ */
+function parseRRule(rrule) {
+  const parts = String(rrule || '').trim().replace(/^RRULE:/i, '').split(';').filter(Boolean);
+  const params = {};
+  for (const part of parts) {
+    const [key, value] = part.split('=');
+    if (!key || value === undefined) {
+      throw new Error(`RRULEの形式が不正です: ${part}`);
+    }
+    params[key.trim().toUpperCase()] = value.trim().toUpperCase();
+  }
+
+  const freq = params.FREQ;
+  if (!FREQUENCIES.includes(freq)) {
+    throw new Error(`FREQは ${FREQUENCIES.join(' / ')} のいずれかを指定してください`);
+  }
+
+  const interval = params.INTERVAL ? Number(params.INTERVAL) : 1;
+  if (!Number.isInteger(interval) || interval < 1) {
+    throw new Error(`INTERVALが不正です: ${params.INTERVAL}`);
+  }
+
+  const byDay = params.BYDAY
+    ? params.BYDAY.split(',').map(value => {
+      const match = value.match(/^([+-]?\d)?(SU|MO|TU|WE|TH|FR|SA)$/);
+      if (!match) {
+        throw new Error(`BYDAYが不正です: ${value}`);
+      }
+      const ordinal = match[1] ? Number(match[1]) : null;
+      if (ordinal !== null && (freq !== 'MONTHLY' || ordinal === 0 || Math.abs(ordinal) > 5)) {
+        throw new Error(`BYDAYの序数は月次（FREQ=MONTHLY）で1〜5または-1〜-5のみ指定できます: ${value}`);
+      }
+      return { weekday: RRULE_WEEKDAYS.indexOf(match[2]), ordinal };
+    })
+    : [];
+
+  const byMonthDay = params.BYMONTHDAY
+    ? params.BYMONTHDAY.split(',').map(value => {
+      const day = Number(value);
+      if (!Number.isInteger(day) || day === 0 || Math.abs(day) > 31) {
+        throw new Error(`BYMONTHDAYが不正です: ${value}`);
+      }
+      return day;
+    })
+    : [];
+
+  let until = null;
+  if (params.UNTIL) {
+    const match = params.UNTIL.match(/^(\d{4})(\d{2})(\d{2})/);
+    if (!match) {
+      throw new Error(`UNTILが不正です: ${params.UNTIL}`);
+    }
+    until = `${match[1]}-${match[2]}-${match[3]}`;
+  }
+
+  return { freq, interval, byDay, byMonthDay, until };
+}
+
+function daysInMonth(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+}
+
+function matchesMonthDay(date, monthDay) {
+  const day = monthDay > 0 ? monthDay : daysInMonth(date) + monthDay + 1;
+  return date.getUTCDate() === day;
+}
+
+function matchesByDay(date, { weekday, ordinal }) {
+  if (date.getUTCDay() !== weekday) {
+    return false;
+  }
+  if (ordinal === null) {
+    return true;
+  }
+  if (ordinal > 0) {
+    return Math.ceil(date.getUTCDate() / 7) === ordinal;
+  }
+  return Math.ceil((daysInMonth(date) - date.getUTCDate() + 1) / 7) === -ordinal;
+}
+
+/**
+ * 日付がルールに一致するか（INTERVAL は dtstart を起点に数える）
+ */
+function matchesRule(rule, date, start) {
+  const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+  switch (rule.freq) {
+    case 'DAILY': {
+      const days = Math.round((date - start) / MS_PER_DAY);
+      return days % rule.interval === 0;
+    }
+    case 'WEEKLY': {
+      // 週は月曜始まり
+      const mondayOf = d => d.getTime() - ((d.getUTCDay() + 6) % 7) * MS_PER_DAY;
+      const weeks = Math.round((mondayOf(date) - mondayOf(start)) / (7 * MS_PER_DAY));
+      if (weeks % rule.interval !== 0) {
+        return false;
+      }
+      const weekdays = rule.byDay.length > 0 ? rule.byDay.map(d => d.weekday) : [start.getUTCDay()];
+      return weekdays.includes(date.getUTCDay());
+    }
+    case 'MONTHLY': {
+      const months = (date.getUTCFullYear() - start.getUTCFullYear()) * 12 + date.getUTCMonth() - start.getUTCMonth();
+      if (months % rule.interval !== 0) {
+        return false;
+      }
+      if (rule.byMonthDay.length > 0 && !rule.byMonthDay.some(day => matchesMonthDay(date, day))) {
+        return false;
+      }
+      if (rule.byDay.length > 0) {
+        return rule.byDay.some(byDay => matchesByDay(date, byDay));
+      }
+      // BYDAY・BYMONTHDAY がなければ dtstart と同じ日（ない月は月末）
+      return rule.byMonthDay.length > 0 ||
+        date.getUTCDate() === Math.min(start.getUTCDate(), daysInMonth(date));
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * afterDate より後（当日を含まない）で最初にルールに一致する日を返す
+ * @param {Object|string} rule - parseRRule の結果またはRRULE文字列
+ * @param {string} afterDate - 基準日（YYYY-MM-DD）
+ * @param {string} dtstart - 開始日（YYYY-MM-DD、この日より前は対象外）
+ * @returns {string|null} 次回日（UNTIL を過ぎる・見つからなければnull）
+ */
+function getNextOccurrence(rule, afterDate, dtstart) {
+  const parsed = typeof rule === 'string' ? parseRRule(rule) : rule;
+  const start = parseDate(dtstart);
+
+  // dtstart 当日も候補に含める
+  let current = afterDate < dtstart ? addDays(dtstart, -1) : afterDate;
+  for (let i = 0; i < MAX_SEARCH_DAYS; i++) {
+    current = addDays(current, 1);
+    if (parsed.until && current > parsed.until) {
+      return null;
+    }
+    if (matchesRule(parsed, parseDate(current), start)) {
+      return current;
+    }
+  }
+  return null;
+}
+
+/**
+ * タイトルテンプレートを展開する
+ * 対応: {{date}}（YYYY-MM-DD） {{yyyy}} {{mm}} {{dd}} {{m}} {{d}} {{weekday}}（月〜日）
+ * @param {string} template - タイトルテンプレート
+ * @param {string} date - 生成日（YYYY-MM-DD）
+ * @returns {string}
+ */
+function renderTitleTemplate(template, date) {
+  const [yyyy, mm, dd] = date.split('-');
+  const values = {
+    date,
+    yyyy,
+    mm,
+    dd,
+    m: String(Number(mm)),
+    d: String(Number(dd)),
+    weekday: WEEKDAY_LABELS[parseDate(date).getUTCDay()]
+  };
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, key) => (
+    Object.prototype.hasOwnProperty.call(values, key) ? values[key] : placeholder
+  ));
+}
+
+/**
+ * RRULE を人が読める形にする（一覧表示用）
+ */
+function describeRRule(rrule) {
+  let rule;
+  try {
+    rule = parseRRule(rrule);
+  } catch (error) {
+    return rrule;
+  }
+
+  const every = rule.interval > 1 ? `${rule.interval}` : '';
+  const weekdays = rule.byDay.map(({ weekday, ordinal }) => {
+    if (ordinal === null) return `${WEEKDAY_LABELS[weekday]}曜`;
+    return ordinal > 0 ? `第${ordinal}${WEEKDAY_LABELS[weekday]}曜` : `最終${WEEKDAY_LABELS[weekday]}曜`;
+  }).join('・');
+  const monthDays = rule.byMonthDay.map(day => (day === -1 ? '月末' : day < 0 ? `月末から${-day}日目` : `${day}日`)).join('・');
+
+  let text;
+  if (rule.freq === 'DAILY') {
+    text = every ? `${every}日ごと` : '毎日';
+  } else if (rule.freq === 'WEEKLY') {
+    text = `${every ? `${every}週ごと` : '毎週'}${weekdays ? ` ${weekdays}` : ''}`;
+  } else {
+    text = `${every ? `${every}か月ごと` : '毎月'}${monthDays ? ` ${monthDays}` : ''}${weekdays ? ` ${weekdays}` : ''}`;
+  }
+  return rule.until ? `${text}（${rule.until}まで）` : text;
+}
+
+/**
+ * 定期タスク定義の永続化（DynamoDB）
+ */
+class RecurringTaskRepository {
+  constructor(options = {}) {
+    const client = new DynamoDBClient({
+      region: options.region || process.env.AWS_REGION || 'us-east-1'
+    });
+    this.docClient = options.docClient || DynamoDBDocumentClient.from(client);
+    this.tableName = options.tableName || process.env.RECURRING_TASKS_TABLE_NAME || 'mana-recurring-tasks';
+  }
+
+  /**
+   * 定義を作成する（RRULE を検証し、最初の生成日を next_run_date に入れる）
+   * @param {Object} definition
+   * @param {string} definition.title_template - タイトルテンプレート
+   * @param {string} definition.rrule - RRULE
+   * @param {string} [definition.dtstart] - 開始日（デフォルト: 今日）
+   * @param {string} definition.owner_slack_id - 担当者のSlack ID
+   * @param {string} [definition.owner] - 担当者のbrainbase名
+   * @param {string} [definition.project_id] - プロジェクト
+   * @param {string} [definition.priority] - 優先度
+   * @param {number|null} [definition.due_offset_days] - 生成日から期限までの日数（nullなら期限なし）
+   * @param {boolean} [definition.skip_if_open] - 前回のタスクが未完了なら生成をスキップする
+   * @param {string} [definition.created_by] - 作成者のSlack ID
+   * @param {Date} [now] - 基準日時
+   * @returns {Promise<Object>} 作成した定義
+   */
+  async createDefinition(definition, now = new Date()) {
+    const dtstart = definition.dtstart || getJstDate(now);
+    const nextRunDate = getNextOccurrence(definition.rrule, addDays(dtstart, -1), dtstart);
+    if (!nextRunDate) {
+      throw new Error('このスケジュールでは生成日がありません');
+    }
+
+    const item = {
+      recurring_id: `REC-${now.getTime().toString(36).toUpperCase()}`,
+      title_template: definition.title_template,
+      rrule: definition.rrule.replace(/^RRULE:/i, '').toUpperCase(),
+      dtstart,
+      owner: definition.owner || null,
+      owner_slack_id: definition.owner_slack_id,
+      requester: definition.requester || null,
+      requester_slack_id: definition.requester_slack_id || definition.created_by || null,
+      project_id: definition.project_id || 'general',
+      priority: definition.priority || 'medium',
+      due_offset_days: Number.isInteger(definition.due_offset_days) ? definition.due_offset_days : null,
+      skip_if_open: Boolean(definition.skip_if_open),
+      status: 'active',
+      next_run_date: nextRunDate,
+      last_run_date: null,
+      last_task_id: null,
+      created_by: definition.created_by || null,
+      created_at: now.toISOString(),
+      updated_at: now.toISOString()
+    };
+
+    await this.docClient.send(new PutCommand({
+      TableName: this.tableName,
+      Item: item,
+      ConditionExpression: 'attribute_not_exists(recurring_id)'
+    }));
+
+    return item;
+  }
+
+  async getDefinition(recurringId) {
+    const response = await this.docClient.send(new GetCommand({
+      TableName: this.tableName,
+      Key: { recurring_id: recurringId }
+    }));
+    return response.Item || null;
+  }
+
+  async listDefinitions() {
+    const definitions = [];
+    let lastKey;
+
+    do {
+      const response = await this.docClient.send(new ScanCommand({
+        TableName: this.tableName,
+        ...(lastKey && { ExclusiveStartKey: lastKey })
+      }));
+      definitions.push(...(response.Items || []));
+      lastKey = response.LastEvaluatedKey;
+    } while (lastKey);
+
+    return definitions;
+  }
+
+  /**
+   * 担当者または作成者がユーザーの定義を取得
+   */
+  async listDefinitionsForUser(slackId) {
+    const definitions = await this.listDefinitions();
+    return definitions
+      .filter(d => d.owner_slack_id === slackId || d.created_by === slackId)
+      .sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+  }
+
+  /**
+   * フィールドを更新する
+   * @param {string} recurringId - 定義ID
+   * @param {Object} fields - 更新するフィールド
+   * @param {Object} [condition] - { field: expectedValue } の楽観ロック条件
+   * @returns {Promise<Object|null>} 更新後の定義（条件不一致ならnull）
+   */
+  async updateDefinition(recurringId, fields, condition = null) {
+    const updates = { ...fields, updated_at: new Date().toISOString() };
+    const names = {};
+    const values = {};
+    const sets = [];
+
+    Object.entries(updates).forEach(([key, value], i) => {
+      names[`#f${i}`] = key;
+      values[`:v${i}`] = value === undefined ? null : value;
+      sets.push(`#f${i} = :v${i}`);
+    });
+
+    const conditions = ['attribute_exists(recurring_id)'];
+    if (condition) {
+      Object.entries(condition).forEach(([key, value], i) => {
+        names[`#c${i}`] = key;
+        values[`:c${i}`] = value;
+        conditions.push(`#c${i} = :c${i}`);
+      });
+    }
+
+    try {
+      const response = await this.docClient.send(new UpdateCommand({
+        TableName: this.tableName,
+        Key: { recurring_id: recurringId },
+        UpdateExpression: `SET ${sets.join(', ')}`,
+        ConditionExpression: conditions.join(' AND '),
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: values,
+        ReturnValues: 'ALL_NEW'
+      }));
+      return response.Attributes;
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 一時停止する
+   */
+  async pauseDefinition(recurringId) {
+    return this.updateDefinition(recurringId, { status: 'paused' });
+  }
+
+  /**
+   * 再開する（停止中に過ぎた生成日は飛ばし、今日以降の次回日から再開する）
+   */
+  async resumeDefinition(recurringId, now = new Date()) {
+    const definition = await this.getDefinition(recurringId);
+    if (!definition) {
+      return null;
+    }
+    const today = getJstDate(now);
+    const nextRunDate = definition.next_run_date && definition.next_run_date >= today
+      ? definition.next_run_date
+      : getNextOccurrence(definition.rrule, addDays(today, -1), definition.dtstart);
+    return this.updateDefinition(recurringId, { status: 'active', next_run_date: nextRunDate });
+  }
+
+  async deleteDefinition(recurringId) {
+    await this.docClient.send(new DeleteCommand({
+      TableName: this.tableName,
+      Key: { recurring_id: recurringId }
+    }));
+    return { success: true, recurringId };
+  }
+}
+
+/**
+ * 定期タスクの生成
+ */
+class RecurringTaskService {
+  /**
+   * @param {Object} slackClient - Slack WebClient（担当者への通知用、nullなら通知しない）
+   * @param {Object} [options]
+   * @param {RecurringTaskRepository} [options.repository] - 定義リポジトリ
+   * @param {Object} [options.taskStore] - タスクストア
+   */
+  constructor(slackClient, options = {}) {
+    this.slackClient = slackClient;
+    this.repository = options.repository || new RecurringTaskRepository();
+    this.taskStore = options.taskStore || getTaskStore();
+    this.getSlackIdToName = options.getSlackIdToName || getSlackIdToBrainbaseName;
+  }
+
+  /**
+   * 生成日が来た有効な定義からタスクを生成する
+   * @param {Date} [now] - 基準日時
+   * @returns {Promise<Array<Object>>} 定義ごとの結果
+   */
+  async runDueDefinitions(now = new Date()) {
+    const today = getJstDate(now);
+    const definitions = await this.repository.listDefinitions();
+    const due = definitions.filter(d => d.status === 'active' && d.next_run_date && d.next_run_date <= today);
+
+    const results = [];
+    for (const definition of due) {
+      try {
+        results.push(await this.materialize(definition, today));
+      } catch (error) {
+        console.error(`Failed to materialize recurring task ${definition.recurring_id}:`, error.message);
+        results.push({ recurringId: definition.recurring_id, success: false, error: error.message });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * 1つの定義から今回分のタスクを生成する
+   * 先に next_run_date を条件付きで進めて「今回分」を確保するので、同時に実行されても二重に生成しない。
+   * 実行が止まっていた間の生成日は遡って作らず、今回分1件だけ作る。
+   * @param {Object} definition - 定義
+   * @param {string} today - 今日（YYYY-MM-DD）
+   */
+  async materialize(definition, today) {
+    const recurringId = definition.recurring_id;
+    const occurrence = definition.next_run_date;
+    const nextRunDate = getNextOccurrence(definition.rrule, today, definition.dtstart);
+
+    const claimed = await this.repository.updateDefinition(
+      recurringId,
+      { next_run_date: nextRunDate },
+      { next_run_date: occurrence, status: 'active' }
+    );
+    if (!claimed) {
+      return { recurringId, success: true, skipped: true, reason: 'already_processed' };
+    }
+
+    if (definition.skip_if_open && definition.last_task_id) {
+      const previous = await this.taskStore.getTask(definition.last_task_id);
+      if (previous && !isClosedTask(previous)) {
+        console.log(`Skipped recurring task ${recurringId}: previous task ${definition.last_task_id} is still open`);
+        return { recurringId, success: true, skipped: true, reason: 'previous_open', taskId: definition.last_task_id, nextRunDate };
+      }
+    }
+
+    const task = {
+      title: renderTitleTemplate(definition.title_template, occurrence),
+      project_id: definition.project_id,
+      priority: definition.priority,
+      due: Number.isInteger(definition.due_offset_days) ? addDays(occurrence, definition.due_offset_days) : null,
+      assignee: definition.owner || await this.resolveOwnerName(definition.owner_slack_id) || undefined,
+      assignee_slack_id: definition.owner_slack_id,
+      requester: definition.requester || undefined,
+      requester_slack_id: definition.requester_slack_id || undefined,
+      context: `定期タスク ${recurringId}（${describeRRule(definition.rrule)}）`
+    };
+
+    let result;
+    try {
+      result = await this.taskStore.createTask(task);
+    } catch (error) {
+      // 次回の実行で作り直せるよう今回分を戻す
+      await this.repository.updateDefinition(recurringId, { next_run_date: occurrence }, { next_run_date: nextRunDate })
+        .catch(rollbackError => console.error(`Failed to roll back recurring task ${recurringId}:`, rollbackError.message));
+      throw error;
+    }
+
+    await this.repository.updateDefinition(recurringId, { last_task_id: result.taskId, last_run_date: occurrence });
+    await this.notifyOwner(definition, task, result.taskId);
+
+    console.log(`Created recurring task ${result.taskId} from ${recurringId} (${occurrence})`);
+    return { recurringId, success: true, taskId: result.taskId, occurrence, nextRunDate };
+  }
+
+  /**
+   * 担当者のSlack IDから表示名を引く（brainbase名 → Slackの表示名の順）
+   * どちらも引けなければ警告を出して null を返す（Slack ID を担当者名にしない）
+   * @param {string} slackId
+   * @returns {Promise<string|null>}
+   */
+  async resolveOwnerName(slackId) {
+    const brainbaseName = (await this.getSlackIdToName()).get(slackId);
+    if (brainbaseName) {
+      return brainbaseName;
+    }
+
+    try {
+      const userInfo = await this.slackClient.users.info({ user: slackId });
+      const name = userInfo.user?.real_name || userInfo.user?.name;
+      if (name) {
+        return name;
+      }
+    } catch (error) {
+      console.warn(`Failed to get user name for ${slackId}:`, error.message);
+    }
+
+    console.warn(`Could not resolve owner name for ${slackId}`);
+    return null;
+  }
+
+  /**
+   * 担当者にタスクカードをDMする（失敗してもタスク生成は成功扱い）
+   */
+  async notifyOwner(definition, task, taskId) {
+    if (!this.slackClient || !definition.owner_slack_id) {
+      return;
+    }
+
+    try {
+      await this.slackClient.chat.postMessage({
+        channel: definition.owner_slack_id,
+        text: `🔁 定期タスク: ${task.title}`,
+        blocks: [
+          {
+            type: 'context',
+            elements: [{ type: 'mrkdwn', text: `🔁 定期タスク（${describeRRule(definition.rrule)}）` }]
+          },
+          ...createTaskMessageBlocks({
+            taskId,
+            title: task.title,
+            requesterSlackId: definition.requester_slack_id || definition.owner_slack_id,
+            assigneeSlackId: definition.owner_slack_id,
+            priority: task.priority,
+            due: task.due
+          })
+        ]
+      });
+    } catch (error) {
+      console.error(`Failed to notify recurring task ${taskId} to ${definition.owner_slack_id}:`, error.message);
+    }
+  }
+}
+
+module.exports = {
+  RecurringTaskRepository,
+  RecurringTaskService,
+  parseRRule,
+  getNextOccurrence,
+  renderTitleTemplate,
+  describeRRule,
+  getJstDate
+};
@@ -0,0 +1,200 @@
+/**
+ * reminder-preferences.js
+ * ユーザーごとのリマインド設定（/mana-settings）
+ *
+ * - 設定は DynamoDB（REMINDER_PREFERENCES_TABLE_NAME、デフォルト mana-reminder-preferences）に1ユーザー1アイテムで保存する
+ * - ReminderService.runDailySummaries（日次サマリー）と SlackThreadReminderService.runSlackReminders（スレッドリマインド）が参照する
+ * - 設定のないユーザーは従来どおり Working Memory の reminderTiming（なければ 9 時 JST）で動く
+ */
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, GetCommand, PutCommand, ScanCommand } = require('@aws-sdk/lib-dynamodb');
+
+const SUMMARY_SECTIONS = ['owned', 'requested'];
+
+const DEFAULT_PREFERENCES = {
+  summary_time: '09:00',
+  timezone: 'Asia/Tokyo',
+  // 0 = 日曜 〜 6 = 土曜（Date#getDay と同じ）
+  quiet_days: [],
+  summary_sections: ['owned', 'requested'],
+  overdue_only: false,
+  thread_reminders: true
+};
+
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * IANA タイムゾーン名として使えるか
+ * @param {string} timezone
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * 指定タイムゾーンでの日付・時・曜日
+ * @param {Date} now
+ * @param {string} timezone - IANA タイムゾーン名
+ * @returns {{date: string, hour: string, weekday: number}} date は YYYY-MM-DD、hour は HH
+ */
+function getLocalDateTime(now, timezone) {
+  const parts = {};
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    hourCycle: 'h23',
+    weekday: 'short'
+  });
+  for (const part of formatter.formatToParts(now)) {
+    parts[part.type] = part.value;
+  }
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: parts.hour,
+    weekday: WEEKDAY_INDEX[parts.weekday]
+  };
+}
+
+/**
+ * 保存値をデフォルトで補完する（不正な値はデフォルトに戻す）
+ * @param {Object} item - DynamoDB のアイテム
+ * @returns {Object} 設定
+ */
+function normalizePreferences(item = {}) {
+  const preferences = { ...DEFAULT_PREFERENCES, ...item };
+
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(preferences.summary_time)) {
+    preferences.summary_time = DEFAULT_PREFERENCES.summary_time;
+  }
+  if (!isValidTimezone(preferences.timezone)) {
+    preferences.timezone = DEFAULT_PREFERENCES.timezone;
+  }
+  preferences.quiet_days = (Array.isArray(preferences.quiet_days) ? preferences.quiet_days : [])
+    .map(Number)
+    .filter(day => Number.isInteger(day) && day >= 0 && day <= 6);
+  preferences.summary_sections = (Array.isArray(preferences.summary_sections) ? preferences.summary_sections : [])
+    .filter(section => SUMMARY_SECTIONS.includes(section));
+  preferences.overdue_only = Boolean(preferences.overdue_only);
+  preferences.thread_reminders = preferences.thread_reminders !== false;
+
+  return preferences;
+}
+
+/**
+ * 設定したタイムゾーンで今日がお休みの曜日か
+ * @param {Object} preferences
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+function isQuietDay(preferences, now = new Date()) {
+  const { weekday } = getLocalDateTime(now, preferences.timezone);
+  return preferences.quiet_days.includes(weekday);
+}
+
+/**
+ * 日次サマリーを送る時刻か（スケジュールは毎時なので時単位で比較する）
+ * @param {Object} preferences
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+function isSummaryTime(preferences, now = new Date()) {
+  const { hour } = getLocalDateTime(now, preferences.timezone);
+  return hour === preferences.summary_time.split(':')[0];
+}
+
+class ReminderPreferencesRepository {
+  constructor(options = {}) {
+    const client = new DynamoDBClient({
+      region: options.region || process.env.AWS_REGION || 'us-east-1'
+    });
+    this.docClient = options.docClient || DynamoDBDocumentClient.from(client);
+    this.tableName = options.tableName || process.env.REMINDER_PREFERENCES_TABLE_NAME || 'mana-reminder-preferences';
+  }
+
+  /**
+   * ユーザーの設定（未設定なら null）
+   * @param {string} slackId - Slack User ID
+   * @returns {Promise<Object|null>}
+   */
+  async getPreferences(slackId) {
+    const response = await this.docClient.send(new GetCommand({
+      TableName: this.tableName,
+      Key: { slack_id: slackId }
+    }));
+    return response.Item ? normalizePreferences(response.Item) : null;
+  }
+
+  /**
+   * 全ユーザーの設定
+   * @returns {Promise<Map<string, Object>>} Slack User ID → 設定
+   */
+  async getAllPreferences() {
+    const preferences = new Map();
+    let lastKey;
+
+    do {
+      const response = await this.docClient.send(new ScanCommand({
+        TableName: this.tableName,
+        ...(lastKey && { ExclusiveStartKey: lastKey })
+      }));
+      for (const item of response.Items || []) {
+        preferences.set(item.slack_id, normalizePreferences(item));
+      }
+      lastKey = response.LastEvaluatedKey;
+    } while (lastKey);
+
+    return preferences;
+  }
+
+  /**
+   * 設定を保存する（指定のない項目はデフォルト）
+   * @param {string} slackId - Slack User ID
+   * @param {Object} preferences
+   * @param {Date} [now]
+   * @returns {Promise<Object>} 保存した設定
+   * @throws {Error} タイムゾーンが不正な場合
+   */
+  async savePreferences(slackId, preferences, now = new Date()) {
+    if (preferences.timezone && !isValidTimezone(preferences.timezone)) {
+      throw new Error(`不明なタイムゾーンです: ${preferences.timezone}`);
+    }
+
+    const item = {
+      ...normalizePreferences(preferences),
+      slack_id: slackId,
+      updated_at: now.toISOString()
+    };
+
+    await this.docClient.send(new PutCommand({
+      TableName: this.tableName,
+      Item: item
+    }));
+
+    return item;
+  }
+}
+
+module.exports = {
+  ReminderPreferencesRepository,
+  DEFAULT_PREFERENCES,
+  SUMMARY_SECTIONS,
+  normalizePreferences,
+  getLocalDateTime,
+  isValidTimezone,
+  isQuietDay,
+  isSummaryTime
+};
@@ -0,0 +1,185 @@
+/**
+ * reminder-settings-ui.js
+ * /mana-settings のリマインド設定モーダルを生成する
+ */
+
+const { DEFAULT_PREFERENCES, isValidTimezone } = require('./reminder-preferences');
+
+const REMINDER_SETTINGS_CALLBACK_ID = 'mana_reminder_settings';
+
+// 日次サマリーは毎時のスケジュールで送るので時単位で選ぶ
+const SUMMARY_TIME_OPTIONS = Array.from({ length: 24 }, (_, hour) => {
+  const value = `${String(hour).padStart(2, '0')}:00`;
+  return { value, label: value };
+});
+
+const TIMEZONE_OPTIONS = [
+  { value: 'Asia/Tokyo', label: '日本（Asia/Tokyo）' },
+  { value: 'Asia/Seoul', label: '韓国（Asia/Seoul）' },
+  { value: 'Asia/Shanghai', label: '中国（Asia/Shanghai）' },
+  { value: 'Asia/Singapore', label: 'シンガポール（Asia/Singapore）' },
+  { value: 'Asia/Bangkok', label: 'タイ（Asia/Bangkok）' },
+  { value: 'Asia/Kolkata', label: 'インド（Asia/Kolkata）' },
+  { value: 'Europe/London', label: 'イギリス（Europe/London）' },
+  { value: 'Europe/Berlin', label: 'ドイツ（Europe/Berlin）' },
+  { value: 'America/New_York', label: 'アメリカ東部（America/New_York）' },
+  { value: 'America/Los_Angeles', label: 'アメリカ西部（America/Los_Angeles）' },
+  { value: 'UTC', label: 'UTC' }
+];
+
+// 月曜始まりで並べる（値は Date#getDay）
+const WEEKDAY_OPTIONS = [
+  { value: '1', label: '月' },
+  { value: '2', label: '火' },
+  { value: '3', label: '水' },
+  { value: '4', label: '木' },
+  { value: '5', label: '金' },
+  { value: '6', label: '土' },
+  { value: '0', label: '日' }
+];
+
+const SECTION_OPTIONS = [
+  { value: 'owned', label: '📋 担当中のタスク' },
+  { value: 'requested', label: '📤 依頼中のタスク' },
+  { value: 'overdue_only', label: '⏰ 期限切れのタスクだけ載せる' }
+];
+
+const THREAD_REMINDER_OPTION = { value: 'thread_reminders', label: 'Slackから作ったタスクのスレッドでリマインドを受け取る' };
+
+function toOption({ value, label }) {
+  return { text: { type: 'plain_text', text: label }, value };
+}
+
+/**
+ * 選択済みのオプションだけ initial_options に入れる（空配列はSlackがエラーにするので付けない）
+ */
+function withInitialOptions(element, options, selectedValues) {
+  const initialOptions = options.filter(option => selectedValues.includes(option.value)).map(toOption);
+  if (initialOptions.length > 0) {
+    element.initial_options = initialOptions;
+  }
+  return element;
+}
+
+/**
+ * リマインド設定モーダル
+ * @param {Object} [preferences] - 現在の設定（未設定ならデフォルト）
+ * @returns {Object} Slack view
+ */
+function buildReminderSettingsView(preferences = DEFAULT_PREFERENCES) {
+  const timezoneOptions = TIMEZONE_OPTIONS.some(option => option.value === preferences.timezone)
+    ? TIMEZONE_OPTIONS
+    : [...TIMEZONE_OPTIONS, { value: preferences.timezone, label: preferences.timezone }];
+  const summaryTime = SUMMARY_TIME_OPTIONS.find(option => option.value === preferences.summary_time.slice(0, 2) + ':00');
+
+  const sections = [...preferences.summary_sections];
+  if (preferences.overdue_only) {
+    sections.push('overdue_only');
+  }
+
+  return {
+    type: 'modal',
+    callback_id: REMINDER_SETTINGS_CALLBACK_ID,
+    title: { type: 'plain_text', text: 'リマインド設定' },
+    submit: { type: 'plain_text', text: '保存' },
+    close: { type: 'plain_text', text: 'キャンセル' },
+    blocks: [
+      {
+        type: 'input',
+        block_id: 'summary_time',
+        label: { type: 'plain_text', text: '日次サマリーの時刻' },
+        element: {
+          type: 'static_select',
+          action_id: 'value',
+          initial_option: toOption(summaryTime || SUMMARY_TIME_OPTIONS[9]),
+          options: SUMMARY_TIME_OPTIONS.map(toOption)
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'timezone',
+        label: { type: 'plain_text', text: 'タイムゾーン' },
+        element: {
+          type: 'static_select',
+          action_id: 'value',
+          initial_option: toOption(timezoneOptions.find(option => option.value === preferences.timezone)),
+          options: timezoneOptions.map(toOption)
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'quiet_days',
+        label: { type: 'plain_text', text: 'お休みの曜日' },
+        hint: { type: 'plain_text', text: '選んだ曜日は日次サマリーもスレッドのリマインドも送りません' },
+        optional: true,
+        element: withInitialOptions(
+          { type: 'checkboxes', action_id: 'value', options: WEEKDAY_OPTIONS.map(toOption) },
+          WEEKDAY_OPTIONS,
+          preferences.quiet_days.map(String)
+        )
+      },
+      {
+        type: 'input',
+        block_id: 'summary_sections',
+        label: { type: 'plain_text', text: '日次サマリーに載せる内容' },
+        hint: { type: 'plain_text', text: '何も選ばないと日次サマリーは送りません' },
+        optional: true,
+        element: withInitialOptions(
+          { type: 'checkboxes', action_id: 'value', options: SECTION_OPTIONS.map(toOption) },
+          SECTION_OPTIONS,
+          sections
+        )
+      },
+      {
+        type: 'input',
+        block_id: 'thread_reminders',
+        label: { type: 'plain_text', text: 'スレッドでのリマインド' },
+        optional: true,
+        element: withInitialOptions(
+          { type: 'checkboxes', action_id: 'value', options: [toOption(THREAD_REMINDER_OPTION)] },
+          [THREAD_REMINDER_OPTION],
+          preferences.thread_reminders ? [THREAD_REMINDER_OPTION.value] : []
+        )
+      }
+    ]
+  };
+}
+
+/**
+ * 設定モーダルの入力から設定を組み立てる
+ * @param {Object} view - 送信されたview
+ * @returns {{ preferences: Object|null, errors: Object|null }} errors は block_id → メッセージ（response_action: errors 用）
+ */
+function getPreferencesFromSubmission(view) {
+  const values = view.state.values;
+  const selectedValues = blockId => (values[blockId]?.value?.selected_options || []).map(option => option.value);
+
+  const timezone = values.timezone?.value?.selected_option?.value || DEFAULT_PREFERENCES.timezone;
+  if (!isValidTimezone(timezone)) {
+    return { preferences: null, errors: { timezone: `不明なタイムゾーンです: ${timezone}` } };
+  }
+
+  const sections = selectedValues('summary_sections');
+  if (sections.length > 0 && !sections.includes('owned') && !sections.includes('requested')) {
+    return { preferences: null, errors: { summary_sections: '担当中・依頼中のどちらかを選んでください' } };
+  }
+
+  return {
+    preferences: {
+      summary_time: values.summary_time?.value?.selected_option?.value || DEFAULT_PREFERENCES.summary_time,
+      timezone,
+      quiet_days: selectedValues('quiet_days').map(Number),
+      summary_sections: sections.filter(section => section !== 'overdue_only'),
+      overdue_only: sections.includes('overdue_only'),
+      thread_reminders: selectedValues('thread_reminders').includes(THREAD_REMINDER_OPTION.value)
+    },
+    errors: null
+  };
+}
+
+module.exports = {
+  REMINDER_SETTINGS_CALLBACK_ID,
+  TIMEZONE_OPTIONS,
+  buildReminderSettingsView,
+  getPreferencesFromSubmission
+};
@@ -1,11 +1,13 @@
-const TaskParser = require('./task-parser');
+const { getTaskStore, isSnoozed, getDependencyIds, indexTasksById, isBlocked } = require('./task-store');
 const { getSlackIdToBrainbaseName, getMembersMapping } = require('./slack-name-resolver');
 const { getUserReminderTiming } = require('./memory-helper.cjs');
+const { ReminderPreferencesRepository, getLocalDateTime, isQuietDay, isSummaryTime } = require('./reminder-preferences');
 
 class ReminderService {
-  constructor(slackClient) {
+  constructor(slackClient, options = {}) {
     this.slackClient = slackClient;
-    this.taskParser = new TaskParser();
+    this.taskStore = options.taskStore || getTaskStore();
+    this.preferencesRepository = options.preferencesRepository || new ReminderPreferencesRepository();
   }
 
   async getOwnerSlackId(ownerName) {
@@ -28,6 +30,20 @@ class ReminderService {
     return null;
   }
 
+  /**
+   * 未完了のタスクを待っている（ブロック中の）タスクを除く
+   * blocked_by のあるタスクがなければ全タスクの取得は行わない
+   * @param {Array<Object>} tasks - タスク
+   * @returns {Promise<Array<Object>>}
+   */
+  async excludeBlockedTasks(tasks) {
+    if (!tasks.some(task => getDependencyIds(task, 'blocked_by').length > 0)) {
+      return tasks;
+    }
+    const tasksById = indexTasksById(await this.taskStore.getTasks());
+    return tasks.filter(task => !isBlocked(task, tasksById));
+  }
+
   formatTaskMessage(task, type = 'reminder') {
     const priorityEmoji = {
       'high': '🔴',
@@ -132,11 +148,11 @@ class ReminderService {
   }
 
   async sendOverdueReminders() {
-    const overdueTasks = await this.taskParser.getOverdueTasks();
+    const overdueTasks = await this.excludeBlockedTasks(await this.taskStore.getOverdueTasks());
     const results = [];
 
     for (const task of overdueTasks) {
-      if (!task.owner) continue;
+      if (!task.owner || isSnoozed(task)) continue;
 
       const slackId = await this.getOwnerSlackId(task.owner);
       if (!slackId) {
@@ -152,11 +168,11 @@ class ReminderService {
   }
 
   async sendDueSoonReminders(days = 3) {
-    const dueSoonTasks = await this.taskParser.getTasksDueSoon(days);
+    const dueSoonTasks = await this.excludeBlockedTasks(await this.taskStore.getTasksDueSoon(days));
     const results = [];
 
     for (const task of dueSoonTasks) {
-      if (!task.owner) continue;
+      if (!task.owner || isSnoozed(task)) continue;
 
       const slackId = await this.getOwnerSlackId(task.owner);
       if (!slackId) {
@@ -297,10 +313,40 @@ class ReminderService {
     return blocks;
   }
 
-  async sendDailySummary(slackId, now = new Date()) {
+  /**
+   * 期限切れのタスクだけに絞る（期限はユーザーのタイムゾーンの今日と比較）
+   * @param {Array<Object>} tasks
+   * @param {Object} preferences - リマインド設定
+   * @param {Date} now
+   * @returns {Array<Object>}
+   */
+  filterOverdueTasks(tasks, preferences, now) {
+    const { date: today } = getLocalDateTime(now, preferences.timezone);
+    return tasks.filter(task => task.due && task.due !== 'null' && String(task.due).slice(0, 10) < today);
+  }
+
+  /**
+   * 日次サマリーを送信
+   * @param {string} slackId - Slack User ID
+   * @param {Date} [now]
+   * @param {Object|null} [preferences] - リマインド設定（/mana-settings）。載せるセクションと期限切れのみかを決める
+   */
+  async sendDailySummary(slackId, now = new Date(), preferences = null) {
+    const sections = preferences ? preferences.summary_sections : ['owned', 'requested'];
+
     // Slack IDで直接検索（owner_slack_id / requester_slack_id フィールドを使用）
-    const ownedTasks = await this.taskParser.getTasksByOwnerSlackId(slackId);
-    const requestedTasks = await this.taskParser.getTasksByRequesterSlackId(slackId);
+    // 待ち状態の担当タスクは着手できないので載せない
+    let ownedTasks = sections.includes('owned')
+      ? await this.excludeBlockedTasks(await this.taskStore.getTasksByOwnerSlackId(slackId))
+      : [];
+    let requestedTasks = sections.includes('requested')
+      ? await this.taskStore.getTasksByRequesterSlackId(slackId)
+      : [];
+
+    if (preferences && preferences.overdue_only) {
+      ownedTasks = this.filterOverdueTasks(ownedTasks, preferences, now);
+      requestedTasks = this.filterOverdueTasks(requestedTasks, preferences, now);
+    }
 
     const blocks = this.formatDailySummaryBlocks(ownedTasks, requestedTasks, now);
 
@@ -323,7 +369,7 @@ class ReminderService {
   }
 
   /**
-   * ユーザーのリマインド時刻がcurrentHourと一致するか判定
+   * ユーザーのリマインド時刻がcurrentHourと一致するか判定（/mana-settings の設定がないユーザー用）
    * @param {string} slackId - Slack User ID
    * @param {string} currentHour - 現在時刻のHH形式（JST）
    * @param {string} defaultHour - デフォルトの送信時刻（デフォルト: '09'）
@@ -365,19 +411,46 @@ class ReminderService {
   }
 
   /**
-   * 全メンバーへの日次サマリーを送信（Working Memoryのリマインド時刻を考慮）
+   * 全ユーザーのリマインド設定（取得に失敗したら設定なしとして続ける）
+   * @returns {Promise<Map<string, Object>>}
+   */
+  async loadPreferences() {
+    try {
+      return await this.preferencesRepository.getAllPreferences();
+    } catch (error) {
+      console.error('Failed to load reminder preferences:', error.message);
+      return new Map();
+    }
+  }
+
+  /**
+   * 全メンバーへの日次サマリーを送信
+   * /mana-settings の設定があればその時刻・タイムゾーン・お休みの曜日・セクションに従い、
+   * なければWorking Memoryのリマインド時刻を考慮する
    * @param {string} triggerHour - トリガーされた時刻のHH形式（JST）
+   * @param {Date} [now] - トリガーされた日時（設定のタイムゾーンでの時刻判定に使う）
    * @returns {Promise<object>} 送信結果
    */
-  async runDailySummaries(triggerHour) {
+  async runDailySummaries(triggerHour, now = new Date()) {
     console.log(`Running daily summaries for hour ${triggerHour}...`);
 
     const mapping = await getMembersMapping();
+    const preferencesBySlackId = await this.loadPreferences();
     const results = [];
 
     for (const [name, slackId] of mapping) {
+      const preferences = preferencesBySlackId.get(slackId) || null;
+
+      if (preferences && isQuietDay(preferences, now)) {
+        console.log(`Skipping ${name} (${slackId}) - quiet day`);
+        results.push({ name, slackId, skipped: true, reason: 'quiet_day' });
+        continue;
+      }
+
       // ユーザーのリマインド時刻をチェック
-      const shouldSend = await this.shouldSendReminderNow(slackId, triggerHour);
+      const shouldSend = preferences
+        ? isSummaryTime(preferences, now)
+        : await this.shouldSendReminderNow(slackId, triggerHour);
 
       if (!shouldSend) {
         console.log(`Skipping ${name} (${slackId}) - not their preferred time`);
@@ -385,7 +458,7 @@ class ReminderService {
         continue;
       }
 
-      const result = await this.sendDailySummary(slackId);
+      const result = await this.sendDailySummary(slackId, now, preferences);
       results.push({ name, slackId, ...result });
     }
 
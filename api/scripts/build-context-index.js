@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+/**
+ * brainbaseコンテキスト → 検索用索引（{project}.index.json）作成スクリプト
+ *
+ * Usage: node scripts/build-context-index.js [project ...] [--upload]
+ *
+ * 入力: context-output/{project}.txt（scripts/export-brainbase-context.js の出力）
+ * 出力: context-output/{project}.index.json
+ * --upload: s3://brainbase-context-593793022993/{project}.index.json にもアップロード
+ *
+ * プロジェクトを指定しなければ context-output 内の全プロジェクトの索引を作る。
+ * {project}.txt を更新したら、あわせてこのスクリプトを実行すること（索引より新しい {project}.txt があると索引は使われず、全文を渡す）。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
+const { buildContextIndex, getIndexKey } = require('../context-retrieval');
+
+const CONTEXT_OUTPUT_PATH = process.env.CONTEXT_OUTPUT_PATH || path.resolve(__dirname, '../../context-output');
+const S3_BUCKET = 'brainbase-context-593793022993';
+const AWS_REGION = 'us-east-1';
+
+function listProjects() {
+  return fs.readdirSync(CONTEXT_OUTPUT_PATH)
+    .filter(file => file.endsWith('.txt'))
+    .map(file => file.replace(/\.txt$/, ''));
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const upload = args.includes('--upload');
+  const projects = args.filter(arg => !arg.startsWith('--'));
+  const targets = projects.length > 0 ? projects : listProjects();
+  const s3Client = upload ? new S3Client({ region: AWS_REGION }) : null;
+
+  console.log('=== Build brainbase context index ===');
+  console.log(`Source: ${CONTEXT_OUTPUT_PATH}`);
+
+  for (const project of targets) {
+    const sourceFile = path.join(CONTEXT_OUTPUT_PATH, `${project}.txt`);
+    if (!fs.existsSync(sourceFile)) {
+      console.log(`  Skip: ${project} (no ${project}.txt)`);
+      continue;
+    }
+
+    const index = await buildContextIndex(project, fs.readFileSync(sourceFile, 'utf8'));
+    const body = JSON.stringify(index);
+    const outputFile = path.join(CONTEXT_OUTPUT_PATH, getIndexKey(project));
+    fs.writeFileSync(outputFile, body);
+    console.log(`  Built: ${outputFile} (${index.chunks.length} chunks, ${Math.round(body.length / 1024)}KB)`);
+
+    if (s3Client) {
+      await s3Client.send(new PutObjectCommand({
+        Bucket: S3_BUCKET,
+        Key: getIndexKey(project),
+        Body: body,
+        ContentType: 'application/json'
+      }));
+      console.log(`  Uploaded: s3://${S3_BUCKET}/${getIndexKey(project)}`);
+    }
+  }
+
+  console.log('\n=== Done ===');
+}
+
+main().catch(error => {
+  console.error('Failed to build context index:', error);
+  process.exit(1);
+});
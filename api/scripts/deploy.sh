@@ -205,7 +205,9 @@ EOF
     "@googleapis/gmail": "^16.1.0",
     "google-auth-library": "^10.5.0",
     "@tavily/core": "^0.5.14",
-    "airtable": "^0.12.2"
+    "airtable": "^0.12.2",
+    "mammoth": "^1.8.0",
+    "pdf-parse": "^1.1.1"
   }
 }
 EOF
@@ -1,12 +1,72 @@
 const { S3Client, GetObjectCommand, PutObjectCommand } = require("@aws-sdk/client-s3");
+const { mapWithConcurrency } = require('./concurrency');
 
 const S3_BUCKET = process.env.S3_BUCKET || 'brainbase-context-593793022993';
 const AWS_REGION = process.env.AWS_REGION || 'us-east-1';
 const WORKSPACE_ID = process.env.SLACK_WORKSPACE_ID || 'unson';
 
+// 検索で読む期間の上限（1日1ファイルを読むため）
+const MAX_SEARCH_DAYS = 31;
+// プロジェクトを絞らない検索（全チャンネル）は読むファイルが多いため、期間の上限を短くする
+const MAX_ALL_PROJECTS_SEARCH_DAYS = 7;
+const DEFAULT_SEARCH_DAYS = 7;
+// 同時に読むファイル数（チャンネル × 日）
+const CHANNEL_READ_CONCURRENCY = 4;
+const DAY_READ_CONCURRENCY = 4;
+// スレッドの返信を探す期間（スレッドの開始日から）
+const THREAD_SEARCH_DAYS = 14;
+const JST_OFFSET_MS = 9 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * メッセージの日付（JST, YYYY-MM-DD）
+ */
+function getJstDateStr(ts) {
+  return new Date(parseFloat(ts) * 1000 + JST_OFFSET_MS).toISOString().split('T')[0];
+}
+
+function addDays(dateStr, days) {
+  return new Date(Date.parse(`${dateStr}T00:00:00Z`) + days * DAY_MS).toISOString().split('T')[0];
+}
+
+/**
+ * Slack のメッセージのリンク（スレッドの返信はスレッドを開くリンク）
+ * @param {{channel: string, ts: string, thread_ts?: string|null}} message
+ * @returns {string}
+ */
+function buildSlackPermalink({ channel, ts, thread_ts: threadTs }) {
+  const url = `https://slack.com/archives/${channel}/p${ts.replace('.', '')}`;
+  return threadTs && threadTs !== ts ? `${url}?thread_ts=${threadTs}&cid=${channel}` : url;
+}
+
+/**
+ * 検索してよいチャンネルを選ぶ（ワークスペースの外・アクセス権限のないプロジェクト・
+ * プロジェクトに紐づかないチャンネルは含めない）
+ * @param {Map} mapping - channel-project-resolver の getChannelMapping()
+ * @param {Object} scope
+ * @param {string} scope.workspaceId - 質問されたワークスペース
+ * @param {Function} scope.canAccessProject - (projectId) => boolean
+ * @param {string} [scope.projectId] - 絞り込むプロジェクト（proj_xxx でも xxx でもよい）
+ * @param {string} [scope.channel] - 絞り込むチャンネル（IDまたは名前）
+ * @returns {Array<{channelId: string, channelName: string, projectId: string}>}
+ */
+function resolveSearchableChannels(mapping, { workspaceId, canAccessProject, projectId = null, channel = null }) {
+  const normalizedProjectId = projectId ? `proj_${projectId.replace(/^proj_/, '')}` : null;
+  const channelName = channel ? channel.replace(/^#/, '') : null;
+
+  const channels = [];
+  for (const [channelId, info] of mapping) {
+    if (info.workspace !== workspaceId || !info.project_id || !canAccessProject(info.project_id)) continue;
+    if (normalizedProjectId && info.project_id !== normalizedProjectId) continue;
+    if (channelName && channelId !== channelName && info.channel_name !== channelName) continue;
+    channels.push({ channelId, channelName: info.channel_name, projectId: info.project_id });
+  }
+  return channels;
+}
+
 class SlackArchive {
-  constructor(workspaceId = WORKSPACE_ID) {
-    this.s3Client = new S3Client({ region: AWS_REGION });
+  constructor(workspaceId = WORKSPACE_ID, options = {}) {
+    this.s3Client = options.s3Client || new S3Client({ region: AWS_REGION });
     this.bucket = S3_BUCKET;
     this.workspaceId = workspaceId;
   }
@@ -149,6 +209,80 @@ class SlackArchive {
     const data = await this.getExistingMessages(key);
     return data.messages;
   }
+
+  /**
+   * 期間（JST の日付、両端を含む）のメッセージを取得する
+   * アーカイブは UTC の日付ごとのファイルなので、前日のファイルから読んで JST の日付で絞る
+   * @param {string} channelId
+   * @param {string} fromDate - YYYY-MM-DD
+   * @param {string} toDate - YYYY-MM-DD
+   * @returns {Promise<Array>}
+   */
+  async getMessagesInRange(channelId, fromDate, toDate) {
+    const dates = [];
+    for (let dateStr = addDays(fromDate, -1); dateStr <= toDate; dateStr = addDays(dateStr, 1)) {
+      dates.push(dateStr);
+    }
+    const days = await mapWithConcurrency(dates, DAY_READ_CONCURRENCY, dateStr => this.getMessages(channelId, dateStr));
+    return days.flat().filter(m => {
+      const jstDate = getJstDateStr(m.ts);
+      return jstDate >= fromDate && jstDate <= toDate;
+    });
+  }
+
+  /**
+   * アーカイブしたメッセージをキーワード・期間で検索する（新しい順）
+   * @param {Object} params
+   * @param {Array<{channelId: string}>} params.channels - resolveSearchableChannels() の戻り値
+   * @param {string} [params.query] - キーワード（空白区切りはすべてを含むメッセージ）
+   * @param {string} [params.fromDate] - YYYY-MM-DD（省略時は toDate の6日前）
+   * @param {string} [params.toDate] - YYYY-MM-DD（省略時は今日）
+   * @param {number} [params.limit]
+   * @param {number} [params.maxDays] - 期間の上限（日数。これより長い期間は toDate から数えて縮める）
+   * @param {Date} [params.now]
+   * @returns {Promise<{messages: Array, total: number, fromDate: string, toDate: string}>}
+   */
+  async searchMessages({ channels, query = '', fromDate = null, toDate = null, limit = 20, maxDays = MAX_SEARCH_DAYS, now = new Date() }) {
+    const to = toDate || getJstDateStr(now.getTime() / 1000);
+    let from = fromDate || addDays(to, -(DEFAULT_SEARCH_DAYS - 1));
+    const days = Math.min(maxDays, MAX_SEARCH_DAYS);
+    if (from < addDays(to, -(days - 1))) {
+      from = addDays(to, -(days - 1));
+    }
+
+    const keywords = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const channelMessages = await mapWithConcurrency(channels, CHANNEL_READ_CONCURRENCY,
+      channel => this.getMessagesInRange(channel.channelId, from, to));
+    const matches = channelMessages.flat().filter(m => {
+      const text = `${m.text || ''} ${m.user_name || ''}`.toLowerCase();
+      return keywords.every(keyword => text.includes(keyword));
+    });
+
+    matches.sort((a, b) => parseFloat(b.ts) - parseFloat(a.ts));
+    return { messages: matches.slice(0, limit), total: matches.length, fromDate: from, toDate: to };
+  }
+
+  /**
+   * スレッドの親メッセージと返信を取得する（古い順）
+   * @param {string} channelId
+   * @param {string} threadTs
+   * @param {{now?: Date}} [options]
+   * @returns {Promise<Array>}
+   */
+  async getThreadMessages(channelId, threadTs, { now = new Date() } = {}) {
+    const fromDate = getJstDateStr(threadTs);
+    const today = getJstDateStr(now.getTime() / 1000);
+    const lastDate = addDays(fromDate, THREAD_SEARCH_DAYS - 1);
+    const messages = await this.getMessagesInRange(channelId, fromDate, lastDate < today ? lastDate : today);
+    return messages
+      .filter(m => m.ts === threadTs || m.thread_ts === threadTs)
+      .sort((a, b) => parseFloat(a.ts) - parseFloat(b.ts));
+  }
 }
 
 module.exports = SlackArchive;
+module.exports.MAX_SEARCH_DAYS = MAX_SEARCH_DAYS;
+module.exports.MAX_ALL_PROJECTS_SEARCH_DAYS = MAX_ALL_PROJECTS_SEARCH_DAYS;
+module.exports.buildSlackPermalink = buildSlackPermalink;
+module.exports.resolveSearchableChannels = resolveSearchableChannels;
+module.exports.getJstDateStr = getJstDateStr;
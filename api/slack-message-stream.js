@@ -0,0 +1,250 @@
+/**
+ * slack-message-stream.js
+ * 生成中の回答を Slack のメッセージに少しずつ表示する
+ *
+ * 「考え中...」のメッセージを chat.update で書き換えていき、上限を超えた分はスレッドの
+ * 続きのメッセージに送る。chat.update はレート制限（Tier 3: 1分あたり約50回）があるため、
+ * 生成中の更新は throttleMs に1回までにし、最後に finish() で全文を表示する。
+ * 生成中の表示は待たない（chat.update の往復の間もトークンを読み進める）。finish() は表示中の更新を待ってから書き換える。
+ */
+
+const SLACK_MESSAGE_LIMIT = 35000; // Slackの上限は40000、余裕を持たせる
+const SLACK_SECTION_TEXT_LIMIT = 3000; // section ブロックの text の上限
+const DEFAULT_THROTTLE_MS = 1500;
+const STREAMING_INDICATOR = '✍️ 回答中...';
+
+/**
+ * テキストを上限以内に分割する（できるだけ改行で区切る）
+ * @param {string} text
+ * @param {number} limit
+ * @returns {string[]}
+ */
+function splitMessageText(text, limit) {
+  const chunks = [];
+  let remaining = text;
+
+  while (remaining.length > 0) {
+    if (remaining.length <= limit) {
+      chunks.push(remaining);
+      break;
+    }
+
+    // 改行で区切れる場所を探す
+    let splitIndex = remaining.lastIndexOf('\n', limit);
+    if (splitIndex === -1 || splitIndex < limit * 0.5) {
+      // 改行が見つからないか遠すぎる場合は強制分割
+      splitIndex = limit;
+    }
+
+    chunks.push(remaining.substring(0, splitIndex));
+    remaining = remaining.substring(splitIndex).trimStart();
+  }
+
+  return chunks;
+}
+
+/**
+ * 分割したチャンクに「続き」の表示を付ける
+ * @param {string[]} chunks
+ * @returns {string[]}
+ */
+function labelChunks(chunks) {
+  if (chunks.length <= 1) {
+    return chunks;
+  }
+  return chunks.map((chunk, i) => (i === 0
+    ? `${chunk}\n\n_(続き...)_`
+    : `_(続き ${i + 1}/${chunks.length})_\n\n${chunk}`));
+}
+
+/**
+ * 出典の context ブロックを付けるときのブロック（blocks があると text は通知用になるため本文も section ブロックにする）
+ * @param {string} text
+ * @param {Array} citations - source-citations の selectCitedSources() の戻り値
+ * @returns {Array|undefined}
+ */
+function buildMessageBlocks(text, citations) {
+  if (!citations || citations.length === 0) {
+    return undefined;
+  }
+  const { buildCitationBlocks } = require('./source-citations');
+  return [
+    ...splitMessageText(text, SLACK_SECTION_TEXT_LIMIT).map(sectionText => ({
+      type: 'section',
+      text: { type: 'mrkdwn', text: sectionText }
+    })),
+    ...buildCitationBlocks(citations)
+  ];
+}
+
+class SlackMessageStream {
+  /**
+   * @param {Object} client - Slack client
+   * @param {Object} options
+   * @param {string} options.channel - チャンネルID
+   * @param {string} options.ts - 書き換えるメッセージ（「考え中...」）のタイムスタンプ
+   * @param {string} [options.threadTs] - 続きのメッセージを送るスレッド（省略時は ts のスレッド）
+   * @param {number} [options.messageLimit] - 1メッセージの文字数の上限
+   * @param {number} [options.throttleMs] - 生成中の更新の最小間隔
+   * @param {Function} [options.now]
+   */
+  constructor(client, options = {}) {
+    this.client = client;
+    this.channel = options.channel;
+    this.threadTs = options.threadTs || options.ts;
+    this.messageLimit = options.messageLimit || SLACK_MESSAGE_LIMIT;
+    this.throttleMs = options.throttleMs ?? DEFAULT_THROTTLE_MS;
+    this.now = options.now || (() => Date.now());
+
+    // 送ったメッセージ（先頭は「考え中...」のメッセージ）と、最後に表示した内容
+    this.messages = [{ ts: options.ts, text: null, blocks: undefined }];
+    this.text = '';
+    this.status = '';
+    this.lastRenderAt = 0;
+    this.inFlight = null;
+    this.finished = false;
+  }
+
+  /**
+   * 生成中のテキスト（ここまでの全文）を表示する（表示の完了は待たない）
+   * @param {string} text
+   */
+  update(text) {
+    this.text = text;
+    this.renderThrottled();
+  }
+
+  /**
+   * 生成中の状態（ツールの実行など）を本文の下に表示する（表示の完了は待たない）
+   * @param {string} status
+   */
+  setStatus(status) {
+    this.status = status;
+    this.renderThrottled();
+  }
+
+  /**
+   * 全文を表示して終える（余った続きのメッセージは消す）
+   * @param {string} text
+   * @param {Object} [options]
+   * @param {Array} [options.citations] - 最後のメッセージの下に context ブロックで表示する出典
+   */
+  async finish(text, { citations = [] } = {}) {
+    this.finished = true;
+    if (this.inFlight) {
+      await this.inFlight;
+    }
+    this.text = text;
+    this.status = '';
+
+    const chunks = splitMessageText(text, this.messageLimit);
+    const texts = labelChunks(chunks.length > 0 ? chunks : [text]);
+    const lastIndex = texts.length - 1;
+    await this.render(texts, i => (i === lastIndex ? buildMessageBlocks(texts[i], citations) : undefined), { fallback: true });
+
+    for (const message of this.messages.splice(texts.length)) {
+      await this.deleteMessage(message.ts);
+    }
+  }
+
+  /**
+   * 前回の表示から throttleMs 経っていて、表示中でなければ表示を始める（それ以外は finish() か次の更新に任せる）
+   */
+  renderThrottled() {
+    if (this.finished || this.inFlight || this.now() - this.lastRenderAt < this.throttleMs) {
+      return;
+    }
+    this.lastRenderAt = this.now();
+    this.inFlight = this.render(this.buildStreamingTexts(), () => undefined)
+      .catch(error => console.warn('[SlackMessageStream] Streaming update failed:', error.data?.error || error.message))
+      .finally(() => {
+        this.inFlight = null;
+      });
+  }
+
+  /**
+   * 生成中の表示（最後のメッセージの下に状態を付ける）
+   * @returns {string[]}
+   */
+  buildStreamingTexts() {
+    const indicator = `_${this.status || STREAMING_INDICATOR}_`;
+    if (!this.text) {
+      return [indicator];
+    }
+    const texts = labelChunks(splitMessageText(this.text, this.messageLimit));
+    texts[texts.length - 1] += `\n\n${indicator}`;
+    return texts;
+  }
+
+  /**
+   * 内容が変わったメッセージだけを書き換え、足りない分は続きのメッセージとして送る
+   * @param {string[]} texts
+   * @param {Function} blocksFor - i 番目のメッセージのブロック
+   * @param {Object} [options]
+   * @param {boolean} [options.fallback] - chat.update が失敗したら送り直す（最後の表示のみ。生成中は次の更新に任せる）
+   */
+  async render(texts, blocksFor, { fallback = false } = {}) {
+    for (let i = 0; i < texts.length; i++) {
+      const blocks = blocksFor(i);
+      const message = this.messages[i];
+      if (!message) {
+        const posted = await this.client.chat.postMessage({
+          channel: this.channel,
+          thread_ts: this.threadTs,
+          text: texts[i],
+          blocks
+        });
+        this.messages.push({ ts: posted.ts, text: texts[i], blocks });
+        continue;
+      }
+      if (message.text === texts[i] && message.blocks === blocks) {
+        continue;
+      }
+      await this.updateMessage(message, texts[i], blocks, { fallback });
+    }
+  }
+
+  /**
+   * メッセージを書き換える（fallback なら、chat.update が失敗したときに postMessage で送り直す）
+   */
+  async updateMessage(message, text, blocks, { fallback }) {
+    try {
+      await this.client.chat.update({
+        channel: this.channel,
+        ts: message.ts,
+        text,
+        blocks
+      });
+    } catch (updateErr) {
+      if (!fallback) {
+        throw updateErr;
+      }
+      console.warn(`[SlackMessageStream] chat.update failed (${updateErr.data?.error || updateErr.message}), falling back to postMessage`);
+      // フォールバック: 元のメッセージ（プレースホルダや生成中の表示）を削除して新規投稿
+      await this.deleteMessage(message.ts);
+      const posted = await this.client.chat.postMessage({
+        channel: this.channel,
+        thread_ts: this.threadTs,
+        text,
+        blocks
+      });
+      message.ts = posted?.ts || message.ts;
+    }
+    message.text = text;
+    message.blocks = blocks;
+  }
+
+  async deleteMessage(ts) {
+    try {
+      await this.client.chat.delete({ channel: this.channel, ts });
+    } catch (delErr) {
+      console.warn('[SlackMessageStream] Failed to delete message:', delErr.data?.error || delErr.message);
+    }
+  }
+}
+
+module.exports = {
+  SLACK_MESSAGE_LIMIT,
+  SlackMessageStream,
+  splitMessageText
+};
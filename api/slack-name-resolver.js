@@ -192,4 +192,4 @@ async function getSlackIdToBrainbaseName() {
   }
 }
 
-module.exports = { getMembersMapping, resolveNamesToMentions, clearCache, getAllMemberSlackIds, getSlackIdToBrainbaseName };
+module.exports = { getMembersMapping, resolveNamesToMentions, clearCache, getAllMemberSlackIds, getSlackIdToBrainbaseName, stripRoleSuffix };
@@ -1,17 +1,25 @@
-const TaskParser = require('./task-parser');
+const { getTaskStore, isClosedTask, isSnoozed, indexTasksById, isBlocked } = require('./task-store');
 const { getMembersMapping } = require('./slack-name-resolver');
+const { ReminderPreferencesRepository, isQuietDay } = require('./reminder-preferences');
+const ProjectRepository = require('./project-repository');
+const { getOverdueDays, loadEscalationPolicy } = require('./task-escalation');
 
 class SlackThreadReminderService {
-  constructor(slackClient) {
+  constructor(slackClient, options = {}) {
     this.slackClient = slackClient;
-    this.taskParser = new TaskParser();
+    this.taskStore = options.taskStore || getTaskStore();
+    this.preferencesRepository = options.preferencesRepository || new ReminderPreferencesRepository();
+    this.projectRepository = options.projectRepository || new ProjectRepository();
   }
 
-  filterSlackTasks(tasks) {
+  filterSlackTasks(tasks, now = new Date()) {
+    const tasksById = indexTasksById(tasks);
     return tasks.filter(task => {
       if (task.source !== 'slack') return false;
-      if (task.status === 'done' || task.status === 'completed') return false;
+      if (isClosedTask(task)) return false;
       if (!task.channel_id || !task.thread_ts) return false;
+      if (isSnoozed(task, now)) return false;
+      if (isBlocked(task, tasksById)) return false;
       return true;
     });
   }
@@ -51,6 +59,47 @@ class SlackThreadReminderService {
     return result;
   }
 
+  /**
+   * 担当者のリマインド設定（/mana-settings）でスレッドリマインドを止めているタスクを除く
+   * スレッドリマインドをオフにしている場合と、担当者のお休みの曜日が対象
+   * @param {Array<Object>} tasks
+   * @param {Map<string, Object>} preferencesBySlackId - Slack User ID → 設定
+   * @param {Date} now
+   * @returns {Array<Object>}
+   */
+  filterByOwnerPreferences(tasks, preferencesBySlackId, now) {
+    return tasks.filter(task => {
+      const preferences = task.owner_slack_id && preferencesBySlackId.get(task.owner_slack_id);
+      if (!preferences) return true;
+      return preferences.thread_reminders && !isQuietDay(preferences, now);
+    });
+  }
+
+  /**
+   * 期限切れのタスクのうち、プロジェクトのエスカレーションが有効なものを除く
+   * 同じスレッドに繰り返し送らず、エスカレーション（task-escalation.js）に任せる
+   * @param {Array<Object>} tasks
+   * @param {Date} now
+   * @returns {Promise<Array<Object>>}
+   */
+  async excludeEscalatedTasks(tasks, now) {
+    const policies = new Map();
+    const result = [];
+
+    for (const task of tasks) {
+      if (getOverdueDays(task, now) > 0) {
+        if (!policies.has(task.project_id)) {
+          const { policy } = await loadEscalationPolicy(this.projectRepository, task.project_id);
+          policies.set(task.project_id, policy);
+        }
+        if (policies.get(task.project_id).enabled) continue;
+      }
+      result.push(task);
+    }
+
+    return result;
+  }
+
   formatReminderMessage(task) {
     const ownerMention = task.owner_slack_id ? `<@${task.owner_slack_id}>` : task.owner;
 
@@ -105,14 +154,24 @@ class SlackThreadReminderService {
   }
 
   async runSlackReminders(now = new Date()) {
-    const allTasks = await this.taskParser.getTasks();
-    const slackTasks = this.filterSlackTasks(allTasks);
+    const allTasks = await this.taskStore.getTasks();
+    const slackTasks = this.filterSlackTasks(allTasks, now);
 
     const intervalMs = 24 * 60 * 60 * 1000;
-    const tasksToRemind = this.getTasksToRemind(slackTasks, now, intervalMs);
+    const dueTasks = await this.excludeEscalatedTasks(this.getTasksToRemind(slackTasks, now, intervalMs), now);
+
+    let preferencesBySlackId = new Map();
+    if (dueTasks.length > 0) {
+      try {
+        preferencesBySlackId = await this.preferencesRepository.getAllPreferences();
+      } catch (error) {
+        console.error('Failed to load reminder preferences:', error.message);
+      }
+    }
+    const tasksToRemind = this.filterByOwnerPreferences(dueTasks, preferencesBySlackId, now);
 
     let sent = 0;
-    let skipped = allTasks.length - slackTasks.length;
+    let skipped = allTasks.length - slackTasks.length + (dueTasks.length - tasksToRemind.length);
     const results = [];
 
     for (const task of tasksToRemind) {
@@ -0,0 +1,204 @@
+/**
+ * source-citations.js
+ * AI PM の回答の出典（brainbaseコンテキスト・Airtable・GitHub・Gmail・Web・Slack）
+ *
+ * 1回の質問（askMana）の間、ツールの結果とコンテキストの資料に通し番号 [n] を振って記録する。
+ * エージェントは使った情報の文末にその番号を付け、回答で使われた番号の出典だけを
+ * Slack の context ブロック（リンク付き）として回答の下に表示する。
+ *
+ * 記録はモジュールのグローバルに持つ（source-code ツールの currentProjectId と同じく、
+ * Lambda の1コンテナは同時に1イベントしか処理しない前提）。
+ */
+
+const { buildAirtableRecordUrl } = require('./airtable-mcp-client');
+
+const SOURCE_TYPES = {
+  BRAINBASE: 'brainbase',
+  AIRTABLE: 'airtable',
+  GITHUB: 'github',
+  GMAIL: 'gmail',
+  WEB: 'web',
+  SLACK: 'slack'
+};
+
+const SOURCE_LABELS = {
+  brainbase: 'brainbase',
+  airtable: 'Airtable',
+  github: 'GitHub',
+  gmail: 'Gmail',
+  web: 'Web',
+  slack: 'Slack'
+};
+
+// context ブロックの要素数の上限（Slack の制限）
+const CONTEXT_BLOCK_MAX_ELEMENTS = 10;
+const TITLE_MAX_CHARS = 80;
+
+const CITATION_INSTRUCTION = `【出典（必須）】
+ツールの結果には citation、コンテキストの資料には先頭に番号（どちらも例: [3]）が付いています。
+回答でその情報を使った文の末尾には、必ず対応する番号を [3] のように付けてください。
+ツールの結果にも資料にもないことを答える場合は、番号を付けず「一般的な知識として」と明記してください。
+出典の一覧は自動で付くので、回答の中に出典の一覧は書かないでください。`;
+
+let currentCitations = null;
+
+/**
+ * 出典の記録を始める（askMana の開始時）
+ */
+function startCitationSession() {
+  currentCitations = [];
+}
+
+/**
+ * 出典の記録を終え、記録した出典を返す
+ * @returns {Array<{number: number, type: string, id: string, title: string, url: string|null}>}
+ */
+function endCitationSession() {
+  const citations = currentCitations || [];
+  currentCitations = null;
+  return citations;
+}
+
+/**
+ * 出典を記録して番号を返す（同じ出典は同じ番号。記録中でなければ null）
+ * @param {{type: string, id: string, title?: string, url?: string|null}} source
+ * @returns {string|null} "[n]"
+ */
+function citeSource(source) {
+  if (!currentCitations || !source || !source.id) {
+    return null;
+  }
+  let citation = currentCitations.find(c => c.type === source.type && c.id === source.id);
+  if (!citation) {
+    citation = {
+      number: currentCitations.length + 1,
+      type: source.type,
+      id: source.id,
+      title: source.title || source.id,
+      url: source.url || null
+    };
+    currentCitations.push(citation);
+  }
+  return `[${citation.number}]`;
+}
+
+/**
+ * GitHub のファイルの URL
+ * @param {{owner: string, repo: string, branch?: string, path: string, line?: number}} params
+ * @returns {string}
+ */
+function buildGitHubBlobUrl({ owner, repo, branch = 'main', path, line }) {
+  const filePath = String(path || '').replace(/^\/+/, '').split('/').map(encodeURIComponent).join('/');
+  return `https://github.com/${owner}/${repo}/blob/${encodeURIComponent(branch)}/${filePath}${line ? `#L${line}` : ''}`;
+}
+
+/**
+ * Gmail のメッセージ・スレッドの URL（メールボックスは Gmail ツールの認証アカウント）
+ * @param {string} id - メッセージIDまたはスレッドID
+ * @returns {string}
+ */
+function buildGmailUrl(id) {
+  return `https://mail.google.com/mail/u/0/#all/${id}`;
+}
+
+/**
+ * brainbase のドキュメントの URL（BRAINBASE_SOURCE_URL_BASE が未設定ならリンクなし）
+ * @param {string} source - _codex からの相対パス（例: "projects/zeims/project.md"）
+ * @returns {string|null}
+ */
+function buildBrainbaseUrl(source) {
+  const base = process.env.BRAINBASE_SOURCE_URL_BASE;
+  return base ? `${base.replace(/\/+$/, '')}/${source}` : null;
+}
+
+/**
+ * Airtable のレコードの出典
+ */
+function citeAirtableRecord({ baseId, tableId, record }) {
+  const fields = record.fields || {};
+  const title = fields.Name || fields.name || fields['タイトル'] || fields.Title || record.id;
+  return citeSource({
+    type: SOURCE_TYPES.AIRTABLE,
+    id: record.id,
+    title: String(title),
+    url: buildAirtableRecordUrl({ baseId, tableId, recordId: record.id })
+  });
+}
+
+/**
+ * 回答で使われた番号の出典だけを返す
+ * @param {string} answer
+ * @param {Array} citations - endCitationSession() の戻り値
+ * @returns {Array}
+ */
+function selectCitedSources(answer, citations) {
+  if (!answer || !citations || citations.length === 0) {
+    return [];
+  }
+  return citations.filter(citation => answer.includes(`[${citation.number}]`));
+}
+
+function escapeMrkdwn(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function truncateTitle(title) {
+  const text = String(title || '').replace(/\s+/g, ' ').trim();
+  return text.length > TITLE_MAX_CHARS ? `${text.slice(0, TITLE_MAX_CHARS - 1)}…` : text;
+}
+
+/**
+ * 出典1件の mrkdwn（例: "[1] GitHub: <https://...|src/index.ts>"）
+ */
+function formatCitation(citation) {
+  const title = escapeMrkdwn(truncateTitle(citation.title));
+  const label = SOURCE_LABELS[citation.type] || citation.type;
+  const link = citation.url ? `<${citation.url}|${title}>` : title;
+  return `[${citation.number}] ${label}: ${link}`;
+}
+
+/**
+ * 出典を Slack の context ブロックにする（10件ごとに1ブロック）
+ * @param {Array} citations
+ * @returns {Array} Block Kit のブロック
+ */
+function buildCitationBlocks(citations) {
+  const blocks = [];
+  for (let i = 0; i < citations.length; i += CONTEXT_BLOCK_MAX_ELEMENTS) {
+    blocks.push({
+      type: 'context',
+      elements: citations.slice(i, i + CONTEXT_BLOCK_MAX_ELEMENTS).map(citation => ({
+        type: 'mrkdwn',
+        text: formatCitation(citation)
+      }))
+    });
+  }
+  return blocks;
+}
+
+/**
+ * 出典をテキストにする（ブロックを表示できない通知・会話履歴用）
+ * @param {Array} citations
+ * @returns {string}
+ */
+function formatCitationsText(citations) {
+  if (!citations || citations.length === 0) {
+    return '';
+  }
+  return `📚 *出典*\n${citations.map(citation => `• ${formatCitation(citation)}`).join('\n')}`;
+}
+
+module.exports = {
+  SOURCE_TYPES,
+  CITATION_INSTRUCTION,
+  startCitationSession,
+  endCitationSession,
+  citeSource,
+  citeAirtableRecord,
+  buildGitHubBlobUrl,
+  buildGmailUrl,
+  buildBrainbaseUrl,
+  selectCitedSources,
+  buildCitationBlocks,
+  formatCitationsText
+};
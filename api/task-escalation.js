@@ -0,0 +1,368 @@
+/**
+ * task-escalation.js
+ * 期限切れタスクのエスカレーション
+ *
+ * - プロジェクトごとのポリシー（mana-projects の escalation_policy）に従い、期限切れの日数に応じて通知先を広げる
+ *   ポリシーを設定したプロジェクトだけが対象（設定のないプロジェクトは従来どおりスレッドのリマインドのみ）
+ *   例: スレッドで担当者にリマインド → 担当者にDM → 依頼者に通知 → プロジェクトのメインチャンネルに投稿
+ * - 到達した段階はタスクの escalation_step / escalation_due に記録し、同じ段階は繰り返さない（期限が変わったら最初から）
+ * - 担当者が「確認しました」を押すと escalation_acknowledged_at を記録し、ack_pause_days の間はエスカレーションを止める
+ * - EventBridge の run_reminders 実行時に runEscalations が1回につき1段階ずつ進める
+ *
+ * ポリシーの例（プロジェクトのアイテムに escalation_policy として保存する）:
+ *   {
+ *     enabled: true,
+ *     ack_pause_days: 3,
+ *     channel_id: 'C0123456789',   // 省略時は slack_channels の先頭
+ *     steps: [
+ *       { action: 'thread', after_days: 1 },
+ *       { action: 'dm_owner', after_days: 3 },
+ *       { action: 'notify_requester', after_days: 7 },
+ *       { action: 'project_channel', after_days: 14 }
+ *     ]
+ *   }
+ */
+
+const ProjectRepository = require('./project-repository');
+const { getTaskStore, isClosedTask, isSnoozed, indexTasksById, isBlocked } = require('./task-store');
+const { getMembersMapping } = require('./slack-name-resolver');
+const { getJstDate } = require('./recurring-tasks');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ESCALATION_ACTIONS = ['thread', 'dm_owner', 'notify_requester', 'project_channel'];
+
+// ポリシーを設定していないプロジェクトのポリシー（エスカレーションしない）
+const DEFAULT_ESCALATION_POLICY = {
+  enabled: false,
+  ack_pause_days: 3,
+  channel_id: null,
+  steps: [
+    { action: 'thread', after_days: 1 },
+    { action: 'dm_owner', after_days: 3 },
+    { action: 'notify_requester', after_days: 7 },
+    { action: 'project_channel', after_days: 14 }
+  ]
+};
+
+/**
+ * プロジェクトのポリシーをデフォルトで補完する（不明な段階は捨て、期限切れ日数の順に並べる）
+ * @param {Object} [policy] - mana-projects の escalation_policy
+ * @returns {Object} ポリシー
+ */
+function normalizeEscalationPolicy(policy) {
+  if (!policy) {
+    return DEFAULT_ESCALATION_POLICY;
+  }
+
+  const steps = Array.isArray(policy.steps)
+    ? policy.steps
+      .filter(step => step && ESCALATION_ACTIONS.includes(step.action))
+      .map(step => ({ action: step.action, after_days: Math.max(0, parseInt(step.after_days, 10) || 0) }))
+      .sort((a, b) => a.after_days - b.after_days)
+    : DEFAULT_ESCALATION_POLICY.steps;
+  const ackPauseDays = parseInt(policy.ack_pause_days, 10);
+
+  return {
+    enabled: policy.enabled !== false,
+    ack_pause_days: Number.isInteger(ackPauseDays) && ackPauseDays >= 0 ? ackPauseDays : DEFAULT_ESCALATION_POLICY.ack_pause_days,
+    channel_id: policy.channel_id || null,
+    steps
+  };
+}
+
+/**
+ * プロジェクトのポリシーを取得する（取得できなければデフォルト）
+ * @param {Object} projectRepository - ProjectRepository
+ * @param {string} projectId
+ * @returns {Promise<{policy: Object, project: Object|null}>}
+ */
+async function loadEscalationPolicy(projectRepository, projectId) {
+  let project = null;
+  try {
+    project = projectId ? await projectRepository.getProjectById(projectId) : null;
+  } catch (error) {
+    console.error(`Failed to load escalation policy for ${projectId}:`, error.message);
+  }
+  return { policy: normalizeEscalationPolicy(project?.escalation_policy), project };
+}
+
+/**
+ * 期限を何日過ぎているか（JSTの日付で数える。期限なし・期限内は0）
+ * @param {Object} task
+ * @param {Date} [now]
+ * @returns {number}
+ */
+function getOverdueDays(task, now = new Date()) {
+  if (!task.due || task.due === 'null') {
+    return 0;
+  }
+  const due = Date.parse(`${String(task.due).slice(0, 10)}T00:00:00Z`);
+  const today = Date.parse(`${getJstDate(now)}T00:00:00Z`);
+  if (isNaN(due)) {
+    return 0;
+  }
+  return Math.max(0, Math.round((today - due) / DAY_MS));
+}
+
+/**
+ * 実行済みの段階（0始まり。まだなら -1）
+ * 記録した時と期限が変わっていれば最初からやり直す
+ * @param {Object} task
+ * @returns {number}
+ */
+function getCurrentStep(task) {
+  if (task.escalation_due !== task.due) {
+    return -1;
+  }
+  const step = parseInt(task.escalation_step, 10);
+  return Number.isInteger(step) ? step : -1;
+}
+
+/**
+ * 担当者の確認でエスカレーションを止めている間か
+ * @param {Object} task
+ * @param {Object} policy
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+function isEscalationPaused(task, policy, now = new Date()) {
+  if (!task.escalation_acknowledged_at) {
+    return false;
+  }
+  const acknowledgedAt = new Date(task.escalation_acknowledged_at).getTime();
+  return !isNaN(acknowledgedAt) && now.getTime() < acknowledgedAt + policy.ack_pause_days * DAY_MS;
+}
+
+/**
+ * 次に実行する段階（期限切れ日数が届いていなければ null）
+ * @param {Object} task
+ * @param {Object} policy
+ * @param {Date} [now]
+ * @returns {{index: number, step: Object}|null}
+ */
+function getNextStep(task, policy, now = new Date()) {
+  const index = getCurrentStep(task) + 1;
+  const step = policy.steps[index];
+  if (!step || getOverdueDays(task, now) < step.after_days) {
+    return null;
+  }
+  return { index, step };
+}
+
+class TaskEscalationService {
+  constructor(slackClient, options = {}) {
+    this.slackClient = slackClient;
+    this.taskStore = options.taskStore || getTaskStore();
+    this.projectRepository = options.projectRepository || new ProjectRepository();
+    this.policies = new Map();
+  }
+
+  /**
+   * プロジェクトのポリシー（取得できなければデフォルト）
+   * @param {string} projectId
+   * @returns {Promise<{policy: Object, project: Object|null}>}
+   */
+  async getPolicy(projectId) {
+    if (!this.policies.has(projectId)) {
+      this.policies.set(projectId, await loadEscalationPolicy(this.projectRepository, projectId));
+    }
+    return this.policies.get(projectId);
+  }
+
+  async getOwnerSlackId(task) {
+    if (task.owner_slack_id) {
+      return task.owner_slack_id;
+    }
+    if (!task.owner) {
+      return null;
+    }
+    const mapping = await getMembersMapping();
+    return mapping.get(task.owner) || null;
+  }
+
+  /**
+   * プロジェクトのメインチャンネル（ポリシーの channel_id、なければ slack_channels の先頭）
+   */
+  getProjectChannelId(policy, project) {
+    if (policy.channel_id) {
+      return policy.channel_id;
+    }
+    const [mainChannel] = project?.slack_channels || [];
+    if (!mainChannel) {
+      return null;
+    }
+    return typeof mainChannel === 'string' ? mainChannel : mainChannel.channel_id;
+  }
+
+  formatEscalationMessage(task, action, overdueDays, ownerSlackId) {
+    const ownerMention = ownerSlackId ? `<@${ownerSlackId}>` : (task.owner || '担当者未設定');
+    const dueText = `📅 期限: ${task.due}（${overdueDays}日超過）`;
+    const headlines = {
+      thread: `⏰ ${ownerMention} さん、このタスクの期限が過ぎています`,
+      dm_owner: '⏰ *期限切れのタスクがあります*',
+      notify_requester: `📣 *依頼したタスクが期限切れです*\n担当: ${ownerMention}`,
+      project_channel: `🚨 *期限切れのタスク*\n担当: ${ownerMention}`
+    };
+
+    return {
+      text: `⏰ 期限切れタスク（${overdueDays}日超過）: ${task.title}`,
+      blocks: [
+        {
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: `${headlines[action]}\n\n*${task.title}* \`${task.id}\`\n${dueText}`
+          }
+        },
+        {
+          type: 'actions',
+          elements: [
+            {
+              type: 'button',
+              text: { type: 'plain_text', text: '✅ 完了' },
+              style: 'primary',
+              action_id: `task_complete_${task.id}`,
+              // 完了後の表示（createCompletedTaskBlocks）にタイトルと担当者・依頼者を出すため一緒に渡す
+              value: JSON.stringify({
+                taskId: task.id,
+                title: task.title,
+                requesterSlackId: task.requester_slack_id || null,
+                assigneeSlackId: ownerSlackId || null
+              })
+            },
+            {
+              type: 'button',
+              text: { type: 'plain_text', text: '👀 確認しました' },
+              action_id: `task_escalation_ack_${task.id}`,
+              value: JSON.stringify({ taskId: task.id })
+            }
+          ]
+        },
+        {
+          type: 'context',
+          elements: [{ type: 'mrkdwn', text: '担当者が「確認しました」を押すと、しばらくエスカレーションを止めます' }]
+        }
+      ]
+    };
+  }
+
+  /**
+   * 段階を実行する（送り先がない段階は skipped として次に進める）
+   * @returns {Promise<{success: boolean, channel?: string, skipped?: boolean, reason?: string, error?: string}>}
+   */
+  async executeStep(task, action, overdueDays, { policy, project }) {
+    const ownerSlackId = await this.getOwnerSlackId(task);
+    const message = this.formatEscalationMessage(task, action, overdueDays, ownerSlackId);
+
+    let target = null;
+    if (action === 'thread' && task.channel_id && task.thread_ts) {
+      target = { channel: task.channel_id, thread_ts: task.thread_ts };
+    } else if (action === 'thread' || action === 'dm_owner') {
+      // スレッドのないタスクは担当者へのDMで代える
+      target = ownerSlackId ? { channel: ownerSlackId } : null;
+    } else if (action === 'notify_requester') {
+      const requesterSlackId = task.requester_slack_id;
+      target = requesterSlackId && requesterSlackId !== ownerSlackId ? { channel: requesterSlackId } : null;
+    } else if (action === 'project_channel') {
+      const channelId = this.getProjectChannelId(policy, project);
+      target = channelId ? { channel: channelId } : null;
+    }
+
+    if (!target) {
+      return { success: false, skipped: true, reason: 'no_destination' };
+    }
+
+    try {
+      await this.slackClient.chat.postMessage({ ...target, text: message.text, blocks: message.blocks });
+      return { success: true, channel: target.channel };
+    } catch (error) {
+      console.error(`Failed to escalate task ${task.id} (${action}):`, error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * 期限切れタスクのエスカレーションを1段階ずつ進める
+   * @param {Date} [now]
+   * @returns {Promise<Object>} 実行結果
+   */
+  async runEscalations(now = new Date()) {
+    const tasks = await this.taskStore.getTasks();
+    const tasksById = indexTasksById(tasks);
+    const results = [];
+    let paused = 0;
+
+    for (const task of tasks) {
+      if (isClosedTask(task) || isSnoozed(task, now) || isBlocked(task, tasksById)) continue;
+
+      const overdueDays = getOverdueDays(task, now);
+      if (overdueDays === 0) continue;
+
+      const context = await this.getPolicy(task.project_id);
+      if (!context.policy.enabled) continue;
+
+      if (isEscalationPaused(task, context.policy, now)) {
+        paused++;
+        continue;
+      }
+
+      const next = getNextStep(task, context.policy, now);
+      if (!next) continue;
+
+      const result = await this.executeStep(task, next.step.action, overdueDays, context);
+      if (result.success || result.skipped) {
+        // 送れなかった段階（送り先なし）も記録して次回は次の段階へ進める
+        await this.taskStore.updateTask(task.id, {
+          escalation_step: next.index,
+          escalation_due: task.due
+        });
+      }
+      results.push({ task: task.id, step: next.index, action: next.step.action, overdueDays, ...result });
+    }
+
+    const escalated = results.filter(r => r.success).length;
+    console.log(`Escalations: ${escalated} sent, ${paused} paused`);
+
+    return {
+      escalated,
+      paused,
+      results,
+      timestamp: now.toISOString()
+    };
+  }
+
+  /**
+   * 担当者の確認を記録してエスカレーションを止める
+   * @param {string} taskId
+   * @param {string} slackId - ボタンを押したユーザー
+   * @param {Date} [now]
+   * @returns {Promise<{success: boolean, pauseDays?: number, reason?: string}>}
+   */
+  async acknowledge(taskId, slackId, now = new Date()) {
+    const task = await this.taskStore.getTask(taskId);
+    if (!task) {
+      return { success: false, reason: 'not_found' };
+    }
+
+    const ownerSlackId = await this.getOwnerSlackId(task);
+    if (ownerSlackId && ownerSlackId !== slackId) {
+      return { success: false, reason: 'not_owner' };
+    }
+
+    await this.taskStore.updateTask(taskId, { escalation_acknowledged_at: now.toISOString() });
+    const { policy } = await this.getPolicy(task.project_id);
+    return { success: true, pauseDays: policy.ack_pause_days };
+  }
+}
+
+module.exports = {
+  TaskEscalationService,
+  DEFAULT_ESCALATION_POLICY,
+  ESCALATION_ACTIONS,
+  normalizeEscalationPolicy,
+  loadEscalationPolicy,
+  getOverdueDays,
+  getNextStep,
+  isEscalationPaused
+};
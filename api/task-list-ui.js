@@ -0,0 +1,320 @@
+/**
+ * task-list-ui.js
+ * /mana-tasks のタスク一覧モーダルを生成する
+ * 各行のボタンは task-ui.js のタスクカードと同じ action_id を使い、既存のアクションハンドラで処理する
+ */
+
+const { formatDueDate, DUE_SELECT_OPTIONS } = require('./task-ui');
+const { isSnoozed, getDependencyIds } = require('./task-store');
+
+const TASK_LIST_CALLBACK_ID = 'mana_tasks_list';
+
+// モーダルは100ブロックまでなので、1セクションあたりの表示件数を制限する
+const MAX_TASKS_PER_SECTION = 20;
+
+const DEFAULT_FILTERS = {
+  project: 'all',
+  status: 'all',
+  due: 'all',
+  priority: 'all'
+};
+
+const STATUS_FILTER_OPTIONS = [
+  { value: 'all', label: 'すべて（未完了）' },
+  { value: 'todo', label: '未着手' },
+  { value: 'in-progress', label: '進行中' },
+  { value: 'snoozed', label: 'スヌーズ中' }
+];
+
+const DUE_FILTER_OPTIONS = [
+  { value: 'all', label: 'すべての期限' },
+  { value: 'overdue', label: '期限切れ' },
+  { value: 'today', label: '今日まで' },
+  { value: 'week', label: '7日以内' },
+  { value: 'none', label: '期限なし' }
+];
+
+const PRIORITY_FILTER_OPTIONS = [
+  { value: 'all', label: 'すべての優先度' },
+  { value: 'high', label: '高' },
+  { value: 'medium', label: '中' },
+  { value: 'low', label: '低' }
+];
+
+const PRIORITY_ORDER = { high: 0, medium: 1, low: 2 };
+const PRIORITY_EMOJI = { high: '🔴', medium: '🟡', low: '🟢' };
+
+function hasDue(task) {
+  return Boolean(task.due) && task.due !== 'null';
+}
+
+/**
+ * 期限の日付部分（YYYY-MM-DD）を取り出す
+ */
+function dueDateKey(task) {
+  return hasDue(task) ? String(task.due).slice(0, 10) : null;
+}
+
+function toOption({ value, label }) {
+  return { text: { type: 'plain_text', text: label }, value };
+}
+
+/**
+ * フィルタ条件でタスクを絞り込み、期限の近い順に並べる
+ * @param {Array<Object>} tasks - タスク一覧
+ * @param {Object} filters - { project, status, due, priority }
+ * @param {Date} now - 基準日時
+ * @returns {Array<Object>}
+ */
+function filterTasks(tasks, filters = {}, now = new Date()) {
+  const { project, status, due, priority } = { ...DEFAULT_FILTERS, ...filters };
+
+  const today = now.toISOString().split('T')[0];
+  const weekLater = new Date(now);
+  weekLater.setDate(weekLater.getDate() + 7);
+  const weekLaterStr = weekLater.toISOString().split('T')[0];
+
+  return tasks
+    .filter(task => project === 'all' || (task.project_id || 'general') === project)
+    .filter(task => {
+      if (status === 'all') return true;
+      if (status === 'snoozed') return isSnoozed(task, now);
+      return (task.status || 'todo') === status;
+    })
+    .filter(task => {
+      const key = dueDateKey(task);
+      switch (due) {
+        case 'overdue':
+          return key !== null && key < today;
+        case 'today':
+          return key !== null && key <= today;
+        case 'week':
+          return key !== null && key <= weekLaterStr;
+        case 'none':
+          return key === null;
+        default:
+          return true;
+      }
+    })
+    .filter(task => priority === 'all' || (task.priority || 'medium') === priority)
+    .sort((a, b) => {
+      const aKey = dueDateKey(a);
+      const bKey = dueDateKey(b);
+      if (aKey !== bKey) {
+        if (aKey === null) return 1;
+        if (bKey === null) return -1;
+        return aKey < bKey ? -1 : 1;
+      }
+      return (PRIORITY_ORDER[a.priority] ?? 1) - (PRIORITY_ORDER[b.priority] ?? 1);
+    });
+}
+
+/**
+ * 1タスク分の行（概要 + 操作ボタン）を生成
+ * @param {Object} task - タスク
+ * @param {Date} now - 基準日時
+ * @returns {Array} blocks
+ */
+function buildTaskRow(task, now = new Date()) {
+  const taskId = task.task_id || task.id;
+  const due = hasDue(task) ? task.due : null;
+  const today = now.toISOString().split('T')[0];
+  const blockedBy = getDependencyIds(task, 'blocked_by');
+
+  const meta = [
+    `${PRIORITY_EMOJI[task.priority] || '⚪'} ${task.project_id || 'general'}`,
+    due ? `期限: ${formatDueDate(due)}${dueDateKey(task) < today ? ' ⚠️' : ''}` : '期限: なし',
+    task.status === 'in-progress' ? '進行中' : null,
+    isSnoozed(task, now) ? `⏸ ${task.snoozed_until} までスヌーズ` : null,
+    blockedBy.length > 0 ? `⛔ 待ち: ${blockedBy.join(', ')}` : null
+  ].filter(Boolean).join('  |  ');
+
+  const peopleLine = `依頼: ${task.requester_slack_id ? `<@${task.requester_slack_id}>` : (task.requester || '-')}` +
+    `  担当: ${task.owner_slack_id ? `<@${task.owner_slack_id}>` : (task.owner || '-')}`;
+
+  const cardValue = {
+    taskId,
+    title: task.title,
+    requesterSlackId: task.requester_slack_id || null,
+    assigneeSlackId: task.owner_slack_id || null
+  };
+
+  return [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `*${task.title}*  \`${taskId}\`\n${meta}\n${peopleLine}`
+      }
+    },
+    {
+      type: 'actions',
+      elements: [
+        {
+          type: 'button',
+          text: { type: 'plain_text', text: '完了✨' },
+          action_id: `task_complete_${taskId}`,
+          style: 'primary',
+          value: JSON.stringify(cardValue)
+        },
+        {
+          type: 'button',
+          text: { type: 'plain_text', text: '明日リマインド' },
+          action_id: `task_snooze_${taskId}`,
+          value: JSON.stringify({ taskId })
+        },
+        {
+          type: 'static_select',
+          placeholder: { type: 'plain_text', text: '期限を変更' },
+          action_id: `task_set_due_${taskId}`,
+          options: DUE_SELECT_OPTIONS
+        },
+        {
+          type: 'button',
+          text: { type: 'plain_text', text: '編集✏️' },
+          action_id: `task_edit_${taskId}`,
+          value: JSON.stringify({ ...cardValue, due, blockedBy })
+        }
+      ]
+    }
+  ];
+}
+
+function buildSection(heading, tasks, now) {
+  const blocks = [
+    { type: 'header', text: { type: 'plain_text', text: `${heading}（${tasks.length}件）` } }
+  ];
+
+  if (tasks.length === 0) {
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: '該当するタスクはありません' }]
+    });
+    return blocks;
+  }
+
+  tasks.slice(0, MAX_TASKS_PER_SECTION).forEach(task => {
+    blocks.push(...buildTaskRow(task, now));
+  });
+
+  if (tasks.length > MAX_TASKS_PER_SECTION) {
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: `他 ${tasks.length - MAX_TASKS_PER_SECTION} 件（フィルタで絞り込んでください）` }]
+    });
+  }
+
+  return blocks;
+}
+
+/**
+ * フィルタのセレクトボックスを生成
+ * @param {Object} filters - 現在のフィルタ
+ * @param {Array<string>} projects - 選択肢に出すプロジェクトID
+ */
+function buildFilterBlock(filters, projects) {
+  const projectOptions = [
+    { value: 'all', label: 'すべてのプロジェクト' },
+    ...projects.map(projectId => ({ value: projectId, label: projectId }))
+  ];
+
+  const select = (key, options) => {
+    const initial = options.find(option => option.value === filters[key]) || options[0];
+    return {
+      type: 'static_select',
+      action_id: `task_list_filter_${key}`,
+      options: options.map(toOption),
+      initial_option: toOption(initial)
+    };
+  };
+
+  return {
+    type: 'actions',
+    block_id: 'task_list_filters',
+    elements: [
+      select('project', projectOptions),
+      select('status', STATUS_FILTER_OPTIONS),
+      select('due', DUE_FILTER_OPTIONS),
+      select('priority', PRIORITY_FILTER_OPTIONS)
+    ]
+  };
+}
+
+/**
+ * タスク一覧モーダルを生成
+ * 自分が担当かつ依頼者でもあるタスクは「担当」側にだけ表示する（action_id の重複を避けるため）
+ * @param {Object} params
+ * @param {Array<Object>} params.ownedTasks - 担当タスク
+ * @param {Array<Object>} params.requestedTasks - 依頼したタスク
+ * @param {Object} [params.filters] - フィルタ
+ * @param {Date} [params.now] - 基準日時
+ * @returns {Object} Slack view
+ */
+function buildTaskListView({ ownedTasks = [], requestedTasks = [], filters = {}, now = new Date() }) {
+  const currentFilters = { ...DEFAULT_FILTERS, ...filters };
+
+  const ownedIds = new Set(ownedTasks.map(task => task.task_id || task.id));
+  const requestedOnly = requestedTasks.filter(task => !ownedIds.has(task.task_id || task.id));
+
+  const projects = [...new Set([...ownedTasks, ...requestedOnly].map(task => task.project_id || 'general'))].sort();
+
+  const owned = filterTasks(ownedTasks, currentFilters, now);
+  const requested = filterTasks(requestedOnly, currentFilters, now);
+
+  return {
+    type: 'modal',
+    callback_id: TASK_LIST_CALLBACK_ID,
+    title: { type: 'plain_text', text: 'マイタスク' },
+    close: { type: 'plain_text', text: '閉じる' },
+    private_metadata: JSON.stringify({ filters: currentFilters }),
+    blocks: [
+      buildFilterBlock(currentFilters, projects),
+      { type: 'divider' },
+      ...buildSection('👤 担当しているタスク', owned, now),
+      { type: 'divider' },
+      ...buildSection('📨 依頼したタスク', requested, now)
+    ]
+  };
+}
+
+/**
+ * 読み込み中のモーダル（trigger_id の期限内に開くため）
+ */
+function buildTaskListLoadingView() {
+  return {
+    type: 'modal',
+    callback_id: TASK_LIST_CALLBACK_ID,
+    title: { type: 'plain_text', text: 'マイタスク' },
+    close: { type: 'plain_text', text: '閉じる' },
+    blocks: [
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: '⏳ タスクを読み込んでいます...' }
+      }
+    ]
+  };
+}
+
+/**
+ * モーダルのprivate_metadataから現在のフィルタを取り出す
+ * @param {Object} view - Slack view
+ * @returns {Object}
+ */
+function getFiltersFromView(view) {
+  try {
+    const metadata = JSON.parse(view?.private_metadata || '{}');
+    return { ...DEFAULT_FILTERS, ...metadata.filters };
+  } catch (error) {
+    return { ...DEFAULT_FILTERS };
+  }
+}
+
+module.exports = {
+  TASK_LIST_CALLBACK_ID,
+  MAX_TASKS_PER_SECTION,
+  filterTasks,
+  buildTaskRow,
+  buildTaskListView,
+  buildTaskListLoadingView,
+  getFiltersFromView
+};
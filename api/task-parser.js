@@ -4,6 +4,9 @@ const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
 const TASKS_REPO = 'sintariran/brainbase';
 const TASKS_PATH = '_tasks/index.md';
 
+// blocked_by: このタスクより先に完了が必要なタスク / blocks: このタスクの完了を待っているタスク
+const DEPENDENCY_FIELDS = ['blocked_by', 'blocks'];
+
 class TaskParser {
   constructor(token = GITHUB_TOKEN) {
     this.token = token;
@@ -38,6 +41,10 @@ class TaskParser {
       const body = taskBlocks[i + 1] || '';
 
       const task = this.parseFrontMatter(frontMatter);
+      // appendTask は task_id で書き込むため、id が無ければ task_id を使う
+      if (task && !task.id && task.task_id) {
+        task.id = task.task_id;
+      }
       if (task && task.id) {
         task.body = body.trim();
         tasks.push(task);
@@ -60,11 +67,20 @@ class TaskParser {
         } else if (value === 'null') {
           task[key] = null;
         } else {
-          task[key] = value.trim();
+          // created_at / thread_ts などはダブルクォートで囲んで保存している
+          task[key] = value.trim().replace(/^"(.*)"$/, '$1');
         }
       }
     }
 
+    // 依存関係は単一値・未設定でも配列にそろえ、空のID（[] や末尾のカンマ）は除く
+    for (const key of DEPENDENCY_FIELDS) {
+      if (key in task) {
+        const ids = Array.isArray(task[key]) ? task[key] : String(task[key] || '').split(',');
+        task[key] = ids.map(v => v.trim()).filter(Boolean);
+      }
+    }
+
     return task;
   }
 
@@ -0,0 +1,449 @@
+/**
+ * task-reconcile.js
+ * Airtable Tasks ⇔ _tasks/index.md（タスクストア）の双方向同期
+ *
+ * AirtableTaskSync は GitHub → Airtable の単方向なので、PMがAirtableで変えたステータスや期限が
+ * markdown と Slack のリマインドに反映されない。このジョブは task_id で両者を突き合わせ、
+ * 前回同期時の値（DynamoDB の同期状態）と比べてどちらで変わったかをフィールドごとに判定する。
+ *
+ * - 片側だけ変わった → もう片側に反映
+ * - 両側で違う値に変わった → フィールドごとの更新日時で後勝ち（last-writer-wins）
+ * - 前回同期時の値がなく（初回）、更新日時でも決められない → 従来の同期元のタスクストアに合わせる
+ * - 前回から両側で変わり、更新日時が取れず決められない → 衝突として残し、TASK_SYNC_CONFLICT_CHANNEL_ID に一覧を投稿
+ *   （投稿した衝突は同期状態に記録し、同じ衝突は繰り返し投稿しない）
+ *
+ * Airtable 側の更新日時は Tasks テーブルの「最終更新日時」フィールド（SYNC_FIELDS の modifiedAt と
+ * last_modified。README の手順で手動で追加する）から読む。フィールドがなければ更新日時なしとして扱う。
+ *
+ * タスクストアへの反映は1回の書き込み（GitHub なら1コミット）にまとめる。完了・取り消し済みのタスクは
+ * Airtable にレコードを作らず、前回からどちらも変わっていなければ同期状態も書き直さない。
+ *
+ * 比較は Airtable 側の表現（status: pending / in_progress / completed / cancelled）にそろえて行う。
+ * 担当者（owner ⇔ assignee）と依存関係は従来どおり GitHub → Airtable の単方向。
+ */
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const {
+  DynamoDBDocumentClient,
+  PutCommand,
+  ScanCommand
+} = require('@aws-sdk/lib-dynamodb');
+const { getTaskStore, isClosedTask } = require('./task-store');
+const { AirtableTaskSync } = require('./airtable-task-sync');
+
+// Airtable status → タスクストアの status
+const AIRTABLE_STATUS_TO_TASK = {
+  pending: 'todo',
+  in_progress: 'in-progress',
+  completed: 'done',
+  cancelled: 'cancelled'
+};
+
+/**
+ * 同期するフィールド
+ * - key: タスクストアのフィールド / airtable: Airtable のフィールド
+ * - modifiedAt: そのフィールドだけを監視する Airtable の「最終更新日時」フィールド
+ */
+const SYNC_FIELDS = [
+  { key: 'title', airtable: 'title', modifiedAt: 'title_modified_at' },
+  { key: 'status', airtable: 'status', modifiedAt: 'status_modified_at' },
+  { key: 'priority', airtable: 'priority', modifiedAt: 'priority_modified_at' },
+  { key: 'due', airtable: 'due_date', modifiedAt: 'due_date_modified_at' }
+];
+
+// フィールド別の更新日時がない場合に使うレコード全体の「最終更新日時」フィールド
+const AIRTABLE_RECORD_MODIFIED_AT = 'last_modified';
+
+// Airtable の一括更新は1リクエスト10件まで
+const AIRTABLE_BATCH_SIZE = 10;
+const MAX_AIRTABLE_RECORDS = 5000;
+const MAX_CONFLICTS_IN_SUMMARY = 30;
+
+function normalizeEmpty(value) {
+  if (value === undefined || value === null || value === '' || value === 'null') {
+    return null;
+  }
+  return value;
+}
+
+/**
+ * タスクストアの値を Airtable 側の表現にそろえる
+ */
+function toAirtableValue(field, value, statusMapper) {
+  const normalized = normalizeEmpty(value);
+  if (field.key === 'status') {
+    return statusMapper(normalized);
+  }
+  if (field.key === 'due') {
+    return normalized ? String(normalized).slice(0, 10) : null;
+  }
+  return normalized === null ? null : String(normalized);
+}
+
+/**
+ * Airtable の値をタスクストアの値に変換する
+ */
+function toTaskValue(field, value) {
+  const normalized = normalizeEmpty(value);
+  if (field.key === 'status') {
+    return AIRTABLE_STATUS_TO_TASK[normalized] || 'todo';
+  }
+  return normalized;
+}
+
+function parseTimestamp(value) {
+  if (!value) return null;
+  const time = new Date(value).getTime();
+  return isNaN(time) ? null : time;
+}
+
+/**
+ * タスクストア側のフィールド更新日時
+ * <field>_updated_at があればそれを、なければタスク全体の updated_at（手で編集された場合は created_at）を使う
+ */
+function getTaskFieldTimestamp(task, field) {
+  return parseTimestamp(task[`${field.key}_updated_at`]) ||
+    parseTimestamp(task.updated_at) ||
+    parseTimestamp(task.created_at);
+}
+
+/**
+ * Airtable 側のフィールド更新日時
+ */
+function getAirtableFieldTimestamp(record, field) {
+  return parseTimestamp(record.fields[field.modifiedAt]) ||
+    parseTimestamp(record.fields[AIRTABLE_RECORD_MODIFIED_AT]);
+}
+
+/**
+ * 1タスク分の差分を計算する
+ * @param {Object} params
+ * @param {Object} params.task - タスクストアのタスク
+ * @param {Object} params.record - Airtable レコード（{ id, fields }）
+ * @param {Object|null} params.baseFields - 前回同期時の値（Airtable 表現、初回はnull）
+ * @param {Function} params.statusMapper - タスクの status → Airtable status
+ * @returns {{ toAirtable: Object, toTask: Object, conflicts: Array<Object>, syncedFields: Object }}
+ *   syncedFields は今回そろった値（衝突したフィールドは前回の値のまま）
+ */
+function diffTask({ task, record, baseFields, statusMapper }) {
+  const toAirtable = {};
+  const toTask = {};
+  const conflicts = [];
+  const syncedFields = { ...(baseFields || {}) };
+
+  for (const field of SYNC_FIELDS) {
+    const taskValue = toAirtableValue(field, task[field.key], statusMapper);
+    const airtableValue = toAirtableValue(field, record.fields[field.airtable], value => normalizeEmpty(value));
+
+    if (taskValue === airtableValue) {
+      syncedFields[field.key] = taskValue;
+      continue;
+    }
+
+    const hasBase = Boolean(baseFields) && field.key in baseFields;
+    const base = hasBase ? baseFields[field.key] : undefined;
+    const taskChanged = !hasBase || taskValue !== base;
+    const airtableChanged = !hasBase || airtableValue !== base;
+
+    let winner = null;
+    if (taskChanged && !airtableChanged) {
+      winner = 'task';
+    } else if (airtableChanged && !taskChanged) {
+      winner = 'airtable';
+    } else {
+      const taskTime = getTaskFieldTimestamp(task, field);
+      const airtableTime = getAirtableFieldTimestamp(record, field);
+      if (taskTime && airtableTime && taskTime !== airtableTime) {
+        winner = taskTime > airtableTime ? 'task' : 'airtable';
+      } else if (!hasBase) {
+        // 初回は、これまで GitHub → Airtable の単方向同期の元だったタスクストアに合わせる
+        winner = 'task';
+      }
+    }
+
+    if (winner === 'task') {
+      toAirtable[field.airtable] = taskValue;
+      syncedFields[field.key] = taskValue;
+    } else if (winner === 'airtable') {
+      toTask[field.key] = toTaskValue(field, record.fields[field.airtable]);
+      syncedFields[field.key] = airtableValue;
+    } else {
+      conflicts.push({
+        taskId: task.task_id || task.id,
+        title: task.title,
+        field: field.key,
+        taskValue,
+        airtableValue,
+        baseValue: hasBase ? base : null
+      });
+    }
+  }
+
+  return { toAirtable, toTask, conflicts, syncedFields };
+}
+
+/**
+ * 衝突を投稿済みかどうかの判定に使うキー（同じフィールドが同じ値どうしで衝突している間は同じキー）
+ * @param {Object} conflict - diffTask の conflicts の要素
+ * @returns {string}
+ */
+function getConflictKey(conflict) {
+  return JSON.stringify([conflict.field, conflict.taskValue, conflict.airtableValue]);
+}
+
+function isSameState(previous, next) {
+  return Boolean(previous) &&
+    JSON.stringify(previous.fields) === JSON.stringify(next.fields) &&
+    JSON.stringify(previous.reportedConflicts) === JSON.stringify(next.reportedConflicts);
+}
+
+/**
+ * 解決できなかった衝突の一覧メッセージ
+ * @param {Array<Object>} conflicts - diffTask の conflicts
+ * @returns {{ text: string, blocks: Array }}
+ */
+function buildConflictSummary(conflicts) {
+  const lines = conflicts.slice(0, MAX_CONFLICTS_IN_SUMMARY).map(conflict => (
+    `• *${conflict.title || conflict.taskId}* \`${conflict.taskId}\` ${conflict.field}: ` +
+    `GitHub \`${conflict.taskValue ?? '(なし)'}\` / Airtable \`${conflict.airtableValue ?? '(なし)'}\``
+  ));
+  if (conflicts.length > MAX_CONFLICTS_IN_SUMMARY) {
+    lines.push(`他 ${conflicts.length - MAX_CONFLICTS_IN_SUMMARY} 件`);
+  }
+
+  const text = `⚠️ Airtable ⇔ GitHub のタスク同期で解決できない変更が ${conflicts.length} 件あります`;
+  return {
+    text,
+    blocks: [
+      { type: 'section', text: { type: 'mrkdwn', text: `*${text}*` } },
+      { type: 'section', text: { type: 'mrkdwn', text: lines.join('\n') } },
+      {
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: '両側で別々に変更され、更新日時から後勝ちを判定できませんでした。どちらかを正しい値に直すと次回の同期でそろいます（同じ衝突は次回から投稿しません）。' }]
+      }
+    ]
+  };
+}
+
+/**
+ * 前回同期時の値と投稿済みの衝突（DynamoDB、1タスク1アイテム）
+ */
+class TaskSyncStateRepository {
+  constructor(options = {}) {
+    const client = new DynamoDBClient({
+      region: options.region || process.env.AWS_REGION || 'us-east-1'
+    });
+    this.docClient = options.docClient || DynamoDBDocumentClient.from(client);
+    this.tableName = options.tableName || process.env.TASK_SYNC_STATE_TABLE_NAME || 'mana-task-sync-state';
+  }
+
+  /**
+   * @returns {Promise<Map<string, {fields: Object, reportedConflicts: Array<string>}>>}
+   *   task_id → 前回同期時の値と投稿済みの衝突（getConflictKey）
+   */
+  async getAllStates() {
+    const states = new Map();
+    let lastKey;
+
+    do {
+      const response = await this.docClient.send(new ScanCommand({
+        TableName: this.tableName,
+        ...(lastKey && { ExclusiveStartKey: lastKey })
+      }));
+      for (const item of response.Items || []) {
+        states.set(item.task_id, { fields: item.fields || {}, reportedConflicts: item.reported_conflicts || [] });
+      }
+      lastKey = response.LastEvaluatedKey;
+    } while (lastKey);
+
+    return states;
+  }
+
+  /**
+   * @param {string} taskId
+   * @param {{fields: Object, reportedConflicts: Array<string>}} state
+   * @param {Date} [now]
+   */
+  async saveState(taskId, { fields, reportedConflicts = [] }, now = new Date()) {
+    await this.docClient.send(new PutCommand({
+      TableName: this.tableName,
+      Item: {
+        task_id: taskId,
+        fields,
+        reported_conflicts: reportedConflicts,
+        synced_at: now.toISOString()
+      }
+    }));
+  }
+}
+
+class TaskReconcileService {
+  /**
+   * @param {Object} options
+   * @param {Object} [options.taskStore] - タスクストア
+   * @param {AirtableTaskSync} [options.airtableSync] - Airtable 同期（mcpClient とステータス変換を使う）
+   * @param {TaskSyncStateRepository} [options.stateRepository] - 前回同期時の値
+   * @param {Object} [options.slackClient] - 衝突の一覧を投稿する Slack WebClient
+   * @param {string} [options.conflictChannelId] - 衝突の投稿先（デフォルト: TASK_SYNC_CONFLICT_CHANNEL_ID）
+   */
+  constructor(options = {}) {
+    this.taskStore = options.taskStore || getTaskStore();
+    this.airtableSync = options.airtableSync || new AirtableTaskSync();
+    this.stateRepository = options.stateRepository || new TaskSyncStateRepository();
+    this.slackClient = options.slackClient || null;
+    this.conflictChannelId = options.conflictChannelId || process.env.TASK_SYNC_CONFLICT_CHANNEL_ID || null;
+  }
+
+  async getAirtableRecords() {
+    const result = await this.airtableSync.mcpClient.listRecords({ maxRecords: MAX_AIRTABLE_RECORDS });
+    const records = new Map();
+    for (const record of result.records || []) {
+      if (record.fields?.task_id) {
+        records.set(record.fields.task_id, record);
+      }
+    }
+    return records;
+  }
+
+  /**
+   * 両側を突き合わせて変更を反映する
+   * @param {Date} [now] - 基準日時
+   * @returns {Promise<Object>} { checked, toAirtable, toTask, created, conflicts, newConflicts, errors }
+   */
+  async reconcile(now = new Date()) {
+    const [tasks, records, states] = await Promise.all([
+      this.taskStore.getTasks(),
+      this.getAirtableRecords(),
+      this.stateRepository.getAllStates()
+    ]);
+    const statusMapper = status => this.airtableSync.mapStatus(status);
+
+    const summary = { checked: 0, toAirtable: [], toTask: [], created: [], conflicts: [], newConflicts: [], errors: [] };
+    const taskUpdates = [];
+    const pending = [];
+
+    for (const task of tasks) {
+      const taskId = task.task_id || task.id;
+      if (!taskId) continue;
+      summary.checked++;
+
+      const record = records.get(taskId);
+      if (!record) {
+        // 完了・取り消し済みのタスクは Airtable に作らない
+        if (isClosedTask(task)) continue;
+        // Airtable にまだないタスクは従来の GitHub → Airtable 同期で作成する
+        try {
+          await this.airtableSync.syncTaskToAirtable({ ...task, task_id: taskId });
+          summary.created.push(taskId);
+        } catch (error) {
+          summary.errors.push({ taskId, error: error.message });
+        }
+        continue;
+      }
+
+      const previous = states.get(taskId) || null;
+      const { toAirtable, toTask, conflicts, syncedFields } = diffTask({
+        task,
+        record,
+        baseFields: previous ? previous.fields : null,
+        statusMapper
+      });
+      summary.conflicts.push(...conflicts);
+
+      const reported = new Set(previous ? previous.reportedConflicts : []);
+      const newConflicts = conflicts.filter(conflict => !reported.has(getConflictKey(conflict)));
+      summary.newConflicts.push(...newConflicts);
+
+      if (Object.keys(toTask).length > 0) {
+        taskUpdates.push({ taskId, fields: toTask });
+      }
+
+      pending.push({ taskId, record, toTask, toAirtable, conflicts, newConflicts, syncedFields, previous });
+    }
+
+    // タスクストアへの反映は1回にまとめ、反映できなかったタスクはこの回の同期から外す
+    const failedTaskIds = new Set();
+    if (taskUpdates.length > 0) {
+      const { failed } = await this.taskStore.updateTasks(taskUpdates);
+      for (const { taskId, error } of failed) {
+        failedTaskIds.add(taskId);
+        summary.errors.push({ taskId, error });
+      }
+    }
+
+    const airtableUpdates = [];
+    const pendingStates = [];
+    for (const item of pending) {
+      if (failedTaskIds.has(item.taskId)) continue;
+      if (Object.keys(item.toTask).length > 0) {
+        summary.toTask.push({ taskId: item.taskId, fields: item.toTask });
+      }
+      if (Object.keys(item.toAirtable).length > 0) {
+        airtableUpdates.push({ id: item.record.id, fields: item.toAirtable });
+        summary.toAirtable.push({ taskId: item.taskId, fields: item.toAirtable });
+      }
+      pendingStates.push({ ...item, airtableRecordId: item.record.id, changed: Object.keys(item.toAirtable).length > 0 });
+    }
+
+    const failedRecordIds = new Set();
+    for (let i = 0; i < airtableUpdates.length; i += AIRTABLE_BATCH_SIZE) {
+      const batch = airtableUpdates.slice(i, i + AIRTABLE_BATCH_SIZE);
+      try {
+        await this.airtableSync.mcpClient.updateRecords(batch);
+      } catch (error) {
+        batch.forEach(update => failedRecordIds.add(update.id));
+        summary.errors.push({ airtableRecordIds: batch.map(update => update.id), error: error.message });
+      }
+    }
+
+    // 前回までに投稿していない衝突だけを投稿する
+    const posted = summary.newConflicts.length > 0 ? await this.postConflictSummary(summary.newConflicts) : false;
+
+    // Airtable への反映に失敗したタスクは同期状態を進めず、次回やり直す。前回から変わっていなければ書き直さない
+    for (const state of pendingStates) {
+      if (state.changed && failedRecordIds.has(state.airtableRecordId)) continue;
+      const reportedConflicts = (posted ? state.conflicts : state.conflicts.filter(conflict => !state.newConflicts.includes(conflict)))
+        .map(getConflictKey);
+      const next = { fields: state.syncedFields, reportedConflicts };
+      if (isSameState(state.previous, next)) continue;
+      try {
+        await this.stateRepository.saveState(state.taskId, next, now);
+      } catch (error) {
+        summary.errors.push({ taskId: state.taskId, error: error.message });
+      }
+    }
+
+    console.log(`Task reconcile: checked ${summary.checked}, to Airtable ${summary.toAirtable.length}, to GitHub ${summary.toTask.length}, created ${summary.created.length}, conflicts ${summary.conflicts.length} (new ${summary.newConflicts.length}), errors ${summary.errors.length}`);
+    return summary;
+  }
+
+  /**
+   * 衝突の一覧を投稿する
+   * @param {Array<Object>} conflicts
+   * @returns {Promise<boolean>} 投稿できたか（できなければ次回また投稿する）
+   */
+  async postConflictSummary(conflicts) {
+    if (!this.slackClient || !this.conflictChannelId) {
+      console.warn(`Task reconcile: ${conflicts.length} conflicts (TASK_SYNC_CONFLICT_CHANNEL_ID is not set)`);
+      return false;
+    }
+
+    try {
+      const { text, blocks } = buildConflictSummary(conflicts);
+      await this.slackClient.chat.postMessage({ channel: this.conflictChannelId, text, blocks });
+      return true;
+    } catch (error) {
+      console.error('Failed to post task reconcile conflicts:', error.message);
+      return false;
+    }
+  }
+}
+
+module.exports = {
+  TaskReconcileService,
+  TaskSyncStateRepository,
+  diffTask,
+  getConflictKey,
+  buildConflictSummary,
+  SYNC_FIELDS
+};
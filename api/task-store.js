@@ -0,0 +1,720 @@
+/**
+ * task-store.js
+ * タスクストアの抽象化（GitHub markdown / DynamoDB の2バックエンド）
+ *
+ * app_mention・task_* アクション・ReminderService・SlackThreadReminderService は
+ * すべてこのインターフェース経由でタスクを読み書きする。
+ *
+ * 共通インターフェース:
+ * - createTask(task, { slackLink, slackContext }) - タスク作成
+ * - getTask(taskId) / getTasks() - 取得
+ * - updateTask(taskId, fields) - 任意フィールドの更新
+ * - updateStatus / snoozeTask / setDue - よく使う更新のショートカット
+ * - setBlockedBy - 依存関係（blocked_by / blocks）の設定
+ * - getTasksByOwnerSlackId / getTasksByRequesterSlackId - 担当者・依頼者で検索
+ * - getOverdueTasks / getTasksDueSoon - リマインド用の検索
+ *
+ * バックエンドは TASK_STORE_BACKEND（github | dynamodb、デフォルト github）で選択する。
+ */
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const {
+  DynamoDBDocumentClient,
+  PutCommand,
+  GetCommand,
+  UpdateCommand,
+  ScanCommand,
+  QueryCommand
+} = require('@aws-sdk/lib-dynamodb');
+const TaskParser = require('./task-parser');
+const { TaskIdGenerator } = require('./task-id-generator');
+const { AirtableTaskSync } = require('./airtable-task-sync');
+
+const TASKS_OWNER = 'sintariran';
+const TASKS_REPO = 'brainbase';
+const TASKS_BRANCH = 'main';
+const TASKS_PATH = '_tasks/index.md';
+
+const CLOSED_STATUSES = ['done', 'completed', 'cancelled'];
+
+/**
+ * タスクが完了（またはキャンセル）済みかどうか
+ * @param {Object} task - タスク
+ * @returns {boolean}
+ */
+function isClosedTask(task) {
+  return CLOSED_STATUSES.includes(task.status);
+}
+
+/**
+ * スヌーズ中（snoozed_until が未来）かどうか
+ * @param {Object} task - タスク
+ * @param {Date} now - 現在時刻
+ * @returns {boolean}
+ */
+function isSnoozed(task, now = new Date()) {
+  if (!task.snoozed_until) return false;
+  const until = new Date(task.snoozed_until);
+  return !isNaN(until.getTime()) && until.getTime() > now.getTime();
+}
+
+/**
+ * blocked_by / blocks の値をタスクIDの配列にそろえる
+ * front matter では [T-1, T-2] の配列で書くが、手書きの単一値や "null" も受け付ける
+ * @param {Object} task - タスク
+ * @param {string} field - blocked_by | blocks
+ * @returns {Array<string>}
+ */
+function getDependencyIds(task, field) {
+  const value = task[field];
+  if (!value || value === 'null') return [];
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap(v => String(v).split(','))
+    .map(v => v.trim())
+    .filter(v => v && v !== 'null');
+}
+
+/**
+ * task_id（なければid）→タスクのMap
+ * @param {Array<Object>} tasks - タスク
+ * @returns {Map<string, Object>}
+ */
+function indexTasksById(tasks) {
+  const tasksById = new Map();
+  for (const task of tasks) {
+    if (task.id) tasksById.set(task.id, task);
+    if (task.task_id) tasksById.set(task.task_id, task);
+  }
+  return tasksById;
+}
+
+/**
+ * 未完了のタスクに待たされているかどうか
+ * 見つからないタスクID（削除済みなど）はブロックしていないものとして扱う
+ * @param {Object} task - タスク
+ * @param {Map<string, Object>} tasksById - indexTasksById の結果
+ * @returns {boolean}
+ */
+function isBlocked(task, tasksById) {
+  return getDependencyIds(task, 'blocked_by').some(id => {
+    const blocker = tasksById.get(id);
+    return Boolean(blocker) && !isClosedTask(blocker);
+  });
+}
+
+/**
+ * タスクの完了によってブロックが解除される（他に未完了の待ちがなくなる）タスクを探す
+ * @param {Array<Object>} tasks - 全タスク
+ * @param {string} completedTaskId - 完了したタスクID
+ * @returns {Array<Object>} ブロックが解除された未完了のタスク
+ */
+function findUnblockedTasks(tasks, completedTaskId) {
+  const tasksById = indexTasksById(tasks);
+  const completed = tasksById.get(completedTaskId);
+  // 完了直後の読み込みに更新が反映されていなくても完了済みとして判定する
+  if (completed) {
+    tasksById.set(completedTaskId, { ...completed, status: 'done' });
+  }
+  const blocksIds = new Set(completed ? getDependencyIds(completed, 'blocks') : []);
+
+  return tasks.filter(task => {
+    const taskId = task.task_id || task.id;
+    if (taskId === completedTaskId || isClosedTask(task)) return false;
+    const waiting = getDependencyIds(task, 'blocked_by').includes(completedTaskId) || blocksIds.has(taskId);
+    return waiting && !isBlocked(task, tasksById);
+  });
+}
+
+/**
+ * front matter の値を書き込み用にフォーマット
+ * @param {*} value - 値
+ * @returns {string}
+ */
+function formatFrontMatterValue(value) {
+  if (value === null || value === undefined || value === '') {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return `[${value.join(', ')}]`;
+  }
+  const str = String(value);
+  // ISO日時やSlackのtsなど、YAMLで解釈がぶれる値はクォートする
+  if (/[:#]/.test(str) || /^\d+\.\d+$/.test(str)) {
+    return `"${str}"`;
+  }
+  return str;
+}
+
+/**
+ * _tasks/index.md の内容から指定タスクの front matter を書き換える
+ * @param {string} content - ファイル内容
+ * @param {string} taskId - task_id または id
+ * @param {Object} fields - 更新するフィールド
+ * @returns {{content: string, found: boolean}}
+ */
+function updateTaskInContent(content, taskId, fields) {
+  const parts = content.split(/^---$/m);
+
+  for (let i = 0; i < parts.length; i++) {
+    const lines = parts[i].split('\n');
+    const hasTaskId = lines.some(line =>
+      line.trim() === `task_id: ${taskId}` || line.trim() === `id: ${taskId}`
+    );
+    if (!hasTaskId) continue;
+
+    for (const [key, value] of Object.entries(fields)) {
+      const newLine = `${key}: ${formatFrontMatterValue(value)}`;
+      const index = lines.findIndex(line => line.startsWith(`${key}:`));
+      if (index >= 0) {
+        lines[index] = newLine;
+      } else {
+        // ブロック末尾の空行（区切り直前）の手前に追加
+        const insertAt = lines[lines.length - 1] === '' ? lines.length - 1 : lines.length;
+        lines.splice(insertAt, 0, newLine);
+      }
+    }
+
+    parts[i] = lines.join('\n');
+    return { content: parts.join('---'), found: true };
+  }
+
+  return { content, found: false };
+}
+
+// フィールドごとの更新日時（<field>_updated_at）を記録するフィールド（Airtable との同期で後勝ちの判定に使う）
+const FIELD_TIMESTAMP_KEYS = ['title', 'status', 'priority', 'due'];
+
+/**
+ * 更新するフィールドに updated_at と、同期するフィールドの <field>_updated_at を付ける
+ * @param {Object} fields
+ * @param {Date} [now]
+ * @returns {Object}
+ */
+function withUpdateTimestamps(fields, now = new Date()) {
+  const timestamp = now.toISOString();
+  const updates = { ...fields, updated_at: timestamp };
+  for (const key of FIELD_TIMESTAMP_KEYS) {
+    if (key in fields) {
+      updates[`${key}_updated_at`] = timestamp;
+    }
+  }
+  return updates;
+}
+
+/**
+ * タスクストアの共通部分
+ * サブクラスは createTask / getTask / getTasks / updateTask を実装する
+ */
+class TaskStore {
+  async createTask() {
+    throw new Error('createTask is not implemented');
+  }
+
+  async getTask() {
+    throw new Error('getTask is not implemented');
+  }
+
+  async getTasks() {
+    throw new Error('getTasks is not implemented');
+  }
+
+  async updateTask() {
+    throw new Error('updateTask is not implemented');
+  }
+
+  /**
+   * 複数タスクのフィールドをまとめて更新する（デフォルトは1件ずつ updateTask）
+   * @param {Array<{taskId: string, fields: Object}>} updates
+   * @returns {Promise<{updated: Array<string>, failed: Array<{taskId: string, error: string}>}>}
+   */
+  async updateTasks(updates) {
+    const updated = [];
+    const failed = [];
+    for (const { taskId, fields } of updates) {
+      try {
+        await this.updateTask(taskId, fields);
+        updated.push(taskId);
+      } catch (error) {
+        failed.push({ taskId, error: error.message });
+      }
+    }
+    return { updated, failed };
+  }
+
+  /**
+   * ステータスを更新
+   * @param {string} taskId - タスクID
+   * @param {string} status - todo | in-progress | done | cancelled
+   */
+  async updateStatus(taskId, status) {
+    const fields = { status };
+    if (CLOSED_STATUSES.includes(status)) {
+      fields.completed_at = new Date().toISOString();
+    }
+    return this.updateTask(taskId, fields);
+  }
+
+  /**
+   * リマインドを指定日時まで止める
+   * @param {string} taskId - タスクID
+   * @param {string} until - YYYY-MM-DD または ISO日時
+   */
+  async snoozeTask(taskId, until) {
+    return this.updateTask(taskId, { snoozed_until: until });
+  }
+
+  /**
+   * 期限を設定（nullで期限なし）
+   * @param {string} taskId - タスクID
+   * @param {string|null} due - YYYY-MM-DD
+   */
+  async setDue(taskId, due) {
+    return this.updateTask(taskId, { due: due || null });
+  }
+
+  /**
+   * このタスクが待っているタスク（blocked_by）を設定し、相手側の blocks も合わせて更新する
+   * @param {string} taskId - タスクID
+   * @param {Array<string>} blockedByIds - 先に完了が必要なタスクID
+   * @returns {Promise<Object>} { success, taskId, blocked_by, added, removed }
+   * @throws {Error} 存在しないタスクIDや循環する依存関係を指定した場合
+   */
+  async setBlockedBy(taskId, blockedByIds) {
+    const tasks = await this.getTasks();
+    const tasksById = indexTasksById(tasks);
+    const task = tasksById.get(taskId);
+    if (!task) {
+      throw new Error(`Task not found: ${taskId}`);
+    }
+
+    const ids = [...new Set(blockedByIds.filter(id => id && id !== taskId))];
+    const unknown = ids.filter(id => !tasksById.has(id));
+    if (unknown.length > 0) {
+      throw new Error(`Task not found: ${unknown.join(', ')}`);
+    }
+
+    // 待っているタスクをたどって自分に戻るなら循環
+    const visited = new Set();
+    const stack = [...ids];
+    while (stack.length > 0) {
+      const id = stack.pop();
+      if (id === taskId) {
+        throw new Error(`依存関係が循環しています: ${taskId}`);
+      }
+      if (visited.has(id)) continue;
+      visited.add(id);
+      stack.push(...getDependencyIds(tasksById.get(id) || {}, 'blocked_by'));
+    }
+
+    const previous = getDependencyIds(task, 'blocked_by');
+    const added = ids.filter(id => !previous.includes(id));
+    const removed = previous.filter(id => !ids.includes(id));
+
+    await this.updateTask(taskId, { blocked_by: ids });
+
+    for (const blockerId of added) {
+      const blocker = tasksById.get(blockerId);
+      const blocks = getDependencyIds(blocker, 'blocks');
+      if (!blocks.includes(taskId)) {
+        await this.updateTask(blockerId, { blocks: [...blocks, taskId] });
+      }
+    }
+    for (const blockerId of removed) {
+      const blocker = tasksById.get(blockerId);
+      if (!blocker) continue;
+      const blocks = getDependencyIds(blocker, 'blocks');
+      if (blocks.includes(taskId)) {
+        await this.updateTask(blockerId, { blocks: blocks.filter(id => id !== taskId) });
+      }
+    }
+
+    return { success: true, taskId, blocked_by: ids, added, removed };
+  }
+
+  async getTasksByOwnerSlackId(slackId) {
+    const tasks = await this.getTasks();
+    return tasks.filter(task => task.owner_slack_id === slackId && !isClosedTask(task));
+  }
+
+  async getTasksByRequesterSlackId(slackId) {
+    const tasks = await this.getTasks();
+    return tasks.filter(task => task.requester_slack_id === slackId && !isClosedTask(task));
+  }
+
+  async getOverdueTasks() {
+    const tasks = await this.getTasks();
+    const today = new Date().toISOString().split('T')[0];
+    return tasks.filter(task => !isClosedTask(task) && task.due && task.due !== 'null' && task.due < today);
+  }
+
+  async getTasksDueSoon(days = 3) {
+    const tasks = await this.getTasks();
+    const today = new Date();
+    const futureDate = new Date(today);
+    futureDate.setDate(futureDate.getDate() + days);
+
+    const todayStr = today.toISOString().split('T')[0];
+    const futureStr = futureDate.toISOString().split('T')[0];
+
+    return tasks.filter(task =>
+      !isClosedTask(task) && task.due && task.due !== 'null' && task.due >= todayStr && task.due <= futureStr
+    );
+  }
+}
+
+/**
+ * GitHub markdown（sintariran/brainbase/_tasks/index.md）バックエンド
+ * 更新は GitHubIntegration.createOrUpdateFile の transform で行い、競合時は最新の内容に対して適用し直す
+ */
+class GitHubTaskStore extends TaskStore {
+  constructor(options = {}) {
+    super();
+    this._github = options.github || null;
+    this.taskParser = options.taskParser || new TaskParser();
+    this.maxAttempts = options.maxAttempts;
+  }
+
+  /**
+   * GitHubIntegrationは書き込み時にのみ必要なので遅延生成する
+   */
+  get github() {
+    if (!this._github) {
+      const GitHubIntegration = require('./github-integration');
+      this._github = new GitHubIntegration();
+    }
+    return this._github;
+  }
+
+  async createTask(task, { slackLink = '', slackContext = null } = {}) {
+    const result = await this.github.appendTask(task, slackLink, slackContext);
+    return {
+      ...result,
+      url: result.airtableRecordUrl || result.fileUrl || null
+    };
+  }
+
+  async getTasks() {
+    return this.taskParser.getTasks();
+  }
+
+  async getTask(taskId) {
+    const tasks = await this.getTasks();
+    return tasks.find(task => task.id === taskId || task.task_id === taskId) || null;
+  }
+
+  async updateTask(taskId, fields) {
+    const updates = withUpdateTimestamps(fields);
+
+    const result = await this.github.createOrUpdateFile({
+      owner: TASKS_OWNER,
+      repo: TASKS_REPO,
+      branch: TASKS_BRANCH,
+      path: TASKS_PATH,
+      transform: (content) => {
+        const { content: newContent, found } = updateTaskInContent(content, taskId, updates);
+        if (!found) {
+          throw new Error(`Task not found: ${taskId}`);
+        }
+        return newContent;
+      },
+      message: `chore: タスク更新 - ${taskId} (${Object.keys(fields).join(', ')})`,
+      ...(this.maxAttempts && { maxAttempts: this.maxAttempts })
+    });
+
+    return { success: true, taskId, fields: updates, attempts: result.attempts };
+  }
+
+  /**
+   * 複数タスクのフィールドを1回のコミットで更新する（見つからないタスクは failed に入れ、他は更新する）
+   * @param {Array<{taskId: string, fields: Object}>} updates
+   * @returns {Promise<{updated: Array<string>, failed: Array<{taskId: string, error: string}>}>}
+   */
+  async updateTasks(updates) {
+    if (updates.length === 0) {
+      return { updated: [], failed: [] };
+    }
+
+    const now = new Date();
+    let missing = [];
+
+    try {
+      await this.github.createOrUpdateFile({
+        owner: TASKS_OWNER,
+        repo: TASKS_REPO,
+        branch: TASKS_BRANCH,
+        path: TASKS_PATH,
+        transform: (content) => {
+          missing = [];
+          let newContent = content;
+          for (const { taskId, fields } of updates) {
+            const result = updateTaskInContent(newContent, taskId, withUpdateTimestamps(fields, now));
+            if (result.found) {
+              newContent = result.content;
+            } else {
+              missing.push(taskId);
+            }
+          }
+          return newContent;
+        },
+        message: `chore: タスク更新 - ${updates.length}件 (${updates.map(update => update.taskId).join(', ')})`,
+        ...(this.maxAttempts && { maxAttempts: this.maxAttempts })
+      });
+    } catch (error) {
+      return { updated: [], failed: updates.map(({ taskId }) => ({ taskId, error: error.message })) };
+    }
+
+    return {
+      updated: updates.map(update => update.taskId).filter(taskId => !missing.includes(taskId)),
+      failed: missing.map(taskId => ({ taskId, error: `Task not found: ${taskId}` }))
+    };
+  }
+}
+
+/**
+ * DynamoDB バックエンド
+ * 1タスク = 1アイテム（PK: task_id）。GSI で owner_slack_id / requester_slack_id を検索する
+ */
+class DynamoTaskStore extends TaskStore {
+  constructor(options = {}) {
+    super();
+    const client = new DynamoDBClient({
+      region: options.region || process.env.AWS_REGION || 'us-east-1'
+    });
+    this.docClient = options.docClient || DynamoDBDocumentClient.from(client);
+    this.tableName = options.tableName || process.env.TASKS_TABLE_NAME || 'mana-tasks';
+    this.taskIdGenerator = options.taskIdGenerator || new TaskIdGenerator();
+    this.airtableSync = options.disableAirtableSync ? null : (options.airtableSync || new AirtableTaskSync());
+  }
+
+  async createTask(task, { slackLink = '', slackContext = null } = {}) {
+    const now = new Date();
+    const dateStr = now.toISOString().split('T')[0];
+
+    let taskId;
+    let sourceId;
+    try {
+      taskId = await this.taskIdGenerator.generateNextId(now);
+      sourceId = `SLACK-${dateStr}-${now.getTime().toString(36).toUpperCase()}`;
+    } catch (error) {
+      console.warn('Failed to generate task ID from DynamoDB, using fallback:', error.message);
+      taskId = `SLACK-${dateStr}-${now.getTime().toString(36).toUpperCase()}`;
+      sourceId = taskId;
+    }
+
+    const hasSlackContext = slackContext && slackContext.channel_id && slackContext.thread_ts;
+    const item = {
+      task_id: taskId,
+      id: taskId,
+      source_id: sourceId,
+      title: task.title,
+      project_id: task.project_id || 'general',
+      status: 'todo',
+      owner: (task.assignee || 'keigo').replace(' ', '-').toLowerCase(),
+      priority: task.priority || 'medium',
+      due: task.due || null,
+      tags: ['slack', 'auto-import'],
+      links: [],
+      context: task.context || null,
+      slack_link: slackLink || null,
+      created_at: now.toISOString(),
+      updated_at: now.toISOString(),
+      version: 1
+    };
+    if (task.requester) {
+      item.requester = task.requester.replace(/\s+/g, '-').toLowerCase();
+    }
+    if (task.requester_slack_id) {
+      item.requester_slack_id = task.requester_slack_id;
+    }
+    if (hasSlackContext) {
+      item.source = 'slack';
+      item.channel_id = slackContext.channel_id;
+      item.thread_ts = slackContext.thread_ts;
+    }
+    if (task.assignee_slack_id) {
+      item.owner_slack_id = task.assignee_slack_id;
+    }
+
+    await this.docClient.send(new PutCommand({
+      TableName: this.tableName,
+      Item: item,
+      ConditionExpression: 'attribute_not_exists(task_id)'
+    }));
+
+    const airtableResult = await this.syncToAirtable(item);
+    const airtableRecordUrl = airtableResult?.success && airtableResult?.recordUrl
+      ? airtableResult.recordUrl
+      : null;
+
+    return {
+      success: true,
+      taskId,
+      sourceId,
+      airtableResult,
+      airtableRecordUrl,
+      url: airtableRecordUrl
+    };
+  }
+
+  async getTask(taskId) {
+    const response = await this.docClient.send(new GetCommand({
+      TableName: this.tableName,
+      Key: { task_id: taskId }
+    }));
+    return response.Item || null;
+  }
+
+  async getTasks() {
+    const tasks = [];
+    let lastKey;
+
+    do {
+      const response = await this.docClient.send(new ScanCommand({
+        TableName: this.tableName,
+        ...(lastKey && { ExclusiveStartKey: lastKey })
+      }));
+      tasks.push(...(response.Items || []));
+      lastKey = response.LastEvaluatedKey;
+    } while (lastKey);
+
+    return tasks;
+  }
+
+  /**
+   * フィールドを更新（1アイテムのSETはアトミックなので他の更新を上書きしない）
+   */
+  async updateTask(taskId, fields) {
+    const updates = withUpdateTimestamps(fields);
+    const names = { '#version': 'version' };
+    const values = { ':one': 1 };
+    const sets = [];
+
+    Object.entries(updates).forEach(([key, value], i) => {
+      names[`#f${i}`] = key;
+      values[`:v${i}`] = value === undefined ? null : value;
+      sets.push(`#f${i} = :v${i}`);
+    });
+
+    let response;
+    try {
+      response = await this.docClient.send(new UpdateCommand({
+        TableName: this.tableName,
+        Key: { task_id: taskId },
+        UpdateExpression: `SET ${sets.join(', ')} ADD #version :one`,
+        ConditionExpression: 'attribute_exists(task_id)',
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: values,
+        ReturnValues: 'ALL_NEW'
+      }));
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        throw new Error(`Task not found: ${taskId}`);
+      }
+      throw error;
+    }
+
+    await this.syncToAirtable(response.Attributes);
+
+    return { success: true, taskId, fields: updates, task: response.Attributes };
+  }
+
+  async getTasksByOwnerSlackId(slackId) {
+    return this.queryByIndex('owner_slack_id-index', 'owner_slack_id', slackId);
+  }
+
+  async getTasksByRequesterSlackId(slackId) {
+    return this.queryByIndex('requester_slack_id-index', 'requester_slack_id', slackId);
+  }
+
+  /**
+   * GSIで検索し、未完了のタスクのみ返す（1MBごとのページを最後まで読む）
+   */
+  async queryByIndex(indexName, key, value) {
+    const tasks = [];
+    let lastKey;
+
+    do {
+      const response = await this.docClient.send(new QueryCommand({
+        TableName: this.tableName,
+        IndexName: indexName,
+        KeyConditionExpression: '#key = :value',
+        ExpressionAttributeNames: { '#key': key },
+        ExpressionAttributeValues: { ':value': value },
+        ...(lastKey && { ExclusiveStartKey: lastKey })
+      }));
+      tasks.push(...(response.Items || []));
+      lastKey = response.LastEvaluatedKey;
+    } while (lastKey);
+
+    return tasks.filter(task => !isClosedTask(task));
+  }
+
+  /**
+   * Airtableに同期（失敗してもタスク操作自体は成功扱い）
+   */
+  async syncToAirtable(task) {
+    if (!this.airtableSync || !task) {
+      return null;
+    }
+    try {
+      return await this.airtableSync.syncTaskToAirtable(task);
+    } catch (error) {
+      console.warn('Failed to sync task to Airtable:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+/**
+ * 環境変数に応じたタスクストアを生成
+ * @param {Object} options - バックエンドに渡すオプション
+ * @param {string} [options.backend] - github | dynamodb（省略時は TASK_STORE_BACKEND）
+ * @returns {TaskStore}
+ */
+function createTaskStore(options = {}) {
+  const backend = options.backend || process.env.TASK_STORE_BACKEND || 'github';
+  if (backend === 'dynamodb') {
+    return new DynamoTaskStore(options);
+  }
+  return new GitHubTaskStore(options);
+}
+
+// シングルトンインスタンス
+let instance = null;
+
+/**
+ * グローバルなタスクストアを取得
+ * @returns {TaskStore}
+ */
+function getTaskStore() {
+  if (!instance) {
+    instance = createTaskStore();
+  }
+  return instance;
+}
+
+/**
+ * シングルトンインスタンスをリセット（テスト用）
+ */
+function resetTaskStore() {
+  instance = null;
+}
+
+module.exports = {
+  TaskStore,
+  GitHubTaskStore,
+  DynamoTaskStore,
+  createTaskStore,
+  getTaskStore,
+  resetTaskStore,
+  updateTaskInContent,
+  withUpdateTimestamps,
+  FIELD_TIMESTAMP_KEYS,
+  isClosedTask,
+  isSnoozed,
+  getDependencyIds,
+  indexTasksById,
+  isBlocked,
+  findUnblockedTasks
+};
@@ -0,0 +1,299 @@
+/**
+ * task-thread-command.js
+ * タスクカードが投稿されたスレッド内の「@mana 完了」「@mana 来週金曜に延期」などを
+ * タスク操作コマンドとして解釈・適用する
+ *
+ * スレッドとタスクの対応は appendTask が書き込む channel_id / thread_ts で判定する。
+ * 質問やタスク依頼を横取りしないよう、コマンドは短文かつキーワードに一致したものだけを扱う。
+ */
+
+const { createTaskMessageBlocks, createCompletedTaskBlocks } = require('./task-ui');
+const { getDependencyIds } = require('./task-store');
+
+// これより長い文や複数文はコマンドではなく質問・依頼として扱う
+const MAX_COMMAND_LENGTH = 25;
+
+const JST_OFFSET_MS = 9 * 60 * 60 * 1000;
+
+const WEEKDAYS = { '日': 0, '月': 1, '火': 2, '水': 3, '木': 4, '金': 5, '土': 6 };
+
+const PRIORITY_WORDS = {
+  high: ['高', 'high', '急ぎ', '至急', '上げ'],
+  medium: ['中', 'medium', '普通'],
+  low: ['低', 'low', '下げ', '後回し']
+};
+
+const TASK_ID_PATTERN = /\b((?:T-\d{4}-\d{3,})|(?:SLACK-\d{4}-\d{2}-\d{2}-[A-Z0-9]+))\b/;
+
+/**
+ * JSTの年月日を持つDate（UTCフィールドをJSTの暦として扱う）
+ */
+function toJstCalendar(now) {
+  return new Date(now.getTime() + JST_OFFSET_MS);
+}
+
+function formatCalendarDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result;
+}
+
+/**
+ * 自然言語の日付表現を YYYY-MM-DD（JST）に変換する
+ * 対応: 今日 / 明日 / 明後日 / N日後 / N週間後 / 今週・来週・再来週X曜 / X曜 / 来週 / 月末 / 来月末 / M月D日 / M/D / YYYY-MM-DD
+ * @param {string} text - 日付を含むテキスト
+ * @param {Date} now - 基準日時
+ * @returns {string|null}
+ */
+function parseNaturalDate(text, now = new Date()) {
+  const today = toJstCalendar(now);
+  today.setUTCHours(0, 0, 0, 0);
+
+  let match = text.match(/(\d{4})[-/](\d{1,2})[-/](\d{1,2})/);
+  if (match) {
+    return formatCalendarDate(new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))));
+  }
+
+  match = text.match(/(\d{1,2})\s*(?:月|\/)\s*(\d{1,2})\s*日?/);
+  if (match) {
+    let date = new Date(Date.UTC(today.getUTCFullYear(), Number(match[1]) - 1, Number(match[2])));
+    // 過ぎた日付は来年とみなす
+    if (date < today) {
+      date = new Date(Date.UTC(today.getUTCFullYear() + 1, Number(match[1]) - 1, Number(match[2])));
+    }
+    return formatCalendarDate(date);
+  }
+
+  if (/明後日|あさって/.test(text)) return formatCalendarDate(addDays(today, 2));
+  if (/明日|あした/.test(text)) return formatCalendarDate(addDays(today, 1));
+  if (/今日|本日/.test(text)) return formatCalendarDate(today);
+
+  match = text.match(/(\d+)\s*日後/);
+  if (match) return formatCalendarDate(addDays(today, Number(match[1])));
+
+  match = text.match(/(\d+)\s*週間後/);
+  if (match) return formatCalendarDate(addDays(today, Number(match[1]) * 7));
+
+  if (/来月末/.test(text)) {
+    return formatCalendarDate(new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() + 2, 0)));
+  }
+  if (/月末/.test(text)) {
+    return formatCalendarDate(new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() + 1, 0)));
+  }
+
+  match = text.match(/(今週|来週|再来週)?\s*([日月火水木金土])曜/);
+  if (match) {
+    const targetDay = WEEKDAYS[match[2]];
+    const currentDay = today.getUTCDay();
+    if (!match[1]) {
+      // 「金曜」だけなら次に来るその曜日（今日は含めない）
+      const diff = (targetDay - currentDay + 7) % 7 || 7;
+      return formatCalendarDate(addDays(today, diff));
+    }
+    // 週は月曜始まり
+    const mondayOffset = (currentDay + 6) % 7;
+    const weekOffset = { '今週': 0, '来週': 7, '再来週': 14 }[match[1]];
+    const dayFromMonday = (targetDay + 6) % 7;
+    return formatCalendarDate(addDays(today, -mondayOffset + weekOffset + dayFromMonday));
+  }
+
+  if (/再来週/.test(text)) {
+    return formatCalendarDate(addDays(today, 14 - ((today.getUTCDay() + 6) % 7)));
+  }
+  if (/来週/.test(text)) {
+    return formatCalendarDate(addDays(today, 7 - ((today.getUTCDay() + 6) % 7)));
+  }
+
+  return null;
+}
+
+function parsePriority(text) {
+  for (const [priority, words] of Object.entries(PRIORITY_WORDS)) {
+    if (words.some(word => text.toLowerCase().includes(word))) {
+      return priority;
+    }
+  }
+  return null;
+}
+
+/**
+ * メンションを除いたテキストをタスク操作コマンドとして解釈する
+ * @param {string} text - メンションを除去したテキスト
+ * @param {Object} [options]
+ * @param {Array<string>} [options.mentionedUserIds] - Bot以外にメンションされたユーザー
+ * @param {Date} [options.now] - 基準日時
+ * @returns {Object|null} { type, taskId?, due?, assigneeSlackId?, priority? }（コマンドでなければnull）
+ */
+function parseTaskCommand(text, { mentionedUserIds = [], now = new Date() } = {}) {
+  const normalized = (text || '').trim();
+  if (!normalized || normalized.length > MAX_COMMAND_LENGTH || /[?？]|。./.test(normalized)) {
+    return null;
+  }
+
+  const taskIdMatch = normalized.match(TASK_ID_PATTERN);
+  const taskId = taskIdMatch ? taskIdMatch[1] : null;
+  const body = normalized.replace(TASK_ID_PATTERN, '').trim();
+  const withTaskId = command => (taskId ? { ...command, taskId } : command);
+
+  if (mentionedUserIds.length > 0) {
+    if (/担当|アサイン|に振|引き継|交代/.test(body)) {
+      return withTaskId({ type: 'reassign', assigneeSlackId: mentionedUserIds[0] });
+    }
+    // 他メンバーへのメンションは新しい依頼として扱う
+    return null;
+  }
+
+  if (/^(完了|done|終わ(った|りました)|おわった|でき(た|ました)|対応済み?)(しました|です)?[!！。.\s]*$/i.test(body)) {
+    return withTaskId({ type: 'complete' });
+  }
+
+  if (/^(再開|reopen|未完了に戻(す|して)|差し戻(す|し|して)|やり直(す|し))/i.test(body)) {
+    return withTaskId({ type: 'reopen' });
+  }
+
+  if (/優先度|急ぎ|至急|後回し/.test(body)) {
+    const priority = parsePriority(body.replace(/優先度/g, ''));
+    if (priority) {
+      return withTaskId({ type: 'priority', priority });
+    }
+  }
+
+  // 「まで」は文末のときだけ（「明日までにレビューして」は新しい依頼）
+  if (/延期|リスケ|期限|までに?(して|お願いします|お願い|でお願いします)?[!！。.\s]*$|に変更|に変えて|にずらして|前倒し|後ろ倒し/.test(body)) {
+    const due = parseNaturalDate(body, now);
+    if (due) {
+      return withTaskId({ type: 'reschedule', due });
+    }
+  }
+
+  return null;
+}
+
+/**
+ * スレッドに対応するタスクを探す
+ * thread_ts にはタスク登録時のメンションのtsが入るため、スレッド内の返信から登録した場合は
+ * スレッドの親tsと一致しない。その場合はスレッド内のメッセージtsの一覧（threadMessageTs）で照合する
+ * @param {Array<Object>} tasks - 全タスク
+ * @param {string} channelId - チャンネルID
+ * @param {string} threadTs - スレッドの親ts
+ * @param {Array<string>} [threadMessageTs] - スレッド内のメッセージts
+ * @returns {Array<Object>}
+ */
+function findThreadTasks(tasks, channelId, threadTs, threadMessageTs = []) {
+  const inChannel = tasks.filter(task => task.channel_id === channelId && task.thread_ts);
+  const direct = inChannel.filter(task => task.thread_ts === threadTs);
+  if (direct.length > 0 || threadMessageTs.length === 0) {
+    return direct;
+  }
+  const tsSet = new Set(threadMessageTs);
+  return inChannel.filter(task => tsSet.has(task.thread_ts));
+}
+
+/**
+ * 複数タスクのうちコマンドの対象を決める
+ * @returns {{ task: Object|null, ambiguous: boolean }}
+ */
+function selectTargetTask(threadTasks, command) {
+  if (command.taskId) {
+    const task = threadTasks.find(t => (t.task_id || t.id) === command.taskId) || null;
+    return { task, ambiguous: false };
+  }
+  if (threadTasks.length === 1) {
+    return { task: threadTasks[0], ambiguous: false };
+  }
+  return { task: null, ambiguous: threadTasks.length > 1 };
+}
+
+/**
+ * コマンドをタスクストアに適用する
+ * @param {Object} taskStore - タスクストア
+ * @param {Object} task - 対象タスク
+ * @param {Object} command - parseTaskCommand の結果
+ * @param {Object} [options]
+ * @param {Map<string, string>} [options.slackIdToName] - Slack ID → brainbase名（担当変更時のowner名）
+ * @returns {Promise<Object>} 更新後のタスク
+ */
+async function applyTaskCommand(taskStore, task, command, { slackIdToName = new Map() } = {}) {
+  const taskId = task.task_id || task.id;
+
+  switch (command.type) {
+    case 'complete':
+      await taskStore.updateStatus(taskId, 'done');
+      return { ...task, status: 'done', completed_at: new Date().toISOString() };
+    case 'reopen':
+      await taskStore.updateTask(taskId, { status: 'todo', completed_at: null });
+      return { ...task, status: 'todo', completed_at: null };
+    case 'reschedule':
+      await taskStore.setDue(taskId, command.due);
+      return { ...task, due: command.due };
+    case 'reassign': {
+      const fields = { owner_slack_id: command.assigneeSlackId };
+      const ownerName = slackIdToName.get(command.assigneeSlackId);
+      if (ownerName) {
+        fields.owner = ownerName.replace(/\s+/g, '-').toLowerCase();
+      }
+      await taskStore.updateTask(taskId, fields);
+      return { ...task, ...fields };
+    }
+    case 'priority':
+      await taskStore.updateTask(taskId, { priority: command.priority });
+      return { ...task, priority: command.priority };
+    default:
+      throw new Error(`Unknown task command: ${command.type}`);
+  }
+}
+
+const COMMAND_MESSAGES = {
+  complete: () => '✅ 完了にしました',
+  reopen: () => '↩️ 未完了に戻しました',
+  reschedule: command => `📅 期限を ${command.due} に変更しました`,
+  reassign: command => `👤 担当を <@${command.assigneeSlackId}> に変更しました`,
+  priority: command => `🔺 優先度を ${{ high: '高', medium: '中', low: '低' }[command.priority]} に変更しました`
+};
+
+/**
+ * 更新後のタスクカードを生成（完了時は完了カード）
+ * @param {Object} task - 更新後のタスク
+ * @param {Object} command - 適用したコマンド
+ * @param {string} userId - コマンドを送ったユーザー
+ * @returns {{ blocks: Array, text: string }}
+ */
+function buildCommandReply(task, command, userId) {
+  const card = {
+    taskId: task.task_id || task.id,
+    title: task.title,
+    requesterSlackId: task.requester_slack_id || null,
+    assigneeSlackId: task.owner_slack_id || null,
+    priority: task.priority,
+    due: task.due && task.due !== 'null' ? task.due : null,
+    blockedBy: getDependencyIds(task, 'blocked_by'),
+    blocks: getDependencyIds(task, 'blocks')
+  };
+
+  const cardBlocks = command.type === 'complete'
+    ? createCompletedTaskBlocks({ ...card, completedAt: task.completed_at })
+    : createTaskMessageBlocks(card);
+
+  const message = `${COMMAND_MESSAGES[command.type](command)}（<@${userId}>）`;
+
+  return {
+    blocks: [
+      { type: 'context', elements: [{ type: 'mrkdwn', text: message }] },
+      ...cardBlocks
+    ],
+    text: `${message}: ${task.title}`
+  };
+}
+
+module.exports = {
+  parseTaskCommand,
+  parseNaturalDate,
+  findThreadTasks,
+  selectTargetTask,
+  applyTaskCommand,
+  buildCommandReply
+};
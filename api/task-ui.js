@@ -14,6 +14,20 @@ function formatDueDate(dueString) {
   return `${month}/${String(day).padStart(2, '0')}(${weekday}) ${hours}:${minutes}`;
 }
 
+const DUE_SELECT_OPTIONS = [
+  { text: { type: 'plain_text', text: '2時間後' }, value: '2hours' },
+  { text: { type: 'plain_text', text: '今日中' }, value: 'today_end' },
+  { text: { type: 'plain_text', text: '明日まで' }, value: 'tomorrow' },
+  { text: { type: 'plain_text', text: '明後日まで' }, value: 'day_after' },
+  { text: { type: 'plain_text', text: '今週末まで' }, value: 'this_weekend' },
+  { text: { type: 'plain_text', text: '週明けまで' }, value: 'next_monday' },
+  { text: { type: 'plain_text', text: '来週末まで' }, value: 'next_weekend' },
+  { text: { type: 'plain_text', text: '今月末まで' }, value: 'month_end' },
+  { text: { type: 'plain_text', text: '期限をなくして保留にする' }, value: 'no_due' }
+];
+
+const TASK_ID_PATTERN = /^(T-\d{4}-\d{3,}|SLACK-\d{4}-\d{2}-\d{2}-[A-Z0-9]+)$/;
+
 function createTaskMessageBlocks(task) {
   const {
     taskId,
@@ -24,7 +38,9 @@ function createTaskMessageBlocks(task) {
     assigneeSlackId,
     priority,
     due,
-    slackLink
+    slackLink,
+    blockedBy = [],
+    blocks: blocksTaskIds = []
   } = task;
 
   const blocks = [];
@@ -64,6 +80,20 @@ function createTaskMessageBlocks(task) {
     }
   });
 
+  const dependencyTexts = [];
+  if (blockedBy.length > 0) {
+    dependencyTexts.push(`⛔ 待ち: ${blockedBy.join(', ')}`);
+  }
+  if (blocksTaskIds.length > 0) {
+    dependencyTexts.push(`🔗 後続: ${blocksTaskIds.join(', ')}`);
+  }
+  if (dependencyTexts.length > 0) {
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: dependencyTexts.join('  |  ') }]
+    });
+  }
+
   const actionElements = [];
 
   if (!due) {
@@ -74,17 +104,7 @@ function createTaskMessageBlocks(task) {
         text: '期限を決める'
       },
       action_id: `task_set_due_${taskId}`,
-      options: [
-        { text: { type: 'plain_text', text: '2時間後' }, value: '2hours' },
-        { text: { type: 'plain_text', text: '今日中' }, value: 'today_end' },
-        { text: { type: 'plain_text', text: '明日まで' }, value: 'tomorrow' },
-        { text: { type: 'plain_text', text: '明後日まで' }, value: 'day_after' },
-        { text: { type: 'plain_text', text: '今週末まで' }, value: 'this_weekend' },
-        { text: { type: 'plain_text', text: '週明けまで' }, value: 'next_monday' },
-        { text: { type: 'plain_text', text: '来週末まで' }, value: 'next_weekend' },
-        { text: { type: 'plain_text', text: '今月末まで' }, value: 'month_end' },
-        { text: { type: 'plain_text', text: '期限をなくして保留にする' }, value: 'no_due' }
-      ]
+      options: DUE_SELECT_OPTIONS
     });
   }
 
@@ -95,7 +115,7 @@ function createTaskMessageBlocks(task) {
       text: '編集✏️'
     },
     action_id: `task_edit_${taskId}`,
-    value: JSON.stringify({ taskId, title, requesterSlackId, assigneeSlackId, due })
+    value: JSON.stringify({ taskId, title, requesterSlackId, assigneeSlackId, due, blockedBy })
   });
 
   actionElements.push({
@@ -170,8 +190,21 @@ function generateTimeOptions() {
   return options;
 }
 
+/**
+ * カンマ・空白区切りのタスクIDをパースする（編集モーダルの「待っているタスク」用）
+ * @param {string} text - 入力値
+ * @returns {{ ids: Array<string>, invalid: Array<string> }}
+ */
+function parseTaskIdList(text) {
+  const values = (text || '').split(/[\s,、]+/).filter(Boolean);
+  return {
+    ids: [...new Set(values.filter(value => TASK_ID_PATTERN.test(value)))],
+    invalid: values.filter(value => !TASK_ID_PATTERN.test(value))
+  };
+}
+
 function createEditModalBlocks(taskData) {
-  const { title, requesterSlackId, assigneeSlackId, due } = taskData;
+  const { title, requesterSlackId, assigneeSlackId, due, blockedBy = [] } = taskData;
   const blocks = [];
 
   blocks.push({
@@ -290,6 +323,20 @@ function createEditModalBlocks(taskData) {
     ]
   });
 
+  blocks.push({
+    type: 'input',
+    block_id: 'blocked_by_block',
+    optional: true,
+    element: {
+      type: 'plain_text_input',
+      action_id: 'blocked_by_input',
+      placeholder: { type: 'plain_text', text: '例: T-2412-001, T-2412-002' },
+      initial_value: blockedBy.join(', ')
+    },
+    label: { type: 'plain_text', text: '待っているタスク' },
+    hint: { type: 'plain_text', text: 'このタスクより先に完了が必要なタスクのID（カンマ区切り）。完了すると担当者に通知します。' }
+  });
+
   return blocks;
 }
 
@@ -347,4 +394,4 @@ function createCompletedTaskBlocks(task) {
   return blocks;
 }
 
-module.exports = { createTaskMessageBlocks, formatDueDate, calculateDueDate, createEditModalBlocks, createCompletedTaskBlocks };
+module.exports = { createTaskMessageBlocks, formatDueDate, calculateDueDate, createEditModalBlocks, createCompletedTaskBlocks, parseTaskIdList, DUE_SELECT_OPTIONS };
@@ -0,0 +1,268 @@
+/**
+ * transcript-parser.js
+ * 会議の文字起こしファイルを、summarizeText / generateMeetingMinutes に渡すプレーンテキストにそろえる
+ *
+ * 対応形式:
+ * - .txt / .md … そのまま（Markdown は記号を外す）
+ * - .vtt（Zoom / Teams）・.srt（レコーダー）… 1発言1行の「[HH:MM:SS] 話者: 発言」にする。連続する同じ話者の発言はまとめる
+ * - .docx（Google Meet）… mammoth で本文を取り出す
+ * - .pdf … pdf-parse で本文を取り出す（画像だけのPDFは読めない）
+ *
+ * 読めないファイルは Error（メッセージはそのままスレッドに出せる日本語）を投げる。
+ */
+
+const axios = require('axios');
+
+const TRANSCRIPT_FORMATS = {
+  txt: 'text',
+  text: 'text',
+  md: 'markdown',
+  markdown: 'markdown',
+  vtt: 'vtt',
+  srt: 'srt',
+  docx: 'docx',
+  pdf: 'pdf'
+};
+
+// 文字起こしの形式だが読めないもの（無視せずスレッドで知らせる）
+const UNSUPPORTED_TRANSCRIPT_EXTENSIONS = ['sbv'];
+
+// 文書・データの形式で読めないもの（議事録らしいファイル名のときだけ知らせる。.json や .doc は仕様書なども多いため）
+const UNSUPPORTED_DOCUMENT_EXTENSIONS = ['doc', 'rtf', 'pages', 'odt', 'json'];
+
+const TRANSCRIPT_NAME_PATTERN = /文字起こし|議事録|会議|定例|打ち?合わせ|ミーティング|transcript|caption|minutes|meeting|mtg/i;
+
+const BINARY_FORMATS = ['docx', 'pdf'];
+
+const CUE_TIMING_PATTERN = /^((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s+-->\s+((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})/;
+
+function getExtension(fileName) {
+  const match = /\.([a-z0-9]+)$/i.exec(fileName || '');
+  return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * ファイル名（なければ Slack の filetype）から文字起こしの形式を判定する
+ * @param {string} fileName - ファイル名
+ * @param {string} [filetype] - Slack の filetype
+ * @returns {string|null} text | markdown | vtt | srt | docx | pdf、対応外なら null
+ */
+function getTranscriptFormat(fileName, filetype) {
+  return TRANSCRIPT_FORMATS[getExtension(fileName)] || TRANSCRIPT_FORMATS[(filetype || '').toLowerCase()] || null;
+}
+
+/**
+ * 議事録のつもりで上げられたが読めない形式か（画像や、議事録らしくない名前の .json / .doc などは対象外）
+ * @param {string} fileName
+ * @returns {boolean}
+ */
+function isUnsupportedDocument(fileName) {
+  const extension = getExtension(fileName);
+  if (UNSUPPORTED_TRANSCRIPT_EXTENSIONS.includes(extension)) {
+    return true;
+  }
+  return UNSUPPORTED_DOCUMENT_EXTENSIONS.includes(extension) && TRANSCRIPT_NAME_PATTERN.test(fileName);
+}
+
+function normalizeNewlines(text) {
+  return text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+}
+
+/**
+ * 連続する空行を1つにして前後の空白を落とす
+ */
+function tidyText(text) {
+  return text
+    .split('\n')
+    .map(line => line.replace(/\s+$/, ''))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * "00:01:02.345" / "01:02,345" → "00:01:02"
+ */
+function formatCueTimestamp(timestamp) {
+  const parts = timestamp.split(/[.,]/)[0].split(':');
+  while (parts.length < 3) {
+    parts.unshift('00');
+  }
+  return parts.map(part => part.padStart(2, '0')).join(':');
+}
+
+/**
+ * キューの本文から話者を取り出す
+ * Teams は <v 話者>発言</v>、Zoom やレコーダーは「話者: 発言」で書く
+ */
+function splitSpeaker(text) {
+  const voiceMatch = /^<v(?:\.[^\s>]+)*\s+([^>]+)>([\s\S]*?)(?:<\/v>)?$/.exec(text);
+  if (voiceMatch) {
+    return { speaker: voiceMatch[1].trim(), text: voiceMatch[2].trim() };
+  }
+
+  const labelMatch = /^([^:：\n]{1,40})(?::\s+|：\s*)([\s\S]+)$/.exec(text);
+  if (labelMatch && !/^https?$/i.test(labelMatch[1])) {
+    return { speaker: labelMatch[1].trim(), text: labelMatch[2].trim() };
+  }
+
+  return { speaker: null, text };
+}
+
+/**
+ * VTT / SRT のキューを「[HH:MM:SS] 話者: 発言」の行にする
+ * @param {string} content - ファイルの中身
+ * @returns {string}
+ */
+function parseCues(content) {
+  const blocks = normalizeNewlines(content).split(/\n{2,}/);
+  const lines = [];
+  let previous = null;
+
+  for (const block of blocks) {
+    const blockLines = block.split('\n').map(line => line.trim()).filter(Boolean);
+    const timingIndex = blockLines.findIndex(line => CUE_TIMING_PATTERN.test(line));
+    if (timingIndex === -1) {
+      // WEBVTT ヘッダ、NOTE、STYLE などの本文でないブロック
+      continue;
+    }
+
+    const timestamp = formatCueTimestamp(CUE_TIMING_PATTERN.exec(blockLines[timingIndex])[1]);
+    const body = blockLines.slice(timingIndex + 1).join(' ');
+    if (!body) continue;
+
+    const { speaker, text } = splitSpeaker(body);
+    const plainText = text.replace(/<[^>]+>/g, '').trim();
+    if (!plainText) continue;
+
+    if (previous && speaker && previous.speaker === speaker) {
+      previous.text += ` ${plainText}`;
+      continue;
+    }
+
+    previous = { timestamp, speaker, text: plainText };
+    lines.push(previous);
+  }
+
+  return lines
+    .map(line => `[${line.timestamp}] ${line.speaker ? `${line.speaker}: ` : ''}${line.text}`)
+    .join('\n');
+}
+
+/**
+ * Markdown の記号を外してプレーンテキストにする（見出し・箇条書きの構造は行として残す）
+ */
+function stripMarkdown(content) {
+  return normalizeNewlines(content)
+    .replace(/^```.*$/gm, '')
+    .replace(/^#{1,6}\s+/gm, '')
+    .replace(/^>\s?/gm, '')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/^\s*[-*_]{3,}\s*$/gm, '');
+}
+
+async function extractDocxText(buffer) {
+  const mammoth = require('mammoth');
+  const result = await mammoth.extractRawText({ buffer });
+  return result.value;
+}
+
+async function extractPdfText(buffer) {
+  // pdf-parse の index.js は読み込み時にテスト用PDFを開こうとするので lib を直接読む
+  const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+  const result = await pdfParse(buffer);
+  return result.text;
+}
+
+/**
+ * 文字起こしファイルの中身をプレーンテキストにする
+ * @param {Object} params
+ * @param {Buffer|string} params.content - ファイルの中身
+ * @param {string} params.fileName - ファイル名
+ * @param {string} [params.filetype] - Slack の filetype
+ * @returns {Promise<{format: string, text: string}>}
+ * @throws {Error} 対応外の形式、壊れたファイル、本文が空の場合
+ */
+async function extractTranscriptText({ content, fileName, filetype }) {
+  const format = getTranscriptFormat(fileName, filetype);
+  if (!format) {
+    throw new Error(`${fileName} は読み込めない形式です（対応形式: .txt .md .vtt .srt .docx .pdf）`);
+  }
+
+  const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content || '', 'utf8');
+  let text;
+
+  try {
+    if (format === 'docx') {
+      text = await extractDocxText(buffer);
+    } else if (format === 'pdf') {
+      text = await extractPdfText(buffer);
+    } else {
+      const raw = buffer.toString('utf8');
+      if (format === 'vtt' || format === 'srt') {
+        text = parseCues(raw);
+      } else if (format === 'markdown') {
+        text = stripMarkdown(raw);
+      } else {
+        text = normalizeNewlines(raw);
+      }
+    }
+  } catch (error) {
+    throw new Error(`${fileName} を読み込めませんでした（${format.toUpperCase()} として解析できません: ${error.message}）`);
+  }
+
+  text = tidyText(normalizeNewlines(text || ''));
+  if (!text) {
+    const hint = format === 'pdf' ? '。画像だけのPDFは読み取れないので、テキストを含むPDFか文字起こしファイルを上げてください' : '';
+    throw new Error(`${fileName} から文字起こしのテキストを取り出せませんでした${hint}`);
+  }
+
+  return { format, text };
+}
+
+/**
+ * Slack のファイルを取得してプレーンテキストにする
+ * @param {Object} client - Slack WebClient
+ * @param {string} fileId - Slack ファイルID
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - ダウンロードのタイムアウト（ms）
+ * @returns {Promise<{format: string, text: string, fileName: string}>}
+ */
+async function downloadTranscript(client, fileId, { timeout = 30000 } = {}) {
+  const fileInfo = await client.files.info({ file: fileId });
+  const file = fileInfo.file;
+  const format = getTranscriptFormat(file.name, file.filetype);
+
+  let content = null;
+  if (file.content && !BINARY_FORMATS.includes(format)) {
+    content = file.content;
+  } else if (file.url_private_download) {
+    const response = await axios.get(file.url_private_download, {
+      headers: {
+        'Authorization': `Bearer ${process.env.SLACK_BOT_TOKEN}`
+      },
+      responseType: 'arraybuffer',
+      timeout
+    });
+    content = Buffer.from(response.data);
+  }
+
+  if (!content) {
+    throw new Error('ファイルコンテンツの取得に失敗しました');
+  }
+
+  const { text } = await extractTranscriptText({ content, fileName: file.name, filetype: file.filetype });
+  return { format, text, fileName: file.name };
+}
+
+module.exports = {
+  getTranscriptFormat,
+  isUnsupportedDocument,
+  extractTranscriptText,
+  downloadTranscript,
+  parseCues,
+  stripMarkdown
+};
@@ -0,0 +1,322 @@
+/**
+ * upload-session-store.js
+ * 議事録ファイルのアップロードから投稿までの処理状態（アップロードセッション）を保存する
+ *
+ * Slack のボタン操作（select_project_ / select_channel_ / retry_generate_minutes など）は
+ * アップロードを処理したのとは別の Lambda コンテナに届くことが多いので、コンテナ内の Map ではなく
+ * - DynamoDB（UPLOAD_SESSION_TABLE_NAME、デフォルト mana-upload-sessions）に Slack ファイルIDをキーに保存する（TTL 7日）
+ * - 1アイテムに収まらない文字起こしは S3（UPLOAD_SESSION_BUCKET）に置き、アイテムにはキーだけ持つ
+ * - 各ステップ（summarized / project_selected / minutes_generated / reviewed / committed / posted）の状態を steps に記録し、
+ *   どのコンテナからでも途中から再開・再試行できるようにする
+ *
+ * DynamoDB / S3 に書けないときはコンテナ内のキャッシュだけで動く（従来の fileDataStore と同じ挙動）。
+ */
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, GetCommand, PutCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { S3Client, GetObjectCommand, PutObjectCommand } = require('@aws-sdk/client-s3');
+
+const UPLOAD_SESSION_STEPS = ['summarized', 'project_selected', 'minutes_generated', 'reviewed', 'committed', 'posted'];
+
+const DEFAULT_TTL_DAYS = 7;
+// DynamoDB のアイテム上限（400KB）に要約・議事録・名簿を足しても収まる大きさ
+const INLINE_TRANSCRIPT_MAX_BYTES = 200 * 1024;
+const TRANSCRIPT_KEY_PREFIX = 'upload-sessions/';
+
+// セッションのプロパティ → DynamoDB の属性名（文字起こし本文 content は別扱い）
+const SESSION_ATTRIBUTES = {
+  fileName: 'file_name',
+  format: 'format',
+  channelId: 'channel_id',
+  userId: 'user_id',
+  threadTs: 'thread_ts',
+  uploadedAt: 'uploaded_at',
+  summary: 'summary',
+  summaryError: 'summary_error',
+  classificationResult: 'classification_result',
+  roster: 'roster',
+  selectionMessageTs: 'selection_message_ts',
+  projectId: 'project_id',
+  projectName: 'project_name',
+  minutesData: 'minutes_data',
+  minutesBaseName: 'minutes_base_name',
+  minutesReview: 'minutes_review',
+  reviewRegenerations: 'review_regenerations'
+};
+
+// コンテナ内のキャッシュ（DynamoDB に書けないときの退避先も兼ねる）
+const localSessions = new Map();
+
+/**
+ * ステップが完了しているか
+ * @param {Object|null} session
+ * @param {string} step
+ * @returns {boolean}
+ */
+function isStepDone(session, step) {
+  return Boolean(session && session.steps && session.steps[step] && session.steps[step].status === 'done');
+}
+
+/**
+ * 議事録データは再投稿に必要な部分だけ残す（raw はモデルの生出力なので保存しない）
+ */
+function compactMinutesData(minutesData) {
+  if (!minutesData || typeof minutesData !== 'object') {
+    return minutesData || null;
+  }
+  const { raw, ...rest } = minutesData;
+  return rest;
+}
+
+class UploadSessionStore {
+  constructor(options = {}) {
+    const region = options.region || process.env.AWS_REGION || 'us-east-1';
+    this.docClient = options.docClient || DynamoDBDocumentClient.from(new DynamoDBClient({ region }), {
+      marshallOptions: { removeUndefinedValues: true }
+    });
+    this.s3Client = options.s3Client || new S3Client({ region });
+    this.tableName = options.tableName || process.env.UPLOAD_SESSION_TABLE_NAME || 'mana-upload-sessions';
+    this.bucket = options.bucket || process.env.UPLOAD_SESSION_BUCKET || 'mana-upload-sessions-593793022993';
+    this.ttlDays = options.ttlDays || DEFAULT_TTL_DAYS;
+    this.inlineTranscriptMaxBytes = options.inlineTranscriptMaxBytes || INLINE_TRANSCRIPT_MAX_BYTES;
+    this.localSessions = options.localSessions || localSessions;
+    this.logger = options.logger || console;
+  }
+
+  getTtl(now) {
+    return Math.floor(now.getTime() / 1000) + this.ttlDays * 24 * 60 * 60;
+  }
+
+  cacheLocally(fileId, fields) {
+    const cached = this.localSessions.get(fileId) || { fileId, steps: {} };
+    const merged = { ...cached, ...fields, fileId };
+    this.localSessions.set(fileId, merged);
+    return merged;
+  }
+
+  /**
+   * 文字起こしを属性にする（大きいものは S3 に置いてキーだけ返す）
+   * @returns {Promise<{transcript?: string, transcript_s3_key?: string}>}
+   */
+  async storeTranscript(fileId, content) {
+    if (Buffer.byteLength(content, 'utf8') <= this.inlineTranscriptMaxBytes) {
+      return { transcript: content, transcript_s3_key: null };
+    }
+
+    const key = `${TRANSCRIPT_KEY_PREFIX}${fileId}.txt`;
+    await this.s3Client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: content,
+      ContentType: 'text/plain; charset=utf-8'
+    }));
+    return { transcript: null, transcript_s3_key: key };
+  }
+
+  async loadTranscript(item) {
+    if (item.transcript) {
+      return item.transcript;
+    }
+    if (!item.transcript_s3_key) {
+      return null;
+    }
+
+    try {
+      const response = await this.s3Client.send(new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: item.transcript_s3_key
+      }));
+      return await response.Body.transformToString();
+    } catch (error) {
+      // 本文が取れなくても呼び出し元が Slack から取り直せるので、セッションは返す
+      this.logger.warn(`Failed to load transcript for upload session ${item.file_id}:`, error.message);
+      return null;
+    }
+  }
+
+  async fromItem(item) {
+    const session = { fileId: item.file_id, steps: item.steps || {}, content: await this.loadTranscript(item) };
+    for (const [property, attribute] of Object.entries(SESSION_ATTRIBUTES)) {
+      if (item[attribute] !== undefined) {
+        session[property] = item[attribute];
+      }
+    }
+    session.createdAt = item.created_at;
+    session.updatedAt = item.updated_at;
+    return session;
+  }
+
+  /**
+   * セッションを取得する（なければ null）
+   * @param {string} fileId - Slack ファイルID
+   * @returns {Promise<Object|null>} processFileUpload の fileData と同じ形（content は文字起こし本文）
+   */
+  async getSession(fileId) {
+    if (!fileId) {
+      return null;
+    }
+
+    try {
+      const response = await this.docClient.send(new GetCommand({
+        TableName: this.tableName,
+        Key: { file_id: fileId }
+      }));
+      if (response.Item) {
+        const session = await this.fromItem(response.Item);
+        const cached = this.localSessions.get(fileId);
+        if (!session.content && cached && cached.content) {
+          session.content = cached.content;
+        }
+        return this.cacheLocally(fileId, session);
+      }
+    } catch (error) {
+      this.logger.warn(`Failed to load upload session ${fileId}, using local cache:`, error.message);
+    }
+
+    return this.localSessions.get(fileId) || null;
+  }
+
+  /**
+   * セッションを丸ごと保存する（アップロード直後や、Slack から取り直したとき）
+   * @param {Object} session - fileId は必須。steps を渡さなければ既存の記録は消える
+   * @param {Date} [now]
+   * @returns {Promise<Object>} 保存したセッション
+   */
+  async saveSession(session, now = new Date()) {
+    const { fileId } = session;
+    const item = {
+      file_id: fileId,
+      steps: session.steps || {},
+      created_at: session.createdAt || now.toISOString(),
+      updated_at: now.toISOString(),
+      ttl: this.getTtl(now)
+    };
+    for (const [property, attribute] of Object.entries(SESSION_ATTRIBUTES)) {
+      if (session[property] !== undefined && session[property] !== null) {
+        item[attribute] = property === 'minutesData' ? compactMinutesData(session[property]) : session[property];
+      }
+    }
+
+    const cached = this.cacheLocally(fileId, { ...session, steps: item.steps, createdAt: item.created_at, updatedAt: item.updated_at });
+
+    try {
+      if (session.content) {
+        Object.assign(item, await this.storeTranscript(fileId, session.content));
+      }
+      await this.docClient.send(new PutCommand({ TableName: this.tableName, Item: item }));
+    } catch (error) {
+      this.logger.warn(`Failed to save upload session ${fileId}, keeping it in local cache only:`, error.message);
+    }
+
+    return cached;
+  }
+
+  /**
+   * 指定した項目だけ更新する（セッションがなければ作る）。null を渡した項目は消す
+   * @param {string} fileId - Slack ファイルID
+   * @param {Object} fields - 更新する項目（content を渡すと文字起こしも保存し直す）
+   * @param {Date} [now]
+   * @returns {Promise<Object>} 更新後のセッション（コンテナ内のキャッシュ）
+   */
+  async updateSession(fileId, fields, now = new Date()) {
+    const cached = this.cacheLocally(fileId, { ...fields, updatedAt: now.toISOString() });
+
+    const names = { '#updated_at': 'updated_at', '#ttl': 'ttl', '#created_at': 'created_at' };
+    const values = { ':updated_at': now.toISOString(), ':ttl': this.getTtl(now) };
+    const sets = ['#updated_at = :updated_at', '#ttl = :ttl', '#created_at = if_not_exists(#created_at, :updated_at)'];
+    const removes = [];
+
+    const attributes = {};
+    for (const [property, attribute] of Object.entries(SESSION_ATTRIBUTES)) {
+      if (property in fields) {
+        attributes[attribute] = property === 'minutesData' ? compactMinutesData(fields[property]) : fields[property];
+      }
+    }
+
+    try {
+      if (fields.content) {
+        Object.assign(attributes, await this.storeTranscript(fileId, fields.content));
+      }
+
+      for (const [attribute, value] of Object.entries(attributes)) {
+        names[`#${attribute}`] = attribute;
+        if (value === null || value === undefined) {
+          removes.push(`#${attribute}`);
+        } else {
+          values[`:${attribute}`] = value;
+          sets.push(`#${attribute} = :${attribute}`);
+        }
+      }
+
+      await this.docClient.send(new UpdateCommand({
+        TableName: this.tableName,
+        Key: { file_id: fileId },
+        UpdateExpression: `SET ${sets.join(', ')}${removes.length > 0 ? ` REMOVE ${removes.join(', ')}` : ''}`,
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: values
+      }));
+    } catch (error) {
+      this.logger.warn(`Failed to update upload session ${fileId}, keeping it in local cache only:`, error.message);
+    }
+
+    return cached;
+  }
+
+  /**
+   * ステップの状態を記録する
+   * @param {string} fileId - Slack ファイルID
+   * @param {string} step - UPLOAD_SESSION_STEPS のいずれか
+   * @param {string} [status] - done | failed
+   * @param {Object} [details] - 記録に添える情報（失敗時の error など）
+   * @param {Date} [now]
+   * @returns {Promise<Object>} 記録した状態
+   */
+  async markStep(fileId, step, status = 'done', details = {}, now = new Date()) {
+    if (!UPLOAD_SESSION_STEPS.includes(step)) {
+      throw new Error(`Unknown upload session step: ${step}`);
+    }
+
+    const record = { ...details, status, at: now.toISOString() };
+    const cached = this.localSessions.get(fileId) || {};
+    this.cacheLocally(fileId, { steps: { ...(cached.steps || {}), [step]: record } });
+
+    const names = { '#steps': 'steps', '#step': step, '#updated_at': 'updated_at', '#ttl': 'ttl' };
+    const values = { ':record': record, ':updated_at': now.toISOString(), ':ttl': this.getTtl(now) };
+
+    try {
+      try {
+        await this.docClient.send(new UpdateCommand({
+          TableName: this.tableName,
+          Key: { file_id: fileId },
+          UpdateExpression: 'SET #steps.#step = :record, #updated_at = :updated_at, #ttl = :ttl',
+          ConditionExpression: 'attribute_exists(#steps)',
+          ExpressionAttributeNames: names,
+          ExpressionAttributeValues: values
+        }));
+      } catch (error) {
+        if (error.name !== 'ConditionalCheckFailedException') {
+          throw error;
+        }
+        // steps がまだない（別の経路で作られたセッション）
+        delete names['#step'];
+        await this.docClient.send(new UpdateCommand({
+          TableName: this.tableName,
+          Key: { file_id: fileId },
+          UpdateExpression: 'SET #steps = :steps, #updated_at = :updated_at, #ttl = :ttl',
+          ExpressionAttributeNames: names,
+          ExpressionAttributeValues: { ':steps': { [step]: record }, ':updated_at': values[':updated_at'], ':ttl': values[':ttl'] }
+        }));
+      }
+    } catch (error) {
+      this.logger.warn(`Failed to record step ${step} for upload session ${fileId}:`, error.message);
+    }
+
+    return record;
+  }
+}
+
+module.exports = {
+  UploadSessionStore,
+  UPLOAD_SESSION_STEPS,
+  isStepDone
+};
@@ -0,0 +1,52 @@
+#!/bin/bash
+# DynamoDB 会話履歴テーブル作成スクリプト
+# @mana への質問の会話履歴（プロジェクト×ユーザー単位）を Lambda コンテナをまたいで保持する
+
+set -e
+
+REGION="us-east-1"
+TABLE_NAME="mana-conversations"
+PROFILE="k.sato"
+
+echo "🚀 Creating DynamoDB table: $TABLE_NAME in $REGION..."
+
+aws dynamodb create-table \
+  --table-name "$TABLE_NAME" \
+  --attribute-definitions \
+    AttributeName=user_id,AttributeType=S \
+    AttributeName=project_id,AttributeType=S \
+  --key-schema \
+    AttributeName=user_id,KeyType=HASH \
+    AttributeName=project_id,KeyType=RANGE \
+  --billing-mode PAY_PER_REQUEST \
+  --tags \
+    Key=Application,Value=mana \
+    Key=Environment,Value=production \
+  --region "$REGION" \
+  --profile "$PROFILE" \
+  --no-cli-pager
+
+echo "⏳ Waiting for table to become active..."
+aws dynamodb wait table-exists \
+  --table-name "$TABLE_NAME" \
+  --region "$REGION" \
+  --profile "$PROFILE"
+
+echo "⏰ Enabling TTL on 'ttl'..."
+aws dynamodb update-time-to-live \
+  --table-name "$TABLE_NAME" \
+  --time-to-live-specification "Enabled=true, AttributeName=ttl" \
+  --region "$REGION" \
+  --profile "$PROFILE" \
+  --no-cli-pager
+
+echo "✅ Table created successfully!"
+
+# テーブル情報表示
+aws dynamodb describe-table \
+  --table-name "$TABLE_NAME" \
+  --region "$REGION" \
+  --profile "$PROFILE" \
+  --query 'Table.{Name: TableName, Status: TableStatus, ItemCount: ItemCount, BillingMode: BillingModeSummary.BillingMode}' \
+  --output table \
+  --no-cli-pager
@@ -0,0 +1,50 @@
+#!/bin/bash
+# DynamoDB 会議提案コンテキストテーブル作成スクリプト
+# 提案メッセージの決定事項・タスクを、承認・編集を受けるコンテナに引き継ぐために使う
+
+set -e
+
+REGION="us-east-1"
+TABLE_NAME="mana-meeting-proposals"
+PROFILE="k.sato"
+
+echo "🚀 Creating DynamoDB table: $TABLE_NAME in $REGION..."
+
+aws dynamodb create-table \
+  --table-name "$TABLE_NAME" \
+  --attribute-definitions \
+    AttributeName=message_ts,AttributeType=S \
+  --key-schema \
+    AttributeName=message_ts,KeyType=HASH \
+  --billing-mode PAY_PER_REQUEST \
+  --tags \
+    Key=Application,Value=mana \
+    Key=Environment,Value=production \
+  --region "$REGION" \
+  --profile "$PROFILE" \
+  --no-cli-pager
+
+echo "⏳ Waiting for table to become active..."
+aws dynamodb wait table-exists \
+  --table-name "$TABLE_NAME" \
+  --region "$REGION" \
+  --profile "$PROFILE"
+
+echo "⏰ Enabling TTL on 'ttl'..."
+aws dynamodb update-time-to-live \
+  --table-name "$TABLE_NAME" \
+  --time-to-live-specification "Enabled=true, AttributeName=ttl" \
+  --region "$REGION" \
+  --profile "$PROFILE" \
+  --no-cli-pager
+
+echo "✅ Table created successfully!"
+
+# テーブル情報表示
+aws dynamodb describe-table \
+  --table-name "$TABLE_NAME" \
+  --region "$REGION" \
+  --profile "$PROFILE" \
+  --query 'Table.{Name: TableName, Status: TableStatus, ItemCount: ItemCount, BillingMode: BillingModeSummary.BillingMode}' \
+  --output table \
+  --no-cli-pager
@@ -0,0 +1,44 @@
+#!/bin/bash
+# DynamoDB 議事録レビューテーブル作成スクリプト
+# 生成した議事録と承認された議事録の差分を残し、プロンプトの改善に使う
+
+set -e
+
+REGION="us-east-1"
+TABLE_NAME="mana-minutes-reviews"
+PROFILE="k.sato"
+
+echo "🚀 Creating DynamoDB table: $TABLE_NAME in $REGION..."
+
+aws dynamodb create-table \
+  --table-name "$TABLE_NAME" \
+  --attribute-definitions \
+    AttributeName=file_id,AttributeType=S \
+    AttributeName=reviewed_at,AttributeType=S \
+  --key-schema \
+    AttributeName=file_id,KeyType=HASH \
+    AttributeName=reviewed_at,KeyType=RANGE \
+  --billing-mode PAY_PER_REQUEST \
+  --tags \
+    Key=Application,Value=mana \
+    Key=Environment,Value=production \
+  --region "$REGION" \
+  --profile "$PROFILE" \
+  --no-cli-pager
+
+echo "⏳ Waiting for table to become active..."
+aws dynamodb wait table-exists \
+  --table-name "$TABLE_NAME" \
+  --region "$REGION" \
+  --profile "$PROFILE"
+
+echo "✅ Table created successfully!"
+
+# テーブル情報表示
+aws dynamodb describe-table \
+  --table-name "$TABLE_NAME" \
+  --region "$REGION" \
+  --profile "$PROFILE" \
+  --query 'Table.{Name: TableName, Status: TableStatus, ItemCount: ItemCount, BillingMode: BillingModeSummary.BillingMode}' \
+  --output table \
+  --no-cli-pager
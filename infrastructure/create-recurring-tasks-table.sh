@@ -0,0 +1,41 @@
+#!/bin/bash
+# DynamoDB 定期タスク定義テーブル作成スクリプト（/mana-recurring 用）
+
+set -e
+
+REGION="us-east-1"
+TABLE_NAME="mana-recurring-tasks"
+PROFILE="k.sato"
+
+echo "🚀 Creating DynamoDB table: $TABLE_NAME in $REGION..."
+
+aws dynamodb create-table \
+  --table-name "$TABLE_NAME" \
+  --attribute-definitions \
+    AttributeName=recurring_id,AttributeType=S \
+  --key-schema \
+    AttributeName=recurring_id,KeyType=HASH \
+  --billing-mode PAY_PER_REQUEST \
+  --tags \
+    Key=Application,Value=mana \
+    Key=Environment,Value=production \
+  --region "$REGION" \
+  --profile "$PROFILE" \
+  --no-cli-pager
+
+echo "⏳ Waiting for table to become active..."
+aws dynamodb wait table-exists \
+  --table-name "$TABLE_NAME" \
+  --region "$REGION" \
+  --profile "$PROFILE"
+
+echo "✅ Table created successfully!"
+
+# テーブル情報表示
+aws dynamodb describe-table \
+  --table-name "$TABLE_NAME" \
+  --region "$REGION" \
+  --profile "$PROFILE" \
+  --query 'Table.{Name: TableName, Status: TableStatus, ItemCount: ItemCount, BillingMode: BillingModeSummary.BillingMode}' \
+  --output table \
+  --no-cli-pager
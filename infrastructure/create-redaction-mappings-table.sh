@@ -0,0 +1,44 @@
+#!/bin/bash
+# DynamoDB 伏せ字対応表テーブル作成スクリプト
+# 文字起こし・議事録で伏せ字にした個人情報の原文を保存する（/mana-unredact で権限のあるユーザーだけが確認する）
+
+set -e
+
+REGION="us-east-1"
+TABLE_NAME="mana-redaction-mappings"
+PROFILE="k.sato"
+
+echo "🚀 Creating DynamoDB table: $TABLE_NAME in $REGION..."
+
+aws dynamodb create-table \
+  --table-name "$TABLE_NAME" \
+  --attribute-definitions \
+    AttributeName=file_id,AttributeType=S \
+  --key-schema \
+    AttributeName=file_id,KeyType=HASH \
+  --billing-mode PAY_PER_REQUEST \
+  --sse-specification Enabled=true,SSEType=KMS \
+  --tags \
+    Key=Application,Value=mana \
+    Key=Environment,Value=production \
+    Key=DataClassification,Value=pii \
+  --region "$REGION" \
+  --profile "$PROFILE" \
+  --no-cli-pager
+
+echo "⏳ Waiting for table to become active..."
+aws dynamodb wait table-exists \
+  --table-name "$TABLE_NAME" \
+  --region "$REGION" \
+  --profile "$PROFILE"
+
+echo "✅ Table created successfully!"
+
+# テーブル情報表示
+aws dynamodb describe-table \
+  --table-name "$TABLE_NAME" \
+  --region "$REGION" \
+  --profile "$PROFILE" \
+  --query 'Table.{Name: TableName, Status: TableStatus, ItemCount: ItemCount, BillingMode: BillingModeSummary.BillingMode, SSE: SSEDescription.SSEType}' \
+  --output table \
+  --no-cli-pager
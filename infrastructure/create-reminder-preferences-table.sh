@@ -0,0 +1,41 @@
+#!/bin/bash
+# DynamoDB リマインド設定テーブル作成スクリプト（/mana-settings 用）
+
+set -e
+
+REGION="us-east-1"
+TABLE_NAME="mana-reminder-preferences"
+PROFILE="k.sato"
+
+echo "🚀 Creating DynamoDB table: $TABLE_NAME in $REGION..."
+
+aws dynamodb create-table \
+  --table-name "$TABLE_NAME" \
+  --attribute-definitions \
+    AttributeName=slack_id,AttributeType=S \
+  --key-schema \
+    AttributeName=slack_id,KeyType=HASH \
+  --billing-mode PAY_PER_REQUEST \
+  --tags \
+    Key=Application,Value=mana \
+    Key=Environment,Value=production \
+  --region "$REGION" \
+  --profile "$PROFILE" \
+  --no-cli-pager
+
+echo "⏳ Waiting for table to become active..."
+aws dynamodb wait table-exists \
+  --table-name "$TABLE_NAME" \
+  --region "$REGION" \
+  --profile "$PROFILE"
+
+echo "✅ Table created successfully!"
+
+# テーブル情報表示
+aws dynamodb describe-table \
+  --table-name "$TABLE_NAME" \
+  --region "$REGION" \
+  --profile "$PROFILE" \
+  --query 'Table.{Name: TableName, Status: TableStatus, ItemCount: ItemCount, BillingMode: BillingModeSummary.BillingMode}' \
+  --output table \
+  --no-cli-pager
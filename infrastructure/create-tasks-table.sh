@@ -0,0 +1,46 @@
+#!/bin/bash
+# DynamoDB Tasks テーブル作成スクリプト（TASK_STORE_BACKEND=dynamodb 用）
+
+set -e
+
+REGION="us-east-1"
+TABLE_NAME="mana-tasks"
+PROFILE="k.sato"
+
+echo "🚀 Creating DynamoDB table: $TABLE_NAME in $REGION..."
+
+aws dynamodb create-table \
+  --table-name "$TABLE_NAME" \
+  --attribute-definitions \
+    AttributeName=task_id,AttributeType=S \
+    AttributeName=owner_slack_id,AttributeType=S \
+    AttributeName=requester_slack_id,AttributeType=S \
+  --key-schema \
+    AttributeName=task_id,KeyType=HASH \
+  --global-secondary-indexes \
+    "IndexName=owner_slack_id-index,KeySchema=[{AttributeName=owner_slack_id,KeyType=HASH}],Projection={ProjectionType=ALL}" \
+    "IndexName=requester_slack_id-index,KeySchema=[{AttributeName=requester_slack_id,KeyType=HASH}],Projection={ProjectionType=ALL}" \
+  --billing-mode PAY_PER_REQUEST \
+  --tags \
+    Key=Application,Value=mana \
+    Key=Environment,Value=production \
+  --region "$REGION" \
+  --profile "$PROFILE" \
+  --no-cli-pager
+
+echo "⏳ Waiting for table to become active..."
+aws dynamodb wait table-exists \
+  --table-name "$TABLE_NAME" \
+  --region "$REGION" \
+  --profile "$PROFILE"
+
+echo "✅ Table created successfully!"
+
+# テーブル情報表示
+aws dynamodb describe-table \
+  --table-name "$TABLE_NAME" \
+  --region "$REGION" \
+  --profile "$PROFILE" \
+  --query 'Table.{Name: TableName, Status: TableStatus, ItemCount: ItemCount, BillingMode: BillingModeSummary.BillingMode}' \
+  --output table \
+  --no-cli-pager
@@ -0,0 +1,66 @@
+#!/bin/bash
+# DynamoDB アップロードセッションテーブル・S3 バケット作成スクリプト
+# ファイル処理の途中状態をコンテナをまたいで引き継ぐために使う
+
+set -e
+
+REGION="us-east-1"
+TABLE_NAME="mana-upload-sessions"
+BUCKET_NAME="mana-upload-sessions-593793022993"
+PROFILE="k.sato"
+
+echo "🚀 Creating DynamoDB table: $TABLE_NAME in $REGION..."
+
+aws dynamodb create-table \
+  --table-name "$TABLE_NAME" \
+  --attribute-definitions \
+    AttributeName=file_id,AttributeType=S \
+  --key-schema \
+    AttributeName=file_id,KeyType=HASH \
+  --billing-mode PAY_PER_REQUEST \
+  --tags \
+    Key=Application,Value=mana \
+    Key=Environment,Value=production \
+  --region "$REGION" \
+  --profile "$PROFILE" \
+  --no-cli-pager
+
+echo "⏳ Waiting for table to become active..."
+aws dynamodb wait table-exists \
+  --table-name "$TABLE_NAME" \
+  --region "$REGION" \
+  --profile "$PROFILE"
+
+echo "⏰ Enabling TTL on 'ttl'..."
+aws dynamodb update-time-to-live \
+  --table-name "$TABLE_NAME" \
+  --time-to-live-specification "Enabled=true, AttributeName=ttl" \
+  --region "$REGION" \
+  --profile "$PROFILE" \
+  --no-cli-pager
+
+echo "🪣 Creating S3 bucket: $BUCKET_NAME (大きな文字起こしの保存先)..."
+aws s3api create-bucket \
+  --bucket "$BUCKET_NAME" \
+  --region "$REGION" \
+  --profile "$PROFILE" \
+  --no-cli-pager
+
+# セッションの TTL に合わせて文字起こしも7日で削除する
+aws s3api put-bucket-lifecycle-configuration \
+  --bucket "$BUCKET_NAME" \
+  --lifecycle-configuration '{"Rules":[{"ID":"expire-upload-sessions","Filter":{"Prefix":"upload-sessions/"},"Status":"Enabled","Expiration":{"Days":7}}]}' \
+  --region "$REGION" \
+  --profile "$PROFILE" \
+  --no-cli-pager
+
+echo "✅ Table and bucket created successfully!"
+
+# テーブル情報表示
+aws dynamodb describe-table \
+  --table-name "$TABLE_NAME" \
+  --region "$REGION" \
+  --profile "$PROFILE" \
+  --query 'Table.{Name: TableName, Status: TableStatus, ItemCount: ItemCount, BillingMode: BillingModeSummary.BillingMode}' \
+  --output table \
+  --no-cli-pager
@@ -408,3 +408,81 @@ echo "    --payload '{\"action\": \"create_next_sprints\"}' \\"
 echo "    --cli-binary-format raw-in-base64-out \\"
 echo "    --region $REGION --profile $PROFILE \\"
 echo "    /dev/stdout"
+
+# ==============================================================================
+# Rule 6: Airtable ⇔ GitHub Task Reconciliation (every hour)
+# ==============================================================================
+
+RECONCILE_RULE_NAME="mana-task-reconcile"
+RECONCILE_SCHEDULE="rate(1 hour)"
+
+echo ""
+echo "🔧 Setting up EventBridge rule: $RECONCILE_RULE_NAME"
+echo "   Schedule: $RECONCILE_SCHEDULE (every hour)"
+echo ""
+
+# 1. Create or update the EventBridge rule
+echo "[1/3] Creating EventBridge rule..."
+aws events put-rule \
+  --name "$RECONCILE_RULE_NAME" \
+  --schedule-expression "$RECONCILE_SCHEDULE" \
+  --state ENABLED \
+  --description "Two-way task sync between Airtable and GitHub (every hour)" \
+  --region "$REGION" \
+  --profile "$PROFILE" \
+  --no-cli-pager
+
+echo "      - Done."
+
+# 2. Add Lambda permission for EventBridge to invoke
+echo "[2/3] Adding Lambda permission for EventBridge..."
+# Remove existing permission if exists (ignore error)
+aws lambda remove-permission \
+  --function-name "$FUNCTION_NAME" \
+  --statement-id "${RECONCILE_RULE_NAME}-permission" \
+  --region "$REGION" \
+  --profile "$PROFILE" \
+  --no-cli-pager 2>/dev/null || true
+
+aws lambda add-permission \
+  --function-name "$FUNCTION_NAME" \
+  --statement-id "${RECONCILE_RULE_NAME}-permission" \
+  --action "lambda:InvokeFunction" \
+  --principal "events.amazonaws.com" \
+  --source-arn "arn:aws:events:${REGION}:${ACCOUNT_ID}:rule/${RECONCILE_RULE_NAME}" \
+  --region "$REGION" \
+  --profile "$PROFILE" \
+  --no-cli-pager
+
+echo "      - Done."
+
+# 3. Add the Lambda target to the rule
+echo "[3/3] Adding Lambda target to rule..."
+aws events put-targets \
+  --rule "$RECONCILE_RULE_NAME" \
+  --targets "[{
+    \"Id\": \"mana-task-reconcile-target\",
+    \"Arn\": \"arn:aws:lambda:${REGION}:${ACCOUNT_ID}:function:${FUNCTION_NAME}\",
+    \"Input\": \"{\\\"action\\\": \\\"reconcile_tasks\\\"}\"
+  }]" \
+  --region "$REGION" \
+  --profile "$PROFILE" \
+  --no-cli-pager
+
+echo "      - Done."
+
+echo ""
+echo "✅ Task reconciliation rule setup complete!"
+echo ""
+echo "Rule Details:"
+echo "  - Name: $RECONCILE_RULE_NAME"
+echo "  - Schedule: every hour"
+echo "  - Target: $FUNCTION_NAME Lambda"
+echo "  - Payload: {\"action\": \"reconcile_tasks\"}"
+echo ""
+echo "To test manually:"
+echo "  aws lambda invoke --function-name $FUNCTION_NAME \\"
+echo "    --payload '{\"action\": \"reconcile_tasks\"}' \\"
+echo "    --cli-binary-format raw-in-base64-out \\"
+echo "    --region $REGION --profile $PROFILE \\"
+echo "    /dev/stdout"
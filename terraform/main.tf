@@ -238,6 +238,32 @@ resource "aws_lambda_permission" "allow_eventbridge_thread" {
   source_arn    = aws_cloudwatch_event_rule.thread_reminder.arn
 }
 
+# EventBridge Rule for Airtable ⇔ GitHub Task Reconciliation (every hour)
+resource "aws_cloudwatch_event_rule" "task_reconcile" {
+  name                = "mana-task-reconcile"
+  description         = "Trigger two-way task sync between Airtable and GitHub"
+  schedule_expression = "rate(1 hour)"
+
+  tags = {
+    Application = "mana"
+  }
+}
+
+resource "aws_cloudwatch_event_target" "task_reconcile_target" {
+  rule      = aws_cloudwatch_event_rule.task_reconcile.name
+  target_id = "mana-task-reconcile"
+  arn       = aws_lambda_function.slack_classify_bot.arn
+  input     = jsonencode({ action = "reconcile_tasks" })
+}
+
+resource "aws_lambda_permission" "allow_eventbridge_task_reconcile" {
+  statement_id  = "AllowExecutionFromEventBridgeTaskReconcile"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.slack_classify_bot.function_name
+  principal     = "events.amazonaws.com"
+  source_arn    = aws_cloudwatch_event_rule.task_reconcile.arn
+}
+
 # Outputs
 output "lambda_function_url" {
   description = "Lambda Function URL for Slack events"